@@ -8,11 +8,16 @@ import CouponManager from "./pages/CouponManagement/CouponManager";
 import BannerManager from "./pages/BannerManagement/BannerManager";
 import AnnouncementManager from "./pages/AnnouncementManagement/AnnouncementManager";
 import Orders from "./pages/Orders";
+import OrderDetail from "./pages/OrderDetail";
+import Settings from "./pages/Settings/Settings";
+import CodRemittance from "./pages/CodRemittance";
+import PaymentSettlements from "./pages/PaymentSettlements";
 import Login from "./pages/Login";
 import AdminHome from "./pages/AdminHome";
 import { ToastContainer } from "react-toastify"; 
 import 'react-toastify/dist/ReactToastify.css'; 
 import { AuthProvider } from "./contexts/AuthContext"; 
+import { OrderAlertsProvider } from "./contexts/OrderAlertsContext";
 
 /**
  * Main Application Component
@@ -20,7 +25,9 @@ import { AuthProvider } from "./contexts/AuthContext";
  * Defines all routes for the shop admin panel:
  * - Authentication routes
  * - Protected admin routes for dashboard, orders, products, users, and coupons management
+ * - Shareable order detail pages at /orders/:id
  * - Banner and announcements management
+ * - Store settings (invoice and GST details)
  */
 function App() {
   return (
@@ -33,12 +40,15 @@ function App() {
             path="/" 
             element={
               <ProtectedRoute requiredRole="Admin">
-                <AdminHome />
+                <OrderAlertsProvider>
+                  <AdminHome />
+                </OrderAlertsProvider>
               </ProtectedRoute>
             }
           >
             {/* Dashboard is shown at the root route (inside AdminHome) */}
             <Route path="orders" element={<Orders />} />
+            <Route path="orders/:id" element={<OrderDetail />} />
             <Route path="users" element={<Users />} />
             <Route path="products" element={<ProductManager />} />
             <Route path="products/add" element={<AddProduct />} />
@@ -46,6 +56,9 @@ function App() {
             <Route path="coupons" element={<CouponManager />} />
             <Route path="banners" element={<BannerManager />} />
             <Route path="announcements" element={<AnnouncementManager />} />
+            <Route path="cod-remittance" element={<CodRemittance />} />
+            <Route path="settlements" element={<PaymentSettlements />} />
+            <Route path="settings" element={<Settings />} />
           </Route>
           {/* Optionally, handle 404 Not Found */}
           <Route path="*" element={<div className="p-4">404 Not Found</div>} />
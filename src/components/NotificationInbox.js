@@ -0,0 +1,105 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import AdminNotificationService from '../utils/adminNotifications';
+import { formatOrderDate } from '../utils/orderDisplay';
+
+/**
+ * Notification Inbox
+ * Bell with an unread count that opens the signed-in admin's notifications,
+ * e.g. mentions in order notes. Opening a notification marks it read and
+ * goes to the order.
+ *
+ * @param {Object} props
+ * @param {string} props.adminUserId - Signed-in admin
+ */
+const NotificationInbox = ({ adminUserId }) => {
+  const navigate = useNavigate();
+  const [notifications, setNotifications] = useState([]);
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    if (!adminUserId) return undefined;
+    return AdminNotificationService.subscribeToInbox(adminUserId, setNotifications);
+  }, [adminUserId]);
+
+  // Close when clicking anywhere else
+  useEffect(() => {
+    if (!open) return undefined;
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const unreadCount = notifications.filter(notification => !notification.read).length;
+
+  const openNotification = (notification) => {
+    if (!notification.read) {
+      AdminNotificationService.markRead(notification.id);
+    }
+    setOpen(false);
+    navigate(`/orders/${notification.orderId}`);
+  };
+
+  return (
+    <div className="relative" ref={containerRef}>
+      <button
+        onClick={() => setOpen(!open)}
+        className="relative p-2 rounded-full text-gray-600 hover:bg-gray-100 transition-colors"
+        title="Notifications"
+      >
+        <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+        </svg>
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[1.25rem] px-1 py-0.5 rounded-full bg-red-600 text-white text-xs font-bold text-center">
+            {unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-96 bg-white rounded-lg shadow-xl border border-gray-200 z-50">
+          <div className="px-4 py-3 border-b border-gray-200 flex justify-between items-center">
+            <h3 className="font-semibold text-gray-900">Notifications</h3>
+            {unreadCount > 0 && (
+              <button
+                onClick={() => AdminNotificationService.markAllRead(adminUserId)}
+                className="text-xs text-blue-600 hover:text-blue-800"
+              >
+                Mark all as read
+              </button>
+            )}
+          </div>
+          <div className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+            {notifications.length === 0 && (
+              <p className="px-4 py-6 text-sm text-gray-500 text-center">You're all caught up</p>
+            )}
+            {notifications.map(notification => (
+              <button
+                key={notification.id}
+                onClick={() => openNotification(notification)}
+                className={`w-full text-left px-4 py-3 hover:bg-gray-50 ${notification.read ? '' : 'bg-blue-50'}`}
+              >
+                <div className="text-sm text-gray-900">
+                  <span className="font-medium">{notification.actorName || 'An admin'}</span> mentioned you on order{' '}
+                  <span className="font-medium">#{notification.orderNumber}</span>
+                </div>
+                <div className="text-xs text-gray-600 mt-1 line-clamp-2">{notification.excerpt}</div>
+                <div className="text-xs text-gray-400 mt-1">
+                  {notification.createdAt ? formatOrderDate(notification.createdAt) : ''}
+                </div>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationInbox;
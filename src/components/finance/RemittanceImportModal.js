@@ -0,0 +1,230 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import CodRemittanceService, {
+  REMITTANCE_COLUMNS,
+  REMITTANCE_ROW_STYLES,
+  detectRemittanceColumns,
+  readRemittanceRows
+} from '../../utils/codRemittance';
+import { getCarrierAdapters } from '../../utils/carriers';
+import { parseCsv } from '../../utils/csvUtils';
+import { formatCurrency, formatIndianNumber } from '../../utils/formatUtils';
+
+/**
+ * Remittance Import Modal
+ * Reads a carrier's COD remittance CSV, lets finance confirm which columns
+ * hold the tracking code, order number and amount, shows how every row
+ * matches before anything is saved, then records the remittance
+ *
+ * @param {Object} props
+ * @param {string} props.adminUserId - Admin importing the file
+ * @param {Function} props.onImported - Called after the remittance is saved
+ * @param {Function} props.onClose - Close handler
+ */
+const RemittanceImportModal = ({ adminUserId, onImported, onClose }) => {
+  const [fileName, setFileName] = useState('');
+  const [csvRows, setCsvRows] = useState([]);
+  const [columns, setColumns] = useState(null);
+  const [carrier, setCarrier] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  const headers = csvRows[0] || [];
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const rows = parseCsv(await file.text());
+    if (rows.length < 2) {
+      toast.error('The file has no remittance rows');
+      return;
+    }
+    setFileName(file.name);
+    setCsvRows(rows);
+    setColumns(detectRemittanceColumns(rows[0]));
+    setPreview(null);
+  };
+
+  const handleMatch = async () => {
+    if (columns.amount < 0 || (columns.trackingCode < 0 && columns.orderNumber < 0)) {
+      toast.error('Choose the amount column and a tracking code or order number column');
+      return;
+    }
+    setWorking(true);
+    const result = await CodRemittanceService.matchRemittance(readRemittanceRows(csvRows, columns));
+    setWorking(false);
+
+    if (result.success) {
+      setPreview(result);
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  const handleImport = async () => {
+    setWorking(true);
+    const result = await CodRemittanceService.importRemittance({
+      fileName,
+      carrier,
+      rows: preview.rows,
+      summary: preview.summary
+    }, adminUserId);
+    setWorking(false);
+
+    if (result.success) {
+      toast.success(`Remittance recorded on ${formatIndianNumber(result.updatedOrders, 0)} orders`);
+      onImported();
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl max-w-5xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center sticky top-0 bg-white rounded-t-lg">
+          <h3 className="text-xl font-bold text-gray-900">Import COD Remittance</h3>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-500 p-2 rounded-full hover:bg-gray-100"
+            title="Close"
+          >
+            <svg className="h-6 w-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {/* File and carrier */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Remittance file (CSV)</label>
+              <input type="file" accept=".csv,text/csv" onChange={handleFile} className="text-sm" />
+              {fileName && (
+                <p className="text-xs text-gray-500 mt-1">{fileName} · {formatIndianNumber(csvRows.length - 1, 0)} rows</p>
+              )}
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Carrier</label>
+              <select value={carrier} onChange={(e) => setCarrier(e.target.value)} className={inputClass}>
+                <option value="">Not specified</option>
+                {getCarrierAdapters().map(adapter => (
+                  <option key={adapter.key} value={adapter.name}>{adapter.name}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {/* Column mapping */}
+          {columns && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Columns</label>
+              <div className="grid grid-cols-1 md:grid-cols-5 gap-3">
+                {REMITTANCE_COLUMNS.map(column => (
+                  <div key={column.key}>
+                    <label className="block text-xs text-gray-500 mb-1">{column.label}</label>
+                    <select
+                      value={columns[column.key]}
+                      onChange={(e) => {
+                        setColumns(prev => ({ ...prev, [column.key]: Number(e.target.value) }));
+                        setPreview(null);
+                      }}
+                      className={inputClass}
+                    >
+                      <option value={-1}>Not in file</option>
+                      {headers.map((header, index) => (
+                        <option key={index} value={index}>{header || `Column ${index + 1}`}</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Match preview */}
+          {preview && (
+            <div>
+              <div className="flex flex-wrap gap-2 mb-3">
+                {Object.entries(preview.summary.byResult).map(([result, count]) => (
+                  <span key={result} className={`px-2.5 py-1 rounded-full text-xs font-medium ${REMITTANCE_ROW_STYLES[result].color}`}>
+                    {REMITTANCE_ROW_STYLES[result].label}: {formatIndianNumber(count, 0)}
+                  </span>
+                ))}
+                <span className="ml-auto text-sm text-gray-600">
+                  {formatCurrency(preview.summary.recordedAmount)} of {formatCurrency(preview.summary.amount)} will be recorded
+                </span>
+              </div>
+              <div className="border border-gray-200 rounded-lg max-h-80 overflow-y-auto">
+                <table className="w-full text-sm">
+                  <thead className="bg-gray-50 text-left text-xs uppercase text-gray-600 sticky top-0">
+                    <tr>
+                      <th className="px-3 py-2">Line</th>
+                      <th className="px-3 py-2">Tracking / Order</th>
+                      <th className="px-3 py-2 text-right">Amount</th>
+                      <th className="px-3 py-2 text-right">Expected</th>
+                      <th className="px-3 py-2 text-right">Received</th>
+                      <th className="px-3 py-2">Result</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {preview.rows.map(row => (
+                      <tr key={row.line}>
+                        <td className="px-3 py-2 text-gray-500">{row.line}</td>
+                        <td className="px-3 py-2">
+                          <div className="font-mono text-xs">{row.trackingCode || '-'}</div>
+                          {row.orderNumber && <div className="text-xs text-gray-500">#{row.orderNumber}</div>}
+                        </td>
+                        <td className="px-3 py-2 text-right">{isNaN(row.amount) ? '-' : formatCurrency(row.amount)}</td>
+                        <td className="px-3 py-2 text-right">{row.expectedAmount !== undefined ? formatCurrency(row.expectedAmount) : '-'}</td>
+                        <td className="px-3 py-2 text-right">{row.receivedAmount !== undefined ? formatCurrency(row.receivedAmount) : '-'}</td>
+                        <td className="px-3 py-2">
+                          <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${REMITTANCE_ROW_STYLES[row.result].color}`}>
+                            {REMITTANCE_ROW_STYLES[row.result].label}
+                          </span>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          <div className="flex justify-end gap-3 pt-4 border-t border-gray-200">
+            <button
+              onClick={onClose}
+              className="px-6 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition-colors"
+              disabled={working}
+            >
+              Cancel
+            </button>
+            {preview ? (
+              <button
+                onClick={handleImport}
+                disabled={working}
+                className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+              >
+                {working ? 'Importing...' : 'Import Remittance'}
+              </button>
+            ) : (
+              <button
+                onClick={handleMatch}
+                disabled={working || !columns}
+                className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+              >
+                {working ? 'Matching...' : 'Match Rows'}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RemittanceImportModal;
@@ -0,0 +1,90 @@
+import React, { useState, useEffect } from 'react';
+import AdminOrderService, {
+  BULK_JOB_STATES,
+  BULK_OPERATION_LABELS,
+  getBulkUndoProblem,
+  getBulkUndoPendingCount
+} from '../../utils/orderService';
+import { formatOrderDate } from '../../utils/orderDisplay';
+
+const JOB_STATE_STYLES = {
+  [BULK_JOB_STATES.RUNNING]: { label: 'Running', color: 'bg-blue-100 text-blue-800' },
+  [BULK_JOB_STATES.COMPLETED]: { label: 'Completed', color: 'bg-green-100 text-green-800' },
+  [BULK_JOB_STATES.COMPLETED_WITH_ERRORS]: { label: 'With errors', color: 'bg-orange-100 text-orange-800' },
+  [BULK_JOB_STATES.FAILED]: { label: 'Stopped', color: 'bg-red-100 text-red-800' },
+  [BULK_JOB_STATES.PARTIALLY_UNDONE]: { label: 'Partly undone', color: 'bg-orange-100 text-orange-800' },
+  [BULK_JOB_STATES.UNDONE]: { label: 'Undone', color: 'bg-gray-100 text-gray-800' }
+};
+
+/**
+ * Bulk Job History
+ * Recent bulk runs, so failures can be retried and a run undone after the
+ * progress panel has been dismissed
+ *
+ * @param {Object} props
+ * @param {number} props.refreshKey - Changes when a run finishes, to reload the list
+ * @param {Function} props.onRetry - Called with a job to retry its failures
+ * @param {Function} props.onUndo - Called with a job and the number of orders to restore to undo it
+ * @param {boolean} props.disabled - A run is in progress
+ */
+const BulkJobHistory = ({ refreshKey, onRetry, onUndo, disabled }) => {
+  const [jobs, setJobs] = useState([]);
+
+  useEffect(() => {
+    const loadJobs = async () => {
+      const result = await AdminOrderService.getBulkJobs(5);
+      setJobs(result.jobs);
+    };
+    loadJobs();
+  }, [refreshKey]);
+
+  if (jobs.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mt-4 pt-4 border-t border-orange-200">
+      <h4 className="text-sm font-semibold text-orange-800 mb-2">Recent Bulk Runs</h4>
+      <ul className="space-y-1 text-sm">
+        {jobs.map(job => {
+          const style = JOB_STATE_STYLES[job.state] || JOB_STATE_STYLES[BULK_JOB_STATES.COMPLETED];
+          const detail = job.operationData?.status || job.operationData?.priority || job.operationData?.tag || '';
+          const undoProblem = getBulkUndoProblem(job);
+          return (
+            <li key={job.id} className="flex flex-wrap items-center gap-2">
+              <span className="font-medium text-gray-800">
+                {BULK_OPERATION_LABELS[job.operation] || job.operation}{detail && `: ${detail}`}
+              </span>
+              <span className="text-gray-600">
+                {job.successCount} of {job.totalOrders} orders
+              </span>
+              <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${style.color}`}>{style.label}</span>
+              <span className="text-xs text-gray-500">{formatOrderDate(job.createdAt)}</span>
+              <div className="ml-auto flex gap-1">
+                {job.failureCount > 0 && [BULK_JOB_STATES.COMPLETED, BULK_JOB_STATES.COMPLETED_WITH_ERRORS, BULK_JOB_STATES.FAILED].includes(job.state) && (
+                  <button
+                    onClick={() => onRetry(job)}
+                    disabled={disabled}
+                    className="px-2 py-1 text-xs text-orange-700 hover:bg-orange-100 rounded disabled:opacity-50"
+                  >
+                    Retry failed
+                  </button>
+                )}
+                <button
+                  onClick={() => onUndo(job, getBulkUndoPendingCount(job))}
+                  disabled={disabled || Boolean(undoProblem)}
+                  title={undoProblem || 'Restore the previous values of every order this run changed'}
+                  className="px-2 py-1 text-xs text-gray-700 hover:bg-orange-100 rounded disabled:opacity-50"
+                >
+                  {job.state === BULK_JOB_STATES.PARTIALLY_UNDONE ? 'Retry undo' : 'Undo'}
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default BulkJobHistory;
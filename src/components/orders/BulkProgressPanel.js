@@ -0,0 +1,91 @@
+import React from 'react';
+import { BULK_OPERATION_LABELS } from '../../utils/orderService';
+
+/**
+ * Bulk Progress Panel
+ * Progress of the bulk run, retry or undo in progress, with the orders that
+ * failed and actions to retry them or undo the whole run once it finishes
+ *
+ * @param {Object} props
+ * @param {Object} props.run - { jobId, mode ('run', 'retry' or 'undo'), operation, total, processed, successCount, failures, running, undoProblem }
+ * @param {Function} props.getOrderLabel - Display label for an order id
+ * @param {Function} props.onRetry - Retry the failed orders of the job
+ * @param {Function} props.onUndo - Undo the job, or retry the orders an undo could not restore
+ * @param {Function} props.onDismiss - Close the panel
+ */
+const BulkProgressPanel = ({ run, getOrderLabel, onRetry, onUndo, onDismiss }) => {
+  const percent = run.total > 0 ? Math.round((run.processed / run.total) * 100) : 100;
+  const title = {
+    run: BULK_OPERATION_LABELS[run.operation] || run.operation,
+    retry: `Retrying ${(BULK_OPERATION_LABELS[run.operation] || run.operation).toLowerCase()}`,
+    undo: `Undoing ${(BULK_OPERATION_LABELS[run.operation] || run.operation).toLowerCase()}`
+  }[run.mode];
+
+  return (
+    <div className="mb-8 bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+      <div className="flex flex-wrap items-center gap-3 mb-3">
+        <h3 className="text-lg font-semibold text-gray-800">{title}</h3>
+        <span className="text-sm text-gray-500">
+          {run.processed} of {run.total} orders
+          {run.running ? '...' : ` · ${run.successCount} succeeded, ${run.failures.length} failed`}
+        </span>
+        {!run.running && (
+          <div className="ml-auto flex gap-2">
+            {run.mode !== 'undo' && run.failures.length > 0 && run.jobId && (
+              <button
+                onClick={onRetry}
+                className="px-3 py-1.5 bg-orange-600 text-white rounded-lg text-sm hover:bg-orange-700 font-medium"
+              >
+                Retry {run.failures.length} Failed
+              </button>
+            )}
+            {run.mode !== 'undo' && run.jobId && (
+              <button
+                onClick={onUndo}
+                disabled={Boolean(run.undoProblem)}
+                title={run.undoProblem || 'Restore the previous values of every order this run changed'}
+                className="px-3 py-1.5 bg-gray-100 text-gray-700 rounded-lg text-sm hover:bg-gray-200 font-medium disabled:opacity-50"
+              >
+                Undo Run
+              </button>
+            )}
+            {run.mode === 'undo' && run.failures.length > 0 && run.jobId && (
+              <button
+                onClick={onUndo}
+                className="px-3 py-1.5 bg-orange-600 text-white rounded-lg text-sm hover:bg-orange-700 font-medium"
+              >
+                Retry Undo for {run.failures.length}
+              </button>
+            )}
+            <button
+              onClick={onDismiss}
+              className="px-3 py-1.5 text-gray-500 rounded-lg text-sm hover:bg-gray-100"
+            >
+              Dismiss
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div className="w-full h-2 bg-gray-100 rounded-full overflow-hidden">
+        <div
+          className={`h-full transition-all ${run.failures.length > 0 ? 'bg-orange-500' : 'bg-green-500'}`}
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+
+      {run.failures.length > 0 && (
+        <ul className="mt-4 max-h-48 overflow-y-auto divide-y divide-gray-100 text-sm">
+          {run.failures.map(failure => (
+            <li key={failure.orderId} className="py-1.5 flex gap-3">
+              <span className="font-medium text-gray-800">#{getOrderLabel(failure.orderId)}</span>
+              <span className="text-red-600">{failure.error}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default BulkProgressPanel;
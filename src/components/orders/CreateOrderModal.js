@@ -0,0 +1,417 @@
+import React, { useState, useEffect } from 'react';
+import { collection, getDocs, onSnapshot, query, where, limit } from 'firebase/firestore';
+import { toast } from 'react-toastify';
+import { db } from '../../firebase';
+import AdminOrderService, {
+  EDITABLE_ADDRESS_FIELDS,
+  MANUAL_PAYMENT_METHODS,
+  MANUAL_ORDER_CHANNELS,
+  calculateCouponDiscount,
+  getCouponProblem
+} from '../../utils/orderService';
+import { formatCurrency } from '../../utils/formatUtils';
+
+const ADDRESS_LABELS = {
+  houseNo: 'House No.',
+  line1: 'Address Line 1',
+  line2: 'Address Line 2',
+  city: 'City',
+  state: 'State',
+  pin: 'PIN Code',
+  country: 'Country'
+};
+
+const EMPTY_CUSTOMER = { userId: null, name: '', email: '', phone: '' };
+const EMPTY_ADDRESS = { houseNo: '', line1: '', line2: '', city: '', state: '', pin: '', country: 'India' };
+
+/**
+ * Create Order Modal
+ * Takes down an order received by phone or WhatsApp: pick a registered
+ * customer or enter a guest, add products against live stock, optionally
+ * apply a coupon and choose how the customer pays
+ *
+ * @param {Object} props
+ * @param {string} props.adminUserId - Admin creating the order
+ * @param {Function} props.onClose - Close the modal
+ * @param {Function} props.onCreated - Called with the new order ID
+ */
+const CreateOrderModal = ({ adminUserId, onClose, onCreated }) => {
+  const [users, setUsers] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [customerSearch, setCustomerSearch] = useState('');
+  const [customer, setCustomer] = useState(EMPTY_CUSTOMER);
+  const [address, setAddress] = useState(EMPTY_ADDRESS);
+  const [items, setItems] = useState([]);
+  const [productSearch, setProductSearch] = useState('');
+  const [couponCode, setCouponCode] = useState('');
+  const [coupon, setCoupon] = useState(null);
+  const [paymentMethod, setPaymentMethod] = useState('COD');
+  const [paymentReference, setPaymentReference] = useState('');
+  const [channel, setChannel] = useState(MANUAL_ORDER_CHANNELS.PHONE);
+  const [shippingCost, setShippingCost] = useState('');
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const loadUsers = async () => {
+      try {
+        const usersSnapshot = await getDocs(collection(db, 'users'));
+        setUsers(usersSnapshot.docs.map(userDoc => ({ id: userDoc.id, ...userDoc.data() })));
+      } catch (error) {
+        console.error('Error fetching users:', error);
+        toast.error('Could not load customers');
+      }
+    };
+    loadUsers();
+
+    // Live product feed so stock shown while taking the order stays current
+    const unsubscribe = onSnapshot(collection(db, 'products'), (snapshot) => {
+      setProducts(snapshot.docs.map(productDoc => ({ id: productDoc.id, ...productDoc.data() })));
+    }, (error) => {
+      console.error('Error fetching products:', error);
+      toast.error('Could not load products');
+    });
+    return unsubscribe;
+  }, []);
+
+  const selectCustomer = (user) => {
+    setCustomer({ userId: user.id, name: user.name || '', email: user.email || '', phone: user.phone || '' });
+    setAddress({ ...EMPTY_ADDRESS, ...(user.address || {}) });
+    setCustomerSearch('');
+  };
+
+  const addProduct = (product) => {
+    setItems(prev => (prev.some(item => item.productId === product.id)
+      ? prev.map(item => (item.productId === product.id ? { ...item, quantity: item.quantity + 1 } : item))
+      : [...prev, { productId: product.id, quantity: 1 }]));
+    setProductSearch('');
+  };
+
+  const applyCoupon = async () => {
+    const code = couponCode.trim().toUpperCase();
+    if (!code) {
+      setCoupon(null);
+      return;
+    }
+    const couponsSnapshot = await getDocs(query(collection(db, 'coupons'), where('code', '==', code), limit(1)));
+    if (couponsSnapshot.empty) {
+      toast.error(`Coupon ${code} not found`);
+      setCoupon(null);
+    } else {
+      setCoupon(couponsSnapshot.docs[0].data());
+    }
+  };
+
+  const productsById = new Map(products.map(product => [product.id, product]));
+  const lines = items.map(item => {
+    const product = productsById.get(item.productId) || {};
+    return {
+      ...item,
+      name: product.name || item.productId,
+      price: Number(product.sellingPrice ?? product.price) || 0,
+      stock: product.stock || 0
+    };
+  });
+  const subtotal = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+  const couponProblem = coupon ? getCouponProblem(coupon, lines) : null;
+  const discount = coupon && !couponProblem ? calculateCouponDiscount(coupon, lines) : 0;
+  const total = subtotal - discount + (Number(shippingCost) || 0);
+  const stockProblem = lines.some(line => !(line.quantity >= 1) || line.quantity > line.stock);
+
+  const handleCreate = async () => {
+    setSaving(true);
+    const result = await AdminOrderService.createManualOrder({
+      customer,
+      items: items.map(({ productId, quantity }) => ({ productId, quantity })),
+      shippingAddress: address,
+      shippingCost,
+      couponCode: coupon && !couponProblem ? coupon.code : '',
+      paymentMethod,
+      paymentReference,
+      channel,
+      note
+    }, adminUserId);
+    setSaving(false);
+
+    if (result.success) {
+      toast.success(`Order ${result.order.orderId} created`);
+      onCreated(result.orderId);
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  const searchTerm = customerSearch.trim().toLowerCase();
+  const matchingUsers = searchTerm
+    ? users
+      .filter(user => [user.name, user.email, user.phone].some(value => String(value || '').toLowerCase().includes(searchTerm)))
+      .slice(0, 8)
+    : [];
+  const matchingProducts = productSearch.trim()
+    ? products
+      .filter(product => product.name?.toLowerCase().includes(productSearch.trim().toLowerCase()))
+      .slice(0, 8)
+    : [];
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm';
+  const labelClass = 'block text-xs font-medium text-gray-600 mb-1';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl max-w-4xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center sticky top-0 bg-white rounded-t-lg z-20">
+          <h3 className="text-xl font-bold text-gray-900">Create Order</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 text-2xl leading-none">×</button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {/* Customer */}
+          <div>
+            <div className="flex justify-between items-center mb-3">
+              <h4 className="font-semibold text-gray-800">Customer</h4>
+              {customer.userId && (
+                <button
+                  onClick={() => setCustomer(EMPTY_CUSTOMER)}
+                  className="text-sm text-blue-600 hover:text-blue-800"
+                >
+                  Use a guest instead
+                </button>
+              )}
+            </div>
+            {!customer.userId && (
+              <div className="relative mb-3">
+                <input
+                  type="text"
+                  value={customerSearch}
+                  onChange={(e) => setCustomerSearch(e.target.value)}
+                  placeholder="Search existing customers by name, email or phone, or fill in a guest below..."
+                  className={inputClass}
+                />
+                {matchingUsers.length > 0 && (
+                  <ul className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-md shadow-lg max-h-60 overflow-y-auto">
+                    {matchingUsers.map(user => (
+                      <li key={user.id}>
+                        <button
+                          onClick={() => selectCustomer(user)}
+                          className="w-full flex justify-between px-3 py-2 text-sm hover:bg-gray-50 text-left"
+                        >
+                          <span>{user.name || 'Unnamed'}</span>
+                          <span className="text-gray-500">{user.email || user.phone}</span>
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+              {['name', 'email', 'phone'].map(field => (
+                <div key={field}>
+                  <label className={`${labelClass} capitalize`}>{field}</label>
+                  <input
+                    type={field === 'email' ? 'email' : 'text'}
+                    value={customer[field]}
+                    onChange={(e) => setCustomer(prev => ({ ...prev, [field]: e.target.value }))}
+                    className={inputClass}
+                  />
+                </div>
+              ))}
+            </div>
+            <p className="text-xs text-gray-500 mt-2">
+              {customer.userId
+                ? `Registered customer - the order will also appear in their account (${customer.userId})`
+                : 'Guest order - not linked to a customer account'}
+            </p>
+          </div>
+
+          {/* Shipping address */}
+          <div>
+            <h4 className="font-semibold text-gray-800 mb-3">Shipping Address</h4>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              {EDITABLE_ADDRESS_FIELDS.map(field => (
+                <div key={field}>
+                  <label className={labelClass}>{ADDRESS_LABELS[field]}</label>
+                  <input
+                    type="text"
+                    value={address[field] || ''}
+                    onChange={(e) => setAddress(prev => ({ ...prev, [field]: e.target.value }))}
+                    className={inputClass}
+                  />
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {/* Items */}
+          <div>
+            <h4 className="font-semibold text-gray-800 mb-3">Items</h4>
+            <div className="space-y-2 mb-3">
+              {lines.map((line, index) => (
+                <div key={line.productId} className="flex items-center gap-3 text-sm">
+                  <span className="flex-1 text-gray-800">{line.name}</span>
+                  <span className={`text-xs ${line.quantity > line.stock ? 'text-red-600 font-semibold' : 'text-gray-500'}`}>
+                    {line.stock} in stock
+                  </span>
+                  <span className="w-24 text-right text-gray-600">{formatCurrency(line.price)}</span>
+                  <input
+                    type="number"
+                    min="1"
+                    step="1"
+                    value={line.quantity}
+                    onChange={(e) => {
+                      const quantity = Number(e.target.value);
+                      setItems(prev => prev.map((item, i) => (i === index ? { ...item, quantity } : item)));
+                    }}
+                    className="w-20 px-2 py-1 border border-gray-300 rounded-md"
+                  />
+                  <button
+                    onClick={() => setItems(prev => prev.filter((_, i) => i !== index))}
+                    className="text-red-600 hover:text-red-800"
+                  >
+                    Remove
+                  </button>
+                </div>
+              ))}
+            </div>
+            <div className="relative">
+              <input
+                type="text"
+                value={productSearch}
+                onChange={(e) => setProductSearch(e.target.value)}
+                placeholder="Search products to add..."
+                className={inputClass}
+              />
+              {matchingProducts.length > 0 && (
+                <ul className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-md shadow-lg max-h-60 overflow-y-auto">
+                  {matchingProducts.map(product => (
+                    <li key={product.id}>
+                      <button
+                        onClick={() => addProduct(product)}
+                        disabled={!(product.stock > 0)}
+                        className="w-full flex justify-between px-3 py-2 text-sm hover:bg-gray-50 text-left disabled:opacity-50"
+                      >
+                        <span>{product.name}</span>
+                        <span className="text-gray-500">
+                          {formatCurrency(product.sellingPrice ?? product.price)} · {product.stock > 0 ? `${product.stock} in stock` : 'Out of stock'}
+                        </span>
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+
+          {/* Payment, coupon and totals */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div className="space-y-3">
+              <div>
+                <label className={labelClass}>Order received via</label>
+                <select value={channel} onChange={(e) => setChannel(e.target.value)} className={inputClass}>
+                  <option value={MANUAL_ORDER_CHANNELS.PHONE}>Phone</option>
+                  <option value={MANUAL_ORDER_CHANNELS.WHATSAPP}>WhatsApp</option>
+                </select>
+              </div>
+              <div>
+                <label className={labelClass}>Payment method</label>
+                <select value={paymentMethod} onChange={(e) => setPaymentMethod(e.target.value)} className={inputClass}>
+                  {Object.entries(MANUAL_PAYMENT_METHODS).map(([key, option]) => (
+                    <option key={key} value={key}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+              {paymentMethod !== 'COD' && (
+                <div>
+                  <label className={labelClass}>Payment reference</label>
+                  <input
+                    type="text"
+                    value={paymentReference}
+                    onChange={(e) => setPaymentReference(e.target.value)}
+                    placeholder="UTR or transaction ID"
+                    className={inputClass}
+                  />
+                </div>
+              )}
+              <div>
+                <label className={labelClass}>Coupon</label>
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    value={couponCode}
+                    onChange={(e) => setCouponCode(e.target.value.toUpperCase())}
+                    className={inputClass}
+                  />
+                  <button
+                    onClick={applyCoupon}
+                    className="px-4 py-2 bg-gray-100 text-gray-800 rounded-md hover:bg-gray-200 text-sm"
+                  >
+                    Apply
+                  </button>
+                </div>
+                {couponProblem && <p className="text-xs text-red-600 mt-1">{couponProblem}</p>}
+              </div>
+              <div>
+                <label className={labelClass}>Shipping charge</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={shippingCost}
+                  onChange={(e) => setShippingCost(e.target.value)}
+                  placeholder="0"
+                  className={inputClass}
+                />
+              </div>
+            </div>
+
+            <div className="bg-gray-50 rounded-lg p-4 text-sm space-y-2 self-start">
+              <div className="flex justify-between">
+                <span className="text-gray-600">Subtotal:</span>
+                <span>{formatCurrency(subtotal)}</span>
+              </div>
+              {discount > 0 && (
+                <div className="flex justify-between text-green-700">
+                  <span>Discount ({coupon.code}):</span>
+                  <span>-{formatCurrency(discount)}</span>
+                </div>
+              )}
+              <div className="flex justify-between">
+                <span className="text-gray-600">Shipping:</span>
+                <span>{formatCurrency(Number(shippingCost) || 0)}</span>
+              </div>
+              <div className="flex justify-between font-semibold border-t border-gray-200 pt-2">
+                <span>Total:</span>
+                <span>{formatCurrency(total)}</span>
+              </div>
+            </div>
+          </div>
+
+          <div>
+            <label className={labelClass}>Note</label>
+            <input
+              type="text"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              placeholder="Recorded in the order history"
+              className={inputClass}
+            />
+          </div>
+        </div>
+
+        <div className="px-6 py-4 border-t border-gray-200 flex justify-end gap-3">
+          <button onClick={onClose} className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300">
+            Cancel
+          </button>
+          <button
+            onClick={handleCreate}
+            disabled={saving || items.length === 0 || stockProblem}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saving ? 'Creating...' : 'Create Order'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CreateOrderModal;
@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import DuplicateOrderService from '../../utils/duplicateOrders';
+import { ORDER_STATUSES } from '../../utils/orderService';
+import { formatOrderDate } from '../../utils/orderDisplay';
+
+/**
+ * Duplicate Panel
+ * Likely duplicates of an order with actions to merge or dismiss each pair,
+ * and the orders it was merged with
+ *
+ * @param {Object} props
+ * @param {Object} props.order - Order data (with id)
+ * @param {string} props.adminUserId - Admin merging or dismissing
+ * @param {Function} props.onChange - Called after a merge or dismissal
+ */
+const DuplicatePanel = ({ order, adminUserId, onChange }) => {
+  const [working, setWorking] = useState(false);
+  // Flags left on an order that has since moved on are not actionable
+  const candidates = order.status === ORDER_STATUSES.PLACED ? Object.entries(order.possibleDuplicates || {}) : [];
+  const orderNumber = order.orderId || order.id;
+
+  const run = async (action, successMessage) => {
+    setWorking(true);
+    const result = await action();
+    setWorking(false);
+
+    if (result.success) {
+      toast.success(successMessage);
+      if (onChange) onChange();
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  const merge = (keepId, keepNumber, cancelId, cancelNumber) => {
+    if (!window.confirm(`Keep order #${keepNumber} and cancel #${cancelNumber} as its duplicate? Stock for #${cancelNumber} will be returned.`)) {
+      return;
+    }
+    run(
+      () => DuplicateOrderService.mergeDuplicate(keepId, cancelId, adminUserId),
+      `Order #${cancelNumber} cancelled as a duplicate`
+    );
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+      <h4 className="font-semibold text-gray-800 mb-3">Duplicates</h4>
+
+      {order.mergedInto && (
+        <p className="text-sm text-gray-700 mb-3">
+          Cancelled as a duplicate of{' '}
+          <Link to={`/orders/${order.mergedInto.orderId}`} className="text-blue-600 hover:underline font-medium">
+            #{order.mergedInto.orderNumber}
+          </Link>
+          <span className="text-gray-500"> · {formatOrderDate(order.mergedInto.mergedAt)}</span>
+        </p>
+      )}
+
+      {order.mergedDuplicates?.length > 0 && (
+        <p className="text-sm text-gray-700 mb-3">
+          Duplicates merged into this order:{' '}
+          {order.mergedDuplicates.map((merged, index) => (
+            <span key={merged.orderId}>
+              {index > 0 && ', '}
+              <Link to={`/orders/${merged.orderId}`} className="text-blue-600 hover:underline font-medium">
+                #{merged.orderNumber}
+              </Link>
+            </span>
+          ))}
+        </p>
+      )}
+
+      {candidates.length > 0 && (
+        <ul className="space-y-3">
+          {candidates.map(([otherId, candidate]) => {
+            const otherNumber = candidate.orderNumber || otherId;
+            return (
+              <li key={otherId} className="border border-amber-200 bg-amber-50 rounded-lg p-3 text-sm">
+                <div className="mb-2">
+                  Likely duplicate of{' '}
+                  <Link to={`/orders/${otherId}`} className="text-blue-600 hover:underline font-medium">
+                    #{otherNumber}
+                  </Link>
+                  <span className="text-gray-600">
+                    {' '}· same {candidate.matchedOn} · {candidate.overlap}% of items · {candidate.minutesApart} min apart
+                  </span>
+                </div>
+                <div className="flex flex-wrap gap-2">
+                  <button
+                    onClick={() => merge(order.id, orderNumber, otherId, otherNumber)}
+                    disabled={working}
+                    className="px-3 py-1.5 bg-amber-600 text-white rounded-lg text-xs font-medium hover:bg-amber-700 disabled:opacity-50"
+                  >
+                    Keep this, cancel #{otherNumber}
+                  </button>
+                  <button
+                    onClick={() => merge(otherId, otherNumber, order.id, orderNumber)}
+                    disabled={working}
+                    className="px-3 py-1.5 bg-white border border-amber-300 text-amber-800 rounded-lg text-xs font-medium hover:bg-amber-100 disabled:opacity-50"
+                  >
+                    Keep #{otherNumber}, cancel this
+                  </button>
+                  <button
+                    onClick={() => run(() => DuplicateOrderService.dismissDuplicate(order.id, otherId), 'Marked as not a duplicate')}
+                    disabled={working}
+                    className="px-3 py-1.5 text-gray-600 rounded-lg text-xs font-medium hover:bg-gray-100 disabled:opacity-50"
+                  >
+                    Not a duplicate
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default DuplicatePanel;
@@ -0,0 +1,245 @@
+import React, { useState, useEffect } from 'react';
+import { collection, getDocs } from 'firebase/firestore';
+import { toast } from 'react-toastify';
+import { db } from '../../firebase';
+import AdminOrderService, {
+  EDITABLE_ADDRESS_FIELDS,
+  recalculateOrderFinancials,
+  diffOrderItems
+} from '../../utils/orderService';
+import { formatCurrency } from '../../utils/formatUtils';
+
+const ADDRESS_LABELS = {
+  houseNo: 'House No.',
+  line1: 'Address Line 1',
+  line2: 'Address Line 2',
+  city: 'City',
+  state: 'State',
+  pin: 'PIN Code',
+  country: 'Country'
+};
+
+/**
+ * Edit Order Modal
+ * Lets admins change quantities, remove or add products and correct the
+ * shipping address of an order that has not been packed yet. Totals are
+ * previewed with the same calculation the service applies on save.
+ *
+ * @param {Object} props
+ * @param {Object} props.order - Order data (with id)
+ * @param {string} props.adminUserId - Admin editing the order
+ * @param {Function} props.onClose - Close the modal
+ * @param {Function} props.onSaved - Called after the edit is saved
+ */
+const EditOrderModal = ({ order, adminUserId, onClose, onSaved }) => {
+  const [items, setItems] = useState(() => (order.items || []).map(item => ({ ...item })));
+  const [address, setAddress] = useState(() => ({ ...(order.shipping?.address || {}) }));
+  const [note, setNote] = useState('');
+  const [products, setProducts] = useState([]);
+  const [productSearch, setProductSearch] = useState('');
+  const [coupon, setCoupon] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const loadData = async () => {
+      try {
+        const productsSnapshot = await getDocs(collection(db, 'products'));
+        setProducts(productsSnapshot.docs.map(productDoc => ({ id: productDoc.id, ...productDoc.data() })));
+      } catch (error) {
+        console.error('Error fetching products:', error);
+        toast.error('Could not load products');
+      }
+      setCoupon(await AdminOrderService.getOrderCoupon(order));
+    };
+    loadData();
+  }, [order]);
+
+  const updateQuantity = (index, quantity) => {
+    setItems(prev => prev.map((item, i) => (i === index ? { ...item, quantity } : item)));
+  };
+
+  const addProduct = (product) => {
+    const existing = items.findIndex(item => item.productId === product.id);
+    if (existing >= 0) {
+      updateQuantity(existing, Number(items[existing].quantity) + 1);
+    } else {
+      setItems(prev => [...prev, {
+        productId: product.id,
+        name: product.name,
+        price: Number(product.sellingPrice ?? product.price) || 0,
+        quantity: 1,
+        image: product.image || ''
+      }]);
+    }
+    setProductSearch('');
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    const addressChanged = EDITABLE_ADDRESS_FIELDS.some(
+      field => String(address[field] || '') !== String(order.shipping?.address?.[field] || '')
+    );
+    const result = await AdminOrderService.editOrderContents(order.id, {
+      items,
+      shippingAddress: addressChanged ? address : undefined,
+      note
+    }, adminUserId);
+    setSaving(false);
+
+    if (result.success) {
+      toast.success('Order updated');
+      onSaved();
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  const validItems = items.every(item => Number.isInteger(Number(item.quantity)) && Number(item.quantity) >= 1);
+  const previewItems = items.map(item => ({ ...item, quantity: Number(item.quantity) || 0 }));
+  const itemChanges = diffOrderItems(order.items, previewItems);
+  const before = recalculateOrderFinancials(order, order.items || [], null);
+  const after = itemChanges.length > 0 ? recalculateOrderFinancials(order, previewItems, coupon) : before;
+  const matchingProducts = productSearch.trim()
+    ? products
+      .filter(product => product.name?.toLowerCase().includes(productSearch.trim().toLowerCase()))
+      .slice(0, 8)
+    : [];
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl max-w-4xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center sticky top-0 bg-white rounded-t-lg">
+          <h3 className="text-xl font-bold text-gray-900">Edit Order</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 text-2xl leading-none">×</button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {/* Items */}
+          <div>
+            <h4 className="font-semibold text-gray-800 mb-3">Items</h4>
+            <div className="space-y-2">
+              {items.map((item, index) => (
+                <div key={`${item.productId || item.name}-${index}`} className="flex items-center gap-3 text-sm">
+                  <span className="flex-1 text-gray-800">{item.name}</span>
+                  <span className="w-24 text-right text-gray-600">{formatCurrency(item.price)}</span>
+                  <input
+                    type="number"
+                    min="1"
+                    step="1"
+                    value={item.quantity}
+                    onChange={(e) => updateQuantity(index, e.target.value === '' ? '' : Number(e.target.value))}
+                    className="w-20 px-2 py-1 border border-gray-300 rounded-md"
+                  />
+                  <button
+                    onClick={() => setItems(prev => prev.filter((_, i) => i !== index))}
+                    disabled={items.length === 1}
+                    className="text-red-600 hover:text-red-800 disabled:opacity-30"
+                    title={items.length === 1 ? 'An order needs at least one item' : 'Remove item'}
+                  >
+                    Remove
+                  </button>
+                </div>
+              ))}
+            </div>
+            <div className="relative mt-3">
+              <input
+                type="text"
+                value={productSearch}
+                onChange={(e) => setProductSearch(e.target.value)}
+                placeholder="Search products to add..."
+                className={inputClass}
+              />
+              {matchingProducts.length > 0 && (
+                <ul className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-md shadow-lg max-h-60 overflow-y-auto">
+                  {matchingProducts.map(product => (
+                    <li key={product.id}>
+                      <button
+                        onClick={() => addProduct(product)}
+                        className="w-full flex justify-between px-3 py-2 text-sm hover:bg-gray-50 text-left"
+                      >
+                        <span>{product.name}</span>
+                        <span className="text-gray-500">
+                          {formatCurrency(product.sellingPrice ?? product.price)} · {product.stock || 0} in stock
+                        </span>
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+
+          {/* Shipping address */}
+          <div>
+            <h4 className="font-semibold text-gray-800 mb-3">Shipping Address</h4>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              {EDITABLE_ADDRESS_FIELDS.map(field => (
+                <div key={field}>
+                  <label className="block text-xs font-medium text-gray-600 mb-1">{ADDRESS_LABELS[field]}</label>
+                  <input
+                    type="text"
+                    value={address[field] || ''}
+                    onChange={(e) => setAddress(prev => ({ ...prev, [field]: e.target.value }))}
+                    className={inputClass}
+                  />
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {/* Totals preview */}
+          <div className="bg-gray-50 rounded-lg p-4 text-sm">
+            <div className="grid grid-cols-3 gap-2">
+              <span className="text-gray-500"></span>
+              <span className="text-gray-500 text-right">Before</span>
+              <span className="text-gray-500 text-right">After</span>
+              {['subtotal', 'discount', 'tax', 'shipping', 'total'].map(field => (
+                <React.Fragment key={field}>
+                  <span className={`capitalize ${field === 'total' ? 'font-semibold' : ''}`}>{field}</span>
+                  <span className="text-right">{formatCurrency(before[field])}</span>
+                  <span className={`text-right ${before[field] !== after[field] ? 'font-semibold text-blue-700' : ''}`}>
+                    {formatCurrency(after[field])}
+                  </span>
+                </React.Fragment>
+              ))}
+            </div>
+            {coupon && (
+              <p className="text-xs text-gray-500 mt-2">Coupon {coupon.code} is reapplied to the new items.</p>
+            )}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Reason for change</label>
+            <input
+              type="text"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              placeholder="e.g. Customer asked to swap colour on the phone"
+              className={inputClass}
+            />
+          </div>
+        </div>
+
+        <div className="px-6 py-4 border-t border-gray-200 flex justify-end gap-3">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={saving || !validItems}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save Changes'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EditOrderModal;
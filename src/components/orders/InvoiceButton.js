@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import InvoiceService from '../../utils/invoiceService';
+import { printInvoice } from '../../utils/invoiceTemplate';
+import { ORDER_STATUSES } from '../../utils/orderService';
+
+/**
+ * Invoice Button
+ * Issues the GST tax invoice for an order on first use, then reprints the
+ * stored invoice. The invoice number is assigned once and never changes.
+ *
+ * @param {Object} props
+ * @param {Object} props.order - Order to invoice
+ * @param {string} props.adminUserId - Admin issuing the invoice
+ * @param {Function} props.onIssued - Called with the invoice after it is first issued
+ * @param {string} props.className - Optional button classes
+ */
+const InvoiceButton = ({ order, adminUserId, onIssued, className }) => {
+  const [generating, setGenerating] = useState(false);
+  const existingInvoice = order.invoice?.number ? order.invoice : null;
+  const cannotInvoice = !existingInvoice &&
+    [ORDER_STATUSES.DECLINED, ORDER_STATUSES.CANCELLED].includes(order.status);
+
+  const openInvoice = (invoice) => {
+    if (!printInvoice(invoice)) {
+      toast.error('Allow pop-ups for this site to print invoices');
+    }
+  };
+
+  const handleClick = async () => {
+    if (existingInvoice) {
+      openInvoice(existingInvoice);
+      return;
+    }
+
+    const confirmed = window.confirm(
+      `Issue a tax invoice for order ${order.orderId || order.id}?\n\n` +
+      `The next invoice number will be assigned permanently to this order.`
+    );
+    if (!confirmed) return;
+
+    setGenerating(true);
+    const result = await InvoiceService.generateInvoice(order.id, adminUserId);
+    setGenerating(false);
+
+    if (!result.success) {
+      toast.error(`Failed to generate invoice: ${result.error}`);
+      return;
+    }
+
+    toast.success(result.alreadyIssued
+      ? `Invoice ${result.invoice.number} was already issued`
+      : `Invoice ${result.invoice.number} issued`);
+    openInvoice(result.invoice);
+    if (onIssued) {
+      onIssued(result.invoice);
+    }
+  };
+
+  return (
+    <button
+      onClick={handleClick}
+      disabled={generating || cannotInvoice}
+      title={cannotInvoice ? `${order.status} orders cannot be invoiced` : existingInvoice ? `Reprint ${existingInvoice.number}` : 'Issue a GST tax invoice'}
+      className={className || 'px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50 transition-colors text-sm font-medium'}
+    >
+      {generating ? 'Generating...' : existingInvoice ? `Print Invoice ${existingInvoice.number}` : 'Generate Invoice'}
+    </button>
+  );
+};
+
+export default InvoiceButton;
@@ -0,0 +1,105 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import CustomerNotificationService, {
+  NOTIFICATION_CHANNEL_LABELS,
+  OUTBOX_STATES,
+  OUTBOX_STATE_STYLES
+} from '../../utils/customerNotifications';
+import { formatOrderDate } from '../../utils/orderDisplay';
+
+/**
+ * Notification Log
+ * Customer notifications queued for an order with their delivery state and
+ * per-attempt log. Failed or stuck messages can be put back in the queue.
+ *
+ * @param {Object} props
+ * @param {Object} props.order - Order data (with id)
+ * @param {string} props.adminUserId - Admin retrying messages
+ */
+const NotificationLog = ({ order, adminUserId }) => {
+  const [messages, setMessages] = useState([]);
+  const [openId, setOpenId] = useState(null);
+
+  useEffect(() => {
+    return CustomerNotificationService.subscribeToDeliveryLog(
+      order.id,
+      setMessages,
+      (error) => toast.error(`Could not load customer notifications: ${error.message}`)
+    );
+  }, [order.id]);
+
+  const retry = async (messageId) => {
+    const result = await CustomerNotificationService.retryMessage(messageId, adminUserId);
+    if (!result.success) {
+      toast.error(result.error);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+      <h4 className="font-semibold text-gray-800 mb-3">Customer Notifications</h4>
+      {messages.length === 0 ? (
+        <p className="text-sm text-gray-500 italic text-center py-4">No notifications sent for this order</p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {messages.map(message => {
+            const style = OUTBOX_STATE_STYLES[message.state] || OUTBOX_STATE_STYLES[OUTBOX_STATES.QUEUED];
+            const canRetry = message.state === OUTBOX_STATES.FAILED || message.state === OUTBOX_STATES.SENDING;
+            return (
+              <li key={message.id} className="py-3 text-sm">
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className="font-medium text-gray-900">{message.status}</span>
+                  <span className="text-gray-500">
+                    {NOTIFICATION_CHANNEL_LABELS[message.channel] || message.channel}
+                    {message.recipient && ` to ${message.recipient}`}
+                  </span>
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${style.color}`}>{style.label}</span>
+                  <span className="ml-auto flex gap-3 text-xs">
+                    {canRetry && (
+                      <button onClick={() => retry(message.id)} className="text-blue-600 hover:text-blue-800">
+                        Retry
+                      </button>
+                    )}
+                    <button
+                      onClick={() => setOpenId(openId === message.id ? null : message.id)}
+                      className="text-gray-500 hover:text-gray-700"
+                    >
+                      {openId === message.id ? 'Hide' : 'Details'}
+                    </button>
+                  </span>
+                </div>
+                <div className="text-xs text-gray-400 mt-1">
+                  {message.sentAt
+                    ? `Sent ${formatOrderDate(message.sentAt)}`
+                    : message.createdAt ? `Queued ${formatOrderDate(message.createdAt)}` : 'Queueing...'}
+                  {message.attempts > 0 && ` · ${message.attempts} attempt${message.attempts === 1 ? '' : 's'}`}
+                </div>
+                {message.lastError && message.state !== OUTBOX_STATES.SENT && (
+                  <div className="text-xs text-red-600 mt-1">{message.lastError}</div>
+                )}
+
+                {openId === message.id && (
+                  <div className="mt-2 p-3 bg-gray-50 rounded-lg">
+                    {message.subject && <div className="font-medium text-gray-800 mb-1">{message.subject}</div>}
+                    <p className="text-gray-700 whitespace-pre-wrap">{message.body}</p>
+                    <ol className="mt-3 pt-2 border-t border-gray-200 space-y-1">
+                      {(message.log || []).map((entry, index) => (
+                        <li key={index} className="text-xs text-gray-500">
+                          <span className="font-medium">{formatOrderDate(entry.at)}</span>{' '}
+                          {OUTBOX_STATE_STYLES[entry.state]?.label || entry.state}
+                          {entry.detail && ` - ${entry.detail}`}
+                        </li>
+                      ))}
+                    </ol>
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default NotificationLog;
@@ -0,0 +1,193 @@
+import React, { useMemo, useState } from 'react';
+import { toast } from 'react-toastify';
+import { EXPORT_COLUMNS, DEFAULT_EXPORT_COLUMNS, exportOrders } from '../../utils/orderExport';
+import { formatIndianNumber } from '../../utils/formatUtils';
+
+const COLUMN_PREFERENCE_KEY = 'orderExport.columns';
+
+/**
+ * Load the last used column selection, falling back to the defaults
+ */
+const loadSavedColumns = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(COLUMN_PREFERENCE_KEY));
+    const validKeys = EXPORT_COLUMNS.map(column => column.key);
+    if (Array.isArray(saved) && saved.some(key => validKeys.includes(key))) {
+      return saved.filter(key => validKeys.includes(key));
+    }
+  } catch (error) {
+    console.warn('OrderExportModal: Could not read saved export columns', error);
+  }
+  return DEFAULT_EXPORT_COLUMNS;
+};
+
+/**
+ * Order Export Modal
+ * Lets admins pick a file format and columns, then downloads exactly the
+ * orders passed in (the rows matching the current Orders page filters)
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.orders - Orders to export
+ * @param {Function} props.onClose - Close handler
+ */
+const OrderExportModal = ({ orders, onClose }) => {
+  const [format, setFormat] = useState('csv');
+  const [selectedColumns, setSelectedColumns] = useState(loadSavedColumns);
+  const [exporting, setExporting] = useState(false);
+
+  // Group columns for the picker, preserving declaration order
+  const columnGroups = useMemo(() => {
+    return EXPORT_COLUMNS.reduce((groups, column) => {
+      if (!groups[column.group]) {
+        groups[column.group] = [];
+      }
+      groups[column.group].push(column);
+      return groups;
+    }, {});
+  }, []);
+
+  const hasLineColumns = EXPORT_COLUMNS.some(column => column.lineLevel && selectedColumns.includes(column.key));
+
+  const toggleColumn = (key) => {
+    setSelectedColumns(prev => prev.includes(key) ? prev.filter(existing => existing !== key) : [...prev, key]);
+  };
+
+  const toggleGroup = (groupColumns, selectAll) => {
+    const keys = groupColumns.map(column => column.key);
+    setSelectedColumns(prev => selectAll
+      ? [...new Set([...prev, ...keys])]
+      : prev.filter(key => !keys.includes(key)));
+  };
+
+  const handleExport = async () => {
+    if (selectedColumns.length === 0) {
+      toast.error('Select at least one column to export');
+      return;
+    }
+
+    setExporting(true);
+    try {
+      localStorage.setItem(COLUMN_PREFERENCE_KEY, JSON.stringify(selectedColumns));
+      const rowCount = await exportOrders(orders, { format, columnKeys: selectedColumns });
+      toast.success(`Exported ${formatIndianNumber(rowCount, 0)} rows`);
+      onClose();
+    } catch (error) {
+      console.error('❌ OrderExportModal: Export failed:', error);
+      toast.error(`Export failed: ${error.message}`);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl max-w-4xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center sticky top-0 bg-white rounded-t-lg">
+          <h3 className="text-xl font-bold text-gray-900">Export Orders</h3>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-500 p-2 rounded-full hover:bg-gray-100"
+            title="Close"
+          >
+            <svg className="h-6 w-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 text-sm text-blue-800">
+            <strong>{formatIndianNumber(orders.length, 0)}</strong> order{orders.length !== 1 ? 's' : ''} match
+            the current filters and will be exported.
+            {hasLineColumns && ' Item line columns are selected, so each order item gets its own row.'}
+          </div>
+
+          {/* Format */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">File Format</label>
+            <div className="flex gap-4">
+              {[
+                { value: 'csv', label: 'CSV (.csv)' },
+                { value: 'xlsx', label: 'Excel (.xlsx)' }
+              ].map(option => (
+                <label key={option.value} className="flex items-center gap-2 text-sm">
+                  <input
+                    type="radio"
+                    name="exportFormat"
+                    value={option.value}
+                    checked={format === option.value}
+                    onChange={() => setFormat(option.value)}
+                  />
+                  {option.label}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          {/* Column picker */}
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <label className="block text-sm font-medium text-gray-700">Columns</label>
+              <button
+                onClick={() => setSelectedColumns(DEFAULT_EXPORT_COLUMNS)}
+                className="text-xs text-blue-600 hover:underline"
+              >
+                Reset to defaults
+              </button>
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+              {Object.entries(columnGroups).map(([group, groupColumns]) => {
+                const allSelected = groupColumns.every(column => selectedColumns.includes(column.key));
+                return (
+                  <div key={group} className="bg-gray-50 rounded-lg border border-gray-200 p-3">
+                    <div className="flex items-center justify-between mb-2">
+                      <span className="font-semibold text-sm text-gray-800">{group}</span>
+                      <button
+                        onClick={() => toggleGroup(groupColumns, !allSelected)}
+                        className="text-xs text-blue-600 hover:underline"
+                      >
+                        {allSelected ? 'None' : 'All'}
+                      </button>
+                    </div>
+                    <div className="space-y-1">
+                      {groupColumns.map(column => (
+                        <label key={column.key} className="flex items-center gap-2 text-sm text-gray-700">
+                          <input
+                            type="checkbox"
+                            checked={selectedColumns.includes(column.key)}
+                            onChange={() => toggleColumn(column.key)}
+                            className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                          />
+                          {column.label}
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+
+          <div className="flex justify-end gap-3 pt-4 border-t border-gray-200">
+            <button
+              onClick={onClose}
+              className="px-6 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition-colors"
+              disabled={exporting}
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleExport}
+              disabled={exporting || orders.length === 0}
+              className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              {exporting ? 'Exporting...' : `Download ${format.toUpperCase()}`}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default OrderExportModal;
@@ -0,0 +1,289 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { toast } from 'react-toastify';
+import OrderNotesService, { NOTE_VISIBILITY } from '../../utils/orderNotesService';
+import { formatOrderDate } from '../../utils/orderDisplay';
+
+const VISIBILITY_STYLES = {
+  [NOTE_VISIBILITY.INTERNAL]: {
+    label: 'Internal note',
+    badge: 'bg-yellow-100 text-yellow-800',
+    bubble: 'bg-yellow-50 border-yellow-200'
+  },
+  [NOTE_VISIBILITY.CUSTOMER]: {
+    label: 'Message to customer',
+    badge: 'bg-green-100 text-green-800',
+    bubble: 'bg-green-50 border-green-200'
+  }
+};
+
+const THREAD_FILTERS = [
+  { id: 'all', label: 'All' },
+  { id: NOTE_VISIBILITY.INTERNAL, label: 'Internal' },
+  { id: NOTE_VISIBILITY.CUSTOMER, label: 'Customer' }
+];
+
+// The @word being typed at the end of the text, if any
+const MENTION_AT_CURSOR = /@([a-z0-9._-]*)$/i;
+
+/**
+ * Note text with @mentions of known admins highlighted
+ */
+const NoteBody = ({ body, admins }) => {
+  const handles = new Set(admins.map(admin => admin.handle));
+  return (
+    <p className="text-sm text-gray-800 whitespace-pre-wrap">
+      {body.split(/(@[a-z0-9._-]+)/gi).map((part, index) => (
+        part.startsWith('@') && handles.has(part.slice(1).toLowerCase())
+          ? <span key={index} className="font-medium text-blue-700">{part}</span>
+          : part
+      ))}
+    </p>
+  );
+};
+
+/**
+ * Note text box with @mention suggestions
+ */
+const NoteEditor = ({ value, onChange, admins, placeholder, rows = 3 }) => {
+  const match = value.match(MENTION_AT_CURSOR);
+  const suggestions = match
+    ? admins.filter(admin =>
+        admin.handle.startsWith(match[1].toLowerCase()) || admin.name.toLowerCase().includes(match[1].toLowerCase())
+      ).slice(0, 6)
+    : [];
+
+  const insertMention = (admin) => {
+    onChange(value.replace(MENTION_AT_CURSOR, `@${admin.handle} `));
+  };
+
+  return (
+    <div className="relative">
+      <textarea
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        rows={rows}
+        placeholder={placeholder}
+        className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm"
+      />
+      {suggestions.length > 0 && (
+        <div className="absolute z-10 left-0 bottom-full mb-1 w-64 bg-white border border-gray-200 rounded-lg shadow-lg">
+          {suggestions.map(admin => (
+            <button
+              key={admin.id}
+              type="button"
+              onMouseDown={(e) => {
+                e.preventDefault();
+                insertMention(admin);
+              }}
+              className="w-full text-left px-3 py-2 text-sm hover:bg-blue-50"
+            >
+              <span className="font-medium">{admin.name}</span>
+              <span className="text-gray-500 ml-2">@{admin.handle}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Order Notes Thread
+ * Internal notes and customer messages on an order, with @mentions of other
+ * admins and per-note edit history
+ *
+ * @param {Object} props
+ * @param {Object} props.order - Order with id and orderId
+ * @param {Object} props.currentUser - Signed-in Firebase user
+ */
+const OrderNotesThread = ({ order, currentUser }) => {
+  const [notes, setNotes] = useState([]);
+  const [admins, setAdmins] = useState([]);
+  const [filter, setFilter] = useState('all');
+  const [draft, setDraft] = useState('');
+  const [visibility, setVisibility] = useState(NOTE_VISIBILITY.INTERNAL);
+  const [posting, setPosting] = useState(false);
+  const [editing, setEditing] = useState(null);          // { noteId, body }
+  const [historyOpenId, setHistoryOpenId] = useState(null);
+  const threadEndRef = useRef(null);
+
+  useEffect(() => {
+    OrderNotesService.getAdminUsers().then(result => setAdmins(result.admins));
+  }, []);
+
+  useEffect(() => {
+    return OrderNotesService.subscribeToNotes(
+      order.id,
+      setNotes,
+      (error) => toast.error(`Could not load notes: ${error.message}`)
+    );
+  }, [order.id]);
+
+  const authorId = currentUser?.uid || 'admin';
+  const author = {
+    id: authorId,
+    name: admins.find(admin => admin.id === authorId)?.name || currentUser?.displayName || currentUser?.email || 'Admin'
+  };
+
+  const visibleNotes = filter === 'all' ? notes : notes.filter(note => note.visibility === filter);
+
+  const handlePost = async (e) => {
+    e.preventDefault();
+    if (visibility === NOTE_VISIBILITY.CUSTOMER &&
+        !window.confirm('This message will be visible to the customer. Send it?')) {
+      return;
+    }
+
+    setPosting(true);
+    const result = await OrderNotesService.addNote(order, { body: draft, visibility }, author, admins);
+    setPosting(false);
+
+    if (result.success) {
+      setDraft('');
+      threadEndRef.current?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  const handleSaveEdit = async () => {
+    const result = await OrderNotesService.editNote(order, editing.noteId, editing.body, author, admins);
+    if (result.success) {
+      setEditing(null);
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h4 className="font-semibold text-gray-800">Notes & Messages</h4>
+        <div className="flex gap-1">
+          {THREAD_FILTERS.map(option => (
+            <button
+              key={option.id}
+              onClick={() => setFilter(option.id)}
+              className={`px-2.5 py-1 rounded-md text-xs font-medium ${
+                filter === option.id ? 'bg-gray-800 text-white' : 'text-gray-600 hover:bg-gray-100'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="space-y-3 max-h-96 overflow-y-auto mb-4">
+        {visibleNotes.length === 0 && (
+          <p className="text-sm text-gray-500 italic text-center py-4">No notes yet</p>
+        )}
+        {visibleNotes.map(note => {
+          const style = VISIBILITY_STYLES[note.visibility] || VISIBILITY_STYLES[NOTE_VISIBILITY.INTERNAL];
+          const isEditing = editing?.noteId === note.id;
+          return (
+            <div key={note.id} className={`border rounded-lg p-3 ${style.bubble}`}>
+              <div className="flex flex-wrap items-center gap-2 mb-1 text-xs">
+                <span className="font-semibold text-gray-900">{note.authorName || 'Admin'}</span>
+                <span className="text-gray-500">{note.createdAt ? formatOrderDate(note.createdAt) : 'Sending...'}</span>
+                <span className={`px-2 py-0.5 rounded-full font-medium ${style.badge}`}>{style.label}</span>
+                {note.edits?.length > 0 && (
+                  <button
+                    onClick={() => setHistoryOpenId(historyOpenId === note.id ? null : note.id)}
+                    className="text-gray-500 hover:text-gray-700 underline"
+                  >
+                    edited {note.edits.length}×
+                  </button>
+                )}
+                {note.authorId === authorId && !isEditing && (
+                  <button
+                    onClick={() => setEditing({ noteId: note.id, body: note.body })}
+                    className="ml-auto text-blue-600 hover:text-blue-800"
+                  >
+                    Edit
+                  </button>
+                )}
+              </div>
+
+              {isEditing ? (
+                <div>
+                  <NoteEditor
+                    value={editing.body}
+                    onChange={(body) => setEditing(prev => ({ ...prev, body }))}
+                    admins={note.visibility === NOTE_VISIBILITY.INTERNAL ? admins : []}
+                  />
+                  <div className="flex justify-end gap-2 mt-2">
+                    <button
+                      onClick={() => setEditing(null)}
+                      className="px-3 py-1 text-xs text-gray-700 bg-gray-100 rounded hover:bg-gray-200"
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      onClick={handleSaveEdit}
+                      className="px-3 py-1 text-xs text-white bg-blue-600 rounded hover:bg-blue-700"
+                    >
+                      Save
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <NoteBody body={note.body} admins={admins} />
+              )}
+
+              {historyOpenId === note.id && (
+                <div className="mt-2 pt-2 border-t border-gray-200 space-y-1">
+                  {[...note.edits].reverse().map((edit, index) => (
+                    <div key={index} className="text-xs text-gray-500">
+                      <span className="font-medium">Before {formatOrderDate(edit.editedAt)}:</span>{' '}
+                      <span className="whitespace-pre-wrap">{edit.body}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          );
+        })}
+        <div ref={threadEndRef} />
+      </div>
+
+      <form onSubmit={handlePost}>
+        <div className="flex gap-4 mb-2 text-sm">
+          {Object.values(NOTE_VISIBILITY).map(option => (
+            <label key={option} className="flex items-center gap-1.5 text-gray-700">
+              <input
+                type="radio"
+                name="note-visibility"
+                checked={visibility === option}
+                onChange={() => setVisibility(option)}
+                className="text-blue-600 focus:ring-blue-500"
+              />
+              {VISIBILITY_STYLES[option].label}
+            </label>
+          ))}
+        </div>
+        <NoteEditor
+          value={draft}
+          onChange={setDraft}
+          admins={visibility === NOTE_VISIBILITY.INTERNAL ? admins : []}
+          placeholder={visibility === NOTE_VISIBILITY.INTERNAL
+            ? 'Add an internal note. Type @ to mention an admin.'
+            : 'Write a message the customer will see on their order.'}
+        />
+        <div className="flex justify-end mt-2">
+          <button
+            type="submit"
+            disabled={posting || !draft.trim()}
+            className={`px-5 py-2 text-white rounded-lg disabled:opacity-50 transition-colors ${
+              visibility === NOTE_VISIBILITY.CUSTOMER ? 'bg-green-600 hover:bg-green-700' : 'bg-blue-600 hover:bg-blue-700'
+            }`}
+          >
+            {posting ? 'Posting...' : visibility === NOTE_VISIBILITY.CUSTOMER ? 'Send to Customer' : 'Add Note'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default OrderNotesThread;
@@ -0,0 +1,164 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import AdminOrderService, { BULK_OPERATIONS, ORDER_STATUSES } from '../../utils/orderService';
+import InvoiceService from '../../utils/invoiceService';
+import { printPackingDocuments } from '../../utils/packingDocuments';
+
+/**
+ * Packing Print Modal
+ * Prints packing slips and 4x6 shipping labels for the selected orders in a
+ * single print job, and can move the approved ones to Packed afterwards
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.orders - Selected orders
+ * @param {string} props.adminUserId - Admin printing the batch
+ * @param {Function} props.onClose - Close handler
+ * @param {Function} props.onComplete - Called after printing (and packing) finishes
+ */
+const PackingPrintModal = ({ orders, adminUserId, onClose, onComplete }) => {
+  const [includeSlips, setIncludeSlips] = useState(true);
+  const [includeLabels, setIncludeLabels] = useState(true);
+  const [moveToPacked, setMoveToPacked] = useState(false);
+  const [working, setWorking] = useState(false);
+
+  // Only approved orders can move to Packed under the status workflow
+  const packableOrders = orders.filter(order => order.status === ORDER_STATUSES.APPROVED);
+  const missingAddress = orders.filter(order => !order.shipping?.address?.pin);
+
+  const handlePrint = async () => {
+    if (!includeSlips && !includeLabels) {
+      toast.error('Choose packing slips, shipping labels or both');
+      return;
+    }
+
+    setWorking(true);
+    try {
+      const settings = await InvoiceService.getInvoiceSettings();
+      const printed = printPackingDocuments(orders, {
+        includeSlips,
+        includeLabels,
+        sender: {
+          name: settings.sellerName,
+          address: settings.sellerAddress,
+          phone: settings.sellerPhone
+        }
+      });
+
+      if (!printed) {
+        toast.error('Allow pop-ups for this site to print packing documents');
+        return;
+      }
+
+      if (moveToPacked && packableOrders.length > 0) {
+        const result = await AdminOrderService.bulkOperation(
+          BULK_OPERATIONS.UPDATE_STATUS,
+          packableOrders.map(order => order.id),
+          { status: ORDER_STATUSES.PACKED, note: 'Packed from batch packing print' },
+          adminUserId
+        );
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+        const { successCount, failureCount } = result;
+
+        if (failureCount > 0) {
+          toast.warning(`${successCount} orders moved to Packed, ${failureCount} failed`);
+        } else {
+          toast.success(`${successCount} orders moved to Packed`);
+        }
+      }
+
+      if (onComplete) {
+        onComplete();
+      }
+      onClose();
+    } catch (error) {
+      console.error('❌ PackingPrintModal: Batch print failed:', error);
+      toast.error(`Batch print failed: ${error.message}`);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl max-w-lg w-full">
+        <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
+          <h3 className="text-xl font-bold text-gray-900">Print Packing Slips & Labels</h3>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-500 p-2 rounded-full hover:bg-gray-100"
+            title="Close"
+          >
+            <svg className="h-6 w-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          <p className="text-sm text-gray-700">
+            <strong>{orders.length}</strong> selected order{orders.length !== 1 ? 's' : ''} will print in one job.
+          </p>
+
+          <div className="space-y-2">
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={includeSlips}
+                onChange={(e) => setIncludeSlips(e.target.checked)}
+                className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              Packing slips (A4, one per order)
+            </label>
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={includeLabels}
+                onChange={(e) => setIncludeLabels(e.target.checked)}
+                className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              Shipping labels (4x6 in, one per order)
+            </label>
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={moveToPacked}
+                onChange={(e) => setMoveToPacked(e.target.checked)}
+                disabled={packableOrders.length === 0}
+                className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              Move {packableOrders.length} approved order{packableOrders.length !== 1 ? 's' : ''} to Packed after printing
+            </label>
+          </div>
+
+          {missingAddress.length > 0 && (
+            <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 text-sm text-yellow-800">
+              {missingAddress.length} order{missingAddress.length !== 1 ? 's have' : ' has'} no PIN code in the shipping address:{' '}
+              {missingAddress.map(order => order.orderId || order.id).join(', ')}
+            </div>
+          )}
+
+          <div className="flex justify-end gap-3 pt-4 border-t border-gray-200">
+            <button
+              onClick={onClose}
+              className="px-6 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition-colors"
+              disabled={working}
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handlePrint}
+              disabled={working || orders.length === 0}
+              className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              {working ? 'Working...' : 'Print'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PackingPrintModal;
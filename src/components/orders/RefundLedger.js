@@ -0,0 +1,189 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import AdminOrderService, { REFUND_METHODS, getRefundSummary } from '../../utils/orderService';
+import { formatCurrency } from '../../utils/formatUtils';
+import { formatOrderDate } from '../../utils/orderDisplay';
+
+const REFUND_METHOD_LABELS = {
+  [REFUND_METHODS.ORIGINAL]: 'Original payment method',
+  [REFUND_METHODS.UPI]: 'UPI',
+  [REFUND_METHODS.BANK_TRANSFER]: 'Bank transfer',
+  [REFUND_METHODS.STORE_CREDIT]: 'Store credit',
+  [REFUND_METHODS.CASH]: 'Cash'
+};
+
+const EMPTY_REFUND = { amount: '', method: REFUND_METHODS.ORIGINAL, reference: '', reason: '' };
+
+/**
+ * Refund Ledger
+ * Lists every refund recorded against an order with the running total, and
+ * lets admins record further partial refunds up to the order total
+ *
+ * @param {Object} props
+ * @param {Object} props.order - Order data (with id)
+ * @param {string} props.adminUserId - Admin recording refunds
+ * @param {Function} props.onChange - Called after a refund is recorded
+ */
+const RefundLedger = ({ order, adminUserId, onChange }) => {
+  const [showForm, setShowForm] = useState(false);
+  const [refund, setRefund] = useState(EMPTY_REFUND);
+  const [saving, setSaving] = useState(false);
+
+  const summary = getRefundSummary(order);
+  const refunds = order.refunds || [];
+
+  const submitRefund = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    const result = await AdminOrderService.recordRefund(order.id, {
+      ...refund,
+      amount: Number(refund.amount)
+    }, adminUserId);
+    setSaving(false);
+
+    if (result.success) {
+      toast.success(`Refund of ${formatCurrency(result.refund.amount)} recorded`);
+      setRefund(EMPTY_REFUND);
+      setShowForm(false);
+      if (onChange) onChange();
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="font-semibold text-gray-800">Refunds</h4>
+        {summary.remaining > 0 && !showForm && (
+          <button
+            onClick={() => setShowForm(true)}
+            className="px-3 py-1.5 bg-orange-600 text-white rounded-lg hover:bg-orange-700 text-sm"
+          >
+            Record Refund
+          </button>
+        )}
+      </div>
+
+      <div className="grid grid-cols-3 gap-4 mb-4 text-sm">
+        <div>
+          <div className="text-gray-500">Order total</div>
+          <div className="font-semibold">{formatCurrency(summary.orderTotal)}</div>
+        </div>
+        <div>
+          <div className="text-gray-500">Refunded</div>
+          <div className="font-semibold text-orange-600">{formatCurrency(summary.refundedTotal)}</div>
+        </div>
+        <div>
+          <div className="text-gray-500">Remaining</div>
+          <div className="font-semibold">{formatCurrency(summary.remaining)}</div>
+        </div>
+      </div>
+
+      {showForm && (
+        <form onSubmit={submitRefund} className="bg-orange-50 border border-orange-200 rounded-lg p-4 mb-4 grid grid-cols-1 md:grid-cols-2 gap-3 text-sm">
+          <div>
+            <label className="block font-medium text-gray-700 mb-1">Amount (max {formatCurrency(summary.remaining)})</label>
+            <input
+              type="number"
+              min="0.01"
+              step="0.01"
+              max={summary.remaining}
+              value={refund.amount}
+              onChange={(e) => setRefund({ ...refund, amount: e.target.value })}
+              className="w-full p-2 border border-gray-300 rounded-lg"
+              required
+            />
+          </div>
+          <div>
+            <label className="block font-medium text-gray-700 mb-1">Method</label>
+            <select
+              value={refund.method}
+              onChange={(e) => setRefund({ ...refund, method: e.target.value })}
+              className="w-full p-2 border border-gray-300 rounded-lg"
+            >
+              {Object.entries(REFUND_METHOD_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block font-medium text-gray-700 mb-1">Reason</label>
+            <input
+              type="text"
+              value={refund.reason}
+              onChange={(e) => setRefund({ ...refund, reason: e.target.value })}
+              className="w-full p-2 border border-gray-300 rounded-lg"
+              required
+            />
+          </div>
+          <div>
+            <label className="block font-medium text-gray-700 mb-1">Reference (optional)</label>
+            <input
+              type="text"
+              value={refund.reference}
+              onChange={(e) => setRefund({ ...refund, reference: e.target.value })}
+              placeholder="Gateway refund ID, UTR..."
+              className="w-full p-2 border border-gray-300 rounded-lg"
+            />
+          </div>
+          <div className="md:col-span-2 flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => setShowForm(false)}
+              className="px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-orange-600 text-white rounded-lg hover:bg-orange-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Refund'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {refunds.length > 0 ? (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b border-gray-200">
+              <th className="py-2">Date</th>
+              <th>Amount</th>
+              <th>Method</th>
+              <th>Reason</th>
+              <th>Running total</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {refunds.reduce((rows, entry) => {
+              const runningTotal = (rows.length ? rows[rows.length - 1].runningTotal : 0) + entry.amount;
+              return [...rows, { ...entry, runningTotal }];
+            }, []).map(entry => (
+              <tr key={entry.id}>
+                <td className="py-2 text-gray-600">{formatOrderDate(entry.createdAt)}</td>
+                <td className="font-medium">{formatCurrency(entry.amount)}</td>
+                <td className="text-gray-600">
+                  {REFUND_METHOD_LABELS[entry.method] || entry.method}
+                  {entry.reference && <div className="text-xs text-gray-400">{entry.reference}</div>}
+                </td>
+                <td className="text-gray-600">{entry.reason}</td>
+                <td className="text-gray-800">{formatCurrency(entry.runningTotal)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <p className="text-sm text-gray-500">
+          {summary.refundedTotal > 0
+            ? `${formatCurrency(summary.refundedTotal)} was refunded before itemised refunds were tracked.`
+            : 'No refunds recorded for this order.'}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default RefundLedger;
@@ -0,0 +1,415 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import ReturnsService, {
+  RETURN_STATUSES,
+  RETURN_REASONS,
+  getReturnReasonLabel
+} from '../../utils/returnsService';
+import { ORDER_STATUSES } from '../../utils/orderService';
+import { formatCurrency } from '../../utils/formatUtils';
+import { formatOrderDate } from '../../utils/orderDisplay';
+
+const RETURN_STATUS_COLORS = {
+  [RETURN_STATUSES.REQUESTED]: 'bg-yellow-100 text-yellow-800',
+  [RETURN_STATUSES.RECEIVED]: 'bg-blue-100 text-blue-800',
+  [RETURN_STATUSES.INSPECTED]: 'bg-purple-100 text-purple-800',
+  [RETURN_STATUSES.RESTOCKED]: 'bg-green-100 text-green-800',
+  [RETURN_STATUSES.CANCELLED]: 'bg-gray-100 text-gray-700'
+};
+
+/**
+ * Returns Panel
+ * Creates line-item returns for an order and moves them through
+ * Requested → Received → Inspected → Restocked, with refunds per return
+ *
+ * @param {Object} props
+ * @param {Object} props.order - Order data (with id)
+ * @param {string} props.adminUserId - Admin performing actions
+ * @param {Function} props.onChange - Called after a refund changes the order
+ */
+const ReturnsPanel = ({ order, adminUserId, onChange }) => {
+  const [returns, setReturns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [newReturn, setNewReturn] = useState(null);   // { lines: [{ quantity, reasonCode, reasonNote }], note }
+  const [lineAction, setLineAction] = useState(null); // { returnId, type: 'receive' | 'inspect', values: [] }
+
+  const fetchReturns = useCallback(async () => {
+    setLoading(true);
+    const result = await ReturnsService.getReturnsForOrder(order.id);
+    if (result.success) {
+      setReturns(result.returns);
+    } else {
+      toast.error(`Failed to load returns: ${result.error}`);
+    }
+    setLoading(false);
+  }, [order.id]);
+
+  useEffect(() => {
+    fetchReturns();
+  }, [fetchReturns]);
+
+  const returnable = ReturnsService.getReturnableQuantities(order, returns);
+  const canCreateReturn = (order.status === ORDER_STATUSES.DELIVERED ||
+    (order.status === ORDER_STATUSES.REFUNDED && order.deliveredAt)) &&
+    returnable.some(quantity => quantity > 0);
+
+  /**
+   * Run a returns service call and refresh the list
+   * @param {Function} action - Service call returning { success, error }
+   * @param {string} successMessage - Toast shown on success
+   */
+  const runAction = async (action, successMessage) => {
+    setWorking(true);
+    const result = await action();
+    setWorking(false);
+
+    if (result.success) {
+      toast.success(successMessage);
+      setLineAction(null);
+      await fetchReturns();
+    } else {
+      toast.error(result.error);
+    }
+    return result;
+  };
+
+  const startNewReturn = () => {
+    setNewReturn({
+      note: '',
+      lines: (order.items || []).map(() => ({ quantity: 0, reasonCode: RETURN_REASONS.DAMAGED.code, reasonNote: '' }))
+    });
+  };
+
+  const submitNewReturn = async () => {
+    const lines = newReturn.lines
+      .map((line, lineIndex) => ({ ...line, lineIndex, quantity: Number(line.quantity) || 0 }))
+      .filter(line => line.quantity > 0);
+
+    const result = await runAction(
+      () => ReturnsService.createReturn(order.id, lines, adminUserId, newReturn.note),
+      'Return created'
+    );
+    if (result.success) {
+      setNewReturn(null);
+    }
+  };
+
+  const updateNewReturnLine = (index, field, value) => {
+    setNewReturn(prev => ({
+      ...prev,
+      lines: prev.lines.map((line, lineIndex) => lineIndex === index ? { ...line, [field]: value } : line)
+    }));
+  };
+
+  const submitLineAction = (returnData) => {
+    if (lineAction.type === 'receive') {
+      runAction(
+        () => ReturnsService.receiveReturn(returnData.id, lineAction.values.map(Number), adminUserId),
+        `${returnData.rmaNumber} marked as received`
+      );
+    } else {
+      runAction(
+        () => ReturnsService.inspectReturn(returnData.id, lineAction.values, adminUserId),
+        `${returnData.rmaNumber} inspection recorded`
+      );
+    }
+  };
+
+  const cancelReturn = (returnData) => {
+    const reason = window.prompt(`Reason for cancelling ${returnData.rmaNumber}:`, 'Customer withdrew the return');
+    if (reason === null) return;
+    runAction(
+      () => ReturnsService.cancelReturn(returnData.id, reason.trim() || 'Return cancelled', adminUserId),
+      `${returnData.rmaNumber} cancelled`
+    );
+  };
+
+  const restockReturn = (returnData) => {
+    const units = returnData.lines.reduce((sum, line) => sum + line.acceptedQuantity, 0);
+    if (!window.confirm(`Restock ${units} accepted unit(s) from ${returnData.rmaNumber}? Rejected units will not be restocked.`)) {
+      return;
+    }
+    runAction(
+      () => ReturnsService.restockReturn(returnData.id, adminUserId),
+      `${returnData.rmaNumber} restocked`
+    );
+  };
+
+  const refundReturn = async (returnData) => {
+    const suggested = ReturnsService.getSuggestedRefund(returnData);
+    const input = window.prompt(`Refund amount for ${returnData.rmaNumber}:`, suggested.toFixed(2));
+    if (input === null) return;
+
+    const result = await runAction(
+      () => ReturnsService.refundReturn(returnData, { amount: Number(input) }, adminUserId),
+      `Refund recorded for ${returnData.rmaNumber}`
+    );
+    if (result.success && onChange) {
+      onChange();
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h4 className="font-semibold text-gray-800">Returns</h4>
+        {canCreateReturn && !newReturn && (
+          <button
+            onClick={startNewReturn}
+            className="px-3 py-1.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm"
+          >
+            New Return
+          </button>
+        )}
+      </div>
+
+      {newReturn && (
+        <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-4 text-sm space-y-3">
+          {(order.items || []).map((item, index) => (
+            <div key={index} className="grid grid-cols-1 md:grid-cols-4 gap-2 items-center">
+              <div className="font-medium text-gray-800">
+                {item.name}
+                <div className="text-xs text-gray-500">{returnable[index]} of {item.quantity} returnable</div>
+              </div>
+              <input
+                type="number"
+                min="0"
+                max={returnable[index]}
+                value={newReturn.lines[index].quantity}
+                onChange={(e) => updateNewReturnLine(index, 'quantity', e.target.value)}
+                disabled={returnable[index] === 0}
+                className="p-2 border border-gray-300 rounded-lg"
+                title="Units to return"
+              />
+              <select
+                value={newReturn.lines[index].reasonCode}
+                onChange={(e) => updateNewReturnLine(index, 'reasonCode', e.target.value)}
+                disabled={returnable[index] === 0}
+                className="p-2 border border-gray-300 rounded-lg"
+              >
+                {Object.values(RETURN_REASONS).map(reason => (
+                  <option key={reason.code} value={reason.code}>{reason.label}</option>
+                ))}
+              </select>
+              <input
+                type="text"
+                value={newReturn.lines[index].reasonNote}
+                onChange={(e) => updateNewReturnLine(index, 'reasonNote', e.target.value)}
+                disabled={returnable[index] === 0}
+                placeholder="Details (optional)"
+                className="p-2 border border-gray-300 rounded-lg"
+              />
+            </div>
+          ))}
+          <input
+            type="text"
+            value={newReturn.note}
+            onChange={(e) => setNewReturn({ ...newReturn, note: e.target.value })}
+            placeholder="Note for this return (optional)"
+            className="w-full p-2 border border-gray-300 rounded-lg"
+          />
+          <div className="flex justify-end gap-2">
+            <button
+              onClick={() => setNewReturn(null)}
+              className="px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={submitNewReturn}
+              disabled={working}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              Create Return
+            </button>
+          </div>
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading returns...</p>
+      ) : returns.length === 0 ? (
+        <p className="text-sm text-gray-500">No returns for this order.</p>
+      ) : (
+        <div className="space-y-4">
+          {returns.map(returnData => {
+            const editing = lineAction?.returnId === returnData.id ? lineAction : null;
+            const suggestedRefund = ReturnsService.getSuggestedRefund(returnData);
+
+            return (
+              <div key={returnData.id} className="border border-gray-200 rounded-lg p-4">
+                <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+                  <div className="flex items-center gap-3">
+                    <span className="font-mono font-semibold text-gray-800">{returnData.rmaNumber}</span>
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${RETURN_STATUS_COLORS[returnData.status]}`}>
+                      {returnData.status}
+                    </span>
+                    <span className="text-xs text-gray-500">Requested {formatOrderDate(returnData.requestedAt)}</span>
+                  </div>
+                  {returnData.refundedAmount > 0 && (
+                    <span className="text-sm text-orange-600">Refunded {formatCurrency(returnData.refundedAmount)}</span>
+                  )}
+                </div>
+
+                <table className="w-full text-sm mb-3">
+                  <thead>
+                    <tr className="text-left text-gray-500 border-b border-gray-200">
+                      <th className="py-1">Item</th>
+                      <th>Reason</th>
+                      <th>Requested</th>
+                      <th>Received</th>
+                      <th>Accepted</th>
+                      <th>Rejected</th>
+                      <th>Restocked</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {returnData.lines.map((line, index) => (
+                      <tr key={index}>
+                        <td className="py-1 text-gray-800">{line.name}</td>
+                        <td className="text-gray-600">
+                          {getReturnReasonLabel(line.reasonCode)}
+                          {line.reasonNote && <div className="text-xs text-gray-400">{line.reasonNote}</div>}
+                        </td>
+                        <td>{line.quantity}</td>
+                        <td>
+                          {editing?.type === 'receive' ? (
+                            <input
+                              type="number"
+                              min="0"
+                              max={line.quantity}
+                              value={editing.values[index]}
+                              onChange={(e) => setLineAction({
+                                ...editing,
+                                values: editing.values.map((value, i) => i === index ? e.target.value : value)
+                              })}
+                              className="w-16 p-1 border border-gray-300 rounded"
+                            />
+                          ) : line.receivedQuantity}
+                        </td>
+                        <td>
+                          {editing?.type === 'inspect' ? (
+                            <div className="flex gap-1">
+                              <input
+                                type="number"
+                                min="0"
+                                max={line.receivedQuantity}
+                                value={editing.values[index].acceptedQuantity}
+                                onChange={(e) => setLineAction({
+                                  ...editing,
+                                  values: editing.values.map((value, i) => i === index ? { ...value, acceptedQuantity: Number(e.target.value) } : value)
+                                })}
+                                className="w-16 p-1 border border-gray-300 rounded"
+                              />
+                              <input
+                                type="text"
+                                value={editing.values[index].condition}
+                                onChange={(e) => setLineAction({
+                                  ...editing,
+                                  values: editing.values.map((value, i) => i === index ? { ...value, condition: e.target.value } : value)
+                                })}
+                                placeholder="Condition"
+                                className="w-28 p-1 border border-gray-300 rounded"
+                              />
+                            </div>
+                          ) : (
+                            <>
+                              {line.acceptedQuantity}
+                              {line.condition && <div className="text-xs text-gray-400">{line.condition}</div>}
+                            </>
+                          )}
+                        </td>
+                        <td>{line.rejectedQuantity}</td>
+                        <td>{line.restockedQuantity}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+
+                <div className="flex flex-wrap gap-2">
+                  {editing ? (
+                    <>
+                      <button
+                        onClick={() => submitLineAction(returnData)}
+                        disabled={working}
+                        className="px-3 py-1.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm disabled:opacity-50"
+                      >
+                        {editing.type === 'receive' ? 'Save Received Units' : 'Save Inspection'}
+                      </button>
+                      <button
+                        onClick={() => setLineAction(null)}
+                        className="px-3 py-1.5 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 text-sm"
+                      >
+                        Cancel
+                      </button>
+                    </>
+                  ) : (
+                    <>
+                      {returnData.status === RETURN_STATUSES.REQUESTED && (
+                        <>
+                          <button
+                            onClick={() => setLineAction({
+                              returnId: returnData.id,
+                              type: 'receive',
+                              values: returnData.lines.map(line => line.quantity)
+                            })}
+                            disabled={working}
+                            className="px-3 py-1.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm disabled:opacity-50"
+                          >
+                            Mark Received
+                          </button>
+                          <button
+                            onClick={() => cancelReturn(returnData)}
+                            disabled={working}
+                            className="px-3 py-1.5 bg-gray-600 text-white rounded-lg hover:bg-gray-700 text-sm disabled:opacity-50"
+                          >
+                            Cancel Return
+                          </button>
+                        </>
+                      )}
+                      {returnData.status === RETURN_STATUSES.RECEIVED && (
+                        <button
+                          onClick={() => setLineAction({
+                            returnId: returnData.id,
+                            type: 'inspect',
+                            values: returnData.lines.map(line => ({ acceptedQuantity: line.receivedQuantity, condition: '' }))
+                          })}
+                          disabled={working}
+                          className="px-3 py-1.5 bg-purple-600 text-white rounded-lg hover:bg-purple-700 text-sm disabled:opacity-50"
+                        >
+                          Record Inspection
+                        </button>
+                      )}
+                      {returnData.status === RETURN_STATUSES.INSPECTED && (
+                        <button
+                          onClick={() => restockReturn(returnData)}
+                          disabled={working}
+                          className="px-3 py-1.5 bg-green-600 text-white rounded-lg hover:bg-green-700 text-sm disabled:opacity-50"
+                        >
+                          Restock Accepted Units
+                        </button>
+                      )}
+                      {[RETURN_STATUSES.RECEIVED, RETURN_STATUSES.INSPECTED, RETURN_STATUSES.RESTOCKED].includes(returnData.status) && (
+                        <button
+                          onClick={() => refundReturn(returnData)}
+                          disabled={working}
+                          className="px-3 py-1.5 bg-orange-600 text-white rounded-lg hover:bg-orange-700 text-sm disabled:opacity-50"
+                          title={suggestedRefund > 0 ? `Suggested: ${formatCurrency(suggestedRefund)}` : 'Record a refund for this return'}
+                        >
+                          Refund
+                        </button>
+                      )}
+                    </>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReturnsPanel;
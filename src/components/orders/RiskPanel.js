@@ -0,0 +1,121 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import RiskService, { RISK_LEVELS, RISK_LEVEL_STYLES } from '../../utils/riskService';
+import { ORDER_STATUSES } from '../../utils/orderService';
+import { formatOrderDate } from '../../utils/orderDisplay';
+
+/**
+ * Risk Panel
+ * An order's risk score with the signals behind it, and its hold. Orders on
+ * hold cannot be approved until the hold is released.
+ *
+ * @param {Object} props
+ * @param {Object} props.order - Order data (with id)
+ * @param {string} props.adminUserId - Admin changing the hold
+ * @param {Function} props.onChange - Called after the score or hold changes
+ */
+const RiskPanel = ({ order, adminUserId, onChange }) => {
+  const [working, setWorking] = useState(false);
+
+  const risk = order.risk;
+  const style = risk ? RISK_LEVEL_STYLES[risk.level] || RISK_LEVEL_STYLES[RISK_LEVELS.LOW] : null;
+  const onHold = Boolean(order.hold?.active);
+
+  const run = async (action, successMessage) => {
+    setWorking(true);
+    const result = await action();
+    setWorking(false);
+
+    if (result.success) {
+      toast.success(successMessage);
+      if (onChange) onChange();
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  const toggleHold = () => {
+    const reason = window.prompt(
+      onHold ? 'Why is this order safe to release?' : 'Why should this order be held?',
+      onHold ? 'Verified with the customer' : ''
+    );
+    if (reason === null) return;
+    run(
+      () => RiskService.setHold(order.id, !onHold, reason.trim(), adminUserId),
+      onHold ? 'Hold released' : 'Order put on hold'
+    );
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+      <div className="flex flex-wrap items-center gap-3 mb-3">
+        <h4 className="font-semibold text-gray-800">Risk</h4>
+        {risk ? (
+          <span className={`px-2.5 py-1 rounded-full text-xs font-semibold ${style.color}`}>
+            {risk.score} · {style.label}
+          </span>
+        ) : (
+          <span className="text-sm text-gray-500">Not scored yet</span>
+        )}
+        {onHold && (
+          <span className="px-2.5 py-1 rounded-full text-xs font-semibold bg-red-600 text-white">On hold</span>
+        )}
+        <div className="ml-auto flex gap-2">
+          <button
+            onClick={() => run(() => RiskService.rescoreOrder(order), 'Risk score updated')}
+            disabled={working}
+            className="px-3 py-1.5 bg-gray-100 text-gray-700 rounded-lg text-xs font-medium hover:bg-gray-200 disabled:opacity-50"
+          >
+            {risk ? 'Re-score' : 'Score now'}
+          </button>
+          {(onHold || order.status === ORDER_STATUSES.PLACED) && (
+            <button
+              onClick={toggleHold}
+              disabled={working}
+              className={`px-3 py-1.5 rounded-lg text-xs font-medium disabled:opacity-50 ${
+                onHold ? 'bg-green-600 text-white hover:bg-green-700' : 'bg-red-50 text-red-700 hover:bg-red-100'
+              }`}
+            >
+              {onHold ? 'Release Hold' : 'Put on Hold'}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {order.hold && (
+        <p className={`text-sm mb-3 ${onHold ? 'text-red-700' : 'text-gray-500'}`}>
+          {onHold
+            ? `Held ${formatOrderDate(order.hold.placedAt)} by ${order.hold.placedBy}: ${order.hold.reason}`
+            : `Hold released ${formatOrderDate(order.hold.releasedAt)} by ${order.hold.releasedBy}: ${order.hold.reason}`}
+        </p>
+      )}
+
+      {risk && (
+        risk.reasons.length === 0 ? (
+          <p className="text-sm text-gray-500">No risk signals fired.</p>
+        ) : (
+          <ul className="space-y-1 text-sm">
+            {risk.reasons.map(reason => (
+              <li key={reason.signal} className="flex gap-3">
+                <span className="w-10 text-right font-mono text-gray-500">+{reason.points}</span>
+                <span>
+                  <span className="font-medium text-gray-800">{reason.label}</span>
+                  <span className="text-gray-500"> - {reason.detail}</span>
+                </span>
+              </li>
+            ))}
+          </ul>
+        )
+      )}
+
+      {risk && (
+        <p className="text-xs text-gray-400 mt-3">
+          Scored {formatOrderDate(risk.scoredAt)}
+          {risk.appliedRules?.length > 0 && ` · Rules applied: ${risk.appliedRules.join(', ')}`}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default RiskPanel;
@@ -0,0 +1,262 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import OrderViewsService, { describeOrderFilters, sameOrderFilters } from '../../utils/orderViews';
+
+/**
+ * Saved Views Bar
+ * Pinned views as tabs above the orders table, plus dialogs to save the
+ * current filters as a view and to manage personal and shared views
+ *
+ * @param {Object} props
+ * @param {Object} props.filters - Current Orders page filters
+ * @param {Function} props.onApply - Called with a view's filters
+ * @param {string} props.adminUserId - Signed-in admin
+ * @param {string} props.adminName - Signed-in admin's name or email
+ */
+const SavedViewsBar = ({ filters, onApply, adminUserId, adminName }) => {
+  const [views, setViews] = useState([]);
+  const [showSaveDialog, setShowSaveDialog] = useState(false);
+  const [showManageDialog, setShowManageDialog] = useState(false);
+  const [newView, setNewView] = useState({ name: '', shared: false, pinned: true });
+  const [saving, setSaving] = useState(false);
+
+  const loadViews = useCallback(async () => {
+    const result = await OrderViewsService.getViews(adminUserId);
+    if (result.success) {
+      setViews(result.views);
+    } else {
+      toast.error(result.error);
+    }
+  }, [adminUserId]);
+
+  useEffect(() => {
+    loadViews();
+  }, [loadViews]);
+
+  const pinnedViews = views.filter(view => (view.pinnedBy || []).includes(adminUserId));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    const result = await OrderViewsService.createView({ ...newView, filters }, adminUserId, adminName);
+    setSaving(false);
+
+    if (result.success) {
+      toast.success(`View "${result.view.name}" saved`);
+      setShowSaveDialog(false);
+      setNewView({ name: '', shared: false, pinned: true });
+      loadViews();
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  const runAction = async (action, successMessage) => {
+    const result = await action();
+    if (result.success) {
+      if (successMessage) {
+        toast.success(successMessage);
+      }
+      loadViews();
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  const handleDelete = (view) => {
+    if (!window.confirm(`Delete the view "${view.name}"?${view.shared ? ' Other admins will lose it too.' : ''}`)) {
+      return;
+    }
+    runAction(() => OrderViewsService.deleteView(view.id, adminUserId), `View "${view.name}" deleted`);
+  };
+
+  return (
+    <div className="mb-4 flex flex-wrap items-center gap-2">
+      <span className="text-sm font-medium text-gray-500 mr-1">Views:</span>
+      {pinnedViews.length === 0 && (
+        <span className="text-sm text-gray-400 italic">No pinned views</span>
+      )}
+      {pinnedViews.map(view => {
+        const active = sameOrderFilters(view.filters, filters);
+        return (
+          <button
+            key={view.id}
+            onClick={() => onApply(view.filters)}
+            title={describeOrderFilters(view.filters)}
+            className={`px-3 py-1.5 rounded-full text-sm font-medium transition-colors ${
+              active
+                ? 'bg-indigo-600 text-white shadow-sm'
+                : 'bg-indigo-50 text-indigo-700 hover:bg-indigo-100'
+            }`}
+          >
+            {view.name}
+            {view.shared && <span className="ml-1 opacity-75" title="Shared with all admins">👥</span>}
+          </button>
+        );
+      })}
+      <button
+        onClick={() => setShowSaveDialog(true)}
+        className="px-3 py-1.5 rounded-full text-sm text-gray-600 border border-dashed border-gray-300 hover:bg-gray-50 transition-colors"
+      >
+        + Save current view
+      </button>
+      <button
+        onClick={() => setShowManageDialog(true)}
+        className="px-3 py-1.5 rounded-full text-sm text-gray-600 hover:bg-gray-100 transition-colors"
+      >
+        Manage views{views.length > 0 && ` (${views.length})`}
+      </button>
+
+      {/* Save View Dialog */}
+      {showSaveDialog && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <form onSubmit={handleSave} className="bg-white rounded-lg shadow-xl max-w-md w-full">
+            <div className="px-6 py-4 border-b border-gray-200">
+              <h3 className="text-lg font-bold text-gray-900">Save Current View</h3>
+              <p className="text-sm text-gray-500 mt-1">{describeOrderFilters(filters)}</p>
+            </div>
+            <div className="p-6 space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+                <input
+                  type="text"
+                  value={newView.name}
+                  onChange={(e) => setNewView(prev => ({ ...prev, name: e.target.value }))}
+                  placeholder="e.g. Urgent orders awaiting approval"
+                  className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  autoFocus
+                />
+              </div>
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={newView.shared}
+                  onChange={(e) => setNewView(prev => ({ ...prev, shared: e.target.checked }))}
+                  className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                />
+                Share with all admins
+              </label>
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={newView.pinned}
+                  onChange={(e) => setNewView(prev => ({ ...prev, pinned: e.target.checked }))}
+                  className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                />
+                Pin as a tab above the orders table
+              </label>
+            </div>
+            <div className="px-6 py-4 border-t border-gray-200 flex justify-end gap-3">
+              <button
+                type="button"
+                onClick={() => setShowSaveDialog(false)}
+                className="px-4 py-2 text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={saving || !newView.name.trim()}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+              >
+                {saving ? 'Saving...' : 'Save View'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {/* Manage Views Dialog */}
+      {showManageDialog && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg shadow-xl max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+            <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center sticky top-0 bg-white rounded-t-lg">
+              <h3 className="text-lg font-bold text-gray-900">Saved Views</h3>
+              <button
+                onClick={() => setShowManageDialog(false)}
+                className="text-gray-400 hover:text-gray-600 text-2xl leading-none"
+              >
+                ×
+              </button>
+            </div>
+            <div className="p-6">
+              {views.length === 0 ? (
+                <p className="text-sm text-gray-500 italic">
+                  No saved views yet. Set up the filters you use often and save them as a view.
+                </p>
+              ) : (
+                <ul className="divide-y divide-gray-100">
+                  {views.map(view => {
+                    const isOwner = view.createdBy === adminUserId;
+                    const isPinned = (view.pinnedBy || []).includes(adminUserId);
+                    return (
+                      <li key={view.id} className="py-3 flex flex-col md:flex-row md:items-center md:justify-between gap-2">
+                        <div>
+                          <div className="font-medium text-gray-900">
+                            {view.name}
+                            {view.shared && (
+                              <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-green-100 text-green-800">Shared</span>
+                            )}
+                          </div>
+                          <div className="text-xs text-gray-500">{describeOrderFilters(view.filters)}</div>
+                          {!isOwner && (
+                            <div className="text-xs text-gray-400">Shared by {view.createdByName || 'another admin'}</div>
+                          )}
+                        </div>
+                        <div className="flex flex-wrap gap-2 text-sm">
+                          <button
+                            onClick={() => {
+                              onApply(view.filters);
+                              setShowManageDialog(false);
+                            }}
+                            className="px-3 py-1 bg-blue-50 text-blue-700 rounded hover:bg-blue-100"
+                          >
+                            Apply
+                          </button>
+                          <button
+                            onClick={() => runAction(() => OrderViewsService.setViewPinned(view.id, adminUserId, !isPinned))}
+                            className="px-3 py-1 bg-gray-100 text-gray-700 rounded hover:bg-gray-200"
+                          >
+                            {isPinned ? 'Unpin' : 'Pin'}
+                          </button>
+                          {isOwner && (
+                            <>
+                              <button
+                                onClick={() => runAction(
+                                  () => OrderViewsService.updateView(view.id, { filters }, adminUserId),
+                                  `View "${view.name}" updated`
+                                )}
+                                title="Replace this view's filters with the current ones"
+                                className="px-3 py-1 bg-gray-100 text-gray-700 rounded hover:bg-gray-200"
+                              >
+                                Update filters
+                              </button>
+                              <button
+                                onClick={() => runAction(() => OrderViewsService.updateView(view.id, { shared: !view.shared }, adminUserId))}
+                                className="px-3 py-1 bg-gray-100 text-gray-700 rounded hover:bg-gray-200"
+                              >
+                                {view.shared ? 'Make personal' : 'Share'}
+                              </button>
+                              <button
+                                onClick={() => handleDelete(view)}
+                                className="px-3 py-1 bg-red-50 text-red-700 rounded hover:bg-red-100"
+                              >
+                                Delete
+                              </button>
+                            </>
+                          )}
+                        </div>
+                      </li>
+                    );
+                  })}
+                </ul>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SavedViewsBar;
@@ -0,0 +1,190 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import AdminOrderService, { getUnshippedQuantities } from '../../utils/orderService';
+import TrackingService from '../../utils/trackingService';
+import { getCarrierAdapter, TRACKING_EVENT_LABELS } from '../../utils/carriers';
+import { MOCK_STAGES } from '../../utils/carriers/mockCarrier';
+import { formatOrderDate } from '../../utils/orderDisplay';
+
+/**
+ * Shipments Panel
+ * Lists the shipments an order went out in, each with its own items, carrier,
+ * tracking code and carrier events, and lets admins refresh tracking or
+ * confirm delivery shipment by shipment
+ *
+ * @param {Object} props
+ * @param {Object} props.order - Order data (with id)
+ * @param {string} props.adminUserId - Admin confirming deliveries
+ * @param {Function} props.onChange - Called after a shipment is updated
+ */
+const ShipmentsPanel = ({ order, adminUserId, onChange }) => {
+  const [workingId, setWorkingId] = useState(null);
+  const [syncing, setSyncing] = useState(false);
+
+  const shipments = order.shipments || [];
+  const trackingEvents = order.trackingEvents || [];
+  const unshipped = getUnshippedQuantities(order);
+  const remainingLines = (order.items || [])
+    .map((item, index) => ({ name: item.name, quantity: unshipped[index] }))
+    .filter(line => line.quantity > 0);
+
+  const markDelivered = async (shipment) => {
+    setWorkingId(shipment.id);
+    const result = await AdminOrderService.markShipmentDelivered(order.id, shipment.id, adminUserId);
+    setWorkingId(null);
+
+    if (result.success) {
+      toast.success(`Shipment ${shipment.code} marked as delivered`);
+      if (onChange) onChange();
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  const refreshTracking = async () => {
+    setSyncing(true);
+    const result = await TrackingService.syncOrderTracking(order.id, adminUserId);
+    setSyncing(false);
+
+    if (!result.success) {
+      toast.error(result.error);
+      return;
+    }
+    result.errors.forEach(message => toast.warning(message));
+    toast.success(result.added > 0 ? `${result.added} new tracking events` : 'Tracking is up to date');
+    if (result.added > 0 && onChange) onChange();
+  };
+
+  /**
+   * Push the mock carrier's next stage through the webhook path
+   * @param {Object} shipment - Mock carrier shipment
+   */
+  const simulateNextEvent = async (shipment) => {
+    const adapter = getCarrierAdapter(shipment.carrierCode);
+    const reached = trackingEvents
+      .filter(event => event.trackingNumber === shipment.code)
+      .map(event => MOCK_STAGES.indexOf(event.status));
+    const nextStatus = MOCK_STAGES[Math.min(MOCK_STAGES.length - 1, Math.max(-1, ...reached) + 1)];
+
+    setWorkingId(shipment.id);
+    const result = await TrackingService.processWebhook(adapter.code, adapter.buildWebhookPayload(shipment.code, nextStatus));
+    setWorkingId(null);
+
+    if (result.success) {
+      toast.success(`Mock carrier reported: ${TRACKING_EVENT_LABELS[nextStatus]}`);
+      if (onChange) onChange();
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  if (shipments.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="font-semibold text-gray-800">Shipments ({shipments.length})</h4>
+        {shipments.some(shipment => !shipment.deliveredDate) && (
+          <button
+            onClick={refreshTracking}
+            disabled={syncing}
+            className="px-3 py-1.5 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 text-sm disabled:opacity-50"
+          >
+            {syncing ? 'Refreshing...' : 'Refresh Tracking'}
+          </button>
+        )}
+      </div>
+
+      <div className="space-y-3">
+        {shipments.map((shipment, index) => {
+          const shipmentEvents = trackingEvents.filter(event => event.trackingNumber === shipment.code);
+          return (
+            <div key={shipment.id} className="border border-gray-200 rounded-lg p-4 text-sm">
+              <div className="flex flex-wrap justify-between items-start gap-2">
+                <div>
+                  <div className="font-medium text-gray-900">
+                    Shipment {index + 1} · {shipment.carrier}
+                  </div>
+                  {shipment.url ? (
+                    <a
+                      href={shipment.url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="font-mono text-blue-600 hover:text-blue-800 underline"
+                    >
+                      {shipment.code}
+                    </a>
+                  ) : (
+                    <span className="font-mono text-blue-600">{shipment.code}</span>
+                  )}
+                </div>
+                <div className="flex items-center gap-2">
+                  <span className={`px-2 py-1 rounded-full text-xs font-semibold ${
+                    shipment.deliveredDate ? 'bg-green-100 text-green-800' : 'bg-purple-100 text-purple-800'
+                  }`}>
+                    {shipment.deliveredDate
+                      ? 'Delivered'
+                      : TRACKING_EVENT_LABELS[shipment.trackingStatus] || 'In transit'}
+                  </span>
+                  {!shipment.deliveredDate && shipment.carrierCode === 'MOCK' && (
+                    <button
+                      onClick={() => simulateNextEvent(shipment)}
+                      disabled={workingId !== null}
+                      className="px-3 py-1.5 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 text-xs disabled:opacity-50"
+                      title="Send the mock carrier's next tracking webhook"
+                    >
+                      Simulate Next Event
+                    </button>
+                  )}
+                  {!shipment.deliveredDate && (
+                    <button
+                      onClick={() => markDelivered(shipment)}
+                      disabled={workingId !== null}
+                      className="px-3 py-1.5 bg-green-600 text-white rounded-lg hover:bg-green-700 text-xs disabled:opacity-50"
+                    >
+                      {workingId === shipment.id ? 'Saving...' : 'Mark Delivered'}
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              <ul className="mt-2 text-gray-700">
+                {shipment.items.map(item => (
+                  <li key={item.lineIndex}>{item.name} ×{item.quantity}</li>
+                ))}
+              </ul>
+
+              <div className="mt-2 text-xs text-gray-500">
+                Shipped {formatOrderDate(shipment.shippedDate)}
+                {shipment.deliveredDate && ` · Delivered ${formatOrderDate(shipment.deliveredDate)}`}
+                {!shipment.deliveredDate && shipment.estimatedDelivery && ` · Est. delivery ${formatOrderDate(shipment.estimatedDelivery)}`}
+              </div>
+
+              {shipmentEvents.length > 0 && (
+                <ol className="mt-3 border-l border-gray-200 ml-1 space-y-1">
+                  {[...shipmentEvents].reverse().map(event => (
+                    <li key={event.id} className="ml-3 text-xs text-gray-600">
+                      <span className="text-gray-400">{formatOrderDate(event.occurredAt)}</span>
+                      {' · '}{event.description}
+                      {event.location && <span className="text-gray-400"> · {event.location}</span>}
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {remainingLines.length > 0 && (
+        <div className="mt-4 bg-yellow-50 border border-yellow-200 rounded-lg p-3 text-sm text-yellow-800">
+          Still to ship: {remainingLines.map(line => `${line.name} ×${line.quantity}`).join(', ')}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ShipmentsPanel;
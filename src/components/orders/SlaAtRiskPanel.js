@@ -0,0 +1,95 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import SlaService, { SLA_STATES, SLA_STATE_STYLES, SLA_UNITS, formatSlaRemaining } from '../../utils/slaService';
+
+/**
+ * SLA At-Risk Panel
+ * Dashboard list of open orders that have missed, or are close to missing,
+ * the SLA target for their current status
+ *
+ * @param {Object} props
+ * @param {number} props.maxRows - Number of orders to list
+ */
+const SlaAtRiskPanel = ({ maxRows = 8 }) => {
+  const [orders, setOrders] = useState([]);
+  const [truncated, setTruncated] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadOrders = async () => {
+      const result = await SlaService.getAtRiskOrders();
+      if (result.success) {
+        setOrders(result.orders);
+        setTruncated(result.truncated);
+      } else {
+        setError(result.error);
+      }
+      setLoading(false);
+    };
+    loadOrders();
+  }, []);
+
+  const overdueCount = orders.filter(order => order.sla.state === SLA_STATES.OVERDUE).length;
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6 border border-gray-200 mb-8">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="font-semibold text-gray-800">Orders at Risk</h3>
+        {!loading && orders.length > 0 && (
+          <span className="text-sm text-gray-500">
+            {overdueCount} overdue, {orders.length - overdueCount} at risk
+          </span>
+        )}
+      </div>
+
+      {loading && <div className="text-center p-6 text-gray-500">Checking SLA targets...</div>}
+      {!loading && error && <div className="text-center p-6 text-red-600">{error}</div>}
+      {!loading && !error && orders.length === 0 && (
+        <div className="text-center p-6 text-gray-500">All open orders are within their SLA targets</div>
+      )}
+
+      {!loading && orders.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="min-w-full">
+            <thead>
+              <tr className="border-b">
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Order ID</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Target</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">SLA</th>
+              </tr>
+            </thead>
+            <tbody>
+              {orders.slice(0, maxRows).map(order => (
+                <tr key={order.id} className="border-b hover:bg-gray-50">
+                  <td className="px-4 py-3 whitespace-nowrap text-sm">
+                    <Link to={`/orders/${order.id}`} className="text-blue-600 hover:underline">
+                      {order.orderId || order.id.substring(0, 8)}
+                    </Link>
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700">{order.status}</td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">
+                    {order.sla.targetHours}{order.sla.unit === SLA_UNITS.BUSINESS_HOURS ? ' business' : ''} h
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap">
+                    <span className={`px-2 py-1 inline-flex text-xs leading-5 font-semibold rounded-full ${SLA_STATE_STYLES[order.sla.state].color}`}>
+                      {formatSlaRemaining(order.sla)}
+                    </span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {orders.length > maxRows && (
+            <div className="mt-4 text-sm text-gray-500 text-right">
+              and {orders.length - maxRows}{truncated ? '+' : ''} more
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SlaAtRiskPanel;
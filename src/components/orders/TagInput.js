@@ -0,0 +1,119 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { getTagChipClass, indexTags } from '../../utils/tagService';
+
+/**
+ * Tag Input
+ * Tag chips with an autocomplete box that suggests tags from the catalogue.
+ * Only catalogue tags can be added; tags already on the order that were
+ * since removed from the catalogue stay until taken off.
+ *
+ * @param {Object} props
+ * @param {Array<string>} props.value - Tags currently selected
+ * @param {Function} props.onChange - Called with the new tag list
+ * @param {Array<Object>} props.catalogue - Tags from TagService.getTags
+ * @param {string} props.placeholder - Input placeholder
+ */
+const TagInput = ({ value, onChange, catalogue, placeholder = 'Type to find a tag...' }) => {
+  const [input, setInput] = useState('');
+  const [highlighted, setHighlighted] = useState(0);
+  const tagsByName = indexTags(catalogue);
+
+  const term = input.trim().toLowerCase();
+  const suggestions = term
+    ? catalogue.filter(tag => !value.includes(tag.name) && tag.name.includes(term)).slice(0, 8)
+    : [];
+
+  const addTag = (tagName) => {
+    if (tagName && !value.includes(tagName)) {
+      onChange([...value, tagName]);
+    }
+    setInput('');
+    setHighlighted(0);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlighted(index => Math.min(index + 1, suggestions.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlighted(index => Math.max(index - 1, 0));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (suggestions[highlighted]) {
+        addTag(suggestions[highlighted].name);
+      }
+    } else if (e.key === 'Escape') {
+      setInput('');
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-2 mb-3">
+        {value.length === 0 && <span className="text-sm text-gray-500 italic">No tags</span>}
+        {value.map(tag => (
+          <span
+            key={tag}
+            className={`inline-flex items-center gap-1 px-2.5 py-1 rounded-full text-xs font-medium ${getTagChipClass(tag, tagsByName)}`}
+            title={tagsByName[tag]?.description || (tagsByName[tag] ? '' : 'No longer in the tag catalogue')}
+          >
+            {tag}
+            <button
+              onClick={() => onChange(value.filter(existing => existing !== tag))}
+              className="opacity-60 hover:opacity-100"
+              title={`Remove ${tag}`}
+            >
+              ×
+            </button>
+          </span>
+        ))}
+      </div>
+      <div className="relative">
+        <input
+          type="text"
+          value={input}
+          onChange={(e) => {
+            setInput(e.target.value);
+            setHighlighted(0);
+          }}
+          onKeyDown={handleKeyDown}
+          className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm"
+          placeholder={placeholder}
+        />
+        {term && (
+          <div className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-lg shadow-lg max-h-60 overflow-y-auto">
+            {suggestions.length === 0 ? (
+              <div className="px-3 py-2 text-sm text-gray-500">
+                No matching tag. <Link to="/settings?tab=tags" className="text-blue-600 hover:underline">Manage tags</Link>
+              </div>
+            ) : (
+              suggestions.map((tag, index) => (
+                <button
+                  key={tag.name}
+                  type="button"
+                  onMouseDown={(e) => {
+                    // Keep focus in the input so the list doesn't close first
+                    e.preventDefault();
+                    addTag(tag.name);
+                  }}
+                  className={`w-full text-left px-3 py-2 text-sm flex items-center gap-2 ${
+                    index === highlighted ? 'bg-blue-50' : 'hover:bg-gray-50'
+                  }`}
+                >
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${getTagChipClass(tag.name, tagsByName)}`}>
+                    {tag.name}
+                  </span>
+                  {tag.description && <span className="text-xs text-gray-500 truncate">{tag.description}</span>}
+                </button>
+              ))
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TagInput;
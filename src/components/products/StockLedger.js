@@ -0,0 +1,116 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import InventoryService, { MOVEMENT_LABELS, reconcileMovements } from '../../utils/inventoryService';
+import { formatOrderDate } from '../../utils/orderDisplay';
+
+const formatDelta = (delta) => (delta > 0 ? `+${delta}` : String(delta));
+
+/**
+ * Stock Ledger
+ * Movement history for one product, oldest first, reconciled against the
+ * product's current stock. Rows flagged in yellow mark stock that changed
+ * without a ledger entry.
+ *
+ * @param {Object} props
+ * @param {string} props.productId - Product ID
+ * @param {number} props.currentStock - Stock currently saved on the product
+ * @param {number} props.refreshKey - Change to reload the movements
+ */
+const StockLedger = ({ productId, currentStock, refreshKey }) => {
+  const [movements, setMovements] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadMovements = async () => {
+      setLoading(true);
+      const result = await InventoryService.getProductMovements(productId);
+      setMovements(result.movements);
+      setError(result.success ? null : result.error);
+      setLoading(false);
+    };
+    loadMovements();
+  }, [productId, refreshKey]);
+
+  if (loading) {
+    return <div className="text-sm text-gray-500">Loading stock movements...</div>;
+  }
+  if (error) {
+    return <div className="text-sm text-red-600">{error}</div>;
+  }
+  if (movements.length === 0) {
+    return <div className="text-sm text-gray-500 italic">No stock movements recorded for this product yet.</div>;
+  }
+
+  const reconciliation = reconcileMovements(movements, currentStock);
+
+  return (
+    <div>
+      <div className={`mb-4 p-3 rounded-lg text-sm ${
+        reconciliation.reconciled ? 'bg-green-50 text-green-800' : 'bg-yellow-50 text-yellow-800'
+      }`}>
+        Opening stock {reconciliation.firstStock} {formatDelta(reconciliation.recordedChange)} recorded
+        {reconciliation.untrackedChange !== 0 && ` ${formatDelta(reconciliation.untrackedChange)} untracked`}
+        {' '}= {currentStock} in stock.
+        {reconciliation.reconciled
+          ? ' The ledger matches the current stock.'
+          : ' Untracked changes were made outside the admin, e.g. storefront checkouts or direct edits.'}
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b">
+              <th className="py-2 pr-4">Date</th>
+              <th className="py-2 pr-4">Type</th>
+              <th className="py-2 pr-4">Reason</th>
+              <th className="py-2 pr-4">Order</th>
+              <th className="py-2 pr-4 text-right">Change</th>
+              <th className="py-2 pr-4 text-right">Stock</th>
+              <th className="py-2">By</th>
+            </tr>
+          </thead>
+          <tbody>
+            {reconciliation.entries.map(entry => (
+              <React.Fragment key={entry.id}>
+                {entry.gap !== 0 && (
+                  <tr className="bg-yellow-50 text-yellow-800">
+                    <td colSpan="4" className="py-1 pr-4 italic">Untracked change</td>
+                    <td className="py-1 pr-4 text-right">{formatDelta(entry.gap)}</td>
+                    <td colSpan="2"></td>
+                  </tr>
+                )}
+                <tr className="border-b border-gray-100">
+                  <td className="py-2 pr-4 text-gray-600">{formatOrderDate(entry.createdAt)}</td>
+                  <td className="py-2 pr-4">{MOVEMENT_LABELS[entry.type] || entry.type}</td>
+                  <td className="py-2 pr-4 text-gray-600">{entry.reason}</td>
+                  <td className="py-2 pr-4">
+                    {entry.orderId ? (
+                      <Link to={`/orders/${entry.orderId}`} className="text-blue-600 hover:text-blue-800 font-mono text-xs">
+                        {entry.orderId}
+                      </Link>
+                    ) : '—'}
+                  </td>
+                  <td className={`py-2 pr-4 text-right font-medium ${entry.delta > 0 ? 'text-green-700' : 'text-red-700'}`}>
+                    {formatDelta(entry.delta)}
+                  </td>
+                  <td className="py-2 pr-4 text-right text-gray-600">{entry.stockBefore} → {entry.stockAfter}</td>
+                  <td className="py-2 text-xs text-gray-400">{entry.createdBy}</td>
+                </tr>
+              </React.Fragment>
+            ))}
+            {reconciliation.trailingGap !== 0 && (
+              <tr className="bg-yellow-50 text-yellow-800">
+                <td colSpan="4" className="py-1 pr-4 italic">Untracked change since the last movement</td>
+                <td className="py-1 pr-4 text-right">{formatDelta(reconciliation.trailingGap)}</td>
+                <td colSpan="2" className="py-1 pr-4 text-right">{reconciliation.lastRecordedStock} → {currentStock}</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default StockLedger;
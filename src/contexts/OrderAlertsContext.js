@@ -0,0 +1,140 @@
+import React, { createContext, useCallback, useContext, useEffect, useRef, useState } from "react";
+import { toast } from "react-toastify";
+import AdminOrderService from "../utils/orderService";
+import OrderSearchService from "../utils/orderSearch";
+import RiskService from "../utils/riskService";
+import DuplicateOrderService from "../utils/duplicateOrders";
+
+const OrderAlertsContext = createContext({
+  unseenCount: 0,
+  soundEnabled: false,
+  setSoundEnabled: () => {},
+  markAllSeen: () => {}
+});
+
+const SOUND_PREFERENCE_KEY = "orderAlerts.soundEnabled";
+
+// New orders are checked for duplicates in one go at most this often
+const DUPLICATE_CHECK_DELAY_MS = 15000;
+
+/**
+ * Play a short two-tone chime using the Web Audio API
+ * Avoids shipping an audio file just for alerts
+ */
+const playAlertSound = () => {
+  try {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) return;
+
+    const audioContext = new AudioContext();
+    [880, 1320].forEach((frequency, index) => {
+      const oscillator = audioContext.createOscillator();
+      const gain = audioContext.createGain();
+      const startAt = audioContext.currentTime + index * 0.18;
+
+      oscillator.type = "sine";
+      oscillator.frequency.value = frequency;
+      gain.gain.setValueAtTime(0.2, startAt);
+      gain.gain.exponentialRampToValueAtTime(0.001, startAt + 0.16);
+
+      oscillator.connect(gain);
+      gain.connect(audioContext.destination);
+      oscillator.start(startAt);
+      oscillator.stop(startAt + 0.16);
+    });
+
+    setTimeout(() => audioContext.close(), 600);
+  } catch (error) {
+    console.warn("Could not play order alert sound:", error);
+  }
+};
+
+/**
+ * Order Alerts Provider
+ *
+ * Listens for newly placed orders for as long as the admin panel is open and:
+ * - Raises a toast for every new order
+ * - Optionally plays an alert sound (preference saved in localStorage)
+ * - Keeps an unseen count for the Orders badge in the sidebar
+ * - Adds search keywords to the new orders, and on opening to recent orders without them
+ * - Scores the new orders for risk and applies the risk rules
+ * - Checks the new orders for likely duplicates, batched during busy spells
+ */
+export const OrderAlertsProvider = ({ children }) => {
+  const [unseenCount, setUnseenCount] = useState(0);
+  const [soundEnabled, setSoundEnabledState] = useState(
+    () => localStorage.getItem(SOUND_PREFERENCE_KEY) === "true"
+  );
+
+  // Keep the latest preference available to the long-lived listener
+  const soundEnabledRef = useRef(soundEnabled);
+  useEffect(() => {
+    soundEnabledRef.current = soundEnabled;
+  }, [soundEnabled]);
+
+  useEffect(() => {
+    // Catch up on orders placed while the panel was closed
+    OrderSearchService.indexRecentOrders();
+    RiskService.scoreUnscoredOrders();
+    DuplicateOrderService.detectDuplicates();
+
+    let pendingDuplicateChecks = [];
+    let duplicateCheckTimer = null;
+
+    const unsubscribe = AdminOrderService.subscribeToNewOrders((newOrders) => {
+      // Storefront orders arrive without search keywords
+      OrderSearchService.indexOrders(newOrders).catch(error =>
+        console.warn("Could not index new orders for search:", error)
+      );
+      RiskService.scoreNewOrders(newOrders).catch(error =>
+        console.warn("Could not score new orders for risk:", error)
+      );
+      pendingDuplicateChecks = [...pendingDuplicateChecks, ...newOrders];
+      if (!duplicateCheckTimer) {
+        duplicateCheckTimer = setTimeout(() => {
+          DuplicateOrderService.detectDuplicates(pendingDuplicateChecks);
+          pendingDuplicateChecks = [];
+          duplicateCheckTimer = null;
+        }, DUPLICATE_CHECK_DELAY_MS);
+      }
+
+      newOrders.forEach(order => {
+        toast.info(
+          `New order #${order.orderId || order.id} from ${order.userName || order.userEmail || "a customer"}`,
+          { autoClose: 10000 }
+        );
+      });
+
+      if (soundEnabledRef.current) {
+        playAlertSound();
+      }
+
+      setUnseenCount(count => count + newOrders.length);
+    });
+
+    return () => {
+      clearTimeout(duplicateCheckTimer);
+      unsubscribe();
+    };
+  }, []);
+
+  const setSoundEnabled = useCallback((enabled) => {
+    localStorage.setItem(SOUND_PREFERENCE_KEY, String(enabled));
+    setSoundEnabledState(enabled);
+    if (enabled) {
+      playAlertSound();
+    }
+  }, []);
+
+  const markAllSeen = useCallback(() => setUnseenCount(0), []);
+
+  return (
+    <OrderAlertsContext.Provider value={{ unseenCount, soundEnabled, setSoundEnabled, markAllSeen }}>
+      {children}
+    </OrderAlertsContext.Provider>
+  );
+};
+
+export const useOrderAlerts = () => {
+  return useContext(OrderAlertsContext);
+};
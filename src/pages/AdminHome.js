@@ -4,6 +4,11 @@ import { toast } from "react-toastify";
 import { collection, query, getDocs, orderBy, limit } from "firebase/firestore";
 import { db } from "../firebase";
 import { formatCurrency, formatLakhs } from "../utils/formatUtils";
+import { useOrderAlerts } from "../contexts/OrderAlertsContext";
+import SlaAtRiskPanel from "../components/orders/SlaAtRiskPanel";
+import NotificationInbox from "../components/NotificationInbox";
+import { useAuth } from "../contexts/AuthContext";
+import CustomerNotificationService from "../utils/customerNotifications";
 
 // Import recharts components only after React has initialized
 const ChartComponents = () => {
@@ -55,6 +60,7 @@ const AdminDashboard = () => {
   const STATUS_COLORS = {
     "Placed": "#FFBB28", 
     "Approved": "#0088FE", 
+    "Partially Shipped": "#a78bfa",
     "Shipped": "#8884d8",
     "Delivered": "#00C49F",
     "Declined": "#FF8042",
@@ -371,6 +377,9 @@ const AdminDashboard = () => {
             </div>
           </div>
         </div>
+
+        {/* SLA At-Risk Orders */}
+        <SlaAtRiskPanel />
         
         {/* Charts Section */}
         {chartsReady && Charts ? (
@@ -531,6 +540,7 @@ const AdminDashboard = () => {
                         <span className={`px-2 py-1 inline-flex text-xs leading-5 font-semibold rounded-full ${
                           order.status === 'Delivered' ? 'bg-green-100 text-green-800' : 
                           order.status === 'Shipped' ? 'bg-purple-100 text-purple-800' :
+                          order.status === 'Partially Shipped' ? 'bg-violet-100 text-violet-800' :
                           order.status === 'Approved' ? 'bg-blue-100 text-blue-800' :
                           order.status === 'Placed' ? 'bg-yellow-100 text-yellow-800' :
                           order.status === 'Cancelled' ? 'bg-red-100 text-red-800' :
@@ -568,6 +578,11 @@ const AdminDashboard = () => {
  */
 const AdminHome = () => {
   const location = useLocation();
+  const { unseenCount } = useOrderAlerts();
+  const { user } = useAuth();
+
+  // Send queued customer notifications while the admin panel is open
+  useEffect(() => CustomerNotificationService.startOutboxDrainer(), []);
 
   /**
    * Handle admin logout
@@ -581,10 +596,13 @@ const AdminHome = () => {
   const isManageRoute = 
     location.pathname === '/users' || 
     location.pathname === '/products' ||
-    location.pathname === '/orders' ||
+    location.pathname.startsWith('/orders') ||
     location.pathname === '/coupons' ||
     location.pathname === '/banners' ||
     location.pathname === '/announcements' ||
+    location.pathname === '/cod-remittance' ||
+    location.pathname === '/settlements' ||
+    location.pathname === '/settings' ||
     location.pathname.startsWith('/products/edit') ||
     location.pathname.startsWith('/products/add');
 
@@ -608,11 +626,19 @@ const AdminHome = () => {
             <li>
               <Link 
                 to="/orders" 
-                className={`block px-4 py-2 rounded hover:bg-gray-700 ${
-                  location.pathname === '/orders' ? 'bg-gray-700' : ''
+                className={`flex items-center justify-between px-4 py-2 rounded hover:bg-gray-700 ${
+                  location.pathname.startsWith('/orders') ? 'bg-gray-700' : ''
                 }`}
               >
                 Manage Orders
+                {unseenCount > 0 && (
+                  <span
+                    className="ml-2 min-w-[1.5rem] px-1.5 py-0.5 rounded-full bg-red-600 text-white text-xs font-bold text-center"
+                    title={`${unseenCount} new order${unseenCount !== 1 ? 's' : ''}`}
+                  >
+                    {unseenCount}
+                  </span>
+                )}
               </Link>
             </li>
             <li>
@@ -665,6 +691,36 @@ const AdminHome = () => {
                 Manage Announcements
               </Link>
             </li>
+            <li>
+              <Link 
+                to="/cod-remittance" 
+                className={`block px-4 py-2 rounded hover:bg-gray-700 ${
+                  location.pathname === '/cod-remittance' ? 'bg-gray-700' : ''
+                }`}
+              >
+                COD Remittance
+              </Link>
+            </li>
+            <li>
+              <Link 
+                to="/settlements" 
+                className={`block px-4 py-2 rounded hover:bg-gray-700 ${
+                  location.pathname === '/settlements' ? 'bg-gray-700' : ''
+                }`}
+              >
+                Payment Settlements
+              </Link>
+            </li>
+            <li>
+              <Link 
+                to="/settings" 
+                className={`block px-4 py-2 rounded hover:bg-gray-700 ${
+                  location.pathname === '/settings' ? 'bg-gray-700' : ''
+                }`}
+              >
+                Settings
+              </Link>
+            </li>
           </ul>
         </div>
         <button
@@ -675,16 +731,23 @@ const AdminHome = () => {
         </button>
       </div>
       {/* Main Content Area */}
-      <div className="flex-1 p-8 overflow-y-auto">
-        {!isManageRoute && location.pathname === "/" && (
-          <>
-            <h1 className="text-2xl font-bold mb-6">Dashboard</h1>
-            <AdminDashboard />
-          </>
-        )}
-        {isManageRoute || location.pathname !== "/" ? (
-          <Outlet /> /* Render nested routes here */
-        ) : null}
+      <div className="flex-1 overflow-y-auto">
+        {/* Header with the admin's notification inbox */}
+        <div className="sticky top-0 z-40 flex justify-end items-center gap-3 px-8 py-2 bg-white border-b border-gray-200">
+          {user?.email && <span className="text-sm text-gray-500">{user.email}</span>}
+          <NotificationInbox adminUserId={user?.uid} />
+        </div>
+        <div className="p-8">
+          {!isManageRoute && location.pathname === "/" && (
+            <>
+              <h1 className="text-2xl font-bold mb-6">Dashboard</h1>
+              <AdminDashboard />
+            </>
+          )}
+          {isManageRoute || location.pathname !== "/" ? (
+            <Outlet /> /* Render nested routes here */
+          ) : null}
+        </div>
       </div>
     </div>
   );
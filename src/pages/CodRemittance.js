@@ -0,0 +1,296 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import CodRemittanceService, {
+  COD_SETTLEMENT_STATES,
+  COD_SETTLEMENT_STYLES,
+  REMITTANCE_DUE_DAYS
+} from '../utils/codRemittance';
+import RemittanceImportModal from '../components/finance/RemittanceImportModal';
+import { useAuth } from '../contexts/AuthContext';
+import { formatOrderDate } from '../utils/orderDisplay';
+import { formatCurrency, formatIndianNumber } from '../utils/formatUtils';
+import { toCsv, downloadFile } from '../utils/csvUtils';
+
+const STATE_FILTERS = [
+  { id: 'outstanding', label: 'Outstanding', matches: order => order.outstandingAmount > 0 },
+  { id: COD_SETTLEMENT_STATES.OVERDUE, label: 'Overdue', matches: order => order.settlementState === COD_SETTLEMENT_STATES.OVERDUE },
+  { id: COD_SETTLEMENT_STATES.SHORT_PAID, label: 'Short-paid', matches: order => order.settlementState === COD_SETTLEMENT_STATES.SHORT_PAID },
+  { id: COD_SETTLEMENT_STATES.OVER_PAID, label: 'Over-paid', matches: order => order.settlementState === COD_SETTLEMENT_STATES.OVER_PAID },
+  { id: 'settled', label: 'Settled', matches: order => [COD_SETTLEMENT_STATES.REMITTED, COD_SETTLEMENT_STATES.WRITTEN_OFF].includes(order.settlementState) },
+  { id: 'all', label: 'All', matches: () => true }
+];
+
+/**
+ * COD Remittance Component
+ *
+ * Cash collected by carriers on delivered COD orders: what is still
+ * outstanding, which orders are overdue or short-paid, and the remittance
+ * files imported so far
+ *
+ * @returns {JSX.Element} The COD remittance dashboard
+ */
+const CodRemittance = () => {
+  const { user } = useAuth();
+  const adminUserId = user?.uid || 'admin';
+  const [ledger, setLedger] = useState({ orders: [], summary: null });
+  const [remittances, setRemittances] = useState([]);
+  const [filter, setFilter] = useState('outstanding');
+  const [loading, setLoading] = useState(true);
+  const [showImport, setShowImport] = useState(false);
+
+  const loadLedger = useCallback(async () => {
+    const [ledgerResult, remittancesResult] = await Promise.all([
+      CodRemittanceService.getCodLedger(),
+      CodRemittanceService.getRemittances()
+    ]);
+    if (ledgerResult.success) {
+      setLedger({ orders: ledgerResult.orders, summary: ledgerResult.summary });
+    } else {
+      toast.error(ledgerResult.error);
+    }
+    setRemittances(remittancesResult.remittances);
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    loadLedger();
+  }, [loadLedger]);
+
+  const handleWriteOff = async (order) => {
+    const note = window.prompt(
+      `Write off ${formatCurrency(order.outstandingAmount)} on order #${order.orderId || order.id}? Add a note:`
+    );
+    if (note === null) return;
+
+    const result = await CodRemittanceService.writeOffSettlement(order, note, adminUserId);
+    if (result.success) {
+      toast.success('Settlement written off');
+      loadLedger();
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  const activeFilter = STATE_FILTERS.find(item => item.id === filter);
+  const visibleOrders = ledger.orders.filter(activeFilter.matches);
+
+  const handleExport = () => {
+    const csv = toCsv(
+      ['Order', 'Customer', 'Carrier', 'Tracking', 'Delivered', 'Days', 'State', 'Expected', 'Received', 'Outstanding'],
+      visibleOrders.map(order => [
+        order.orderId || order.id,
+        order.customer?.name || '',
+        order.tracking?.carrier || '',
+        order.tracking?.code || '',
+        order.deliveredAt ? order.deliveredAt.toISOString().slice(0, 10) : '',
+        order.daysSinceDelivery ?? '',
+        COD_SETTLEMENT_STYLES[order.settlementState].label,
+        order.expectedAmount,
+        order.receivedAmount,
+        order.outstandingAmount
+      ])
+    );
+    downloadFile(csv, `cod-${activeFilter.id}-${new Date().toISOString().slice(0, 10)}.csv`, 'text/csv;charset=utf-8');
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-2 border-blue-600 border-t-transparent"></div>
+      </div>
+    );
+  }
+
+  const { summary } = ledger;
+  const cards = summary ? [
+    { label: 'Outstanding COD', value: formatCurrency(summary.outstandingAmount), detail: `${formatIndianNumber(summary.outstandingCount, 0)} orders`, color: 'text-gray-900' },
+    { label: `Overdue (> ${REMITTANCE_DUE_DAYS} days)`, value: formatCurrency(summary.overdueAmount), detail: `${formatIndianNumber(summary.overdueCount, 0)} orders`, color: 'text-red-600' },
+    { label: 'Short-paid', value: formatCurrency(summary.shortfall), detail: `${formatIndianNumber(summary.shortPaidCount, 0)} orders`, color: 'text-orange-600' },
+    { label: 'Remitted', value: formatCurrency(summary.remittedAmount), detail: `${formatIndianNumber(summary.deliveredCount, 0)} delivered COD orders`, color: 'text-green-600' }
+  ] : [];
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex justify-between items-center">
+        <h2 className="text-2xl font-bold text-gray-800">COD Remittance</h2>
+        <button
+          onClick={() => setShowImport(true)}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+        >
+          Import Remittance File
+        </button>
+      </div>
+
+      {/* Summary */}
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        {cards.map(card => (
+          <div key={card.label} className="bg-white rounded-lg shadow-md p-4">
+            <p className="text-sm text-gray-500">{card.label}</p>
+            <p className={`text-2xl font-bold ${card.color}`}>{card.value}</p>
+            <p className="text-xs text-gray-400">{card.detail}</p>
+          </div>
+        ))}
+      </div>
+
+      {/* Outstanding by carrier */}
+      {summary && Object.keys(summary.byCarrier).length > 0 && (
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h3 className="text-lg font-semibold mb-3">Outstanding by Carrier</h3>
+          <table className="w-full text-sm">
+            <thead className="text-left text-xs uppercase text-gray-600">
+              <tr>
+                <th className="py-2">Carrier</th>
+                <th className="py-2 text-right">Orders</th>
+                <th className="py-2 text-right">Amount</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {Object.entries(summary.byCarrier)
+                .sort(([, a], [, b]) => b.amount - a.amount)
+                .map(([carrier, totals]) => (
+                  <tr key={carrier}>
+                    <td className="py-2">{carrier}</td>
+                    <td className="py-2 text-right">{formatIndianNumber(totals.count, 0)}</td>
+                    <td className="py-2 text-right font-medium">{formatCurrency(totals.amount)}</td>
+                  </tr>
+                ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Orders */}
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex flex-wrap items-center gap-2 mb-4">
+          {STATE_FILTERS.map(item => (
+            <button
+              key={item.id}
+              onClick={() => setFilter(item.id)}
+              className={`px-3 py-1.5 rounded-full text-sm font-medium ${
+                item.id === filter ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {item.label} ({formatIndianNumber(ledger.orders.filter(item.matches).length, 0)})
+            </button>
+          ))}
+          <button
+            onClick={handleExport}
+            disabled={visibleOrders.length === 0}
+            className="ml-auto px-3 py-1.5 bg-gray-100 text-gray-700 rounded-lg text-sm hover:bg-gray-200 disabled:opacity-50"
+          >
+            Export CSV
+          </button>
+        </div>
+
+        {visibleOrders.length === 0 ? (
+          <p className="text-sm text-gray-500 italic">No delivered COD orders in this view.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50 text-left text-xs uppercase text-gray-600">
+                <tr>
+                  <th className="px-3 py-2">Order</th>
+                  <th className="px-3 py-2">Carrier / Tracking</th>
+                  <th className="px-3 py-2">Delivered</th>
+                  <th className="px-3 py-2">State</th>
+                  <th className="px-3 py-2 text-right">Expected</th>
+                  <th className="px-3 py-2 text-right">Received</th>
+                  <th className="px-3 py-2 text-right">Outstanding</th>
+                  <th className="px-3 py-2"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {visibleOrders.map(order => (
+                  <tr key={order.id}>
+                    <td className="px-3 py-2">
+                      <Link to={`/orders/${order.id}`} className="text-blue-600 hover:underline font-medium">
+                        #{order.orderId || order.id}
+                      </Link>
+                      <div className="text-xs text-gray-500">{order.customer?.name}</div>
+                    </td>
+                    <td className="px-3 py-2">
+                      <div>{order.tracking?.carrier || '-'}</div>
+                      <div className="font-mono text-xs text-gray-500">{order.tracking?.code}</div>
+                    </td>
+                    <td className="px-3 py-2">
+                      <div>{order.deliveredAt ? formatOrderDate(order.deliveredAt) : '-'}</div>
+                      {order.daysSinceDelivery !== null && (
+                        <div className="text-xs text-gray-500">{order.daysSinceDelivery} days ago</div>
+                      )}
+                    </td>
+                    <td className="px-3 py-2">
+                      <span
+                        className={`px-2 py-0.5 rounded-full text-xs font-medium ${COD_SETTLEMENT_STYLES[order.settlementState].color}`}
+                        title={order.codSettlement?.writeOff?.note}
+                      >
+                        {COD_SETTLEMENT_STYLES[order.settlementState].label}
+                      </span>
+                    </td>
+                    <td className="px-3 py-2 text-right">{formatCurrency(order.expectedAmount)}</td>
+                    <td className="px-3 py-2 text-right">{formatCurrency(order.receivedAmount)}</td>
+                    <td className="px-3 py-2 text-right font-medium">{formatCurrency(order.outstandingAmount)}</td>
+                    <td className="px-3 py-2 text-right">
+                      {[COD_SETTLEMENT_STATES.SHORT_PAID, COD_SETTLEMENT_STATES.OVER_PAID, COD_SETTLEMENT_STATES.OVERDUE].includes(order.settlementState) && (
+                        <button
+                          onClick={() => handleWriteOff(order)}
+                          className="px-2 py-1 text-xs text-gray-600 hover:bg-gray-100 rounded"
+                        >
+                          Write off
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Imports */}
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h3 className="text-lg font-semibold mb-3">Recent Imports</h3>
+        {remittances.length === 0 ? (
+          <p className="text-sm text-gray-500 italic">No remittance files imported yet.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100 text-sm">
+            {remittances.map(remittance => {
+              const unmatched = remittance.rows.filter(row => !row.orderId).length;
+              return (
+                <li key={remittance.id} className="py-2 flex flex-wrap items-center gap-3">
+                  <span className="font-medium text-gray-800">{remittance.fileName || 'Remittance'}</span>
+                  {remittance.carrier && <span className="text-gray-500">{remittance.carrier}</span>}
+                  <span className="text-gray-500">
+                    {formatIndianNumber(remittance.summary?.rows || remittance.rows.length, 0)} rows · {formatCurrency(remittance.summary?.recordedAmount || 0)} recorded
+                  </span>
+                  {unmatched > 0 && (
+                    <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                      {formatIndianNumber(unmatched, 0)} unmatched
+                    </span>
+                  )}
+                  <span className="ml-auto text-xs text-gray-400">
+                    {formatOrderDate(remittance.importedAt)} by {remittance.importedBy}
+                  </span>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+
+      {showImport && (
+        <RemittanceImportModal
+          adminUserId={adminUserId}
+          onImported={() => {
+            setShowImport(false);
+            loadLedger();
+          }}
+          onClose={() => setShowImport(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default CodRemittance;
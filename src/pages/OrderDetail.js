@@ -0,0 +1,932 @@
+/**
+ * Admin Order Detail Page
+ *
+ * Full-page view of a single order, reachable at /orders/:id so that support
+ * agents can bookmark and share links to specific orders. Provides:
+ * - Items, financials, customer and shipping address
+ * - Tracking information and status history timeline
+ * - Admin notes and tags editing
+ * - Notes thread with @mentions and customer messages
+ * - All status workflow actions available in the Orders list modal
+ *
+ * @author Shop Admin System
+ * @version 2.0.0
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { toast } from 'react-toastify';
+
+import AdminOrderService, {
+  ORDER_STATUSES,
+  ORDER_PRIORITIES,
+  EDITABLE_ORDER_STATUSES,
+  SHIPPING_CARRIERS,
+  getRefundSummary,
+  getUnshippedQuantities
+} from '../utils/orderService';
+import { getCarrierAdapter } from '../utils/carriers';
+import { formatCurrency } from '../utils/formatUtils';
+import {
+  getStatusStyle,
+  getPriorityStyle,
+  getOrderTotal,
+  formatOrderDate,
+  formatAddressLines
+} from '../utils/orderDisplay';
+import { useAuth } from '../contexts/AuthContext';
+import InvoiceButton from '../components/orders/InvoiceButton';
+import RefundLedger from '../components/orders/RefundLedger';
+import RiskPanel from '../components/orders/RiskPanel';
+import DuplicatePanel from '../components/orders/DuplicatePanel';
+import { isCashOnDelivery } from '../utils/paymentMethods';
+import { COD_SETTLEMENT_STYLES, getCodSettlementState } from '../utils/codRemittance';
+import { GATEWAY_SETTLEMENT_STYLES } from '../utils/gatewaySettlement';
+import ReturnsPanel from '../components/orders/ReturnsPanel';
+import ShipmentsPanel from '../components/orders/ShipmentsPanel';
+import EditOrderModal from '../components/orders/EditOrderModal';
+import TagInput from '../components/orders/TagInput';
+import OrderNotesThread from '../components/orders/OrderNotesThread';
+import NotificationLog from '../components/orders/NotificationLog';
+import TagService from '../utils/tagService';
+
+/**
+ * Default values for the shipping form
+ */
+const EMPTY_SHIPPING_INFO = {
+  trackingNumber: '',
+  carrier: SHIPPING_CARRIERS.INDIA_POST.name,
+  service: 'standard',
+  weight: '',
+  notes: ''
+};
+
+/**
+ * Order Detail Component
+ * Loads a single order by route parameter and renders the full admin view
+ */
+function OrderDetail() {
+  const { id } = useParams();
+  const { user } = useAuth();
+  const adminUserId = user?.uid || 'admin';
+
+  // Core order state
+  const [order, setOrder] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [processingAction, setProcessingAction] = useState(false);
+
+  // Shipping form state
+  const [showShippingForm, setShowShippingForm] = useState(false);
+  const [shippingInfo, setShippingInfo] = useState(EMPTY_SHIPPING_INFO);
+  const [shipQuantities, setShipQuantities] = useState([]);
+  const [packageWeight, setPackageWeight] = useState('');
+  const [showEditModal, setShowEditModal] = useState(false);
+
+  // Admin notes and tags editing state
+  const [adminNotes, setAdminNotes] = useState('');
+  const [tags, setTags] = useState([]);
+  const [tagCatalogue, setTagCatalogue] = useState([]);
+  const [savingMeta, setSavingMeta] = useState(false);
+
+  /**
+   * Load the order from Firestore through the admin service
+   */
+  const fetchOrder = useCallback(async () => {
+    console.log(`📥 OrderDetail: Fetching order ${id}`);
+    setLoading(true);
+    setError(null);
+
+    const result = await AdminOrderService.getOrderById(id);
+
+    if (result.success) {
+      setOrder(result.order);
+      setAdminNotes(result.order.adminNotes || '');
+      setTags(result.order.tags || []);
+    } else {
+      setError(result.error);
+    }
+
+    setLoading(false);
+  }, [id]);
+
+  useEffect(() => {
+    fetchOrder();
+  }, [fetchOrder]);
+
+  /**
+   * Load the tag catalogue for the tag autocomplete
+   */
+  useEffect(() => {
+    TagService.getTags().then(result => setTagCatalogue(result.tags));
+  }, []);
+
+  /**
+   * Move the order to a new status through the admin service
+   * @param {string} newStatus - Target status
+   * @param {Object} updateInfo - Additional update information
+   */
+  const changeStatus = async (newStatus, updateInfo = {}) => {
+    if ([ORDER_STATUSES.DECLINED, ORDER_STATUSES.CANCELLED].includes(newStatus)) {
+      const confirmed = window.confirm(
+        `Are you sure you want to ${newStatus.toLowerCase()} order ${order.orderId || order.id}?\n\n` +
+        `This action cannot be easily undone.`
+      );
+      if (!confirmed) return;
+    }
+
+    setProcessingAction(true);
+    const result = await AdminOrderService.updateOrderStatus(order.id, newStatus, updateInfo, adminUserId);
+    setProcessingAction(false);
+
+    if (result.success) {
+      toast.success(`Order ${order.orderId || order.id} ${newStatus.toLowerCase()} successfully`);
+      await fetchOrder();
+    } else {
+      toast.error(`Failed to update order: ${result.error}`);
+    }
+  };
+
+  /**
+   * Prompt for a reason and then apply a status that requires one
+   * @param {string} newStatus - Target status
+   * @param {string} defaultReason - Pre-filled reason text
+   */
+  const changeStatusWithReason = (newStatus, defaultReason) => {
+    const reason = window.prompt(`Reason for marking this order as ${newStatus}:`, defaultReason);
+    if (reason === null) return;
+    changeStatus(newStatus, { reason: reason.trim() || defaultReason });
+  };
+
+  /**
+   * Submit tracking information and ship the order
+   * Packed and partially shipped orders ship the selected quantities as a new
+   * shipment; shipped orders only have their tracking corrected.
+   * @param {Event} e - Form submit event
+   */
+  const submitShipping = async (e) => {
+    e.preventDefault();
+
+    if (!shippingInfo.trackingNumber.trim()) {
+      toast.error('Please enter a valid tracking code');
+      return;
+    }
+
+    const info = {
+      ...shippingInfo,
+      trackingNumber: shippingInfo.trackingNumber.trim()
+    };
+    const isNewShipment = order.status !== ORDER_STATUSES.SHIPPED;
+
+    if (isNewShipment && !shipQuantities.some(quantity => quantity > 0)) {
+      toast.error('Select at least one item to ship');
+      return;
+    }
+
+    setProcessingAction(true);
+    const result = isNewShipment
+      ? await AdminOrderService.addShipment(order.id, {
+          ...info,
+          items: shipQuantities.map((quantity, lineIndex) => ({ lineIndex, quantity }))
+        }, adminUserId)
+      : await AdminOrderService.updateShippingInfo(order.id, info, adminUserId);
+    setProcessingAction(false);
+
+    if (result.success) {
+      toast.success(`Tracking information added to order ${order.orderId || order.id}`);
+      setShowShippingForm(false);
+      setShippingInfo(EMPTY_SHIPPING_INFO);
+      await fetchOrder();
+    } else {
+      toast.error(`Failed to add tracking: ${result.error}`);
+    }
+  };
+
+  /**
+   * Book the shipment with the selected carrier and fill in its tracking number
+   */
+  const bookWithCarrier = async () => {
+    const adapter = getCarrierAdapter(shippingInfo.carrier);
+    setProcessingAction(true);
+    try {
+      const booking = await adapter.createShipment(order, {
+        items: shipQuantities
+          .map((quantity, lineIndex) => ({ lineIndex, quantity }))
+          .filter(item => item.quantity > 0),
+        service: shippingInfo.service,
+        weight: shippingInfo.weight
+      });
+      setShippingInfo({ ...shippingInfo, trackingNumber: booking.trackingNumber });
+      toast.success(`Booked with ${adapter.name}: ${booking.trackingNumber}`);
+    } catch (error) {
+      console.error('❌ OrderDetail: Carrier booking failed:', error);
+      toast.error(`Carrier booking failed: ${error.message}`);
+    } finally {
+      setProcessingAction(false);
+    }
+  };
+
+  /**
+   * Persist admin notes and tags
+   */
+  const saveAdminFields = async () => {
+    setSavingMeta(true);
+    const result = await AdminOrderService.updateAdminFields(order.id, { adminNotes, tags }, adminUserId);
+    setSavingMeta(false);
+
+    if (result.success) {
+      toast.success('Notes and tags saved');
+      setOrder(prev => ({ ...prev, adminNotes, tags: result.updateData.tags }));
+    } else {
+      toast.error(`Failed to save: ${result.error}`);
+    }
+  };
+
+  /**
+   * Update the order priority
+   * @param {string} priority - New priority value
+   */
+  const changePriority = async (priority) => {
+    const result = await AdminOrderService.updateAdminFields(order.id, { priority }, adminUserId);
+
+    if (result.success) {
+      setOrder(prev => ({ ...prev, priority }));
+      toast.success(`Priority set to ${getPriorityStyle(priority).label}`);
+    } else {
+      toast.error(`Failed to update priority: ${result.error}`);
+    }
+  };
+
+  /**
+   * Copy the permanent link of this order to the clipboard
+   */
+  const copyOrderLink = async () => {
+    const link = `${window.location.origin}/orders/${order.id}`;
+    try {
+      await navigator.clipboard.writeText(link);
+      toast.success('Order link copied to clipboard');
+    } catch (copyError) {
+      window.prompt('Copy this order link:', link);
+    }
+  };
+
+  if (loading && !order) {
+    return (
+      <div className="flex flex-col items-center justify-center min-h-[50vh] p-6">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-4 border-b-4 border-blue-500 mb-4"></div>
+        <div className="text-gray-500">Loading order...</div>
+      </div>
+    );
+  }
+
+  if (error || !order) {
+    return (
+      <div className="flex flex-col items-center justify-center min-h-[50vh] p-6">
+        <div className="text-xl font-semibold text-red-600 mb-2">Order Not Found</div>
+        <div className="text-gray-600 mb-4 text-center max-w-md">{error}</div>
+        <Link to="/orders" className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors">
+          Back to Orders
+        </Link>
+      </div>
+    );
+  }
+
+  const statusStyle = getStatusStyle(order.status);
+  const addressLines = formatAddressLines(order.shipping?.address);
+  const statusHistory = order.statusHistory || [];
+
+  return (
+    <div className="p-6 max-w-7xl mx-auto">
+      {/* Header */}
+      <div className="mb-8">
+        <Link to="/orders" className="text-sm text-blue-600 hover:underline">
+          ← Back to Orders
+        </Link>
+        <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-4 mt-3">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">
+              Order #{order.orderId || order.id}
+            </h1>
+            <div className="flex flex-wrap items-center gap-3 text-sm">
+              <span className={`inline-flex items-center px-3 py-1.5 rounded-full text-xs font-semibold ${statusStyle.color}`}>
+                {statusStyle.label}
+              </span>
+              <select
+                value={order.priority || ORDER_PRIORITIES.NORMAL}
+                onChange={(e) => changePriority(e.target.value)}
+                className={`px-2.5 py-1 rounded-md text-xs font-medium border-0 ${getPriorityStyle(order.priority).color}`}
+                title="Order priority"
+              >
+                {Object.values(ORDER_PRIORITIES).map(priority => (
+                  <option key={priority} value={priority}>{getPriorityStyle(priority).label}</option>
+                ))}
+              </select>
+              <span className="text-gray-600">Placed {formatOrderDate(order.orderDate || order.createdAt)}</span>
+            </div>
+          </div>
+          <div className="flex flex-wrap gap-3">
+            <button
+              onClick={copyOrderLink}
+              className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors text-sm font-medium"
+            >
+              Copy Link
+            </button>
+            <InvoiceButton order={order} adminUserId={adminUserId} onIssued={fetchOrder} />
+            <button
+              onClick={fetchOrder}
+              disabled={loading}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors text-sm font-medium"
+            >
+              {loading ? 'Refreshing...' : 'Refresh'}
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* Status Actions */}
+      <div className="mb-8 bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+        <h3 className="text-lg font-semibold text-gray-800 mb-1">Actions</h3>
+        <p className="text-sm text-gray-500 mb-4">{statusStyle.description}</p>
+        <div className="flex flex-wrap gap-2">
+          {order.status === ORDER_STATUSES.PLACED && (
+            <>
+              <button
+                onClick={() => changeStatus(ORDER_STATUSES.APPROVED)}
+                className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50"
+                disabled={processingAction || order.hold?.active}
+                title={order.hold?.active ? `On hold: ${order.hold.reason}` : undefined}
+              >
+                Approve Order
+              </button>
+              <button
+                onClick={() => changeStatusWithReason(ORDER_STATUSES.DECLINED, 'Order declined by admin')}
+                className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+                disabled={processingAction}
+              >
+                Decline Order
+              </button>
+            </>
+          )}
+
+          {order.status === ORDER_STATUSES.APPROVED && (
+            <div className="flex">
+              <input
+                type="number"
+                min="0"
+                step="0.1"
+                value={packageWeight}
+                onChange={(e) => setPackageWeight(e.target.value)}
+                placeholder="Weight (kg)"
+                title="Package weight, used by the carrier rules"
+                className="w-28 px-3 py-2 border border-gray-300 rounded-l-lg text-sm"
+              />
+              <button
+                onClick={() => changeStatus(ORDER_STATUSES.PACKED, packageWeight ? { packageWeight: Number(packageWeight) } : {})}
+                className="px-4 py-2 bg-indigo-600 text-white rounded-r-lg hover:bg-indigo-700 disabled:opacity-50"
+                disabled={processingAction}
+              >
+                Mark as Packed
+              </button>
+            </div>
+          )}
+
+          {[ORDER_STATUSES.PACKED, ORDER_STATUSES.PARTIALLY_SHIPPED, ORDER_STATUSES.SHIPPED].includes(order.status) && (
+            <button
+              onClick={() => {
+                const isNewShipment = order.status !== ORDER_STATUSES.SHIPPED;
+                setShippingInfo({
+                  ...EMPTY_SHIPPING_INFO,
+                  trackingNumber: isNewShipment ? '' : order.tracking?.code || '',
+                  carrier: order.tracking?.carrier || EMPTY_SHIPPING_INFO.carrier
+                });
+                setShipQuantities(getUnshippedQuantities(order));
+                setShowShippingForm(!showShippingForm);
+              }}
+              className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50"
+              disabled={processingAction}
+            >
+              {order.status === ORDER_STATUSES.PACKED && 'Add Shipping'}
+              {order.status === ORDER_STATUSES.PARTIALLY_SHIPPED && 'New Shipment'}
+              {order.status === ORDER_STATUSES.SHIPPED && 'Update Tracking'}
+            </button>
+          )}
+
+          {order.status === ORDER_STATUSES.SHIPPED && (
+            <button
+              onClick={() => changeStatus(ORDER_STATUSES.DELIVERED)}
+              className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50"
+              disabled={processingAction}
+            >
+              Mark as Delivered
+            </button>
+          )}
+
+          {EDITABLE_ORDER_STATUSES.includes(order.status) && !order.invoice?.number && (
+            <button
+              onClick={() => setShowEditModal(true)}
+              className="px-4 py-2 bg-white text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+              disabled={processingAction}
+            >
+              Edit Order
+            </button>
+          )}
+
+          {[ORDER_STATUSES.PLACED, ORDER_STATUSES.APPROVED, ORDER_STATUSES.PACKED].includes(order.status) && (
+            <button
+              onClick={() => changeStatusWithReason(ORDER_STATUSES.CANCELLED, 'Order cancelled by admin')}
+              className="px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 disabled:opacity-50"
+              disabled={processingAction}
+            >
+              Cancel Order
+            </button>
+          )}
+
+          {[ORDER_STATUSES.DELIVERED, ORDER_STATUSES.CANCELLED].includes(order.status) && (
+            <button
+              onClick={() => changeStatusWithReason(ORDER_STATUSES.REFUNDED, 'Refund processed')}
+              className="px-4 py-2 bg-orange-600 text-white rounded-lg hover:bg-orange-700 disabled:opacity-50"
+              disabled={processingAction}
+            >
+              Mark as Refunded
+            </button>
+          )}
+
+          {[ORDER_STATUSES.DECLINED, ORDER_STATUSES.REFUNDED].includes(order.status) && (
+            <span className="text-sm text-gray-500 italic">No further actions available for this order.</span>
+          )}
+        </div>
+
+        {/* Shipping Form */}
+        {showShippingForm && (
+          <form onSubmit={submitShipping} className="mt-6 pt-6 border-t border-gray-200 space-y-4">
+            {order.status !== ORDER_STATUSES.SHIPPED && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Items in this shipment</label>
+                <div className="border border-gray-200 rounded-lg divide-y divide-gray-100">
+                  {(order.items || []).map((item, index) => {
+                    const available = getUnshippedQuantities(order)[index];
+                    return (
+                      <div key={index} className="flex items-center justify-between px-4 py-2 text-sm">
+                        <span className={available === 0 ? 'text-gray-400' : 'text-gray-800'}>
+                          {item.name}
+                          <span className="text-xs text-gray-500 ml-2">
+                            {available === 0 ? 'already shipped' : `${available} of ${item.quantity} left to ship`}
+                          </span>
+                        </span>
+                        <input
+                          type="number"
+                          min="0"
+                          max={available}
+                          value={shipQuantities[index] ?? 0}
+                          onChange={(e) => {
+                            const next = [...shipQuantities];
+                            next[index] = Math.min(available, Math.max(0, Number(e.target.value) || 0));
+                            setShipQuantities(next);
+                          }}
+                          disabled={available === 0}
+                          className="w-20 p-1.5 border border-gray-300 rounded-lg text-right"
+                        />
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            )}
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Shipping Carrier *</label>
+                <select
+                  value={shippingInfo.carrier}
+                  onChange={(e) => setShippingInfo({ ...shippingInfo, carrier: e.target.value })}
+                  className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  required
+                >
+                  {Object.values(SHIPPING_CARRIERS).map(carrier => (
+                    <option key={carrier.code} value={carrier.name}>
+                      {carrier.name} ({carrier.estimatedDays.standard} days standard)
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Tracking Number *</label>
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    value={shippingInfo.trackingNumber}
+                    onChange={(e) => setShippingInfo({ ...shippingInfo, trackingNumber: e.target.value })}
+                    className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    placeholder="Enter tracking number"
+                    required
+                  />
+                  {order.status !== ORDER_STATUSES.SHIPPED && getCarrierAdapter(shippingInfo.carrier)?.canCreateShipments() && (
+                    <button
+                      type="button"
+                      onClick={bookWithCarrier}
+                      className="px-3 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 text-sm whitespace-nowrap disabled:opacity-50"
+                      disabled={processingAction}
+                      title="Book the shipment with the carrier and use its tracking number"
+                    >
+                      Book
+                    </button>
+                  )}
+                </div>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Service Type</label>
+                <select
+                  value={shippingInfo.service}
+                  onChange={(e) => setShippingInfo({ ...shippingInfo, service: e.target.value })}
+                  className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                >
+                  <option value="standard">Standard Delivery</option>
+                  <option value="express">Express Delivery</option>
+                  <option value="overnight">Overnight Delivery</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Package Weight (kg)</label>
+                <input
+                  type="number"
+                  step="0.1"
+                  value={shippingInfo.weight}
+                  onChange={(e) => setShippingInfo({ ...shippingInfo, weight: e.target.value })}
+                  className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  placeholder="0.0"
+                />
+              </div>
+            </div>
+            <textarea
+              value={shippingInfo.notes}
+              onChange={(e) => setShippingInfo({ ...shippingInfo, notes: e.target.value })}
+              className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              rows="2"
+              placeholder="Optional shipping notes or special instructions..."
+            />
+            <div className="flex justify-end gap-3">
+              <button
+                type="button"
+                onClick={() => setShowShippingForm(false)}
+                className="px-6 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition-colors"
+                disabled={processingAction}
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+                disabled={processingAction}
+              >
+                {processingAction ? 'Processing...' : 'Save Tracking'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+
+      {/* Risk score and hold */}
+      {(order.risk || order.hold || order.status === ORDER_STATUSES.PLACED) && (
+        <div className="mb-8">
+          <RiskPanel order={order} adminUserId={adminUserId} onChange={fetchOrder} />
+        </div>
+      )}
+
+      {/* Likely duplicates and merged orders */}
+      {((order.status === ORDER_STATUSES.PLACED && Object.keys(order.possibleDuplicates || {}).length > 0) || order.mergedInto || order.mergedDuplicates?.length > 0) && (
+        <div className="mb-8">
+          <DuplicatePanel order={order} adminUserId={adminUserId} onChange={fetchOrder} />
+        </div>
+      )}
+
+      {/* Customer, Address and Tracking */}
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-8">
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+          <h4 className="font-semibold text-gray-800 mb-3">Customer</h4>
+          <div className="space-y-2 text-sm">
+            <div className="font-medium text-gray-900">{order.userName || 'N/A'}</div>
+            <div className="text-gray-600 break-all">{order.userEmail}</div>
+            {order.userPhone && <div className="text-gray-600">{order.userPhone}</div>}
+            {order.userId && <div className="text-xs text-gray-400 font-mono">User ID: {order.userId}</div>}
+          </div>
+        </div>
+
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+          <h4 className="font-semibold text-gray-800 mb-3">Shipping Address</h4>
+          {addressLines.length > 0 ? (
+            <div className="text-sm text-gray-700 leading-relaxed">
+              {addressLines.map((line, index) => (
+                <div key={index}>{line}</div>
+              ))}
+            </div>
+          ) : (
+            <div className="text-sm text-gray-500 italic">Address not available</div>
+          )}
+        </div>
+
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+          <h4 className="font-semibold text-gray-800 mb-3">Tracking</h4>
+          {order.tracking?.code ? (
+            <div className="space-y-2 text-sm">
+              <div className="flex justify-between">
+                <span className="text-gray-600">Carrier:</span>
+                <span className="font-medium">{order.tracking.carrier}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Tracking:</span>
+                <span className="font-mono text-blue-600">{order.tracking.code}</span>
+              </div>
+              {order.tracking.estimatedDelivery && (
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Est. Delivery:</span>
+                  <span>{formatOrderDate(order.tracking.estimatedDelivery)}</span>
+                </div>
+              )}
+              {order.tracking.url && (
+                <a
+                  href={order.tracking.url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-blue-600 hover:text-blue-800 underline text-sm"
+                >
+                  Track Package
+                </a>
+              )}
+            </div>
+          ) : (
+            <div className="text-sm text-gray-500 italic">
+              {order.tracking?.carrier
+                ? `Carrier assigned: ${order.tracking.carrier}${order.tracking.assignedByRule ? ` by ${order.tracking.assignedByRule}` : ''}. Tracking number not added yet.`
+                : 'Tracking information not available yet.'}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Items */}
+      <div className="mb-8 bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+        <h4 className="font-semibold text-gray-800 p-6 pb-3">
+          Items ({order.items?.length || 0})
+        </h4>
+        <div className="grid grid-cols-5 gap-4 px-6 py-3 bg-gray-50 text-sm font-medium text-gray-700 border-y border-gray-200">
+          <div className="col-span-2">Product</div>
+          <div>Price</div>
+          <div>Quantity</div>
+          <div>Total</div>
+        </div>
+        <div className="divide-y divide-gray-100">
+          {order.items?.length > 0 ? order.items.map((item, index) => (
+            <div key={index} className="grid grid-cols-5 gap-4 px-6 py-3 items-center text-sm">
+              <div className="col-span-2 flex items-center gap-3">
+                {item.image && (
+                  <img
+                    src={item.image}
+                    alt={item.name}
+                    className="w-12 h-12 object-cover border border-gray-200 rounded"
+                  />
+                )}
+                <div>
+                  <div className="font-medium text-gray-800">{item.name}</div>
+                  {item.productId && (
+                    <Link to={`/products/edit/${item.productId}`} className="text-xs text-blue-600 hover:underline">
+                      View product
+                    </Link>
+                  )}
+                </div>
+              </div>
+              <div className="text-gray-600">{formatCurrency(item.price || 0)}</div>
+              <div className="text-gray-600">×{item.quantity}</div>
+              <div className="font-medium text-gray-800">{formatCurrency((item.price || 0) * (item.quantity || 0))}</div>
+            </div>
+          )) : (
+            <div className="p-6 text-center text-gray-500">No items found for this order</div>
+          )}
+        </div>
+      </div>
+
+      {/* Financials and Payment */}
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+          <h4 className="font-semibold text-gray-800 mb-3">Financials</h4>
+          <div className="space-y-2 text-sm">
+            <div className="flex justify-between">
+              <span className="text-gray-600">Subtotal:</span>
+              <span>{formatCurrency(order.financials?.subtotal || order.subtotal || 0)}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-600">Tax:</span>
+              <span>{formatCurrency(order.financials?.tax || order.tax || 0)}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-600">Shipping:</span>
+              <span>{formatCurrency(order.financials?.shipping || order.shipping?.cost || 0)}</span>
+            </div>
+            {(order.financials?.discount || order.discount) > 0 && (
+              <div className="flex justify-between text-green-600">
+                <span>Discount:</span>
+                <span>-{formatCurrency(order.financials?.discount || order.discount || 0)}</span>
+              </div>
+            )}
+            <div className="border-t border-gray-200 pt-2 mt-2 flex justify-between text-base font-bold">
+              <span>Total:</span>
+              <span>{formatCurrency(getOrderTotal(order))}</span>
+            </div>
+            {getRefundSummary(order).refundedTotal > 0 && (
+              <div className="flex justify-between text-orange-600">
+                <span>Refunded:</span>
+                <span>{formatCurrency(getRefundSummary(order).refundedTotal)}</span>
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+          <h4 className="font-semibold text-gray-800 mb-3">Payment</h4>
+          <div className="space-y-2 text-sm">
+            <div className="flex justify-between">
+              <span className="text-gray-600">Method:</span>
+              <span className="font-medium">{order.payment?.method || 'N/A'}</span>
+            </div>
+            {order.payment?.status && (
+              <div className="flex justify-between">
+                <span className="text-gray-600">Status:</span>
+                <span>{order.payment.status}</span>
+              </div>
+            )}
+            {order.payment?.details?.cardType && (
+              <div className="flex justify-between">
+                <span className="text-gray-600">Card Type:</span>
+                <span>{order.payment.details.cardType}</span>
+              </div>
+            )}
+            {order.payment?.details?.lastFour && (
+              <div className="flex justify-between">
+                <span className="text-gray-600">Card Number:</span>
+                <span className="font-mono">xxxx-xxxx-xxxx-{order.payment.details.lastFour}</span>
+              </div>
+            )}
+            {order.payment?.details?.upiId && (
+              <div className="flex justify-between">
+                <span className="text-gray-600">UPI ID:</span>
+                <span className="font-mono">{order.payment.details.upiId}</span>
+              </div>
+            )}
+            {order.payment?.details?.reference && (
+              <div className="flex justify-between">
+                <span className="text-gray-600">Reference:</span>
+                <span className="font-mono">{order.payment.details.reference}</span>
+              </div>
+            )}
+            {isCashOnDelivery(order) && order.status === ORDER_STATUSES.DELIVERED && (
+              <div className="flex justify-between items-center">
+                <span className="text-gray-600">COD Remittance:</span>
+                <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${COD_SETTLEMENT_STYLES[getCodSettlementState(order)].color}`}>
+                  {COD_SETTLEMENT_STYLES[getCodSettlementState(order)].label}
+                  {order.codSettlement?.receivedAmount !== undefined && ` · ${formatCurrency(order.codSettlement.receivedAmount)} received`}
+                </span>
+              </div>
+            )}
+            {order.gatewaySettlement?.state && (
+              <>
+                <div className="flex justify-between items-center">
+                  <span className="text-gray-600">Gateway:</span>
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${GATEWAY_SETTLEMENT_STYLES[order.gatewaySettlement.state].color}`}>
+                    {GATEWAY_SETTLEMENT_STYLES[order.gatewaySettlement.state].label}
+                  </span>
+                </div>
+                {order.gatewaySettlement.capturedAmount > 0 && (
+                  <>
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Gateway Fees:</span>
+                      <span>{formatCurrency(order.gatewaySettlement.fee)}</span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Net Settlement:</span>
+                      <span className="font-medium">{formatCurrency(order.gatewaySettlement.netAmount)}</span>
+                    </div>
+                  </>
+                )}
+              </>
+            )}
+            {order.source === 'admin' && (
+              <div className="text-xs text-gray-400">Taken by an admin via {order.channel}</div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Shipments */}
+      {order.shipments?.length > 0 && (
+        <div className="mb-8">
+          <ShipmentsPanel order={order} adminUserId={adminUserId} onChange={fetchOrder} />
+        </div>
+      )}
+
+      {/* Returns and Refunds */}
+      <div className="grid grid-cols-1 gap-6 mb-8">
+        <ReturnsPanel order={order} adminUserId={adminUserId} onChange={fetchOrder} />
+        <RefundLedger order={order} adminUserId={adminUserId} onChange={fetchOrder} />
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Status Timeline */}
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+          <h4 className="font-semibold text-gray-800 mb-4">Status Timeline</h4>
+          {statusHistory.length > 0 ? (
+            <ol className="relative border-l border-gray-200 ml-2">
+              {statusHistory.map((history, index) => (
+                <li key={index} className="mb-6 ml-4 last:mb-0">
+                  <span className={`absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full border border-white ${getStatusStyle(history.status).dot}`}></span>
+                  <div className="flex justify-between items-start">
+                    <div className="font-medium text-sm text-gray-900">
+                      {history.previousStatus && history.previousStatus !== history.status
+                        ? `${history.previousStatus} → ${history.status}`
+                        : history.status}
+                    </div>
+                    <time className="text-xs text-gray-500 flex-shrink-0 ml-2">
+                      {formatOrderDate(history.timestamp)}
+                    </time>
+                  </div>
+                  {history.note && (
+                    <div className="text-sm text-gray-600 mt-1">{history.note}</div>
+                  )}
+                  {history.metadata?.edit && (
+                    <ul className="text-xs text-gray-500 mt-1 list-disc list-inside">
+                      {history.metadata.edit.items.map((change, changeIndex) => (
+                        <li key={changeIndex}>
+                          {change.name}: {change.change === 'added' && `added ×${change.to}`}
+                          {change.change === 'removed' && `removed (was ×${change.from})`}
+                          {change.change === 'quantity' && `×${change.from} → ×${change.to}`}
+                        </li>
+                      ))}
+                      {Object.entries(history.metadata.edit.shippingAddress || {}).map(([field, change]) => (
+                        <li key={field}>{field}: "{change.from}" → "{change.to}"</li>
+                      ))}
+                      {history.metadata.edit.financials && (
+                        <li>
+                          Total {formatCurrency(history.metadata.edit.financials.from.total)} → {formatCurrency(history.metadata.edit.financials.to.total)}
+                        </li>
+                      )}
+                    </ul>
+                  )}
+                  {history.updatedBy && (
+                    <div className="text-xs text-gray-400 mt-1">By {history.updatedBy}</div>
+                  )}
+                </li>
+              ))}
+            </ol>
+          ) : (
+            <div className="text-sm text-gray-500 italic text-center py-4">
+              No status history available
+            </div>
+          )}
+        </div>
+
+        {/* Notes thread - internal notes and customer messages */}
+        <OrderNotesThread order={order} currentUser={user} />
+
+        {/* Customer notifications and their delivery log */}
+        <NotificationLog order={order} adminUserId={user?.uid || 'admin'} />
+
+        {/* Admin Notes and Tags */}
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+          <h4 className="font-semibold text-gray-800 mb-4">Admin Notes & Tags</h4>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Notes</label>
+          <textarea
+            value={adminNotes}
+            onChange={(e) => setAdminNotes(e.target.value)}
+            className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 mb-4"
+            rows="5"
+            placeholder="Internal notes visible only to admins..."
+          />
+          <label className="block text-sm font-medium text-gray-700 mb-2">Tags</label>
+          <div className="mb-4">
+            <TagInput value={tags} onChange={setTags} catalogue={tagCatalogue} />
+          </div>
+          <div className="flex justify-end">
+            <button
+              onClick={saveAdminFields}
+              disabled={savingMeta}
+              className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+            >
+              {savingMeta ? 'Saving...' : 'Save Notes & Tags'}
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {showEditModal && (
+        <EditOrderModal
+          order={order}
+          adminUserId={adminUserId}
+          onClose={() => setShowEditModal(false)}
+          onSaved={() => {
+            setShowEditModal(false);
+            fetchOrder();
+          }}
+        />
+      )}
+    </div>
+  );
+}
+
+export default OrderDetail;
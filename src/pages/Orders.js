@@ -3,7 +3,9 @@
  * 
  * This comprehensive component provides complete order management functionality
  * for administrators with advanced features including:
- * - Real-time order listing with advanced filtering
+ * - Real-time order listing with advanced filtering (live Firestore feed)
+ * - Cursor pagination with per-status counts from aggregate queries
+ * - Saved views (personal or shared) and filters mirrored in the URL
  * - Status management with workflow validation
  * - Bulk operations for efficiency
  * - Detailed order views with full history
@@ -20,8 +22,7 @@
  */
 
 import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
-import { collection, query, orderBy, getDocs, doc, updateDoc, getDoc } from 'firebase/firestore';
-import { db } from '../firebase';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import { toast, ToastContainer } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 
@@ -29,40 +30,63 @@ import 'react-toastify/dist/ReactToastify.css';
 import AdminOrderService, { 
   ORDER_STATUSES, 
   ORDER_PRIORITIES, 
-  SHIPPING_CARRIERS 
+  SHIPPING_CARRIERS,
+  BULK_JOB_STATES,
+  BULK_OPERATIONS,
+  BULK_OPERATION_LABELS,
+  getBulkUndoProblem,
+  getTransitionRequirements
 } from '../utils/orderService';
 import { formatCurrency, formatIndianNumber } from '../utils/formatUtils';
+import { useAuth } from '../contexts/AuthContext';
+import { useOrderAlerts } from '../contexts/OrderAlertsContext';
+import OrderExportModal from '../components/orders/OrderExportModal';
+import InvoiceButton from '../components/orders/InvoiceButton';
+import PackingPrintModal from '../components/orders/PackingPrintModal';
+import CreateOrderModal from '../components/orders/CreateOrderModal';
+import BulkProgressPanel from '../components/orders/BulkProgressPanel';
+import BulkJobHistory from '../components/orders/BulkJobHistory';
+import SlaService, { SLA_STATES, SLA_STATE_STYLES, getOrderSla, formatSlaRemaining } from '../utils/slaService';
+import { getSearchTokens } from '../utils/orderSearch';
+import { filtersFromSearchParams, filtersToSearchParams, DEFAULT_ORDER_FILTERS } from '../utils/orderViews';
+import SavedViewsBar from '../components/orders/SavedViewsBar';
+import TagService, { getTagChipClass, indexTags } from '../utils/tagService';
+import { RISK_LEVELS, RISK_LEVEL_STYLES } from '../utils/riskService';
+
+// Rows per page offered in the table footer
+const PAGE_SIZE_OPTIONS = [10, 25, 50, 100];
+const DEFAULT_PAGE_SIZE = 25;
 
 /**
  * Main Orders Management Component
  * Provides comprehensive order management interface for administrators
  */
 function Orders() {
+  // Signed-in admin, recorded on every order change
+  const { user } = useAuth();
+  const adminUserId = user?.uid || 'admin';
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  
   // Core state management for orders and UI
-  const [orders, setOrders] = useState([]);                    // Main orders list
-  const [filteredOrders, setFilteredOrders] = useState([]);   // Filtered orders based on current filters
+  const [orders, setOrders] = useState([]);                    // Orders on the current page
   const [loading, setLoading] = useState(true);               // Loading state for data fetching
   const [error, setError] = useState(null);                   // Error state for error handling
   
-  // Ref to store the latest fetchOrders function for interval access
-  const fetchOrdersRef = useRef(null);
+  // Live subscription state - bumping the key re-creates the Firestore listener
+  const [subscriptionKey, setSubscriptionKey] = useState(0);
+  const [liveConnected, setLiveConnected] = useState(false);
+  const [recentlyUpdatedIds, setRecentlyUpdatedIds] = useState(() => new Set());
+  const highlightTimeoutsRef = useRef([]);
   
-  // Ref to prevent rapid successive API calls
-  const lastFetchTimeRef = useRef(0);
-  const FETCH_DEBOUNCE_MS = 1000; // Minimum time between fetches
+  // New-order alerts are raised by the provider; this page only clears the badge
+  const { unseenCount, markAllSeen, soundEnabled, setSoundEnabled } = useOrderAlerts();
   
-  // Filter and search state management - Initialize with proper default values
-  const [filters, setFilters] = useState({
-    status: 'all',                    // Status filter for order workflow
-    priority: 'all',                  // Priority filter for urgent orders
-    searchTerm: '',                   // Search term for order/customer lookup
-    dateRange: {
-      startDate: '',                  // Start date for date range filtering
-      endDate: ''                     // End date for date range filtering
-    },
-    minAmount: '',                    // Minimum order amount filter
-    carrier: 'all'                    // Shipping carrier filter
-  });
+  // Filter state - starts from the URL so filtered lists and saved views can be linked
+  const [filters, setFilters] = useState(() => filtersFromSearchParams(searchParams));
+  
+  // Query string last written to or read from the URL, to tell our own updates from navigation
+  const syncedParamsRef = useRef(searchParams.toString());
   
   // Modal and UI state management - Initialize with proper default values
   const [selectedOrder, setSelectedOrder] = useState(null);   // Currently selected order for detailed view
@@ -73,6 +97,8 @@ function Orders() {
   // Bulk operations state management - Initialize with proper Set object
   const [selectedOrderIds, setSelectedOrderIds] = useState(() => new Set()); // Selected orders for bulk operations
   const [bulkOperationMode, setBulkOperationMode] = useState(false);   // Bulk operation mode toggle
+  const [bulkRun, setBulkRun] = useState(null);                       // Bulk run in progress or just finished
+  const [bulkJobsRefreshKey, setBulkJobsRefreshKey] = useState(0);    // Reloads the recent bulk runs
   
   // Shipping management state - Initialize with proper default values
   const [shippingInfo, setShippingInfo] = useState({
@@ -87,9 +113,35 @@ function Orders() {
   const [showAnalytics, setShowAnalytics] = useState(false);  // Analytics view toggle
   const [analyticsData, setAnalyticsData] = useState(null);   // Analytics data cache
   const [analyticsLoading, setAnalyticsLoading] = useState(false); // Analytics loading state
+
+  // Export state
+  const [showExportModal, setShowExportModal] = useState(false); // Export dialog visibility
+  const [showCreateModal, setShowCreateModal] = useState(false); // Manual order dialog visibility
+  const [showPackingPrint, setShowPackingPrint] = useState(false); // Packing slip/label dialog visibility
+
+  // SLA targets used for the overdue badges
+  const [slaSettings, setSlaSettings] = useState(null);
+  
+  // Tag catalogue for the tag filter, chips and bulk tagging
+  const [tagCatalogue, setTagCatalogue] = useState([]);
+  const [bulkTag, setBulkTag] = useState('');
+  
+  // Search term sent to the server, trailing the input by the debounce delay
+  const [searchQuery, setSearchQuery] = useState(filters.searchTerm);
+  
+  // Cursor pagination - cursors holds the last document of each previous page,
+  // and is only valid for the filters and page size it was built with (key)
+  const [pageSize, setPageSize] = useState(DEFAULT_PAGE_SIZE);
+  const [pagination, setPagination] = useState({ key: '', cursors: [] });
+  const [pageEnd, setPageEnd] = useState({ lastDoc: null, hasMore: false });
+  
+  // Matching order counts per status tab, from Firestore aggregate queries
+  const [statusCounts, setStatusCounts] = useState(null);
+  const [countsRefreshKey, setCountsRefreshKey] = useState(0);
   
-  // Note: Pagination state removed as it's not currently implemented in the UI
-  // Future enhancement: Add pagination for large datasets
+  // Export loads every matching order, not just the current page
+  const [exportOrders, setExportOrders] = useState([]);
+  const [preparingExport, setPreparingExport] = useState(false);
 
   /**
    * Comprehensive order status configuration with enhanced styling and workflow
@@ -130,6 +182,17 @@ function Orders() {
         requiresTracking: true
       }
     },
+    [ORDER_STATUSES.PARTIALLY_SHIPPED]: { 
+      label: 'Partially Shipped', 
+      color: 'bg-violet-100 text-violet-800 border-violet-200',
+      description: 'Some items shipped, the rest still to ship',
+      nextActions: ['ship'],
+      workflow: {
+        canShip: true,
+        hasTracking: true,
+        requiresTracking: true
+      }
+    },
     [ORDER_STATUSES.SHIPPED]: { 
       label: 'Shipped', 
       color: 'bg-purple-100 text-purple-800 border-purple-200',
@@ -210,131 +273,30 @@ function Orders() {
   }), []);
 
   /**
-   * Comprehensive order fetching function
-   * Uses the reliable approach from the original code with enhanced error handling
+   * Re-create the live order listener (used by the Refresh and Retry buttons)
    */
-  const fetchOrders = useCallback(async () => {
-    // Debounce rapid successive calls to prevent infinite loops
-    const now = Date.now();
-    if (now - lastFetchTimeRef.current < FETCH_DEBOUNCE_MS) {
-      console.log('📥 Orders: Skipping fetch due to debounce');
-      return;
-    }
-    lastFetchTimeRef.current = now;
-    
-    console.log('📥 Orders: Fetching orders from backend using direct Firestore query');
+  const fetchOrders = useCallback(() => {
+    console.log('📥 Orders: Reconnecting live order feed');
+    setSubscriptionKey(key => key + 1);
+  }, []);
+
+  /**
+   * Briefly highlight orders that were changed elsewhere
+   * @param {Array<string>} orderIds - IDs of modified orders
+   */
+  const highlightUpdatedOrders = useCallback((orderIds) => {
+    if (orderIds.length === 0) return;
     
-    try {
-      setLoading(true);
-      setError(null);
-      
-      // Use the reliable direct Firestore approach from the original code
-      // Try multiple field names for ordering to handle different data structures
-      let ordersData = [];
-      let querySuccessful = false;
-      
-      // Try ordering by 'orderDate' first (as in original code)
-      try {
-        console.log('📥 Orders: Attempting query with orderBy("orderDate", "desc")');
-        const ordersQuery = query(collection(db, "orders"), orderBy("orderDate", "desc"));
-        const ordersSnapshot = await getDocs(ordersQuery);
-        
-        ordersData = ordersSnapshot.docs.map(doc => ({
-          id: doc.id,
-          ...doc.data()
-        }));
-        
-        querySuccessful = true;
-        console.log(`✅ Orders: Successfully fetched ${ordersData.length} orders using 'orderDate' field`);
-      } catch (orderDateError) {
-        console.warn('⚠️ Orders: Failed to order by "orderDate", trying "createdAt":', orderDateError);
-        
-        // Fallback to 'createdAt' ordering
-        try {
-          console.log('📥 Orders: Attempting query with orderBy("createdAt", "desc")');
-          const ordersQuery = query(collection(db, "orders"), orderBy("createdAt", "desc"));
-          const ordersSnapshot = await getDocs(ordersQuery);
-          
-          ordersData = ordersSnapshot.docs.map(doc => {
-            const data = doc.data();
-            // Log sample order data to help debug field structures
-            if (ordersData.length === 0) {
-              console.log('📊 Orders: Sample order data structure:', {
-                id: doc.id,
-                total: data.total,
-                amount: data.amount,
-                financials: data.financials,
-                payment: data.payment,
-                items: data.items?.length || 0
-              });
-            }
-            return {
-              id: doc.id,
-              ...data
-            };
-          });
-          
-          querySuccessful = true;
-          console.log(`✅ Orders: Successfully fetched ${ordersData.length} orders using 'createdAt' field`);
-        } catch (createdAtError) {
-          console.warn('⚠️ Orders: Failed to order by "createdAt", trying without ordering:', createdAtError);
-          
-          // Final fallback: no ordering
-          try {
-            console.log('📥 Orders: Attempting query without ordering');
-            const ordersSnapshot = await getDocs(collection(db, "orders"));
-            
-            ordersData = ordersSnapshot.docs.map(doc => ({
-              id: doc.id,
-              ...doc.data()
-            }));
-            
-            // Sort manually by available date field
-            ordersData.sort((a, b) => {
-              const dateA = a.orderDate || a.createdAt?.toDate?.() || a.createdAt || new Date(0);
-              const dateB = b.orderDate || b.createdAt?.toDate?.() || b.createdAt || new Date(0);
-              return new Date(dateB) - new Date(dateA);
-            });
-            
-            querySuccessful = true;
-            console.log(`✅ Orders: Successfully fetched ${ordersData.length} orders without ordering (sorted manually)`);
-          } catch (finalError) {
-            throw new Error(`Failed all query attempts: ${finalError.message}`);
-          }
-        }
-      }
-      
-      if (querySuccessful) {
-        setOrders(ordersData);
-        
-        console.log(`✅ Orders: Successfully loaded ${ordersData.length} orders`);
-        
-        // Show success message only on manual refresh
-        if (ordersData.length > 0) {
-          // Safely call toast only if it's available
-          if (typeof toast === 'object' && toast !== null && typeof toast.success === 'function') {
-            toast.success(`Refreshed ${ordersData.length} orders`);
-          }
-        }
-      } else {
-        throw new Error('Failed to fetch orders with all attempted methods');
-      }
-    } catch (error) {
-      console.error('❌ Orders: Error fetching orders:', error);
-      setError(error.message);
-      // Safely call toast only if it's available
-      if (typeof toast === 'object' && toast !== null && typeof toast.error === 'function') {
-        toast.error(`Failed to load orders: ${error.message}`);
-      }
-    } finally {
-      setLoading(false);
-    }
-  }, []); // Remove all dependencies to prevent infinite loops
-  
-  // Update the ref whenever fetchOrders changes
-  useEffect(() => {
-    fetchOrdersRef.current = fetchOrders;
-  }, [fetchOrders]);
+    setRecentlyUpdatedIds(prev => new Set([...prev, ...orderIds]));
+    const timeoutId = setTimeout(() => {
+      setRecentlyUpdatedIds(prev => {
+        const next = new Set(prev);
+        orderIds.forEach(id => next.delete(id));
+        return next;
+      });
+    }, 5000);
+    highlightTimeoutsRef.current.push(timeoutId);
+  }, []);
 
   /**
    * Extract order total from various possible fields
@@ -386,140 +348,207 @@ function Orders() {
   }, []);
 
   /**
-   * Advanced filter application function
-   * Applies all active filters to the orders list with comprehensive search logic
+   * Filters applied by Firestore, for the page, the counts and the export
+   * Status is kept apart so switching tabs does not recount every status.
    */
-  const applyFilters = useCallback(() => {
-    let filtered = [...orders];
-    
-    console.log(`🔍 Orders: Applying filters to ${orders.length} orders`);
-    
-    // Status filter - filter by order status
-    if (filters.status && filters.status !== 'all') {
-      filtered = filtered.filter(order => order.status === filters.status);
-      console.log(`🔍 Orders: Status filter (${filters.status}) applied, ${filtered.length} orders remaining`);
-    }
-    
-    // Priority filter - filter by order priority
-    if (filters.priority && filters.priority !== 'all') {
-      filtered = filtered.filter(order => (order.priority || ORDER_PRIORITIES.NORMAL) === filters.priority);
-      console.log(`🔍 Orders: Priority filter (${filters.priority}) applied, ${filtered.length} orders remaining`);
-    }
-    
-    // Search term filter - comprehensive text search across multiple fields
-    if (filters.searchTerm && filters.searchTerm.trim()) {
-      const searchTerm = filters.searchTerm.toLowerCase().trim();
-      filtered = filtered.filter(order => {
-        return (
-          // Search in order ID
-          order.orderId?.toLowerCase().includes(searchTerm) ||
-          order.id?.toLowerCase().includes(searchTerm) ||
-          // Search in customer information
-          order.userName?.toLowerCase().includes(searchTerm) ||
-          order.userEmail?.toLowerCase().includes(searchTerm) ||
-          order.userPhone?.toLowerCase().includes(searchTerm) ||
-          // Search in product names
-          order.items?.some(item => 
-            item.name?.toLowerCase().includes(searchTerm)
-          ) ||
-          // Search in tracking information
-          order.tracking?.code?.toLowerCase().includes(searchTerm) ||
-          // Search in admin notes
-          order.adminNotes?.toLowerCase().includes(searchTerm)
-        );
-      });
-      console.log(`🔍 Orders: Search filter ("${searchTerm}") applied, ${filtered.length} orders remaining`);
-    }
-    
-    // Minimum amount filter - filter by order total
-    if (filters.minAmount && !isNaN(parseFloat(filters.minAmount))) {
-      const minAmount = parseFloat(filters.minAmount);
-      filtered = filtered.filter(order => {
-        // Inline order total calculation to avoid circular dependency
-        const orderTotal = order.total || order.amount || order.grandTotal || order.finalAmount || 0;
-        return orderTotal >= minAmount;
-      });
-      console.log(`🔍 Orders: Min amount filter (₹${minAmount}) applied, ${filtered.length} orders remaining`);
-    }
-    
-    // Carrier filter - filter by shipping carrier
-    if (filters.carrier && filters.carrier !== 'all') {
-      filtered = filtered.filter(order => order.tracking?.carrier === filters.carrier);
-      console.log(`🔍 Orders: Carrier filter (${filters.carrier}) applied, ${filtered.length} orders remaining`);
-    }
+  const countFilters = useMemo(() => ({
+    priority: filters.priority,
+    carrier: filters.carrier,
+    tags: filters.tags,
+    searchTerm: searchQuery,
+    startDate: filters.dateRange.startDate,
+    endDate: filters.dateRange.endDate,
+    minAmount: filters.minAmount && !isNaN(parseFloat(filters.minAmount)) ? filters.minAmount : ''
+  }), [filters.priority, filters.carrier, filters.tags, filters.dateRange.startDate, filters.dateRange.endDate, filters.minAmount, searchQuery]);
+  
+  const serverFilters = useMemo(() => ({ ...countFilters, status: filters.status }), [countFilters, filters.status]);
+  
+  // Any change to the filters or page size starts again from the first page
+  const pageKey = useMemo(() => JSON.stringify({ ...serverFilters, pageSize }), [serverFilters, pageSize]);
+  const pageCursors = useMemo(() => (pagination.key === pageKey ? pagination.cursors : []), [pagination, pageKey]);
+  const currentCursor = pageCursors[pageCursors.length - 1] || null;
+  const pageNumber = pageCursors.length + 1;
+  const totalCount = statusCounts ? statusCounts[filters.status] ?? null : null;
+  const totalPages = totalCount !== null ? Math.max(1, Math.ceil(totalCount / pageSize)) : null;
+  const searching = filters.searchTerm.trim() !== searchQuery;
+  const tagsByName = useMemo(() => indexTags(tagCatalogue), [tagCatalogue]);
+  const hasActiveFilters = filters.status !== 'all' || filters.priority !== 'all' || filters.carrier !== 'all' || filters.tags.length > 0 ||
+    Boolean(filters.searchTerm.trim() || filters.dateRange.startDate || filters.dateRange.endDate || filters.minAmount);
+
+  /**
+   * Live order page
+   * Subscribes to Firestore for the current page only, so orders changed by
+   * other admins update in place and new orders appear without a refresh.
+   */
+  useEffect(() => {
+    console.log(`📡 Orders: Subscribing to live orders (status: ${serverFilters.status}, page size: ${pageSize})`);
+    setLoading(true);
+    setError(null);
     
-    // Date range filter - filter by order creation date
-    if (filters.dateRange.startDate || filters.dateRange.endDate) {
-      filtered = filtered.filter(order => {
-        const orderDate = order.createdAt?.toDate?.() || new Date(order.orderDate);
+    const unsubscribe = AdminOrderService.subscribeToOrderPage(
+      serverFilters,
+      { pageSize, cursor: currentCursor },
+      ({ orders: pageOrders, changes, isInitial, lastDoc, hasMore }) => {
+        setOrders(pageOrders);
+        setPageEnd({ lastDoc, hasMore });
+        setLoading(false);
+        setLiveConnected(true);
         
-        if (filters.dateRange.startDate) {
-          const startDate = new Date(filters.dateRange.startDate);
-          if (orderDate < startDate) return false;
-        }
+        // Keep an open order modal in sync with the latest data
+        setSelectedOrder(prev => prev ? (pageOrders.find(order => order.id === prev.id) || prev) : prev);
         
-        if (filters.dateRange.endDate) {
-          const endDate = new Date(filters.dateRange.endDate);
-          endDate.setHours(23, 59, 59, 999); // End of day
-          if (orderDate > endDate) return false;
+        if (!isInitial && changes.length > 0) {
+          highlightUpdatedOrders(
+            changes.filter(change => change.type === 'modified').map(change => change.order.id)
+          );
+          setCountsRefreshKey(key => key + 1);
         }
-        
-        return true;
-      });
-      console.log(`🔍 Orders: Date range filter applied, ${filtered.length} orders remaining`);
-    }
+      },
+      (subscriptionError) => {
+        setError(subscriptionError.message);
+        setLoading(false);
+        setLiveConnected(false);
+        toast.error(`Live order feed disconnected: ${subscriptionError.message}`);
+      }
+    );
     
-    setFilteredOrders(filtered);
-    console.log(`✅ Orders: Filters applied successfully, showing ${filtered.length} of ${orders.length} orders`);
-  }, [orders, filters]); // Simplified dependencies to prevent circular references
+    return () => {
+      unsubscribe();
+      setLiveConnected(false);
+      console.log('🧹 Orders: Live order subscription closed');
+    };
+  }, [serverFilters, pageSize, currentCursor, subscriptionKey, highlightUpdatedOrders]);
 
   /**
-   * Initial data loading effect
-   * Fetches orders on component mount and sets up data refresh
+   * Count matching orders for every status tab
+   * Re-counted when the filters change and, debounced, when the live page changes
    */
   useEffect(() => {
-    console.log('🔄 Orders: Component mounted, initiating data fetch');
-    
-    // Add error handling to prevent component crashes
-    const safeFetchOrders = async () => {
-      try {
-        await fetchOrders();
-      } catch (error) {
-        console.error('❌ Orders: Error in initial fetch:', error);
-        setError(error.message);
-        setLoading(false);
-      }
-    };
-    
-    safeFetchOrders();
-    
-    // Set up auto-refresh for real-time updates (every 5 minutes)
-    // Use ref to access the latest fetchOrders function without causing dependency issues
-    const refreshInterval = setInterval(() => {
-      if (fetchOrdersRef.current) {
-        fetchOrdersRef.current();
+    let cancelled = false;
+    const timeoutId = setTimeout(async () => {
+      const result = await AdminOrderService.getOrderCounts(countFilters, Object.keys(ORDER_STATUS_CONFIG));
+      if (cancelled) return;
+      if (result.success) {
+        setStatusCounts(result.counts);
+      } else {
+        console.warn('⚠️ Orders: Could not load order counts:', result.error);
       }
-    }, 5 * 60 * 1000);
+    }, 500);
     
-    // Cleanup interval on component unmount
     return () => {
-      clearInterval(refreshInterval);
-      console.log('🧹 Orders: Component unmounted, cleaning up resources');
+      cancelled = true;
+      clearTimeout(timeoutId);
     };
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []); // Empty dependency array - only run on mount/unmount
+  }, [countFilters, ORDER_STATUS_CONFIG, countsRefreshKey, subscriptionKey]);
+
+  /**
+   * Send the search term to the order index once the admin stops typing
+   */
+  useEffect(() => {
+    const timeoutId = setTimeout(() => setSearchQuery(filters.searchTerm.trim()), 400);
+    return () => clearTimeout(timeoutId);
+  }, [filters.searchTerm]);
 
   /**
-   * Filter application effect
-   * Applies current filters to the orders list whenever filters or orders change
+   * Mirror the filters into the URL (search only once debounced)
    */
   useEffect(() => {
-    console.log('🔍 Orders: Applying filters to orders list');
-    applyFilters();
-  }, [orders, filters, applyFilters]); // Added applyFilters back to dependency array
+    const nextParams = filtersToSearchParams({ ...filters, searchTerm: searchQuery }).toString();
+    if (nextParams !== syncedParamsRef.current) {
+      syncedParamsRef.current = nextParams;
+      setSearchParams(nextParams, { replace: true });
+    }
+  }, [filters, searchQuery, setSearchParams]);
+
+  /**
+   * Pick up filters from the URL when it changes by navigation (links, back/forward)
+   */
+  useEffect(() => {
+    const currentParams = searchParams.toString();
+    if (currentParams !== syncedParamsRef.current) {
+      syncedParamsRef.current = currentParams;
+      const linkedFilters = filtersFromSearchParams(searchParams);
+      setFilters(linkedFilters);
+      setSearchQuery(linkedFilters.searchTerm);
+    }
+  }, [searchParams]);
 
   /**
-   * Update order status in Firestore (simplified approach from original code)
+   * Apply a saved view's filters straight away, without waiting for the search debounce
+   * @param {Object} viewFilters - Filters stored on the view
+   */
+  const applyView = useCallback((viewFilters) => {
+    const nextFilters = { ...DEFAULT_ORDER_FILTERS, ...viewFilters };
+    setFilters(nextFilters);
+    setSearchQuery(nextFilters.searchTerm);
+  }, []);
+
+  /**
+   * Move between pages of the order list
+   * Selections are cleared because they only cover the visible page.
+   */
+  const goToNextPage = useCallback(() => {
+    if (!pageEnd.hasMore || !pageEnd.lastDoc) return;
+    setPagination({ key: pageKey, cursors: [...pageCursors, pageEnd.lastDoc] });
+    setSelectedOrderIds(new Set());
+  }, [pageEnd, pageKey, pageCursors]);
+
+  const goToPreviousPage = useCallback(() => {
+    if (pageCursors.length === 0) return;
+    setPagination({ key: pageKey, cursors: pageCursors.slice(0, -1) });
+    setSelectedOrderIds(new Set());
+  }, [pageKey, pageCursors]);
+
+  /**
+   * Load every order matching the filters and open the export dialog
+   */
+  const openExport = useCallback(async () => {
+    setPreparingExport(true);
+    const result = await AdminOrderService.getAllOrders(serverFilters);
+    setPreparingExport(false);
+    
+    if (!result.success) {
+      toast.error(`Could not load orders for export: ${result.error}`);
+      return;
+    }
+    setExportOrders(result.orders);
+    setShowExportModal(true);
+  }, [serverFilters]);
+
+  /**
+   * Clear pending highlight timers on unmount
+   */
+  useEffect(() => {
+    const timeouts = highlightTimeoutsRef.current;
+    return () => timeouts.forEach(clearTimeout);
+  }, []);
+
+  /**
+   * Load SLA targets once for the overdue badges
+   */
+  useEffect(() => {
+    SlaService.getSlaSettings().then(setSlaSettings);
+  }, []);
+
+  /**
+   * Load the tag catalogue once
+   */
+  useEffect(() => {
+    TagService.getTags().then(result => setTagCatalogue(result.tags));
+  }, []);
+
+  /**
+   * New orders are visible on this page, so keep the sidebar badge cleared
+   */
+  useEffect(() => {
+    if (unseenCount > 0) {
+      markAllSeen();
+    }
+  }, [unseenCount, markAllSeen]);
+
+  /**
+   * Update order status through the admin service so the state machine,
+   * status history, inventory restoration and user-copy sync all apply
    * @param {string} orderId - Order ID to update
    * @param {string} newStatus - New status to set
    * @param {Object} additionalInfo - Additional information for the update
@@ -527,93 +556,66 @@ function Orders() {
   const updateOrderStatus = async (orderId, newStatus, additionalInfo = {}) => {
     console.log(`🔄 Orders: Updating order ${orderId} status to ${newStatus}`);
     
-    try {
-      setProcessingAction(true);
-      
-      // Get current order data
-      const orderRef = doc(db, "orders", orderId);
-      const orderSnap = await getDoc(orderRef);
+    const orderData = orders.find(order => order.id === orderId) || { id: orderId };
+    const updateInfo = { ...additionalInfo };
+    
+    // Show confirmation for critical status changes
+    if ([ORDER_STATUSES.DECLINED, ORDER_STATUSES.CANCELLED].includes(newStatus)) {
+      const confirmed = window.confirm(
+        `Are you sure you want to ${newStatus.toLowerCase()} order ${orderData.orderId || orderId}?\n\n` +
+        `This action cannot be easily undone.`
+      );
       
-      if (!orderSnap.exists()) {
-        throw new Error("Order not found");
+      if (!confirmed) {
+        console.log('❌ Orders: Status update cancelled by user');
+        return;
       }
-      
-      const orderData = orderSnap.data();
-      
-      // Show confirmation for critical status changes
-      if (['Declined', 'Cancelled'].includes(newStatus)) {
-        const confirmed = window.confirm(
-          `Are you sure you want to ${newStatus.toLowerCase()} order ${orderData.orderId || orderId}?\n\n` +
-          `This action cannot be easily undone.`
-        );
-        
-        if (!confirmed) {
-          console.log('❌ Orders: Status update cancelled by user');
-          return;
-        }
+    }
+    
+    // Ask for a reason when the transition requires one and none was supplied
+    if (getTransitionRequirements(orderData.status, newStatus).includes('reason') && !updateInfo.reason) {
+      const reason = window.prompt(`Reason for marking this order as ${newStatus}:`);
+      if (!reason || !reason.trim()) {
+        toast.error(`A reason is required to mark an order as ${newStatus}`);
+        return;
       }
+      updateInfo.reason = reason.trim();
+    }
+    
+    try {
+      setProcessingAction(true);
       
-      // Create status history entry
-      const statusUpdate = {
-        status: newStatus,
-        timestamp: new Date().toISOString(),
-        note: additionalInfo.note || `Order ${newStatus.toLowerCase()} by admin`
-      };
+      const result = await AdminOrderService.updateOrderStatus(orderId, newStatus, updateInfo, adminUserId);
       
-      // Update order with new status and history
-      await updateDoc(orderRef, {
-        status: newStatus,
-        statusHistory: [...(orderData.statusHistory || []), statusUpdate],
-      });
-      
-      // Update local state
-      setOrders(prevOrders => 
-        prevOrders.map(order => 
-          order.id === orderId 
-            ? { 
-                ...order, 
-                status: newStatus,
-                statusHistory: [...(order.statusHistory || []), statusUpdate]
-              } 
-            : order
-        )
-      );
+      if (!result.success) {
+        throw new Error(result.error);
+      }
       
-      // Close modal if open
+      // The live feed updates the list; close the modal if it shows this order
       if (isModalOpen && selectedOrder?.id === orderId) {
-        setSelectedOrder(prev => ({ ...prev, status: newStatus }));
         setIsModalOpen(false);
       }
       
       console.log(`✅ Orders: Order ${orderId} status updated to ${newStatus}`);
-      // Safely call toast only if it's available
-      if (typeof toast === 'object' && toast !== null && typeof toast.success === 'function') {
-        toast.success(`Order ${orderData.orderId || orderId} ${newStatus.toLowerCase()} successfully`);
-      }
+      toast.success(`Order ${orderData.orderId || orderId} ${newStatus.toLowerCase()} successfully`);
       
     } catch (error) {
       console.error('❌ Orders: Error updating order status:', error);
-      // Safely call toast only if it's available
-      if (typeof toast === 'object' && toast !== null && typeof toast.error === 'function') {
-        toast.error(`Failed to update order: ${error.message}`);
-      }
+      toast.error(`Failed to update order: ${error.message}`);
     } finally {
       setProcessingAction(false);
     }
   };
 
   /**
-   * Add tracking information to an order (simplified approach from original code)
+   * Add tracking information to an order through the admin service
    * @param {Event} e - Form submit event
    */
   const addTracking = async (e) => {
     e.preventDefault();
     
-    if (!selectedOrder || !shippingInfo.trackingNumber) {
-      // Safely call toast only if it's available
-      if (typeof toast === 'object' && toast !== null && typeof toast.error === 'function') {
-        toast.error("Please enter a valid tracking code");
-      }
+    if (!selectedOrder || !shippingInfo.trackingNumber.trim()) {
+      toast.error("Please enter a valid tracking code");
       return;
     }
     
@@ -622,63 +624,80 @@ function Orders() {
     try {
       setProcessingAction(true);
       
-      // Update order with tracking info
-      const orderRef = doc(db, "orders", selectedOrder.id);
-      const trackingData = {
-        code: shippingInfo.trackingNumber,
-        carrier: shippingInfo.carrier
-      };
-      
-      const statusUpdate = {
-        status: 'Shipped',
-        timestamp: new Date().toISOString(),
-        note: `Shipped with tracking code: ${shippingInfo.trackingNumber}`
-      };
-      
-      await updateDoc(orderRef, {
-        status: 'Shipped',
-        tracking: trackingData,
-        statusHistory: [
-          ...(selectedOrder.statusHistory || []),
-          statusUpdate
-        ]
-      });
+      const result = await AdminOrderService.updateShippingInfo(selectedOrder.id, {
+        ...shippingInfo,
+        trackingNumber: shippingInfo.trackingNumber.trim()
+      }, adminUserId);
       
-      // Update local state
-      setOrders(prevOrders => 
-        prevOrders.map(order => 
-          order.id === selectedOrder.id 
-            ? { 
-                ...order, 
-                status: 'Shipped',
-                tracking: trackingData,
-                statusHistory: [
-                  ...(order.statusHistory || []),
-                  statusUpdate
-                ]
-              } 
-            : order
-        )
-      );
+      if (!result.success) {
+        throw new Error(result.error);
+      }
       
       setIsModalOpen(false);
       setSelectedOrder(null);
       setShippingInfo({ trackingNumber: '', carrier: 'IndiaPost', service: 'standard', weight: '', notes: '' });
       
       console.log(`✅ Orders: Tracking added to order ${selectedOrder.id}`);
-      // Safely call toast only if it's available
-      if (typeof toast === 'object' && toast !== null && typeof toast.success === 'function') {
-        toast.success(`Tracking information added to order ${selectedOrder.orderId || selectedOrder.id}`);
-      }
+      toast.success(`Tracking information added to order ${selectedOrder.orderId || selectedOrder.id}`);
       
     } catch (error) {
       console.error("❌ Orders: Error adding tracking:", error);
-      // Safely call toast only if it's available
-      if (typeof toast === 'object' && toast !== null && typeof toast.error === 'function') {
-        toast.error(`Failed to add tracking: ${error.message}`);
+      toast.error(`Failed to add tracking: ${error.message}`);
+    } finally {
+      setProcessingAction(false);
+    }
+  };
+
+  /**
+   * Progress callback for bulk runs, retries and undos
+   * Counts each order as it finishes and keeps the failures for the panel
+   * 
+   * @param {Object} progress - { orderId, success, error, processed }
+   */
+  const handleBulkProgress = useCallback(({ orderId, success, error, processed }) => {
+    setBulkRun(prev => prev && {
+      ...prev,
+      processed,
+      successCount: prev.successCount + (success ? 1 : 0),
+      failures: success ? prev.failures : [...prev.failures, { orderId, error }]
+    });
+  }, []);
+
+  /**
+   * Run a bulk operation, retry or undo with the progress panel open
+   * 
+   * @param {Object} run - { mode, operation, operationData, total, jobId }
+   * @param {Function} execute - Calls the service with the progress callback
+   */
+  const runBulkJob = async (run, execute) => {
+    setProcessingAction(true);
+    setBulkRun({ ...run, processed: 0, successCount: 0, failures: [], running: true });
+    
+    try {
+      const result = await execute(handleBulkProgress);
+      if (!result.success) {
+        throw new Error(result.error || 'Bulk operation failed');
+      }
+      
+      console.log(`✅ Orders: Bulk ${run.mode} completed. Success: ${result.successCount}, Failed: ${result.failureCount}`);
+      setBulkRun(prev => ({
+        ...prev,
+        jobId: result.jobId || run.jobId,
+        running: false,
+        undoProblem: getBulkUndoProblem({ state: BULK_JOB_STATES.COMPLETED, operation: run.operation, operationData: run.operationData })
+      }));
+      if (result.failureCount > 0) {
+        toast.warning(`${result.successCount} orders done, ${result.failureCount} failed`);
+      } else {
+        toast.success(`${result.successCount} orders done`);
       }
+    } catch (error) {
+      console.error(`❌ Orders: Error in bulk ${run.mode}:`, error);
+      toast.error(`Bulk operation failed: ${error.message}`);
+      setBulkRun(null);
     } finally {
       setProcessingAction(false);
+      setBulkJobsRefreshKey(key => key + 1);
     }
   };
 
@@ -691,19 +710,17 @@ function Orders() {
    */
   const handleBulkOperation = async (operation, operationData) => {
     if (selectedOrderIds.size === 0) {
-      // Safely call toast only if it's available
-      if (typeof toast === 'object' && toast !== null && typeof toast.error === 'function') {
-        toast.error("Please select orders for bulk operation");
-      }
+      toast.error("Please select orders for bulk operation");
       return;
     }
     
     console.log(`🔄 Orders: Performing bulk ${operation} on ${selectedOrderIds.size} orders`);
     
     // Confirm bulk operation
+    const undoProblem = getBulkUndoProblem({ state: BULK_JOB_STATES.COMPLETED, operation, operationData });
     const confirmed = window.confirm(
-      `Are you sure you want to perform "${operation}" on ${selectedOrderIds.size} selected orders?\n\n` +
-      `This action will affect multiple orders at once.`
+      `Are you sure you want to perform "${BULK_OPERATION_LABELS[operation] || operation}" on ${selectedOrderIds.size} selected orders?\n\n` +
+      `This action will affect multiple orders at once. ${undoProblem ? `${undoProblem}.` : 'The run can be undone afterwards.'}`
     );
     
     if (!confirmed) {
@@ -711,54 +728,43 @@ function Orders() {
       return;
     }
     
-    try {
-      setProcessingAction(true);
-      
-      // Convert Set to Array for API call
-      const orderIdsArray = Array.from(selectedOrderIds);
-      
-      // Call the admin service for bulk operation
-      const result = await AdminOrderService.bulkOperation(
-        operation,
-        orderIdsArray,
-        operationData,
-        'admin-user' // TODO: Replace with actual admin user ID
-      );
-      
-      if (result.success) {
-        // Refresh orders to reflect changes
-        await fetchOrders();
-        
-        // Clear selection
-        setSelectedOrderIds(new Set());
-        setBulkOperationMode(false);
-        
-        console.log(`✅ Orders: Bulk operation completed. Success: ${result.successCount}, Failed: ${result.failureCount}`);
-        // Safely call toast only if it's available
-        if (typeof toast === 'object' && toast !== null && typeof toast.success === 'function') {
-          toast.success(
-            `Bulk operation completed! ${result.successCount} successful, ${result.failureCount} failed`
-          );
-        }
-        
-        // Show detailed results if there were failures
-        if (result.failureCount > 0) {
-          const failedOrders = result.results.filter(r => !r.success);
-          console.warn('⚠️ Orders: Some bulk operations failed:', failedOrders);
-        }
-        
-      } else {
-        throw new Error(result.error || 'Bulk operation failed');
-      }
-    } catch (error) {
-      console.error('❌ Orders: Error in bulk operation:', error);
-      // Safely call toast only if it's available
-      if (typeof toast === 'object' && toast !== null && typeof toast.error === 'function') {
-        toast.error(`Bulk operation failed: ${error.message}`);
-      }
-    } finally {
-      setProcessingAction(false);
+    const orderIdsArray = Array.from(selectedOrderIds);
+    // Changes arrive through the live feed; clear selection
+    setSelectedOrderIds(new Set());
+    setBulkOperationMode(false);
+    
+    await runBulkJob(
+      { mode: 'run', operation, operationData, total: orderIdsArray.length },
+      (onProgress) => AdminOrderService.bulkOperation(operation, orderIdsArray, operationData, adminUserId, { onProgress })
+    );
+  };
+
+  /**
+   * Retry the failed orders of a bulk job
+   * @param {Object} job - { jobId or id, operation, operationData, failureCount }
+   */
+  const handleBulkRetry = (job) => {
+    const jobId = job.jobId || job.id;
+    runBulkJob(
+      { mode: 'retry', jobId, operation: job.operation, operationData: job.operationData, total: job.failureCount },
+      (onProgress) => AdminOrderService.retryBulkJob(jobId, adminUserId, { onProgress })
+    );
+  };
+
+  /**
+   * Undo a bulk job after confirmation
+   * @param {Object} job - { jobId or id, operation, operationData }
+   * @param {number} orderCount - Orders the undo will restore
+   */
+  const handleBulkUndo = (job, orderCount) => {
+    const jobId = job.jobId || job.id;
+    if (!window.confirm(`Undo "${BULK_OPERATION_LABELS[job.operation] || job.operation}" on ${orderCount} orders? Orders changed again since will be left alone.`)) {
+      return;
     }
+    runBulkJob(
+      { mode: 'undo', jobId, operation: job.operation, operationData: job.operationData, total: orderCount },
+      (onProgress) => AdminOrderService.undoBulkJob(jobId, adminUserId, { onProgress })
+    );
   };
 
   /**
@@ -893,13 +899,13 @@ function Orders() {
 
   /**
    * Select all visible orders for bulk operations with proper error handling
-   * Toggles selection for all currently filtered orders
+   * Toggles selection for all orders on the current page
    */
   const selectAllOrders = useCallback(() => {
     try {
-      // Ensure filteredOrders is an array and selectedOrderIds is a Set
-      if (!Array.isArray(filteredOrders)) {
-        console.error('selectAllOrders: filteredOrders is not an array:', filteredOrders);
+      // Ensure orders is an array and selectedOrderIds is a Set
+      if (!Array.isArray(orders)) {
+        console.error('selectAllOrders: orders is not an array:', orders);
         return;
       }
 
@@ -909,12 +915,12 @@ function Orders() {
         return;
       }
 
-      if (selectedOrderIds.size === filteredOrders.length) {
+      if (selectedOrderIds.size === orders.length) {
         // Deselect all
         setSelectedOrderIds(new Set());
       } else {
         // Select all visible orders
-        const allOrderIds = filteredOrders
+        const allOrderIds = orders
           .filter(order => order && order.id) // Ensure order exists and has id
           .map(order => order.id);
         setSelectedOrderIds(new Set(allOrderIds));
@@ -924,7 +930,7 @@ function Orders() {
       // Reset selectedOrderIds to prevent further errors
       setSelectedOrderIds(new Set());
     }
-  }, [filteredOrders, selectedOrderIds]);
+  }, [orders, selectedOrderIds]);
 
   // Early return for loading state with enhanced loading UI
   if (loading && orders.length === 0) {
@@ -981,13 +987,17 @@ function Orders() {
             <div className="flex items-center gap-6 text-sm">
               <div className="flex items-center gap-2">
                 <span className="w-2 h-2 bg-blue-500 rounded-full"></span>
-                <span className="text-gray-600">Total Orders:</span>
-                <span className="font-semibold text-gray-900">{formatIndianNumber(orders.length)}</span>
+                <span className="text-gray-600">{hasActiveFilters ? 'Matching Orders:' : 'Total Orders:'}</span>
+                <span className="font-semibold text-gray-900">
+                  {totalCount !== null ? formatIndianNumber(totalCount) : '…'}
+                </span>
               </div>
               <div className="flex items-center gap-2">
                 <span className="w-2 h-2 bg-green-500 rounded-full"></span>
-                <span className="text-gray-600">Showing:</span>
-                <span className="font-semibold text-gray-900">{formatIndianNumber(filteredOrders.length)}</span>
+                <span className="text-gray-600">Page:</span>
+                <span className="font-semibold text-gray-900">
+                  {pageNumber}{totalPages !== null && ` of ${formatIndianNumber(totalPages)}`}
+                </span>
               </div>
               {selectedOrderIds.size > 0 && (
                 <div className="flex items-center gap-2">
@@ -996,10 +1006,27 @@ function Orders() {
                   <span className="font-semibold text-orange-600">{selectedOrderIds.size}</span>
                 </div>
               )}
+              <div className="flex items-center gap-2" title="Orders update automatically while connected">
+                <span className={`w-2 h-2 rounded-full ${liveConnected ? 'bg-green-500 animate-pulse' : 'bg-gray-400'}`}></span>
+                <span className="text-gray-600">{liveConnected ? 'Live' : 'Offline'}</span>
+              </div>
             </div>
           </div>
           
           <div className="flex flex-wrap gap-3">
+            {/* New order sound toggle */}
+            <button
+              onClick={() => setSoundEnabled(!soundEnabled)}
+              className={`px-4 py-2.5 rounded-lg transition-all duration-200 flex items-center gap-2 font-medium shadow-sm ${
+                soundEnabled 
+                  ? 'bg-yellow-100 text-yellow-800 hover:bg-yellow-200' 
+                  : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+              }`}
+              title="Play a sound when a new order is placed"
+            >
+              {soundEnabled ? '🔔 Sound On' : '🔕 Sound Off'}
+            </button>
+            
             {/* Refresh button */}
             <button
               onClick={fetchOrders}
@@ -1046,6 +1073,32 @@ function Orders() {
               )}
             </button>
             
+            {/* Create order button - phone and WhatsApp orders */}
+            <button
+              onClick={() => setShowCreateModal(true)}
+              className="px-5 py-2.5 bg-green-600 text-white rounded-lg hover:bg-green-700 
+                       transition-all duration-200 flex items-center gap-2 font-medium shadow-sm"
+            >
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 4v16m8-8H4" />
+              </svg>
+              Create Order
+            </button>
+            
+            {/* Export button - exports every order matching the current filters */}
+            <button
+              onClick={openExport}
+              disabled={loading || preparingExport || orders.length === 0}
+              className="px-5 py-2.5 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 
+                       disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200
+                       flex items-center gap-2 font-medium shadow-sm"
+            >
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+              </svg>
+              {preparingExport ? 'Loading...' : 'Export'}
+            </button>
+            
             {/* Bulk operations toggle */}
             <button
               onClick={() => {
@@ -1073,14 +1126,7 @@ function Orders() {
           <h3 className="text-lg font-semibold text-gray-800">Filters & Search</h3>
           <button
             onClick={() => {
-              setFilters({
-                status: 'all',
-                priority: 'all',
-                searchTerm: '',
-                dateRange: { startDate: '', endDate: '' },
-                minAmount: '',
-                carrier: 'all'
-              });
+              setFilters(DEFAULT_ORDER_FILTERS);
             }}
             className="px-3 py-1.5 text-sm text-gray-600 hover:text-gray-800 hover:bg-gray-100 rounded-md transition-colors"
           >
@@ -1089,23 +1135,6 @@ function Orders() {
         </div>
         
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-6 gap-4">
-          {/* Status filter */}
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">Status</label>
-            <select
-              value={filters.status}
-              onChange={(e) => setFilters(prev => ({ ...prev, status: e.target.value }))}
-              className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
-            >
-              <option value="all">All Statuses</option>
-              {Object.entries(ORDER_STATUS_CONFIG).map(([status, config]) => (
-                <option key={status} value={status}>
-                  {config.label}
-                </option>
-              ))}
-            </select>
-          </div>
-          
           {/* Priority filter */}
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">Priority</label>
@@ -1129,7 +1158,7 @@ function Orders() {
             <div className="relative">
               <input
                 type="text"
-                placeholder="Order ID, customer, product..."
+                placeholder="Order ID, email, phone, product, tracking..."
                 value={filters.searchTerm}
                 onChange={(e) => setFilters(prev => ({ ...prev, searchTerm: e.target.value }))}
                 className="w-full p-3 pl-10 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
@@ -1138,6 +1167,10 @@ function Orders() {
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
               </svg>
             </div>
+            {searching && <p className="text-xs text-gray-500 mt-1">Searching all orders...</p>}
+            {!searching && searchQuery && getSearchTokens(searchQuery).length === 0 && (
+              <p className="text-xs text-gray-500 mt-1">Type at least 2 characters to search</p>
+            )}
           </div>
           
           {/* Start date filter */}
@@ -1183,6 +1216,31 @@ function Orders() {
             </div>
           </div>
         </div>
+        
+        {/* Tag filter - orders carrying any of the selected tags */}
+        {tagCatalogue.length > 0 && (
+          <div className="mt-4 flex flex-wrap items-center gap-2">
+            <span className="text-sm font-medium text-gray-700 mr-1">Tags (any of):</span>
+            {tagCatalogue.map(tag => {
+              const selected = filters.tags.includes(tag.name);
+              return (
+                <button
+                  key={tag.name}
+                  onClick={() => setFilters(prev => ({
+                    ...prev,
+                    tags: selected ? prev.tags.filter(name => name !== tag.name) : [...prev.tags, tag.name]
+                  }))}
+                  title={tag.description}
+                  className={`px-2.5 py-1 rounded-full text-xs font-medium transition-all ${getTagChipClass(tag.name, tagsByName)} ${
+                    selected ? 'ring-2 ring-offset-1 ring-blue-500' : 'opacity-60 hover:opacity-100'
+                  }`}
+                >
+                  {tag.name}
+                </button>
+              );
+            })}
+          </div>
+        )}
       </div>
 
       {/* Bulk Operations Panel */}
@@ -1202,7 +1260,7 @@ function Orders() {
             {selectedOrderIds.size > 0 && (
               <div className="flex flex-wrap gap-2">
                 <button
-                  onClick={() => handleBulkOperation('update_status', { 
+                  onClick={() => handleBulkOperation(BULK_OPERATIONS.UPDATE_STATUS, { 
                     status: ORDER_STATUSES.APPROVED,
                     note: 'Bulk approval by admin'
                   })}
@@ -1212,7 +1270,7 @@ function Orders() {
                   Bulk Approve
                 </button>
                 <button
-                  onClick={() => handleBulkOperation('update_priority', { 
+                  onClick={() => handleBulkOperation(BULK_OPERATIONS.UPDATE_PRIORITY, { 
                     priority: ORDER_PRIORITIES.HIGH 
                   })}
                   className="px-4 py-2 bg-yellow-600 text-white rounded-lg text-sm hover:bg-yellow-700 transition-colors font-medium"
@@ -1220,6 +1278,39 @@ function Orders() {
                 >
                   Set High Priority
                 </button>
+                <div className="flex gap-1">
+                  <select
+                    value={bulkTag}
+                    onChange={(e) => setBulkTag(e.target.value)}
+                    className="px-2 py-2 border border-orange-300 rounded-lg text-sm bg-white"
+                  >
+                    <option value="">Tag...</option>
+                    {tagCatalogue.map(tag => (
+                      <option key={tag.name} value={tag.name}>{tag.name}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => handleBulkOperation(BULK_OPERATIONS.ADD_TAG, { tag: bulkTag })}
+                    className="px-3 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 transition-colors font-medium disabled:opacity-50"
+                    disabled={processingAction || !bulkTag}
+                  >
+                    Add Tag
+                  </button>
+                  <button
+                    onClick={() => handleBulkOperation(BULK_OPERATIONS.REMOVE_TAG, { tag: bulkTag })}
+                    className="px-3 py-2 bg-gray-500 text-white rounded-lg text-sm hover:bg-gray-600 transition-colors font-medium disabled:opacity-50"
+                    disabled={processingAction || !bulkTag}
+                  >
+                    Remove Tag
+                  </button>
+                </div>
+                <button
+                  onClick={() => setShowPackingPrint(true)}
+                  className="px-4 py-2 bg-indigo-600 text-white rounded-lg text-sm hover:bg-indigo-700 transition-colors font-medium"
+                  disabled={processingAction}
+                >
+                  Print Slips & Labels
+                </button>
                 <button
                   onClick={() => setSelectedOrderIds(new Set())}
                   className="px-4 py-2 bg-gray-600 text-white rounded-lg text-sm hover:bg-gray-700 transition-colors font-medium"
@@ -1234,12 +1325,59 @@ function Orders() {
               Select orders using the checkboxes to perform bulk operations like approval, priority updates, and more.
             </p>
           )}
+          <BulkJobHistory
+            refreshKey={bulkJobsRefreshKey}
+            onRetry={handleBulkRetry}
+            onUndo={handleBulkUndo}
+            disabled={processingAction}
+          />
         </div>
       )}
 
+      {/* Progress of the current bulk run */}
+      {bulkRun && (
+        <BulkProgressPanel
+          run={bulkRun}
+          getOrderLabel={(orderId) => orders.find(order => order.id === orderId)?.orderId || orderId}
+          onRetry={() => handleBulkRetry({ ...bulkRun, failureCount: bulkRun.failures.length })}
+          onUndo={() => handleBulkUndo(bulkRun, bulkRun.mode === 'undo' ? bulkRun.failures.length : bulkRun.successCount)}
+          onDismiss={() => setBulkRun(null)}
+        />
+      )}
+
+      {/* Saved Views pinned by this admin */}
+      <SavedViewsBar
+        filters={filters}
+        onApply={applyView}
+        adminUserId={adminUserId}
+        adminName={user?.displayName || user?.email || ''}
+      />
+
+      {/* Status Tabs with server-side counts */}
+      <div className="mb-4 flex flex-wrap gap-2">
+        {[['all', 'All'], ...Object.entries(ORDER_STATUS_CONFIG).map(([status, config]) => [status, config.label])].map(([status, label]) => (
+          <button
+            key={status}
+            onClick={() => setFilters(prev => ({ ...prev, status }))}
+            className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors flex items-center gap-2 ${
+              filters.status === status
+                ? 'bg-blue-600 text-white shadow-sm'
+                : 'bg-white text-gray-700 border border-gray-200 hover:bg-gray-50'
+            }`}
+          >
+            {label}
+            <span className={`px-2 py-0.5 rounded-full text-xs ${
+              filters.status === status ? 'bg-blue-500 text-white' : 'bg-gray-100 text-gray-600'
+            }`}>
+              {statusCounts ? formatIndianNumber(statusCounts[status] || 0) : '…'}
+            </span>
+          </button>
+        ))}
+      </div>
+
       {/* Orders Table Section */}
       <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
-        {filteredOrders.length === 0 ? (
+        {orders.length === 0 ? (
           // Empty state with helpful messaging
           <div className="p-16 text-center">
             <div className="w-24 h-24 mx-auto mb-6 rounded-full bg-gray-100 flex items-center justify-center">
@@ -1249,20 +1387,13 @@ function Orders() {
             </div>
             <h3 className="text-xl font-semibold text-gray-900 mb-3">No Orders Found</h3>
             <p className="text-gray-600 mb-6 max-w-sm mx-auto">
-              {orders.length === 0 
+              {!hasActiveFilters 
                 ? "No orders have been placed yet. Orders will appear here once customers start placing them." 
                 : "No orders match your current filters. Try adjusting your search criteria."}
             </p>
-            {orders.length > 0 && (
+            {hasActiveFilters && (
               <button
-                onClick={() => setFilters({
-                  status: 'all',
-                  priority: 'all',
-                  searchTerm: '',
-                  dateRange: { startDate: '', endDate: '' },
-                  minAmount: '',
-                  carrier: 'all'
-                })}
+                onClick={() => setFilters(DEFAULT_ORDER_FILTERS)}
                 className="px-4 py-2 text-blue-600 hover:text-blue-800 hover:bg-blue-50 rounded-lg transition-colors"
               >
                 Clear all filters
@@ -1280,7 +1411,7 @@ function Orders() {
                   <div className="flex items-center">
                     <input
                       type="checkbox"
-                      checked={selectedOrderIds.size === filteredOrders.length && filteredOrders.length > 0}
+                      checked={selectedOrderIds.size === orders.length && orders.length > 0}
                       onChange={selectAllOrders}
                       className="rounded border-gray-300 text-blue-600 focus:ring-blue-500 h-4 w-4"
                     />
@@ -1299,7 +1430,7 @@ function Orders() {
             
             {/* Table Body */}
             <div className="divide-y divide-gray-100">
-              {filteredOrders.map((order) => {
+              {orders.map((order) => {
                 // Ensure order object exists and has required properties
                 if (!order || !order.id) {
                   console.warn('Orders: Skipping invalid order:', order);
@@ -1308,13 +1439,15 @@ function Orders() {
 
                 const statusConfig = ORDER_STATUS_CONFIG[order.status] || ORDER_STATUS_CONFIG[ORDER_STATUSES.PLACED];
                 const priorityConfig = PRIORITY_CONFIG[order.priority] || PRIORITY_CONFIG[ORDER_PRIORITIES.NORMAL];
+                const sla = slaSettings && getOrderSla(order, slaSettings);
                 const isSelected = selectedOrderIds instanceof Set ? selectedOrderIds.has(order.id) : false;
                 
                 return (
                   <div 
                     key={order.id} 
                     className={`px-6 py-5 hover:bg-gray-50 transition-all duration-150 ${
-                      isSelected ? 'bg-blue-50 border-l-4 border-blue-500' : ''
+                      isSelected ? 'bg-blue-50 border-l-4 border-blue-500' : 
+                      recentlyUpdatedIds.has(order.id) ? 'bg-yellow-50' : ''
                     }`}
                   >
                     <div className={`grid gap-6 items-center ${
@@ -1334,9 +1467,13 @@ function Orders() {
                       
                       {/* Order Details Column */}
                       <div>
-                        <div className="font-semibold text-gray-900 mb-1">
+                        <Link
+                          to={`/orders/${order.id}`}
+                          className="block font-semibold text-gray-900 hover:text-blue-600 hover:underline mb-1"
+                          title="Open order page"
+                        >
                           #{order.orderId || order.id}
-                        </div>
+                        </Link>
                         <div className="text-sm text-gray-600 mb-1">
                           {order.items?.length || 0} item{(order.items?.length || 0) !== 1 ? 's' : ''}
                         </div>
@@ -1345,6 +1482,19 @@ function Orders() {
                             {order.tracking.code}
                           </div>
                         )}
+                        {order.tags?.length > 0 && (
+                          <div className="flex flex-wrap gap-1 mt-1">
+                            {order.tags.map(tag => (
+                              <span
+                                key={tag}
+                                className={`px-2 py-0.5 rounded-full text-xs font-medium ${getTagChipClass(tag, tagsByName)}`}
+                                title={tagsByName[tag]?.description}
+                              >
+                                {tag}
+                              </span>
+                            ))}
+                          </div>
+                        )}
                       </div>
                       
                       {/* Customer Information Column */}
@@ -1377,6 +1527,49 @@ function Orders() {
                             {order.orderAge} days old
                           </div>
                         )}
+                        {sla && sla.state !== SLA_STATES.ON_TRACK && (
+                          <div
+                            className={`inline-flex mt-2 px-2 py-0.5 rounded-full text-xs font-medium ${SLA_STATE_STYLES[sla.state].color}`}
+                            title={`${SLA_STATE_STYLES[sla.state].label}: target ${sla.targetHours}h in ${sla.status}`}
+                          >
+                            {formatSlaRemaining(sla)}
+                          </div>
+                        )}
+                        {order.status === ORDER_STATUSES.PLACED && Object.keys(order.possibleDuplicates || {}).length > 0 && (
+                          <Link
+                            to={`/orders/${order.id}`}
+                            className="inline-flex mt-2 px-2 py-0.5 rounded-full text-xs font-medium bg-amber-100 text-amber-800 hover:bg-amber-200"
+                            title={Object.values(order.possibleDuplicates)
+                              .map(candidate => `#${candidate.orderNumber}: same ${candidate.matchedOn}, ${candidate.overlap}% of items, ${candidate.minutesApart} min apart`)
+                              .join('\n')}
+                          >
+                            Possible duplicate
+                          </Link>
+                        )}
+                        {order.risk && (
+                          <div className="mt-2">
+                            <div className="flex flex-wrap gap-1">
+                              <span
+                                className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${(RISK_LEVEL_STYLES[order.risk.level] || RISK_LEVEL_STYLES[RISK_LEVELS.LOW]).color}`}
+                                title={order.risk.reasons?.length > 0
+                                  ? order.risk.reasons.map(reason => `+${reason.points} ${reason.label}: ${reason.detail}`).join('\n')
+                                  : 'No risk signals'}
+                              >
+                                Risk {order.risk.score}
+                              </span>
+                              {order.hold?.active && (
+                                <span className="inline-flex px-2 py-0.5 rounded-full text-xs font-medium bg-red-600 text-white" title={order.hold.reason}>
+                                  On hold
+                                </span>
+                              )}
+                            </div>
+                            {order.risk.level !== RISK_LEVELS.LOW && (
+                              <div className="text-xs text-gray-500 mt-1">
+                                {order.risk.reasons.map(reason => reason.label).join(', ')}
+                              </div>
+                            )}
+                          </div>
+                        )}
                       </div>
                       
                       {/* Priority Column */}
@@ -1409,16 +1602,14 @@ function Orders() {
                           <>
                             <button
                               onClick={() => updateOrderStatus(order.id, ORDER_STATUSES.APPROVED)}
-                              className="px-3 py-1.5 bg-green-600 text-white rounded-lg text-xs font-medium hover:bg-green-700 transition-colors"
-                              disabled={processingAction}
-                              title="Approve order"
+                              className="px-3 py-1.5 bg-green-600 text-white rounded-lg text-xs font-medium hover:bg-green-700 transition-colors disabled:opacity-50"
+                              disabled={processingAction || order.hold?.active}
+                              title={order.hold?.active ? `On hold: ${order.hold.reason}` : 'Approve order'}
                             >
                               Approve
                             </button>
                             <button
-                              onClick={() => updateOrderStatus(order.id, ORDER_STATUSES.DECLINED, {
-                                reason: 'Declined by admin from order details'
-                              })}
+                              onClick={() => updateOrderStatus(order.id, ORDER_STATUSES.DECLINED)}
                               className="px-3 py-1.5 bg-red-600 text-white rounded-lg text-xs font-medium hover:bg-red-700 transition-colors"
                               disabled={processingAction}
                               title="Decline order"
@@ -1439,7 +1630,7 @@ function Orders() {
                           </button>
                         )}
                         
-                        {order.status === ORDER_STATUSES.PACKED && (
+                        {[ORDER_STATUSES.PACKED, ORDER_STATUSES.PARTIALLY_SHIPPED].includes(order.status) && (
                           <button
                             onClick={() => openOrderModal(order, 'shipping')}
                             className="px-3 py-1.5 bg-purple-600 text-white rounded-lg text-xs font-medium hover:bg-purple-700 transition-colors"
@@ -1470,17 +1661,53 @@ function Orders() {
         )}
       </div>
 
-      {/* Results Summary */}
-      {filteredOrders.length > 0 && (
+      {/* Pagination */}
+      {(orders.length > 0 || pageNumber > 1) && (
         <div className="mt-6 px-6 py-4 bg-gray-50 rounded-lg border border-gray-200">
-          <div className="flex items-center justify-between text-sm">
+          <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 text-sm">
             <div className="text-gray-600">
-              Showing <span className="font-semibold text-gray-900">{filteredOrders.length}</span> of <span className="font-semibold text-gray-900">{orders.length}</span> orders
+              Showing <span className="font-semibold text-gray-900">
+                {formatIndianNumber((pageNumber - 1) * pageSize + (orders.length > 0 ? 1 : 0))}–{formatIndianNumber((pageNumber - 1) * pageSize + orders.length)}
+              </span>
+              {totalCount !== null && (
+                <> of <span className="font-semibold text-gray-900">{formatIndianNumber(totalCount)}</span></>
+              )} orders
             </div>
-            <div className="text-gray-500">
-              {orders.length > filteredOrders.length && (
-                <span>{orders.length - filteredOrders.length} orders hidden by filters</span>
-              )}
+            <div className="flex items-center gap-4">
+              <label className="flex items-center gap-2 text-gray-600">
+                Rows per page
+                <select
+                  value={pageSize}
+                  onChange={(e) => {
+                    setPageSize(Number(e.target.value));
+                    setSelectedOrderIds(new Set());
+                  }}
+                  className="p-1.5 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                >
+                  {PAGE_SIZE_OPTIONS.map(size => (
+                    <option key={size} value={size}>{size}</option>
+                  ))}
+                </select>
+              </label>
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={goToPreviousPage}
+                  disabled={loading || pageNumber === 1}
+                  className="px-3 py-1.5 border border-gray-300 rounded-md text-gray-700 hover:bg-white disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  ← Previous
+                </button>
+                <span className="text-gray-600">
+                  Page {pageNumber}{totalPages !== null && ` of ${formatIndianNumber(totalPages)}`}
+                </span>
+                <button
+                  onClick={goToNextPage}
+                  disabled={loading || !pageEnd.hasMore}
+                  className="px-3 py-1.5 border border-gray-300 rounded-md text-gray-700 hover:bg-white disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  Next →
+                </button>
+              </div>
             </div>
           </div>
         </div>
@@ -1522,7 +1749,8 @@ function Orders() {
                     <h4 className="font-semibold text-blue-800 mb-2">Shipping Instructions</h4>
                     <p className="text-blue-700 text-sm">
                       Add tracking information for order <strong>#{selectedOrder.orderId}</strong>. 
-                      This will automatically update the order status to "Shipped" and notify the customer.
+                      All items not yet shipped go out in this shipment and the order status changes to "Shipped".
+                      To ship only some items, use New Shipment on the order detail page.
                     </p>
                   </div>
                   
@@ -1962,8 +2190,16 @@ function Orders() {
                   </div>
                   
                   {/* Admin Actions */}
-                  <div className="flex justify-end items-center pt-6 border-t border-gray-200">
+                  <div className="flex justify-between items-center pt-6 border-t border-gray-200">
+                    <Link
+                      to={`/orders/${selectedOrder.id}`}
+                      className="text-sm text-blue-600 hover:text-blue-800 hover:underline"
+                    >
+                      Open full order page →
+                    </Link>
                     <div className="flex gap-2">
+                      {/* The live order feed refreshes the modal once the invoice is stored */}
+                      <InvoiceButton order={selectedOrder} adminUserId={adminUserId} />
                       <button
                         onClick={() => {
                           setIsModalOpen(false);
@@ -2003,7 +2239,8 @@ function Orders() {
                         </button>
                       )}
                       
-                      {selectedOrder.status === ORDER_STATUSES.PACKED && !selectedOrder.tracking?.code && (
+                      {(selectedOrder.status === ORDER_STATUSES.PARTIALLY_SHIPPED ||
+                        (selectedOrder.status === ORDER_STATUSES.PACKED && !selectedOrder.tracking?.code)) && (
                         <button
                           onClick={() => setModalMode('shipping')}
                           className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700"
@@ -2061,6 +2298,11 @@ function Orders() {
                   <div className="text-2xl font-bold text-green-900">
                     {formatCurrency(analyticsData.totalRevenue)}
                   </div>
+                  {analyticsData.gatewayFees > 0 && (
+                    <div className="text-xs text-green-700 mt-1">
+                      {formatCurrency(analyticsData.netRevenue)} net of {formatCurrency(analyticsData.gatewayFees)} gateway fees
+                    </div>
+                  )}
                 </div>
                 
                 <div className="bg-purple-50 border border-purple-200 rounded-lg p-4">
@@ -2094,6 +2336,25 @@ function Orders() {
                 </div>
               </div>
               
+              {/* Tag Usage */}
+              {Object.keys(analyticsData.tagStats || {}).length > 0 && (
+                <div className="mb-8">
+                  <h4 className="text-lg font-semibold text-gray-800 mb-4">Orders by Tag</h4>
+                  <div className="flex flex-wrap gap-3">
+                    {Object.entries(analyticsData.tagStats)
+                      .sort(([, a], [, b]) => b - a)
+                      .map(([tag, count]) => (
+                        <div key={tag} className="bg-gray-50 rounded-lg p-3 border border-gray-200 flex items-center gap-3">
+                          <span className={`px-2.5 py-1 rounded-full text-xs font-medium ${getTagChipClass(tag, tagsByName)}`}>
+                            {tag}
+                          </span>
+                          <span className="text-xl font-bold text-gray-900">{formatIndianNumber(count)}</span>
+                        </div>
+                      ))}
+                  </div>
+                </div>
+              )}
+              
               {/* Top Products */}
               <div className="mb-8">
                 <h4 className="text-lg font-semibold text-gray-800 mb-4">Top Products by Quantity</h4>
@@ -2145,6 +2406,36 @@ function Orders() {
           </div>
         </div>
       )}
+
+      {/* Export Modal */}
+      {showExportModal && (
+        <OrderExportModal
+          orders={exportOrders}
+          onClose={() => setShowExportModal(false)}
+        />
+      )}
+
+      {/* Create Order Modal */}
+      {showCreateModal && (
+        <CreateOrderModal
+          adminUserId={adminUserId}
+          onClose={() => setShowCreateModal(false)}
+          onCreated={(orderId) => {
+            setShowCreateModal(false);
+            navigate(`/orders/${orderId}`);
+          }}
+        />
+      )}
+
+      {/* Packing Slips & Labels Modal */}
+      {showPackingPrint && (
+        <PackingPrintModal
+          orders={orders.filter(order => selectedOrderIds.has(order.id))}
+          adminUserId={adminUserId}
+          onClose={() => setShowPackingPrint(false)}
+          onComplete={() => setSelectedOrderIds(new Set())}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,212 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import GatewaySettlementService, {
+  GATEWAY_SETTLEMENT_STYLES,
+  SETTLEMENT_ROW_RESULTS
+} from '../utils/gatewaySettlement';
+import SettlementImportModal from '../components/finance/SettlementImportModal';
+import { useAuth } from '../contexts/AuthContext';
+import { formatOrderDate, getOrderTotal } from '../utils/orderDisplay';
+import { formatCurrency, formatIndianNumber } from '../utils/formatUtils';
+
+/**
+ * Payment Settlements Component
+ *
+ * Imported payment gateway settlement reports with their fees and net
+ * settlement, payments captured with no order, and prepaid orders that
+ * were never captured or were captured for the wrong amount
+ *
+ * @returns {JSX.Element} The payment settlements page
+ */
+const PaymentSettlements = () => {
+  const { user } = useAuth();
+  const adminUserId = user?.uid || 'admin';
+  const [reports, setReports] = useState([]);
+  const [flaggedOrders, setFlaggedOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showImport, setShowImport] = useState(false);
+
+  const loadSettlements = useCallback(async () => {
+    const [reportsResult, flaggedResult] = await Promise.all([
+      GatewaySettlementService.getSettlementReports(),
+      GatewaySettlementService.getFlaggedOrders()
+    ]);
+    if (!reportsResult.success) {
+      toast.error(reportsResult.error);
+    }
+    setReports(reportsResult.reports);
+    setFlaggedOrders(flaggedResult.orders);
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    loadSettlements();
+  }, [loadSettlements]);
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-2 border-blue-600 border-t-transparent"></div>
+      </div>
+    );
+  }
+
+  const totals = reports.reduce((acc, report) => ({
+    capturedAmount: acc.capturedAmount + (report.summary?.capturedAmount || 0),
+    fee: acc.fee + (report.summary?.fee || 0),
+    netAmount: acc.netAmount + (report.summary?.netAmount || 0)
+  }), { capturedAmount: 0, fee: 0, netAmount: 0 });
+
+  const capturedNotOrdered = reports.flatMap(report =>
+    report.rows
+      .filter(row => row.result === SETTLEMENT_ROW_RESULTS.CAPTURED_NOT_ORDERED)
+      .map(row => ({ ...row, reportId: report.id, fileName: report.fileName }))
+  );
+
+  const cards = [
+    { label: 'Captured', value: formatCurrency(totals.capturedAmount), color: 'text-gray-900' },
+    { label: 'Gateway fees', value: formatCurrency(totals.fee), color: 'text-red-600' },
+    { label: 'Net settlement', value: formatCurrency(totals.netAmount), color: 'text-green-600' },
+    { label: 'Needs follow-up', value: formatIndianNumber(flaggedOrders.length + capturedNotOrdered.length, 0), color: 'text-orange-600' }
+  ];
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex justify-between items-center">
+        <h2 className="text-2xl font-bold text-gray-800">Payment Settlements</h2>
+        <button
+          onClick={() => setShowImport(true)}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+        >
+          Import Settlement Report
+        </button>
+      </div>
+
+      {/* Summary of the reports listed below */}
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        {cards.map(card => (
+          <div key={card.label} className="bg-white rounded-lg shadow-md p-4">
+            <p className="text-sm text-gray-500">{card.label}</p>
+            <p className={`text-2xl font-bold ${card.color}`}>{card.value}</p>
+          </div>
+        ))}
+      </div>
+
+      {/* Orders to follow up */}
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h3 className="text-lg font-semibold mb-1">Ordered, Not Captured</h3>
+        <p className="text-sm text-gray-500 mb-3">
+          Prepaid orders with no captured payment, or captured for a different amount than the order total.
+        </p>
+        {flaggedOrders.length === 0 ? (
+          <p className="text-sm text-gray-500 italic">Nothing to follow up.</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-left text-xs uppercase text-gray-600">
+              <tr>
+                <th className="px-3 py-2">Order</th>
+                <th className="px-3 py-2">Placed</th>
+                <th className="px-3 py-2">Payment ID</th>
+                <th className="px-3 py-2">State</th>
+                <th className="px-3 py-2 text-right">Order total</th>
+                <th className="px-3 py-2 text-right">Captured</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {flaggedOrders.map(order => {
+                const style = GATEWAY_SETTLEMENT_STYLES[order.gatewaySettlement.state];
+                return (
+                  <tr key={order.id}>
+                    <td className="px-3 py-2">
+                      <Link to={`/orders/${order.id}`} className="text-blue-600 hover:underline font-medium">
+                        #{order.orderId || order.id}
+                      </Link>
+                      <div className="text-xs text-gray-500">{order.customer?.name}</div>
+                    </td>
+                    <td className="px-3 py-2">{formatOrderDate(order.orderDate || order.createdAt)}</td>
+                    <td className="px-3 py-2 font-mono text-xs">{order.gatewaySettlement.paymentId || '-'}</td>
+                    <td className="px-3 py-2">
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${style.color}`}>{style.label}</span>
+                    </td>
+                    <td className="px-3 py-2 text-right">{formatCurrency(getOrderTotal(order))}</td>
+                    <td className="px-3 py-2 text-right">{formatCurrency(order.gatewaySettlement.capturedAmount || 0)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h3 className="text-lg font-semibold mb-1">Captured, No Order</h3>
+        <p className="text-sm text-gray-500 mb-3">
+          Payments in the imported reports that don't belong to any order - usually checkouts that failed after payment.
+        </p>
+        {capturedNotOrdered.length === 0 ? (
+          <p className="text-sm text-gray-500 italic">Every captured payment has an order.</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-left text-xs uppercase text-gray-600">
+              <tr>
+                <th className="px-3 py-2">Payment ID</th>
+                <th className="px-3 py-2">Report</th>
+                <th className="px-3 py-2">Settlement</th>
+                <th className="px-3 py-2 text-right">Amount</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {capturedNotOrdered.map(row => (
+                <tr key={`${row.reportId}-${row.line}`}>
+                  <td className="px-3 py-2 font-mono text-xs">{row.paymentId}</td>
+                  <td className="px-3 py-2 text-gray-500">{row.fileName} · line {row.line}</td>
+                  <td className="px-3 py-2 font-mono text-xs">{row.settlementId || '-'}</td>
+                  <td className="px-3 py-2 text-right">{formatCurrency(row.amount || 0)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Imports */}
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h3 className="text-lg font-semibold mb-3">Recent Imports</h3>
+        {reports.length === 0 ? (
+          <p className="text-sm text-gray-500 italic">No settlement reports imported yet.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100 text-sm">
+            {reports.map(report => (
+              <li key={report.id} className="py-2 flex flex-wrap items-center gap-3">
+                <span className="font-medium text-gray-800">{report.fileName || 'Settlement report'}</span>
+                <span className="text-gray-500">
+                  {formatIndianNumber(report.summary?.rows || report.rows.length, 0)} rows ·
+                  {' '}{formatCurrency(report.summary?.capturedAmount || 0)} captured ·
+                  {' '}{formatCurrency(report.summary?.fee || 0)} fees ·
+                  {' '}{formatCurrency(report.summary?.netAmount || 0)} net
+                </span>
+                <span className="ml-auto text-xs text-gray-400">
+                  {formatOrderDate(report.importedAt)} by {report.importedBy}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {showImport && (
+        <SettlementImportModal
+          adminUserId={adminUserId}
+          onImported={() => {
+            setShowImport(false);
+            loadSettlements();
+          }}
+          onClose={() => setShowImport(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default PaymentSettlements;
@@ -1,7 +1,10 @@
 import { useState } from "react";
-import { doc, setDoc, getDoc } from "firebase/firestore";
+import { doc, getDoc } from "firebase/firestore";
 import { db } from "../../firebase";
 import { useNavigate } from "react-router-dom";
+import { GST_RATES } from "../../utils/invoiceService";
+import InventoryService from "../../utils/inventoryService";
+import { useAuth } from "../../contexts/AuthContext";
 
 /**
  * Product types available for selection
@@ -46,6 +49,8 @@ const AddProduct = () => {
     tags: [],
     slug: "",
     origin: "",
+    hsnCode: "",
+    gstRate: null,
     additionalInfo: "",
     warranty: { available: false, period: "", details: "" },
     guarantee: { available: false, period: "", details: "" },
@@ -57,6 +62,7 @@ const AddProduct = () => {
   const [submissionStatus, setSubmissionStatus] = useState(null);
   const [slugAvailability, setSlugAvailability] = useState({ checked: false, available: false });
   const navigate = useNavigate();
+  const { user } = useAuth();
 
   /**
    * Handle product submission to database
@@ -99,9 +105,9 @@ const AddProduct = () => {
         createdAt: new Date()
       };
 
-      // Use setDoc with a specific document ID (the slug) instead of addDoc
+      // Use a specific document ID (the slug); the starting stock goes into the inventory ledger
       const productRef = doc(db, "products", formattedSlug);
-      await setDoc(productRef, productToSave);
+      await InventoryService.createProductWithStock(productRef, productToSave, user?.uid || "admin");
       
       setSubmissionStatus("success");
       
@@ -355,6 +361,35 @@ const AddProduct = () => {
           </div>
         </div>
 
+        {/* Tax Details (printed on GST invoices) */}
+        <div className="mb-6">
+          <h2 className="text-xl font-semibold mb-4 border-b pb-2">Tax Details</h2>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-gray-700 text-sm font-bold mb-2">HSN Code</label>
+              <input
+                className="border border-gray-300 p-2 w-full rounded"
+                placeholder="e.g., 8517"
+                value={newProduct.hsnCode || ""}
+                onChange={(e) => setNewProduct({ ...newProduct, hsnCode: e.target.value.trim() })}
+              />
+            </div>
+            <div>
+              <label className="block text-gray-700 text-sm font-bold mb-2">GST Rate</label>
+              <select
+                className="border border-gray-300 p-2 w-full rounded"
+                value={newProduct.gstRate ?? ""}
+                onChange={(e) => setNewProduct({ ...newProduct, gstRate: e.target.value === "" ? null : Number(e.target.value) })}
+              >
+                <option value="">Store default</option>
+                {GST_RATES.map((rate) => (
+                  <option key={rate} value={rate}>{rate}%</option>
+                ))}
+              </select>
+            </div>
+          </div>
+        </div>
+
         {/* Product Origin/Import Details */}
         <div className="mb-6">
           <h2 className="text-xl font-semibold mb-4 border-b pb-2">Origin & Import Details</h2>
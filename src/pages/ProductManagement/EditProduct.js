@@ -2,6 +2,10 @@ import { useEffect, useState } from "react";
 import { doc, getDoc, updateDoc } from "firebase/firestore";
 import { db } from "../../firebase";
 import { useNavigate, useParams } from "react-router-dom";
+import { GST_RATES } from "../../utils/invoiceService";
+import InventoryService from "../../utils/inventoryService";
+import StockLedger from "../../components/products/StockLedger";
+import { useAuth } from "../../contexts/AuthContext";
 
 /**
  * Product types available for selection
@@ -53,8 +57,12 @@ const EditProduct = () => {
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [submissionStatus, setSubmissionStatus] = useState(null);
   const [tagInput, setTagInput] = useState("");
+  const [savedStock, setSavedStock] = useState(0);
+  const [stockReason, setStockReason] = useState("");
+  const [ledgerKey, setLedgerKey] = useState(0);
   const { id } = useParams();
   const navigate = useNavigate();
+  const { user } = useAuth();
 
   /**
    * Fetch product data when component mounts or ID changes
@@ -66,6 +74,7 @@ const EditProduct = () => {
       if (productDoc.exists()) {
         // Initialize with all required fields or default values if they don't exist
         const productData = productDoc.data();
+        setSavedStock(Number(productData.stock) || 0);
         setProduct({
           ...productData,
           mrp: productData.mrp || productData.price || 0,
@@ -87,12 +96,33 @@ const EditProduct = () => {
    * Includes loading state and success/error feedback
    */
   const handleUpdateProduct = async () => {
+    const stockChanged = Number(product.stock) !== savedStock;
+    if (stockChanged && !stockReason.trim()) {
+      alert("Please enter a reason for the stock change");
+      return;
+    }
+
     try {
       setIsSubmitting(true);
       setSubmissionStatus("submitting");
       
+      // Stock is never written directly - changes go through the inventory ledger
+      const { stock, ...productFields } = product;
       const productRef = doc(db, "products", id);
-      await updateDoc(productRef, product);
+      await updateDoc(productRef, productFields);
+      
+      if (stockChanged) {
+        // Apply the change made in the form, not the form's figure, so sales since loading are kept
+        const result = await InventoryService.adjustStock(id, Number(stock) - savedStock, stockReason, user?.uid || "admin");
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+        const stockAfter = result.movement ? result.movement.stockAfter : savedStock;
+        setSavedStock(stockAfter);
+        setProduct(prev => ({ ...prev, stock: stockAfter }));
+        setStockReason("");
+        setLedgerKey(key => key + 1);
+      }
       
       setSubmissionStatus("success");
       
@@ -190,6 +220,14 @@ const EditProduct = () => {
               value={product.stock}
               onChange={(e) => setProduct({ ...product, stock: Number(e.target.value) })}
             />
+            {Number(product.stock) !== savedStock && (
+              <input
+                className="border p-2 mb-4 w-full rounded"
+                placeholder={`Reason for changing stock from ${savedStock} (e.g., stock count, damaged units)`}
+                value={stockReason}
+                onChange={(e) => setStockReason(e.target.value)}
+              />
+            )}
           </div>
         </div>
 
@@ -271,6 +309,35 @@ const EditProduct = () => {
           </div>
         </div>
 
+        {/* Tax Details (printed on GST invoices) */}
+        <div className="mb-6">
+          <h2 className="text-xl font-semibold mb-4 border-b pb-2">Tax Details</h2>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-gray-700 text-sm font-bold mb-2">HSN Code</label>
+              <input
+                className="border p-2 w-full rounded"
+                placeholder="e.g., 8517"
+                value={product.hsnCode || ""}
+                onChange={(e) => setProduct({ ...product, hsnCode: e.target.value.trim() })}
+              />
+            </div>
+            <div>
+              <label className="block text-gray-700 text-sm font-bold mb-2">GST Rate</label>
+              <select
+                className="border p-2 w-full rounded"
+                value={product.gstRate ?? ""}
+                onChange={(e) => setProduct({ ...product, gstRate: e.target.value === "" ? null : Number(e.target.value) })}
+              >
+                <option value="">Store default</option>
+                {GST_RATES.map((rate) => (
+                  <option key={rate} value={rate}>{rate}%</option>
+                ))}
+              </select>
+            </div>
+          </div>
+        </div>
+
         {/* Product Origin/Import Details */}
         <div className="mb-6">
           <h2 className="text-xl font-semibold mb-4 border-b pb-2">Origin & Import Details</h2>
@@ -534,6 +601,12 @@ const EditProduct = () => {
           </div>
         </div>
 
+        {/* Stock Movements */}
+        <div className="mb-6">
+          <h2 className="text-xl font-semibold mb-4 border-b pb-2">Stock Movements</h2>
+          <StockLedger productId={id} currentStock={savedStock} refreshKey={ledgerKey} />
+        </div>
+
         <button
           className={`w-full py-2 rounded text-white transition-all duration-300 ${
             isSubmitting 
@@ -0,0 +1,399 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import CarrierRulesService, {
+  DEFAULT_CARRIER_RULES,
+  PAYMENT_TYPES,
+  createCarrierRule,
+  evaluateCarrierRules
+} from '../../utils/carrierRules';
+import { getCarrierAdapters } from '../../utils/carriers';
+import { ORDER_PRIORITIES } from '../../utils/orderService';
+import { formatCurrency } from '../../utils/formatUtils';
+import { useAuth } from '../../contexts/AuthContext';
+
+const splitList = (text) => text.split(',').map(value => value.trim()).filter(Boolean);
+
+/**
+ * Convert a stored rule into editable form values (lists as comma-separated text)
+ * @param {Object} rule - Stored rule
+ * @returns {Object} - Form rule
+ */
+const toFormRule = (rule) => {
+  const conditions = rule.conditions || {};
+  return {
+    ...rule,
+    conditions,
+    pincodeText: (conditions.pincodeRanges || [])
+      .map(range => (range.to && range.to !== range.from ? `${range.from}-${range.to}` : range.from))
+      .join(', '),
+    countriesText: (conditions.countries || []).join(', '),
+    excludeCountriesText: (conditions.excludeCountries || []).join(', ')
+  };
+};
+
+/**
+ * Convert form values back into a stored rule
+ * @param {Object} formRule - Form rule
+ * @returns {Object} - Stored rule
+ */
+const fromFormRule = ({ pincodeText, countriesText, excludeCountriesText, ...rule }) => {
+  const conditions = {
+    ...rule.conditions,
+    pincodeRanges: splitList(pincodeText).map(part => {
+      const [from, to] = part.split('-').map(value => value.trim());
+      return { from, to: to || from };
+    }),
+    countries: splitList(countriesText),
+    excludeCountries: splitList(excludeCountriesText)
+  };
+  // Drop empty conditions so stored rules only list what they check
+  Object.keys(conditions).forEach(key => {
+    const value = conditions[key];
+    if (value === '' || value === null || value === undefined || (Array.isArray(value) && value.length === 0)) {
+      delete conditions[key];
+    }
+  });
+  return { ...rule, conditions };
+};
+
+const EMPTY_SAMPLE = {
+  country: 'India',
+  pin: '',
+  total: '',
+  weight: '',
+  paymentMethod: 'prepaid',
+  priority: ORDER_PRIORITIES.NORMAL
+};
+
+/**
+ * Carrier Rules Settings Component
+ *
+ * Edits the ordered list of carrier assignment rules applied when an order is
+ * packed, and tests a sample order against the unsaved rules
+ *
+ * @returns {JSX.Element} The carrier rules editor
+ */
+const CarrierRulesSettings = () => {
+  const { user } = useAuth();
+  const [rules, setRules] = useState([]);
+  const [fallbackCarrier, setFallbackCarrier] = useState(DEFAULT_CARRIER_RULES.fallbackCarrier);
+  const [sample, setSample] = useState(EMPTY_SAMPLE);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const carriers = getCarrierAdapters();
+
+  useEffect(() => {
+    const loadRules = async () => {
+      const loaded = await CarrierRulesService.getRules();
+      setRules((loaded.rules || []).map(toFormRule));
+      setFallbackCarrier(loaded.fallbackCarrier);
+      setLoading(false);
+    };
+    loadRules();
+  }, []);
+
+  const updateRule = (index, changes) => {
+    setRules(prev => prev.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+  };
+
+  const updateCondition = (index, field, value) => {
+    setRules(prev => prev.map((rule, i) => (
+      i === index ? { ...rule, conditions: { ...rule.conditions, [field]: value } } : rule
+    )));
+  };
+
+  const moveRule = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= rules.length) return;
+    const next = [...rules];
+    [next[index], next[target]] = [next[target], next[index]];
+    setRules(next);
+  };
+
+  const togglePriority = (index, priority) => {
+    const current = rules[index].conditions.priorities || [];
+    updateCondition(index, 'priorities', current.includes(priority)
+      ? current.filter(value => value !== priority)
+      : [...current, priority]);
+  };
+
+  const ruleSet = { rules: rules.map(fromFormRule), fallbackCarrier };
+
+  const handleSave = async () => {
+    setSaving(true);
+    const result = await CarrierRulesService.saveRules(ruleSet, user?.uid || 'admin');
+    setSaving(false);
+
+    if (result.success) {
+      toast.success('Carrier rules saved');
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  // Evaluate the sample order against the rules as currently edited
+  const testResult = evaluateCarrierRules({
+    shipping: { address: { country: sample.country, pin: sample.pin } },
+    total: Number(sample.total) || 0,
+    packageWeight: sample.weight === '' ? null : Number(sample.weight),
+    payment: { method: sample.paymentMethod },
+    priority: sample.priority
+  }, ruleSet);
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-2 border-blue-600 border-t-transparent"></div>
+      </div>
+    );
+  }
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+  const labelClass = 'block text-sm font-medium text-gray-700 mb-1';
+
+  return (
+    <div className="space-y-6 max-w-4xl">
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex justify-between items-center mb-2">
+          <h3 className="text-lg font-semibold">Carrier Rules</h3>
+          <button
+            onClick={() => setRules([...rules, toFormRule(createCarrierRule())])}
+            className="px-4 py-2 bg-gray-100 text-gray-800 rounded-md hover:bg-gray-200 text-sm"
+          >
+            Add Rule
+          </button>
+        </div>
+        <p className="text-sm text-gray-500 mb-4">
+          When an order is packed, rules are checked from top to bottom and the first matching rule picks the carrier.
+          Empty conditions match every order.
+        </p>
+
+        <div className="space-y-4">
+          {rules.map((rule, index) => (
+            <div key={rule.id} className={`border rounded-lg p-4 ${rule.enabled ? 'border-gray-200' : 'border-gray-200 bg-gray-50 opacity-75'}`}>
+              <div className="flex flex-wrap items-center gap-3 mb-3">
+                <span className="text-sm font-semibold text-gray-500">#{index + 1}</span>
+                <input
+                  type="text"
+                  value={rule.name}
+                  onChange={(e) => updateRule(index, { name: e.target.value })}
+                  className="flex-1 min-w-[12rem] px-3 py-1.5 border border-gray-300 rounded-md"
+                />
+                <select
+                  value={rule.carrier}
+                  onChange={(e) => updateRule(index, { carrier: e.target.value })}
+                  className="px-3 py-1.5 border border-gray-300 rounded-md"
+                >
+                  {carriers.map(carrier => (
+                    <option key={carrier.key} value={carrier.name}>{carrier.name}</option>
+                  ))}
+                </select>
+                <label className="flex items-center gap-1 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={rule.enabled}
+                    onChange={(e) => updateRule(index, { enabled: e.target.checked })}
+                    className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                  Enabled
+                </label>
+                <div className="flex gap-1">
+                  <button onClick={() => moveRule(index, -1)} disabled={index === 0} className="px-2 py-1 text-gray-600 hover:bg-gray-100 rounded disabled:opacity-30" title="Move up">↑</button>
+                  <button onClick={() => moveRule(index, 1)} disabled={index === rules.length - 1} className="px-2 py-1 text-gray-600 hover:bg-gray-100 rounded disabled:opacity-30" title="Move down">↓</button>
+                  <button onClick={() => setRules(rules.filter((_, i) => i !== index))} className="px-2 py-1 text-red-600 hover:bg-red-50 rounded" title="Delete rule">✕</button>
+                </div>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+                <div className="md:col-span-3">
+                  <label className={labelClass}>PIN code ranges</label>
+                  <input
+                    type="text"
+                    value={rule.pincodeText}
+                    onChange={(e) => updateRule(index, { pincodeText: e.target.value })}
+                    placeholder="110001-110099, 400001"
+                    className={`${inputClass} font-mono`}
+                  />
+                </div>
+                <div>
+                  <label className={labelClass}>Countries</label>
+                  <input
+                    type="text"
+                    value={rule.countriesText}
+                    onChange={(e) => updateRule(index, { countriesText: e.target.value })}
+                    placeholder="Any"
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className={labelClass}>Except countries</label>
+                  <input
+                    type="text"
+                    value={rule.excludeCountriesText}
+                    onChange={(e) => updateRule(index, { excludeCountriesText: e.target.value })}
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className={labelClass}>Payment</label>
+                  <select
+                    value={rule.conditions.paymentType || PAYMENT_TYPES.ANY}
+                    onChange={(e) => updateCondition(index, 'paymentType', e.target.value)}
+                    className={inputClass}
+                  >
+                    <option value={PAYMENT_TYPES.ANY}>Any</option>
+                    <option value={PAYMENT_TYPES.COD}>Cash on delivery</option>
+                    <option value={PAYMENT_TYPES.PREPAID}>Prepaid</option>
+                  </select>
+                </div>
+                <div>
+                  <label className={labelClass}>Order total (₹)</label>
+                  <div className="flex gap-2">
+                    <input
+                      type="number"
+                      min="0"
+                      value={rule.conditions.minTotal ?? ''}
+                      onChange={(e) => updateCondition(index, 'minTotal', e.target.value === '' ? '' : Number(e.target.value))}
+                      placeholder="Min"
+                      className={inputClass}
+                    />
+                    <input
+                      type="number"
+                      min="0"
+                      value={rule.conditions.maxTotal ?? ''}
+                      onChange={(e) => updateCondition(index, 'maxTotal', e.target.value === '' ? '' : Number(e.target.value))}
+                      placeholder="Max"
+                      className={inputClass}
+                    />
+                  </div>
+                </div>
+                <div>
+                  <label className={labelClass}>Package weight (kg)</label>
+                  <div className="flex gap-2">
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.1"
+                      value={rule.conditions.minWeight ?? ''}
+                      onChange={(e) => updateCondition(index, 'minWeight', e.target.value === '' ? '' : Number(e.target.value))}
+                      placeholder="Min"
+                      className={inputClass}
+                    />
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.1"
+                      value={rule.conditions.maxWeight ?? ''}
+                      onChange={(e) => updateCondition(index, 'maxWeight', e.target.value === '' ? '' : Number(e.target.value))}
+                      placeholder="Max"
+                      className={inputClass}
+                    />
+                  </div>
+                </div>
+                <div>
+                  <label className={labelClass}>Priorities</label>
+                  <div className="flex flex-wrap gap-3 pt-2">
+                    {Object.values(ORDER_PRIORITIES).map(priority => (
+                      <label key={priority} className="flex items-center gap-1 text-gray-700 capitalize">
+                        <input
+                          type="checkbox"
+                          checked={(rule.conditions.priorities || []).includes(priority)}
+                          onChange={() => togglePriority(index, priority)}
+                          className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                        />
+                        {priority}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <div className="mt-4 pt-4 border-t border-gray-200 flex items-center gap-3">
+          <label className="text-sm font-medium text-gray-700">Fallback carrier</label>
+          <select
+            value={fallbackCarrier}
+            onChange={(e) => setFallbackCarrier(e.target.value)}
+            className="px-3 py-1.5 border border-gray-300 rounded-md"
+          >
+            {carriers.map(carrier => (
+              <option key={carrier.key} value={carrier.name}>{carrier.name}</option>
+            ))}
+          </select>
+          <span className="text-xs text-gray-500">Used when no rule matches</span>
+        </div>
+      </div>
+
+      {/* Rule tester */}
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h3 className="text-lg font-semibold mb-4">Test a Sample Order</h3>
+        <div className="grid grid-cols-2 md:grid-cols-3 gap-3 text-sm">
+          <div>
+            <label className={labelClass}>Country</label>
+            <input type="text" value={sample.country} onChange={(e) => setSample({ ...sample, country: e.target.value })} className={inputClass} />
+          </div>
+          <div>
+            <label className={labelClass}>PIN code</label>
+            <input type="text" value={sample.pin} onChange={(e) => setSample({ ...sample, pin: e.target.value })} maxLength={6} className={`${inputClass} font-mono`} />
+          </div>
+          <div>
+            <label className={labelClass}>Order total (₹)</label>
+            <input type="number" min="0" value={sample.total} onChange={(e) => setSample({ ...sample, total: e.target.value })} className={inputClass} />
+          </div>
+          <div>
+            <label className={labelClass}>Package weight (kg)</label>
+            <input type="number" min="0" step="0.1" value={sample.weight} onChange={(e) => setSample({ ...sample, weight: e.target.value })} className={inputClass} />
+          </div>
+          <div>
+            <label className={labelClass}>Payment</label>
+            <select value={sample.paymentMethod} onChange={(e) => setSample({ ...sample, paymentMethod: e.target.value })} className={inputClass}>
+              <option value="prepaid">Prepaid</option>
+              <option value="cod">Cash on delivery</option>
+            </select>
+          </div>
+          <div>
+            <label className={labelClass}>Priority</label>
+            <select value={sample.priority} onChange={(e) => setSample({ ...sample, priority: e.target.value })} className={`${inputClass} capitalize`}>
+              {Object.values(ORDER_PRIORITIES).map(priority => (
+                <option key={priority} value={priority}>{priority}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="mt-4 bg-blue-50 border border-blue-200 rounded-lg p-4 text-sm">
+          <div className="text-blue-900">
+            Ships with <strong>{testResult.carrier}</strong>
+            {' '}({testResult.rule ? `rule "${testResult.rule.name}"` : 'fallback carrier'})
+            {testResult.facts.total > 0 && <span className="text-blue-700"> · total {formatCurrency(testResult.facts.total)}</span>}
+          </div>
+          <ol className="mt-2 space-y-1 text-gray-700">
+            {testResult.trace.map((step, index) => (
+              <li key={step.ruleId || index}>
+                <span className={step.matched ? 'text-green-700 font-medium' : 'text-gray-500'}>
+                  {step.matched ? '✓' : '✗'} {step.name}
+                </span>
+                {!step.matched && <span className="text-gray-500">: {step.failures.join('; ')}</span>}
+              </li>
+            ))}
+          </ol>
+        </div>
+      </div>
+
+      <div className="flex justify-end">
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50 transition-colors"
+        >
+          {saving ? 'Saving...' : 'Save Rules'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CarrierRulesSettings;
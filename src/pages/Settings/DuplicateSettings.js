@@ -0,0 +1,120 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import DuplicateOrderService, { DEFAULT_DUPLICATE_SETTINGS } from '../../utils/duplicateOrders';
+import { useAuth } from '../../contexts/AuthContext';
+
+/**
+ * Duplicate Settings Component
+ *
+ * When two placed orders are flagged as likely duplicates: how close
+ * together they were placed and how many items they share
+ *
+ * @returns {JSX.Element} The duplicate order settings form
+ */
+const DuplicateSettings = () => {
+  const { user } = useAuth();
+  const [settings, setSettings] = useState(DEFAULT_DUPLICATE_SETTINGS);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const loadSettings = async () => {
+      const loaded = await DuplicateOrderService.getDuplicateSettings();
+      setSettings(loaded);
+      setLoading(false);
+    };
+    loadSettings();
+  }, []);
+
+  const handleSave = async () => {
+    setSaving(true);
+    const result = await DuplicateOrderService.saveDuplicateSettings(settings, user?.uid || 'admin');
+    setSaving(false);
+
+    if (result.success) {
+      toast.success('Duplicate order settings saved');
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-2 border-blue-600 border-t-transparent"></div>
+      </div>
+    );
+  }
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+  const labelClass = 'block text-sm font-medium text-gray-700 mb-1';
+
+  return (
+    <div className="space-y-6 max-w-4xl">
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h3 className="text-lg font-semibold mb-1">Duplicate Detection</h3>
+        <p className="text-sm text-gray-500 mb-4">
+          Placed orders from the same customer account or phone number are flagged as likely duplicates
+          when they were placed close together and share most of their items.
+        </p>
+
+        <label className="flex items-center gap-2 text-sm text-gray-700 mb-4">
+          <input
+            type="checkbox"
+            checked={settings.enabled}
+            onChange={(e) => setSettings(prev => ({ ...prev, enabled: e.target.checked }))}
+            className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+          />
+          Flag likely duplicate orders
+        </label>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 max-w-md mb-4">
+          <div>
+            <label className={labelClass}>Placed within (minutes)</label>
+            <input
+              type="number"
+              min="1"
+              max="1440"
+              value={settings.windowMinutes}
+              onChange={(e) => setSettings(prev => ({ ...prev, windowMinutes: Number(e.target.value) }))}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className={labelClass}>Items in common (%)</label>
+            <input
+              type="number"
+              min="1"
+              max="100"
+              value={settings.minItemOverlap}
+              onChange={(e) => setSettings(prev => ({ ...prev, minItemOverlap: Number(e.target.value) }))}
+              className={inputClass}
+            />
+          </div>
+        </div>
+
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={settings.matchPhone}
+            onChange={(e) => setSettings(prev => ({ ...prev, matchPhone: e.target.checked }))}
+            className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+          />
+          Also match guest orders by phone number
+        </label>
+      </div>
+
+      <div className="flex justify-end">
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50 transition-colors"
+        >
+          {saving ? 'Saving...' : 'Save Settings'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default DuplicateSettings;
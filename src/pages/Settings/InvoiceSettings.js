@@ -0,0 +1,250 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import InvoiceService, {
+  DEFAULT_INVOICE_SETTINGS,
+  GST_RATES,
+  GST_STATE_CODES,
+  getFinancialYear,
+  formatInvoiceNumber
+} from '../../utils/invoiceService';
+import { useAuth } from '../../contexts/AuthContext';
+
+/**
+ * Invoice Settings Component
+ *
+ * Seller details and tax defaults printed on GST tax invoices:
+ * - Store legal name, address, state, GSTIN and PAN
+ * - Invoice number prefix (numbers restart every financial year)
+ * - Default HSN code and GST rate for products without their own
+ * - Whether product prices include GST, and how shipping is taxed
+ *
+ * @returns {JSX.Element} The invoice settings form
+ */
+const InvoiceSettings = () => {
+  const { user } = useAuth();
+  const [settings, setSettings] = useState(DEFAULT_INVOICE_SETTINGS);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const loadSettings = async () => {
+      const loaded = await InvoiceService.getInvoiceSettings();
+      setSettings(loaded);
+      setLoading(false);
+    };
+    loadSettings();
+  }, []);
+
+  const handleChange = (field, value) => {
+    setSettings(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    const result = await InvoiceService.saveInvoiceSettings(settings, user?.uid || 'admin');
+    setSaving(false);
+
+    if (result.success) {
+      toast.success('Invoice settings saved');
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-2 border-blue-600 border-t-transparent"></div>
+      </div>
+    );
+  }
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+  const labelClass = 'block text-sm font-medium text-gray-700 mb-1';
+
+  return (
+    <div className="space-y-6 max-w-4xl">
+      {/* Seller details */}
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h3 className="text-lg font-semibold mb-4">Store Details</h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className={labelClass}>Legal Name *</label>
+            <input
+              type="text"
+              value={settings.sellerName}
+              onChange={(e) => handleChange('sellerName', e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className={labelClass}>GSTIN *</label>
+            <input
+              type="text"
+              value={settings.sellerGstin}
+              onChange={(e) => handleChange('sellerGstin', e.target.value.toUpperCase())}
+              maxLength={15}
+              placeholder="22AAAAA0000A1Z5"
+              className={`${inputClass} font-mono`}
+            />
+          </div>
+          <div className="md:col-span-2">
+            <label className={labelClass}>Registered Address *</label>
+            <textarea
+              value={settings.sellerAddress}
+              onChange={(e) => handleChange('sellerAddress', e.target.value)}
+              rows={3}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className={labelClass}>State *</label>
+            <select
+              value={settings.sellerState}
+              onChange={(e) => handleChange('sellerState', e.target.value)}
+              className={inputClass}
+            >
+              <option value="">Select state</option>
+              {Object.entries(GST_STATE_CODES).map(([state, code]) => (
+                <option key={code} value={state}>{code} - {state}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className={labelClass}>PAN</label>
+            <input
+              type="text"
+              value={settings.sellerPan}
+              onChange={(e) => handleChange('sellerPan', e.target.value.toUpperCase())}
+              maxLength={10}
+              className={`${inputClass} font-mono`}
+            />
+          </div>
+          <div>
+            <label className={labelClass}>Phone</label>
+            <input
+              type="text"
+              value={settings.sellerPhone}
+              onChange={(e) => handleChange('sellerPhone', e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className={labelClass}>Email</label>
+            <input
+              type="email"
+              value={settings.sellerEmail}
+              onChange={(e) => handleChange('sellerEmail', e.target.value)}
+              className={inputClass}
+            />
+          </div>
+        </div>
+      </div>
+
+      {/* Numbering and tax defaults */}
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h3 className="text-lg font-semibold mb-4">Numbering & Tax</h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className={labelClass}>Invoice Prefix</label>
+            <input
+              type="text"
+              value={settings.invoicePrefix}
+              onChange={(e) => handleChange('invoicePrefix', e.target.value.toUpperCase())}
+              maxLength={4}
+              className={`${inputClass} font-mono`}
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              Next number looks like {formatInvoiceNumber(settings.invoicePrefix, getFinancialYear(), 1)}.
+              Numbering restarts every April.
+            </p>
+          </div>
+          <div>
+            <label className={labelClass}>Authorised Signatory</label>
+            <input
+              type="text"
+              value={settings.authorisedSignatory}
+              onChange={(e) => handleChange('authorisedSignatory', e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className={labelClass}>Default HSN Code</label>
+            <input
+              type="text"
+              value={settings.defaultHsnCode}
+              onChange={(e) => handleChange('defaultHsnCode', e.target.value)}
+              className={`${inputClass} font-mono`}
+            />
+            <p className="text-xs text-gray-500 mt-1">Used for products without their own HSN code</p>
+          </div>
+          <div>
+            <label className={labelClass}>Default GST Rate</label>
+            <select
+              value={settings.defaultGstRate}
+              onChange={(e) => handleChange('defaultGstRate', Number(e.target.value))}
+              className={inputClass}
+            >
+              {GST_RATES.map(rate => (
+                <option key={rate} value={rate}>{rate}%</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className={labelClass}>Shipping SAC Code</label>
+            <input
+              type="text"
+              value={settings.shippingSacCode}
+              onChange={(e) => handleChange('shippingSacCode', e.target.value)}
+              className={`${inputClass} font-mono`}
+            />
+          </div>
+          <div>
+            <label className={labelClass}>Shipping GST Rate</label>
+            <select
+              value={settings.shippingGstRate}
+              onChange={(e) => handleChange('shippingGstRate', Number(e.target.value))}
+              className={inputClass}
+            >
+              {GST_RATES.map(rate => (
+                <option key={rate} value={rate}>{rate}%</option>
+              ))}
+            </select>
+          </div>
+          <div className="md:col-span-2">
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={settings.pricesIncludeTax !== false}
+                onChange={(e) => handleChange('pricesIncludeTax', e.target.checked)}
+                className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              Product prices and shipping charges include GST
+            </label>
+          </div>
+          <div className="md:col-span-2">
+            <label className={labelClass}>Terms & Conditions</label>
+            <textarea
+              value={settings.termsAndConditions}
+              onChange={(e) => handleChange('termsAndConditions', e.target.value)}
+              rows={3}
+              className={inputClass}
+            />
+          </div>
+        </div>
+      </div>
+
+      <div className="flex justify-end">
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50 transition-colors"
+        >
+          {saving ? 'Saving...' : 'Save Settings'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default InvoiceSettings;
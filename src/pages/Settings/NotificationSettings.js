@@ -0,0 +1,224 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import CustomerNotificationService, {
+  DEFAULT_NOTIFICATION_SETTINGS,
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_CHANNEL_LABELS,
+  NOTIFIED_STATUSES,
+  TEMPLATE_VARIABLES,
+  renderTemplate
+} from '../../utils/customerNotifications';
+import { getActiveSender } from '../../utils/notifications';
+import { useAuth } from '../../contexts/AuthContext';
+
+// Filled into the previews
+const SAMPLE_VARIABLES = {
+  customerName: 'Priya Sharma',
+  orderNumber: 'ORD-1042',
+  orderTotal: '₹2,499.00',
+  itemCount: 3,
+  status: '',
+  carrier: 'Blue Dart',
+  trackingNumber: '81234567890',
+  trackingUrl: 'https://www.bluedart.com/tracking',
+  reason: 'Requested by customer',
+  refundAmount: '₹2,499.00'
+};
+
+/**
+ * Notification Settings Component
+ *
+ * Templates for the messages customers receive when their order is
+ * approved, shipped, delivered, cancelled or refunded, per channel
+ *
+ * @returns {JSX.Element} The customer notification settings form
+ */
+const NotificationSettings = () => {
+  const { user } = useAuth();
+  const [settings, setSettings] = useState(DEFAULT_NOTIFICATION_SETTINGS);
+  const [activeStatus, setActiveStatus] = useState(NOTIFIED_STATUSES[0]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [draining, setDraining] = useState(false);
+
+  const sender = getActiveSender();
+
+  useEffect(() => {
+    const loadSettings = async () => {
+      const loaded = await CustomerNotificationService.getNotificationSettings();
+      setSettings(loaded);
+      setLoading(false);
+    };
+    loadSettings();
+  }, []);
+
+  const updateTemplate = (channel, changes) => {
+    setSettings(prev => ({
+      ...prev,
+      templates: {
+        ...prev.templates,
+        [activeStatus]: {
+          ...prev.templates[activeStatus],
+          [channel]: { ...prev.templates[activeStatus][channel], ...changes }
+        }
+      }
+    }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    const result = await CustomerNotificationService.saveNotificationSettings(settings, user?.uid || 'admin');
+    setSaving(false);
+
+    if (result.success) {
+      toast.success('Notification templates saved');
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  const handleDrain = async () => {
+    setDraining(true);
+    const result = await CustomerNotificationService.drainOutbox();
+    setDraining(false);
+
+    if (result.success) {
+      toast.success(`Sent ${result.sent} message${result.sent === 1 ? '' : 's'}${result.failed ? `, ${result.failed} failed` : ''}`);
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-2 border-blue-600 border-t-transparent"></div>
+      </div>
+    );
+  }
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+  const labelClass = 'block text-sm font-medium text-gray-700 mb-1';
+  const previewVariables = { ...SAMPLE_VARIABLES, status: activeStatus };
+
+  return (
+    <div className="space-y-6 max-w-5xl">
+      {/* Sender */}
+      <div className="bg-white rounded-lg shadow-md p-6 flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h3 className="text-lg font-semibold mb-1">Delivery</h3>
+          <p className="text-sm text-gray-500">
+            {sender
+              ? `Queued messages are sent with the ${sender.name} sender while the admin panel is open.`
+              : 'No sender is configured, so messages stay in the outbox. Set REACT_APP_NOTIFICATION_PROXY_URL to send them.'}
+          </p>
+        </div>
+        <button
+          onClick={handleDrain}
+          disabled={!sender || draining}
+          className="px-4 py-2 bg-gray-100 text-gray-800 rounded-md hover:bg-gray-200 text-sm disabled:opacity-50"
+        >
+          {draining ? 'Sending...' : 'Send queued messages now'}
+        </button>
+      </div>
+
+      {/* Templates */}
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h3 className="text-lg font-semibold mb-1">Templates</h3>
+        <p className="text-sm text-gray-500 mb-4">
+          Sent when an order moves to the status. Email goes to the order's email address, SMS and WhatsApp to its phone number.
+        </p>
+
+        <div className="flex gap-2 mb-6">
+          {NOTIFIED_STATUSES.map(status => (
+            <button
+              key={status}
+              onClick={() => setActiveStatus(status)}
+              className={`px-3 py-1.5 rounded-md text-sm font-medium ${
+                status === activeStatus ? 'bg-gray-800 text-white' : 'text-gray-600 hover:bg-gray-100'
+              }`}
+            >
+              {status}
+            </button>
+          ))}
+        </div>
+
+        <div className="space-y-6">
+          {Object.values(NOTIFICATION_CHANNELS).map(channel => {
+            const channelTemplate = settings.templates[activeStatus][channel];
+            return (
+              <div key={channel} className="border border-gray-200 rounded-lg p-4">
+                <label className="flex items-center gap-2 font-medium text-gray-800 mb-3">
+                  <input
+                    type="checkbox"
+                    checked={channelTemplate.enabled}
+                    onChange={(e) => updateTemplate(channel, { enabled: e.target.checked })}
+                    className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                  {NOTIFICATION_CHANNEL_LABELS[channel]}
+                </label>
+
+                <div className={`grid grid-cols-1 md:grid-cols-2 gap-4 ${channelTemplate.enabled ? '' : 'opacity-50'}`}>
+                  <div>
+                    {channel === NOTIFICATION_CHANNELS.EMAIL && (
+                      <div className="mb-3">
+                        <label className={labelClass}>Subject</label>
+                        <input
+                          type="text"
+                          value={channelTemplate.subject}
+                          onChange={(e) => updateTemplate(channel, { subject: e.target.value })}
+                          className={inputClass}
+                        />
+                      </div>
+                    )}
+                    <label className={labelClass}>Message</label>
+                    <textarea
+                      value={channelTemplate.body}
+                      onChange={(e) => updateTemplate(channel, { body: e.target.value })}
+                      rows={channel === NOTIFICATION_CHANNELS.EMAIL ? 7 : 3}
+                      className={`${inputClass} text-sm`}
+                    />
+                  </div>
+                  <div>
+                    <span className={labelClass}>Preview</span>
+                    <div className="p-3 bg-gray-50 rounded-md text-sm text-gray-700 whitespace-pre-wrap">
+                      {channel === NOTIFICATION_CHANNELS.EMAIL && (
+                        <div className="font-medium text-gray-900 mb-2">{renderTemplate(channelTemplate.subject, previewVariables)}</div>
+                      )}
+                      {renderTemplate(channelTemplate.body, previewVariables)}
+                    </div>
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      {/* Variables */}
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h3 className="text-lg font-semibold mb-4">Variables</h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-2 text-sm">
+          {TEMPLATE_VARIABLES.map(variable => (
+            <div key={variable.name}>
+              <code className="px-1.5 py-0.5 bg-gray-100 rounded text-gray-800">{`{{${variable.name}}}`}</code>
+              <span className="text-gray-500 ml-2">{variable.description}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex justify-end">
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50 transition-colors"
+        >
+          {saving ? 'Saving...' : 'Save Settings'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default NotificationSettings;
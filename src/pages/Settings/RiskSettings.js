@@ -0,0 +1,279 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import RiskService, {
+  DEFAULT_RISK_SETTINGS,
+  RISK_LEVELS,
+  RISK_SIGNALS,
+  RISK_SIGNAL_LABELS,
+  createRiskRule
+} from '../../utils/riskService';
+import TagService from '../../utils/tagService';
+import { useAuth } from '../../contexts/AuthContext';
+
+const SIGNAL_HELP = {
+  [RISK_SIGNALS.FIRST_TIME_CUSTOMER]: 'The customer has no earlier orders',
+  [RISK_SIGNALS.HIGH_ORDER_VALUE]: 'The total is well above the average order value',
+  [RISK_SIGNALS.ADDRESS_MISMATCH]: 'The order carries a billing address that differs from the shipping address',
+  [RISK_SIGNALS.PHONE_VELOCITY]: 'The same phone number placed several orders within 24 hours',
+  [RISK_SIGNALS.BANNED_CUSTOMER]: 'The customer account is banned',
+  [RISK_SIGNALS.ADDRESS_HISTORY]: 'Earlier orders to the same address were declined or returned to origin'
+};
+
+/**
+ * Risk Settings Component
+ *
+ * Weights of the risk signals, the score bands for each risk level and the
+ * rules that tag or hold risky orders when they are placed
+ *
+ * @returns {JSX.Element} The risk scoring settings form
+ */
+const RiskSettings = () => {
+  const { user } = useAuth();
+  const [settings, setSettings] = useState(DEFAULT_RISK_SETTINGS);
+  const [catalogue, setCatalogue] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const loadSettings = async () => {
+      const [loaded, tagsResult] = await Promise.all([RiskService.getRiskSettings(), TagService.getTags()]);
+      setSettings(loaded);
+      setCatalogue(tagsResult.tags || []);
+      setLoading(false);
+    };
+    loadSettings();
+  }, []);
+
+  const updateSignal = (signal, changes) => {
+    setSettings(prev => ({
+      ...prev,
+      signals: { ...prev.signals, [signal]: { ...prev.signals[signal], ...changes } }
+    }));
+  };
+
+  const updateRule = (index, changes) => {
+    setSettings(prev => ({
+      ...prev,
+      rules: prev.rules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule))
+    }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    const result = await RiskService.saveRiskSettings(settings, user?.uid || 'admin');
+    setSaving(false);
+
+    if (result.success) {
+      toast.success('Risk settings saved');
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-2 border-blue-600 border-t-transparent"></div>
+      </div>
+    );
+  }
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+  const labelClass = 'block text-sm font-medium text-gray-700 mb-1';
+
+  return (
+    <div className="space-y-6 max-w-4xl">
+      {/* Signals */}
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h3 className="text-lg font-semibold mb-1">Signals</h3>
+        <p className="text-sm text-gray-500 mb-4">
+          Each placed order is scored once. Every signal that fires adds its points; the score is capped at 100.
+        </p>
+        <div className="space-y-4">
+          {Object.values(RISK_SIGNALS).map(signal => {
+            const config = settings.signals[signal];
+            return (
+              <div key={signal} className="grid grid-cols-1 md:grid-cols-4 gap-3 items-center text-sm">
+                <label className="md:col-span-2 flex items-start gap-2">
+                  <input
+                    type="checkbox"
+                    checked={config.enabled}
+                    onChange={(e) => updateSignal(signal, { enabled: e.target.checked })}
+                    className="mt-0.5 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                  <span>
+                    <span className="font-medium text-gray-800">{RISK_SIGNAL_LABELS[signal]}</span>
+                    <span className="block text-xs text-gray-500">{SIGNAL_HELP[signal]}</span>
+                  </span>
+                </label>
+                <div>
+                  <label className="block text-xs text-gray-500 mb-1">Points</label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    value={config.weight}
+                    onChange={(e) => updateSignal(signal, { weight: Number(e.target.value) })}
+                    className={inputClass}
+                  />
+                </div>
+                {signal === RISK_SIGNALS.HIGH_ORDER_VALUE && (
+                  <div>
+                    <label className="block text-xs text-gray-500 mb-1">× average order value</label>
+                    <input
+                      type="number"
+                      min="1"
+                      step="0.5"
+                      value={config.multiplier}
+                      onChange={(e) => updateSignal(signal, { multiplier: Number(e.target.value) })}
+                      className={inputClass}
+                    />
+                  </div>
+                )}
+                {signal === RISK_SIGNALS.PHONE_VELOCITY && (
+                  <div>
+                    <label className="block text-xs text-gray-500 mb-1">Orders per day</label>
+                    <input
+                      type="number"
+                      min="2"
+                      value={config.maxOrdersPerDay}
+                      onChange={(e) => updateSignal(signal, { maxOrdersPerDay: Number(e.target.value) })}
+                      className={inputClass}
+                    />
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      {/* Levels */}
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h3 className="text-lg font-semibold mb-4">Risk Levels</h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 max-w-md">
+          {[RISK_LEVELS.MEDIUM, RISK_LEVELS.HIGH].map(level => (
+            <div key={level}>
+              <label className={labelClass}>{level === RISK_LEVELS.HIGH ? 'High risk from' : 'Medium risk from'}</label>
+              <input
+                type="number"
+                min="1"
+                max="100"
+                value={settings.levels[level]}
+                onChange={(e) => setSettings(prev => ({ ...prev, levels: { ...prev.levels, [level]: Number(e.target.value) } }))}
+                className={inputClass}
+              />
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Rules */}
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex justify-between items-center mb-1">
+          <h3 className="text-lg font-semibold">Rules</h3>
+          <button
+            onClick={() => setSettings(prev => ({ ...prev, rules: [...prev.rules, createRiskRule()] }))}
+            className="px-4 py-2 bg-gray-100 text-gray-800 rounded-md hover:bg-gray-200 text-sm"
+          >
+            + Add Rule
+          </button>
+        </div>
+        <p className="text-sm text-gray-500 mb-4">
+          Every matching rule is applied when an order is scored. Held orders cannot be approved until an admin releases them.
+        </p>
+
+        {settings.rules.length === 0 && (
+          <p className="text-sm text-gray-500 italic">No rules - orders are scored but never tagged or held.</p>
+        )}
+        <div className="space-y-4">
+          {settings.rules.map((rule, index) => (
+            <div key={rule.id} className={`border rounded-lg p-4 text-sm ${rule.enabled ? 'border-gray-200' : 'border-gray-200 bg-gray-50 opacity-75'}`}>
+              <div className="flex flex-wrap items-center gap-3 mb-3">
+                <input
+                  type="text"
+                  value={rule.name}
+                  onChange={(e) => updateRule(index, { name: e.target.value })}
+                  className="flex-1 min-w-[12rem] px-3 py-1.5 border border-gray-300 rounded-md"
+                />
+                <label className="flex items-center gap-1 text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={rule.enabled}
+                    onChange={(e) => updateRule(index, { enabled: e.target.checked })}
+                    className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                  Enabled
+                </label>
+                <button
+                  onClick={() => setSettings(prev => ({ ...prev, rules: prev.rules.filter((_, i) => i !== index) }))}
+                  className="px-2 py-1 text-red-600 hover:bg-red-50 rounded"
+                  title="Delete rule"
+                >
+                  ✕
+                </button>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end">
+                <div>
+                  <label className={labelClass}>Score at least</label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    value={rule.minScore}
+                    onChange={(e) => updateRule(index, { minScore: Number(e.target.value) })}
+                    className={inputClass}
+                  />
+                </div>
+                <label className="flex items-center gap-2 pb-2 text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={rule.codOnly}
+                    onChange={(e) => updateRule(index, { codOnly: e.target.checked })}
+                    className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                  Cash on delivery only
+                </label>
+                <div>
+                  <label className={labelClass}>Add tag</label>
+                  <select
+                    value={rule.tag}
+                    onChange={(e) => updateRule(index, { tag: e.target.value })}
+                    className={inputClass}
+                  >
+                    <option value="">No tag</option>
+                    {catalogue.map(tag => (
+                      <option key={tag.name} value={tag.name}>{tag.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <label className="flex items-center gap-2 pb-2 text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={rule.hold}
+                    onChange={(e) => updateRule(index, { hold: e.target.checked })}
+                    className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                  Put on hold
+                </label>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex justify-end">
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50 transition-colors"
+        >
+          {saving ? 'Saving...' : 'Save Settings'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default RiskSettings;
@@ -0,0 +1,63 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import OrderSearchService from '../../utils/orderSearch';
+
+/**
+ * Search Index Settings Component
+ *
+ * Runs the one-off backfill that adds search keywords to existing orders.
+ * Orders placed while no admin had the panel open are picked up by running
+ * it again; orders that are already indexed are skipped.
+ *
+ * @returns {JSX.Element} The search index maintenance panel
+ */
+const SearchIndexSettings = () => {
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState(null);
+
+  const runBackfill = async () => {
+    setRunning(true);
+    setProgress({ scanned: 0, indexed: 0 });
+    const result = await OrderSearchService.backfillSearchIndex(setProgress);
+    setRunning(false);
+
+    if (result.success) {
+      toast.success(`Search index updated: ${result.indexed} of ${result.scanned} orders indexed`);
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  return (
+    <div className="space-y-6 max-w-4xl">
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h3 className="text-lg font-semibold mb-1">Order Search Index</h3>
+        <p className="text-sm text-gray-500 mb-4">
+          Order search looks up order IDs, customer emails, phone numbers and names, product names and
+          tracking codes across the full order history. Orders created or changed in the admin are indexed
+          automatically, as are new orders that arrive while the admin panel is open. Run the backfill once
+          for existing orders, and again if orders were placed while nobody was signed in.
+        </p>
+
+        {progress && (
+          <div className="mb-4 text-sm text-gray-700">
+            {running ? 'Indexing... ' : 'Last run: '}
+            {progress.scanned} orders scanned, {progress.indexed} indexed
+          </div>
+        )}
+
+        <div className="flex justify-end">
+          <button
+            onClick={runBackfill}
+            disabled={running}
+            className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50 transition-colors"
+          >
+            {running ? 'Indexing...' : 'Backfill Search Index'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SearchIndexSettings;
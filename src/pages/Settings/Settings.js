@@ -0,0 +1,66 @@
+import React from 'react';
+import { useSearchParams } from 'react-router-dom';
+import InvoiceSettings from './InvoiceSettings';
+import CarrierRulesSettings from './CarrierRulesSettings';
+import SlaSettings from './SlaSettings';
+import SearchIndexSettings from './SearchIndexSettings';
+import TagSettings from './TagSettings';
+import NotificationSettings from './NotificationSettings';
+import RiskSettings from './RiskSettings';
+import DuplicateSettings from './DuplicateSettings';
+
+/**
+ * Store configuration sections shown as tabs
+ * The active tab is kept in the URL (?tab=invoice) so sections can be linked to
+ */
+const SETTINGS_TABS = [
+  { id: 'invoice', label: 'Invoices & GST', component: InvoiceSettings },
+  { id: 'carriers', label: 'Carrier Rules', component: CarrierRulesSettings },
+  { id: 'sla', label: 'Order SLAs', component: SlaSettings },
+  { id: 'risk', label: 'Risk Scoring', component: RiskSettings },
+  { id: 'duplicates', label: 'Duplicate Orders', component: DuplicateSettings },
+  { id: 'tags', label: 'Order Tags', component: TagSettings },
+  { id: 'notifications', label: 'Customer Notifications', component: NotificationSettings },
+  { id: 'search', label: 'Search Index', component: SearchIndexSettings }
+];
+
+/**
+ * Settings Component
+ *
+ * Central place for store-wide configuration used by the admin tools
+ *
+ * @returns {JSX.Element} The Settings page
+ */
+const Settings = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const activeTab = SETTINGS_TABS.find(tab => tab.id === searchParams.get('tab')) || SETTINGS_TABS[0];
+  const ActiveComponent = activeTab.component;
+
+  return (
+    <div className="p-6">
+      <h2 className="text-2xl font-bold text-gray-800 mb-6">Settings</h2>
+
+      <div className="border-b border-gray-200 mb-6">
+        <nav className="flex gap-6">
+          {SETTINGS_TABS.map(tab => (
+            <button
+              key={tab.id}
+              onClick={() => setSearchParams({ tab: tab.id })}
+              className={`pb-3 text-sm font-medium border-b-2 transition-colors ${
+                tab.id === activeTab.id
+                  ? 'border-blue-600 text-blue-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </nav>
+      </div>
+
+      <ActiveComponent />
+    </div>
+  );
+};
+
+export default Settings;
@@ -0,0 +1,235 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import SlaService, { DEFAULT_SLA_SETTINGS, SLA_UNITS } from '../../utils/slaService';
+import { ORDER_STATUSES } from '../../utils/orderService';
+import { useAuth } from '../../contexts/AuthContext';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const STATUS_TARGET_LABELS = {
+  [ORDER_STATUSES.PLACED]: 'Placed → Approved',
+  [ORDER_STATUSES.APPROVED]: 'Approved → Packed',
+  [ORDER_STATUSES.PACKED]: 'Packed → Shipped',
+  [ORDER_STATUSES.PARTIALLY_SHIPPED]: 'Partially Shipped → Shipped',
+  [ORDER_STATUSES.SHIPPED]: 'Shipped → Delivered'
+};
+
+/**
+ * SLA Settings Component
+ *
+ * Per-status time targets, working hours and the holiday calendar used to
+ * flag overdue and at-risk orders
+ *
+ * @returns {JSX.Element} The SLA settings form
+ */
+const SlaSettings = () => {
+  const { user } = useAuth();
+  const [settings, setSettings] = useState(DEFAULT_SLA_SETTINGS);
+  const [newHoliday, setNewHoliday] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const loadSettings = async () => {
+      const loaded = await SlaService.getSlaSettings();
+      setSettings(loaded);
+      setLoading(false);
+    };
+    loadSettings();
+  }, []);
+
+  const updateTarget = (status, changes) => {
+    setSettings(prev => ({
+      ...prev,
+      targets: { ...prev.targets, [status]: { ...prev.targets[status], ...changes } }
+    }));
+  };
+
+  const updateBusinessHours = (changes) => {
+    setSettings(prev => ({ ...prev, businessHours: { ...prev.businessHours, ...changes } }));
+  };
+
+  const toggleDay = (day) => {
+    const days = settings.businessHours.days || [];
+    updateBusinessHours({
+      days: days.includes(day) ? days.filter(value => value !== day) : [...days, day].sort((a, b) => a - b)
+    });
+  };
+
+  const addHoliday = () => {
+    if (!newHoliday || settings.holidays.includes(newHoliday)) return;
+    setSettings(prev => ({ ...prev, holidays: [...prev.holidays, newHoliday].sort() }));
+    setNewHoliday('');
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    const result = await SlaService.saveSlaSettings(settings, user?.uid || 'admin');
+    setSaving(false);
+
+    if (result.success) {
+      toast.success('SLA settings saved');
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-2 border-blue-600 border-t-transparent"></div>
+      </div>
+    );
+  }
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+  const labelClass = 'block text-sm font-medium text-gray-700 mb-1';
+
+  return (
+    <div className="space-y-6 max-w-4xl">
+      {/* Targets */}
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h3 className="text-lg font-semibold mb-1">Status Targets</h3>
+        <p className="text-sm text-gray-500 mb-4">
+          How long an order may stay in each status. Leave a target empty to stop tracking that status.
+        </p>
+        <div className="space-y-3">
+          {Object.keys(DEFAULT_SLA_SETTINGS.targets).map(status => {
+            const target = settings.targets[status] || {};
+            return (
+              <div key={status} className="grid grid-cols-3 gap-3 items-center text-sm">
+                <span className="text-gray-700">{STATUS_TARGET_LABELS[status] || status}</span>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.5"
+                  value={target.value ?? ''}
+                  onChange={(e) => updateTarget(status, { value: e.target.value === '' ? null : Number(e.target.value) })}
+                  placeholder="Not tracked"
+                  className={inputClass}
+                />
+                <select
+                  value={target.unit || SLA_UNITS.HOURS}
+                  onChange={(e) => updateTarget(status, { unit: e.target.value })}
+                  className={inputClass}
+                >
+                  <option value={SLA_UNITS.BUSINESS_HOURS}>business hours</option>
+                  <option value={SLA_UNITS.HOURS}>hours (round the clock)</option>
+                </select>
+              </div>
+            );
+          })}
+        </div>
+        <div className="mt-4 w-48">
+          <label className={labelClass}>At-risk threshold (%)</label>
+          <input
+            type="number"
+            min="1"
+            max="99"
+            value={Math.round(settings.atRiskThreshold * 100)}
+            onChange={(e) => setSettings(prev => ({ ...prev, atRiskThreshold: Number(e.target.value) / 100 }))}
+            className={inputClass}
+          />
+          <p className="text-xs text-gray-500 mt-1">Share of the target used before an order is at risk</p>
+        </div>
+      </div>
+
+      {/* Business hours */}
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h3 className="text-lg font-semibold mb-4">Business Hours</h3>
+        <div className="flex flex-wrap gap-4 mb-4">
+          {WEEKDAYS.map((label, day) => (
+            <label key={day} className="flex items-center gap-1 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={(settings.businessHours.days || []).includes(day)}
+                onChange={() => toggleDay(day)}
+                className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label className={labelClass}>Opens</label>
+            <input
+              type="time"
+              value={settings.businessHours.start}
+              onChange={(e) => updateBusinessHours({ start: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className={labelClass}>Closes</label>
+            <input
+              type="time"
+              value={settings.businessHours.end}
+              onChange={(e) => updateBusinessHours({ end: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className={labelClass}>Timezone (minutes ahead of UTC)</label>
+            <input
+              type="number"
+              value={settings.utcOffsetMinutes}
+              onChange={(e) => setSettings(prev => ({ ...prev, utcOffsetMinutes: Number(e.target.value) }))}
+              className={inputClass}
+            />
+            <p className="text-xs text-gray-500 mt-1">330 for India Standard Time</p>
+          </div>
+        </div>
+      </div>
+
+      {/* Holidays */}
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h3 className="text-lg font-semibold mb-4">Holidays</h3>
+        <div className="flex gap-2 mb-4 max-w-sm">
+          <input
+            type="date"
+            value={newHoliday}
+            onChange={(e) => setNewHoliday(e.target.value)}
+            className={inputClass}
+          />
+          <button
+            onClick={addHoliday}
+            className="px-4 py-2 bg-gray-100 text-gray-800 rounded-md hover:bg-gray-200 text-sm"
+          >
+            Add
+          </button>
+        </div>
+        {settings.holidays.length === 0 ? (
+          <p className="text-sm text-gray-500">No holidays added. Business-hour targets pause on holidays.</p>
+        ) : (
+          <div className="flex flex-wrap gap-2">
+            {settings.holidays.map(date => (
+              <span key={date} className="inline-flex items-center gap-2 px-3 py-1 bg-gray-100 rounded-full text-sm">
+                {date}
+                <button
+                  onClick={() => setSettings(prev => ({ ...prev, holidays: prev.holidays.filter(value => value !== date) }))}
+                  className="text-gray-500 hover:text-red-600"
+                  title="Remove holiday"
+                >
+                  ✕
+                </button>
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="flex justify-end">
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50 transition-colors"
+        >
+          {saving ? 'Saving...' : 'Save Settings'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SlaSettings;
@@ -0,0 +1,179 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import TagService, { TAG_COLORS } from '../../utils/tagService';
+import { useAuth } from '../../contexts/AuthContext';
+
+const EMPTY_TAG = { name: '', color: 'blue', description: '' };
+
+/**
+ * Tag Settings Component
+ *
+ * Catalogue of the tags admins can put on orders, with the colour each tag is
+ * shown in and a description of when to use it
+ *
+ * @returns {JSX.Element} The tag catalogue editor
+ */
+const TagSettings = () => {
+  const { user } = useAuth();
+  const [tags, setTags] = useState([]);
+  const [newTag, setNewTag] = useState(EMPTY_TAG);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const loadTags = async () => {
+    const result = await TagService.getTags();
+    if (!result.success) {
+      toast.error(result.error);
+    }
+    setTags(result.tags);
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    loadTags();
+  }, []);
+
+  const updateTag = (name, changes) => {
+    setTags(prev => prev.map(tag => (tag.name === name ? { ...tag, ...changes } : tag)));
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    const result = await TagService.saveTag(newTag, user?.uid || 'admin', true);
+    setSaving(false);
+
+    if (result.success) {
+      toast.success(`Tag "${result.tag.name}" added`);
+      setNewTag(EMPTY_TAG);
+      loadTags();
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  const handleSave = async (tag) => {
+    const result = await TagService.saveTag(tag, user?.uid || 'admin');
+    if (result.success) {
+      toast.success(`Tag "${tag.name}" saved`);
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  const handleDelete = async (tag) => {
+    if (!window.confirm(`Remove "${tag.name}" from the catalogue? Orders already tagged keep the tag.`)) {
+      return;
+    }
+    const result = await TagService.deleteTag(tag.name);
+    if (result.success) {
+      toast.success(`Tag "${tag.name}" removed`);
+      loadTags();
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-2 border-blue-600 border-t-transparent"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6 max-w-4xl">
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h3 className="text-lg font-semibold mb-1">Order Tags</h3>
+        <p className="text-sm text-gray-500 mb-4">
+          Tags admins can add to orders, e.g. "gift" or "fragile". Orders can be filtered by tag and
+          analytics count the orders carrying each tag.
+        </p>
+
+        {tags.length === 0 ? (
+          <p className="text-sm text-gray-500 italic mb-4">No tags yet.</p>
+        ) : (
+          <div className="divide-y divide-gray-100 mb-6">
+            {tags.map(tag => (
+              <div key={tag.name} className="py-3 grid grid-cols-1 md:grid-cols-12 gap-3 items-center">
+                <div className="md:col-span-3">
+                  <span className={`inline-flex px-2.5 py-1 rounded-full text-xs font-medium ${(TAG_COLORS[tag.color] || TAG_COLORS.gray).chip}`}>
+                    {tag.name}
+                  </span>
+                </div>
+                <select
+                  value={tag.color}
+                  onChange={(e) => updateTag(tag.name, { color: e.target.value })}
+                  className="md:col-span-2 p-2 border border-gray-300 rounded-md text-sm"
+                >
+                  {Object.entries(TAG_COLORS).map(([color, config]) => (
+                    <option key={color} value={color}>{config.label}</option>
+                  ))}
+                </select>
+                <input
+                  type="text"
+                  value={tag.description || ''}
+                  onChange={(e) => updateTag(tag.name, { description: e.target.value })}
+                  placeholder="When to use this tag"
+                  className="md:col-span-5 p-2 border border-gray-300 rounded-md text-sm"
+                />
+                <div className="md:col-span-2 flex justify-end gap-2">
+                  <button
+                    onClick={() => handleSave(tag)}
+                    className="px-3 py-1.5 text-sm bg-blue-50 text-blue-700 rounded hover:bg-blue-100"
+                  >
+                    Save
+                  </button>
+                  <button
+                    onClick={() => handleDelete(tag)}
+                    className="px-3 py-1.5 text-sm bg-red-50 text-red-700 rounded hover:bg-red-100"
+                  >
+                    Remove
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <form onSubmit={handleAdd} className="grid grid-cols-1 md:grid-cols-12 gap-3 items-center border-t pt-4">
+          <input
+            type="text"
+            value={newTag.name}
+            onChange={(e) => setNewTag(prev => ({ ...prev, name: e.target.value }))}
+            placeholder="New tag name"
+            className="md:col-span-3 p-2 border border-gray-300 rounded-md text-sm"
+          />
+          <select
+            value={newTag.color}
+            onChange={(e) => setNewTag(prev => ({ ...prev, color: e.target.value }))}
+            className="md:col-span-2 p-2 border border-gray-300 rounded-md text-sm"
+          >
+            {Object.entries(TAG_COLORS).map(([color, config]) => (
+              <option key={color} value={color}>{config.label}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={newTag.description}
+            onChange={(e) => setNewTag(prev => ({ ...prev, description: e.target.value }))}
+            placeholder="Description (optional)"
+            className="md:col-span-5 p-2 border border-gray-300 rounded-md text-sm"
+          />
+          <div className="md:col-span-2 flex justify-end">
+            <button
+              type="submit"
+              disabled={saving || !newTag.name.trim()}
+              className="px-4 py-2 bg-blue-600 text-white rounded-md text-sm hover:bg-blue-700 disabled:opacity-50 transition-colors"
+            >
+              {saving ? 'Adding...' : 'Add Tag'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default TagSettings;
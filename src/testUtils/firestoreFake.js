@@ -0,0 +1,374 @@
+/**
+ * In-memory Firestore for tests
+ *
+ * Implements the parts of the firebase/firestore API the admin services use,
+ * backed by a plain map of document paths, so service functions can be run
+ * end to end in jest. Use it in a test file with
+ *
+ *   jest.mock('firebase/firestore', () => require('../testUtils/firestoreFake'));
+ *
+ * and seed and inspect the data with resetFirestore, readDoc and listDocs.
+ *
+ * Transactions behave like Firestore's: reads must come before writes, and a
+ * transaction whose reads were changed by another write before it commits is
+ * run again. Snapshot listeners are called straight away and after each write.
+ *
+ * @author Shop Admin System
+ * @version 2.0.0
+ */
+
+const store = new Map();
+const versions = new Map();
+const listeners = new Set();
+let generatedIds = 0;
+let clock = 0;
+
+const DOCUMENT_ID = '__name__';
+const MAX_TRANSACTION_ATTEMPTS = 5;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) && !value.__op;
+
+const clone = (value) => {
+  if (value instanceof Date) return new Date(value);
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, clone(entry)]));
+  }
+  return value;
+};
+
+const joinPath = (base, segments) =>
+  [base?.path, ...segments].filter(Boolean).join('/').split('/').filter(Boolean);
+
+const readPath = (data, fieldPath) => fieldPath.split('.').reduce((value, key) => value?.[key], data);
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Resolve field transforms (increment, arrayUnion, ...) against the current value
+const resolveValue = (current, value) => {
+  if (value?.__op === 'increment') return (Number(current) || 0) + value.amount;
+  if (value?.__op === 'arrayUnion') {
+    const existing = Array.isArray(current) ? [...current] : [];
+    value.values.forEach(entry => {
+      if (!existing.some(item => sameValue(item, entry))) existing.push(clone(entry));
+    });
+    return existing;
+  }
+  if (value?.__op === 'arrayRemove') {
+    return (Array.isArray(current) ? current : []).filter(item => !value.values.some(entry => sameValue(item, entry)));
+  }
+  if (value?.__op === 'serverTimestamp') return new Date();
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([, entry]) => entry?.__op !== 'delete')
+      .map(([key, entry]) => [key, resolveValue(undefined, entry)]));
+  }
+  return clone(value);
+};
+
+const setField = (data, fieldPath, value) => {
+  const keys = fieldPath.split('.');
+  const last = keys.pop();
+  let target = data;
+  keys.forEach(key => {
+    if (!isPlainObject(target[key])) target[key] = {};
+    target = target[key];
+  });
+  if (value?.__op === 'delete') {
+    delete target[last];
+  } else {
+    target[last] = resolveValue(target[last], value);
+  }
+};
+
+const mergeInto = (data, values) => {
+  Object.entries(values).forEach(([key, value]) => {
+    if (isPlainObject(value) && isPlainObject(data[key])) {
+      mergeInto(data[key], value);
+    } else {
+      setField(data, key, value);
+    }
+  });
+};
+
+const snapshotOf = (ref) => {
+  const data = store.get(ref.path);
+  return {
+    id: ref.id,
+    ref,
+    exists: () => data !== undefined,
+    data: () => (data === undefined ? undefined : clone(data)),
+    get: (fieldPath) => readPath(data, fieldPath)
+  };
+};
+
+const docRef = (segments) => ({
+  type: 'document',
+  id: segments[segments.length - 1],
+  path: segments.join('/'),
+  parent: { type: 'collection', path: segments.slice(0, -1).join('/'), constraints: [] }
+});
+
+// --- Writes -----------------------------------------------------------------
+
+const applyWrite = (write) => {
+  const { ref, kind, data, options } = write;
+  if (kind === 'delete') {
+    store.delete(ref.path);
+  } else if (kind === 'set') {
+    const current = options?.merge ? clone(store.get(ref.path) || {}) : {};
+    mergeInto(current, options?.merge ? data : {});
+    store.set(ref.path, options?.merge ? current : resolveValue(undefined, data));
+  } else {
+    const current = store.get(ref.path);
+    if (current === undefined) {
+      throw new Error(`No document to update: ${ref.path}`);
+    }
+    const updated = clone(current);
+    Object.entries(data).forEach(([fieldPath, value]) => setField(updated, fieldPath, value));
+    store.set(ref.path, updated);
+  }
+  versions.set(ref.path, ++clock);
+};
+
+const commitWrites = (writes) => {
+  // Check every update target first so a failed commit writes nothing
+  writes.forEach(({ ref, kind }, index) => {
+    const createdEarlier = writes.slice(0, index).some(write => write.ref.path === ref.path && write.kind === 'set');
+    if (kind === 'update' && !store.has(ref.path) && !createdEarlier) {
+      throw new Error(`No document to update: ${ref.path}`);
+    }
+  });
+  writes.forEach(applyWrite);
+  notifyListeners();
+};
+
+// --- Queries ----------------------------------------------------------------
+
+const matchesFilter = (id, data, filter) => {
+  if (filter.or) return filter.or.some(part => matchesFilter(id, data, part));
+  const [field, op, expected] = filter.where;
+  const value = field === DOCUMENT_ID ? id : readPath(data, field);
+  switch (op) {
+    case '==': return sameValue(value, expected);
+    case '!=': return value !== undefined && !sameValue(value, expected);
+    case '<': return value !== undefined && value < expected;
+    case '<=': return value !== undefined && value <= expected;
+    case '>': return value !== undefined && value > expected;
+    case '>=': return value !== undefined && value >= expected;
+    case 'in': return expected.some(entry => sameValue(value, entry));
+    case 'array-contains': return Array.isArray(value) && value.some(entry => sameValue(entry, expected));
+    case 'array-contains-any': return Array.isArray(value) && value.some(entry => expected.some(item => sameValue(entry, item)));
+    default: throw new Error(`Unsupported operator ${op}`);
+  }
+};
+
+const compareValues = (a, b) => {
+  const left = a instanceof Date ? a.getTime() : a;
+  const right = b instanceof Date ? b.getTime() : b;
+  if (left === right) return 0;
+  return left < right ? -1 : 1;
+};
+
+const runQuery = (queryRef) => {
+  const prefix = `${queryRef.path}/`;
+  const depth = queryRef.path.split('/').length + 1;
+  const filters = queryRef.constraints.filter(constraint => constraint.where || constraint.or);
+  const orderings = queryRef.constraints.filter(constraint => constraint.orderBy).map(constraint => constraint.orderBy);
+
+  let docs = [...store.keys()]
+    .filter(path => path.startsWith(prefix) && path.split('/').length === depth)
+    .map(path => docRef(path.split('/')))
+    .filter(ref => filters.every(filter => matchesFilter(ref.id, store.get(ref.path), filter)))
+    // Firestore leaves out documents without the ordered fields
+    .filter(ref => orderings.every(([field]) => field === DOCUMENT_ID || readPath(store.get(ref.path), field) !== undefined));
+
+  docs.sort((a, b) => {
+    for (const [field, direction] of orderings) {
+      const valueOf = (ref) => (field === DOCUMENT_ID ? ref.id : readPath(store.get(ref.path), field));
+      const result = compareValues(valueOf(a), valueOf(b));
+      if (result !== 0) return direction === 'desc' ? -result : result;
+    }
+    return compareValues(a.id, b.id);
+  });
+
+  const cursor = queryRef.constraints.find(constraint => constraint.startAfter)?.startAfter;
+  if (cursor) {
+    docs = docs.slice(docs.findIndex(ref => ref.path === cursor.ref.path) + 1);
+  }
+  const limitConstraint = queryRef.constraints.find(constraint => constraint.limit !== undefined);
+  if (limitConstraint) {
+    docs = docs.slice(0, limitConstraint.limit);
+  }
+  return docs.map(snapshotOf);
+};
+
+const querySnapshotOf = (docs, changes = []) => ({
+  docs,
+  size: docs.length,
+  empty: docs.length === 0,
+  forEach: (callback) => docs.forEach(callback),
+  docChanges: () => changes
+});
+
+const notifyListeners = () => {
+  listeners.forEach(listener => {
+    const docs = runQuery(listener.query);
+    const previous = listener.lastDocs;
+    const changes = [
+      ...docs
+        .filter(snapshot => !previous.has(snapshot.ref.path) || !sameValue(previous.get(snapshot.ref.path), snapshot.data()))
+        .map(snapshot => ({ type: previous.has(snapshot.ref.path) ? 'modified' : 'added', doc: snapshot })),
+      ...[...previous.keys()]
+        .filter(path => !docs.some(snapshot => snapshot.ref.path === path))
+        .map(path => ({ type: 'removed', doc: { ...snapshotOf(docRef(path.split('/'))), data: () => previous.get(path) } }))
+    ];
+    listener.lastDocs = new Map(docs.map(snapshot => [snapshot.ref.path, snapshot.data()]));
+    if (changes.length > 0 || listener.isInitial) {
+      listener.isInitial = false;
+      listener.next(querySnapshotOf(docs, changes));
+    }
+  });
+};
+
+// --- Test helpers -----------------------------------------------------------
+
+/**
+ * Clear the store and seed it with documents
+ * @param {Object} docs - Document data by path, e.g. { 'orders/a': { status: 'Placed' } }
+ */
+export const resetFirestore = (docs = {}) => {
+  store.clear();
+  versions.clear();
+  listeners.clear();
+  Object.entries(docs).forEach(([path, data]) => {
+    store.set(path, clone(data));
+    versions.set(path, ++clock);
+  });
+};
+
+/**
+ * Current data of a document, or undefined when it doesn't exist
+ * @param {string} path - Document path
+ * @returns {Object|undefined}
+ */
+export const readDoc = (path) => clone(store.get(path));
+
+/**
+ * Documents directly inside a collection
+ * @param {string} collectionPath - Collection path
+ * @returns {Array<Object>} - Document data with id
+ */
+export const listDocs = (collectionPath) =>
+  runQuery({ path: collectionPath, constraints: [] }).map(snapshot => ({ id: snapshot.id, ...snapshot.data() }));
+
+/**
+ * Write a document outside the code under test, e.g. a storefront sale
+ * @param {string} path - Document path
+ * @param {Object} data - Fields to update, or the whole document when it doesn't exist
+ */
+export const writeDoc = (path, data) => {
+  const ref = docRef(path.split('/'));
+  commitWrites([{ ref, kind: store.has(path) ? 'update' : 'set', data }]);
+};
+
+// --- firebase/firestore API -------------------------------------------------
+
+export const collection = (base, ...segments) => ({ type: 'collection', path: joinPath(base, segments).join('/'), constraints: [] });
+
+export const doc = (base, ...segments) => {
+  const parts = joinPath(base, segments);
+  if (parts.length % 2 === 1) {
+    parts.push(`generated-${++generatedIds}`);
+  }
+  return docRef(parts);
+};
+
+export const query = (base, ...constraints) => ({ ...base, constraints: [...base.constraints, ...constraints] });
+export const where = (field, op, value) => ({ where: [field, op, value] });
+export const or = (...filters) => ({ or: filters });
+export const orderBy = (field, direction = 'asc') => ({ orderBy: [field, direction] });
+export const limit = (count) => ({ limit: count });
+export const startAfter = (cursor) => ({ startAfter: cursor });
+export const documentId = () => DOCUMENT_ID;
+
+export const serverTimestamp = () => ({ __op: 'serverTimestamp' });
+export const increment = (amount) => ({ __op: 'increment', amount });
+export const arrayUnion = (...values) => ({ __op: 'arrayUnion', values });
+export const arrayRemove = (...values) => ({ __op: 'arrayRemove', values });
+export const deleteField = () => ({ __op: 'delete' });
+export const Timestamp = { now: () => new Date() };
+
+export const getDoc = async (ref) => snapshotOf(ref);
+export const getDocs = async (queryRef) => querySnapshotOf(runQuery(queryRef));
+export const getCountFromServer = async (queryRef) => ({ data: () => ({ count: runQuery(queryRef).length }) });
+
+export const setDoc = async (ref, data, options) => commitWrites([{ ref, kind: 'set', data, options }]);
+export const updateDoc = async (ref, data) => commitWrites([{ ref, kind: 'update', data }]);
+export const deleteDoc = async (ref) => commitWrites([{ ref, kind: 'delete' }]);
+export const addDoc = async (collectionRef, data) => {
+  const ref = doc(collectionRef);
+  commitWrites([{ ref, kind: 'set', data }]);
+  return ref;
+};
+
+export const writeBatch = () => {
+  const writes = [];
+  return {
+    set: (ref, data, options) => writes.push({ ref, kind: 'set', data, options }),
+    update: (ref, data) => writes.push({ ref, kind: 'update', data }),
+    delete: (ref) => writes.push({ ref, kind: 'delete' }),
+    commit: async () => commitWrites(writes)
+  };
+};
+
+export const runTransaction = async (db, updateFunction) => {
+  for (let attempt = 1; attempt <= MAX_TRANSACTION_ATTEMPTS; attempt++) {
+    const readVersions = new Map();
+    const writes = [];
+    const queueWrite = (write) => {
+      writes.push(write);
+      return transaction;
+    };
+    const transaction = {
+      get: async (ref) => {
+        if (writes.length > 0) {
+          throw new Error('Firestore transactions require all reads to be executed before all writes.');
+        }
+        readVersions.set(ref.path, versions.get(ref.path));
+        return snapshotOf(ref);
+      },
+      set: (ref, data, options) => queueWrite({ ref, kind: 'set', data, options }),
+      update: (ref, data) => queueWrite({ ref, kind: 'update', data }),
+      delete: (ref) => queueWrite({ ref, kind: 'delete' })
+    };
+
+    const result = await updateFunction(transaction);
+    const conflicted = [...readVersions].some(([path, version]) => versions.get(path) !== version);
+    if (!conflicted) {
+      commitWrites(writes);
+      return result;
+    }
+  }
+  throw new Error('Transaction failed: too much contention');
+};
+
+export const onSnapshot = (ref, next, error) => {
+  if (ref.type === 'document') {
+    const listener = {
+      query: { path: ref.parent.path, constraints: [where(DOCUMENT_ID, '==', ref.id)] },
+      next: () => next(snapshotOf(ref)),
+      error,
+      lastDocs: new Map(),
+      isInitial: true
+    };
+    listeners.add(listener);
+    notifyListeners();
+    return () => listeners.delete(listener);
+  }
+  const listener = { query: ref, next, error, lastDocs: new Map(), isInitial: true };
+  listeners.add(listener);
+  notifyListeners();
+  return () => listeners.delete(listener);
+};
@@ -0,0 +1,144 @@
+/**
+ * Admin Notifications
+ *
+ * Inbox entries for admins, stored in the `admin_notifications` collection
+ * with the recipient's user ID. Entries are written alongside the event that
+ * raises them (e.g. a note mentioning the admin) and shown in the inbox in
+ * the admin header until marked as read.
+ *
+ * @author Shop Admin System
+ * @version 2.0.0
+ */
+
+import {
+  collection,
+  doc,
+  getDocs,
+  updateDoc,
+  query,
+  where,
+  orderBy,
+  limit,
+  onSnapshot,
+  writeBatch,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from '../firebase';
+
+export const ADMIN_NOTIFICATIONS_COLLECTION = 'admin_notifications';
+
+export const ADMIN_NOTIFICATION_TYPES = {
+  MENTION: 'mention'
+};
+
+const INBOX_SIZE = 30;
+const EXCERPT_LENGTH = 140;
+
+/**
+ * Queue mention notifications on a batch or transaction
+ *
+ * @param {WriteBatch|Transaction} batch - Batch or transaction the triggering write is part of
+ * @param {Array<string>} recipientIds - Admins mentioned
+ * @param {Object} details - { orderId, orderNumber, noteId, actorId, actorName, body }
+ */
+export const queueMentionNotifications = (batch, recipientIds, details) => {
+  const excerpt = details.body.length > EXCERPT_LENGTH
+    ? `${details.body.slice(0, EXCERPT_LENGTH)}…`
+    : details.body;
+
+  recipientIds
+    .filter(recipientId => recipientId !== details.actorId)
+    .forEach(recipientId => {
+      batch.set(doc(collection(db, ADMIN_NOTIFICATIONS_COLLECTION)), {
+        recipientId,
+        type: ADMIN_NOTIFICATION_TYPES.MENTION,
+        orderId: details.orderId,
+        orderNumber: details.orderNumber || details.orderId,
+        noteId: details.noteId,
+        actorId: details.actorId,
+        actorName: details.actorName || '',
+        excerpt,
+        read: false,
+        createdAt: serverTimestamp()
+      });
+    });
+};
+
+/**
+ * Admin notification service class
+ */
+class AdminNotificationService {
+
+  /**
+   * Subscribe to an admin's most recent notifications, newest first
+   *
+   * @param {string} adminUserId - Recipient
+   * @param {Function} onUpdate - Called with the notifications on every snapshot
+   * @param {Function} onError - Called with the error if the listener fails
+   * @returns {Function} - Unsubscribe function
+   */
+  static subscribeToInbox(adminUserId, onUpdate, onError) {
+    const inboxQuery = query(
+      collection(db, ADMIN_NOTIFICATIONS_COLLECTION),
+      where('recipientId', '==', adminUserId),
+      orderBy('createdAt', 'desc'),
+      limit(INBOX_SIZE)
+    );
+
+    return onSnapshot(inboxQuery, (snapshot) => {
+      onUpdate(snapshot.docs.map(notificationDoc => ({ id: notificationDoc.id, ...notificationDoc.data() })));
+    }, (error) => {
+      console.error('❌ AdminNotificationService: Inbox subscription failed:', error);
+      if (onError) {
+        onError(error);
+      }
+    });
+  }
+
+  /**
+   * Mark one notification as read
+   * @param {string} notificationId - Notification ID
+   * @returns {Promise<Object>} - { success, error }
+   */
+  static async markRead(notificationId) {
+    try {
+      await updateDoc(doc(db, ADMIN_NOTIFICATIONS_COLLECTION, notificationId), { read: true });
+      return { success: true };
+    } catch (error) {
+      console.error('❌ AdminNotificationService: Error marking notification read:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to update notification'
+      };
+    }
+  }
+
+  /**
+   * Mark every unread notification of an admin as read
+   * @param {string} adminUserId - Recipient
+   * @returns {Promise<Object>} - { success, count, error }
+   */
+  static async markAllRead(adminUserId) {
+    try {
+      const unreadQuery = query(
+        collection(db, ADMIN_NOTIFICATIONS_COLLECTION),
+        where('recipientId', '==', adminUserId),
+        where('read', '==', false)
+      );
+      const snapshot = await getDocs(unreadQuery);
+      const batch = writeBatch(db);
+      snapshot.docs.forEach(notificationDoc => batch.update(notificationDoc.ref, { read: true }));
+      await batch.commit();
+
+      return { success: true, count: snapshot.docs.length };
+    } catch (error) {
+      console.error('❌ AdminNotificationService: Error marking notifications read:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to update notifications'
+      };
+    }
+  }
+}
+
+export default AdminNotificationService;
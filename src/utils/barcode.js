@@ -0,0 +1,87 @@
+/**
+ * Code 128 Barcode Utilities
+ * Renders Code 128 (code set B) barcodes as inline SVG for printed documents.
+ * Code set B covers printable ASCII, which is enough for order and tracking IDs.
+ */
+
+/**
+ * Bar/space widths for every Code 128 symbol value (0-106)
+ * Each digit is the width in modules, alternating bar and space
+ */
+const CODE128_PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+
+const START_B = 104;
+const STOP = 106;
+const QUIET_ZONE_MODULES = 10;
+
+/**
+ * Encode text into the sequence of Code 128 symbol values, including
+ * start code, checksum and stop code
+ * @param {string} text - Printable ASCII text
+ * @returns {Array<number>} - Symbol values
+ */
+export const encodeCode128 = (text) => {
+  const values = [START_B];
+  String(text).split('').forEach(character => {
+    const code = character.charCodeAt(0);
+    if (code < 32 || code > 126) {
+      throw new Error(`Character "${character}" cannot be encoded in a Code 128 barcode`);
+    }
+    values.push(code - 32);
+  });
+
+  const checksum = values.reduce((sum, value, index) => sum + value * (index || 1), 0) % 103;
+  return [...values, checksum, STOP];
+};
+
+/**
+ * Render a Code 128 barcode as an SVG string
+ * @param {string} text - Text to encode
+ * @param {Object} options - { height, moduleWidth, showText, fontSize }
+ * @returns {string} - SVG markup
+ */
+export const code128Svg = (text, options = {}) => {
+  const height = options.height || 50;
+  const moduleWidth = options.moduleWidth || 1.5;
+  const fontSize = options.fontSize || 12;
+  const showText = options.showText !== false;
+
+  const widths = encodeCode128(text)
+    .map(value => CODE128_PATTERNS[value])
+    .join('')
+    .split('')
+    .map(Number);
+
+  let x = QUIET_ZONE_MODULES;
+  const bars = [];
+  widths.forEach((width, index) => {
+    // Even positions are bars, odd positions are spaces
+    if (index % 2 === 0) {
+      bars.push(`<rect x="${x * moduleWidth}" y="0" width="${width * moduleWidth}" height="${height}" />`);
+    }
+    x += width;
+  });
+
+  const totalWidth = (x + QUIET_ZONE_MODULES) * moduleWidth;
+  const totalHeight = showText ? height + fontSize + 4 : height;
+  const escapedText = String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${totalWidth}" height="${totalHeight}" viewBox="0 0 ${totalWidth} ${totalHeight}">` +
+    `<g fill="#000">${bars.join('')}</g>` +
+    (showText
+      ? `<text x="${totalWidth / 2}" y="${totalHeight - 2}" font-family="monospace" font-size="${fontSize}" text-anchor="middle">${escapedText}</text>`
+      : '') +
+    `</svg>`;
+};
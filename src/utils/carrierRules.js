@@ -0,0 +1,235 @@
+/**
+ * Carrier Rules
+ *
+ * Chooses the shipping carrier for an order when it is packed. Rules are kept
+ * in settings/carrierRules and evaluated top to bottom; the first enabled
+ * rule whose conditions all match wins, otherwise the fallback carrier is used.
+ *
+ * A rule's conditions are all optional:
+ * - pincodeRanges: [{ from, to }] destination PIN code ranges (inclusive)
+ * - countries / excludeCountries: destination country lists
+ * - minTotal / maxTotal: order total in rupees
+ * - minWeight / maxWeight: package weight in kg
+ * - paymentType: 'cod' or 'prepaid'
+ * - priorities: order priorities
+ *
+ * @author Shop Admin System
+ * @version 2.0.0
+ */
+
+import { getSettings, saveSettings } from './settingsService';
+import { getCarrierAdapter } from './carriers';
+import { isCashOnDelivery } from './paymentMethods';
+
+export const CARRIER_RULES_SETTINGS_ID = 'carrierRules';
+
+export const PAYMENT_TYPES = {
+  ANY: '',
+  COD: 'cod',
+  PREPAID: 'prepaid'
+};
+
+/**
+ * Matches the previous hardcoded behaviour: DHL abroad, India Post at home
+ */
+export const DEFAULT_CARRIER_RULES = {
+  rules: [
+    {
+      id: 'international',
+      name: 'International orders',
+      enabled: true,
+      carrier: 'DHL',
+      conditions: { excludeCountries: ['India'] }
+    }
+  ],
+  fallbackCarrier: 'IndiaPost'
+};
+
+const hasValue = (value) => value !== undefined && value !== null && value !== '';
+
+const sameCountry = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+/**
+ * Create an empty rule for the rules editor
+ * @returns {Object} - Rule with no conditions
+ */
+export const createCarrierRule = () => ({
+  id: `rule-${Date.now().toString(36)}`,
+  name: 'New rule',
+  enabled: true,
+  carrier: DEFAULT_CARRIER_RULES.fallbackCarrier,
+  conditions: {}
+});
+
+/**
+ * Extract the facts carrier rules match on
+ * Package weight comes from the packing step, or from item weights when products carry one.
+ *
+ * @param {Object} order - Order data
+ * @returns {Object} - { country, pincode, total, weight, paymentType, priority }
+ */
+export const getOrderShippingFacts = (order = {}) => {
+  const itemWeight = (order.items || []).reduce(
+    (sum, item) => sum + (Number(item.weight) || 0) * (Number(item.quantity) || 0), 0
+  );
+  const weight = hasValue(order.packageWeight) ? Number(order.packageWeight) : itemWeight || null;
+
+  return {
+    country: order.shipping?.address?.country || 'India',
+    pincode: String(order.shipping?.address?.pin || '').replace(/\s/g, ''),
+    total: Number(order.financials?.total || order.total || 0),
+    weight,
+    paymentType: isCashOnDelivery(order) ? PAYMENT_TYPES.COD : PAYMENT_TYPES.PREPAID,
+    priority: order.priority || 'normal'
+  };
+};
+
+/**
+ * Check a rule's conditions against order facts
+ * @param {Object} conditions - Rule conditions
+ * @param {Object} facts - From getOrderShippingFacts
+ * @returns {Array<string>} - Conditions that failed (empty when the rule matches)
+ */
+export const checkRuleConditions = (conditions = {}, facts) => {
+  const failures = [];
+
+  if (conditions.pincodeRanges?.length) {
+    const pin = Number(facts.pincode);
+    const inRange = facts.pincode && conditions.pincodeRanges.some(range =>
+      pin >= Number(range.from) && pin <= Number(range.to || range.from)
+    );
+    if (!inRange) {
+      failures.push(`PIN code ${facts.pincode || '(none)'} is outside the PIN ranges`);
+    }
+  }
+  if (conditions.countries?.length && !conditions.countries.some(country => sameCountry(country, facts.country))) {
+    failures.push(`country ${facts.country} is not in ${conditions.countries.join(', ')}`);
+  }
+  if (conditions.excludeCountries?.some(country => sameCountry(country, facts.country))) {
+    failures.push(`country ${facts.country} is excluded`);
+  }
+  if (hasValue(conditions.minTotal) && facts.total < Number(conditions.minTotal)) {
+    failures.push(`total ${facts.total} is below ${conditions.minTotal}`);
+  }
+  if (hasValue(conditions.maxTotal) && facts.total > Number(conditions.maxTotal)) {
+    failures.push(`total ${facts.total} is above ${conditions.maxTotal}`);
+  }
+  if (hasValue(conditions.minWeight) || hasValue(conditions.maxWeight)) {
+    if (!hasValue(facts.weight)) {
+      failures.push('package weight is unknown');
+    } else if (hasValue(conditions.minWeight) && facts.weight < Number(conditions.minWeight)) {
+      failures.push(`weight ${facts.weight} kg is below ${conditions.minWeight} kg`);
+    } else if (hasValue(conditions.maxWeight) && facts.weight > Number(conditions.maxWeight)) {
+      failures.push(`weight ${facts.weight} kg is above ${conditions.maxWeight} kg`);
+    }
+  }
+  if (conditions.paymentType && conditions.paymentType !== facts.paymentType) {
+    failures.push(`payment is ${facts.paymentType.toUpperCase()}, rule needs ${conditions.paymentType.toUpperCase()}`);
+  }
+  if (conditions.priorities?.length && !conditions.priorities.includes(facts.priority)) {
+    failures.push(`priority ${facts.priority} is not ${conditions.priorities.join(' or ')}`);
+  }
+
+  return failures;
+};
+
+/**
+ * Pick the carrier for an order
+ *
+ * @param {Object} order - Order data
+ * @param {Object} ruleSet - { rules, fallbackCarrier }
+ * @returns {Object} - { carrier, rule, facts, trace: [{ ruleId, name, enabled, matched, failures }] }
+ */
+export const evaluateCarrierRules = (order, ruleSet = DEFAULT_CARRIER_RULES) => {
+  const facts = getOrderShippingFacts(order);
+  const trace = [];
+  let matchedRule = null;
+
+  for (const rule of ruleSet.rules || []) {
+    if (!rule.enabled) {
+      trace.push({ ruleId: rule.id, name: rule.name, enabled: false, matched: false, failures: ['rule is disabled'] });
+      continue;
+    }
+    const failures = checkRuleConditions(rule.conditions, facts);
+    trace.push({ ruleId: rule.id, name: rule.name, enabled: true, matched: failures.length === 0, failures });
+    if (failures.length === 0) {
+      matchedRule = rule;
+      break;
+    }
+  }
+
+  return {
+    carrier: matchedRule ? matchedRule.carrier : ruleSet.fallbackCarrier,
+    rule: matchedRule,
+    facts,
+    trace
+  };
+};
+
+/**
+ * Carrier rules service class
+ * Loads, validates and saves the carrier rule set
+ */
+class CarrierRulesService {
+
+  /**
+   * Load the carrier rule set
+   * @returns {Promise<Object>} - { rules, fallbackCarrier }
+   */
+  static async getRules() {
+    const result = await getSettings(CARRIER_RULES_SETTINGS_ID, DEFAULT_CARRIER_RULES);
+    return result.settings;
+  }
+
+  /**
+   * Save the carrier rule set after validating it
+   * @param {Object} ruleSet - { rules, fallbackCarrier }
+   * @param {string} adminUserId - Admin saving the rules
+   * @returns {Promise<Object>} - { success, error }
+   */
+  static async saveRules(ruleSet, adminUserId = 'admin') {
+    const errors = this.validateRules(ruleSet);
+    if (errors.length > 0) {
+      return { success: false, error: errors.join('. ') };
+    }
+    return saveSettings(CARRIER_RULES_SETTINGS_ID, {
+      rules: ruleSet.rules,
+      fallbackCarrier: ruleSet.fallbackCarrier
+    }, adminUserId);
+  }
+
+  /**
+   * Validate carriers, ranges and limits in a rule set
+   * @param {Object} ruleSet - { rules, fallbackCarrier }
+   * @returns {Array<string>} - Validation errors (empty when valid)
+   */
+  static validateRules(ruleSet) {
+    const errors = [];
+    if (!getCarrierAdapter(ruleSet.fallbackCarrier)) {
+      errors.push('Choose a valid fallback carrier');
+    }
+    (ruleSet.rules || []).forEach((rule, index) => {
+      const label = rule.name?.trim() || `Rule ${index + 1}`;
+      const conditions = rule.conditions || {};
+      if (!getCarrierAdapter(rule.carrier)) {
+        errors.push(`${label}: choose a valid carrier`);
+      }
+      (conditions.pincodeRanges || []).forEach(range => {
+        if (!/^\d{6}$/.test(String(range.from)) || (range.to && !/^\d{6}$/.test(String(range.to)))) {
+          errors.push(`${label}: PIN codes must have 6 digits`);
+        } else if (range.to && Number(range.to) < Number(range.from)) {
+          errors.push(`${label}: PIN range ${range.from}-${range.to} is reversed`);
+        }
+      });
+      if (hasValue(conditions.minTotal) && hasValue(conditions.maxTotal) && Number(conditions.minTotal) > Number(conditions.maxTotal)) {
+        errors.push(`${label}: minimum total is above the maximum`);
+      }
+      if (hasValue(conditions.minWeight) && hasValue(conditions.maxWeight) && Number(conditions.minWeight) > Number(conditions.maxWeight)) {
+        errors.push(`${label}: minimum weight is above the maximum`);
+      }
+    });
+    return errors;
+  }
+}
+
+export default CarrierRulesService;
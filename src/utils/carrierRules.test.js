@@ -0,0 +1,92 @@
+import {
+  DEFAULT_CARRIER_RULES,
+  PAYMENT_TYPES,
+  checkRuleConditions,
+  evaluateCarrierRules,
+  getOrderShippingFacts
+} from './carrierRules';
+
+jest.mock('../firebase', () => ({ db: {} }));
+
+const order = (overrides = {}) => ({
+  shipping: { address: { country: 'India', pin: '560 001' } },
+  financials: { total: 2500 },
+  payment: { method: 'UPI' },
+  items: [{ quantity: 2, weight: 0.4 }],
+  priority: 'normal',
+  ...overrides
+});
+
+const ruleSet = {
+  rules: [
+    { id: 'off', name: 'Disabled', enabled: false, carrier: 'DHL', conditions: {} },
+    { id: 'cod', name: 'COD in Karnataka', enabled: true, carrier: 'Delhivery', conditions: {
+      paymentType: PAYMENT_TYPES.COD,
+      pincodeRanges: [{ from: '560000', to: '599999' }]
+    } },
+    { id: 'heavy', name: 'Heavy parcels', enabled: true, carrier: 'BlueDart', conditions: { minWeight: 5 } }
+  ],
+  fallbackCarrier: 'IndiaPost'
+};
+
+describe('getOrderShippingFacts', () => {
+  test('collects the facts rules match on', () => {
+    expect(getOrderShippingFacts(order())).toEqual({
+      country: 'India',
+      pincode: '560001',
+      total: 2500,
+      weight: 0.8,
+      paymentType: PAYMENT_TYPES.PREPAID,
+      priority: 'normal'
+    });
+  });
+
+  test('prefers the packed weight over item weights', () => {
+    expect(getOrderShippingFacts(order({ packageWeight: '1.5' })).weight).toBe(1.5);
+  });
+
+  test('only treats cash on delivery methods as COD', () => {
+    expect(getOrderShippingFacts(order({ payment: { method: 'COD' } })).paymentType).toBe(PAYMENT_TYPES.COD);
+    expect(getOrderShippingFacts(order({ payment: { method: 'Cashfree' } })).paymentType).toBe(PAYMENT_TYPES.PREPAID);
+  });
+});
+
+describe('checkRuleConditions', () => {
+  const facts = getOrderShippingFacts(order());
+
+  test('matches when every condition holds', () => {
+    expect(checkRuleConditions({ minTotal: 2000, maxTotal: 3000, countries: ['india'] }, facts)).toEqual([]);
+  });
+
+  test('lists each failed condition', () => {
+    const failures = checkRuleConditions({ pincodeRanges: [{ from: 110000, to: 119999 }], minTotal: 5000 }, facts);
+    expect(failures).toHaveLength(2);
+    expect(failures[0]).toMatch(/outside the PIN ranges/);
+    expect(failures[1]).toMatch(/below 5000/);
+  });
+
+  test('fails weight conditions when the weight is unknown', () => {
+    expect(checkRuleConditions({ maxWeight: 2 }, { ...facts, weight: null })).toEqual(['package weight is unknown']);
+  });
+});
+
+describe('evaluateCarrierRules', () => {
+  test('picks the first enabled rule that matches', () => {
+    const result = evaluateCarrierRules(order({ payment: { method: 'Cash on Delivery' }, packageWeight: 6 }), ruleSet);
+    expect(result.carrier).toBe('Delhivery');
+    expect(result.trace.map(entry => [entry.ruleId, entry.matched])).toEqual([['off', false], ['cod', true]]);
+  });
+
+  test('uses the fallback carrier when no rule matches', () => {
+    const result = evaluateCarrierRules(order(), ruleSet);
+    expect(result.carrier).toBe('IndiaPost');
+    expect(result.rule).toBeNull();
+    expect(result.trace).toHaveLength(3);
+  });
+
+  test('the default rules send international orders with DHL', () => {
+    const international = order({ shipping: { address: { country: 'Germany', pin: '10115' } } });
+    expect(evaluateCarrierRules(international, DEFAULT_CARRIER_RULES).carrier).toBe('DHL');
+    expect(evaluateCarrierRules(order(), DEFAULT_CARRIER_RULES).carrier).toBe('IndiaPost');
+  });
+});
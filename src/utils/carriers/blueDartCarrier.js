@@ -0,0 +1,66 @@
+/**
+ * BlueDart carrier adapter
+ * Parses the BlueDart tracking API (JSON flavour) and status push payloads:
+ * { ShipmentData: { Shipment: [{ WaybillNo, Scans: { ScanDetail: [...] } }] } }
+ */
+
+import CarrierAdapter, { TRACKING_EVENT_STATUSES } from './carrierAdapter';
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+/**
+ * BlueDart sends scan dates as "19-Oct-2026" and times as "14:30" (IST)
+ * @param {string} date - Scan date
+ * @param {string} time - Scan time
+ * @returns {string} - ISO timestamp
+ */
+const parseScanDate = (date = '', time = '00:00') => {
+  const [day, month, year] = date.split('-');
+  const monthIndex = MONTHS.indexOf(String(month).toUpperCase());
+  if (monthIndex === -1) {
+    return date;
+  }
+  return `${year}-${String(monthIndex + 1).padStart(2, '0')}-${day.padStart(2, '0')}T${time.replace('.', ':')}:00+05:30`;
+};
+
+export default class BlueDartCarrier extends CarrierAdapter {
+  constructor() {
+    super({
+      key: 'BLUEDART',
+      name: 'BlueDart',
+      code: 'BLUEDART',
+      trackingUrl: 'https://www.bluedart.com/web/guest/trackdartresult',
+      estimatedDays: { standard: 2, express: 1 }
+    });
+    // BlueDart scan types
+    this.statusMap = {
+      'PU': TRACKING_EVENT_STATUSES.PICKED_UP,
+      'IT': TRACKING_EVENT_STATUSES.IN_TRANSIT,
+      'OD': TRACKING_EVENT_STATUSES.OUT_FOR_DELIVERY,
+      'DL': TRACKING_EVENT_STATUSES.DELIVERED,
+      'UD': TRACKING_EVENT_STATUSES.FAILED_ATTEMPT,
+      'RT': TRACKING_EVENT_STATUSES.RETURNED
+    };
+  }
+
+  parseTrackingResponse(response, source) {
+    const shipments = [].concat(response?.ShipmentData?.Shipment || []);
+
+    return shipments.flatMap(shipment => 
+      [].concat(shipment.Scans?.ScanDetail || []).map(scan => {
+        let status = this.normalizeStatus(scan.ScanType);
+        if (status === TRACKING_EVENT_STATUSES.IN_TRANSIT && /out for delivery/i.test(scan.Scan || '')) {
+          status = TRACKING_EVENT_STATUSES.OUT_FOR_DELIVERY;
+        }
+        return this.buildEvent({
+          trackingNumber: shipment.WaybillNo,
+          status,
+          rawStatus: scan.ScanCode || scan.ScanType,
+          description: scan.Scan,
+          location: scan.ScannedLocation,
+          occurredAt: parseScanDate(scan.ScanDate, scan.ScanTime)
+        }, source);
+      })
+    );
+  }
+}
@@ -0,0 +1,222 @@
+/**
+ * Carrier Adapter
+ * Base class for shipping carrier integrations. Each carrier adapter knows how
+ * to book shipments, fetch tracking events and turn the carrier's own payloads
+ * (API responses and webhooks) into normalized tracking events.
+ *
+ * Carrier API credentials must never ship in the browser bundle, so live calls
+ * go through a proxy endpoint (REACT_APP_CARRIER_PROXY_URL) that adds them:
+ *   POST {proxy}/{carrier}/shipments
+ *   GET  {proxy}/{carrier}/tracking/{trackingNumber}
+ * The proxy returns the carrier's raw response, which the adapter parses.
+ *
+ * @author Shop Admin System
+ * @version 2.0.0
+ */
+
+const CARRIER_PROXY_URL = (process.env.REACT_APP_CARRIER_PROXY_URL || '').replace(/\/$/, '');
+
+/**
+ * Normalized tracking event statuses shared by every carrier
+ */
+export const TRACKING_EVENT_STATUSES = {
+  INFO_RECEIVED: 'info_received',       // Label created, carrier has the shipment details
+  PICKED_UP: 'picked_up',               // Carrier collected the parcel
+  IN_TRANSIT: 'in_transit',             // Moving through the carrier network
+  OUT_FOR_DELIVERY: 'out_for_delivery', // With the delivery agent
+  DELIVERED: 'delivered',               // Delivered to the customer
+  FAILED_ATTEMPT: 'failed_attempt',     // Delivery attempted but not completed
+  EXCEPTION: 'exception',               // Held, damaged, address problems, etc.
+  RETURNED: 'returned'                  // Returning or returned to the sender
+};
+
+export const TRACKING_EVENT_LABELS = {
+  [TRACKING_EVENT_STATUSES.INFO_RECEIVED]: 'Label created',
+  [TRACKING_EVENT_STATUSES.PICKED_UP]: 'Picked up',
+  [TRACKING_EVENT_STATUSES.IN_TRANSIT]: 'In transit',
+  [TRACKING_EVENT_STATUSES.OUT_FOR_DELIVERY]: 'Out for delivery',
+  [TRACKING_EVENT_STATUSES.DELIVERED]: 'Delivered',
+  [TRACKING_EVENT_STATUSES.FAILED_ATTEMPT]: 'Delivery attempt failed',
+  [TRACKING_EVENT_STATUSES.EXCEPTION]: 'Exception',
+  [TRACKING_EVENT_STATUSES.RETURNED]: 'Returned to sender'
+};
+
+/**
+ * Base carrier adapter
+ * Subclasses set a statusMap and implement parseTrackingResponse; the
+ * defaults below cover booking and tracking through the carrier proxy.
+ */
+export default class CarrierAdapter {
+  /**
+   * @param {Object} config - { key, name, code, trackingUrl, estimatedDays }
+   */
+  constructor({ key, name, code, trackingUrl = null, estimatedDays = { standard: 7, express: 3 } }) {
+    this.key = key;
+    this.name = name;
+    this.code = code;
+    this.trackingUrl = trackingUrl;
+    this.estimatedDays = estimatedDays;
+    // Carrier status code → normalized status, overridden per carrier
+    this.statusMap = {};
+  }
+
+  /**
+   * Static carrier configuration, as exposed through SHIPPING_CARRIERS
+   * @returns {Object} - { name, code, trackingUrl, estimatedDays }
+   */
+  getConfig() {
+    return {
+      name: this.name,
+      code: this.code,
+      trackingUrl: this.trackingUrl,
+      estimatedDays: this.estimatedDays
+    };
+  }
+
+  /**
+   * Tracking page for a specific shipment
+   * @param {string} trackingNumber - Tracking number
+   * @returns {string|null} - Tracking page URL
+   */
+  getTrackingUrl(trackingNumber) {
+    return this.trackingUrl;
+  }
+
+  /**
+   * Whether shipments can be booked with this carrier from the admin
+   * @returns {boolean}
+   */
+  canCreateShipments() {
+    return Boolean(CARRIER_PROXY_URL);
+  }
+
+  /**
+   * Whether tracking events can be fetched from this carrier
+   * @returns {boolean}
+   */
+  canFetchTracking() {
+    return Boolean(CARRIER_PROXY_URL);
+  }
+
+  /**
+   * Book a shipment with the carrier
+   * @param {Object} order - Order data
+   * @param {Object} request - { items, service, weight }
+   * @returns {Promise<Object>} - { trackingNumber, labelUrl }
+   */
+  async createShipment(order, request = {}) {
+    const response = await this.request('POST', 'shipments', {
+      orderId: order.orderId || order.id,
+      service: request.service || 'standard',
+      weight: request.weight || null,
+      items: request.items || [],
+      recipient: {
+        name: order.userName || '',
+        phone: order.userPhone || '',
+        address: order.shipping?.address || {}
+      }
+    });
+    return this.parseShipmentResponse(response);
+  }
+
+  /**
+   * Fetch every tracking event the carrier has for a shipment
+   * @param {string} trackingNumber - Tracking number
+   * @returns {Promise<Array<Object>>} - Normalized tracking events
+   */
+  async fetchTrackingEvents(trackingNumber) {
+    const response = await this.request('GET', `tracking/${encodeURIComponent(trackingNumber)}`);
+    return this.parseTrackingResponse(response, 'poll');
+  }
+
+  /**
+   * Parse a webhook payload pushed by the carrier
+   * Most carriers push the same structure their tracking API returns.
+   * @param {Object} payload - Webhook body
+   * @returns {Array<Object>} - Normalized tracking events
+   */
+  parseWebhook(payload) {
+    return this.parseTrackingResponse(payload, 'webhook');
+  }
+
+  /**
+   * Parse the carrier's tracking response into normalized events
+   * @param {Object} response - Raw carrier response
+   * @param {string} source - 'poll' or 'webhook'
+   * @returns {Array<Object>} - Normalized tracking events
+   */
+  parseTrackingResponse(response, source) {
+    throw new Error(`${this.name} tracking responses are not supported`);
+  }
+
+  /**
+   * Parse the carrier's booking response
+   * @param {Object} response - Raw carrier response
+   * @returns {Object} - { trackingNumber, labelUrl }
+   */
+  parseShipmentResponse(response) {
+    const trackingNumber = response?.trackingNumber;
+    if (!trackingNumber) {
+      throw new Error(`${this.name} did not return a tracking number`);
+    }
+    return { trackingNumber, labelUrl: response.labelUrl || null };
+  }
+
+  /**
+   * Map a carrier status code to a normalized status
+   * @param {string} rawStatus - Carrier status code
+   * @returns {string} - TRACKING_EVENT_STATUSES value
+   */
+  normalizeStatus(rawStatus) {
+    return this.statusMap[String(rawStatus || '').toUpperCase()] || TRACKING_EVENT_STATUSES.IN_TRANSIT;
+  }
+
+  /**
+   * Build a normalized tracking event
+   * The id is stable for the same carrier event, so repeated polls and
+   * webhook retries can be de-duplicated.
+   *
+   * @param {Object} fields - { trackingNumber, status, rawStatus, description, location, occurredAt }
+   * @param {string} source - 'poll', 'webhook' or 'manual'
+   * @returns {Object} - Normalized tracking event
+   */
+  buildEvent({ trackingNumber, status, rawStatus, description, location, occurredAt }, source) {
+    const timestamp = new Date(occurredAt);
+    const isoTimestamp = isNaN(timestamp.getTime()) ? new Date().toISOString() : timestamp.toISOString();
+    return {
+      id: `${this.code}-${trackingNumber}-${isoTimestamp}-${rawStatus || status}`,
+      carrierCode: this.code,
+      trackingNumber: String(trackingNumber),
+      status,
+      rawStatus: rawStatus || null,
+      description: description || TRACKING_EVENT_LABELS[status] || '',
+      location: location || '',
+      occurredAt: isoTimestamp,
+      source
+    };
+  }
+
+  /**
+   * Call the carrier proxy
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below {proxy}/{carrier}/
+   * @param {Object} body - JSON body
+   * @returns {Promise<Object>} - Parsed JSON response
+   */
+  async request(method, path, body) {
+    if (!CARRIER_PROXY_URL) {
+      throw new Error(`${this.name} API is not configured. Set REACT_APP_CARRIER_PROXY_URL to enable carrier integrations.`);
+    }
+
+    const response = await fetch(`${CARRIER_PROXY_URL}/${this.code.toLowerCase()}/${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    if (!response.ok) {
+      throw new Error(`${this.name} API responded with ${response.status}`);
+    }
+    return response.json();
+  }
+}
@@ -0,0 +1,56 @@
+/**
+ * DHL carrier adapter
+ * Parses the DHL Shipment Tracking (Unified) API response, which DHL's push
+ * notifications reuse: { shipments: [{ id, status, events: [...] }] }
+ */
+
+import CarrierAdapter, { TRACKING_EVENT_STATUSES } from './carrierAdapter';
+
+export default class DhlCarrier extends CarrierAdapter {
+  constructor() {
+    super({
+      key: 'DHL',
+      name: 'DHL',
+      code: 'DHL',
+      trackingUrl: 'https://www.dhl.com/in-en/home/tracking.html',
+      estimatedDays: { standard: 3, express: 1 }
+    });
+    this.statusMap = {
+      'PRE-TRANSIT': TRACKING_EVENT_STATUSES.INFO_RECEIVED,
+      'TRANSIT': TRACKING_EVENT_STATUSES.IN_TRANSIT,
+      'DELIVERED': TRACKING_EVENT_STATUSES.DELIVERED,
+      'FAILURE': TRACKING_EVENT_STATUSES.EXCEPTION,
+      'UNKNOWN': TRACKING_EVENT_STATUSES.IN_TRANSIT
+    };
+  }
+
+  getTrackingUrl(trackingNumber) {
+    return trackingNumber
+      ? `${this.trackingUrl}?tracking-id=${encodeURIComponent(trackingNumber)}`
+      : this.trackingUrl;
+  }
+
+  parseTrackingResponse(response, source) {
+    return (response?.shipments || []).flatMap(shipment => 
+      (shipment.events || [shipment.status]).filter(Boolean).map(event => {
+        let status = this.normalizeStatus(event.statusCode);
+        // DHL reports out-for-delivery and pickups as plain transit events
+        if (status === TRACKING_EVENT_STATUSES.IN_TRANSIT) {
+          if (/out for delivery|with delivery courier/i.test(event.description || '')) {
+            status = TRACKING_EVENT_STATUSES.OUT_FOR_DELIVERY;
+          } else if (/picked up|processed at pickup/i.test(event.description || '')) {
+            status = TRACKING_EVENT_STATUSES.PICKED_UP;
+          }
+        }
+        return this.buildEvent({
+          trackingNumber: shipment.id,
+          status,
+          rawStatus: event.statusCode,
+          description: event.description || event.status,
+          location: event.location?.address?.addressLocality,
+          occurredAt: event.timestamp
+        }, source);
+      })
+    );
+  }
+}
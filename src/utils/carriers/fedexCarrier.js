@@ -0,0 +1,57 @@
+/**
+ * FedEx carrier adapter
+ * Parses the FedEx Track API response and tracking webhooks:
+ * { output: { completeTrackResults: [{ trackResults: [{ scanEvents: [...] }] }] } }
+ */
+
+import CarrierAdapter, { TRACKING_EVENT_STATUSES } from './carrierAdapter';
+
+export default class FedExCarrier extends CarrierAdapter {
+  constructor() {
+    super({
+      key: 'FEDEX',
+      name: 'FedEx',
+      code: 'FEDEX',
+      trackingUrl: 'https://www.fedex.com/en-in/tracking.html',
+      estimatedDays: { standard: 3, express: 1 }
+    });
+    // FedEx scan event types
+    this.statusMap = {
+      'OC': TRACKING_EVENT_STATUSES.INFO_RECEIVED,
+      'PU': TRACKING_EVENT_STATUSES.PICKED_UP,
+      'AR': TRACKING_EVENT_STATUSES.IN_TRANSIT,
+      'DP': TRACKING_EVENT_STATUSES.IN_TRANSIT,
+      'IT': TRACKING_EVENT_STATUSES.IN_TRANSIT,
+      'AF': TRACKING_EVENT_STATUSES.IN_TRANSIT,
+      'OD': TRACKING_EVENT_STATUSES.OUT_FOR_DELIVERY,
+      'DL': TRACKING_EVENT_STATUSES.DELIVERED,
+      'DE': TRACKING_EVENT_STATUSES.FAILED_ATTEMPT,
+      'SE': TRACKING_EVENT_STATUSES.EXCEPTION,
+      'CA': TRACKING_EVENT_STATUSES.EXCEPTION,
+      'RS': TRACKING_EVENT_STATUSES.RETURNED
+    };
+  }
+
+  getTrackingUrl(trackingNumber) {
+    return trackingNumber
+      ? `https://www.fedex.com/fedextrack/?trknbr=${encodeURIComponent(trackingNumber)}`
+      : this.trackingUrl;
+  }
+
+  parseTrackingResponse(response, source) {
+    const results = (response?.output?.completeTrackResults || [])
+      .flatMap(result => result.trackResults || []);
+
+    return results.flatMap(result => {
+      const trackingNumber = result.trackingNumberInfo?.trackingNumber;
+      return (result.scanEvents || []).map(event => this.buildEvent({
+        trackingNumber,
+        status: this.normalizeStatus(event.eventType),
+        rawStatus: event.eventType,
+        description: event.eventDescription,
+        location: event.scanLocation?.city,
+        occurredAt: event.date
+      }, source));
+    });
+  }
+}
@@ -0,0 +1,68 @@
+/**
+ * Carrier registry
+ * Every shipping carrier is an adapter registered here. SHIPPING_CARRIERS in
+ * orderService is built from this registry, so adding a carrier (or an
+ * aggregator) only needs a new adapter and a registerCarrier call.
+ */
+
+import IndiaPostCarrier from './indiaPostCarrier';
+import DhlCarrier from './dhlCarrier';
+import FedExCarrier from './fedexCarrier';
+import BlueDartCarrier from './blueDartCarrier';
+import MockCarrier from './mockCarrier';
+
+export { default as CarrierAdapter, TRACKING_EVENT_STATUSES, TRACKING_EVENT_LABELS } from './carrierAdapter';
+
+const carriers = new Map();
+
+/**
+ * Register a carrier adapter under its key
+ * @param {CarrierAdapter} adapter - Adapter instance
+ */
+export const registerCarrier = (adapter) => {
+  carriers.set(adapter.key, adapter);
+};
+
+/**
+ * The mock carrier is offered outside production builds, or when enabled explicitly
+ * @returns {boolean}
+ */
+export const isMockCarrierEnabled = () => 
+  process.env.NODE_ENV !== 'production' || process.env.REACT_APP_ENABLE_MOCK_CARRIER === 'true';
+
+registerCarrier(new IndiaPostCarrier());
+registerCarrier(new DhlCarrier());
+registerCarrier(new FedExCarrier());
+registerCarrier(new BlueDartCarrier());
+if (isMockCarrierEnabled()) {
+  registerCarrier(new MockCarrier());
+}
+
+/**
+ * Find a carrier adapter by key, name or code (case-insensitive)
+ * @param {string} carrier - Carrier key, name or code
+ * @returns {CarrierAdapter|null}
+ */
+export const getCarrierAdapter = (carrier) => {
+  if (!carrier) {
+    return null;
+  }
+  const wanted = String(carrier).toLowerCase();
+  return [...carriers.values()].find(adapter => 
+    [adapter.key, adapter.name, adapter.code].some(value => value.toLowerCase() === wanted)
+  ) || null;
+};
+
+/**
+ * Every registered carrier adapter
+ * @returns {Array<CarrierAdapter>}
+ */
+export const getCarrierAdapters = () => [...carriers.values()];
+
+/**
+ * Static carrier configuration keyed by carrier key
+ * @returns {Object} - { INDIA_POST: { name, code, trackingUrl, estimatedDays }, ... }
+ */
+export const getCarrierConfigs = () => Object.fromEntries(
+  getCarrierAdapters().map(adapter => [adapter.key, adapter.getConfig()])
+);
@@ -0,0 +1,87 @@
+import { TRACKING_EVENT_STATUSES, getCarrierAdapter, getCarrierConfigs } from './index';
+import { MOCK_STAGE_MINUTES } from './mockCarrier';
+
+describe('carrier registry', () => {
+  test('finds adapters by key, name or code in any case', () => {
+    expect(getCarrierAdapter('dhl').name).toBe('DHL');
+    expect(getCarrierAdapter('MockCarrier').key).toBe('MOCK');
+    expect(getCarrierAdapter('unknown')).toBeNull();
+    expect(getCarrierAdapter('')).toBeNull();
+  });
+
+  test('exposes the configuration of every carrier', () => {
+    expect(getCarrierConfigs().DHL).toEqual({
+      name: 'DHL',
+      code: 'DHL',
+      trackingUrl: 'https://www.dhl.com/in-en/home/tracking.html',
+      estimatedDays: { standard: 3, express: 1 }
+    });
+  });
+
+  test('live carriers need the carrier proxy to book or track', async () => {
+    const dhl = getCarrierAdapter('DHL');
+
+    expect(dhl.canFetchTracking()).toBe(false);
+    await expect(dhl.fetchTrackingEvents('123')).rejects.toThrow('REACT_APP_CARRIER_PROXY_URL');
+  });
+});
+
+describe('DHL tracking responses', () => {
+  test('normalize carrier statuses and descriptions', () => {
+    const events = getCarrierAdapter('DHL').parseWebhook({
+      shipments: [{
+        id: '1234567890',
+        events: [
+          { statusCode: 'pre-transit', description: 'Shipment information received', timestamp: '2025-06-02T09:00:00Z' },
+          { statusCode: 'transit', description: 'Shipment picked up', timestamp: '2025-06-02T12:00:00Z' },
+          { statusCode: 'transit', description: 'With delivery courier', timestamp: '2025-06-03T08:00:00Z', location: { address: { addressLocality: 'PUNE - INDIA' } } },
+          { statusCode: 'delivered', description: 'Delivered', timestamp: '2025-06-03T14:00:00Z' }
+        ]
+      }]
+    });
+
+    expect(events.map(event => event.status)).toEqual([
+      TRACKING_EVENT_STATUSES.INFO_RECEIVED,
+      TRACKING_EVENT_STATUSES.PICKED_UP,
+      TRACKING_EVENT_STATUSES.OUT_FOR_DELIVERY,
+      TRACKING_EVENT_STATUSES.DELIVERED
+    ]);
+    expect(events[2]).toMatchObject({ trackingNumber: '1234567890', location: 'PUNE - INDIA', source: 'webhook' });
+  });
+
+  test('give the same carrier event the same id so repeats are ignored', () => {
+    const adapter = getCarrierAdapter('DHL');
+    const payload = { shipments: [{ id: '1', events: [{ statusCode: 'transit', timestamp: '2025-06-02T12:00:00Z' }] }] };
+
+    expect(adapter.parseWebhook(payload)[0].id).toBe(adapter.parseTrackingResponse(payload, 'poll')[0].id);
+  });
+});
+
+describe('mock carrier', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('advances a booked shipment one stage at a time until delivered', async () => {
+    const mock = getCarrierAdapter('MOCK');
+    const bookedAt = Date.parse('2025-06-02T09:00:00Z');
+    jest.spyOn(Date, 'now').mockReturnValue(bookedAt);
+    const { trackingNumber } = await mock.createShipment({});
+
+    Date.now.mockReturnValue(bookedAt + 2 * MOCK_STAGE_MINUTES * 60000);
+    expect((await mock.fetchTrackingEvents(trackingNumber)).map(event => event.status)).toEqual([
+      TRACKING_EVENT_STATUSES.INFO_RECEIVED,
+      TRACKING_EVENT_STATUSES.PICKED_UP,
+      TRACKING_EVENT_STATUSES.IN_TRANSIT
+    ]);
+
+    Date.now.mockReturnValue(bookedAt + 60 * MOCK_STAGE_MINUTES * 60000);
+    const events = await mock.fetchTrackingEvents(trackingNumber);
+    expect(events).toHaveLength(5);
+    expect(events[4].status).toBe(TRACKING_EVENT_STATUSES.DELIVERED);
+  });
+
+  test('has no events for tracking numbers it did not issue', async () => {
+    expect(await getCarrierAdapter('MOCK').fetchTrackingEvents('DL123')).toEqual([]);
+  });
+});
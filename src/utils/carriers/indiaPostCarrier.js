@@ -0,0 +1,46 @@
+/**
+ * India Post carrier adapter
+ * India Post reports free-text events per post office, so statuses are
+ * matched on the event text: { articleNumber, events: [{ date, time, office, event }] }
+ */
+
+import CarrierAdapter, { TRACKING_EVENT_STATUSES } from './carrierAdapter';
+
+// Checked in order - the first matching pattern wins
+const EVENT_PATTERNS = [
+  [/item delivered|delivered to addressee/i, TRACKING_EVENT_STATUSES.DELIVERED],
+  [/out for delivery|sent for delivery/i, TRACKING_EVENT_STATUSES.OUT_FOR_DELIVERY],
+  [/not delivered|addressee absent|door locked|refused/i, TRACKING_EVENT_STATUSES.FAILED_ATTEMPT],
+  [/\breturn|\brts\b/i, TRACKING_EVENT_STATUSES.RETURNED],
+  [/booked|item book/i, TRACKING_EVENT_STATUSES.PICKED_UP],
+  [/bagged|dispatched|received|arrived/i, TRACKING_EVENT_STATUSES.IN_TRANSIT]
+];
+
+export default class IndiaPostCarrier extends CarrierAdapter {
+  constructor() {
+    super({
+      key: 'INDIA_POST',
+      name: 'IndiaPost',
+      code: 'INDIAPOST',
+      trackingUrl: 'https://www.indiapost.gov.in/_layouts/15/dop.portal.tracking/trackconsignment.aspx',
+      estimatedDays: { standard: 7, express: 3 }
+    });
+  }
+
+  normalizeStatus(eventText) {
+    const match = EVENT_PATTERNS.find(([pattern]) => pattern.test(eventText || ''));
+    return match ? match[1] : TRACKING_EVENT_STATUSES.IN_TRANSIT;
+  }
+
+  parseTrackingResponse(response, source) {
+    return (response?.events || []).map(event => this.buildEvent({
+      trackingNumber: response.articleNumber,
+      status: this.normalizeStatus(event.event),
+      rawStatus: event.event,
+      description: event.event,
+      location: event.office,
+      // India Post times are IST
+      occurredAt: event.time ? `${event.date}T${event.time}+05:30` : event.date
+    }, source));
+  }
+}
@@ -0,0 +1,108 @@
+/**
+ * Mock carrier adapter
+ * A local carrier for exercising booking, tracking and webhooks offline.
+ * Tracking numbers encode their booking time, and the shipment advances one
+ * stage every MOCK_STAGE_MINUTES until it is delivered.
+ */
+
+import CarrierAdapter, { TRACKING_EVENT_STATUSES, TRACKING_EVENT_LABELS } from './carrierAdapter';
+
+export const MOCK_STAGE_MINUTES = 1;
+
+export const MOCK_STAGES = [
+  TRACKING_EVENT_STATUSES.INFO_RECEIVED,
+  TRACKING_EVENT_STATUSES.PICKED_UP,
+  TRACKING_EVENT_STATUSES.IN_TRANSIT,
+  TRACKING_EVENT_STATUSES.OUT_FOR_DELIVERY,
+  TRACKING_EVENT_STATUSES.DELIVERED
+];
+
+const MOCK_PREFIX = 'MOCK';
+
+export default class MockCarrier extends CarrierAdapter {
+  constructor() {
+    super({
+      key: 'MOCK',
+      name: 'MockCarrier',
+      code: 'MOCK',
+      trackingUrl: null,
+      estimatedDays: { standard: 1, express: 1 }
+    });
+  }
+
+  canCreateShipments() {
+    return true;
+  }
+
+  canFetchTracking() {
+    return true;
+  }
+
+  async createShipment(order) {
+    return {
+      trackingNumber: `${MOCK_PREFIX}${Date.now().toString(36).toUpperCase()}`,
+      labelUrl: null
+    };
+  }
+
+  async fetchTrackingEvents(trackingNumber) {
+    const bookedAt = this.getBookingTime(trackingNumber);
+    if (!bookedAt) {
+      return [];
+    }
+
+    const stagesReached = Math.min(
+      MOCK_STAGES.length,
+      Math.floor((Date.now() - bookedAt) / (MOCK_STAGE_MINUTES * 60000)) + 1
+    );
+    return MOCK_STAGES.slice(0, stagesReached).map((status, index) => this.buildEvent({
+      trackingNumber,
+      status,
+      rawStatus: status,
+      location: 'Mock Hub',
+      occurredAt: bookedAt + index * MOCK_STAGE_MINUTES * 60000
+    }, 'poll'));
+  }
+
+  /**
+   * Build the webhook the mock carrier would push for a status
+   * @param {string} trackingNumber - Tracking number
+   * @param {string} status - TRACKING_EVENT_STATUSES value
+   * @returns {Object} - Webhook payload
+   */
+  buildWebhookPayload(trackingNumber, status) {
+    return {
+      trackingNumber,
+      events: [{
+        status,
+        description: TRACKING_EVENT_LABELS[status],
+        location: 'Mock Hub',
+        timestamp: new Date().toISOString()
+      }]
+    };
+  }
+
+  parseTrackingResponse(response, source) {
+    return (response?.events || []).map(event => this.buildEvent({
+      trackingNumber: response.trackingNumber,
+      status: MOCK_STAGES.includes(event.status) ? event.status : this.normalizeStatus(event.status),
+      rawStatus: event.status,
+      description: event.description,
+      location: event.location,
+      occurredAt: event.timestamp
+    }, source));
+  }
+
+  /**
+   * Recover the booking time from a mock tracking number
+   * @param {string} trackingNumber - Tracking number
+   * @returns {number|null} - Epoch milliseconds
+   */
+  getBookingTime(trackingNumber = '') {
+    if (!trackingNumber.startsWith(MOCK_PREFIX)) {
+      return null;
+    }
+    const bookedAt = parseInt(trackingNumber.slice(MOCK_PREFIX.length), 36);
+    return isNaN(bookedAt) ? null : bookedAt;
+  }
+}
@@ -0,0 +1,553 @@
+/**
+ * COD Remittance Reconciliation
+ *
+ * Carriers collect cash on delivery and pay it over in periodic remittances,
+ * each with a file listing the shipments it covers. Importing a remittance
+ * file matches its rows to delivered COD orders by tracking code or order
+ * number and records what was received on the order (order.codSettlement):
+ * - remitted: the full order total has been received
+ * - short_paid / over_paid: the amounts received don't add up to the total
+ * - written_off: finance has closed the difference by hand
+ * Delivered COD orders with no remittance yet are pending, and overdue once
+ * REMITTANCE_DUE_DAYS have passed since delivery.
+ *
+ * Each import is kept in the `cod_remittances` collection with its rows and
+ * how they matched, so unmatched rows can be followed up with the carrier.
+ *
+ * @author Shop Admin System
+ * @version 2.0.0
+ */
+
+import {
+  collection,
+  doc,
+  getDocs,
+  updateDoc,
+  query,
+  where,
+  orderBy,
+  limit,
+  writeBatch,
+  arrayUnion,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from '../firebase';
+import { ORDER_STATUSES } from './orderService';
+import { getOrderTotal, toDate } from './orderDisplay';
+import { isCashOnDelivery } from './paymentMethods';
+import { detectCsvColumns, parseAmount } from './csvUtils';
+
+export const COD_REMITTANCES_COLLECTION = 'cod_remittances';
+
+// Carriers usually remit within a week or two of delivery
+export const REMITTANCE_DUE_DAYS = 10;
+// Differences up to this many rupees are treated as rounding
+export const AMOUNT_TOLERANCE = 1;
+
+export const COD_SETTLEMENT_STATES = {
+  PENDING: 'pending',
+  OVERDUE: 'overdue',
+  REMITTED: 'remitted',
+  SHORT_PAID: 'short_paid',
+  OVER_PAID: 'over_paid',
+  WRITTEN_OFF: 'written_off'
+};
+
+export const COD_SETTLEMENT_STYLES = {
+  [COD_SETTLEMENT_STATES.PENDING]: { label: 'Awaiting remittance', color: 'bg-gray-100 text-gray-800' },
+  [COD_SETTLEMENT_STATES.OVERDUE]: { label: 'Overdue', color: 'bg-red-100 text-red-800' },
+  [COD_SETTLEMENT_STATES.REMITTED]: { label: 'Remitted', color: 'bg-green-100 text-green-800' },
+  [COD_SETTLEMENT_STATES.SHORT_PAID]: { label: 'Short-paid', color: 'bg-orange-100 text-orange-800' },
+  [COD_SETTLEMENT_STATES.OVER_PAID]: { label: 'Over-paid', color: 'bg-purple-100 text-purple-800' },
+  [COD_SETTLEMENT_STATES.WRITTEN_OFF]: { label: 'Written off', color: 'bg-blue-100 text-blue-800' }
+};
+
+export const REMITTANCE_ROW_RESULTS = {
+  MATCHED: 'matched',
+  SHORT_PAID: 'short_paid',
+  OVER_PAID: 'over_paid',
+  UNMATCHED: 'unmatched',         // No order with this tracking code or order number
+  NOT_COD: 'not_cod',             // Order was paid online
+  NOT_DELIVERED: 'not_delivered', // Order isn't delivered, so no cash should have been collected
+  DUPLICATE: 'duplicate',         // Row was already imported
+  INVALID: 'invalid'              // No amount or nothing to match on
+};
+
+export const REMITTANCE_ROW_STYLES = {
+  [REMITTANCE_ROW_RESULTS.MATCHED]: { label: 'Matched', color: 'bg-green-100 text-green-800' },
+  [REMITTANCE_ROW_RESULTS.SHORT_PAID]: { label: 'Short-paid', color: 'bg-orange-100 text-orange-800' },
+  [REMITTANCE_ROW_RESULTS.OVER_PAID]: { label: 'Over-paid', color: 'bg-purple-100 text-purple-800' },
+  [REMITTANCE_ROW_RESULTS.UNMATCHED]: { label: 'No matching order', color: 'bg-red-100 text-red-800' },
+  [REMITTANCE_ROW_RESULTS.NOT_COD]: { label: 'Not a COD order', color: 'bg-yellow-100 text-yellow-800' },
+  [REMITTANCE_ROW_RESULTS.NOT_DELIVERED]: { label: 'Not delivered', color: 'bg-yellow-100 text-yellow-800' },
+  [REMITTANCE_ROW_RESULTS.DUPLICATE]: { label: 'Already imported', color: 'bg-gray-100 text-gray-800' },
+  [REMITTANCE_ROW_RESULTS.INVALID]: { label: 'Invalid row', color: 'bg-red-100 text-red-800' }
+};
+
+/**
+ * Remittance file columns and the headers carriers commonly use for them
+ */
+export const REMITTANCE_COLUMNS = [
+  { key: 'trackingCode', label: 'Tracking / AWB', aliases: ['awb', 'awb no', 'awb number', 'airwaybill', 'waybill', 'tracking', 'tracking number', 'tracking code', 'consignment', 'consignment no', 'docket'] },
+  { key: 'orderNumber', label: 'Order number', aliases: ['order id', 'order', 'order number', 'order no', 'reference', 'ref', 'client reference'] },
+  { key: 'amount', label: 'Amount', aliases: ['amount', 'cod amount', 'remitted amount', 'remittance amount', 'collected amount', 'net amount', 'cod'] },
+  { key: 'remittedOn', label: 'Remittance date', aliases: ['date', 'remittance date', 'remitted on', 'deposit date', 'payment date', 'value date'] },
+  { key: 'reference', label: 'UTR / bank reference', aliases: ['utr', 'utr no', 'utr number', 'bank reference', 'transaction id', 'neft reference'] }
+];
+
+// Firestore 'in' and 'array-contains-any' accept up to 30 values
+const LOOKUP_CHUNK_SIZE = 30;
+// Stay under Firestore's 500 writes per batch
+const WRITE_CHUNK_SIZE = 450;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const chunk = (values, size) => {
+  const chunks = [];
+  for (let i = 0; i < values.length; i += size) {
+    chunks.push(values.slice(i, i + size));
+  }
+  return chunks;
+};
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Guess which column holds each remittance field from the header row
+ * @param {Array<string>} headers - Header row of the file
+ * @returns {Object} - Column index by field key, -1 when not found
+ */
+export const detectRemittanceColumns = (headers) => detectCsvColumns(headers, REMITTANCE_COLUMNS);
+
+/**
+ * Read remittance rows from a parsed file
+ * @param {Array<Array<string>>} rows - Parsed CSV rows, header first
+ * @param {Object} columns - Column index by field key (see detectRemittanceColumns)
+ * @returns {Array<Object>} - { line, trackingCode, orderNumber, amount, remittedOn, reference }
+ */
+export const readRemittanceRows = (rows, columns) => {
+  const cell = (row, key) => (columns[key] >= 0 ? String(row[columns[key]] || '').trim() : '');
+  return rows.slice(1).map((row, index) => ({
+    line: index + 2,
+    trackingCode: cell(row, 'trackingCode'),
+    orderNumber: cell(row, 'orderNumber').replace(/^#/, ''),
+    amount: parseAmount(cell(row, 'amount')),
+    remittedOn: cell(row, 'remittedOn'),
+    reference: cell(row, 'reference')
+  }));
+};
+
+/**
+ * Identity of a remittance row, used to spot rows imported twice
+ * @param {Object} row - Remittance row
+ * @returns {string}
+ */
+export const getRemittanceKey = (row) =>
+  [row.trackingCode || row.orderNumber, roundCurrency(row.amount), row.remittedOn, row.reference].join('|').toUpperCase();
+
+/**
+ * Settlement state for the amount received against the amount expected
+ * @param {number} expected - COD amount due
+ * @param {number} received - Total remitted so far
+ * @returns {string} - COD_SETTLEMENT_STATES value
+ */
+export const getSettlementStateFor = (expected, received) => {
+  if (received > expected + AMOUNT_TOLERANCE) return COD_SETTLEMENT_STATES.OVER_PAID;
+  if (received < expected - AMOUNT_TOLERANCE) return COD_SETTLEMENT_STATES.SHORT_PAID;
+  return COD_SETTLEMENT_STATES.REMITTED;
+};
+
+/**
+ * When a delivered order was delivered
+ * @param {Object} order - Order data
+ * @returns {Date|null}
+ */
+export const getDeliveredDate = (order) => {
+  const delivered = (order.statusHistory || []).filter(entry => entry.status === ORDER_STATUSES.DELIVERED).pop();
+  return toDate(order.deliveredAt) || toDate(delivered?.timestamp) || null;
+};
+
+/**
+ * An order's COD settlement state, including pending and overdue orders
+ * that have no remittance recorded yet
+ * @param {Object} order - Delivered COD order
+ * @param {number} now - Current time in milliseconds
+ * @returns {string} - COD_SETTLEMENT_STATES value
+ */
+export const getCodSettlementState = (order, now = Date.now()) => {
+  if (order.codSettlement?.state) {
+    return order.codSettlement.state;
+  }
+  const deliveredAt = getDeliveredDate(order);
+  return deliveredAt && now - deliveredAt.getTime() > REMITTANCE_DUE_DAYS * DAY_MS
+    ? COD_SETTLEMENT_STATES.OVERDUE
+    : COD_SETTLEMENT_STATES.PENDING;
+};
+
+/**
+ * COD remittance service class
+ * Matches remittance files to orders, records settlements and reports what is outstanding
+ */
+class CodRemittanceService {
+
+  /**
+   * Find the orders a set of remittance rows refer to
+   * @param {Array<Object>} rows - Remittance rows
+   * @returns {Promise<Object>} - { byTracking: Map, byOrderNumber: Map } of order data with id
+   */
+  static async lookupOrders(rows) {
+    const ordersRef = collection(db, 'orders');
+    const byTracking = new Map();
+    const byOrderNumber = new Map();
+    const trackingCodes = [...new Set(rows.map(row => row.trackingCode).filter(Boolean))];
+    const orderNumbers = [...new Set(rows.map(row => row.orderNumber).filter(Boolean))];
+
+    const addOrders = (snapshot) => snapshot.docs.map(orderDoc => ({ id: orderDoc.id, ...orderDoc.data() }));
+
+    for (const codes of chunk(trackingCodes, LOOKUP_CHUNK_SIZE)) {
+      const wanted = new Set(codes);
+      const [byShipments, byTrackingCode] = await Promise.all([
+        getDocs(query(ordersRef, where('trackingNumbers', 'array-contains-any', codes))),
+        getDocs(query(ordersRef, where('tracking.code', 'in', codes)))
+      ]);
+      [...addOrders(byShipments), ...addOrders(byTrackingCode)].forEach(order => {
+        [order.tracking?.code, ...(order.trackingNumbers || [])]
+          .filter(code => wanted.has(code))
+          .forEach(code => byTracking.set(code, order));
+      });
+    }
+
+    for (const numbers of chunk(orderNumbers, LOOKUP_CHUNK_SIZE)) {
+      const snapshot = await getDocs(query(ordersRef, where('orderId', 'in', numbers)));
+      addOrders(snapshot).forEach(order => byOrderNumber.set(order.orderId, order));
+    }
+
+    return { byTracking, byOrderNumber };
+  }
+
+  /**
+   * Match remittance rows to orders without saving anything
+   * Rows for the same order add up, so an order remitted in two parts is
+   * only short-paid if the parts together fall short.
+   *
+   * @param {Array<Object>} rows - From readRemittanceRows
+   * @returns {Promise<Object>} - { success, rows, summary, error }
+   */
+  static async matchRemittance(rows) {
+    console.log(`💰 CodRemittanceService: Matching ${rows.length} remittance rows`);
+
+    try {
+      const { byTracking, byOrderNumber } = await this.lookupOrders(rows);
+      const receivedByOrder = new Map();
+      const seenKeys = new Set();
+
+      const matched = rows.map(row => {
+        if (isNaN(row.amount) || (!row.trackingCode && !row.orderNumber)) {
+          return { ...row, result: REMITTANCE_ROW_RESULTS.INVALID };
+        }
+
+        const order = byTracking.get(row.trackingCode) || byOrderNumber.get(row.orderNumber);
+        if (!order) {
+          return { ...row, result: REMITTANCE_ROW_RESULTS.UNMATCHED };
+        }
+
+        const base = { ...row, orderId: order.id, orderNumber: order.orderId || row.orderNumber, key: getRemittanceKey(row) };
+        const alreadyImported = (order.codSettlement?.remittances || []).some(remittance => remittance.key === base.key);
+        if (alreadyImported || seenKeys.has(base.key)) {
+          return { ...base, result: REMITTANCE_ROW_RESULTS.DUPLICATE };
+        }
+        seenKeys.add(base.key);
+
+        if (!isCashOnDelivery(order)) {
+          return { ...base, result: REMITTANCE_ROW_RESULTS.NOT_COD };
+        }
+        if (order.status !== ORDER_STATUSES.DELIVERED) {
+          return { ...base, result: REMITTANCE_ROW_RESULTS.NOT_DELIVERED };
+        }
+
+        const expectedAmount = roundCurrency(getOrderTotal(order));
+        const received = roundCurrency(
+          (receivedByOrder.get(order.id) ?? order.codSettlement?.receivedAmount ?? 0) + row.amount
+        );
+        receivedByOrder.set(order.id, received);
+        return { ...base, expectedAmount, receivedAmount: received, order };
+      });
+
+      // Judge each order on everything received, once all its rows are counted
+      const results = matched.map(row => {
+        if (row.result) {
+          return row;
+        }
+        const { order, ...rest } = row;
+        const state = getSettlementStateFor(row.expectedAmount, receivedByOrder.get(order.id));
+        return {
+          ...rest,
+          receivedAmount: receivedByOrder.get(order.id),
+          settlementState: state,
+          result: state === COD_SETTLEMENT_STATES.SHORT_PAID
+            ? REMITTANCE_ROW_RESULTS.SHORT_PAID
+            : state === COD_SETTLEMENT_STATES.OVER_PAID ? REMITTANCE_ROW_RESULTS.OVER_PAID : REMITTANCE_ROW_RESULTS.MATCHED
+        };
+      });
+
+      return { success: true, rows: results, summary: this.summarizeRows(results) };
+
+    } catch (error) {
+      console.error('❌ CodRemittanceService: Error matching remittance:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to match remittance file',
+        rows: []
+      };
+    }
+  }
+
+  /**
+   * Count rows per result and total the amount that will be recorded
+   * @param {Array<Object>} rows - Matched rows
+   * @returns {Object} - { rows, amount, recordedAmount, byResult }
+   */
+  static summarizeRows(rows) {
+    const byResult = {};
+    let amount = 0;
+    let recordedAmount = 0;
+    rows.forEach(row => {
+      byResult[row.result] = (byResult[row.result] || 0) + 1;
+      if (!isNaN(row.amount)) {
+        amount += row.amount;
+      }
+      if (row.settlementState) {
+        recordedAmount += row.amount;
+      }
+    });
+    return { rows: rows.length, amount: roundCurrency(amount), recordedAmount: roundCurrency(recordedAmount), byResult };
+  }
+
+  /**
+   * Save a matched remittance file and record the amounts on the orders
+   *
+   * @param {Object} remittance - { fileName, carrier, rows, summary } from matchRemittance
+   * @param {string} adminUserId - Admin importing the file
+   * @returns {Promise<Object>} - { success, remittanceId, updatedOrders, error }
+   */
+  static async importRemittance({ fileName, carrier, rows, summary }, adminUserId = 'admin') {
+    console.log(`💰 CodRemittanceService: Importing remittance ${fileName}`);
+
+    try {
+      const remittanceRef = doc(collection(db, COD_REMITTANCES_COLLECTION));
+      const importedAt = new Date().toISOString();
+
+      // Latest state of each order after all of its rows
+      const settlements = new Map();
+      rows.filter(row => row.settlementState).forEach(row => {
+        const previous = settlements.get(row.orderId);
+        settlements.set(row.orderId, {
+          state: row.settlementState,
+          expectedAmount: row.expectedAmount,
+          receivedAmount: row.receivedAmount,
+          shortfall: roundCurrency(Math.max(0, row.expectedAmount - row.receivedAmount)),
+          remittances: [
+            ...(previous?.remittances || []),
+            {
+              key: row.key,
+              remittanceId: remittanceRef.id,
+              amount: row.amount,
+              remittedOn: row.remittedOn,
+              reference: row.reference,
+              trackingCode: row.trackingCode,
+              importedAt
+            }
+          ]
+        });
+      });
+
+      const writes = [
+        (batch) => batch.set(remittanceRef, {
+          fileName: fileName || '',
+          carrier: carrier || '',
+          rows: rows.map(row => ({
+            line: row.line,
+            trackingCode: row.trackingCode,
+            orderNumber: row.orderNumber || '',
+            orderId: row.orderId || null,
+            amount: isNaN(row.amount) ? null : row.amount,
+            remittedOn: row.remittedOn,
+            reference: row.reference,
+            result: row.result
+          })),
+          summary,
+          importedBy: adminUserId,
+          importedAt: serverTimestamp()
+        }),
+        ...[...settlements.entries()].map(([orderId, settlement]) => (batch) => {
+          // Field paths keep the remittances recorded by earlier imports
+          batch.update(doc(db, 'orders', orderId), {
+            'codSettlement.state': settlement.state,
+            'codSettlement.expectedAmount': settlement.expectedAmount,
+            'codSettlement.receivedAmount': settlement.receivedAmount,
+            'codSettlement.shortfall': settlement.shortfall,
+            'codSettlement.remittances': arrayUnion(...settlement.remittances),
+            'codSettlement.updatedAt': importedAt
+          });
+        })
+      ];
+
+      for (const group of chunk(writes, WRITE_CHUNK_SIZE)) {
+        const batch = writeBatch(db);
+        group.forEach(write => write(batch));
+        await batch.commit();
+      }
+
+      console.log(`✅ CodRemittanceService: Recorded remittances on ${settlements.size} orders`);
+      return { success: true, remittanceId: remittanceRef.id, updatedOrders: settlements.size };
+
+    } catch (error) {
+      console.error('❌ CodRemittanceService: Error importing remittance:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to import remittance'
+      };
+    }
+  }
+
+  /**
+   * Recently imported remittance files, newest first
+   * @param {number} count - How many to load
+   * @returns {Promise<Object>} - { success, remittances, error }
+   */
+  static async getRemittances(count = 20) {
+    try {
+      const snapshot = await getDocs(query(
+        collection(db, COD_REMITTANCES_COLLECTION),
+        orderBy('importedAt', 'desc'),
+        limit(count)
+      ));
+      return { success: true, remittances: snapshot.docs.map(remittanceDoc => ({ id: remittanceDoc.id, ...remittanceDoc.data() })) };
+
+    } catch (error) {
+      console.error('❌ CodRemittanceService: Error loading remittances:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to load remittances',
+        remittances: []
+      };
+    }
+  }
+
+  /**
+   * Delivered COD orders with their settlement state, and the totals finance tracks
+   * @returns {Promise<Object>} - { success, orders, summary, error }
+   */
+  static async getCodLedger() {
+    console.log('💰 CodRemittanceService: Loading delivered COD orders');
+
+    try {
+      const snapshot = await getDocs(query(collection(db, 'orders'), where('status', '==', ORDER_STATUSES.DELIVERED)));
+      const now = Date.now();
+
+      const orders = snapshot.docs
+        .map(orderDoc => ({ id: orderDoc.id, ...orderDoc.data() }))
+        .filter(isCashOnDelivery)
+        .map(order => {
+          const expectedAmount = roundCurrency(order.codSettlement?.expectedAmount ?? getOrderTotal(order));
+          const receivedAmount = roundCurrency(order.codSettlement?.receivedAmount || 0);
+          const deliveredAt = getDeliveredDate(order);
+          const state = getCodSettlementState(order, now);
+          return {
+            ...order,
+            settlementState: state,
+            expectedAmount,
+            receivedAmount,
+            outstandingAmount: state === COD_SETTLEMENT_STATES.WRITTEN_OFF
+              ? 0
+              : roundCurrency(Math.max(0, expectedAmount - receivedAmount)),
+            deliveredAt,
+            daysSinceDelivery: deliveredAt ? Math.floor((now - deliveredAt.getTime()) / DAY_MS) : null
+          };
+        })
+        .sort((a, b) => (b.daysSinceDelivery ?? -1) - (a.daysSinceDelivery ?? -1));
+
+      const summary = {
+        deliveredCount: orders.length,
+        outstandingAmount: 0,
+        outstandingCount: 0,
+        overdueAmount: 0,
+        overdueCount: 0,
+        shortfall: 0,
+        shortPaidCount: 0,
+        remittedAmount: 0,
+        byCarrier: {}
+      };
+      orders.forEach(order => {
+        summary.remittedAmount += order.receivedAmount;
+        if (order.outstandingAmount <= 0) return;
+
+        summary.outstandingAmount += order.outstandingAmount;
+        summary.outstandingCount++;
+        if (order.settlementState === COD_SETTLEMENT_STATES.OVERDUE) {
+          summary.overdueAmount += order.outstandingAmount;
+          summary.overdueCount++;
+        }
+        if (order.settlementState === COD_SETTLEMENT_STATES.SHORT_PAID) {
+          summary.shortfall += order.outstandingAmount;
+          summary.shortPaidCount++;
+        }
+        const carrier = order.tracking?.carrier || 'Unknown';
+        summary.byCarrier[carrier] = summary.byCarrier[carrier] || { count: 0, amount: 0 };
+        summary.byCarrier[carrier].count++;
+        summary.byCarrier[carrier].amount = roundCurrency(summary.byCarrier[carrier].amount + order.outstandingAmount);
+      });
+      ['outstandingAmount', 'overdueAmount', 'shortfall', 'remittedAmount'].forEach(field => {
+        summary[field] = roundCurrency(summary[field]);
+      });
+
+      return { success: true, orders, summary };
+
+    } catch (error) {
+      console.error('❌ CodRemittanceService: Error loading COD ledger:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to load COD orders',
+        orders: []
+      };
+    }
+  }
+
+  /**
+   * Close an order's remaining COD difference by hand, e.g. after the carrier
+   * settled a dispute outside the remittance files
+   *
+   * @param {Object} order - Order from getCodLedger
+   * @param {string} note - Why the difference was written off
+   * @param {string} adminUserId - Admin writing it off
+   * @returns {Promise<Object>} - { success, error }
+   */
+  static async writeOffSettlement(order, note, adminUserId = 'admin') {
+    try {
+      if (!note?.trim()) {
+        throw new Error('Add a note explaining the write-off');
+      }
+      await updateDoc(doc(db, 'orders', order.id), {
+        codSettlement: {
+          ...order.codSettlement,
+          state: COD_SETTLEMENT_STATES.WRITTEN_OFF,
+          expectedAmount: order.expectedAmount,
+          receivedAmount: order.receivedAmount,
+          shortfall: roundCurrency(Math.max(0, order.expectedAmount - order.receivedAmount)),
+          remittances: order.codSettlement?.remittances || [],
+          writeOff: { note: note.trim(), by: adminUserId, at: new Date().toISOString() },
+          updatedAt: new Date().toISOString()
+        }
+      });
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ CodRemittanceService: Error writing off settlement:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to write off settlement'
+      };
+    }
+  }
+}
+
+export default CodRemittanceService;
@@ -0,0 +1,107 @@
+import CodRemittanceService, {
+  COD_SETTLEMENT_STATES,
+  REMITTANCE_DUE_DAYS,
+  detectRemittanceColumns,
+  getCodSettlementState,
+  getRemittanceKey,
+  getSettlementStateFor,
+  readRemittanceRows
+} from './codRemittance';
+import { parseCsv } from './csvUtils';
+
+jest.mock('../firebase', () => ({ db: {} }));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const remittanceFile = [
+  '\uFEFFAWB No.,Client Reference,COD Amount,Remittance Date,UTR',
+  'DL123,#A1001,"₹1,299.00",2025-06-10,UTR9',
+  ',A1002,Rs. 450,2025-06-10,UTR9',
+  'DL125,,,2025-06-10,UTR9',
+  ''
+].join('\r\n');
+
+describe('reading remittance files', () => {
+  test('detects the columns from common carrier headers', () => {
+    expect(detectRemittanceColumns(parseCsv(remittanceFile)[0])).toEqual({
+      trackingCode: 0,
+      orderNumber: 1,
+      amount: 2,
+      remittedOn: 3,
+      reference: 4
+    });
+  });
+
+  test('reads each row with its file line and parsed amount', () => {
+    const rows = parseCsv(remittanceFile);
+    const remittance = readRemittanceRows(rows, detectRemittanceColumns(rows[0]));
+
+    expect(remittance).toHaveLength(3);
+    expect(remittance[0]).toEqual({
+      line: 2,
+      trackingCode: 'DL123',
+      orderNumber: 'A1001',
+      amount: 1299,
+      remittedOn: '2025-06-10',
+      reference: 'UTR9'
+    });
+    expect(remittance[1]).toMatchObject({ line: 3, trackingCode: '', orderNumber: 'A1002', amount: 450 });
+    expect(remittance[2].amount).toBeNaN();
+  });
+
+  test('leaves fields empty when their column is missing', () => {
+    const rows = [['AWB', 'Amount'], ['DL123', '100']];
+    expect(readRemittanceRows(rows, detectRemittanceColumns(rows[0]))[0])
+      .toMatchObject({ trackingCode: 'DL123', orderNumber: '', reference: '', amount: 100 });
+  });
+
+  test('keys rows so the same remittance line is recognised when imported again', () => {
+    const row = { trackingCode: 'dl123', amount: 1299.001, remittedOn: '2025-06-10', reference: 'utr9' };
+    expect(getRemittanceKey(row)).toBe('DL123|1299|2025-06-10|UTR9');
+    expect(getRemittanceKey({ ...row, trackingCode: 'DL123', amount: 1299 })).toBe(getRemittanceKey(row));
+    expect(getRemittanceKey({ ...row, trackingCode: '', orderNumber: 'A1001' })).toBe('A1001|1299|2025-06-10|UTR9');
+  });
+});
+
+describe('COD settlement states', () => {
+  test('treats differences within a rupee as rounding', () => {
+    expect(getSettlementStateFor(1000, 999.5)).toBe(COD_SETTLEMENT_STATES.REMITTED);
+    expect(getSettlementStateFor(1000, 1001)).toBe(COD_SETTLEMENT_STATES.REMITTED);
+    expect(getSettlementStateFor(1000, 998)).toBe(COD_SETTLEMENT_STATES.SHORT_PAID);
+    expect(getSettlementStateFor(1000, 1002)).toBe(COD_SETTLEMENT_STATES.OVER_PAID);
+  });
+
+  test('marks unremitted orders overdue once the due days have passed since delivery', () => {
+    const now = new Date('2025-06-30T00:00:00Z').getTime();
+    const deliveredDaysAgo = (days) => ({ deliveredAt: new Date(now - days * DAY_MS) });
+
+    expect(getCodSettlementState(deliveredDaysAgo(REMITTANCE_DUE_DAYS), now)).toBe(COD_SETTLEMENT_STATES.PENDING);
+    expect(getCodSettlementState(deliveredDaysAgo(REMITTANCE_DUE_DAYS + 1), now)).toBe(COD_SETTLEMENT_STATES.OVERDUE);
+    expect(getCodSettlementState({
+      statusHistory: [{ status: 'Delivered', timestamp: new Date(now - 20 * DAY_MS) }]
+    }, now)).toBe(COD_SETTLEMENT_STATES.OVERDUE);
+  });
+
+  test('keeps a recorded settlement state', () => {
+    expect(getCodSettlementState({
+      deliveredAt: new Date(0),
+      codSettlement: { state: COD_SETTLEMENT_STATES.WRITTEN_OFF }
+    })).toBe(COD_SETTLEMENT_STATES.WRITTEN_OFF);
+  });
+});
+
+describe('summarizeRows', () => {
+  test('totals the file and the amount that will be recorded', () => {
+    expect(CodRemittanceService.summarizeRows([
+      { result: 'matched', amount: 100.1, settlementState: COD_SETTLEMENT_STATES.REMITTED },
+      { result: 'short_paid', amount: 50.2, settlementState: COD_SETTLEMENT_STATES.SHORT_PAID },
+      { result: 'unmatched', amount: 20 },
+      { result: 'invalid', amount: NaN }
+    ])).toEqual({
+      rows: 4,
+      amount: 170.3,
+      recordedAmount: 150.3,
+      byResult: { matched: 1, short_paid: 1, unmatched: 1, invalid: 1 }
+    });
+  });
+});
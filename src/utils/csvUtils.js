@@ -0,0 +1,134 @@
+/**
+ * CSV and file download utilities
+ * Small helpers shared by the admin export and import features
+ */
+
+// Spreadsheets run text starting with these as a formula (CSV injection)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Escape a single value for inclusion in a CSV cell
+ * Quotes values containing separators, quotes or line breaks. Text that a
+ * spreadsheet would run as a formula (e.g. a customer name of "=HYPERLINK(...)")
+ * is prefixed with an apostrophe; numbers are left as they are.
+ * @param {*} value - Cell value
+ * @returns {string} - Escaped cell text
+ */
+export const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : String(value);
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+/**
+ * Convert headers and rows into CSV text
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array>} rows - Row values in header order
+ * @returns {string} - CSV document
+ */
+export const toCsv = (headers, rows) => {
+  return [headers, ...rows]
+    .map(row => row.map(escapeCsvValue).join(','))
+    .join('\r\n');
+};
+
+/**
+ * Trigger a browser download for the given content
+ * @param {BlobPart} content - File contents
+ * @param {string} fileName - Suggested file name
+ * @param {string} mimeType - MIME type of the file
+ */
+export const downloadFile = (content, fileName, mimeType) => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Parse CSV text into rows of cells
+ * Handles quoted cells (with escaped quotes and line breaks), CRLF or LF line
+ * endings and a leading byte order mark. Blank lines are skipped.
+ * @param {string} text - CSV document
+ * @returns {Array<Array<string>>} - Rows of cell text
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const source = text.replace(/^\uFEFF/, '');
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.some(value => value.trim() !== '')) {
+      rows.push(row);
+    }
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    endRow();
+  }
+  return rows;
+};
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+/**
+ * Guess which column holds each field from a file's header row
+ * @param {Array<string>} headers - Header row of the file
+ * @param {Array<Object>} columns - Field definitions with key and header aliases
+ * @returns {Object} - Column index by field key, -1 when not found
+ */
+export const detectCsvColumns = (headers, columns) => {
+  const normalized = headers.map(normalizeHeader);
+  return Object.fromEntries(columns.map(column => [
+    column.key,
+    normalized.findIndex(header => column.aliases.includes(header))
+  ]));
+};
+
+/**
+ * Parse an amount such as "₹1,299.00" or "1299"
+ * @param {string} value - Cell text
+ * @returns {number} - NaN when not a number
+ */
+export const parseAmount = (value) => {
+  const cleaned = String(value || '').replace(/[₹,\s]|INR|Rs\.?/gi, '');
+  return cleaned === '' ? NaN : Number(cleaned);
+};
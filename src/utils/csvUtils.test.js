@@ -0,0 +1,30 @@
+import { escapeCsvValue, parseCsv, toCsv } from './csvUtils';
+
+describe('escapeCsvValue', () => {
+  test('quotes separators, quotes and line breaks', () => {
+    expect(escapeCsvValue('Rao, Asha')).toBe('"Rao, Asha"');
+    expect(escapeCsvValue('6" knife')).toBe('"6"" knife"');
+    expect(escapeCsvValue('line 1\nline 2')).toBe('"line 1\nline 2"');
+    expect(escapeCsvValue(null)).toBe('');
+  });
+
+  test('stops text from running as a spreadsheet formula', () => {
+    expect(escapeCsvValue('=HYPERLINK("http://evil","x")')).toBe('"\'=HYPERLINK(""http://evil"",""x"")"');
+    expect(escapeCsvValue('+91 98765 43210')).toBe("'+91 98765 43210");
+    expect(escapeCsvValue('-2+3')).toBe("'-2+3");
+    expect(escapeCsvValue('@SUM(A1)')).toBe("'@SUM(A1)");
+    expect(escapeCsvValue('\t=1')).toBe("'\t=1");
+  });
+
+  test('leaves numbers and ordinary text alone', () => {
+    expect(escapeCsvValue(-180)).toBe('-180');
+    expect(escapeCsvValue('A1001')).toBe('A1001');
+  });
+});
+
+describe('toCsv', () => {
+  test('reads back through parseCsv', () => {
+    const csv = toCsv(['Order', 'Customer'], [['A1001', 'Rao, Asha'], ['A1002', 'Ravi "R"']]);
+    expect(parseCsv(csv)).toEqual([['Order', 'Customer'], ['A1001', 'Rao, Asha'], ['A1002', 'Ravi "R"']]);
+  });
+});
@@ -0,0 +1,504 @@
+/**
+ * Customer Notifications
+ *
+ * Messages sent to customers when their order moves to a notified status
+ * (Approved, Shipped, Delivered, Cancelled, Refunded). Each status has an
+ * editable template per channel - email, SMS and WhatsApp - stored in
+ * settings/customerNotifications, with {{variable}} placeholders filled in
+ * from the order.
+ *
+ * Rendered messages are written to the `notification_outbox` collection
+ * rather than sent directly, so a status change never waits on (or fails
+ * because of) a provider. The active sender (see ./notifications) drains the
+ * outbox, retrying failed messages up to MAX_SEND_ATTEMPTS times. Each
+ * message keeps its own delivery log, which the order page shows.
+ *
+ * @author Shop Admin System
+ * @version 2.0.0
+ */
+
+import {
+  collection,
+  doc,
+  getDocs,
+  updateDoc,
+  query,
+  where,
+  limit,
+  onSnapshot,
+  runTransaction,
+  writeBatch,
+  arrayUnion,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from '../firebase';
+import { getSettings, saveSettings } from './settingsService';
+import { getCarrierAdapter } from './carriers';
+import { getActiveSender } from './notifications';
+import { formatCurrency } from './formatUtils';
+
+export const NOTIFICATION_SETTINGS_ID = 'customerNotifications';
+export const NOTIFICATION_OUTBOX_COLLECTION = 'notification_outbox';
+
+export const NOTIFICATION_CHANNELS = {
+  EMAIL: 'email',
+  SMS: 'sms',
+  WHATSAPP: 'whatsapp'
+};
+
+export const NOTIFICATION_CHANNEL_LABELS = {
+  [NOTIFICATION_CHANNELS.EMAIL]: 'Email',
+  [NOTIFICATION_CHANNELS.SMS]: 'SMS',
+  [NOTIFICATION_CHANNELS.WHATSAPP]: 'WhatsApp'
+};
+
+export const OUTBOX_STATES = {
+  QUEUED: 'queued',     // Waiting for the sender
+  SENDING: 'sending',   // Claimed by a sender
+  SENT: 'sent',         // Accepted by the provider
+  FAILED: 'failed',     // Gave up after MAX_SEND_ATTEMPTS
+  SKIPPED: 'skipped'    // Not sendable, e.g. no phone number on the order
+};
+
+export const OUTBOX_STATE_STYLES = {
+  [OUTBOX_STATES.QUEUED]: { label: 'Queued', color: 'bg-gray-100 text-gray-800' },
+  [OUTBOX_STATES.SENDING]: { label: 'Sending', color: 'bg-blue-100 text-blue-800' },
+  [OUTBOX_STATES.SENT]: { label: 'Sent', color: 'bg-green-100 text-green-800' },
+  [OUTBOX_STATES.FAILED]: { label: 'Failed', color: 'bg-red-100 text-red-800' },
+  [OUTBOX_STATES.SKIPPED]: { label: 'Skipped', color: 'bg-yellow-100 text-yellow-800' }
+};
+
+// ORDER_STATUSES values; orderService queues these notifications, so this
+// module cannot import it
+export const NOTIFIED_STATUSES = ['Approved', 'Shipped', 'Delivered', 'Cancelled', 'Refunded'];
+
+/**
+ * Placeholders available in every template
+ */
+export const TEMPLATE_VARIABLES = [
+  { name: 'customerName', description: 'Customer name' },
+  { name: 'orderNumber', description: 'Order number' },
+  { name: 'orderTotal', description: 'Order total, e.g. ₹1,299.00' },
+  { name: 'itemCount', description: 'Number of items' },
+  { name: 'status', description: 'New order status' },
+  { name: 'carrier', description: 'Shipping carrier' },
+  { name: 'trackingNumber', description: 'Tracking number' },
+  { name: 'trackingUrl', description: "Carrier's tracking page" },
+  { name: 'reason', description: 'Cancellation or refund reason' },
+  { name: 'refundAmount', description: 'Amount refunded so far' }
+];
+
+const template = (subject, body, enabled = true) => ({ enabled, subject, body });
+
+export const DEFAULT_NOTIFICATION_SETTINGS = {
+  templates: {
+    Approved: {
+      [NOTIFICATION_CHANNELS.EMAIL]: template(
+        'Your order #{{orderNumber}} is confirmed',
+        'Hi {{customerName}},\n\nThank you for shopping with us. Your order #{{orderNumber}} for {{orderTotal}} has been confirmed and is being prepared.\n\nWe will let you know as soon as it ships.'
+      ),
+      [NOTIFICATION_CHANNELS.SMS]: template('', 'Your order #{{orderNumber}} for {{orderTotal}} is confirmed. We will notify you when it ships.', false),
+      [NOTIFICATION_CHANNELS.WHATSAPP]: template('', 'Hi {{customerName}}, your order #{{orderNumber}} for {{orderTotal}} is confirmed. We will message you when it ships.', false)
+    },
+    Shipped: {
+      [NOTIFICATION_CHANNELS.EMAIL]: template(
+        'Your order #{{orderNumber}} has shipped',
+        'Hi {{customerName}},\n\nYour order #{{orderNumber}} is on its way with {{carrier}}.\n\nTracking number: {{trackingNumber}}\nTrack your parcel: {{trackingUrl}}'
+      ),
+      [NOTIFICATION_CHANNELS.SMS]: template('', 'Order #{{orderNumber}} shipped via {{carrier}}, tracking {{trackingNumber}}. {{trackingUrl}}', false),
+      [NOTIFICATION_CHANNELS.WHATSAPP]: template('', 'Hi {{customerName}}, your order #{{orderNumber}} has shipped with {{carrier}}. Tracking number {{trackingNumber}}: {{trackingUrl}}', false)
+    },
+    Delivered: {
+      [NOTIFICATION_CHANNELS.EMAIL]: template(
+        'Your order #{{orderNumber}} has been delivered',
+        'Hi {{customerName}},\n\nYour order #{{orderNumber}} has been delivered. We hope you enjoy it!\n\nIf anything is not right, just reply to this email.'
+      ),
+      [NOTIFICATION_CHANNELS.SMS]: template('', 'Your order #{{orderNumber}} has been delivered. Thank you for shopping with us!', false),
+      [NOTIFICATION_CHANNELS.WHATSAPP]: template('', 'Hi {{customerName}}, your order #{{orderNumber}} has been delivered. Thank you for shopping with us!', false)
+    },
+    Cancelled: {
+      [NOTIFICATION_CHANNELS.EMAIL]: template(
+        'Your order #{{orderNumber}} has been cancelled',
+        'Hi {{customerName}},\n\nYour order #{{orderNumber}} has been cancelled.\n\nReason: {{reason}}\n\nIf you paid online, any refund will be processed to your original payment method.'
+      ),
+      [NOTIFICATION_CHANNELS.SMS]: template('', 'Your order #{{orderNumber}} has been cancelled. Reason: {{reason}}', false),
+      [NOTIFICATION_CHANNELS.WHATSAPP]: template('', 'Hi {{customerName}}, your order #{{orderNumber}} has been cancelled. Reason: {{reason}}', false)
+    },
+    Refunded: {
+      [NOTIFICATION_CHANNELS.EMAIL]: template(
+        'Refund processed for order #{{orderNumber}}',
+        'Hi {{customerName}},\n\nWe have refunded {{refundAmount}} for your order #{{orderNumber}}.\n\nReason: {{reason}}\n\nThe amount should reach your account within 5-7 working days.'
+      ),
+      [NOTIFICATION_CHANNELS.SMS]: template('', 'Refund of {{refundAmount}} processed for order #{{orderNumber}}. It should reach you in 5-7 working days.', false),
+      [NOTIFICATION_CHANNELS.WHATSAPP]: template('', 'Hi {{customerName}}, we have refunded {{refundAmount}} for order #{{orderNumber}}. It should reach you in 5-7 working days.', false)
+    }
+  }
+};
+
+export const MAX_SEND_ATTEMPTS = 3;
+const DRAIN_BATCH_SIZE = 20;
+const DEFAULT_DRAIN_INTERVAL_MS = 60 * 1000;
+
+// Only one drain runs per browser tab at a time
+let draining = false;
+
+/**
+ * Fill {{variable}} placeholders; unknown or empty variables become ''
+ * @param {string} text - Template text
+ * @param {Object} variables - Values by variable name
+ * @returns {string}
+ */
+export const renderTemplate = (text, variables) =>
+  (text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+    const value = variables[name];
+    return value === null || value === undefined ? '' : String(value);
+  });
+
+/**
+ * Template variables for an order
+ * The tracking link comes from the carrier registry (the same adapters
+ * SHIPPING_CARRIERS is built from), falling back to the URL stored on the order.
+ *
+ * @param {Object} order - Order data, including the fields just updated
+ * @param {string} orderId - Order document ID
+ * @returns {Object} - Values by variable name
+ */
+export const buildTemplateVariables = (order, orderId) => {
+  const tracking = order.tracking || {};
+  const lastShipment = (order.shipments || [])[(order.shipments || []).length - 1] || {};
+  const trackingNumber = tracking.code || lastShipment.code || '';
+  const carrierName = tracking.carrier || lastShipment.carrier || '';
+  const carrier = getCarrierAdapter(tracking.carrierCode || carrierName);
+  const total = Number(order.total ?? order.financials?.total ?? 0);
+
+  return {
+    customerName: order.userName || order.shipping?.address?.name || 'there',
+    orderNumber: order.orderId || orderId,
+    orderTotal: formatCurrency(total),
+    itemCount: (order.items || []).reduce((sum, item) => sum + (item.quantity || 0), 0),
+    status: order.status || '',
+    carrier: carrier?.name || carrierName,
+    trackingNumber,
+    trackingUrl: (trackingNumber && carrier?.getTrackingUrl(trackingNumber)) || tracking.url || lastShipment.url || '',
+    reason: order.cancellationReason || order.refundReason || order.declineReason || '',
+    refundAmount: formatCurrency(Number(order.refundedTotal ?? order.refundAmount ?? 0))
+  };
+};
+
+/**
+ * Address a channel's messages go to
+ * @param {Object} order - Order data
+ * @param {string} channel - NOTIFICATION_CHANNELS value
+ * @returns {string} - Email address or phone number, '' when missing
+ */
+export const getRecipient = (order, channel) => {
+  if (channel === NOTIFICATION_CHANNELS.EMAIL) {
+    return (order.userEmail || '').trim();
+  }
+  return (order.userPhone || order.shipping?.address?.phone || '').replace(/[^\d+]/g, '');
+};
+
+/**
+ * Render the enabled templates of a status for an order
+ *
+ * @param {Object} order - Order data
+ * @param {string} orderId - Order document ID
+ * @param {string} status - Order status the customer is told about
+ * @param {Object} settings - Customer notification settings
+ * @returns {Array<Object>} - Outbox message data
+ */
+export const buildOutboxMessages = (order, orderId, status, settings) => {
+  const templates = settings.templates?.[status] || {};
+  const variables = buildTemplateVariables({ ...order, status }, orderId);
+
+  return Object.values(NOTIFICATION_CHANNELS)
+    .filter(channel => templates[channel]?.enabled)
+    .map(channel => {
+      const recipient = getRecipient(order, channel);
+      const skipReason = recipient ? null : `No ${channel === NOTIFICATION_CHANNELS.EMAIL ? 'email address' : 'phone number'} on the order`;
+      return {
+        orderId,
+        orderNumber: variables.orderNumber,
+        status,
+        channel,
+        recipient,
+        subject: channel === NOTIFICATION_CHANNELS.EMAIL ? renderTemplate(templates[channel].subject, variables) : '',
+        body: renderTemplate(templates[channel].body, variables),
+        state: skipReason ? OUTBOX_STATES.SKIPPED : OUTBOX_STATES.QUEUED,
+        attempts: 0,
+        lastError: skipReason,
+        sender: null,
+        messageId: null,
+        log: [{ state: skipReason ? OUTBOX_STATES.SKIPPED : OUTBOX_STATES.QUEUED, at: new Date().toISOString(), detail: skipReason || '' }],
+        createdAt: serverTimestamp(),
+        sentAt: null
+      };
+    });
+};
+
+/**
+ * Customer notification service class
+ * Templates, queueing and draining the outbox
+ */
+class CustomerNotificationService {
+
+  /**
+   * Load notification settings merged over the defaults
+   * Templates are merged per status and channel, so newly added templates
+   * always exist.
+   * @returns {Promise<Object>} - Notification settings
+   */
+  static async getNotificationSettings() {
+    const result = await getSettings(NOTIFICATION_SETTINGS_ID, DEFAULT_NOTIFICATION_SETTINGS);
+    const stored = result.settings.templates || {};
+    const templates = Object.fromEntries(
+      Object.entries(DEFAULT_NOTIFICATION_SETTINGS.templates).map(([status, channels]) => [
+        status,
+        Object.fromEntries(Object.entries(channels).map(([channel, defaults]) => [
+          channel,
+          { ...defaults, ...stored[status]?.[channel] }
+        ]))
+      ])
+    );
+    return { ...result.settings, templates };
+  }
+
+  /**
+   * Save notification settings after validating them
+   * @param {Object} values - Notification settings
+   * @param {string} adminUserId - Admin saving the settings
+   * @returns {Promise<Object>} - { success, error }
+   */
+  static async saveNotificationSettings(values, adminUserId = 'admin') {
+    const errors = this.validateSettings(values);
+    if (errors.length > 0) {
+      return { success: false, error: errors.join('. ') };
+    }
+    return saveSettings(NOTIFICATION_SETTINGS_ID, { templates: values.templates }, adminUserId);
+  }
+
+  /**
+   * Validate notification settings
+   * @param {Object} settings - Notification settings
+   * @returns {Array<string>} - Validation errors (empty when valid)
+   */
+  static validateSettings(settings) {
+    const errors = [];
+    const known = new Set(TEMPLATE_VARIABLES.map(variable => variable.name));
+
+    Object.entries(settings.templates || {}).forEach(([status, channels]) => {
+      Object.entries(channels).forEach(([channel, channelTemplate]) => {
+        const label = `${status} ${NOTIFICATION_CHANNEL_LABELS[channel] || channel}`;
+        if (channelTemplate.enabled && !channelTemplate.body?.trim()) {
+          errors.push(`${label} message is empty`);
+        }
+        if (channelTemplate.enabled && channel === NOTIFICATION_CHANNELS.EMAIL && !channelTemplate.subject?.trim()) {
+          errors.push(`${label} needs a subject`);
+        }
+        const unknown = [...`${channelTemplate.subject || ''} ${channelTemplate.body || ''}`.matchAll(/\{\{\s*(\w+)\s*\}\}/g)]
+          .map(match => match[1])
+          .filter(name => !known.has(name));
+        if (unknown.length > 0) {
+          errors.push(`${label} uses unknown variable ${[...new Set(unknown)].map(name => `{{${name}}}`).join(', ')}`);
+        }
+      });
+    });
+    return errors;
+  }
+
+  /**
+   * Queue the customer notifications for a status change
+   * Called after the order update is committed; statuses without
+   * notifications are ignored. The outbox is drained straight away in the
+   * background.
+   *
+   * @param {string} orderId - Order document ID
+   * @param {Object} order - Order data, including the fields just updated
+   * @param {string} status - New order status
+   * @returns {Promise<Object>} - { success, queued, error }
+   */
+  static async queueStatusNotifications(orderId, order, status) {
+    if (!NOTIFIED_STATUSES.includes(status)) {
+      return { success: true, queued: 0 };
+    }
+
+    try {
+      const settings = await this.getNotificationSettings();
+      const messages = buildOutboxMessages(order, orderId, status, settings);
+      if (messages.length === 0) {
+        return { success: true, queued: 0 };
+      }
+
+      const batch = writeBatch(db);
+      messages.forEach(message => batch.set(doc(collection(db, NOTIFICATION_OUTBOX_COLLECTION)), message));
+      await batch.commit();
+
+      const queued = messages.filter(message => message.state === OUTBOX_STATES.QUEUED).length;
+      console.log(`📨 CustomerNotificationService: Queued ${queued} ${status} notification(s) for order ${orderId}`);
+      if (queued > 0) {
+        this.drainOutbox();
+      }
+      return { success: true, queued };
+
+    } catch (error) {
+      console.error('❌ CustomerNotificationService: Error queueing notifications:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to queue customer notifications',
+        queued: 0
+      };
+    }
+  }
+
+  /**
+   * Send queued messages with the active sender
+   * Each message is claimed in a transaction first, so admins with the panel
+   * open at the same time never send the same message twice.
+   *
+   * @param {number} batchSize - Most messages to send in this run
+   * @returns {Promise<Object>} - { success, sent, failed, error }
+   */
+  static async drainOutbox(batchSize = DRAIN_BATCH_SIZE) {
+    const sender = getActiveSender();
+    if (!sender) {
+      return { success: false, error: 'No notification sender is configured', sent: 0, failed: 0 };
+    }
+    if (draining) {
+      return { success: true, sent: 0, failed: 0 };
+    }
+
+    draining = true;
+    let sent = 0;
+    let failed = 0;
+
+    try {
+      const snapshot = await getDocs(query(
+        collection(db, NOTIFICATION_OUTBOX_COLLECTION),
+        where('state', '==', OUTBOX_STATES.QUEUED),
+        limit(batchSize)
+      ));
+
+      for (const messageDoc of snapshot.docs) {
+        const message = await runTransaction(db, async (transaction) => {
+          const current = await transaction.get(messageDoc.ref);
+          if (!current.exists() || current.data().state !== OUTBOX_STATES.QUEUED) {
+            return null;
+          }
+          transaction.update(messageDoc.ref, { state: OUTBOX_STATES.SENDING, sender: sender.key });
+          return current.data();
+        });
+        if (!message) {
+          continue;
+        }
+
+        const attempts = (message.attempts || 0) + 1;
+        try {
+          if (!sender.supportsChannel(message.channel)) {
+            throw new Error(`${sender.name} cannot send ${NOTIFICATION_CHANNEL_LABELS[message.channel] || message.channel} messages`);
+          }
+          const result = await sender.send(message);
+          await updateDoc(messageDoc.ref, {
+            state: OUTBOX_STATES.SENT,
+            attempts,
+            lastError: null,
+            messageId: result?.messageId || null,
+            sentAt: serverTimestamp(),
+            log: arrayUnion({ state: OUTBOX_STATES.SENT, at: new Date().toISOString(), detail: `Sent via ${sender.name}` })
+          });
+          sent++;
+        } catch (sendError) {
+          const state = attempts >= MAX_SEND_ATTEMPTS ? OUTBOX_STATES.FAILED : OUTBOX_STATES.QUEUED;
+          console.warn(`⚠️ CustomerNotificationService: Sending message ${messageDoc.id} failed (attempt ${attempts}):`, sendError);
+          await updateDoc(messageDoc.ref, {
+            state,
+            attempts,
+            lastError: sendError.message || 'Send failed',
+            log: arrayUnion({ state: OUTBOX_STATES.FAILED, at: new Date().toISOString(), detail: `Attempt ${attempts}: ${sendError.message || 'Send failed'}` })
+          });
+          if (state === OUTBOX_STATES.FAILED) {
+            failed++;
+          }
+        }
+      }
+
+      return { success: true, sent, failed };
+
+    } catch (error) {
+      console.error('❌ CustomerNotificationService: Error draining outbox:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to process the notification outbox',
+        sent,
+        failed
+      };
+    } finally {
+      draining = false;
+    }
+  }
+
+  /**
+   * Drain the outbox now and then every intervalMs while the admin panel is open
+   * @param {number} intervalMs - Time between runs
+   * @returns {Function} - Stops the drainer
+   */
+  static startOutboxDrainer(intervalMs = DEFAULT_DRAIN_INTERVAL_MS) {
+    if (!getActiveSender()) {
+      console.warn('⚠️ CustomerNotificationService: No notification sender configured, outbox will not be drained');
+      return () => {};
+    }
+    this.drainOutbox();
+    const timer = setInterval(() => this.drainOutbox(), intervalMs);
+    return () => clearInterval(timer);
+  }
+
+  /**
+   * Put a failed or stuck message back in the queue
+   * @param {string} messageId - Outbox message ID
+   * @param {string} adminUserId - Admin retrying the message
+   * @returns {Promise<Object>} - { success, error }
+   */
+  static async retryMessage(messageId, adminUserId = 'admin') {
+    try {
+      await updateDoc(doc(db, NOTIFICATION_OUTBOX_COLLECTION, messageId), {
+        state: OUTBOX_STATES.QUEUED,
+        attempts: 0,
+        log: arrayUnion({ state: OUTBOX_STATES.QUEUED, at: new Date().toISOString(), detail: `Retried by ${adminUserId}` })
+      });
+      this.drainOutbox();
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ CustomerNotificationService: Error retrying message:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to retry message'
+      };
+    }
+  }
+
+  /**
+   * Subscribe to the messages queued for an order, newest first
+   *
+   * @param {string} orderId - Order document ID
+   * @param {Function} onUpdate - Called with the messages on every snapshot
+   * @param {Function} onError - Called with the error if the listener fails
+   * @returns {Function} - Unsubscribe function
+   */
+  static subscribeToDeliveryLog(orderId, onUpdate, onError) {
+    const logQuery = query(collection(db, NOTIFICATION_OUTBOX_COLLECTION), where('orderId', '==', orderId));
+
+    return onSnapshot(logQuery, (snapshot) => {
+      const messages = snapshot.docs
+        .map(messageDoc => ({ id: messageDoc.id, ...messageDoc.data() }))
+        .sort((a, b) => (b.createdAt?.seconds ?? Number.MAX_SAFE_INTEGER) - (a.createdAt?.seconds ?? Number.MAX_SAFE_INTEGER));
+      onUpdate(messages);
+    }, (error) => {
+      console.error('❌ CustomerNotificationService: Delivery log subscription failed:', error);
+      if (onError) {
+        onError(error);
+      }
+    });
+  }
+}
+
+export default CustomerNotificationService;
@@ -0,0 +1,173 @@
+import CustomerNotificationService, {
+  DEFAULT_NOTIFICATION_SETTINGS,
+  MAX_SEND_ATTEMPTS,
+  NOTIFICATION_CHANNELS,
+  OUTBOX_STATES,
+  buildOutboxMessages,
+  renderTemplate
+} from './customerNotifications';
+import { getActiveSender } from './notifications';
+import { listDocs, readDoc, resetFirestore } from '../testUtils/firestoreFake';
+
+jest.mock('../firebase', () => ({ db: {} }));
+jest.mock('firebase/firestore', () => require('../testUtils/firestoreFake'));
+
+const order = {
+  orderId: 'A1001',
+  userName: 'Asha',
+  userEmail: 'asha@mail.com',
+  userPhone: '+91 98765-43210',
+  financials: { total: 1299 },
+  tracking: { carrier: 'DHL', code: '1234567890' }
+};
+
+const queuedMessage = (overrides = {}) => ({
+  orderId: 'a',
+  orderNumber: 'A1001',
+  channel: NOTIFICATION_CHANNELS.EMAIL,
+  recipient: 'asha@mail.com',
+  subject: 'Shipped',
+  body: 'On its way',
+  state: OUTBOX_STATES.QUEUED,
+  attempts: 0,
+  log: [],
+  ...overrides
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('message templates', () => {
+  test('fill in placeholders and blank out unknown ones', () => {
+    expect(renderTemplate('Hi {{ customerName }}, order #{{orderNumber}} {{missing}}', { customerName: 'Asha', orderNumber: 'A1' }))
+      .toBe('Hi Asha, order #A1 ');
+  });
+
+  test('render the enabled channels with the carrier tracking link', () => {
+    const messages = buildOutboxMessages(order, 'a', 'Shipped', DEFAULT_NOTIFICATION_SETTINGS);
+
+    expect(messages).toHaveLength(1);
+    expect(messages[0]).toMatchObject({
+      channel: NOTIFICATION_CHANNELS.EMAIL,
+      recipient: 'asha@mail.com',
+      subject: 'Your order #A1001 has shipped',
+      state: OUTBOX_STATES.QUEUED
+    });
+    expect(messages[0].body).toContain('Tracking number: 1234567890');
+    expect(messages[0].body).toContain('https://www.dhl.com/in-en/home/tracking.html?tracking-id=1234567890');
+  });
+
+  test('skip channels the order has no address for', () => {
+    const settings = {
+      templates: {
+        Approved: {
+          ...DEFAULT_NOTIFICATION_SETTINGS.templates.Approved,
+          [NOTIFICATION_CHANNELS.SMS]: { enabled: true, subject: '', body: 'Order #{{orderNumber}} confirmed' }
+        }
+      }
+    };
+
+    const messages = buildOutboxMessages({ ...order, userEmail: '' }, 'a', 'Approved', settings);
+
+    expect(messages.map(message => [message.channel, message.state, message.recipient])).toEqual([
+      [NOTIFICATION_CHANNELS.EMAIL, OUTBOX_STATES.SKIPPED, ''],
+      [NOTIFICATION_CHANNELS.SMS, OUTBOX_STATES.QUEUED, '+919876543210']
+    ]);
+    expect(messages[0].lastError).toBe('No email address on the order');
+  });
+
+  test('reject empty messages, missing subjects and unknown variables', () => {
+    const errors = CustomerNotificationService.validateSettings({
+      templates: {
+        Shipped: {
+          [NOTIFICATION_CHANNELS.EMAIL]: { enabled: true, subject: ' ', body: 'Track {{trackingLink}}' },
+          [NOTIFICATION_CHANNELS.SMS]: { enabled: true, subject: '', body: '' }
+        }
+      }
+    });
+
+    expect(errors).toEqual([
+      'Shipped Email needs a subject',
+      'Shipped Email uses unknown variable {{trackingLink}}',
+      'Shipped SMS message is empty'
+    ]);
+  });
+});
+
+describe('queueStatusNotifications', () => {
+  beforeEach(() => {
+    resetFirestore();
+    jest.spyOn(CustomerNotificationService, 'drainOutbox').mockResolvedValue({ success: true, sent: 0, failed: 0 });
+  });
+
+  test('write the messages to the outbox and start sending them', async () => {
+    const result = await CustomerNotificationService.queueStatusNotifications('a', order, 'Delivered');
+
+    expect(result).toEqual({ success: true, queued: 1 });
+    expect(listDocs('notification_outbox')).toEqual([
+      expect.objectContaining({ orderId: 'a', status: 'Delivered', subject: 'Your order #A1001 has been delivered' })
+    ]);
+    expect(CustomerNotificationService.drainOutbox).toHaveBeenCalled();
+  });
+
+  test('use the templates saved in settings', async () => {
+    resetFirestore({
+      'settings/customerNotifications': {
+        templates: { Delivered: { [NOTIFICATION_CHANNELS.EMAIL]: { enabled: false } } }
+      }
+    });
+
+    const result = await CustomerNotificationService.queueStatusNotifications('a', order, 'Delivered');
+
+    expect(result).toEqual({ success: true, queued: 0 });
+    expect(listDocs('notification_outbox')).toEqual([]);
+  });
+
+  test('ignore statuses customers are not told about', async () => {
+    expect(await CustomerNotificationService.queueStatusNotifications('a', order, 'Packed')).toEqual({ success: true, queued: 0 });
+    expect(listDocs('notification_outbox')).toEqual([]);
+  });
+});
+
+describe('drainOutbox', () => {
+  beforeEach(() => {
+    resetFirestore({
+      'notification_outbox/m1': queuedMessage(),
+      'notification_outbox/m2': queuedMessage({ state: OUTBOX_STATES.SENT })
+    });
+  });
+
+  test('send each queued message once, even with two drains running', async () => {
+    const send = jest.spyOn(getActiveSender(), 'send').mockResolvedValue({ messageId: 'provider-1' });
+
+    const results = await Promise.all([CustomerNotificationService.drainOutbox(), CustomerNotificationService.drainOutbox()]);
+
+    expect(results.map(result => result.sent)).toEqual([1, 0]);
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(readDoc('notification_outbox/m1')).toMatchObject({ state: OUTBOX_STATES.SENT, attempts: 1, messageId: 'provider-1' });
+  });
+
+  test('retry failed sends and give up after the last attempt', async () => {
+    jest.spyOn(getActiveSender(), 'send').mockRejectedValue(new Error('Provider down'));
+
+    for (let attempt = 1; attempt < MAX_SEND_ATTEMPTS; attempt++) {
+      await CustomerNotificationService.drainOutbox();
+      expect(readDoc('notification_outbox/m1')).toMatchObject({ state: OUTBOX_STATES.QUEUED, attempts: attempt });
+    }
+    const result = await CustomerNotificationService.drainOutbox();
+
+    expect(result).toEqual({ success: true, sent: 0, failed: 1 });
+    const message = readDoc('notification_outbox/m1');
+    expect(message).toMatchObject({ state: OUTBOX_STATES.FAILED, attempts: MAX_SEND_ATTEMPTS, lastError: 'Provider down' });
+    expect(message.log).toHaveLength(MAX_SEND_ATTEMPTS);
+  });
+
+  test('put a failed message back in the queue on retry', async () => {
+    jest.spyOn(CustomerNotificationService, 'drainOutbox').mockResolvedValue({ success: true, sent: 0, failed: 0 });
+    resetFirestore({ 'notification_outbox/m1': queuedMessage({ state: OUTBOX_STATES.FAILED, attempts: MAX_SEND_ATTEMPTS }) });
+
+    expect(await CustomerNotificationService.retryMessage('m1', 'admin-1')).toEqual({ success: true });
+    expect(readDoc('notification_outbox/m1')).toMatchObject({ state: OUTBOX_STATES.QUEUED, attempts: 0 });
+  });
+});
@@ -0,0 +1,361 @@
+/**
+ * Duplicate Order Detection
+ *
+ * Customers sometimes submit the same checkout twice, leaving two Placed
+ * orders for the same items minutes apart. Placed orders are compared in
+ * pairs and flagged as likely duplicates when they:
+ * - come from the same customer account or the same phone number
+ * - were placed within the configured window of each other
+ * - share at least the configured share of their items
+ *
+ * A flagged pair is kept on both orders (order.possibleDuplicates, keyed by
+ * the other order's id). Admins either dismiss the pair, which stops it being
+ * flagged again, or merge it: one order is kept and the other is cancelled
+ * through AdminOrderService.updateOrderStatus, which returns its stock. The
+ * kept order lists the orders merged into it (mergedDuplicates) and the
+ * cancelled one points at the order it was merged into (mergedInto). Only a
+ * Placed order can be cancelled this way, in favour of a Placed or Approved
+ * one. Flags are cleared by updateOrderStatus once an order leaves Placed.
+ * The window and item overlap are stored in settings/duplicateOrders.
+ *
+ * @author Shop Admin System
+ * @version 2.0.0
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  writeBatch,
+  arrayUnion,
+  deleteField
+} from 'firebase/firestore';
+import { db } from '../firebase';
+import { getSettings, saveSettings } from './settingsService';
+import AdminOrderService, { ORDER_STATUSES } from './orderService';
+import { toDate } from './orderDisplay';
+
+export const DUPLICATE_SETTINGS_ID = 'duplicateOrders';
+
+export const DEFAULT_DUPLICATE_SETTINGS = {
+  enabled: true,
+  windowMinutes: 30,      // Orders placed further apart are never duplicates
+  minItemOverlap: 50,     // Percent of the smaller order's items both orders contain
+  matchPhone: true        // Also pair orders by phone number, not only by account
+};
+
+// The kept order of a merge must still be live
+const MERGE_KEEP_STATUSES = [ORDER_STATUSES.PLACED, ORDER_STATUSES.APPROVED];
+
+// Stay under Firestore's 500 writes per batch (two writes per pair)
+const WRITE_CHUNK_SIZE = 200;
+const MINUTE_MS = 60 * 1000;
+
+// How far back a catch-up check (admin panel opening) looks for new orders
+const CATCH_UP_MS = 24 * 60 * MINUTE_MS;
+
+const itemKey = (item) => item.productId || String(item.name || '').toLowerCase();
+
+const normalizePhone = (phone) => String(phone || '').replace(/\D/g, '').slice(-10);
+
+/**
+ * Share of the smaller order's items that the other order also contains
+ * @param {Object} a - Order data
+ * @param {Object} b - Order data
+ * @returns {number} - Percent from 0 to 100
+ */
+export const getItemOverlap = (a, b) => {
+  const aKeys = new Set((a.items || []).map(itemKey));
+  const bKeys = new Set((b.items || []).map(itemKey));
+  const smaller = Math.min(aKeys.size, bKeys.size);
+  if (smaller === 0) {
+    return 0;
+  }
+  const shared = [...aKeys].filter(key => bKeys.has(key)).length;
+  return Math.round((shared / smaller) * 100);
+};
+
+/**
+ * When an order was placed
+ * Orders created in the admin have a createdAt timestamp; storefront orders
+ * only have their orderDate.
+ * @param {Object} order - Order data
+ * @returns {Date|null}
+ */
+export const getPlacedAt = (order) => toDate(order.createdAt) || toDate(order.orderDate);
+
+/**
+ * Compare two orders for the duplicate rules
+ * @param {Object} a - Order data with id
+ * @param {Object} b - Order data with id
+ * @param {Object} settings - Duplicate settings
+ * @returns {Object|null} - { matchedOn, overlap, minutesApart } when they look like duplicates
+ */
+export const compareForDuplicate = (a, b, settings = DEFAULT_DUPLICATE_SETTINGS) => {
+  const sameAccount = Boolean(a.userId) && a.userId === b.userId;
+  const phone = normalizePhone(a.userPhone);
+  const samePhone = settings.matchPhone && phone.length === 10 && phone === normalizePhone(b.userPhone);
+  if (!sameAccount && !samePhone) {
+    return null;
+  }
+
+  const aDate = getPlacedAt(a);
+  const bDate = getPlacedAt(b);
+  if (!aDate || !bDate) {
+    return null;
+  }
+  const minutesApart = Math.round(Math.abs(aDate - bDate) / MINUTE_MS);
+  if (minutesApart > Number(settings.windowMinutes)) {
+    return null;
+  }
+
+  const overlap = getItemOverlap(a, b);
+  if (overlap < Number(settings.minItemOverlap)) {
+    return null;
+  }
+
+  return { matchedOn: sameAccount ? 'account' : 'phone', overlap, minutesApart };
+};
+
+/**
+ * Duplicate order service class
+ * Flags likely duplicate orders and dismisses or merges flagged pairs
+ */
+class DuplicateOrderService {
+
+  /**
+   * Load duplicate settings merged over the defaults
+   * @returns {Promise<Object>} - Duplicate settings
+   */
+  static async getDuplicateSettings() {
+    const result = await getSettings(DUPLICATE_SETTINGS_ID, DEFAULT_DUPLICATE_SETTINGS);
+    return result.settings;
+  }
+
+  /**
+   * Save duplicate settings after validating them
+   * @param {Object} values - Duplicate settings
+   * @param {string} adminUserId - Admin saving the settings
+   * @returns {Promise<Object>} - { success, error }
+   */
+  static async saveDuplicateSettings(values, adminUserId = 'admin') {
+    const errors = [];
+    if (!(Number(values.windowMinutes) >= 1 && Number(values.windowMinutes) <= 1440)) {
+      errors.push('The window must be between 1 minute and 24 hours');
+    }
+    if (!(Number(values.minItemOverlap) >= 1 && Number(values.minItemOverlap) <= 100)) {
+      errors.push('Item overlap must be between 1% and 100%');
+    }
+    if (errors.length > 0) {
+      return { success: false, error: errors.join('. ') };
+    }
+    return saveSettings(DUPLICATE_SETTINGS_ID, {
+      enabled: Boolean(values.enabled),
+      windowMinutes: Number(values.windowMinutes),
+      minItemOverlap: Number(values.minItemOverlap),
+      matchPhone: Boolean(values.matchPhone)
+    }, adminUserId);
+  }
+
+  /**
+   * Flag new likely duplicates among recent Placed orders
+   * Only Placed orders placed inside a date range are loaded: the window before
+   * the given new orders, or on catch-up the last CATCH_UP_MS. Only pairs
+   * involving one of the orders being checked are flagged; pairs already
+   * flagged or dismissed are left alone.
+   *
+   * @param {Array<Object>} newOrders - Newly placed orders (with id and createdAt or orderDate); omit to catch up on recent orders
+   * @returns {Promise<Object>} - { success, flagged, error }
+   */
+  static async detectDuplicates(newOrders = null) {
+    try {
+      const settings = await this.getDuplicateSettings();
+      if (!settings.enabled) {
+        return { success: true, flagged: 0 };
+      }
+
+      const windowMs = Number(settings.windowMinutes) * MINUTE_MS;
+      const newDates = (newOrders || []).map(getPlacedAt).filter(Boolean);
+      if (newOrders && newDates.length === 0) {
+        return { success: true, flagged: 0 };
+      }
+      const checkFrom = newOrders ? new Date(Math.min(...newDates)) : new Date(Date.now() - CATCH_UP_MS);
+      const checkTo = newOrders ? new Date(Math.max(...newDates)) : new Date();
+
+      // Storefront orders carry an ISO orderDate, admin orders a createdAt timestamp
+      const loadFrom = new Date(checkFrom.getTime() - windowMs);
+      const snapshots = await Promise.all([
+        getDocs(query(
+          collection(db, 'orders'),
+          where('status', '==', ORDER_STATUSES.PLACED),
+          where('orderDate', '>=', loadFrom.toISOString()),
+          where('orderDate', '<=', checkTo.toISOString())
+        )),
+        getDocs(query(
+          collection(db, 'orders'),
+          where('status', '==', ORDER_STATUSES.PLACED),
+          where('createdAt', '>=', loadFrom),
+          where('createdAt', '<=', checkTo)
+        ))
+      ]);
+      const loaded = new Map(snapshots.flatMap(snapshot =>
+        snapshot.docs.map(orderDoc => [orderDoc.id, { id: orderDoc.id, ...orderDoc.data() }])
+      ));
+      const orders = [...loaded.values()]
+        .filter(order => getPlacedAt(order))
+        .sort((a, b) => getPlacedAt(a) - getPlacedAt(b));
+      const checkedIds = new Set(newOrders
+        ? newOrders.map(order => order.id)
+        : orders.filter(order => getPlacedAt(order) >= checkFrom).map(order => order.id));
+
+      const pairs = [];
+      orders.forEach((order, index) => {
+        for (const other of orders.slice(index + 1)) {
+          // Sorted by date, so later orders are only further away
+          if (getPlacedAt(other) - getPlacedAt(order) > windowMs) {
+            break;
+          }
+          if (!checkedIds.has(order.id) && !checkedIds.has(other.id)) {
+            continue;
+          }
+          if (order.possibleDuplicates?.[other.id] || (order.dismissedDuplicates || []).includes(other.id)) {
+            continue;
+          }
+          const match = compareForDuplicate(order, other, settings);
+          if (match) {
+            pairs.push({ order, other, match });
+          }
+        }
+      });
+
+      const detectedAt = new Date().toISOString();
+      for (let start = 0; start < pairs.length; start += WRITE_CHUNK_SIZE) {
+        const batch = writeBatch(db);
+        pairs.slice(start, start + WRITE_CHUNK_SIZE).forEach(({ order, other, match }) => {
+          batch.update(doc(db, 'orders', order.id), {
+            [`possibleDuplicates.${other.id}`]: { orderNumber: other.orderId || '', ...match, detectedAt }
+          });
+          batch.update(doc(db, 'orders', other.id), {
+            [`possibleDuplicates.${order.id}`]: { orderNumber: order.orderId || '', ...match, detectedAt }
+          });
+        });
+        await batch.commit();
+      }
+
+      if (pairs.length > 0) {
+        console.log(`👯 DuplicateOrderService: Flagged ${pairs.length} likely duplicate order pairs`);
+      }
+      return { success: true, flagged: pairs.length };
+
+    } catch (error) {
+      console.error('❌ DuplicateOrderService: Error detecting duplicates:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to detect duplicate orders',
+        flagged: 0
+      };
+    }
+  }
+
+  /**
+   * Mark a flagged pair as not duplicates so it is not flagged again
+   * @param {string} orderId - One order of the pair
+   * @param {string} otherOrderId - The other order
+   * @returns {Promise<Object>} - { success, error }
+   */
+  static async dismissDuplicate(orderId, otherOrderId) {
+    try {
+      const batch = writeBatch(db);
+      batch.update(doc(db, 'orders', orderId), {
+        [`possibleDuplicates.${otherOrderId}`]: deleteField(),
+        dismissedDuplicates: arrayUnion(otherOrderId)
+      });
+      batch.update(doc(db, 'orders', otherOrderId), {
+        [`possibleDuplicates.${orderId}`]: deleteField(),
+        dismissedDuplicates: arrayUnion(orderId)
+      });
+      await batch.commit();
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ DuplicateOrderService: Error dismissing duplicate:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to dismiss duplicate'
+      };
+    }
+  }
+
+  /**
+   * Merge a duplicate pair: keep one order and cancel the other
+   * The cancellation goes through updateOrderStatus so the status history,
+   * stock restoration and customer notification all apply. The kept order
+   * must be Placed or Approved and the cancelled one Placed.
+   *
+   * @param {string} keepOrderId - Order to keep
+   * @param {string} cancelOrderId - Duplicate to cancel
+   * @param {string} adminUserId - Admin merging the orders
+   * @returns {Promise<Object>} - { success, error }
+   */
+  static async mergeDuplicate(keepOrderId, cancelOrderId, adminUserId = 'admin') {
+    console.log(`👯 DuplicateOrderService: Merging order ${cancelOrderId} into ${keepOrderId}`);
+
+    try {
+      const keepRef = doc(db, 'orders', keepOrderId);
+      const cancelRef = doc(db, 'orders', cancelOrderId);
+      const [keepSnapshot, cancelSnapshot] = await Promise.all([getDoc(keepRef), getDoc(cancelRef)]);
+      if (!keepSnapshot.exists() || !cancelSnapshot.exists()) {
+        throw new Error('One of the orders no longer exists');
+      }
+      const keepOrder = keepSnapshot.data();
+      const keepNumber = keepOrder.orderId || keepOrderId;
+      const cancelNumber = cancelSnapshot.data().orderId || cancelOrderId;
+
+      // Never keep an order that is no longer live, or cancel one already in progress
+      if (!MERGE_KEEP_STATUSES.includes(keepOrder.status)) {
+        throw new Error(`Order #${keepNumber} is ${keepOrder.status} and cannot be kept - it must be ${MERGE_KEEP_STATUSES.join(' or ')}`);
+      }
+      if (cancelSnapshot.data().status !== ORDER_STATUSES.PLACED) {
+        throw new Error(`Order #${cancelNumber} is ${cancelSnapshot.data().status}; only Placed orders can be cancelled as duplicates`);
+      }
+
+      // expectedStatus re-checks the duplicate inside the cancellation's transaction
+      const cancelResult = await AdminOrderService.updateOrderStatus(cancelOrderId, ORDER_STATUSES.CANCELLED, {
+        expectedStatus: ORDER_STATUSES.PLACED,
+        reason: `Duplicate of order #${keepNumber}`,
+        note: `Merged into order #${keepNumber} as a duplicate`,
+        metadata: { duplicateOf: keepOrderId }
+      }, adminUserId);
+      if (!cancelResult.success) {
+        throw new Error(cancelResult.error);
+      }
+
+      // Record the relationship on both orders and their user copies
+      const merge = { mergedAt: new Date().toISOString(), mergedBy: adminUserId };
+      const cancelledOrder = (await getDoc(cancelRef)).data();
+      await AdminOrderService.commitOrderUpdate(keepRef, keepOrder, {
+        mergedDuplicates: arrayUnion({ orderId: cancelOrderId, orderNumber: cancelNumber, ...merge }),
+        [`possibleDuplicates.${cancelOrderId}`]: deleteField()
+      });
+      await AdminOrderService.commitOrderUpdate(cancelRef, cancelledOrder, {
+        mergedInto: { orderId: keepOrderId, orderNumber: keepNumber, ...merge },
+        [`possibleDuplicates.${keepOrderId}`]: deleteField()
+      });
+
+      console.log(`✅ DuplicateOrderService: Order ${cancelOrderId} cancelled as a duplicate of ${keepOrderId}`);
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ DuplicateOrderService: Error merging duplicate:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to merge duplicate orders'
+      };
+    }
+  }
+}
+
+export default DuplicateOrderService;
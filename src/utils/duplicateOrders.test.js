@@ -0,0 +1,87 @@
+import DuplicateOrderService, { DEFAULT_DUPLICATE_SETTINGS, compareForDuplicate, getItemOverlap } from './duplicateOrders';
+import { ORDER_STATUSES } from './orderService';
+import { readDoc, resetFirestore } from '../testUtils/firestoreFake';
+
+jest.mock('../firebase', () => ({ db: {} }));
+jest.mock('firebase/firestore', () => require('../testUtils/firestoreFake'));
+
+const order = (id, overrides = {}) => ({
+  id,
+  userId: 'user-1',
+  userPhone: '+91 98765 43210',
+  createdAt: new Date('2025-06-02T10:00:00Z'),
+  items: [{ productId: 'knife' }, { productId: 'board' }],
+  ...overrides
+});
+
+const minutesLater = (minutes) => new Date(new Date('2025-06-02T10:00:00Z').getTime() + minutes * 60000);
+
+describe('getItemOverlap', () => {
+  test('measures against the smaller order', () => {
+    const small = { items: [{ productId: 'knife' }] };
+    const large = { items: [{ productId: 'knife' }, { productId: 'board' }, { productId: 'oil' }] };
+    expect(getItemOverlap(small, large)).toBe(100);
+    expect(getItemOverlap(order('a'), { items: [{ productId: 'knife' }, { productId: 'oil' }, { productId: 'cloth' }] })).toBe(50);
+  });
+
+  test('matches items without a product id by name', () => {
+    expect(getItemOverlap({ items: [{ name: 'Knife' }] }, { items: [{ name: 'knife' }] })).toBe(100);
+  });
+
+  test('is zero when either order has no items', () => {
+    expect(getItemOverlap({ items: [] }, order('a'))).toBe(0);
+    expect(getItemOverlap({}, order('a'))).toBe(0);
+  });
+});
+
+describe('compareForDuplicate', () => {
+  test('pairs orders from the same account within the window', () => {
+    expect(compareForDuplicate(order('a'), order('b', { createdAt: minutesLater(12) })))
+      .toEqual({ matchedOn: 'account', overlap: 100, minutesApart: 12 });
+  });
+
+  test('pairs orders from different accounts by the last ten phone digits', () => {
+    const guest = order('b', { userId: 'user-2', userPhone: '9876543210' });
+    expect(compareForDuplicate(order('a'), guest)).toMatchObject({ matchedOn: 'phone' });
+    expect(compareForDuplicate(order('a'), guest, { ...DEFAULT_DUPLICATE_SETTINGS, matchPhone: false })).toBeNull();
+  });
+
+  test('does not pair orders without a shared account or phone', () => {
+    expect(compareForDuplicate(order('a', { userId: '' }), order('b', { userId: '', userPhone: '' }))).toBeNull();
+    expect(compareForDuplicate(order('a', { userPhone: '12345' }), order('b', { userId: 'user-2', userPhone: '12345' })))
+      .toBeNull();
+  });
+
+  test('does not pair orders placed further apart than the window', () => {
+    expect(compareForDuplicate(order('a'), order('b', { createdAt: minutesLater(30) }))).not.toBeNull();
+    expect(compareForDuplicate(order('a'), order('b', { createdAt: minutesLater(31) }))).toBeNull();
+  });
+
+  test('does not pair orders sharing too few items', () => {
+    const different = order('b', { items: [{ productId: 'oil' }, { productId: 'cloth' }] });
+    expect(compareForDuplicate(order('a'), different)).toBeNull();
+  });
+
+  test('does not pair orders without a creation time', () => {
+    expect(compareForDuplicate(order('a'), order('b', { createdAt: null }))).toBeNull();
+  });
+
+  test('falls back to the storefront orderDate', () => {
+    const storefront = order('b', { createdAt: undefined, orderDate: minutesLater(12).toISOString() });
+    expect(compareForDuplicate(order('a'), storefront)).toMatchObject({ minutesApart: 12 });
+  });
+});
+
+describe('detectDuplicates', () => {
+  test('flags storefront orders that only have an orderDate', async () => {
+    const placedAgo = (minutes) => new Date(Date.now() - minutes * 60000);
+    resetFirestore({
+      'orders/storefront-1': order('storefront-1', { status: ORDER_STATUSES.PLACED, createdAt: undefined, orderDate: placedAgo(20).toISOString() }),
+      'orders/storefront-2': order('storefront-2', { status: ORDER_STATUSES.PLACED, createdAt: undefined, orderDate: placedAgo(10).toISOString() }),
+      'orders/manual': order('manual', { status: ORDER_STATUSES.PLACED, createdAt: placedAgo(5) })
+    });
+
+    expect(await DuplicateOrderService.detectDuplicates()).toEqual({ success: true, flagged: 3 });
+    expect(Object.keys(readDoc('orders/storefront-1').possibleDuplicates).sort()).toEqual(['manual', 'storefront-2']);
+  });
+});
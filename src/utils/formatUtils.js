@@ -81,4 +81,79 @@ export const formatSmartIndian = (value) => {
   } else {
     return formatCurrency(value);
   }
-}; 
\ No newline at end of file
+}; 
+
+const ONES = [
+  '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'
+];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+/**
+ * Convert a number below 100 to words
+ * @param {number} value - Whole number from 0 to 99
+ * @returns {string} - Number in words
+ */
+const twoDigitsToWords = (value) => {
+  if (value < 20) return ONES[value];
+  return `${TENS[Math.floor(value / 10)]}${value % 10 ? ' ' + ONES[value % 10] : ''}`;
+};
+
+/**
+ * Convert a number below 1000 to words
+ * @param {number} value - Whole number from 0 to 999
+ * @returns {string} - Number in words
+ */
+const threeDigitsToWords = (value) => {
+  const hundreds = Math.floor(value / 100);
+  const rest = value % 100;
+  const parts = [];
+  if (hundreds) parts.push(`${ONES[hundreds]} Hundred`);
+  if (rest) parts.push(twoDigitsToWords(rest));
+  return parts.join(' ');
+};
+
+/**
+ * Convert a whole number to words using the Indian system (thousand, lakh, crore)
+ * e.g., 12345678 becomes "One Crore Twenty Three Lakh Forty Five Thousand Six Hundred Seventy Eight"
+ * @param {number} value - Whole number
+ * @returns {string} - Number in words
+ */
+export const numberToIndianWords = (value) => {
+  let remaining = Math.floor(Math.abs(Number(value) || 0));
+  if (remaining === 0) return 'Zero';
+
+  const parts = [];
+  const crores = Math.floor(remaining / 10000000);
+  remaining %= 10000000;
+  const lakhs = Math.floor(remaining / 100000);
+  remaining %= 100000;
+  const thousands = Math.floor(remaining / 1000);
+  remaining %= 1000;
+
+  // Amounts of 100 crore and above repeat the grouping for the crore part
+  if (crores) parts.push(`${numberToIndianWords(crores)} Crore`);
+  if (lakhs) parts.push(`${twoDigitsToWords(lakhs)} Lakh`);
+  if (thousands) parts.push(`${twoDigitsToWords(thousands)} Thousand`);
+  if (remaining) parts.push(threeDigitsToWords(remaining));
+
+  return parts.join(' ');
+};
+
+/**
+ * Convert a rupee amount to words for invoices
+ * e.g., 1234.50 becomes "Rupees One Thousand Two Hundred Thirty Four and Fifty Paise Only"
+ * @param {number} amount - The amount in rupees
+ * @returns {string} - Amount in words
+ */
+export const amountToIndianWords = (amount) => {
+  const totalPaise = Math.round(Math.abs(Number(amount) || 0) * 100);
+  const rupees = Math.floor(totalPaise / 100);
+  const paise = totalPaise % 100;
+
+  let words = `Rupees ${numberToIndianWords(rupees)}`;
+  if (paise) {
+    words += ` and ${twoDigitsToWords(paise)} Paise`;
+  }
+  return `${words} Only`;
+};
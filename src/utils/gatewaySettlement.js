@@ -0,0 +1,549 @@
+/**
+ * Payment Gateway Settlement Reconciliation
+ *
+ * Prepaid orders are paid through the payment gateway, which settles the
+ * captured amounts to the bank less its fees and any refunds. Importing a
+ * settlement or refund report (Razorpay-style columns: entity_id, type,
+ * payment_id, amount, fee, tax, settlement_id, settled_at) matches each
+ * transaction to its order by payment id and records on the order
+ * (order.gatewaySettlement) what was captured, refunded and charged, and
+ * the net amount settled. The same transaction imported again from a later
+ * report only updates its settlement details, so payment and settlement
+ * reports for overlapping periods can both be imported.
+ *
+ * Two cases are flagged for follow-up:
+ * - captured but not ordered: a payment in the report with no order
+ * - ordered but not captured: a prepaid order placed during the period the
+ *   report covers with no captured payment
+ *
+ * Each import is kept in the `gateway_settlements` collection.
+ *
+ * @author Shop Admin System
+ * @version 2.0.0
+ */
+
+import {
+  collection,
+  doc,
+  getDocs,
+  query,
+  where,
+  orderBy,
+  limit,
+  writeBatch,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from '../firebase';
+import { ORDER_STATUSES } from './orderService';
+import { getOrderTotal, toDate } from './orderDisplay';
+import { isCashOnDelivery } from './paymentMethods';
+import { detectCsvColumns, parseAmount } from './csvUtils';
+
+export const GATEWAY_SETTLEMENTS_COLLECTION = 'gateway_settlements';
+
+// Where orders keep the gateway's payment id, in order of preference
+export const PAYMENT_ID_FIELDS = ['payment.paymentId', 'payment.details.paymentId', 'payment.details.reference'];
+
+// Differences up to this many rupees are treated as rounding
+export const AMOUNT_TOLERANCE = 1;
+
+export const GATEWAY_ENTRY_TYPES = {
+  PAYMENT: 'payment',
+  REFUND: 'refund',
+  ADJUSTMENT: 'adjustment'
+};
+
+export const GATEWAY_SETTLEMENT_STATES = {
+  CAPTURED: 'captured',               // Captured, not settled to the bank yet
+  SETTLED: 'settled',
+  AMOUNT_MISMATCH: 'amount_mismatch', // Captured amount differs from the order total
+  NOT_CAPTURED: 'not_captured'        // Prepaid order with no captured payment
+};
+
+export const GATEWAY_SETTLEMENT_STYLES = {
+  [GATEWAY_SETTLEMENT_STATES.CAPTURED]: { label: 'Captured', color: 'bg-blue-100 text-blue-800' },
+  [GATEWAY_SETTLEMENT_STATES.SETTLED]: { label: 'Settled', color: 'bg-green-100 text-green-800' },
+  [GATEWAY_SETTLEMENT_STATES.AMOUNT_MISMATCH]: { label: 'Amount mismatch', color: 'bg-orange-100 text-orange-800' },
+  [GATEWAY_SETTLEMENT_STATES.NOT_CAPTURED]: { label: 'Not captured', color: 'bg-red-100 text-red-800' }
+};
+
+export const SETTLEMENT_ROW_RESULTS = {
+  MATCHED: 'matched',
+  REFUND_MATCHED: 'refund_matched',
+  AMOUNT_MISMATCH: 'amount_mismatch',
+  CAPTURED_NOT_ORDERED: 'captured_not_ordered', // Payment with no order
+  REFUND_UNMATCHED: 'refund_unmatched',         // Refund of a payment with no order
+  DUPLICATE: 'duplicate',                       // Transaction already imported with the same settlement
+  IGNORED: 'ignored',                           // Adjustments and other entries that aren't about an order
+  INVALID: 'invalid'                            // No amount or payment id
+};
+
+export const SETTLEMENT_ROW_STYLES = {
+  [SETTLEMENT_ROW_RESULTS.MATCHED]: { label: 'Matched', color: 'bg-green-100 text-green-800' },
+  [SETTLEMENT_ROW_RESULTS.REFUND_MATCHED]: { label: 'Refund matched', color: 'bg-green-100 text-green-800' },
+  [SETTLEMENT_ROW_RESULTS.AMOUNT_MISMATCH]: { label: 'Amount mismatch', color: 'bg-orange-100 text-orange-800' },
+  [SETTLEMENT_ROW_RESULTS.CAPTURED_NOT_ORDERED]: { label: 'Captured, no order', color: 'bg-red-100 text-red-800' },
+  [SETTLEMENT_ROW_RESULTS.REFUND_UNMATCHED]: { label: 'Refund, no order', color: 'bg-red-100 text-red-800' },
+  [SETTLEMENT_ROW_RESULTS.DUPLICATE]: { label: 'Already imported', color: 'bg-gray-100 text-gray-800' },
+  [SETTLEMENT_ROW_RESULTS.IGNORED]: { label: 'Ignored', color: 'bg-gray-100 text-gray-800' },
+  [SETTLEMENT_ROW_RESULTS.INVALID]: { label: 'Invalid row', color: 'bg-red-100 text-red-800' }
+};
+
+/**
+ * Settlement report columns and the headers gateways commonly use for them
+ */
+export const SETTLEMENT_COLUMNS = [
+  { key: 'entityId', label: 'Transaction ID', aliases: ['entity id', 'id', 'transaction id'] },
+  { key: 'type', label: 'Type', aliases: ['type', 'entity type', 'transaction type'] },
+  { key: 'paymentId', label: 'Payment ID', aliases: ['payment id', 'payment'] },
+  { key: 'amount', label: 'Amount', aliases: ['amount', 'gross amount', 'transaction amount'] },
+  { key: 'fee', label: 'Fee (incl. tax)', aliases: ['fee', 'fees', 'gateway fee', 'mdr'] },
+  { key: 'tax', label: 'Tax on fee', aliases: ['tax', 'gst', 'tax on fee', 'service tax'] },
+  { key: 'settlementId', label: 'Settlement ID', aliases: ['settlement id', 'settlement utr', 'utr'] },
+  { key: 'settledAt', label: 'Settled on', aliases: ['settled at', 'settlement date', 'settled on'] }
+];
+
+// Firestore 'in' accepts up to 30 values
+const LOOKUP_CHUNK_SIZE = 30;
+// Stay under Firestore's 500 writes per batch
+const WRITE_CHUNK_SIZE = 450;
+
+const chunk = (values, size) => {
+  const chunks = [];
+  for (let i = 0; i < values.length; i += size) {
+    chunks.push(values.slice(i, i + size));
+  }
+  return chunks;
+};
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const readField = (object, path) => path.split('.').reduce((value, key) => value?.[key], object);
+
+/**
+ * The gateway payment id an order was paid with
+ * @param {Object} order - Order data
+ * @returns {string}
+ */
+export const getPaymentId = (order) =>
+  PAYMENT_ID_FIELDS.map(field => readField(order, field)).find(Boolean) || '';
+
+/**
+ * Whether an order was paid online through the gateway. Cash on delivery
+ * and orders taken by an admin are paid outside it.
+ * @param {Object} order - Order data
+ * @returns {boolean}
+ */
+export const isGatewayOrder = (order) => !isCashOnDelivery(order) && order.source !== 'admin';
+
+/**
+ * Guess which column holds each settlement field from the header row
+ * @param {Array<string>} headers - Header row of the file
+ * @returns {Object} - Column index by field key, -1 when not found
+ */
+export const detectSettlementColumns = (headers) => detectCsvColumns(headers, SETTLEMENT_COLUMNS);
+
+const getEntryType = (type, entityId) => {
+  const value = `${type} ${entityId}`.toLowerCase();
+  if (/refund|rfnd_/.test(value)) return GATEWAY_ENTRY_TYPES.REFUND;
+  if (/payment|pay_/.test(value)) return GATEWAY_ENTRY_TYPES.PAYMENT;
+  return GATEWAY_ENTRY_TYPES.ADJUSTMENT;
+};
+
+/**
+ * Read settlement rows from a parsed file
+ * Payments are matched on their own id unless a payment id column is given;
+ * refunds are matched on the payment they refund.
+ *
+ * @param {Array<Array<string>>} rows - Parsed CSV rows, header first
+ * @param {Object} columns - Column index by field key (see detectSettlementColumns)
+ * @returns {Array<Object>} - { line, entityId, type, paymentId, amount, fee, tax, settlementId, settledAt }
+ */
+export const readSettlementRows = (rows, columns) => {
+  const cell = (row, key) => (columns[key] >= 0 ? String(row[columns[key]] || '').trim() : '');
+  return rows.slice(1).map((row, index) => {
+    const entityId = cell(row, 'entityId');
+    const type = getEntryType(cell(row, 'type'), entityId);
+    const fee = parseAmount(cell(row, 'fee'));
+    const tax = parseAmount(cell(row, 'tax'));
+    return {
+      line: index + 2,
+      entityId,
+      type,
+      paymentId: cell(row, 'paymentId') || (type === GATEWAY_ENTRY_TYPES.PAYMENT ? entityId : ''),
+      amount: Math.abs(parseAmount(cell(row, 'amount'))),
+      fee: isNaN(fee) ? 0 : Math.abs(fee),
+      tax: isNaN(tax) ? 0 : Math.abs(tax),
+      settlementId: cell(row, 'settlementId'),
+      settledAt: cell(row, 'settledAt')
+    };
+  });
+};
+
+/**
+ * Key an entry is stored under in order.gatewaySettlement.entries
+ * @param {Object} row - Settlement row
+ * @returns {string}
+ */
+export const getEntryKey = (row) =>
+  `${row.type}_${row.entityId || row.paymentId}`.replace(/[^A-Za-z0-9_-]/g, '_');
+
+/**
+ * Totals and state of an order's gateway settlement from all of its entries
+ * Fees are as reported by the gateway, which include tax on the fee.
+ *
+ * @param {Object} entries - Entries by key
+ * @param {number} orderTotal - The order's total
+ * @returns {Object} - { state, capturedAmount, refundedAmount, fee, tax, netAmount, settlementIds }
+ */
+export const summarizeEntries = (entries, orderTotal) => {
+  const totals = { capturedAmount: 0, refundedAmount: 0, fee: 0, tax: 0 };
+  const settlementIds = new Set();
+  let unsettled = false;
+
+  Object.values(entries).forEach(entry => {
+    if (entry.type === GATEWAY_ENTRY_TYPES.PAYMENT) {
+      totals.capturedAmount += entry.amount;
+      unsettled = unsettled || !entry.settlementId;
+    } else if (entry.type === GATEWAY_ENTRY_TYPES.REFUND) {
+      totals.refundedAmount += entry.amount;
+    }
+    totals.fee += entry.fee;
+    totals.tax += entry.tax;
+    if (entry.settlementId) {
+      settlementIds.add(entry.settlementId);
+    }
+  });
+
+  let state = unsettled ? GATEWAY_SETTLEMENT_STATES.CAPTURED : GATEWAY_SETTLEMENT_STATES.SETTLED;
+  if (totals.capturedAmount === 0) {
+    state = GATEWAY_SETTLEMENT_STATES.NOT_CAPTURED;
+  } else if (Math.abs(totals.capturedAmount - orderTotal) > AMOUNT_TOLERANCE) {
+    state = GATEWAY_SETTLEMENT_STATES.AMOUNT_MISMATCH;
+  }
+
+  return {
+    state,
+    capturedAmount: roundCurrency(totals.capturedAmount),
+    refundedAmount: roundCurrency(totals.refundedAmount),
+    fee: roundCurrency(totals.fee),
+    tax: roundCurrency(totals.tax),
+    netAmount: roundCurrency(totals.capturedAmount - totals.refundedAmount - totals.fee),
+    settlementIds: [...settlementIds]
+  };
+};
+
+/**
+ * Payment gateway settlement service class
+ * Matches settlement reports to orders, records fees and net settlement and
+ * flags payments and orders that don't line up
+ */
+class GatewaySettlementService {
+
+  /**
+   * Find the orders paid with a set of payment ids
+   * @param {Array<string>} paymentIds - Gateway payment ids
+   * @returns {Promise<Map>} - Order data with id by payment id
+   */
+  static async lookupOrders(paymentIds) {
+    const ordersRef = collection(db, 'orders');
+    const byPaymentId = new Map();
+
+    for (const ids of chunk([...new Set(paymentIds)], LOOKUP_CHUNK_SIZE)) {
+      const snapshots = await Promise.all(
+        PAYMENT_ID_FIELDS.map(field => getDocs(query(ordersRef, where(field, 'in', ids))))
+      );
+      snapshots.forEach(snapshot => snapshot.docs.forEach(orderDoc => {
+        const order = { id: orderDoc.id, ...orderDoc.data() };
+        byPaymentId.set(getPaymentId(order), order);
+      }));
+    }
+
+    return byPaymentId;
+  }
+
+  /**
+   * Prepaid orders placed between two dates that have no captured payment,
+   * leaving out the ones captured in the report being matched
+   * @param {Date} from - Earliest order date
+   * @param {Date} to - Latest order date
+   * @param {Set<string>} capturedOrderIds - Orders with a payment in the report
+   * @returns {Promise<Array<Object>>} - Order data with id
+   */
+  static async findUncapturedOrders(from, to, capturedOrderIds) {
+    // Gateway orders come from the storefront, which writes orderDate as an ISO string
+    const snapshot = await getDocs(query(
+      collection(db, 'orders'),
+      where('orderDate', '>=', from.toISOString()),
+      where('orderDate', '<=', to.toISOString())
+    ));
+
+    return snapshot.docs
+      .map(orderDoc => ({ id: orderDoc.id, ...orderDoc.data() }))
+      .filter(order =>
+        isGatewayOrder(order) &&
+        ![ORDER_STATUSES.CANCELLED, ORDER_STATUSES.DECLINED].includes(order.status) &&
+        !capturedOrderIds.has(order.id) &&
+        !(order.gatewaySettlement?.capturedAmount > 0)
+      );
+  }
+
+  /**
+   * Match settlement rows to orders without saving anything
+   *
+   * @param {Array<Object>} rows - From readSettlementRows
+   * @returns {Promise<Object>} - { success, rows, settlements, uncapturedOrders, summary, error }
+   */
+  static async matchSettlement(rows) {
+    console.log(`💳 GatewaySettlementService: Matching ${rows.length} settlement rows`);
+
+    try {
+      const byPaymentId = await this.lookupOrders(rows.map(row => row.paymentId).filter(Boolean));
+      const entriesByOrder = new Map();
+      const ordersById = new Map();
+
+      const matched = rows.map(row => {
+        if (row.type === GATEWAY_ENTRY_TYPES.ADJUSTMENT) {
+          return { ...row, result: SETTLEMENT_ROW_RESULTS.IGNORED };
+        }
+        if (isNaN(row.amount) || !row.paymentId) {
+          return { ...row, result: SETTLEMENT_ROW_RESULTS.INVALID };
+        }
+
+        const order = byPaymentId.get(row.paymentId);
+        if (!order) {
+          return {
+            ...row,
+            result: row.type === GATEWAY_ENTRY_TYPES.REFUND
+              ? SETTLEMENT_ROW_RESULTS.REFUND_UNMATCHED
+              : SETTLEMENT_ROW_RESULTS.CAPTURED_NOT_ORDERED
+          };
+        }
+
+        const key = getEntryKey(row);
+        const base = { ...row, key, orderId: order.id, orderNumber: order.orderId || '' };
+        const entries = entriesByOrder.get(order.id) || { ...(order.gatewaySettlement?.entries || {}) };
+        const existing = entries[key];
+        if (existing && (existing.settlementId === row.settlementId || !row.settlementId)) {
+          return { ...base, result: SETTLEMENT_ROW_RESULTS.DUPLICATE };
+        }
+
+        entries[key] = {
+          type: row.type,
+          entityId: row.entityId,
+          paymentId: row.paymentId,
+          amount: row.amount,
+          fee: row.fee,
+          tax: row.tax,
+          settlementId: row.settlementId,
+          settledAt: row.settledAt
+        };
+        entriesByOrder.set(order.id, entries);
+        ordersById.set(order.id, order);
+        return base;
+      });
+
+      // Judge each order on all of its entries once the whole file is read
+      const settlements = new Map();
+      entriesByOrder.forEach((entries, orderId) => {
+        const order = ordersById.get(orderId);
+        settlements.set(orderId, {
+          ...summarizeEntries(entries, getOrderTotal(order)),
+          paymentId: getPaymentId(order),
+          entries
+        });
+      });
+
+      const results = matched.map(row => {
+        if (row.result) {
+          return row;
+        }
+        const settlement = settlements.get(row.orderId);
+        let result = SETTLEMENT_ROW_RESULTS.MATCHED;
+        if (row.type === GATEWAY_ENTRY_TYPES.REFUND) {
+          result = SETTLEMENT_ROW_RESULTS.REFUND_MATCHED;
+        } else if (settlement.state === GATEWAY_SETTLEMENT_STATES.AMOUNT_MISMATCH) {
+          result = SETTLEMENT_ROW_RESULTS.AMOUNT_MISMATCH;
+        }
+        return { ...row, settlementState: settlement.state, netAmount: settlement.netAmount, result };
+      });
+
+      // Orders placed during the period the report covers that it didn't capture
+      const capturedOrderIds = new Set(
+        [...settlements.entries()]
+          .filter(([, settlement]) => settlement.capturedAmount > 0)
+          .map(([orderId]) => orderId)
+      );
+      const orderDates = [...ordersById.values()].map(order => toDate(order.orderDate || order.createdAt)).filter(Boolean);
+      const uncapturedOrders = orderDates.length > 0
+        ? await this.findUncapturedOrders(
+          new Date(Math.min(...orderDates)),
+          new Date(Math.max(...orderDates)),
+          capturedOrderIds
+        )
+        : [];
+
+      return {
+        success: true,
+        rows: results,
+        settlements,
+        uncapturedOrders,
+        summary: this.summarizeRows(results, uncapturedOrders)
+      };
+
+    } catch (error) {
+      console.error('❌ GatewaySettlementService: Error matching settlement:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to match settlement report',
+        rows: []
+      };
+    }
+  }
+
+  /**
+   * Count rows per result and total the amounts in the report
+   * @param {Array<Object>} rows - Matched rows
+   * @param {Array<Object>} uncapturedOrders - Orders with no captured payment
+   * @returns {Object} - { rows, byResult, capturedAmount, refundedAmount, fee, tax, netAmount, uncapturedOrders }
+   */
+  static summarizeRows(rows, uncapturedOrders = []) {
+    const summary = { rows: rows.length, byResult: {}, capturedAmount: 0, refundedAmount: 0, fee: 0, tax: 0 };
+    rows.forEach(row => {
+      summary.byResult[row.result] = (summary.byResult[row.result] || 0) + 1;
+      if ([SETTLEMENT_ROW_RESULTS.INVALID, SETTLEMENT_ROW_RESULTS.IGNORED].includes(row.result)) return;
+
+      if (row.type === GATEWAY_ENTRY_TYPES.REFUND) {
+        summary.refundedAmount += row.amount;
+      } else {
+        summary.capturedAmount += row.amount;
+      }
+      summary.fee += row.fee;
+      summary.tax += row.tax;
+    });
+    ['capturedAmount', 'refundedAmount', 'fee', 'tax'].forEach(field => {
+      summary[field] = roundCurrency(summary[field]);
+    });
+    summary.netAmount = roundCurrency(summary.capturedAmount - summary.refundedAmount - summary.fee);
+    summary.uncapturedOrders = uncapturedOrders.length;
+    return summary;
+  }
+
+  /**
+   * Save a matched settlement report, record the settlements on the orders
+   * and flag prepaid orders that were not captured
+   *
+   * @param {Object} report - { fileName, rows, settlements, uncapturedOrders, summary } from matchSettlement
+   * @param {string} adminUserId - Admin importing the report
+   * @returns {Promise<Object>} - { success, settlementId, updatedOrders, error }
+   */
+  static async importSettlement({ fileName, rows, settlements, uncapturedOrders, summary }, adminUserId = 'admin') {
+    console.log(`💳 GatewaySettlementService: Importing settlement report ${fileName}`);
+
+    try {
+      const reportRef = doc(collection(db, GATEWAY_SETTLEMENTS_COLLECTION));
+      const updatedAt = new Date().toISOString();
+
+      const writes = [
+        (batch) => batch.set(reportRef, {
+          fileName: fileName || '',
+          rows: rows.map(row => ({
+            line: row.line,
+            entityId: row.entityId,
+            type: row.type,
+            paymentId: row.paymentId,
+            orderId: row.orderId || null,
+            amount: isNaN(row.amount) ? null : row.amount,
+            fee: row.fee,
+            settlementId: row.settlementId,
+            result: row.result
+          })),
+          uncapturedOrders: uncapturedOrders.map(order => ({
+            orderId: order.id,
+            orderNumber: order.orderId || '',
+            total: getOrderTotal(order)
+          })),
+          summary,
+          importedBy: adminUserId,
+          importedAt: serverTimestamp()
+        }),
+        ...[...settlements.entries()].map(([orderId, settlement]) => (batch) => {
+          batch.update(doc(db, 'orders', orderId), {
+            gatewaySettlement: { ...settlement, importId: reportRef.id, updatedAt }
+          });
+        }),
+        ...uncapturedOrders.map(order => (batch) => {
+          batch.update(doc(db, 'orders', order.id), {
+            'gatewaySettlement.state': GATEWAY_SETTLEMENT_STATES.NOT_CAPTURED,
+            'gatewaySettlement.importId': reportRef.id,
+            'gatewaySettlement.updatedAt': updatedAt
+          });
+        })
+      ];
+
+      for (const group of chunk(writes, WRITE_CHUNK_SIZE)) {
+        const batch = writeBatch(db);
+        group.forEach(write => write(batch));
+        await batch.commit();
+      }
+
+      console.log(`✅ GatewaySettlementService: Recorded settlements on ${settlements.size} orders, flagged ${uncapturedOrders.length} uncaptured`);
+      return { success: true, settlementId: reportRef.id, updatedOrders: settlements.size };
+
+    } catch (error) {
+      console.error('❌ GatewaySettlementService: Error importing settlement:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to import settlement report'
+      };
+    }
+  }
+
+  /**
+   * Recently imported settlement reports, newest first
+   * @param {number} count - How many to load
+   * @returns {Promise<Object>} - { success, reports, error }
+   */
+  static async getSettlementReports(count = 20) {
+    try {
+      const snapshot = await getDocs(query(
+        collection(db, GATEWAY_SETTLEMENTS_COLLECTION),
+        orderBy('importedAt', 'desc'),
+        limit(count)
+      ));
+      return { success: true, reports: snapshot.docs.map(reportDoc => ({ id: reportDoc.id, ...reportDoc.data() })) };
+
+    } catch (error) {
+      console.error('❌ GatewaySettlementService: Error loading settlement reports:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to load settlement reports',
+        reports: []
+      };
+    }
+  }
+
+  /**
+   * Orders whose gateway settlement needs follow-up
+   * @returns {Promise<Object>} - { success, orders, error }
+   */
+  static async getFlaggedOrders() {
+    try {
+      const snapshot = await getDocs(query(
+        collection(db, 'orders'),
+        where('gatewaySettlement.state', 'in', [GATEWAY_SETTLEMENT_STATES.NOT_CAPTURED, GATEWAY_SETTLEMENT_STATES.AMOUNT_MISMATCH])
+      ));
+      return { success: true, orders: snapshot.docs.map(orderDoc => ({ id: orderDoc.id, ...orderDoc.data() })) };
+
+    } catch (error) {
+      console.error('❌ GatewaySettlementService: Error loading flagged orders:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to load flagged orders',
+        orders: []
+      };
+    }
+  }
+}
+
+export default GatewaySettlementService;
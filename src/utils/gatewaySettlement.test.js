@@ -0,0 +1,162 @@
+import GatewaySettlementService, {
+  GATEWAY_ENTRY_TYPES,
+  GATEWAY_SETTLEMENT_STATES,
+  SETTLEMENT_ROW_RESULTS,
+  detectSettlementColumns,
+  getEntryKey,
+  getPaymentId,
+  isGatewayOrder,
+  readSettlementRows,
+  summarizeEntries
+} from './gatewaySettlement';
+import { parseCsv } from './csvUtils';
+import { ORDER_STATUSES } from './orderService';
+import { resetFirestore } from '../testUtils/firestoreFake';
+
+jest.mock('../firebase', () => ({ db: {} }));
+jest.mock('firebase/firestore', () => require('../testUtils/firestoreFake'));
+
+const settlementReport = [
+  'entity_id,type,payment_id,amount,fee,tax,settlement_id,settled_at',
+  'pay_A1,payment,,1180.00,27.85,4.25,setl_9,2025-06-12',
+  'rfnd_R1,refund,pay_A1,-180,0,0,setl_9,2025-06-12',
+  'pay_B2,,,500,11.80,1.80,,',
+  'adj_1,adjustment,,25,,,setl_9,2025-06-12'
+].join('\n');
+
+const readReport = () => {
+  const rows = parseCsv(settlementReport);
+  return readSettlementRows(rows, detectSettlementColumns(rows[0]));
+};
+
+describe('reading settlement reports', () => {
+  test('detects Razorpay-style columns', () => {
+    expect(detectSettlementColumns(parseCsv(settlementReport)[0])).toEqual({
+      entityId: 0,
+      type: 1,
+      paymentId: 2,
+      amount: 3,
+      fee: 4,
+      tax: 5,
+      settlementId: 6,
+      settledAt: 7
+    });
+  });
+
+  test('matches payments on their own id and refunds on the payment they refund', () => {
+    const [payment, refund, unsettled, adjustment] = readReport();
+
+    expect(payment).toEqual({
+      line: 2,
+      entityId: 'pay_A1',
+      type: GATEWAY_ENTRY_TYPES.PAYMENT,
+      paymentId: 'pay_A1',
+      amount: 1180,
+      fee: 27.85,
+      tax: 4.25,
+      settlementId: 'setl_9',
+      settledAt: '2025-06-12'
+    });
+    expect(refund).toMatchObject({ type: GATEWAY_ENTRY_TYPES.REFUND, paymentId: 'pay_A1', amount: 180 });
+    expect(unsettled).toMatchObject({ type: GATEWAY_ENTRY_TYPES.PAYMENT, paymentId: 'pay_B2', settlementId: '' });
+    expect(adjustment).toMatchObject({ type: GATEWAY_ENTRY_TYPES.ADJUSTMENT, paymentId: '', fee: 0, tax: 0 });
+  });
+
+  test('keys entries by type and transaction id', () => {
+    const [payment, refund] = readReport();
+    expect(getEntryKey(payment)).toBe('payment_pay_A1');
+    expect(getEntryKey(refund)).toBe('refund_rfnd_R1');
+    expect(getEntryKey({ type: 'payment', entityId: '', paymentId: 'pay.x/1' })).toBe('payment_pay_x_1');
+  });
+});
+
+describe('gateway orders', () => {
+  test('finds the payment id wherever the checkout stored it', () => {
+    expect(getPaymentId({ payment: { paymentId: 'pay_A1' } })).toBe('pay_A1');
+    expect(getPaymentId({ payment: { details: { reference: 'pay_B2' } } })).toBe('pay_B2');
+    expect(getPaymentId({ payment: {} })).toBe('');
+  });
+
+  test('leaves out cash on delivery and admin orders', () => {
+    expect(isGatewayOrder({ payment: { method: 'Razorpay' } })).toBe(true);
+    expect(isGatewayOrder({ payment: { method: 'Cash on Delivery' } })).toBe(false);
+    expect(isGatewayOrder({ payment: { method: 'UPI' }, source: 'admin' })).toBe(false);
+  });
+});
+
+describe('summarizeEntries', () => {
+  const [payment, refund, unsettled] = readReport();
+
+  test('nets refunds and fees off the captured amount', () => {
+    expect(summarizeEntries({ payment, refund }, 1180)).toEqual({
+      state: GATEWAY_SETTLEMENT_STATES.SETTLED,
+      capturedAmount: 1180,
+      refundedAmount: 180,
+      fee: 27.85,
+      tax: 4.25,
+      netAmount: 972.15,
+      settlementIds: ['setl_9']
+    });
+  });
+
+  test('reports captured payments that are not settled yet', () => {
+    expect(summarizeEntries({ unsettled }, 500).state).toBe(GATEWAY_SETTLEMENT_STATES.CAPTURED);
+  });
+
+  test('flags captured amounts that differ from the order total', () => {
+    expect(summarizeEntries({ payment }, 1181).state).toBe(GATEWAY_SETTLEMENT_STATES.SETTLED);
+    expect(summarizeEntries({ payment }, 1200).state).toBe(GATEWAY_SETTLEMENT_STATES.AMOUNT_MISMATCH);
+  });
+
+  test('reports orders with only a refund as not captured', () => {
+    expect(summarizeEntries({ refund }, 1180).state).toBe(GATEWAY_SETTLEMENT_STATES.NOT_CAPTURED);
+  });
+});
+
+describe('summarizeRows', () => {
+  test('leaves ignored and invalid rows out of the totals', () => {
+    const [payment, refund, unsettled, adjustment] = readReport();
+    const summary = GatewaySettlementService.summarizeRows([
+      { ...payment, result: SETTLEMENT_ROW_RESULTS.MATCHED },
+      { ...refund, result: SETTLEMENT_ROW_RESULTS.REFUND_MATCHED },
+      { ...unsettled, result: SETTLEMENT_ROW_RESULTS.CAPTURED_NOT_ORDERED },
+      { ...adjustment, result: SETTLEMENT_ROW_RESULTS.IGNORED }
+    ], [{ id: 'order-1' }]);
+
+    expect(summary).toMatchObject({
+      rows: 4,
+      capturedAmount: 1680,
+      refundedAmount: 180,
+      fee: 39.65,
+      tax: 6.05,
+      netAmount: 1460.35,
+      uncapturedOrders: 1
+    });
+    expect(summary.byResult[SETTLEMENT_ROW_RESULTS.IGNORED]).toBe(1);
+  });
+});
+
+describe('findUncapturedOrders', () => {
+  test('finds storefront orders placed in the period without a captured payment', async () => {
+    const gatewayOrder = (day, overrides = {}) => ({
+      status: ORDER_STATUSES.APPROVED,
+      orderDate: `2025-06-${day}T09:00:00.000Z`,
+      payment: { method: 'Razorpay' },
+      ...overrides
+    });
+    resetFirestore({
+      'orders/captured': gatewayOrder('10'),
+      'orders/missing': gatewayOrder('11'),
+      'orders/cancelled': gatewayOrder('11', { status: ORDER_STATUSES.CANCELLED }),
+      'orders/cod': gatewayOrder('11', { payment: { method: 'Cash on Delivery' } }),
+      'orders/later': gatewayOrder('20')
+    });
+
+    const orders = await GatewaySettlementService.findUncapturedOrders(
+      new Date('2025-06-10T00:00:00Z'),
+      new Date('2025-06-12T00:00:00Z'),
+      new Set(['captured'])
+    );
+    expect(orders.map(order => order.id)).toEqual(['missing']);
+  });
+});
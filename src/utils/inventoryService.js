@@ -0,0 +1,305 @@
+/**
+ * Inventory Service
+ *
+ * Every stock change made from the admin goes through this service and is
+ * recorded in the inventory_movements collection with its quantity delta,
+ * reason, order and admin. Stock is moved with Firestore increments inside a
+ * transaction, so concurrent cancellations and restocks cannot overwrite each
+ * other. Each movement also stores the stock before and after it, which lets
+ * the product page reconcile the ledger against the current stock figure and
+ * spot changes made outside the admin (e.g. storefront checkouts).
+ *
+ * @author Shop Admin System
+ * @version 2.0.0
+ */
+
+import {
+  collection,
+  doc,
+  getDocs,
+  query,
+  where,
+  increment,
+  serverTimestamp,
+  runTransaction
+} from 'firebase/firestore';
+import { db } from '../firebase';
+
+export const INVENTORY_MOVEMENTS_COLLECTION = 'inventory_movements';
+
+export const MOVEMENT_TYPES = {
+  SALE: 'sale',
+  CANCEL_RESTORE: 'cancel_restore',
+  ORDER_EDIT: 'order_edit',
+  ADJUSTMENT: 'adjustment',
+  RETURN_RESTOCK: 'return_restock',
+  IMPORT: 'import'
+};
+
+export const MOVEMENT_LABELS = {
+  [MOVEMENT_TYPES.SALE]: 'Sale',
+  [MOVEMENT_TYPES.CANCEL_RESTORE]: 'Cancellation restore',
+  [MOVEMENT_TYPES.ORDER_EDIT]: 'Order edit',
+  [MOVEMENT_TYPES.ADJUSTMENT]: 'Manual adjustment',
+  [MOVEMENT_TYPES.RETURN_RESTOCK]: 'Return restock',
+  [MOVEMENT_TYPES.IMPORT]: 'Import'
+};
+
+const toMillis = (value) => {
+  if (!value) return 0;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  return new Date(value).getTime() || 0;
+};
+
+/**
+ * Read the products an item list moves, inside an open transaction
+ * Quantities for the same product are summed into one change. Products that
+ * no longer exist are left out.
+ *
+ * @param {Transaction} transaction - Firestore transaction
+ * @param {Array<Object>} items - [{ productId, quantity }] with quantity as a signed delta
+ * @returns {Promise<Array<Object>>} - [{ productSnapshot, delta }] for writeStockMovements
+ */
+export const readStockChanges = async (transaction, items) => {
+  const deltas = new Map();
+  items.forEach(item => {
+    if (item.productId && Number(item.quantity)) {
+      deltas.set(item.productId, (deltas.get(item.productId) || 0) + Number(item.quantity));
+    }
+  });
+
+  const productIds = [...deltas.keys()];
+  const productSnapshots = await Promise.all(
+    productIds.map(productId => transaction.get(doc(db, 'products', productId)))
+  );
+
+  return productSnapshots
+    .filter((productSnapshot, index) => {
+      if (!productSnapshot.exists()) {
+        console.warn(`⚠️ InventoryService: Product ${productIds[index]} not found, skipping`);
+        return false;
+      }
+      return true;
+    })
+    .map(productSnapshot => ({ productSnapshot, delta: deltas.get(productSnapshot.id) }));
+};
+
+/**
+ * Queue stock changes and their ledger entries on an open transaction
+ * The caller must already have read the product snapshots in the same
+ * transaction (Firestore requires all reads before the first write).
+ *
+ * @param {Transaction} transaction - Firestore transaction
+ * @param {Array<Object>} changes - [{ productSnapshot, delta }] with delta in units (negative takes stock)
+ * @param {Object} context - { type, reason, orderId, adminUserId }
+ * @returns {Array<Object>} - The movements written
+ */
+export const writeStockMovements = (transaction, changes, context) => {
+  return changes
+    .filter(change => change.delta !== 0 && change.productSnapshot.exists())
+    .map(({ productSnapshot, delta }) => {
+      const product = productSnapshot.data();
+      const stockBefore = Number(product.stock) || 0;
+      const movement = {
+        productId: productSnapshot.id,
+        productName: product.name || '',
+        delta,
+        type: context.type,
+        reason: context.reason || MOVEMENT_LABELS[context.type] || '',
+        orderId: context.orderId || null,
+        stockBefore,
+        stockAfter: stockBefore + delta,
+        createdBy: context.adminUserId || 'admin',
+        createdAt: serverTimestamp()
+      };
+
+      transaction.update(productSnapshot.ref, {
+        stock: increment(delta),
+        updatedAt: serverTimestamp()
+      });
+      transaction.set(doc(collection(db, INVENTORY_MOVEMENTS_COLLECTION)), movement);
+      return movement;
+    });
+};
+
+/**
+ * Check a product's ledger against its current stock
+ * A gap appears wherever a movement's starting stock differs from where the
+ * previous movement left it, meaning stock changed without a ledger entry.
+ *
+ * @param {Array<Object>} movements - Movements for one product
+ * @param {number} currentStock - Stock on the product document
+ * @returns {Object} - { entries: [{ ...movement, gap }], trailingGap, recordedChange, untrackedChange, firstStock, lastRecordedStock, reconciled }
+ */
+export const reconcileMovements = (movements, currentStock) => {
+  const sorted = [...movements].sort((a, b) => toMillis(a.createdAt) - toMillis(b.createdAt));
+  let previous = null;
+  let untrackedChange = 0;
+
+  const entries = sorted.map(movement => {
+    const gap = previous ? movement.stockBefore - previous.stockAfter : 0;
+    untrackedChange += gap;
+    previous = movement;
+    return { ...movement, gap };
+  });
+
+  const lastRecordedStock = previous ? previous.stockAfter : null;
+  const trailingGap = previous ? (Number(currentStock) || 0) - previous.stockAfter : 0;
+  untrackedChange += trailingGap;
+
+  return {
+    entries,
+    trailingGap,
+    recordedChange: sorted.reduce((sum, movement) => sum + movement.delta, 0),
+    untrackedChange,
+    firstStock: sorted.length > 0 ? sorted[0].stockBefore : null,
+    lastRecordedStock,
+    reconciled: untrackedChange === 0
+  };
+};
+
+/**
+ * Inventory service class
+ * Moves stock with a ledger entry for every change
+ */
+class InventoryService {
+
+  /**
+   * Apply stock changes for several products in one transaction
+   *
+   * @param {Array<Object>} items - [{ productId, quantity }] with quantity as a signed delta
+   * @param {Object} context - { type, reason, orderId, adminUserId, allowNegative }
+   * @returns {Promise<Array<Object>>} - The movements written
+   * @throws {Error} - When a change would take stock below zero
+   */
+  static async applyMovements(items, context) {
+    if (!items.some(item => item.productId && Number(item.quantity))) {
+      return [];
+    }
+
+    console.log(`📦 InventoryService: Recording ${context.type} movement(s)`);
+
+    return runTransaction(db, async (transaction) => {
+      const changes = await readStockChanges(transaction, items);
+
+      changes.forEach(({ productSnapshot, delta }) => {
+        const stock = Number(productSnapshot.data().stock) || 0;
+        if (!context.allowNegative && stock + delta < 0) {
+          throw new Error(`Only ${stock} unit(s) of ${productSnapshot.data().name || productSnapshot.id} in stock`);
+        }
+      });
+
+      return writeStockMovements(transaction, changes, context);
+    });
+  }
+
+  /**
+   * Create a product and record its starting stock as an import movement
+   *
+   * @param {DocumentReference} productRef - Reference for the new product
+   * @param {Object} productData - Product fields, including stock
+   * @param {string} adminUserId - Admin adding the product
+   * @returns {Promise<void>}
+   */
+  static async createProductWithStock(productRef, productData, adminUserId = 'admin') {
+    const stock = Number(productData.stock) || 0;
+
+    await runTransaction(db, async (transaction) => {
+      transaction.set(productRef, { ...productData, stock });
+      if (stock !== 0) {
+        transaction.set(doc(collection(db, INVENTORY_MOVEMENTS_COLLECTION)), {
+          productId: productRef.id,
+          productName: productData.name || '',
+          delta: stock,
+          type: MOVEMENT_TYPES.IMPORT,
+          reason: 'Opening stock',
+          orderId: null,
+          stockBefore: 0,
+          stockAfter: stock,
+          createdBy: adminUserId,
+          createdAt: serverTimestamp()
+        });
+      }
+    });
+  }
+
+  /**
+   * Add or take stock from a product, recording the change
+   * The change is applied as a delta, so sales made since the admin loaded
+   * the product are kept.
+   *
+   * @param {string} productId - Product ID
+   * @param {number} delta - Units to add (negative to take away)
+   * @param {string} reason - Why the stock was adjusted
+   * @param {string} adminUserId - Admin making the adjustment
+   * @returns {Promise<Object>} - { success, movement, error }
+   */
+  static async adjustStock(productId, delta, reason, adminUserId = 'admin') {
+    console.log(`📦 InventoryService: Adjusting stock of ${productId} by ${delta}`);
+
+    try {
+      if (!Number.isInteger(delta)) {
+        throw new Error('Stock must change by a whole number of units');
+      }
+      if (!reason?.trim()) {
+        throw new Error('A reason is required for stock adjustments');
+      }
+
+      const movement = await runTransaction(db, async (transaction) => {
+        const productSnapshot = await transaction.get(doc(db, 'products', productId));
+        if (!productSnapshot.exists()) {
+          throw new Error(`Product ${productId} not found`);
+        }
+        const stock = Number(productSnapshot.data().stock) || 0;
+        if (stock + delta < 0) {
+          throw new Error(`Only ${stock} unit(s) in stock`);
+        }
+        const [written] = writeStockMovements(transaction, [{ productSnapshot, delta }], {
+          type: MOVEMENT_TYPES.ADJUSTMENT,
+          reason: reason.trim(),
+          adminUserId
+        });
+        return written || null;
+      });
+
+      return { success: true, movement };
+
+    } catch (error) {
+      console.error('❌ InventoryService: Error adjusting stock:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to adjust stock'
+      };
+    }
+  }
+
+  /**
+   * Load the ledger for one product, oldest first
+   * @param {string} productId - Product ID
+   * @returns {Promise<Object>} - { success, movements, error }
+   */
+  static async getProductMovements(productId) {
+    try {
+      const movementsQuery = query(
+        collection(db, INVENTORY_MOVEMENTS_COLLECTION),
+        where('productId', '==', productId)
+      );
+      const snapshot = await getDocs(movementsQuery);
+      const movements = snapshot.docs
+        .map(movementDoc => ({ id: movementDoc.id, ...movementDoc.data() }))
+        .sort((a, b) => toMillis(a.createdAt) - toMillis(b.createdAt));
+
+      return { success: true, movements };
+
+    } catch (error) {
+      console.error('❌ InventoryService: Error loading movements:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to load stock movements',
+        movements: []
+      };
+    }
+  }
+}
+
+export default InventoryService;
@@ -0,0 +1,125 @@
+import InventoryService, { MOVEMENT_TYPES, reconcileMovements } from './inventoryService';
+import { doc } from 'firebase/firestore';
+import { db } from '../firebase';
+import { listDocs, readDoc, resetFirestore, writeDoc } from '../testUtils/firestoreFake';
+
+jest.mock('../firebase', () => ({ db: {} }));
+jest.mock('firebase/firestore', () => require('../testUtils/firestoreFake'));
+
+describe('adjustStock', () => {
+  beforeEach(() => {
+    resetFirestore({ 'products/knife': { name: 'Gyuto', stock: 10 } });
+  });
+
+  test('keeps sales made since the product was loaded', async () => {
+    // The form loaded 10 units; a storefront sale takes 2 before a recount adds 5
+    writeDoc('products/knife', { stock: 8 });
+    const result = await InventoryService.adjustStock('knife', 5, 'Recount', 'admin-1');
+
+    expect(result.success).toBe(true);
+    expect(readDoc('products/knife').stock).toBe(13);
+    expect(listDocs('inventory_movements')).toEqual([expect.objectContaining({
+      productId: 'knife',
+      delta: 5,
+      type: MOVEMENT_TYPES.ADJUSTMENT,
+      reason: 'Recount',
+      stockBefore: 8,
+      stockAfter: 13,
+      createdBy: 'admin-1'
+    })]);
+  });
+
+  test('does not take stock below zero', async () => {
+    const result = await InventoryService.adjustStock('knife', -11, 'Damaged');
+    expect(result).toEqual({ success: false, error: 'Only 10 unit(s) in stock' });
+    expect(readDoc('products/knife').stock).toBe(10);
+  });
+
+  test('requires a reason and a whole number of units', async () => {
+    expect((await InventoryService.adjustStock('knife', 2, ' ')).error).toMatch(/reason is required/);
+    expect((await InventoryService.adjustStock('knife', 1.5, 'Recount')).error).toMatch(/whole number/);
+    expect(listDocs('inventory_movements')).toEqual([]);
+  });
+});
+
+describe('applyMovements', () => {
+  beforeEach(() => {
+    resetFirestore({
+      'products/knife': { name: 'Gyuto', stock: 3 },
+      'products/board': { name: 'Board', stock: 1 }
+    });
+  });
+
+  test('records one movement per product', async () => {
+    const movements = await InventoryService.applyMovements([
+      { productId: 'knife', quantity: -1 },
+      { productId: 'knife', quantity: -1 },
+      { productId: 'gone', quantity: -1 }
+    ], { type: MOVEMENT_TYPES.SALE, orderId: 'a' });
+
+    expect(movements).toEqual([expect.objectContaining({ productId: 'knife', delta: -2, stockBefore: 3, stockAfter: 1, reason: 'Sale', orderId: 'a' })]);
+    expect(readDoc('products/knife').stock).toBe(1);
+    expect(listDocs('inventory_movements')).toHaveLength(1);
+  });
+
+  test('moves no stock when any product would go below zero', async () => {
+    await expect(InventoryService.applyMovements([
+      { productId: 'knife', quantity: -1 },
+      { productId: 'board', quantity: -2 }
+    ], { type: MOVEMENT_TYPES.SALE })).rejects.toThrow('Only 1 unit(s) of Board in stock');
+
+    expect(readDoc('products/knife').stock).toBe(3);
+    expect(listDocs('inventory_movements')).toEqual([]);
+  });
+
+  test('never sells the last unit twice', async () => {
+    const results = await Promise.allSettled([
+      InventoryService.applyMovements([{ productId: 'board', quantity: -1 }], { type: MOVEMENT_TYPES.SALE, orderId: 'a' }),
+      InventoryService.applyMovements([{ productId: 'board', quantity: -1 }], { type: MOVEMENT_TYPES.SALE, orderId: 'b' })
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(readDoc('products/board').stock).toBe(0);
+  });
+});
+
+describe('createProductWithStock', () => {
+  test('records the opening stock in the ledger', async () => {
+    resetFirestore();
+
+    await InventoryService.createProductWithStock(doc(db, 'products', 'knife'), { name: 'Gyuto', stock: '4' }, 'admin-1');
+
+    expect(readDoc('products/knife')).toEqual({ name: 'Gyuto', stock: 4 });
+    expect(listDocs('inventory_movements')).toEqual([expect.objectContaining({
+      productId: 'knife',
+      delta: 4,
+      type: MOVEMENT_TYPES.IMPORT,
+      stockBefore: 0,
+      stockAfter: 4
+    })]);
+  });
+});
+
+describe('reconcileMovements', () => {
+  const movement = (createdAt, stockBefore, delta) => ({ createdAt, stockBefore, delta, stockAfter: stockBefore + delta });
+
+  test('reconciles a ledger that explains the current stock', () => {
+    const result = reconcileMovements([
+      movement('2025-06-02T10:00:00Z', 8, -2),
+      movement('2025-06-01T10:00:00Z', 0, 8)
+    ], 6);
+
+    expect(result).toMatchObject({ reconciled: true, recordedChange: 6, untrackedChange: 0, firstStock: 0, lastRecordedStock: 6 });
+    expect(result.entries.map(entry => entry.gap)).toEqual([0, 0]);
+  });
+
+  test('reports stock changed without a ledger entry', () => {
+    const result = reconcileMovements([
+      movement('2025-06-01T10:00:00Z', 0, 8),
+      movement('2025-06-02T10:00:00Z', 10, -2)
+    ], 5);
+
+    expect(result.entries.map(entry => entry.gap)).toEqual([0, 2]);
+    expect(result).toMatchObject({ reconciled: false, trailingGap: -3, untrackedChange: -1 });
+  });
+});
@@ -0,0 +1,485 @@
+/**
+ * Invoice Service
+ *
+ * Generates GST tax invoices for orders. Key rules:
+ * - Invoice numbers run in a separate series per financial year (April–March),
+ *   e.g. INV/25-26/00001, and are kept within the 16 character GST limit
+ * - The per-year counter lives in invoice_counters/{financialYear} and is only
+ *   ever incremented inside the same transaction that stores the invoice on the
+ *   order, so numbers are never skipped or reused
+ * - An order keeps its first invoice; generating again returns the stored one
+ * - Tax is split into CGST + SGST for intra-state supply and IGST for
+ *   inter-state supply, based on the shipping state (place of supply)
+ *
+ * The complete invoice is stored as a snapshot on the order so reprints always
+ * match the original, even if products or settings change later.
+ *
+ * @author Shop Admin System
+ * @version 2.0.0
+ */
+
+import { doc, getDoc, runTransaction, serverTimestamp } from 'firebase/firestore';
+import { db } from '../firebase';
+import AdminOrderService, { ORDER_STATUSES } from './orderService';
+import { getSettings, saveSettings } from './settingsService';
+import { amountToIndianWords } from './formatUtils';
+
+export const INVOICE_SETTINGS_ID = 'invoiceSettings';
+
+/**
+ * Default invoice settings, overridden by settings/invoiceSettings
+ */
+export const DEFAULT_INVOICE_SETTINGS = {
+  sellerName: '',
+  sellerAddress: '',
+  sellerState: '',
+  sellerGstin: '',
+  sellerPan: '',
+  sellerEmail: '',
+  sellerPhone: '',
+  invoicePrefix: 'INV',
+  defaultHsnCode: '',
+  defaultGstRate: 18,
+  pricesIncludeTax: true,
+  shippingSacCode: '996812',
+  shippingGstRate: 18,
+  termsAndConditions: 'Goods once sold will only be taken back as per our returns policy.',
+  authorisedSignatory: ''
+};
+
+/**
+ * GST rate slabs offered in the settings and product forms
+ */
+export const GST_RATES = [0, 0.25, 3, 5, 12, 18, 28];
+
+/**
+ * GST state codes used for place of supply
+ */
+export const GST_STATE_CODES = {
+  'Jammu and Kashmir': '01',
+  'Himachal Pradesh': '02',
+  'Punjab': '03',
+  'Chandigarh': '04',
+  'Uttarakhand': '05',
+  'Haryana': '06',
+  'Delhi': '07',
+  'Rajasthan': '08',
+  'Uttar Pradesh': '09',
+  'Bihar': '10',
+  'Sikkim': '11',
+  'Arunachal Pradesh': '12',
+  'Nagaland': '13',
+  'Manipur': '14',
+  'Mizoram': '15',
+  'Tripura': '16',
+  'Meghalaya': '17',
+  'Assam': '18',
+  'West Bengal': '19',
+  'Jharkhand': '20',
+  'Odisha': '21',
+  'Chhattisgarh': '22',
+  'Madhya Pradesh': '23',
+  'Gujarat': '24',
+  'Dadra and Nagar Haveli and Daman and Diu': '26',
+  'Maharashtra': '27',
+  'Karnataka': '29',
+  'Goa': '30',
+  'Lakshadweep': '31',
+  'Kerala': '32',
+  'Tamil Nadu': '33',
+  'Puducherry': '34',
+  'Andaman and Nicobar Islands': '35',
+  'Telangana': '36',
+  'Andhra Pradesh': '37',
+  'Ladakh': '38'
+};
+
+// Common alternative spellings found in customer addresses
+const STATE_ALIASES = {
+  'newdelhi': 'Delhi',
+  'nctofdelhi': 'Delhi',
+  'orissa': 'Odisha',
+  'pondicherry': 'Puducherry',
+  'uttaranchal': 'Uttarakhand',
+  'jammuandkashmir': 'Jammu and Kashmir',
+  'andamanandnicobar': 'Andaman and Nicobar Islands',
+  'damananddiu': 'Dadra and Nagar Haveli and Daman and Diu',
+  'dadraandnagarhaveli': 'Dadra and Nagar Haveli and Daman and Diu'
+};
+
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+const normalizeStateKey = (state) => String(state || '').toLowerCase().replace(/&/g, 'and').replace(/[^a-z]/g, '');
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Resolve a state name to its canonical name and GST state code
+ * @param {string} state - State as entered in an address
+ * @returns {Object|null} - { name, code } or null when not recognised
+ */
+export const getGstState = (state) => {
+  const key = normalizeStateKey(state);
+  if (!key) return null;
+
+  const name = STATE_ALIASES[key] ||
+    Object.keys(GST_STATE_CODES).find(stateName => normalizeStateKey(stateName) === key);
+
+  return name ? { name, code: GST_STATE_CODES[name] } : null;
+};
+
+/**
+ * Check whether a GSTIN has a valid format
+ * @param {string} gstin - GST identification number
+ * @returns {boolean}
+ */
+export const isValidGstin = (gstin) => GSTIN_PATTERN.test(String(gstin || '').toUpperCase());
+
+/**
+ * Get the financial year (April–March) a date falls in
+ * @param {Date} date - Date to check (defaults to now)
+ * @returns {Object} - { id: '2025-26', short: '25-26', startYear: 2025 }
+ */
+export const getFinancialYear = (date = new Date()) => {
+  const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+  const endSuffix = String(startYear + 1).slice(2);
+  return {
+    id: `${startYear}-${endSuffix}`,
+    short: `${String(startYear).slice(2)}-${endSuffix}`,
+    startYear
+  };
+};
+
+/**
+ * Format an invoice number from its parts
+ * @param {string} prefix - Invoice prefix from settings
+ * @param {Object} financialYear - Result of getFinancialYear
+ * @param {number} sequence - Sequence within the financial year
+ * @returns {string} - e.g. INV/25-26/00001
+ */
+export const formatInvoiceNumber = (prefix, financialYear, sequence) => {
+  // 4 + '/YY-YY/' (7) + 5 digits = 16, the GST limit
+  const cleanPrefix = String(prefix || 'INV').toUpperCase().replace(/[^A-Z0-9-]/g, '').slice(0, 4) || 'INV';
+  return `${cleanPrefix}/${financialYear.short}/${String(sequence).padStart(5, '0')}`;
+};
+
+/**
+ * Split a GST-inclusive or exclusive amount into taxable value and tax
+ * @param {number} amount - Line amount after discounts
+ * @param {number} rate - GST rate in percent
+ * @param {boolean} inclusive - Whether the amount already includes GST
+ * @returns {Object} - { taxableValue, tax }
+ */
+const splitTax = (amount, rate, inclusive) => {
+  if (inclusive) {
+    const taxableValue = round2(amount / (1 + rate / 100));
+    return { taxableValue, tax: round2(amount - taxableValue) };
+  }
+  const taxableValue = round2(amount);
+  return { taxableValue, tax: round2(taxableValue * rate / 100) };
+};
+
+/**
+ * Build the invoice lines and totals for an order
+ * Order-level discounts are spread over item lines in proportion to their value,
+ * since a discount shown on the invoice reduces the taxable value.
+ *
+ * @param {Object} order - Order data
+ * @param {Object} settings - Invoice settings
+ * @param {Object} productsById - Product documents keyed by ID (for HSN and GST rate)
+ * @returns {Object} - { lines, totals, supplyType, placeOfSupply }
+ */
+export const calculateInvoice = (order, settings, productsById = {}) => {
+  const sellerState = getGstState(settings.sellerState) ||
+    { name: settings.sellerState, code: String(settings.sellerGstin || '').slice(0, 2) };
+  const placeOfSupply = getGstState(order.shipping?.address?.state);
+  if (!placeOfSupply) {
+    throw new Error(`Cannot determine place of supply from shipping state "${order.shipping?.address?.state || ''}"`);
+  }
+
+  const supplyType = placeOfSupply.code === sellerState.code ? 'intra' : 'inter';
+  const inclusive = settings.pricesIncludeTax !== false;
+  const items = order.items || [];
+  const grossValues = items.map(item => round2((Number(item.price) || 0) * (Number(item.quantity) || 0)));
+  const grossTotal = grossValues.reduce((sum, value) => sum + value, 0);
+  const discount = Math.min(Number(order.financials?.discount || order.discount || 0), grossTotal);
+
+  let discountAllocated = 0;
+  const lines = items.map((item, index) => {
+    const product = productsById[item.productId] || {};
+    const rate = Number(item.gstRate ?? product.gstRate ?? settings.defaultGstRate) || 0;
+
+    // The last line takes the rounding remainder so the discount adds up exactly
+    const discountShare = index === items.length - 1
+      ? round2(discount - discountAllocated)
+      : round2(grossTotal ? discount * grossValues[index] / grossTotal : 0);
+    discountAllocated = round2(discountAllocated + discountShare);
+
+    const { taxableValue, tax } = splitTax(grossValues[index] - discountShare, rate, inclusive);
+    return {
+      description: item.name || 'Item',
+      productId: item.productId || '',
+      hsnCode: item.hsnCode || product.hsnCode || settings.defaultHsnCode || '',
+      quantity: Number(item.quantity) || 0,
+      unitPrice: round2(item.price),
+      discount: discountShare,
+      taxableValue,
+      gstRate: rate,
+      tax
+    };
+  });
+
+  const shippingCost = Number(order.financials?.shipping || order.shipping?.cost || 0);
+  if (shippingCost > 0) {
+    const rate = Number(settings.shippingGstRate) || 0;
+    const { taxableValue, tax } = splitTax(shippingCost, rate, inclusive);
+    lines.push({
+      description: 'Shipping & Handling',
+      productId: '',
+      hsnCode: settings.shippingSacCode || '',
+      quantity: 1,
+      unitPrice: round2(shippingCost),
+      discount: 0,
+      taxableValue,
+      gstRate: rate,
+      tax
+    });
+  }
+
+  // Split each line's tax by supply type
+  lines.forEach(line => {
+    if (supplyType === 'intra') {
+      line.cgst = round2(line.tax / 2);
+      line.sgst = round2(line.tax - line.cgst);
+      line.igst = 0;
+    } else {
+      line.cgst = 0;
+      line.sgst = 0;
+      line.igst = line.tax;
+    }
+    line.total = round2(line.taxableValue + line.tax);
+  });
+
+  const sum = (field) => round2(lines.reduce((total, line) => total + line[field], 0));
+  const invoiceTotal = sum('total');
+  const grandTotal = Math.round(invoiceTotal);
+
+  return {
+    lines,
+    supplyType,
+    placeOfSupply,
+    sellerState,
+    totals: {
+      taxableValue: sum('taxableValue'),
+      cgst: sum('cgst'),
+      sgst: sum('sgst'),
+      igst: sum('igst'),
+      totalTax: sum('tax'),
+      discount: round2(discount),
+      roundOff: round2(grandTotal - invoiceTotal),
+      grandTotal
+    }
+  };
+};
+
+/**
+ * Invoice Service Class
+ * Issues and loads tax invoices for orders
+ */
+class InvoiceService {
+
+  /**
+   * Load invoice settings merged over defaults
+   * @returns {Promise<Object>} - Invoice settings
+   */
+  static async getInvoiceSettings() {
+    const result = await getSettings(INVOICE_SETTINGS_ID, DEFAULT_INVOICE_SETTINGS);
+    return result.settings;
+  }
+
+  /**
+   * Save invoice settings after validating the seller details
+   * @param {Object} values - Invoice settings
+   * @param {string} adminUserId - Admin saving the settings
+   * @returns {Promise<Object>} - { success, error }
+   */
+  static async saveInvoiceSettings(values, adminUserId = 'admin') {
+    const errors = this.validateSettings(values);
+    if (errors.length > 0) {
+      return { success: false, error: errors.join('. ') };
+    }
+    return saveSettings(INVOICE_SETTINGS_ID, {
+      ...values,
+      sellerGstin: String(values.sellerGstin || '').toUpperCase().trim(),
+      defaultGstRate: Number(values.defaultGstRate) || 0,
+      shippingGstRate: Number(values.shippingGstRate) || 0
+    }, adminUserId);
+  }
+
+  /**
+   * Validate the seller details required on every tax invoice
+   * @param {Object} settings - Invoice settings
+   * @returns {Array<string>} - Validation errors (empty when valid)
+   */
+  static validateSettings(settings) {
+    const errors = [];
+    if (!settings.sellerName?.trim()) {
+      errors.push('Store legal name is required');
+    }
+    if (!settings.sellerAddress?.trim()) {
+      errors.push('Store address is required');
+    }
+    if (!isValidGstin(settings.sellerGstin)) {
+      errors.push('A valid store GSTIN is required');
+    }
+    const state = getGstState(settings.sellerState);
+    if (!state) {
+      errors.push('Store state is not a recognised Indian state');
+    } else if (isValidGstin(settings.sellerGstin) && String(settings.sellerGstin).slice(0, 2) !== state.code) {
+      errors.push(`GSTIN state code ${String(settings.sellerGstin).slice(0, 2)} does not match ${state.name} (${state.code})`);
+    }
+    return errors;
+  }
+
+  /**
+   * Generate the tax invoice for an order, or return the one already issued
+   *
+   * @param {string} orderId - Order ID
+   * @param {string} adminUserId - Admin generating the invoice
+   * @returns {Promise<Object>} - { success, invoice, alreadyIssued, error }
+   */
+  static async generateInvoice(orderId, adminUserId = 'admin') {
+    try {
+      console.log(`🔍 InvoiceService: Generating invoice for order ${orderId}`);
+
+      const settings = await this.getInvoiceSettings();
+      const settingsErrors = this.validateSettings(settings);
+      if (settingsErrors.length > 0) {
+        throw new Error(`Invoice settings incomplete: ${settingsErrors.join('. ')}`);
+      }
+
+      const orderRef = doc(db, 'orders', orderId);
+      const orderDoc = await getDoc(orderRef);
+      if (!orderDoc.exists()) {
+        throw new Error(`Order ${orderId} not found`);
+      }
+
+      const existingOrder = orderDoc.data();
+      if (existingOrder.invoice?.number) {
+        return { success: true, invoice: existingOrder.invoice, alreadyIssued: true };
+      }
+      if ([ORDER_STATUSES.DECLINED, ORDER_STATUSES.CANCELLED].includes(existingOrder.status)) {
+        throw new Error(`Cannot invoice an order with status ${existingOrder.status}`);
+      }
+
+      const userOrderRefs = await AdminOrderService.getUserOrderRefs(existingOrder.userId, orderId);
+      const productIds = [...new Set((existingOrder.items || []).map(item => item.productId).filter(Boolean))];
+      const issuedAt = new Date();
+      const financialYear = getFinancialYear(issuedAt);
+      const counterRef = doc(db, 'invoice_counters', financialYear.id);
+
+      const result = await runTransaction(db, async (transaction) => {
+        // All reads must happen before any writes in a transaction
+        const freshOrderDoc = await transaction.get(orderRef);
+        const counterDoc = await transaction.get(counterRef);
+        const productDocs = await Promise.all(productIds.map(id => transaction.get(doc(db, 'products', id))));
+
+        const order = freshOrderDoc.data();
+        if (order.invoice?.number) {
+          // Another admin issued it in the meantime
+          return { invoice: order.invoice, alreadyIssued: true };
+        }
+
+        const productsById = {};
+        productDocs.forEach(productDoc => {
+          if (productDoc.exists()) {
+            productsById[productDoc.id] = productDoc.data();
+          }
+        });
+
+        const calculation = calculateInvoice(order, settings, productsById);
+        const sequence = (counterDoc.exists() ? counterDoc.data().lastNumber || 0 : 0) + 1;
+        const address = order.shipping?.address || {};
+
+        const invoice = {
+          number: formatInvoiceNumber(settings.invoicePrefix, financialYear, sequence),
+          sequence,
+          financialYear: financialYear.id,
+          issuedAt: issuedAt.toISOString(),
+          issuedBy: adminUserId,
+          orderId: order.orderId || orderId,
+          orderDate: order.orderDate || order.createdAt || null,
+          seller: {
+            name: settings.sellerName,
+            address: settings.sellerAddress,
+            state: calculation.sellerState.name,
+            stateCode: calculation.sellerState.code,
+            gstin: settings.sellerGstin,
+            pan: settings.sellerPan,
+            email: settings.sellerEmail,
+            phone: settings.sellerPhone
+          },
+          buyer: {
+            name: order.userName || '',
+            email: order.userEmail || '',
+            phone: order.userPhone || '',
+            gstin: order.billing?.gstin || order.gstin || '',
+            address
+          },
+          placeOfSupply: calculation.placeOfSupply,
+          supplyType: calculation.supplyType,
+          pricesIncludeTax: settings.pricesIncludeTax !== false,
+          lines: calculation.lines,
+          totals: calculation.totals,
+          amountInWords: amountToIndianWords(calculation.totals.grandTotal),
+          paymentMethod: order.payment?.method || '',
+          termsAndConditions: settings.termsAndConditions,
+          authorisedSignatory: settings.authorisedSignatory
+        };
+
+        const historyEntry = {
+          status: order.status,
+          timestamp: invoice.issuedAt,
+          note: `Tax invoice ${invoice.number} generated`,
+          updatedBy: adminUserId,
+          previousStatus: order.status,
+          metadata: {
+            invoiceNumber: invoice.number
+          }
+        };
+
+        const updateData = {
+          invoice,
+          updatedAt: serverTimestamp(),
+          lastUpdatedBy: adminUserId,
+          statusHistory: [...(order.statusHistory || []), historyEntry]
+        };
+
+        transaction.set(counterRef, {
+          financialYear: financialYear.id,
+          lastNumber: sequence,
+          lastInvoiceNumber: invoice.number,
+          lastOrderId: orderId,
+          updatedAt: serverTimestamp()
+        }, { merge: true });
+        transaction.update(orderRef, updateData);
+        userOrderRefs.forEach(userOrderRef => {
+          transaction.update(userOrderRef, { invoice, updatedAt: updateData.updatedAt });
+        });
+
+        return { invoice, alreadyIssued: false };
+      });
+
+      console.log(`✅ InvoiceService: Invoice ${result.invoice.number} ready for order ${orderId}`);
+      return { success: true, ...result };
+    } catch (error) {
+      console.error('❌ InvoiceService: Error generating invoice:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to generate invoice'
+      };
+    }
+  }
+}
+
+export default InvoiceService;
@@ -0,0 +1,126 @@
+import {
+  calculateInvoice,
+  formatInvoiceNumber,
+  getFinancialYear,
+  getGstState,
+  isValidGstin
+} from './invoiceService';
+
+jest.mock('../firebase', () => ({ db: {} }));
+
+const settings = {
+  sellerState: 'Karnataka',
+  defaultGstRate: 18,
+  pricesIncludeTax: true,
+  shippingSacCode: '996812',
+  shippingGstRate: 18
+};
+
+const shipTo = (state) => ({ shipping: { address: { state } } });
+
+describe('getFinancialYear', () => {
+  test('runs April to March', () => {
+    expect(getFinancialYear(new Date(2025, 2, 31))).toEqual({ id: '2024-25', short: '24-25', startYear: 2024 });
+    expect(getFinancialYear(new Date(2025, 3, 1))).toEqual({ id: '2025-26', short: '25-26', startYear: 2025 });
+    expect(getFinancialYear(new Date(2025, 11, 31)).id).toBe('2025-26');
+  });
+});
+
+describe('formatInvoiceNumber', () => {
+  test('pads the sequence within the financial year', () => {
+    expect(formatInvoiceNumber('inv', getFinancialYear(new Date(2025, 5, 1)), 7)).toBe('INV/25-26/00007');
+  });
+
+  test('keeps the prefix short enough for the 16 character GST limit', () => {
+    const number = formatInvoiceNumber('my shop!', getFinancialYear(new Date(2025, 5, 1)), 12345);
+    expect(number).toBe('MYSH/25-26/12345');
+    expect(number.length).toBeLessThanOrEqual(16);
+  });
+});
+
+describe('GST state and GSTIN helpers', () => {
+  test('resolves states and common alternative spellings', () => {
+    expect(getGstState('Karnataka')).toEqual({ name: 'Karnataka', code: '29' });
+    expect(getGstState('New Delhi')).toEqual({ name: 'Delhi', code: '07' });
+    expect(getGstState('orissa')).toEqual({ name: 'Odisha', code: '21' });
+    expect(getGstState('Atlantis')).toBeNull();
+  });
+
+  test('checks the GSTIN format', () => {
+    expect(isValidGstin('29ABCDE1234F1Z5')).toBe(true);
+    expect(isValidGstin('29abcde1234f1z5')).toBe(true);
+    expect(isValidGstin('29ABCDE1234F1X5')).toBe(false);
+  });
+});
+
+describe('calculateInvoice', () => {
+  test('splits tax-inclusive prices into CGST and SGST for intra-state supply', () => {
+    const invoice = calculateInvoice({
+      ...shipTo('Karnataka'),
+      items: [
+        { name: 'Knife', price: 1180, quantity: 1 },
+        { name: 'Cloth', price: 105, quantity: 2, gstRate: 5 }
+      ]
+    }, settings);
+
+    expect(invoice.supplyType).toBe('intra');
+    expect(invoice.lines.map(line => [line.taxableValue, line.tax, line.cgst, line.sgst, line.igst]))
+      .toEqual([[1000, 180, 90, 90, 0], [200, 10, 5, 5, 0]]);
+    expect(invoice.totals).toEqual({
+      taxableValue: 1200,
+      cgst: 95,
+      sgst: 95,
+      igst: 0,
+      totalTax: 190,
+      discount: 0,
+      roundOff: 0,
+      grandTotal: 1390
+    });
+  });
+
+  test('charges IGST on tax-exclusive prices and shipping for inter-state supply', () => {
+    const invoice = calculateInvoice({
+      ...shipTo('Tamil Nadu'),
+      items: [{ name: 'Knife', price: 1000, quantity: 1 }],
+      financials: { shipping: 50 }
+    }, { ...settings, pricesIncludeTax: false });
+
+    expect(invoice.supplyType).toBe('inter');
+    expect(invoice.placeOfSupply).toEqual({ name: 'Tamil Nadu', code: '33' });
+    const shippingLine = invoice.lines[1];
+    expect(shippingLine).toMatchObject({ hsnCode: '996812', taxableValue: 50, igst: 9, total: 59 });
+    expect(invoice.totals).toMatchObject({ taxableValue: 1050, cgst: 0, sgst: 0, igst: 189, grandTotal: 1239 });
+  });
+
+  test('spreads the order discount over the lines and keeps the remainder on the last line', () => {
+    const invoice = calculateInvoice({
+      ...shipTo('Karnataka'),
+      items: [
+        { name: 'A', price: 100, quantity: 1 },
+        { name: 'B', price: 100, quantity: 1 },
+        { name: 'C', price: 100, quantity: 1 }
+      ],
+      financials: { discount: 10 }
+    }, { ...settings, pricesIncludeTax: false });
+
+    expect(invoice.lines.map(line => line.discount)).toEqual([3.33, 3.33, 3.34]);
+    expect(invoice.lines.map(line => line.taxableValue)).toEqual([96.67, 96.67, 96.66]);
+    expect(invoice.totals.discount).toBe(10);
+    expect(invoice.totals.taxableValue).toBe(290);
+  });
+
+  test('rounds the grand total to whole rupees and records the round-off', () => {
+    const invoice = calculateInvoice({
+      ...shipTo('Karnataka'),
+      items: [{ name: 'A', price: 99.99, quantity: 1 }]
+    }, { ...settings, pricesIncludeTax: false });
+
+    expect(invoice.totals.totalTax).toBe(18);
+    expect(invoice.totals.grandTotal).toBe(118);
+    expect(invoice.totals.roundOff).toBe(0.01);
+  });
+
+  test('refuses an order without a recognisable place of supply', () => {
+    expect(() => calculateInvoice({ ...shipTo(''), items: [] }, settings)).toThrow(/place of supply/);
+  });
+});
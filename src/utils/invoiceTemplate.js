@@ -0,0 +1,175 @@
+/**
+ * Invoice Template
+ * Renders a stored invoice snapshot as a printable A4 tax invoice
+ */
+
+import { formatIndianNumber } from './formatUtils';
+import { formatAddressLines, formatOrderDate } from './orderDisplay';
+import { escapeHtml, openPrintWindow } from './printUtils';
+
+const INVOICE_STYLES = `
+  @page { size: A4; margin: 12mm; }
+  * { box-sizing: border-box; }
+  body { font-family: Arial, Helvetica, sans-serif; font-size: 11px; color: #111; margin: 0; }
+  h1 { font-size: 18px; margin: 0; text-align: center; letter-spacing: 1px; }
+  .subtitle { text-align: center; font-size: 10px; color: #555; margin-bottom: 10px; }
+  table { width: 100%; border-collapse: collapse; }
+  td, th { border: 1px solid #444; padding: 4px 6px; vertical-align: top; }
+  th { background: #f0f0f0; font-weight: bold; }
+  .num { text-align: right; white-space: nowrap; }
+  .center { text-align: center; }
+  .no-border td { border: none; padding: 2px 0; }
+  .label { color: #555; }
+  .section { margin-top: 8px; }
+  .words { font-weight: bold; }
+  .signature { height: 60px; }
+`;
+
+const money = (value) => formatIndianNumber(value || 0);
+
+/**
+ * Build the invoice HTML from a stored invoice snapshot
+ * @param {Object} invoice - Invoice stored on the order
+ * @returns {string} - Invoice body HTML
+ */
+export const buildInvoiceHtml = (invoice) => {
+  const isIntraState = invoice.supplyType === 'intra';
+  const buyerAddress = formatAddressLines(invoice.buyer?.address).map(escapeHtml).join('<br/>');
+
+  const lineRows = invoice.lines.map((line, index) => `
+    <tr>
+      <td class="center">${index + 1}</td>
+      <td>${escapeHtml(line.description)}</td>
+      <td class="center">${escapeHtml(line.hsnCode)}</td>
+      <td class="num">${line.quantity}</td>
+      <td class="num">${money(line.unitPrice)}</td>
+      <td class="num">${money(line.discount)}</td>
+      <td class="num">${money(line.taxableValue)}</td>
+      ${isIntraState ? `
+        <td class="num">${line.gstRate / 2}%</td>
+        <td class="num">${money(line.cgst)}</td>
+        <td class="num">${line.gstRate / 2}%</td>
+        <td class="num">${money(line.sgst)}</td>
+      ` : `
+        <td class="num">${line.gstRate}%</td>
+        <td class="num">${money(line.igst)}</td>
+      `}
+      <td class="num">${money(line.total)}</td>
+    </tr>
+  `).join('');
+
+  const { totals } = invoice;
+
+  return `
+    <h1>TAX INVOICE</h1>
+    <div class="subtitle">Original for Recipient</div>
+
+    <table>
+      <tr>
+        <td style="width: 55%">
+          <strong>${escapeHtml(invoice.seller.name)}</strong><br/>
+          ${escapeHtml(invoice.seller.address).replace(/\n/g, '<br/>')}<br/>
+          State: ${escapeHtml(invoice.seller.state)} (Code ${escapeHtml(invoice.seller.stateCode)})<br/>
+          <strong>GSTIN:</strong> ${escapeHtml(invoice.seller.gstin)}
+          ${invoice.seller.pan ? `<br/><strong>PAN:</strong> ${escapeHtml(invoice.seller.pan)}` : ''}
+          ${invoice.seller.phone ? `<br/>Phone: ${escapeHtml(invoice.seller.phone)}` : ''}
+          ${invoice.seller.email ? `<br/>Email: ${escapeHtml(invoice.seller.email)}` : ''}
+        </td>
+        <td>
+          <table class="no-border">
+            <tr><td class="label">Invoice No.</td><td><strong>${escapeHtml(invoice.number)}</strong></td></tr>
+            <tr><td class="label">Invoice Date</td><td>${escapeHtml(formatOrderDate(invoice.issuedAt))}</td></tr>
+            <tr><td class="label">Order No.</td><td>${escapeHtml(invoice.orderId)}</td></tr>
+            <tr><td class="label">Order Date</td><td>${escapeHtml(formatOrderDate(invoice.orderDate))}</td></tr>
+            <tr><td class="label">Place of Supply</td><td>${escapeHtml(invoice.placeOfSupply.name)} (${escapeHtml(invoice.placeOfSupply.code)})</td></tr>
+            <tr><td class="label">Payment</td><td>${escapeHtml(invoice.paymentMethod || '-')}</td></tr>
+          </table>
+        </td>
+      </tr>
+      <tr>
+        <td colspan="2">
+          <span class="label">Bill to / Ship to:</span><br/>
+          <strong>${escapeHtml(invoice.buyer.name)}</strong><br/>
+          ${buyerAddress}
+          ${invoice.buyer.phone ? `<br/>Phone: ${escapeHtml(invoice.buyer.phone)}` : ''}
+          ${invoice.buyer.gstin ? `<br/><strong>GSTIN:</strong> ${escapeHtml(invoice.buyer.gstin)}` : ''}
+        </td>
+      </tr>
+    </table>
+
+    <table class="section">
+      <thead>
+        <tr>
+          <th rowspan="2">#</th>
+          <th rowspan="2">Description</th>
+          <th rowspan="2">HSN/SAC</th>
+          <th rowspan="2">Qty</th>
+          <th rowspan="2">Rate</th>
+          <th rowspan="2">Discount</th>
+          <th rowspan="2">Taxable Value</th>
+          ${isIntraState ? '<th colspan="2">CGST</th><th colspan="2">SGST</th>' : '<th colspan="2">IGST</th>'}
+          <th rowspan="2">Total</th>
+        </tr>
+        <tr>
+          ${isIntraState ? '<th>Rate</th><th>Amount</th><th>Rate</th><th>Amount</th>' : '<th>Rate</th><th>Amount</th>'}
+        </tr>
+      </thead>
+      <tbody>
+        ${lineRows}
+        <tr>
+          <th colspan="6" class="num">Total</th>
+          <th class="num">${money(totals.taxableValue)}</th>
+          ${isIntraState ? `
+            <th></th><th class="num">${money(totals.cgst)}</th>
+            <th></th><th class="num">${money(totals.sgst)}</th>
+          ` : `
+            <th></th><th class="num">${money(totals.igst)}</th>
+          `}
+          <th class="num">${money(totals.taxableValue + totals.totalTax)}</th>
+        </tr>
+      </tbody>
+    </table>
+
+    <table class="section">
+      <tr>
+        <td style="width: 60%">
+          <span class="label">Amount in words:</span><br/>
+          <span class="words">${escapeHtml(invoice.amountInWords)}</span>
+          ${invoice.pricesIncludeTax ? '<br/><br/><span class="label">Prices are inclusive of GST.</span>' : ''}
+        </td>
+        <td>
+          <table class="no-border">
+            <tr><td>Taxable Value</td><td class="num">₹${money(totals.taxableValue)}</td></tr>
+            ${isIntraState ? `
+              <tr><td>CGST</td><td class="num">₹${money(totals.cgst)}</td></tr>
+              <tr><td>SGST</td><td class="num">₹${money(totals.sgst)}</td></tr>
+            ` : `
+              <tr><td>IGST</td><td class="num">₹${money(totals.igst)}</td></tr>
+            `}
+            <tr><td>Round Off</td><td class="num">₹${money(totals.roundOff)}</td></tr>
+            <tr><td><strong>Grand Total</strong></td><td class="num"><strong>₹${money(totals.grandTotal)}</strong></td></tr>
+          </table>
+        </td>
+      </tr>
+      <tr>
+        <td>
+          ${invoice.termsAndConditions ? `<span class="label">Terms &amp; Conditions:</span><br/>${escapeHtml(invoice.termsAndConditions).replace(/\n/g, '<br/>')}` : ''}
+        </td>
+        <td class="center">
+          For ${escapeHtml(invoice.seller.name)}
+          <div class="signature"></div>
+          ${escapeHtml(invoice.authorisedSignatory || 'Authorised Signatory')}
+        </td>
+      </tr>
+    </table>
+  `;
+};
+
+/**
+ * Open the print dialog for an invoice
+ * @param {Object} invoice - Invoice stored on the order
+ * @returns {boolean} - False when the print window was blocked
+ */
+export const printInvoice = (invoice) => {
+  return openPrintWindow(`Invoice ${invoice.number}`, buildInvoiceHtml(invoice), INVOICE_STYLES);
+};
@@ -0,0 +1,21 @@
+/**
+ * Console notification sender
+ * Writes each message to the browser console instead of delivering it, for
+ * exercising templates and the outbox locally.
+ */
+
+import NotificationSender from './notificationSender';
+
+export default class ConsoleSender extends NotificationSender {
+  constructor() {
+    super({ key: 'console', name: 'Console' });
+  }
+
+  async send(message) {
+    const heading = message.subject ? `${message.subject}\n\n` : '';
+    console.log(
+      `📨 ConsoleSender: [${message.channel}] to ${message.recipient} (order ${message.orderNumber})\n${heading}${message.body}`
+    );
+    return { messageId: `console-${Date.now().toString(36)}` };
+  }
+}
@@ -0,0 +1,57 @@
+/**
+ * Notification sender registry
+ * Customer notifications are drained from the outbox by the active sender.
+ * REACT_APP_NOTIFICATION_SENDER picks a registered sender by key; without it
+ * the proxy sender is used when a proxy is configured, otherwise the console
+ * sender (outside production builds). Adding a provider only needs a new
+ * sender and a registerSender call.
+ */
+
+import ConsoleSender from './consoleSender';
+import ProxySender, { NOTIFICATION_PROXY_URL } from './proxySender';
+
+export { default as NotificationSender } from './notificationSender';
+
+const senders = new Map();
+
+/**
+ * Register a notification sender under its key
+ * @param {NotificationSender} sender - Sender instance
+ */
+export const registerSender = (sender) => {
+  senders.set(sender.key, sender);
+};
+
+/**
+ * The console sender is offered outside production builds, or when enabled explicitly
+ * @returns {boolean}
+ */
+export const isConsoleSenderEnabled = () =>
+  process.env.NODE_ENV !== 'production' || process.env.REACT_APP_NOTIFICATION_SENDER === 'console';
+
+registerSender(new ProxySender());
+if (isConsoleSenderEnabled()) {
+  registerSender(new ConsoleSender());
+}
+
+/**
+ * Find a sender by key
+ * @param {string} key - Sender key
+ * @returns {NotificationSender|null}
+ */
+export const getSender = (key) => senders.get(key) || null;
+
+/**
+ * The sender that drains the outbox
+ * @returns {NotificationSender|null} - null when no sender is available
+ */
+export const getActiveSender = () => {
+  const configured = process.env.REACT_APP_NOTIFICATION_SENDER;
+  if (configured) {
+    return getSender(configured);
+  }
+  if (NOTIFICATION_PROXY_URL) {
+    return getSender('proxy');
+  }
+  return getSender('console');
+};
@@ -0,0 +1,48 @@
+/**
+ * Notification Sender
+ * Base class for delivering queued customer notifications. A sender takes
+ * one rendered outbox message and hands it to an email, SMS or WhatsApp
+ * provider; the outbox takes care of retries and the delivery log.
+ *
+ * Provider credentials must never ship in the browser bundle, so live sends
+ * go through a proxy endpoint (REACT_APP_NOTIFICATION_PROXY_URL) that adds them:
+ *   POST {proxy}/{channel}/send
+ * The proxy responds with { messageId } once the provider accepts the message.
+ *
+ * @author Shop Admin System
+ * @version 2.0.0
+ */
+
+/**
+ * Base notification sender
+ * Subclasses implement send; the default supports every channel.
+ */
+export default class NotificationSender {
+  /**
+   * @param {Object} config - { key, name, channels }
+   */
+  constructor({ key, name, channels = null }) {
+    this.key = key;
+    this.name = name;
+    // Channels this sender can deliver, or null for all of them
+    this.channels = channels;
+  }
+
+  /**
+   * Whether this sender can deliver messages on a channel
+   * @param {string} channel - NOTIFICATION_CHANNELS value
+   * @returns {boolean}
+   */
+  supportsChannel(channel) {
+    return !this.channels || this.channels.includes(channel);
+  }
+
+  /**
+   * Deliver one message
+   * @param {Object} message - Outbox message { channel, recipient, subject, body, orderId }
+   * @returns {Promise<Object>} - { messageId }
+   */
+  async send(message) {
+    throw new Error(`${this.name} cannot send messages`);
+  }
+}
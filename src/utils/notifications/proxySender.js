@@ -0,0 +1,38 @@
+/**
+ * Proxy notification sender
+ * Delivers messages through the notification proxy, which holds the email,
+ * SMS and WhatsApp provider credentials.
+ */
+
+import NotificationSender from './notificationSender';
+
+export const NOTIFICATION_PROXY_URL = (process.env.REACT_APP_NOTIFICATION_PROXY_URL || '').replace(/\/$/, '');
+
+export default class ProxySender extends NotificationSender {
+  constructor() {
+    super({ key: 'proxy', name: 'Notification proxy' });
+  }
+
+  async send(message) {
+    if (!NOTIFICATION_PROXY_URL) {
+      throw new Error('Notification proxy is not configured. Set REACT_APP_NOTIFICATION_PROXY_URL to send messages.');
+    }
+
+    const response = await fetch(`${NOTIFICATION_PROXY_URL}/${message.channel}/send`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        to: message.recipient,
+        subject: message.subject || null,
+        body: message.body,
+        reference: message.orderNumber
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Notification proxy responded with ${response.status}`);
+    }
+    const result = await response.json();
+    return { messageId: result.messageId || null };
+  }
+}
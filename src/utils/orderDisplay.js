@@ -0,0 +1,181 @@
+/**
+ * Order Display Utilities
+ *
+ * Shared presentation helpers for the admin order views (list, detail page and
+ * the panels embedded in them). Keeps badge styling, total extraction and date
+ * formatting consistent wherever an order is rendered.
+ *
+ * @author Shop Admin System
+ * @version 2.0.0
+ */
+
+import { ORDER_STATUSES, ORDER_PRIORITIES } from './orderService';
+
+/**
+ * Visual configuration for each order status
+ * Mirrors the status configuration used by the Orders list page
+ */
+export const ORDER_STATUS_STYLES = {
+  [ORDER_STATUSES.PLACED]: {
+    label: 'Placed',
+    color: 'bg-yellow-100 text-yellow-800 border-yellow-200',
+    dot: 'bg-yellow-400',
+    description: 'Order placed by customer, awaiting admin approval'
+  },
+  [ORDER_STATUSES.APPROVED]: {
+    label: 'Approved',
+    color: 'bg-blue-100 text-blue-800 border-blue-200',
+    dot: 'bg-blue-500',
+    description: 'Order approved by admin, ready for packing'
+  },
+  [ORDER_STATUSES.PACKED]: {
+    label: 'Packed',
+    color: 'bg-indigo-100 text-indigo-800 border-indigo-200',
+    dot: 'bg-indigo-500',
+    description: 'Order packed and ready for shipment'
+  },
+  [ORDER_STATUSES.PARTIALLY_SHIPPED]: {
+    label: 'Partially Shipped',
+    color: 'bg-violet-100 text-violet-800 border-violet-200',
+    dot: 'bg-violet-500',
+    description: 'Some items shipped, the rest still to ship'
+  },
+  [ORDER_STATUSES.SHIPPED]: {
+    label: 'Shipped',
+    color: 'bg-purple-100 text-purple-800 border-purple-200',
+    dot: 'bg-purple-500',
+    description: 'Order shipped to customer with tracking'
+  },
+  [ORDER_STATUSES.DELIVERED]: {
+    label: 'Delivered',
+    color: 'bg-green-100 text-green-800 border-green-200',
+    dot: 'bg-green-500',
+    description: 'Order successfully delivered to customer'
+  },
+  [ORDER_STATUSES.DECLINED]: {
+    label: 'Declined',
+    color: 'bg-red-100 text-red-800 border-red-200',
+    dot: 'bg-red-500',
+    description: 'Order declined by admin'
+  },
+  [ORDER_STATUSES.CANCELLED]: {
+    label: 'Cancelled',
+    color: 'bg-gray-100 text-gray-800 border-gray-200',
+    dot: 'bg-gray-500',
+    description: 'Order cancelled'
+  },
+  [ORDER_STATUSES.REFUNDED]: {
+    label: 'Refunded',
+    color: 'bg-gray-100 text-gray-600 border-gray-200',
+    dot: 'bg-gray-400',
+    description: 'Order refunded to customer'
+  }
+};
+
+/**
+ * Visual configuration for order priorities
+ */
+export const PRIORITY_STYLES = {
+  [ORDER_PRIORITIES.URGENT]: { label: 'Urgent', color: 'bg-red-100 text-red-800' },
+  [ORDER_PRIORITIES.HIGH]: { label: 'High', color: 'bg-orange-100 text-orange-800' },
+  [ORDER_PRIORITIES.NORMAL]: { label: 'Normal', color: 'bg-gray-100 text-gray-800' },
+  [ORDER_PRIORITIES.LOW]: { label: 'Low', color: 'bg-blue-100 text-blue-800' }
+};
+
+/**
+ * Get the style configuration for a status, falling back to a neutral badge
+ * @param {string} status - Order status
+ * @returns {Object} - Style configuration
+ */
+export const getStatusStyle = (status) => {
+  return ORDER_STATUS_STYLES[status] || {
+    label: status || 'Unknown',
+    color: 'bg-gray-100 text-gray-800 border-gray-200',
+    dot: 'bg-gray-400',
+    description: ''
+  };
+};
+
+/**
+ * Get the style configuration for a priority, defaulting to normal
+ * @param {string} priority - Order priority
+ * @returns {Object} - Style configuration
+ */
+export const getPriorityStyle = (priority) => {
+  return PRIORITY_STYLES[priority] || PRIORITY_STYLES[ORDER_PRIORITIES.NORMAL];
+};
+
+/**
+ * Extract order total from the various fields different storefront versions use
+ * @param {Object} order - Order object
+ * @returns {number} - Order total
+ */
+export const getOrderTotal = (order) => {
+  const possibleTotalFields = [
+    order.total,
+    order.amount,
+    order.grandTotal,
+    order.finalAmount,
+    order.orderTotal,
+    order.financials?.total,
+    order.payment?.amount,
+    order.summary?.total,
+    order.pricing?.total
+  ];
+
+  for (const field of possibleTotalFields) {
+    if (field !== null && field !== undefined && field !== 0 && !isNaN(field)) {
+      return Number(field);
+    }
+  }
+
+  // Fall back to summing the line items
+  if (Array.isArray(order.items)) {
+    return order.items.reduce((sum, item) => sum + (item.price || 0) * (item.quantity || 0), 0);
+  }
+
+  return 0;
+};
+
+/**
+ * Convert Firestore timestamps, ISO strings or Date objects to a Date
+ * @param {*} value - Date-like value
+ * @returns {Date|null} - Parsed date or null
+ */
+export const toDate = (value) => {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate();
+  if (value.seconds !== undefined) return new Date(value.seconds * 1000);
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Format a date-like value for display in the Indian locale
+ * @param {*} value - Date-like value
+ * @returns {string} - Formatted date
+ */
+export const formatOrderDate = (value) => {
+  const date = toDate(value);
+  if (!date) return 'N/A';
+  return date.toLocaleDateString('en-IN', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+/**
+ * Build display lines for an order shipping address
+ * @param {Object} address - Address from order.shipping.address
+ * @returns {Array<string>} - Address lines
+ */
+export const formatAddressLines = (address) => {
+  if (!address) return [];
+  const firstLine = [address.houseNo, address.line1, address.line2].filter(Boolean).join(', ');
+  const secondLine = [address.city, address.state].filter(Boolean).join(', ');
+  const thirdLine = [address.country, address.pin && `- ${address.pin}`].filter(Boolean).join(' ');
+  return [firstLine, secondLine, thirdLine].filter(Boolean);
+};
@@ -0,0 +1,33 @@
+import { formatAddressLines, formatOrderDate, getOrderTotal, getStatusStyle, toDate } from './orderDisplay';
+import { ORDER_STATUSES } from './orderService';
+
+jest.mock('../firebase', () => ({ db: {} }));
+
+describe('order detail display', () => {
+  test('reads the total from whichever field the storefront used', () => {
+    expect(getOrderTotal({ financials: { total: 1180 } })).toBe(1180);
+    expect(getOrderTotal({ total: 0, amount: '950' })).toBe(950);
+    expect(getOrderTotal({ items: [{ price: 100, quantity: 2 }, { price: 50, quantity: 1 }] })).toBe(250);
+  });
+
+  test('reads Firestore timestamps, ISO strings and Dates', () => {
+    const date = new Date('2025-06-02T10:00:00Z');
+    expect(toDate({ toDate: () => date })).toBe(date);
+    expect(toDate({ seconds: date.getTime() / 1000 })).toEqual(date);
+    expect(toDate('2025-06-02T10:00:00Z')).toEqual(date);
+    expect(toDate('not a date')).toBeNull();
+    expect(formatOrderDate(null)).toBe('N/A');
+  });
+
+  test('lays out the shipping address in three lines', () => {
+    expect(formatAddressLines({
+      houseNo: '12', line1: 'MG Road', city: 'Bengaluru', state: 'Karnataka', country: 'India', pin: '560001'
+    })).toEqual(['12, MG Road', 'Bengaluru, Karnataka', 'India - 560001']);
+    expect(formatAddressLines(null)).toEqual([]);
+  });
+
+  test('falls back to a neutral badge for unknown statuses', () => {
+    expect(getStatusStyle(ORDER_STATUSES.APPROVED).label).toBe('Approved');
+    expect(getStatusStyle('On the moon')).toMatchObject({ label: 'On the moon', description: '' });
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Order Export Utilities
+ *
+ * Builds CSV and Excel (XLSX) downloads from a list of orders. Columns are
+ * declared once in EXPORT_COLUMNS so the column picker and the file writer
+ * always agree. Selecting any "Item lines" column switches the export to one
+ * row per order item, repeating the order-level columns on each line.
+ *
+ * @author Shop Admin System
+ * @version 2.0.0
+ */
+
+import { formatIndianNumber } from './formatUtils';
+import { getOrderTotal, toDate } from './orderDisplay';
+import { toCsv, downloadFile } from './csvUtils';
+
+/**
+ * Format a date-like value as YYYY-MM-DD HH:mm for spreadsheets
+ * @param {*} value - Date-like value
+ * @returns {string} - Formatted date or empty string
+ */
+const formatExportDate = (value) => {
+  const date = toDate(value);
+  if (!date) return '';
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+/**
+ * Round an amount to two decimals for the raw amount columns
+ * @param {*} value - Amount
+ * @returns {number} - Rounded amount
+ */
+const rawAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const orderSubtotal = (order) => order.financials?.subtotal || order.subtotal || 0;
+const orderDiscount = (order) => order.financials?.discount || order.discount || 0;
+const orderTax = (order) => order.financials?.tax || order.tax || 0;
+const orderShipping = (order) => order.financials?.shipping || order.shipping?.cost || 0;
+
+/**
+ * Export column definitions
+ * `value` receives the order and, for item line columns, the current item
+ */
+export const EXPORT_COLUMNS = [
+  // Order
+  { key: 'orderId', label: 'Order ID', group: 'Order', value: (order) => order.orderId || order.id },
+  { key: 'documentId', label: 'Document ID', group: 'Order', value: (order) => order.id },
+  { key: 'orderDate', label: 'Order Date', group: 'Order', value: (order) => formatExportDate(order.orderDate || order.createdAt) },
+  { key: 'status', label: 'Status', group: 'Order', value: (order) => order.status || '' },
+  { key: 'priority', label: 'Priority', group: 'Order', value: (order) => order.priority || 'normal' },
+  { key: 'tags', label: 'Tags', group: 'Order', value: (order) => (order.tags || []).join('; ') },
+  { key: 'invoiceNumber', label: 'Invoice Number', group: 'Order', value: (order) => order.invoice?.number || '' },
+
+  // Customer
+  { key: 'customerName', label: 'Customer Name', group: 'Customer', value: (order) => order.userName || '' },
+  { key: 'customerEmail', label: 'Customer Email', group: 'Customer', value: (order) => order.userEmail || '' },
+  { key: 'customerPhone', label: 'Customer Phone', group: 'Customer', value: (order) => order.userPhone || '' },
+  { key: 'userId', label: 'User ID', group: 'Customer', value: (order) => order.userId || '' },
+
+  // Amounts (raw numbers and Indian-formatted text)
+  { key: 'subtotal', label: 'Subtotal', group: 'Amounts', value: (order) => rawAmount(orderSubtotal(order)) },
+  { key: 'subtotalFormatted', label: 'Subtotal (formatted)', group: 'Amounts', value: (order) => formatIndianNumber(orderSubtotal(order)) },
+  { key: 'discount', label: 'Discount', group: 'Amounts', value: (order) => rawAmount(orderDiscount(order)) },
+  { key: 'discountFormatted', label: 'Discount (formatted)', group: 'Amounts', value: (order) => formatIndianNumber(orderDiscount(order)) },
+  { key: 'tax', label: 'Tax', group: 'Amounts', value: (order) => rawAmount(orderTax(order)) },
+  { key: 'taxFormatted', label: 'Tax (formatted)', group: 'Amounts', value: (order) => formatIndianNumber(orderTax(order)) },
+  { key: 'shippingCost', label: 'Shipping', group: 'Amounts', value: (order) => rawAmount(orderShipping(order)) },
+  { key: 'shippingCostFormatted', label: 'Shipping (formatted)', group: 'Amounts', value: (order) => formatIndianNumber(orderShipping(order)) },
+  { key: 'total', label: 'Total', group: 'Amounts', value: (order) => rawAmount(getOrderTotal(order)) },
+  { key: 'totalFormatted', label: 'Total (formatted)', group: 'Amounts', value: (order) => formatIndianNumber(getOrderTotal(order)) },
+
+  // Payment
+  { key: 'paymentMethod', label: 'Payment Method', group: 'Payment', value: (order) => order.payment?.method || '' },
+  { key: 'paymentStatus', label: 'Payment Status', group: 'Payment', value: (order) => order.payment?.status || '' },
+
+  // Shipping address
+  { key: 'addressHouseNo', label: 'House No', group: 'Shipping Address', value: (order) => order.shipping?.address?.houseNo || '' },
+  { key: 'addressLine1', label: 'Address Line 1', group: 'Shipping Address', value: (order) => order.shipping?.address?.line1 || '' },
+  { key: 'addressLine2', label: 'Address Line 2', group: 'Shipping Address', value: (order) => order.shipping?.address?.line2 || '' },
+  { key: 'addressCity', label: 'City', group: 'Shipping Address', value: (order) => order.shipping?.address?.city || '' },
+  { key: 'addressState', label: 'State', group: 'Shipping Address', value: (order) => order.shipping?.address?.state || '' },
+  { key: 'addressPin', label: 'PIN Code', group: 'Shipping Address', value: (order) => order.shipping?.address?.pin || '' },
+  { key: 'addressCountry', label: 'Country', group: 'Shipping Address', value: (order) => order.shipping?.address?.country || '' },
+
+  // Tracking
+  { key: 'carrier', label: 'Carrier', group: 'Tracking', value: (order) => order.tracking?.carrier || '' },
+  { key: 'trackingCode', label: 'Tracking Code', group: 'Tracking', value: (order) => order.tracking?.code || '' },
+
+  // Items summarised on the order row
+  { key: 'itemCount', label: 'Item Count', group: 'Items', value: (order) => (order.items || []).reduce((sum, item) => sum + (item.quantity || 0), 0) },
+  {
+    key: 'itemsSummary',
+    label: 'Items',
+    group: 'Items',
+    value: (order) => (order.items || [])
+      .map(item => `${item.name} x${item.quantity} @ ${formatIndianNumber(item.price || 0)}`)
+      .join('; ')
+  },
+
+  // Flattened item lines (one export row per item)
+  { key: 'itemName', label: 'Item Name', group: 'Item Lines', lineLevel: true, value: (order, item) => item?.name || '' },
+  { key: 'itemProductId', label: 'Item Product ID', group: 'Item Lines', lineLevel: true, value: (order, item) => item?.productId || '' },
+  { key: 'itemQuantity', label: 'Item Quantity', group: 'Item Lines', lineLevel: true, value: (order, item) => item?.quantity || 0 },
+  { key: 'itemPrice', label: 'Item Price', group: 'Item Lines', lineLevel: true, value: (order, item) => rawAmount(item?.price) },
+  { key: 'itemPriceFormatted', label: 'Item Price (formatted)', group: 'Item Lines', lineLevel: true, value: (order, item) => formatIndianNumber(item?.price || 0) },
+  { key: 'itemLineTotal', label: 'Item Line Total', group: 'Item Lines', lineLevel: true, value: (order, item) => rawAmount((item?.price || 0) * (item?.quantity || 0)) },
+  { key: 'itemLineTotalFormatted', label: 'Item Line Total (formatted)', group: 'Item Lines', lineLevel: true, value: (order, item) => formatIndianNumber((item?.price || 0) * (item?.quantity || 0)) }
+];
+
+/**
+ * Columns selected by default in the column picker
+ */
+export const DEFAULT_EXPORT_COLUMNS = [
+  'orderId', 'orderDate', 'status', 'customerName', 'customerEmail', 'customerPhone',
+  'subtotal', 'discount', 'tax', 'shippingCost', 'total', 'totalFormatted',
+  'paymentMethod', 'addressCity', 'addressState', 'addressPin', 'carrier', 'trackingCode', 'itemsSummary'
+];
+
+/**
+ * Build header and row arrays for the selected columns
+ * @param {Array<Object>} orders - Orders to export
+ * @param {Array<string>} columnKeys - Selected column keys
+ * @returns {Object} - { headers, rows }
+ */
+export const buildExportRows = (orders, columnKeys) => {
+  const columns = EXPORT_COLUMNS.filter(column => columnKeys.includes(column.key));
+  const hasLineColumns = columns.some(column => column.lineLevel);
+  const rows = [];
+
+  orders.forEach(order => {
+    if (hasLineColumns && Array.isArray(order.items) && order.items.length > 0) {
+      order.items.forEach(item => {
+        rows.push(columns.map(column => column.value(order, item)));
+      });
+    } else {
+      rows.push(columns.map(column => column.value(order, null)));
+    }
+  });
+
+  return {
+    headers: columns.map(column => column.label),
+    rows
+  };
+};
+
+/**
+ * Export orders as a CSV or XLSX download
+ * @param {Array<Object>} orders - Orders to export
+ * @param {Object} options - { format: 'csv' | 'xlsx', columnKeys, fileName }
+ * @returns {Promise<number>} - Number of rows written
+ */
+export const exportOrders = async (orders, options = {}) => {
+  const format = options.format || 'csv';
+  const columnKeys = options.columnKeys?.length ? options.columnKeys : DEFAULT_EXPORT_COLUMNS;
+  const baseName = options.fileName || `orders-${new Date().toISOString().split('T')[0]}`;
+  const { headers, rows } = buildExportRows(orders, columnKeys);
+
+  if (format === 'xlsx') {
+    // Load the spreadsheet library only when an Excel export is requested
+    const XLSX = await import('xlsx');
+    const worksheet = XLSX.utils.aoa_to_sheet([headers, ...rows]);
+    worksheet['!cols'] = headers.map(header => ({ wch: Math.max(12, header.length + 2) }));
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'Orders');
+    XLSX.writeFile(workbook, `${baseName}.xlsx`);
+  } else {
+    // Byte order mark so Excel opens the UTF-8 file (₹, non-Latin names) correctly
+    downloadFile(`\uFEFF${toCsv(headers, rows)}`, `${baseName}.csv`, 'text/csv;charset=utf-8');
+  }
+
+  console.log(`📤 OrderExport: Exported ${rows.length} rows for ${orders.length} orders as ${format}`);
+  return rows.length;
+};
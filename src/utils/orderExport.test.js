@@ -0,0 +1,63 @@
+import { buildExportRows, exportOrders } from './orderExport';
+import { downloadFile } from './csvUtils';
+import * as XLSX from 'xlsx';
+
+jest.mock('../firebase', () => ({ db: {} }));
+jest.mock('./csvUtils', () => ({ ...jest.requireActual('./csvUtils'), downloadFile: jest.fn() }));
+jest.mock('xlsx', () => ({ ...jest.requireActual('xlsx'), writeFile: jest.fn() }));
+
+const orders = [{
+  id: 'doc-1',
+  orderId: 'A1001',
+  userName: '=cmd|calc',
+  financials: { subtotal: 1000.456, total: 1180 },
+  items: [
+    { name: 'Knife', productId: 'knife', quantity: 2, price: 400 },
+    { name: 'Stone', productId: 'stone', quantity: 1, price: 200 }
+  ]
+}, {
+  id: 'doc-2',
+  total: 500
+}];
+
+describe('buildExportRows', () => {
+  test('writes one row per order with the selected columns in table order', () => {
+    expect(buildExportRows(orders, ['total', 'orderId', 'subtotal'])).toEqual({
+      headers: ['Order ID', 'Subtotal', 'Total'],
+      rows: [['A1001', 1000.46, 1180], ['doc-2', 0, 500]]
+    });
+  });
+
+  test('writes one row per item when an item line column is selected', () => {
+    const { rows } = buildExportRows(orders, ['orderId', 'itemName', 'itemLineTotal']);
+    expect(rows).toEqual([
+      ['A1001', 'Knife', 800],
+      ['A1001', 'Stone', 200],
+      ['doc-2', '', 0]
+    ]);
+  });
+});
+
+describe('exportOrders', () => {
+  test('downloads a UTF-8 CSV with formulas neutralised', async () => {
+    const rowCount = await exportOrders(orders, { columnKeys: ['orderId', 'customerName'], fileName: 'june' });
+
+    expect(rowCount).toBe(2);
+    const [content, fileName, mimeType] = downloadFile.mock.calls[0];
+    expect(fileName).toBe('june.csv');
+    expect(mimeType).toBe('text/csv;charset=utf-8');
+    expect(content).toBe("\uFEFFOrder ID,Customer Name\r\nA1001,'=cmd|calc\r\ndoc-2,");
+  });
+
+  test('writes the same rows to an Excel sheet', async () => {
+    await exportOrders(orders, { format: 'xlsx', columnKeys: ['orderId', 'total'], fileName: 'june' });
+
+    const [workbook, fileName] = XLSX.writeFile.mock.calls[0];
+    expect(fileName).toBe('june.xlsx');
+    expect(XLSX.utils.sheet_to_json(workbook.Sheets.Orders, { header: 1 })).toEqual([
+      ['Order ID', 'Total'],
+      ['A1001', 1180],
+      ['doc-2', 500]
+    ]);
+  });
+});
@@ -0,0 +1,257 @@
+/**
+ * Order Notes Service
+ *
+ * Each order has a notes thread in its `notes` subcollection. A note is
+ * either an internal note, seen only by admins, or a message to the customer,
+ * which the storefront shows on the customer's order page (it reads the notes
+ * whose visibility is 'customer'). Edits keep the previous text in the note's
+ * edit history.
+ *
+ * Internal notes can @mention admins by their handle (the part of their email
+ * before the @); each mentioned admin gets an entry in their notification inbox.
+ *
+ * @author Shop Admin System
+ * @version 2.0.0
+ */
+
+import {
+  collection,
+  doc,
+  getDocs,
+  query,
+  where,
+  orderBy,
+  onSnapshot,
+  runTransaction,
+  writeBatch,
+  arrayUnion,
+  serverTimestamp,
+  Timestamp
+} from 'firebase/firestore';
+import { db } from '../firebase';
+import { queueMentionNotifications } from './adminNotifications';
+
+export const NOTE_VISIBILITY = {
+  INTERNAL: 'internal',   // Admins only
+  CUSTOMER: 'customer'    // Shown to the customer on their order
+};
+
+const MAX_NOTE_LENGTH = 2000;
+const MENTION_PATTERN = /@([a-z0-9._-]+)/gi;
+
+/**
+ * Handle an admin is mentioned by
+ * @param {Object} admin - User document data with email and name
+ * @returns {string}
+ */
+export const getMentionHandle = (admin) => {
+  const source = admin.email ? admin.email.split('@')[0] : (admin.name || '');
+  return source.toLowerCase().replace(/[^a-z0-9._-]/g, '');
+};
+
+/**
+ * Find the admins mentioned in a note
+ * @param {string} body - Note text
+ * @param {Array<Object>} admins - From getAdminUsers, with handle
+ * @returns {Array<string>} - Mentioned admin user IDs
+ */
+export const extractMentions = (body, admins) => {
+  const handles = new Set([...body.matchAll(MENTION_PATTERN)].map(match => match[1].toLowerCase()));
+  return admins.filter(admin => handles.has(admin.handle)).map(admin => admin.id);
+};
+
+/**
+ * Build a new note document
+ * Shared with bulk operations, which add the same note to many orders.
+ *
+ * @param {Object} noteInput - { body, visibility, mentions }
+ * @param {Object} author - { id, name }
+ * @returns {Object} - Note document data
+ */
+export const buildNote = ({ body, visibility = NOTE_VISIBILITY.INTERNAL, mentions = [] }, author) => ({
+  body,
+  visibility,
+  mentions,
+  authorId: author.id,
+  authorName: author.name || '',
+  createdAt: serverTimestamp(),
+  updatedAt: null,
+  edits: []
+});
+
+const validateNote = (body, visibility) => {
+  const text = (body || '').trim();
+  if (!text) {
+    throw new Error('Write something first');
+  }
+  if (text.length > MAX_NOTE_LENGTH) {
+    throw new Error(`Notes are limited to ${MAX_NOTE_LENGTH} characters`);
+  }
+  if (!Object.values(NOTE_VISIBILITY).includes(visibility)) {
+    throw new Error(`Invalid note visibility: ${visibility}`);
+  }
+  return text;
+};
+
+const notesCollection = (orderId) => collection(db, 'orders', orderId, 'notes');
+
+/**
+ * Order notes service class
+ */
+class OrderNotesService {
+
+  /**
+   * Load the admins that can be mentioned
+   * @returns {Promise<Object>} - { success, admins: [{ id, name, email, handle }], error }
+   */
+  static async getAdminUsers() {
+    try {
+      const snapshot = await getDocs(query(collection(db, 'users'), where('userRole', '==', 'Admin')));
+      const admins = snapshot.docs
+        .map(userDoc => {
+          const data = userDoc.data();
+          return { id: userDoc.id, name: data.name || data.email || 'Admin', email: data.email || '', handle: getMentionHandle(data) };
+        })
+        .filter(admin => admin.handle)
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+      return { success: true, admins };
+
+    } catch (error) {
+      console.error('❌ OrderNotesService: Error loading admin users:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to load admin users',
+        admins: []
+      };
+    }
+  }
+
+  /**
+   * Subscribe to an order's notes thread, oldest first
+   *
+   * @param {string} orderId - Order document ID
+   * @param {Function} onUpdate - Called with the notes on every snapshot
+   * @param {Function} onError - Called with the error if the listener fails
+   * @returns {Function} - Unsubscribe function
+   */
+  static subscribeToNotes(orderId, onUpdate, onError) {
+    const notesQuery = query(notesCollection(orderId), orderBy('createdAt', 'asc'));
+
+    return onSnapshot(notesQuery, (snapshot) => {
+      onUpdate(snapshot.docs.map(noteDoc => ({ id: noteDoc.id, ...noteDoc.data() })));
+    }, (error) => {
+      console.error('❌ OrderNotesService: Notes subscription failed:', error);
+      if (onError) {
+        onError(error);
+      }
+    });
+  }
+
+  /**
+   * Add a note to an order and notify the admins it mentions
+   *
+   * @param {Object} order - Order with id and orderId
+   * @param {Object} noteInput - { body, visibility }
+   * @param {Object} author - { id, name }
+   * @param {Array<Object>} admins - Mentionable admins from getAdminUsers
+   * @returns {Promise<Object>} - { success, noteId, error }
+   */
+  static async addNote(order, { body, visibility }, author, admins = []) {
+    console.log(`📝 OrderNotesService: Adding ${visibility} note to order ${order.id}`);
+
+    try {
+      const text = validateNote(body, visibility);
+      const mentions = visibility === NOTE_VISIBILITY.INTERNAL ? extractMentions(text, admins) : [];
+
+      const batch = writeBatch(db);
+      const noteRef = doc(notesCollection(order.id));
+      batch.set(noteRef, buildNote({ body: text, visibility, mentions }, author));
+      queueMentionNotifications(batch, mentions, {
+        orderId: order.id,
+        orderNumber: order.orderId,
+        noteId: noteRef.id,
+        actorId: author.id,
+        actorName: author.name,
+        body: text
+      });
+      await batch.commit();
+
+      return { success: true, noteId: noteRef.id };
+
+    } catch (error) {
+      console.error('❌ OrderNotesService: Error adding note:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to add note'
+      };
+    }
+  }
+
+  /**
+   * Change the text of a note, keeping the previous text in its history
+   * Only the author can edit a note. Admins newly mentioned by the edit are
+   * notified; admins already mentioned are not notified again.
+   *
+   * @param {Object} order - Order with id and orderId
+   * @param {string} noteId - Note ID
+   * @param {string} body - New text
+   * @param {Object} author - { id, name }
+   * @param {Array<Object>} admins - Mentionable admins from getAdminUsers
+   * @returns {Promise<Object>} - { success, error }
+   */
+  static async editNote(order, noteId, body, author, admins = []) {
+    console.log(`📝 OrderNotesService: Editing note ${noteId} on order ${order.id}`);
+
+    try {
+      const noteRef = doc(notesCollection(order.id), noteId);
+
+      await runTransaction(db, async (transaction) => {
+        const noteSnapshot = await transaction.get(noteRef);
+        if (!noteSnapshot.exists()) {
+          throw new Error('Note not found');
+        }
+        const note = noteSnapshot.data();
+        if (note.authorId !== author.id) {
+          throw new Error('Only the author can edit a note');
+        }
+
+        const text = validateNote(body, note.visibility);
+        if (text === note.body) {
+          return;
+        }
+
+        const mentions = note.visibility === NOTE_VISIBILITY.INTERNAL ? extractMentions(text, admins) : [];
+        transaction.update(noteRef, {
+          body: text,
+          mentions,
+          updatedAt: serverTimestamp(),
+          edits: arrayUnion({ body: note.body, editedAt: Timestamp.now(), editedBy: author.id })
+        });
+        queueMentionNotifications(
+          transaction,
+          mentions.filter(adminId => !(note.mentions || []).includes(adminId)),
+          {
+            orderId: order.id,
+            orderNumber: order.orderId,
+            noteId,
+            actorId: author.id,
+            actorName: author.name,
+            body: text
+          }
+        );
+      });
+
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ OrderNotesService: Error editing note:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to edit note'
+      };
+    }
+  }
+}
+
+export default OrderNotesService;
@@ -0,0 +1,104 @@
+import OrderNotesService, { NOTE_VISIBILITY, extractMentions, getMentionHandle } from './orderNotesService';
+import { listDocs, readDoc, resetFirestore } from '../testUtils/firestoreFake';
+
+jest.mock('../firebase', () => ({ db: {} }));
+jest.mock('firebase/firestore', () => require('../testUtils/firestoreFake'));
+
+const order = { id: 'a', orderId: 'A1001' };
+const asha = { id: 'admin-1', name: 'Asha' };
+const admins = [
+  { id: 'admin-1', name: 'Asha', handle: 'asha' },
+  { id: 'admin-2', name: 'Ravi', handle: 'ravi.k' },
+  { id: 'admin-3', name: 'Meera', handle: 'meera' }
+];
+
+describe('mentions', () => {
+  test('use the part of the email before the @ as the handle', () => {
+    expect(getMentionHandle({ email: 'Ravi.K@shop.in', name: 'Ravi' })).toBe('ravi.k');
+    expect(getMentionHandle({ name: 'Meera Nair' })).toBe('meeranair');
+  });
+
+  test('find the admins mentioned in a note', () => {
+    expect(extractMentions('@Ravi.K please call, cc @meera and @nobody', admins)).toEqual(['admin-2', 'admin-3']);
+    expect(extractMentions('email ravi.k@shop.in', admins)).toEqual([]);
+  });
+});
+
+describe('order notes', () => {
+  beforeEach(() => {
+    resetFirestore({
+      'users/admin-1': { userRole: 'Admin', name: 'Asha', email: 'asha@shop.in' },
+      'users/admin-2': { userRole: 'Admin', name: 'Ravi', email: 'ravi.k@shop.in' },
+      'users/cust-1': { userRole: 'Customer', name: 'Kiran', email: 'kiran@mail.com' }
+    });
+  });
+
+  test('list only admins as people to mention', async () => {
+    const result = await OrderNotesService.getAdminUsers();
+
+    expect(result.admins.map(admin => admin.handle)).toEqual(['asha', 'ravi.k']);
+  });
+
+  test('notify the admins an internal note mentions, but not its author', async () => {
+    const result = await OrderNotesService.addNote(order, {
+      body: ' @ravi.k can you check stock? @asha ',
+      visibility: NOTE_VISIBILITY.INTERNAL
+    }, asha, admins);
+
+    expect(result.success).toBe(true);
+    expect(readDoc(`orders/a/notes/${result.noteId}`)).toMatchObject({
+      body: '@ravi.k can you check stock? @asha',
+      visibility: NOTE_VISIBILITY.INTERNAL,
+      mentions: ['admin-1', 'admin-2'],
+      authorId: 'admin-1'
+    });
+    expect(listDocs('admin_notifications')).toEqual([
+      expect.objectContaining({ recipientId: 'admin-2', orderNumber: 'A1001', noteId: result.noteId, read: false })
+    ]);
+  });
+
+  test('never notify mentions in notes to the customer', async () => {
+    await OrderNotesService.addNote(order, { body: 'Thanks @ravi.k', visibility: NOTE_VISIBILITY.CUSTOMER }, asha, admins);
+
+    expect(listDocs('admin_notifications')).toEqual([]);
+  });
+
+  test('reject empty notes and unknown visibility', async () => {
+    expect(await OrderNotesService.addNote(order, { body: '  ', visibility: NOTE_VISIBILITY.INTERNAL }, asha))
+      .toEqual({ success: false, error: 'Write something first' });
+    expect(await OrderNotesService.addNote(order, { body: 'Hi', visibility: 'public' }, asha))
+      .toEqual({ success: false, error: 'Invalid note visibility: public' });
+  });
+
+  test('keep the previous text and only notify admins newly mentioned by an edit', async () => {
+    const { noteId } = await OrderNotesService.addNote(order, { body: '@ravi.k check stock', visibility: NOTE_VISIBILITY.INTERNAL }, asha, admins);
+
+    const result = await OrderNotesService.editNote(order, noteId, '@ravi.k check stock with @meera', asha, admins);
+
+    expect(result).toEqual({ success: true });
+    const note = readDoc(`orders/a/notes/${noteId}`);
+    expect(note.body).toBe('@ravi.k check stock with @meera');
+    expect(note.edits).toEqual([expect.objectContaining({ body: '@ravi.k check stock', editedBy: 'admin-1' })]);
+    expect(listDocs('admin_notifications').map(notification => notification.recipientId).sort()).toEqual(['admin-2', 'admin-3']);
+  });
+
+  test('only let the author edit a note', async () => {
+    const { noteId } = await OrderNotesService.addNote(order, { body: 'Packed twice', visibility: NOTE_VISIBILITY.INTERNAL }, asha, admins);
+
+    const result = await OrderNotesService.editNote(order, noteId, 'Packed once', { id: 'admin-2', name: 'Ravi' }, admins);
+
+    expect(result).toEqual({ success: false, error: 'Only the author can edit a note' });
+    expect(readDoc(`orders/a/notes/${noteId}`).body).toBe('Packed twice');
+  });
+
+  test('stream the notes thread oldest first', async () => {
+    const threads = [];
+    const unsubscribe = OrderNotesService.subscribeToNotes('a', notes => threads.push(notes));
+
+    await OrderNotesService.addNote(order, { body: 'First', visibility: NOTE_VISIBILITY.INTERNAL }, asha);
+    await OrderNotesService.addNote(order, { body: 'Second', visibility: NOTE_VISIBILITY.CUSTOMER }, asha);
+    unsubscribe();
+
+    expect(threads[threads.length - 1].map(note => note.body)).toEqual(['First', 'Second']);
+  });
+});
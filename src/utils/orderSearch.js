@@ -0,0 +1,269 @@
+/**
+ * Order Search Index
+ *
+ * Firestore cannot do substring search, so each order carries a
+ * searchKeywords array of lowercase prefixes built from its order ID, customer
+ * email, phone and name, product names and tracking codes. Searching is then a
+ * single array-contains query that covers the whole order history instead of
+ * only the orders already downloaded.
+ *
+ * Keywords are written whenever the admin changes an indexed field, when new
+ * orders arrive while the admin panel is open, for the last few days' orders
+ * when the panel opens, and by the backfill job in Settings for everything
+ * else. They are kept on the main order only, never on the customer's
+ * users/{uid}/orders copy. Bump SEARCH_INDEX_VERSION when the keyword scheme
+ * changes so the backfill rebuilds older entries.
+ *
+ * @author Shop Admin System
+ * @version 2.0.0
+ */
+
+import {
+  collection,
+  doc,
+  getDocs,
+  query,
+  where,
+  orderBy,
+  limit,
+  startAfter,
+  documentId,
+  writeBatch
+} from 'firebase/firestore';
+import { db } from '../firebase';
+
+export const SEARCH_INDEX_VERSION = 1;
+
+/**
+ * Order fields the keywords are built from
+ */
+export const SEARCH_INDEXED_FIELDS = [
+  'orderId', 'userName', 'userEmail', 'userPhone', 'items', 'tracking', 'shipments', 'trackingNumbers'
+];
+
+const MIN_PREFIX_LENGTH = 2;
+const MAX_PREFIX_LENGTH = 20;
+const BACKFILL_PAGE_SIZE = 300;
+// Orders placed while the panel was closed are indexed when it opens
+const CATCH_UP_MS = 7 * 24 * 60 * 60 * 1000;
+
+const addPrefixes = (keywords, value) => {
+  const text = String(value).toLowerCase().trim();
+  if (text.length < MIN_PREFIX_LENGTH) {
+    return;
+  }
+  for (let length = MIN_PREFIX_LENGTH; length <= Math.min(text.length, MAX_PREFIX_LENGTH); length++) {
+    keywords.add(text.slice(0, length));
+  }
+};
+
+const splitWords = (value) => String(value || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+
+const phoneDigits = (value) => {
+  const digits = String(value || '').replace(/\D/g, '');
+  // Search on the national number so +91 / 0 prefixes don't matter
+  return digits.length > 10 ? digits.slice(-10) : digits;
+};
+
+/**
+ * Build the search keywords for an order
+ *
+ * @param {Object} order - Order data
+ * @param {string} orderId - Firestore document ID
+ * @returns {Array<string>} - Lowercase prefixes
+ */
+export const buildSearchKeywords = (order, orderId) => {
+  const keywords = new Set();
+
+  // Identifiers are searched from their start, as typed or pasted
+  [
+    orderId,
+    order.orderId,
+    order.userEmail,
+    order.tracking?.code,
+    ...(order.trackingNumbers || []),
+    ...(order.shipments || []).map(shipment => shipment.code)
+  ].filter(Boolean).forEach(value => addPrefixes(keywords, value));
+
+  // Names, email parts and product names are searched word by word
+  [order.userName, order.userEmail, ...(order.items || []).map(item => item.name)]
+    .forEach(value => splitWords(value).forEach(word => addPrefixes(keywords, word)));
+
+  const phone = phoneDigits(order.userPhone);
+  if (phone) {
+    addPrefixes(keywords, phone);
+  }
+
+  return [...keywords];
+};
+
+/**
+ * Turn what the admin typed into keywords to look up
+ * A phone number typed with spaces, dashes or a +country code becomes one
+ * token; anything else is split on whitespace.
+ *
+ * @param {string} term - Search input
+ * @returns {Array<string>} - Tokens, each at most MAX_PREFIX_LENGTH long (empty when too short to search)
+ */
+export const getSearchTokens = (term) => {
+  const text = String(term || '').toLowerCase().trim();
+  if (/^\+?[\d\s()-]+$/.test(text) && /\D/.test(text)) {
+    const phone = phoneDigits(text);
+    return phone.length >= MIN_PREFIX_LENGTH ? [phone.slice(0, MAX_PREFIX_LENGTH)] : [];
+  }
+  return [...new Set(
+    text.split(/\s+/)
+      .filter(token => token.length >= MIN_PREFIX_LENGTH)
+      .map(token => token.slice(0, MAX_PREFIX_LENGTH))
+  )];
+};
+
+/**
+ * Check an indexed order against every search token
+ * @param {Object} order - Order data with searchKeywords
+ * @param {Array<string>} tokens - From getSearchTokens
+ * @returns {boolean}
+ */
+export const matchesSearchTokens = (order, tokens) => {
+  const keywords = new Set(order.searchKeywords || []);
+  return tokens.every(token => keywords.has(token));
+};
+
+/**
+ * Add fresh search keywords to an order update when it touches indexed fields
+ *
+ * @param {string} orderId - Firestore document ID
+ * @param {Object} currentOrder - Order data before the update
+ * @param {Object} updateData - Fields being written
+ * @returns {Object} - updateData, with searchKeywords when needed
+ */
+export const withSearchKeywords = (orderId, currentOrder, updateData) => {
+  if (!Object.keys(updateData).some(field => SEARCH_INDEXED_FIELDS.includes(field))) {
+    return updateData;
+  }
+  return {
+    ...updateData,
+    searchKeywords: buildSearchKeywords({ ...currentOrder, ...updateData }, orderId),
+    searchIndexVersion: SEARCH_INDEX_VERSION
+  };
+};
+
+/**
+ * Order data for the customer's users/{uid}/orders copy, without the search keywords
+ *
+ * @param {Object} orderData - Order fields or update
+ * @returns {Object} - orderData without searchKeywords and searchIndexVersion
+ */
+export const withoutSearchKeywords = (orderData) => {
+  const { searchKeywords, searchIndexVersion, ...customerData } = orderData;
+  return customerData;
+};
+
+const needsIndexing = (order) =>
+  !Array.isArray(order.searchKeywords) || order.searchIndexVersion !== SEARCH_INDEX_VERSION;
+
+/**
+ * Order search index service class
+ * Writes keywords for orders created outside the admin
+ */
+class OrderSearchService {
+
+  /**
+   * Index orders that have no keywords or were indexed by an older scheme
+   * @param {Array<Object>} orders - Orders with id
+   * @returns {Promise<number>} - Number of orders indexed
+   */
+  static async indexOrders(orders) {
+    const pending = orders.filter(needsIndexing);
+    if (pending.length === 0) {
+      return 0;
+    }
+
+    // Firestore allows 500 writes per batch
+    for (let start = 0; start < pending.length; start += 500) {
+      const batch = writeBatch(db);
+      pending.slice(start, start + 500).forEach(order => {
+        batch.update(doc(db, 'orders', order.id), {
+          searchKeywords: buildSearchKeywords(order, order.id),
+          searchIndexVersion: SEARCH_INDEX_VERSION
+        });
+      });
+      await batch.commit();
+    }
+
+    console.log(`🔎 OrderSearchService: Indexed ${pending.length} order(s)`);
+    return pending.length;
+  }
+
+  /**
+   * Index the orders placed in the last CATCH_UP_MS that have no keywords
+   * Catches up on orders placed while no admin had the panel open.
+   * @returns {Promise<Object>} - { success, indexed, error }
+   */
+  static async indexRecentOrders() {
+    try {
+      const since = new Date(Date.now() - CATCH_UP_MS).toISOString();
+      const snapshot = await getDocs(query(collection(db, 'orders'), where('orderDate', '>=', since)));
+      const indexed = await this.indexOrders(snapshot.docs.map(orderDoc => ({ id: orderDoc.id, ...orderDoc.data() })));
+      return { success: true, indexed };
+
+    } catch (error) {
+      console.error('❌ OrderSearchService: Error indexing recent orders:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to index recent orders',
+        indexed: 0
+      };
+    }
+  }
+
+  /**
+   * Build keywords for every order in the collection
+   * Walks the collection in document ID order, one page per batch, so it can
+   * be run again safely - already indexed orders are skipped.
+   *
+   * @param {Function} onProgress - Called with { scanned, indexed } after each page
+   * @returns {Promise<Object>} - { success, scanned, indexed, error }
+   */
+  static async backfillSearchIndex(onProgress) {
+    console.log('🔎 OrderSearchService: Backfilling order search index');
+
+    let scanned = 0;
+    let indexed = 0;
+
+    try {
+      let lastDoc = null;
+      let hasMore = true;
+
+      while (hasMore) {
+        const pageQuery = lastDoc
+          ? query(collection(db, 'orders'), orderBy(documentId()), startAfter(lastDoc), limit(BACKFILL_PAGE_SIZE))
+          : query(collection(db, 'orders'), orderBy(documentId()), limit(BACKFILL_PAGE_SIZE));
+        const snapshot = await getDocs(pageQuery);
+
+        indexed += await this.indexOrders(snapshot.docs.map(orderDoc => ({ id: orderDoc.id, ...orderDoc.data() })));
+        scanned += snapshot.docs.length;
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+        hasMore = snapshot.docs.length === BACKFILL_PAGE_SIZE;
+
+        if (onProgress) {
+          onProgress({ scanned, indexed });
+        }
+      }
+
+      console.log(`✅ OrderSearchService: Backfill done, ${indexed} of ${scanned} orders indexed`);
+      return { success: true, scanned, indexed };
+
+    } catch (error) {
+      console.error('❌ OrderSearchService: Backfill failed:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to build the search index',
+        scanned,
+        indexed
+      };
+    }
+  }
+}
+
+export default OrderSearchService;
@@ -0,0 +1,75 @@
+import OrderSearchService, {
+  SEARCH_INDEX_VERSION,
+  buildSearchKeywords,
+  getSearchTokens,
+  withoutSearchKeywords
+} from './orderSearch';
+import { readDoc, resetFirestore } from '../testUtils/firestoreFake';
+
+jest.mock('../firebase', () => ({ db: {} }));
+jest.mock('firebase/firestore', () => require('../testUtils/firestoreFake'));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS).toISOString();
+
+describe('indexRecentOrders', () => {
+  beforeEach(() => {
+    resetFirestore({
+      'orders/recent': { orderId: 'A1001', userName: 'Asha Rao', orderDate: daysAgo(2) },
+      'orders/indexed': { orderId: 'A1000', orderDate: daysAgo(1), searchKeywords: ['kept'], searchIndexVersion: SEARCH_INDEX_VERSION },
+      'orders/old': { orderId: 'A0900', orderDate: daysAgo(30) }
+    });
+  });
+
+  test('indexes orders placed while the panel was closed', async () => {
+    expect(await OrderSearchService.indexRecentOrders()).toEqual({ success: true, indexed: 1 });
+
+    expect(readDoc('orders/recent')).toMatchObject({
+      searchKeywords: expect.arrayContaining(['a1001', 'asha', 'rao']),
+      searchIndexVersion: SEARCH_INDEX_VERSION
+    });
+    expect(readDoc('orders/indexed').searchKeywords).toEqual(['kept']);
+    // Older orders are left to the backfill job
+    expect(readDoc('orders/old')).not.toHaveProperty('searchKeywords');
+  });
+});
+
+describe('backfillSearchIndex', () => {
+  test('indexes every order and can be run again safely', async () => {
+    resetFirestore({
+      'orders/a': { orderId: 'A1001', orderDate: daysAgo(400) },
+      'orders/b': { orderId: 'A1002', orderDate: daysAgo(1), searchKeywords: ['a1'], searchIndexVersion: SEARCH_INDEX_VERSION - 1 },
+      'orders/c': { orderId: 'A1003', searchKeywords: ['kept'], searchIndexVersion: SEARCH_INDEX_VERSION }
+    });
+    const progress = [];
+
+    expect(await OrderSearchService.backfillSearchIndex(step => progress.push(step)))
+      .toEqual({ success: true, scanned: 3, indexed: 2 });
+    expect(progress).toEqual([{ scanned: 3, indexed: 2 }]);
+    expect(readDoc('orders/a').searchKeywords).toContain('a1001');
+    expect(readDoc('orders/b').searchKeywords).toContain('a1002');
+
+    expect(await OrderSearchService.backfillSearchIndex()).toEqual({ success: true, scanned: 3, indexed: 0 });
+  });
+});
+
+describe('search keywords', () => {
+  test('are built from the order number, customer, phone and tracking code', () => {
+    const keywords = buildSearchKeywords({
+      orderId: 'A1001',
+      userPhone: '+91 98765 43210',
+      tracking: { code: 'DL123' }
+    }, 'doc-1');
+    expect(keywords).toEqual(expect.arrayContaining(['do', 'doc-1', 'a1001', '9876543210', 'dl123']));
+  });
+
+  test('typed phone numbers become one token', () => {
+    expect(getSearchTokens('+91 98765-43210')).toEqual(['9876543210']);
+    expect(getSearchTokens('asha a')).toEqual(['asha']);
+  });
+
+  test('are left off the customer copy', () => {
+    expect(withoutSearchKeywords({ status: 'Placed', searchKeywords: ['pl'], searchIndexVersion: 1 }))
+      .toEqual({ status: 'Placed' });
+  });
+});
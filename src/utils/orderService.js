@@ -25,6 +25,7 @@ import {
   doc, 
   getDocs, 
   getDoc, 
+  setDoc, 
   updateDoc, 
   query, 
   where, 
@@ -33,9 +34,27 @@ import {
   startAfter,
   serverTimestamp,
   runTransaction,
-  writeBatch
+  writeBatch,
+  onSnapshot,
+  getCountFromServer,
+  deleteField
 } from 'firebase/firestore';
 import { db } from '../firebase';
+import { getCarrierAdapter, getCarrierConfigs } from './carriers';
+import InventoryService, { MOVEMENT_TYPES, readStockChanges, writeStockMovements } from './inventoryService';
+import {
+  SEARCH_INDEX_VERSION,
+  buildSearchKeywords,
+  getSearchTokens,
+  matchesSearchTokens,
+  withSearchKeywords,
+  withoutSearchKeywords
+} from './orderSearch';
+import CarrierRulesService, { evaluateCarrierRules } from './carrierRules';
+import { normalizeTagName } from './tagService';
+import { buildNote } from './orderNotesService';
+import CustomerNotificationService from './customerNotifications';
+import { COD_PAYMENT_METHOD } from './paymentMethods';
 
 /**
  * Order status constants for consistent admin management
@@ -45,6 +64,7 @@ export const ORDER_STATUSES = {
   PLACED: 'Placed',           // Initial order placement - requires admin approval
   APPROVED: 'Approved',       // Admin approved for processing
   PACKED: 'Packed',           // Order packed and ready for shipment
+  PARTIALLY_SHIPPED: 'Partially Shipped', // Some items shipped, others still to ship
   SHIPPED: 'Shipped',         // Order shipped with tracking information
   DELIVERED: 'Delivered',     // Order delivered to customer
   DECLINED: 'Declined',       // Admin declined the order
@@ -64,34 +84,538 @@ export const ORDER_PRIORITIES = {
 };
 
 /**
- * Shipping carrier configuration with tracking capabilities
- * Provides standardized carrier information for shipment processing
+ * Declarative order status state machine
+ * Every status change - single updates, shipping updates and bulk operations -
+ * must be an allowed transition in this table. Each transition lists the
+ * update fields it requires (see TRANSITION_REQUIREMENTS).
  */
-export const SHIPPING_CARRIERS = {
-  INDIA_POST: {
-    name: 'IndiaPost',
-    code: 'INDIAPOST',
-    trackingUrl: 'https://www.indiapost.gov.in/_layouts/15/dop.portal.tracking/trackconsignment.aspx',
-    estimatedDays: { standard: 7, express: 3 }
+export const ORDER_STATUS_TRANSITIONS = {
+  [ORDER_STATUSES.PLACED]: {
+    [ORDER_STATUSES.APPROVED]: { requires: [] },
+    [ORDER_STATUSES.DECLINED]: { requires: ['reason'] },
+    [ORDER_STATUSES.CANCELLED]: { requires: ['reason'] }
+  },
+  [ORDER_STATUSES.APPROVED]: {
+    [ORDER_STATUSES.PACKED]: { requires: [] },
+    [ORDER_STATUSES.CANCELLED]: { requires: ['reason'] }
+  },
+  [ORDER_STATUSES.PACKED]: {
+    [ORDER_STATUSES.PARTIALLY_SHIPPED]: { requires: ['tracking', 'shipments'] },
+    [ORDER_STATUSES.SHIPPED]: { requires: ['tracking'] },
+    [ORDER_STATUSES.CANCELLED]: { requires: ['reason'] }
+  },
+  [ORDER_STATUSES.PARTIALLY_SHIPPED]: {
+    [ORDER_STATUSES.SHIPPED]: { requires: ['tracking', 'shipments'] }
   },
-  DHL: {
-    name: 'DHL',
-    code: 'DHL',
-    trackingUrl: 'https://www.dhl.com/in-en/home/tracking.html',
-    estimatedDays: { standard: 3, express: 1 }
+  [ORDER_STATUSES.SHIPPED]: {
+    [ORDER_STATUSES.DELIVERED]: { requires: [] }
+  },
+  [ORDER_STATUSES.DELIVERED]: {
+    [ORDER_STATUSES.REFUNDED]: { requires: [] }
+  },
+  [ORDER_STATUSES.DECLINED]: {},   // Terminal state
+  [ORDER_STATUSES.CANCELLED]: {
+    [ORDER_STATUSES.REFUNDED]: { requires: [] }
+  },
+  [ORDER_STATUSES.REFUNDED]: {}    // Terminal state
+};
+
+/**
+ * Reverse transitions, used only to undo a bulk status change
+ * A change can only be reversed when everything the forward transition did
+ * can be taken back; each entry lists the order fields to clear. Packing
+ * assigns a carrier, shipping creates shipments and tracking, delivery and
+ * the terminal statuses move stock or money, so none of them are listed.
+ */
+export const ORDER_STATUS_REVERSALS = {
+  [ORDER_STATUSES.APPROVED]: {
+    [ORDER_STATUSES.PLACED]: { clears: ['approvedAt', 'approvedBy'] }
+  }
+};
+
+/**
+ * Validate reversing a status change
+ * @param {string} currentStatus - Status the order is in now
+ * @param {string} previousStatus - Status to go back to
+ * @returns {Object} - { valid, error }
+ */
+export const validateStatusReversal = (currentStatus, previousStatus) => {
+  if (!ORDER_STATUS_REVERSALS[currentStatus]?.[previousStatus]) {
+    return {
+      valid: false,
+      error: `Moving an order from ${previousStatus} to ${currentStatus} cannot be undone`
+    };
+  }
+  return { valid: true, error: null };
+};
+
+/**
+ * Checks for the fields a transition can require
+ * Each check receives the update info and the current order data
+ */
+const TRANSITION_REQUIREMENTS = {
+  reason: {
+    label: 'a reason',
+    isSatisfied: (updateInfo) => typeof updateInfo.reason === 'string' && updateInfo.reason.trim().length > 0
   },
-  FEDEX: {
-    name: 'FedEx',
-    code: 'FEDEX',
-    trackingUrl: 'https://www.fedex.com/en-in/tracking.html',
-    estimatedDays: { standard: 3, express: 1 }
+  tracking: {
+    label: 'tracking information (carrier and tracking number)',
+    isSatisfied: (updateInfo, currentOrder = {}) => {
+      const tracking = { ...currentOrder.tracking, ...updateInfo.tracking };
+      return Boolean(tracking.code && tracking.carrier);
+    }
   },
-  BLUEDART: {
-    name: 'BlueDart',
-    code: 'BLUEDART',
-    trackingUrl: 'https://www.bluedart.com/web/guest/trackdartresult',
-    estimatedDays: { standard: 2, express: 1 }
+  shipments: {
+    label: 'the shipments covering the shipped items',
+    isSatisfied: (updateInfo) => Array.isArray(updateInfo.shipments) && updateInfo.shipments.length > 0
+  }
+};
+
+/**
+ * Get the statuses an order can move to from its current status
+ * @param {string} currentStatus - Current order status
+ * @returns {Array<string>} - Allowed target statuses
+ */
+export const getAllowedTransitions = (currentStatus) => {
+  return Object.keys(ORDER_STATUS_TRANSITIONS[currentStatus] || {});
+};
+
+/**
+ * Get the fields required to move an order between two statuses
+ * @param {string} currentStatus - Current order status
+ * @param {string} newStatus - Target status
+ * @returns {Array<string>} - Required field names (empty if none or not allowed)
+ */
+export const getTransitionRequirements = (currentStatus, newStatus) => {
+  return ORDER_STATUS_TRANSITIONS[currentStatus]?.[newStatus]?.requires || [];
+};
+
+/**
+ * Validate a status transition against the state machine
+ * @param {string} currentStatus - Current order status
+ * @param {string} newStatus - Target status
+ * @param {Object} updateInfo - Update information supplied with the change
+ * @param {Object} currentOrder - Current order data (used for requirement checks)
+ * @returns {Object} - { valid, error }
+ */
+export const validateStatusTransition = (currentStatus, newStatus, updateInfo = {}, currentOrder = {}) => {
+  if (!Object.values(ORDER_STATUSES).includes(newStatus)) {
+    return {
+      valid: false,
+      error: `Invalid order status: ${newStatus}. Must be one of: ${Object.values(ORDER_STATUSES).join(', ')}`
+    };
+  }
+  
+  if (!ORDER_STATUS_TRANSITIONS[currentStatus]) {
+    return {
+      valid: false,
+      error: `Order has an unrecognised status "${currentStatus}" and cannot be moved to ${newStatus}`
+    };
+  }
+  
+  if (currentStatus === newStatus) {
+    return { valid: false, error: `Order is already ${newStatus}` };
+  }
+  
+  const transition = ORDER_STATUS_TRANSITIONS[currentStatus][newStatus];
+  if (!transition) {
+    const allowed = getAllowedTransitions(currentStatus);
+    return {
+      valid: false,
+      error: `Cannot move order from ${currentStatus} to ${newStatus}. ` +
+        (allowed.length > 0 ? `Allowed: ${allowed.join(', ')}` : `${currentStatus} is a final status`)
+    };
+  }
+  
+  // Orders held by the risk rules (or an admin) need the hold released first
+  if (newStatus === ORDER_STATUSES.APPROVED && currentOrder.hold?.active) {
+    return {
+      valid: false,
+      error: `Order is on hold: ${currentOrder.hold.reason || 'no reason given'}. Release the hold before approving it`
+    };
+  }
+  
+  const missing = transition.requires.filter(field => 
+    !TRANSITION_REQUIREMENTS[field].isSatisfied(updateInfo, currentOrder)
+  );
+  if (missing.length > 0) {
+    return {
+      valid: false,
+      error: `Moving an order to ${newStatus} requires ${missing.map(field => TRANSITION_REQUIREMENTS[field].label).join(' and ')}`
+    };
+  }
+  
+  return { valid: true, error: null };
+};
+
+/**
+ * Count the units of each order line already in a shipment
+ * @param {Object} order - Order data
+ * @param {Array<Object>} shipments - Shipments to count (defaults to order.shipments)
+ * @returns {Array<number>} - Shipped quantity per order line
+ */
+export const getShippedQuantities = (order, shipments = order.shipments || []) => {
+  const shipped = (order.items || []).map(() => 0);
+  shipments.forEach(shipment => {
+    (shipment.items || []).forEach(item => {
+      if (shipped[item.lineIndex] !== undefined) {
+        shipped[item.lineIndex] += item.quantity;
+      }
+    });
+  });
+  return shipped;
+};
+
+/**
+ * Get the units of each order line not yet in any shipment
+ * @param {Object} order - Order data
+ * @param {Array<Object>} shipments - Shipments to count (defaults to order.shipments)
+ * @returns {Array<number>} - Unshipped quantity per order line
+ */
+export const getUnshippedQuantities = (order, shipments = order.shipments || []) => {
+  const shipped = getShippedQuantities(order, shipments);
+  return (order.items || []).map((item, index) => Math.max(0, (item.quantity || 0) - shipped[index]));
+};
+
+/**
+ * Derive the fulfilment status of an order from its shipments
+ * - Some units unshipped → Partially Shipped
+ * - Everything shipped → Shipped
+ * - Everything shipped and every shipment delivered → Delivered
+ * 
+ * @param {Object} order - Order data
+ * @param {Array<Object>} shipments - Shipments to evaluate
+ * @returns {string|null} - Derived status, or null when nothing has shipped
+ */
+export const deriveFulfillmentStatus = (order, shipments) => {
+  if (!shipments || shipments.length === 0) {
+    return null;
+  }
+  
+  const allShipped = getUnshippedQuantities(order, shipments).every(quantity => quantity === 0);
+  if (!allShipped) {
+    return ORDER_STATUSES.PARTIALLY_SHIPPED;
+  }
+  return shipments.every(shipment => shipment.deliveredDate)
+    ? ORDER_STATUSES.DELIVERED
+    : ORDER_STATUSES.SHIPPED;
+};
+
+/**
+ * Shipping carrier configuration with tracking capabilities
+ * Built from the carrier adapters in ./carriers - register new carriers there
+ */
+export const SHIPPING_CARRIERS = getCarrierConfigs();
+
+/**
+ * Tracking numbers of a set of shipments, stored on the order so carrier
+ * webhooks can find it with an array-contains query
+ * @param {Array<Object>} shipments - Shipments
+ * @returns {Array<string>} - Unique tracking numbers
+ */
+const collectTrackingNumbers = (shipments = []) => 
+  [...new Set(shipments.map(shipment => shipment.code).filter(Boolean))];
+
+/**
+ * Refund methods recorded in the refund ledger
+ */
+export const REFUND_METHODS = {
+  ORIGINAL: 'original_payment_method',
+  UPI: 'upi',
+  BANK_TRANSFER: 'bank_transfer',
+  STORE_CREDIT: 'store_credit',
+  CASH: 'cash'
+};
+
+/**
+ * Summarise refunds against an order
+ * Orders refunded before the ledger existed only have a single refundAmount
+ * 
+ * @param {Object} order - Order data
+ * @returns {Object} - { orderTotal, refundedTotal, remaining }
+ */
+export const getRefundSummary = (order = {}) => {
+  const orderTotal = Number(order.financials?.total || order.total || 0);
+  const refundedTotal = Array.isArray(order.refunds)
+    ? order.refunds.reduce((sum, refund) => sum + (Number(refund.amount) || 0), 0)
+    : Number(order.refundAmount || 0);
+  const roundedRefunded = Math.round(refundedTotal * 100) / 100;
+  return {
+    orderTotal,
+    refundedTotal: roundedRefunded,
+    remaining: Math.max(0, Math.round((orderTotal - roundedRefunded) * 100) / 100)
+  };
+};
+
+/**
+ * Statuses in which admins may still change an order's items and address
+ */
+export const EDITABLE_ORDER_STATUSES = [ORDER_STATUSES.PLACED, ORDER_STATUSES.APPROVED];
+
+/**
+ * Shipping address fields admins can edit
+ */
+export const EDITABLE_ADDRESS_FIELDS = ['houseNo', 'line1', 'line2', 'city', 'state', 'pin', 'country'];
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+const sumItems = (items = []) => 
+  items.reduce((sum, item) => sum + (Number(item.price) || 0) * (Number(item.quantity) || 0), 0);
+
+const itemKey = (item) => `${item.productId || ''}|${item.name || ''}`;
+
+/**
+ * Work out the discount a coupon gives on a set of items
+ * Uses the coupon fields managed in Coupon Management (discountType,
+ * discountValue, minOrderAmount, maxDiscountAmount, applicableProducts).
+ * 
+ * @param {Object} coupon - Coupon data
+ * @param {Array<Object>} items - Order items
+ * @returns {number} - Discount amount
+ */
+export const calculateCouponDiscount = (coupon, items) => {
+  const subtotal = sumItems(items);
+  if (Number(coupon.minOrderAmount) > 0 && subtotal < Number(coupon.minOrderAmount)) {
+    return 0;
+  }
+  
+  const eligibleItems = coupon.applicableProducts?.length
+    ? items.filter(item => coupon.applicableProducts.includes(item.productId))
+    : items;
+  const eligibleTotal = sumItems(eligibleItems);
+  
+  let discount = coupon.discountType === 'percentage'
+    ? eligibleTotal * Number(coupon.discountValue || 0) / 100
+    : Math.min(Number(coupon.discountValue || 0), eligibleTotal);
+  if (Number(coupon.maxDiscountAmount) > 0) {
+    discount = Math.min(discount, Number(coupon.maxDiscountAmount));
+  }
+  return roundCurrency(discount);
+};
+
+/**
+ * Recalculate an order's financials for a new set of items
+ * The subtotal is rebuilt from the items and the coupon discount is reapplied.
+ * Tax is scaled with the subtotal, shipping is unchanged, and the total moves
+ * by the same deltas so it keeps the storefront's own total formula.
+ * Without coupon details the existing discount is kept (capped at the subtotal).
+ * 
+ * @param {Object} order - Current order data
+ * @param {Array<Object>} items - New items
+ * @param {Object|null} coupon - Coupon applied to the order
+ * @returns {Object} - New financials { subtotal, discount, tax, shipping, total }
+ */
+export const recalculateOrderFinancials = (order, items, coupon = null) => {
+  const financials = order.financials || {};
+  const before = {
+    subtotal: Number(financials.subtotal ?? order.subtotal ?? sumItems(order.items)),
+    discount: Number(financials.discount ?? order.discount ?? 0),
+    tax: Number(financials.tax ?? order.tax ?? 0),
+    shipping: Number(financials.shipping ?? order.shipping?.cost ?? 0)
+  };
+  before.total = Number(financials.total ?? order.total ?? 
+    (before.subtotal - before.discount + before.tax + before.shipping));
+  
+  const subtotal = roundCurrency(sumItems(items));
+  const discount = coupon ? calculateCouponDiscount(coupon, items) : Math.min(before.discount, subtotal);
+  const tax = before.subtotal > 0 ? roundCurrency(before.tax * subtotal / before.subtotal) : before.tax;
+  
+  return {
+    ...financials,
+    subtotal,
+    discount,
+    tax,
+    shipping: before.shipping,
+    total: roundCurrency(before.total + (subtotal - before.subtotal) - (discount - before.discount) + (tax - before.tax))
+  };
+};
+
+/**
+ * Describe how an order's items changed
+ * @param {Array<Object>} oldItems - Items before the edit
+ * @param {Array<Object>} newItems - Items after the edit
+ * @returns {Array<Object>} - [{ change: 'added'|'removed'|'quantity', productId, name, from, to }]
+ */
+export const diffOrderItems = (oldItems = [], newItems = []) => {
+  const oldByKey = new Map(oldItems.map(item => [itemKey(item), item]));
+  const newByKey = new Map(newItems.map(item => [itemKey(item), item]));
+  const changes = [];
+  
+  oldItems.forEach(item => {
+    const updated = newByKey.get(itemKey(item));
+    if (!updated) {
+      changes.push({ change: 'removed', productId: item.productId || null, name: item.name, from: item.quantity, to: 0 });
+    } else if (updated.quantity !== item.quantity) {
+      changes.push({ change: 'quantity', productId: item.productId || null, name: item.name, from: item.quantity, to: updated.quantity });
+    }
+  });
+  newItems.forEach(item => {
+    if (!oldByKey.has(itemKey(item))) {
+      changes.push({ change: 'added', productId: item.productId || null, name: item.name, from: 0, to: item.quantity });
+    }
+  });
+  
+  return changes;
+};
+
+/**
+ * Payment options for orders created by admins (phone and WhatsApp orders)
+ */
+export const MANUAL_PAYMENT_METHODS = {
+  COD: { method: COD_PAYMENT_METHOD, status: 'pending', label: 'Cash on delivery' },
+  BANK_TRANSFER: { method: 'Bank Transfer', status: 'pending', label: 'Bank transfer' },
+  PAID: { method: 'Paid', status: 'paid', label: 'Already paid' }
+};
+
+/**
+ * Channels a manual order can come in through
+ */
+export const MANUAL_ORDER_CHANNELS = {
+  PHONE: 'phone',
+  WHATSAPP: 'whatsapp'
+};
+
+// How far the storefront's clock may run behind the admin's when watching for new orders
+const NEW_ORDER_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Manual orders are numbered from order_counters/manual, e.g. MAN-00042
+const MANUAL_ORDER_COUNTER_ID = 'manual';
+const MANUAL_ORDER_PREFIX = 'MAN';
+
+/**
+ * Order number shown for a manual order
+ * @param {number} sequence - Position in the manual order sequence
+ * @returns {string}
+ */
+export const formatManualOrderNumber = (sequence) =>
+  `${MANUAL_ORDER_PREFIX}-${String(sequence).padStart(5, '0')}`;
+
+/**
+ * Bulk operations on selected orders
+ * Every run is saved in the `bulk_jobs` collection, with each order's result
+ * and the value it had before in the job's `results` subcollection, so
+ * failures can be retried and the whole run undone.
+ */
+export const BULK_JOBS_COLLECTION = 'bulk_jobs';
+const BULK_RESULTS_COLLECTION = 'results';
+
+export const BULK_OPERATIONS = {
+  UPDATE_STATUS: 'update_status',
+  UPDATE_PRIORITY: 'update_priority',
+  ADD_TAG: 'add_tag',
+  REMOVE_TAG: 'remove_tag',
+  ADD_ADMIN_NOTE: 'add_admin_note'
+};
+
+export const BULK_OPERATION_LABELS = {
+  [BULK_OPERATIONS.UPDATE_STATUS]: 'Update status',
+  [BULK_OPERATIONS.UPDATE_PRIORITY]: 'Update priority',
+  [BULK_OPERATIONS.ADD_TAG]: 'Add tag',
+  [BULK_OPERATIONS.REMOVE_TAG]: 'Remove tag',
+  [BULK_OPERATIONS.ADD_ADMIN_NOTE]: 'Add admin note'
+};
+
+export const BULK_JOB_STATES = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  COMPLETED_WITH_ERRORS: 'completed_with_errors',
+  FAILED: 'failed',                      // Stopped part-way; retry picks up the orders not processed
+  PARTIALLY_UNDONE: 'partially_undone',  // Some orders could not be restored; undo can be run again
+  UNDONE: 'undone'
+};
+
+// Firestore allows 500 writes per batch
+const BULK_BATCH_WRITE_LIMIT = 500;
+// Orders changed at the same time; each change is its own transaction
+const BULK_CONCURRENCY = 10;
+
+// The order field each operation changes, which undo restores
+const BULK_UNDO_FIELDS = {
+  [BULK_OPERATIONS.UPDATE_STATUS]: 'status',
+  [BULK_OPERATIONS.UPDATE_PRIORITY]: 'priority',
+  [BULK_OPERATIONS.ADD_TAG]: 'tags',
+  [BULK_OPERATIONS.REMOVE_TAG]: 'tags'
+};
+
+const chunkIds = (ids, size) => {
+  const chunks = [];
+  for (let i = 0; i < ids.length; i += size) {
+    chunks.push(ids.slice(i, i + size));
+  }
+  return chunks;
+};
+
+const sameFieldValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Why a bulk job cannot be undone
+ * @param {Object} job - Bulk job record
+ * @returns {string|null} - Reason, or null when it can be undone
+ */
+export const getBulkUndoProblem = (job) => {
+  if (job.state === BULK_JOB_STATES.UNDONE) {
+    return 'This bulk run has already been undone';
+  }
+  if (job.state === BULK_JOB_STATES.RUNNING) {
+    return 'This bulk run is still in progress';
+  }
+  if (!BULK_UNDO_FIELDS[job.operation]) {
+    return `${BULK_OPERATION_LABELS[job.operation] || job.operation} cannot be undone`;
+  }
+  // Only statuses with a reverse transition (see ORDER_STATUS_REVERSALS)
+  if (job.operation === BULK_OPERATIONS.UPDATE_STATUS && !ORDER_STATUS_REVERSALS[job.operationData?.status]) {
+    return `Moving orders to ${job.operationData?.status} cannot be undone`;
+  }
+  return null;
+};
+
+/**
+ * Results of a bulk job that undo still has to restore: orders it changed
+ * that an earlier undo has not already restored
+ * @param {Array<Object>} results - Per-order results of the job
+ * @returns {Array<Object>} - Per-order results
+ */
+export const getBulkUndoPending = (results) => {
+  return results.filter(result => result.success && !result.unchanged && !result.undo?.success);
+};
+
+/**
+ * How many orders undoing a bulk job would restore
+ * @param {Object} job - Bulk job record
+ * @returns {number}
+ */
+export const getBulkUndoPendingCount = (job) => Math.max(0, (job.changedCount || 0) - (job.restoredCount || 0));
+
+/**
+ * Check whether a coupon can be used on a set of items today
+ * @param {Object} coupon - Coupon data
+ * @param {Array<Object>} items - Order items
+ * @param {Date} now - Check time
+ * @returns {string|null} - Why the coupon cannot be used, or null when it can
+ */
+export const getCouponProblem = (coupon, items, now = new Date()) => {
+  const today = new Date(now);
+  today.setHours(0, 0, 0, 0);
+  
+  if (!coupon.isActive) {
+    return `Coupon ${coupon.code} is not active`;
+  }
+  if (coupon.startDate && new Date(coupon.startDate) > now) {
+    return `Coupon ${coupon.code} is not valid yet`;
+  }
+  if (coupon.endDate && new Date(coupon.endDate) < today) {
+    return `Coupon ${coupon.code} has expired`;
+  }
+  if (Number(coupon.maxUses) > 0 && Number(coupon.usedCount || 0) >= Number(coupon.maxUses)) {
+    return `Coupon ${coupon.code} has been used the maximum number of times`;
+  }
+  if (Number(coupon.minOrderAmount) > 0 && sumItems(items) < Number(coupon.minOrderAmount)) {
+    return `Coupon ${coupon.code} needs a minimum order of ${coupon.minOrderAmount}`;
+  }
+  if (coupon.applicableProducts?.length && !items.some(item => coupon.applicableProducts.includes(item.productId))) {
+    return `Coupon ${coupon.code} does not apply to these products`;
   }
+  return null;
 };
 
 /**
@@ -168,6 +692,125 @@ class AdminOrderService {
     }
   }
   
+  /**
+   * Build the Firestore query for the order list filters
+   * Shared by the paged list, the status counts and the full export so they
+   * always agree on which orders match. No ordering or limit is applied.
+   * Conditions Firestore can't combine in one query are returned as
+   * matchesOrder, to be checked on the fetched orders.
+   * 
+   * @param {Object} filters - { status, priority, carrier, tags, userId, userEmail, searchTerm, startDate, endDate, minAmount }
+   * @returns {Object} - { ordersQuery, matchesOrder } with matchesOrder null when the query covers everything
+   */
+  static buildOrdersQuery(filters = {}) {
+    let ordersQuery = collection(db, "orders");
+    
+    // Apply status filter for order workflow management
+    if (filters.status && filters.status !== 'all') {
+      ordersQuery = query(ordersQuery, where("status", "==", filters.status));
+    }
+    
+    // Apply user/customer filter for customer-specific order management
+    if (filters.userId) {
+      ordersQuery = query(ordersQuery, where("userId", "==", filters.userId));
+    }
+    
+    // Apply email filter for customer lookup
+    if (filters.userEmail) {
+      ordersQuery = query(ordersQuery, where("userEmail", "==", filters.userEmail));
+    }
+    
+    // Search runs on the keyword index so it covers the whole order history.
+    // Firestore allows one array-contains per query, so the longest token is
+    // matched there and any other tokens are checked on the results.
+    const searchTokens = filters.searchTerm ? getSearchTokens(filters.searchTerm) : [];
+    if (searchTokens.length > 0) {
+      const queryToken = [...searchTokens].sort((a, b) => b.length - a.length)[0];
+      ordersQuery = query(ordersQuery, where("searchKeywords", "array-contains", queryToken));
+    }
+    
+    // Apply date range filters for time-based analysis. The storefront writes
+    // orderDate as an ISO string, which sorts the same way as the dates.
+    if (filters.startDate) {
+      const startDate = new Date(filters.startDate);
+      ordersQuery = query(ordersQuery, where("orderDate", ">=", startDate.toISOString()));
+    }
+    
+    if (filters.endDate) {
+      const endDate = new Date(filters.endDate);
+      endDate.setHours(23, 59, 59, 999); // End of day
+      ordersQuery = query(ordersQuery, where("orderDate", "<=", endDate.toISOString()));
+    }
+    
+    // Apply priority filter for workflow management
+    if (filters.priority && filters.priority !== 'all') {
+      ordersQuery = query(ordersQuery, where("priority", "==", filters.priority));
+    }
+    
+    // Apply carrier filter for shipped orders
+    if (filters.carrier && filters.carrier !== 'all') {
+      ordersQuery = query(ordersQuery, where("tracking.carrier", "==", filters.carrier));
+    }
+    
+    // Apply minimum amount filter for high-value order tracking
+    if (filters.minAmount) {
+      ordersQuery = query(ordersQuery, where("total", ">=", parseFloat(filters.minAmount)));
+    }
+    
+    // Apply tag filter - orders carrying any of the selected tags. Firestore
+    // allows one array filter per query, so with a search the tags are checked
+    // on the results instead.
+    const tags = (filters.tags || []).slice(0, 30);
+    const checkTagsOnResults = tags.length > 0 && searchTokens.length > 0;
+    if (tags.length > 0 && !checkTagsOnResults) {
+      ordersQuery = query(ordersQuery, where("tags", "array-contains-any", tags));
+    }
+    
+    const matchesOrder = (searchTokens.length > 1 || checkTagsOnResults)
+      ? (order) => matchesSearchTokens(order, searchTokens) &&
+          (!checkTagsOnResults || (order.tags || []).some(tag => tags.includes(tag)))
+      : null;
+    
+    return { ordersQuery, matchesOrder };
+  }
+  
+  /**
+   * Count matching orders per status with Firestore aggregate queries
+   * Each count is billed as one read per 1000 matching index entries, so the
+   * status tabs stay cheap however large the orders collection grows.
+   * Conditions checked on fetched orders (see buildOrdersQuery) are not
+   * counted, e.g. a multi-word search is counted on its longest word only.
+   * 
+   * @param {Object} filters - List filters as for buildOrdersQuery (status is ignored)
+   * @param {Array<string>} statuses - Statuses to count
+   * @returns {Promise<Object>} - { success, counts: { all, [status]: count }, error }
+   */
+  static async getOrderCounts(filters = {}, statuses = Object.values(ORDER_STATUSES)) {
+    try {
+      const countOrders = async (status) => {
+        const { ordersQuery } = this.buildOrdersQuery({ ...filters, status });
+        const snapshot = await getCountFromServer(ordersQuery);
+        return snapshot.data().count;
+      };
+      
+      const [all, ...statusCounts] = await Promise.all([countOrders('all'), ...statuses.map(countOrders)]);
+      const counts = { all };
+      statuses.forEach((status, index) => {
+        counts[status] = statusCounts[index];
+      });
+      
+      return { success: true, counts };
+      
+    } catch (error) {
+      console.error('❌ AdminOrderService: Error counting orders:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to count orders',
+        counts: null
+      };
+    }
+  }
+  
   /**
    * Fetch all orders with advanced filtering and pagination
    * This method provides flexible order retrieval with multiple filter options
@@ -181,48 +824,11 @@ class AdminOrderService {
     console.log('🔍 AdminOrderService: Fetching orders with filters:', filters);
     
     try {
-      let ordersQuery = collection(db, "orders");
-      console.log('🔍 AdminOrderService: Initial query created for collection "orders"');
-      
-      // Apply status filter for order workflow management
-      if (filters.status && filters.status !== 'all') {
-        ordersQuery = query(ordersQuery, where("status", "==", filters.status));
-      }
-      
-      // Apply user/customer filter for customer-specific order management
-      if (filters.userId) {
-        ordersQuery = query(ordersQuery, where("userId", "==", filters.userId));
-      }
-      
-      // Apply email filter for customer lookup
-      if (filters.userEmail) {
-        ordersQuery = query(ordersQuery, where("userEmail", "==", filters.userEmail));
-      }
-      
-      // Apply date range filters for time-based analysis
-      if (filters.startDate) {
-        const startDate = new Date(filters.startDate);
-        ordersQuery = query(ordersQuery, where("createdAt", ">=", startDate));
-      }
-      
-      if (filters.endDate) {
-        const endDate = new Date(filters.endDate);
-        endDate.setHours(23, 59, 59, 999); // End of day
-        ordersQuery = query(ordersQuery, where("createdAt", "<=", endDate));
-      }
-      
-      // Apply priority filter for workflow management
-      if (filters.priority) {
-        ordersQuery = query(ordersQuery, where("priority", "==", filters.priority));
-      }
-      
-      // Apply minimum amount filter for high-value order tracking
-      if (filters.minAmount) {
-        ordersQuery = query(ordersQuery, where("total", ">=", parseFloat(filters.minAmount)));
-      }
+      const { ordersQuery: filteredQuery, matchesOrder } = this.buildOrdersQuery(filters);
+      let ordersQuery = filteredQuery;
       
       // Apply ordering for consistent data presentation
-      const orderField = filters.orderBy || "createdAt";
+      const orderField = filters.orderBy || "orderDate";
       const orderDirection = filters.orderDirection || "desc";
       
       // Try to apply ordering, but catch errors in case the field doesn't exist
@@ -256,49 +862,12 @@ class AdminOrderService {
       const orders = ordersSnapshot.docs.map(doc => {
         const data = doc.data();
         console.log(`🔍 AdminOrderService: Processing document ${doc.id}:`, data);
-        
-        // Handle different date field formats
-        let orderDate = null;
-        if (data.createdAt && typeof data.createdAt.toDate === 'function') {
-          orderDate = data.createdAt.toDate();
-        } else if (data.createdAt) {
-          orderDate = new Date(data.createdAt);
-        } else if (data.orderDate) {
-          orderDate = new Date(data.orderDate);
-        } else if (data.timestamp) {
-          orderDate = new Date(data.timestamp);
-        }
-        
-        return {
-          id: doc.id,
-          ...data,
-          // Ensure consistent data structure for admin interface
-          total: data.financials?.total || data.total || data.amount || 0,
-          subtotal: data.financials?.subtotal || data.subtotal || 0,
-          orderDate: orderDate,
-          // Calculate order age for processing prioritization
-          orderAge: orderDate ? 
-            Math.floor((new Date() - orderDate) / (1000 * 60 * 60 * 24)) : 0
-        };
+        return this.normalizeOrder(doc.id, data);
       });
       
       // Apply client-side filters that can't be done in Firestore
-      let filteredOrders = orders;
-      
-      // Search functionality for order ID, customer name, or product names
-      if (filters.searchTerm) {
-        const searchTerm = filters.searchTerm.toLowerCase();
-        filteredOrders = orders.filter(order => {
-          return (
-            order.orderId?.toLowerCase().includes(searchTerm) ||
-            order.userName?.toLowerCase().includes(searchTerm) ||
-            order.userEmail?.toLowerCase().includes(searchTerm) ||
-            order.items?.some(item => 
-              item.name?.toLowerCase().includes(searchTerm)
-            )
-          );
-        });
-      }
+      // (remaining search words, tags alongside a search)
+      const filteredOrders = matchesOrder ? orders.filter(matchesOrder) : orders;
       
       console.log(`✅ AdminOrderService: Retrieved ${filteredOrders.length} orders`);
       
@@ -307,7 +876,8 @@ class AdminOrderService {
         orders: filteredOrders,
         totalCount: filteredOrders.length,
         lastDoc: ordersSnapshot.docs[ordersSnapshot.docs.length - 1] || null,
-        hasMore: ordersSnapshot.docs.length === (pagination.limit || 0)
+        // Without a limit the query returned every match
+        hasMore: Boolean(pagination.limit) && ordersSnapshot.docs.length === pagination.limit
       };
     } catch (error) {
       console.error('❌ AdminOrderService: Error fetching orders:', error);
@@ -321,198 +891,1439 @@ class AdminOrderService {
   }
   
   /**
-   * Update order status with comprehensive admin tracking
-   * This method handles status changes with full audit trail and notification support
+   * Normalize raw order document data into the shape used by the admin interface
+   * Handles the different date and total fields used by storefront versions
    * 
-   * @param {string} orderId - Order ID to update
-   * @param {string} newStatus - New status from ORDER_STATUSES
-   * @param {Object} updateInfo - Additional update information
-   * @param {string} adminUserId - Admin user performing the update
-   * @returns {Promise<Object>} - Update result with comprehensive feedback
+   * @param {string} id - Firestore document ID
+   * @param {Object} data - Raw document data
+   * @returns {Object} - Normalized order
    */
-  static async updateOrderStatus(orderId, newStatus, updateInfo = {}, adminUserId = 'admin') {
-    console.log(`🔄 AdminOrderService: Updating order ${orderId} to status ${newStatus}`);
+  static normalizeOrder(id, data) {
+    // Handle different date field formats
+    let orderDate = null;
+    if (data.createdAt && typeof data.createdAt.toDate === 'function') {
+      orderDate = data.createdAt.toDate();
+    } else if (data.createdAt) {
+      orderDate = new Date(data.createdAt);
+    } else if (data.orderDate) {
+      orderDate = new Date(data.orderDate);
+    } else if (data.timestamp) {
+      orderDate = new Date(data.timestamp);
+    }
+    
+    return {
+      id: id,
+      ...data,
+      // Ensure consistent data structure for admin interface
+      total: data.financials?.total || data.total || data.amount || 0,
+      subtotal: data.financials?.subtotal || data.subtotal || 0,
+      orderDate: orderDate,
+      // Calculate order age for processing prioritization
+      orderAge: orderDate ? 
+        Math.floor((new Date() - orderDate) / (1000 * 60 * 60 * 24)) : 0
+    };
+  }
+  
+  /**
+   * Subscribe to one page of the order list
+   * Pages are ordered newest first and addressed by a cursor (the last
+   * document of the previous page), so only one page of orders is streamed.
+   * One extra document is fetched to tell whether a next page exists.
+   * 
+   * @param {Object} filters - List filters as for buildOrdersQuery
+   * @param {Object} page - { pageSize, cursor } with cursor null for the first page
+   * @param {Function} onUpdate - Called with { orders, changes, isInitial, lastDoc, hasMore } on every snapshot
+   * @param {Function} onError - Called with the error if the listener fails
+   * @returns {Function} - Unsubscribe function
+   */
+  static subscribeToOrderPage(filters = {}, { pageSize, cursor = null }, onUpdate, onError) {
+    console.log(`📡 AdminOrderService: Subscribing to a page of ${pageSize} orders with filters:`, filters);
+    
+    const { ordersQuery, matchesOrder } = this.buildOrdersQuery(filters);
+    const pageQuery = cursor
+      ? query(ordersQuery, orderBy("orderDate", "desc"), startAfter(cursor), limit(pageSize + 1))
+      : query(ordersQuery, orderBy("orderDate", "desc"), limit(pageSize + 1));
+    
+    let isInitial = true;
+    
+    return onSnapshot(pageQuery, (snapshot) => {
+      const pageDocs = snapshot.docs.slice(0, pageSize);
+      const orders = pageDocs
+        .map(orderDoc => this.normalizeOrder(orderDoc.id, orderDoc.data()))
+        .filter(order => !matchesOrder || matchesOrder(order));
+      
+      const changes = snapshot.docChanges().map(change => ({
+        type: change.type,
+        order: this.normalizeOrder(change.doc.id, change.doc.data())
+      }));
+      
+      onUpdate({
+        orders,
+        changes,
+        isInitial,
+        lastDoc: pageDocs[pageDocs.length - 1] || null,
+        hasMore: snapshot.docs.length > pageSize
+      });
+      isInitial = false;
+    }, (error) => {
+      console.error('❌ AdminOrderService: Live order page subscription failed:', error);
+      if (onError) {
+        onError(error);
+      }
+    });
+  }
+  
+  /**
+   * Subscribe to newly placed orders
+   * Only orders placed after the subscription started are watched, so orders
+   * that move back to Placed (e.g. an undone approval) are not reported as
+   * new. The initial snapshot is treated as already seen; only orders that
+   * arrive afterwards are reported, which makes this suitable for new-order
+   * alerts.
+   * 
+   * @param {Function} onNewOrders - Called with an array of newly placed orders
+   * @param {Function} onError - Called with the error if the listener fails
+   * @returns {Function} - Unsubscribe function
+   */
+  static subscribeToNewOrders(onNewOrders, onError) {
+    // orderDate comes from the storefront's clock; allow for it running behind this one
+    const since = new Date(Date.now() - NEW_ORDER_CLOCK_SKEW_MS).toISOString();
+    const newOrdersQuery = query(collection(db, "orders"), where("orderDate", ">=", since));
+    let isInitial = true;
+    
+    return onSnapshot(newOrdersQuery, (snapshot) => {
+      if (isInitial) {
+        isInitial = false;
+        return;
+      }
+      
+      const newOrders = snapshot.docChanges()
+        .filter(change => change.type === 'added' && change.doc.data().status === ORDER_STATUSES.PLACED)
+        .map(change => this.normalizeOrder(change.doc.id, change.doc.data()));
+      
+      if (newOrders.length > 0) {
+        console.log(`🔔 AdminOrderService: ${newOrders.length} new order(s) placed`);
+        onNewOrders(newOrders);
+      }
+    }, (error) => {
+      console.error('❌ AdminOrderService: New order subscription failed:', error);
+      if (onError) {
+        onError(error);
+      }
+    });
+  }
+  
+  /**
+   * Fetch a single order by its Firestore document ID
+   * Used by the order detail page so orders can be opened from a direct link
+   * 
+   * @param {string} orderId - Order document ID
+   * @returns {Promise<Object>} - Order lookup result
+   */
+  static async getOrderById(orderId) {
+    console.log(`🔍 AdminOrderService: Fetching order ${orderId}`);
+    
+    try {
+      if (!orderId) {
+        throw new Error('Order ID is required');
+      }
+      
+      const orderSnapshot = await getDoc(doc(db, "orders", orderId));
+      
+      if (!orderSnapshot.exists()) {
+        throw new Error(`Order with ID ${orderId} not found in database`);
+      }
+      
+      return {
+        success: true,
+        order: this.normalizeOrder(orderSnapshot.id, orderSnapshot.data())
+      };
+    } catch (error) {
+      console.error('❌ AdminOrderService: Error fetching order:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to fetch order',
+        order: null
+      };
+    }
+  }
+  
+  /**
+   * Update admin-only order fields (notes, tags and priority)
+   * These fields never affect the order workflow, so no status validation is needed
+   * 
+   * @param {string} orderId - Order ID to update
+   * @param {Object} fields - Fields to update ({ adminNotes, tags, priority })
+   * @param {string} adminUserId - Admin user performing the update
+   * @returns {Promise<Object>} - Update result
+   */
+  static async updateAdminFields(orderId, fields, adminUserId = 'admin') {
+    console.log(`📝 AdminOrderService: Updating admin fields for order ${orderId}`);
+    
+    try {
+      const updateData = {
+        updatedAt: serverTimestamp(),
+        lastUpdatedBy: adminUserId
+      };
+      
+      if (fields.adminNotes !== undefined) {
+        updateData.adminNotes = fields.adminNotes;
+      }
+      
+      if (fields.tags !== undefined) {
+        if (!Array.isArray(fields.tags)) {
+          throw new Error('Tags must be an array');
+        }
+        updateData.tags = [...new Set(fields.tags.map(normalizeTagName).filter(Boolean))];
+      }
+      
+      if (fields.priority !== undefined) {
+        if (!Object.values(ORDER_PRIORITIES).includes(fields.priority)) {
+          throw new Error(`Invalid priority: ${fields.priority}`);
+        }
+        updateData.priority = fields.priority;
+      }
+      
+      await updateDoc(doc(db, "orders", orderId), updateData);
+      
+      console.log(`✅ AdminOrderService: Admin fields updated for order ${orderId}`);
+      
+      return {
+        success: true,
+        orderId: orderId,
+        updateData: updateData
+      };
+    } catch (error) {
+      console.error('❌ AdminOrderService: Error updating admin fields:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to update order',
+        orderId: orderId
+      };
+    }
+  }
+  
+  /**
+   * Update order status with comprehensive admin tracking
+   * This method handles status changes with full audit trail and notification support
+   * 
+   * @param {string} orderId - Order ID to update
+   * @param {string} newStatus - New status from ORDER_STATUSES
+   * @param {Object} updateInfo - Additional update information (expectedStatus rejects the change unless the order is still in that status)
+   * @param {string} adminUserId - Admin user performing the update
+   * @returns {Promise<Object>} - Update result with comprehensive feedback
+   */
+  static async updateOrderStatus(orderId, newStatus, updateInfo = {}, adminUserId = 'admin') {
+    console.log(`🔄 AdminOrderService: Updating order ${orderId} to status ${newStatus}`);
+    
+    try {
+      const orderRef = doc(db, "orders", orderId);
+      const orderSnapshot = await getDoc(orderRef);
+      
+      if (!orderSnapshot.exists()) {
+        throw new Error(`Order with ID ${orderId} not found in database`);
+      }
+      
+      // Lookups that cannot run inside the transaction
+      const userOrderRefs = await this.getUserOrderRefs(orderSnapshot.data().userId, orderId);
+      const carrierRules = newStatus === ORDER_STATUSES.PACKED ? await CarrierRulesService.getRules() : null;
+      
+      // Validate, restore stock and write the order in one transaction, so two
+      // concurrent cancellations cannot both pass validation and both restock
+      const { currentOrder, updateData, statusHistoryEntry } = await runTransaction(db, async (transaction) => {
+        const freshSnapshot = await transaction.get(orderRef);
+        if (!freshSnapshot.exists()) {
+          throw new Error(`Order with ID ${orderId} not found in database`);
+        }
+        
+        const currentOrder = freshSnapshot.data();
+        const currentStatus = currentOrder.status;
+        
+        if (updateInfo.expectedStatus && currentStatus !== updateInfo.expectedStatus) {
+          throw new Error(`Order is ${currentStatus}, not ${updateInfo.expectedStatus}`);
+        }
+        
+        // Enforce the order state machine - illegal transitions are rejected
+        const transitionCheck = validateStatusTransition(currentStatus, newStatus, updateInfo, currentOrder);
+        if (!transitionCheck.valid) {
+          throw new Error(transitionCheck.error);
+        }
+        
+        // Create comprehensive status history entry
+        const statusHistoryEntry = {
+          status: newStatus,
+          timestamp: new Date().toISOString(),
+          note: updateInfo.note || `Order ${newStatus.toLowerCase()} by admin`,
+          updatedBy: adminUserId,
+          previousStatus: currentStatus,
+          adminNotes: updateInfo.adminNotes || '',
+          metadata: {
+            updateReason: updateInfo.reason || 'Status change',
+            ipAddress: updateInfo.ipAddress || 'unknown',
+            userAgent: updateInfo.userAgent || 'admin-panel',
+            ...updateInfo.metadata
+          }
+        };
+        
+        // Prepare comprehensive update data
+        const updateData = {
+          status: newStatus,
+          updatedAt: serverTimestamp(),
+          lastUpdatedBy: adminUserId,
+          statusHistory: [...(currentOrder.statusHistory || []), statusHistoryEntry]
+        };
+        
+        // Declines and cancellations put the order's units back into stock
+        let restock = null;
+        
+        // Add status-specific fields and business logic
+        switch (newStatus) {
+          case ORDER_STATUSES.APPROVED:
+            updateData.approvedAt = serverTimestamp();
+            updateData.approvedBy = adminUserId;
+            updateData.priority = updateInfo.priority || currentOrder.priority || ORDER_PRIORITIES.NORMAL;
+            break;
+          
+          case ORDER_STATUSES.PACKED:
+            updateData.packedAt = serverTimestamp();
+            updateData.packedBy = adminUserId;
+            updateData.packingNotes = updateInfo.packingNotes || '';
+            if (updateInfo.packageWeight) {
+              updateData.packageWeight = Number(updateInfo.packageWeight);
+            }
+            // Auto-assign carrier from the carrier rules (settings/carrierRules)
+            if (!currentOrder.tracking?.carrier) {
+              const assignment = evaluateCarrierRules(
+                { ...currentOrder, packageWeight: updateData.packageWeight ?? currentOrder.packageWeight },
+                carrierRules
+              );
+              const carrier = getCarrierAdapter(assignment.carrier);
+              updateData.tracking = {
+                ...currentOrder.tracking,
+                carrier: carrier?.name || assignment.carrier,
+                carrierCode: carrier?.code || null,
+                assignedByRule: assignment.rule?.name || 'Fallback carrier'
+              };
+              statusHistoryEntry.metadata.carrierAssignment = `${updateData.tracking.carrier} (${updateData.tracking.assignedByRule})`;
+            }
+            break;
+          
+          case ORDER_STATUSES.PARTIALLY_SHIPPED:
+          case ORDER_STATUSES.SHIPPED:
+            if (newStatus === ORDER_STATUSES.PARTIALLY_SHIPPED) {
+              updateData.partiallyShippedAt = serverTimestamp();
+            } else {
+              updateData.shippedAt = serverTimestamp();
+            }
+            updateData.shippedBy = adminUserId;
+            // Tracking information should be provided separately via updateShippingInfo
+            if (updateInfo.tracking) {
+              updateData.tracking = {
+                ...currentOrder.tracking,
+                ...updateInfo.tracking,
+                shippedDate: new Date().toISOString()
+              };
+            }
+            // Orders shipped in one go get a single shipment covering every item
+            updateData.shipments = updateInfo.shipments || (
+              currentOrder.shipments?.length
+                ? currentOrder.shipments
+                : [this.buildShipment(currentOrder, getUnshippedQuantities(currentOrder)
+                    .map((quantity, lineIndex) => ({ lineIndex, quantity })), updateData.tracking || currentOrder.tracking || {}, adminUserId)]
+            );
+            updateData.trackingNumbers = collectTrackingNumbers(updateData.shipments);
+            break;
+          
+          case ORDER_STATUSES.DELIVERED:
+            updateData.deliveredAt = serverTimestamp();
+            updateData.deliveryConfirmation = updateInfo.deliveryConfirmation || 'Admin marked as delivered';
+            // Delivering the order delivers every shipment still in transit
+            if (updateInfo.shipments || currentOrder.shipments?.length) {
+              const deliveredDate = new Date().toISOString();
+              updateData.shipments = (updateInfo.shipments || currentOrder.shipments).map(shipment => 
+                shipment.deliveredDate ? shipment : { ...shipment, status: 'delivered', deliveredDate }
+              );
+            }
+            break;
+          
+          case ORDER_STATUSES.DECLINED:
+            updateData.declinedAt = serverTimestamp();
+            updateData.declinedBy = adminUserId;
+            updateData.declineReason = updateInfo.reason || 'Order declined by admin';
+            // Restore inventory on decline
+            restock = `Order declined: ${updateData.declineReason}`;
+            break;
+          
+          case ORDER_STATUSES.CANCELLED:
+            updateData.cancelledAt = serverTimestamp();
+            updateData.cancelledBy = adminUserId;
+            updateData.cancellationReason = updateInfo.reason || 'Order cancelled';
+            // Restore inventory on cancellation
+            restock = `Order cancelled: ${updateData.cancellationReason}`;
+            break;
+          
+          case ORDER_STATUSES.REFUNDED: {
+            // Refund whatever has not already been refunded through partial refunds
+            const { remaining } = getRefundSummary(currentOrder);
+            const refundAmount = updateInfo.refundAmount !== undefined ? Number(updateInfo.refundAmount) : remaining;
+            if (isNaN(refundAmount) || refundAmount < 0 || refundAmount > remaining + 0.005) {
+              throw new Error(`Refund amount must be between 0 and the remaining ${remaining.toFixed(2)}`);
+            }
+          
+            const refunds = [...(currentOrder.refunds || [])];
+            if (refundAmount > 0) {
+              refunds.push(this.buildRefundEntry({
+                amount: refundAmount,
+                reason: updateInfo.reason || 'Refund processed',
+                method: updateInfo.refundMethod
+              }, adminUserId));
+            }
+            const refundedTotal = getRefundSummary({ ...currentOrder, refunds }).refundedTotal;
+          
+            updateData.refundedAt = serverTimestamp();
+            updateData.refundedBy = adminUserId;
+            updateData.refunds = refunds;
+            updateData.refundedTotal = refundedTotal;
+            updateData.refundAmount = refundedTotal; // Kept for screens that read the single amount
+            updateData.refundReason = updateInfo.reason || 'Refund processed';
+            updateData.refundMethod = updateInfo.refundMethod || REFUND_METHODS.ORIGINAL;
+            updateData['payment.status'] = 'refunded';
+            break;
+          }
+          
+          default:
+            // For any other status, just update the basic fields
+            console.log(`📝 AdminOrderService: Using default handling for status ${newStatus}`);
+            break;
+        }
+        
+        // Duplicate flags only apply to Placed orders (see duplicateOrders.js),
+        // so they are cleared from this order and its flagged partners
+        const duplicateIds = currentStatus === ORDER_STATUSES.PLACED
+          ? Object.keys(currentOrder.possibleDuplicates || {})
+          : [];
+        const duplicateSnapshots = await Promise.all(
+          duplicateIds.map(duplicateId => transaction.get(doc(db, "orders", duplicateId)))
+        );
+        
+        // All reads (order, duplicates, products) happen before the first write
+        if (restock) {
+          const stockChanges = await readStockChanges(
+            transaction,
+            (currentOrder.items || []).filter(item => item.quantity > 0)
+          );
+          writeStockMovements(transaction, stockChanges, {
+            type: MOVEMENT_TYPES.CANCEL_RESTORE,
+            reason: restock,
+            orderId,
+            adminUserId
+          }).forEach(movement => {
+            console.log(`📦 AdminOrderService: Restored ${movement.delta} units of ${movement.productName} (${movement.stockBefore} → ${movement.stockAfter})`);
+          });
+        }
+        
+        // Write the order and its per-user copy together
+        const indexedUpdate = withSearchKeywords(orderId, currentOrder, updateData);
+        transaction.update(orderRef, duplicateIds.length > 0
+          ? { ...indexedUpdate, possibleDuplicates: deleteField() }
+          : indexedUpdate);
+        userOrderRefs.forEach(userOrderRef => {
+          transaction.update(userOrderRef, withoutSearchKeywords(indexedUpdate));
+        });
+        duplicateSnapshots
+          .filter(duplicateSnapshot => duplicateSnapshot.exists())
+          .forEach(duplicateSnapshot => {
+            transaction.update(duplicateSnapshot.ref, { [`possibleDuplicates.${orderId}`]: deleteField() });
+          });
+        
+        return { currentOrder, updateData, statusHistoryEntry };
+      });
+      
+      const currentStatus = currentOrder.status;
+      
+      console.log(`✅ AdminOrderService: Order ${orderId} status updated from ${currentStatus} to ${newStatus}`);
+      
+      // Tell the customer - a notification problem must not undo the status change
+      const notificationResult = await CustomerNotificationService.queueStatusNotifications(
+        orderId,
+        { ...currentOrder, ...updateData },
+        newStatus
+      );
+      if (!notificationResult.success) {
+        console.warn(`⚠️ AdminOrderService: Customer notifications for order ${orderId} were not queued:`, notificationResult.error);
+      }
+      
+      // Return comprehensive update result
+      return {
+        success: true,
+        message: `Order status successfully updated to ${newStatus}`,
+        orderId: orderId,
+        previousStatus: currentStatus,
+        newStatus: newStatus,
+        timestamp: statusHistoryEntry.timestamp,
+        updateData: updateData
+      };
+      
+    } catch (error) {
+      console.error('❌ AdminOrderService: Error updating order status:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to update order status',
+        orderId: orderId
+      };
+    }
+  }
+  
+  /**
+   * Reverse a status change through ORDER_STATUS_REVERSALS
+   * Used to undo bulk status changes. The order is re-read in the transaction
+   * and must still be in the status the change moved it to.
+   * 
+   * @param {string} orderId - Order ID
+   * @param {string} previousStatus - Status to go back to
+   * @param {Object} info - { note, metadata } for the history entry; expectedStatus rejects the reversal unless the order is still in that status
+   * @param {string} adminUserId - Admin reversing the change
+   * @returns {Promise<void>}
+   * @throws {Error} - When the order has moved on or the change cannot be reversed
+   */
+  static async revertOrderStatus(orderId, previousStatus, info = {}, adminUserId = 'admin') {
+    const orderRef = doc(db, "orders", orderId);
+    const orderSnapshot = await getDoc(orderRef);
+    if (!orderSnapshot.exists()) {
+      throw new Error('Order not found');
+    }
+    const userOrderRefs = await this.getUserOrderRefs(orderSnapshot.data().userId, orderId);
+    
+    await runTransaction(db, async (transaction) => {
+      const currentOrder = (await transaction.get(orderRef)).data();
+      if (info.expectedStatus && currentOrder.status !== info.expectedStatus) {
+        throw new Error(`Order is ${currentOrder.status}, not ${info.expectedStatus}`);
+      }
+      const reversalCheck = validateStatusReversal(currentOrder.status, previousStatus);
+      if (!reversalCheck.valid) {
+        throw new Error(reversalCheck.error);
+      }
+      
+      const updateData = {
+        status: previousStatus,
+        updatedAt: serverTimestamp(),
+        lastUpdatedBy: adminUserId,
+        statusHistory: [...(currentOrder.statusHistory || []), {
+          status: previousStatus,
+          timestamp: new Date().toISOString(),
+          note: info.note || `Change to ${currentOrder.status} undone`,
+          updatedBy: adminUserId,
+          previousStatus: currentOrder.status,
+          metadata: { undo: true, ...info.metadata }
+        }]
+      };
+      ORDER_STATUS_REVERSALS[currentOrder.status][previousStatus].clears.forEach(field => {
+        updateData[field] = deleteField();
+      });
+      
+      transaction.update(orderRef, updateData);
+      userOrderRefs.forEach(userOrderRef => {
+        transaction.update(userOrderRef, updateData);
+      });
+    });
+  }
+  
+  /**
+   * Find the users/{uid}/orders copies of an order
+   * The user copy may use a different document ID, so it is matched on globalOrderId
+   * 
+   * @param {string} userId - Owner of the order
+   * @param {string} orderId - Main order document ID
+   * @returns {Promise<Array<DocumentReference>>} - References to the user's copies
+   */
+  static async getUserOrderRefs(userId, orderId) {
+    if (!userId) {
+      return [];
+    }
+    
+    try {
+      const userOrdersQuery = query(
+        collection(db, "users", userId, "orders"),
+        where("globalOrderId", "==", orderId)
+      );
+      const userOrdersSnapshot = await getDocs(userOrdersQuery);
+      return userOrdersSnapshot.docs.map(userOrderDoc => userOrderDoc.ref);
+    } catch (userLookupError) {
+      console.warn('⚠️ AdminOrderService: Could not read user order collection:', userLookupError);
+      // Continue - main order update is more important
+      return [];
+    }
+  }
+  
+  /**
+   * Write an update to an order and mirror it to the user's order collection
+   * Uses a transaction so the main order and the users/{uid}/orders copy stay in sync.
+   * Search keywords are rebuilt when the update touches an indexed field.
+   * 
+   * @param {DocumentReference} orderRef - Reference to the main order document
+   * @param {Object} currentOrder - Current order data (used to find the user copy)
+   * @param {Object} updateData - Fields to write to both documents
+   * @returns {Promise<void>}
+   */
+  static async commitOrderUpdate(orderRef, currentOrder, updateData) {
+    const userOrderRefs = await this.getUserOrderRefs(currentOrder.userId, orderRef.id);
+    // Keep the search keywords in step with tracking codes and other indexed fields
+    const indexedUpdate = withSearchKeywords(orderRef.id, currentOrder, updateData);
+    
+    await runTransaction(db, async (transaction) => {
+      // Update main order document
+      transaction.update(orderRef, indexedUpdate);
+      
+      // Synchronize user's order collection if user exists
+      userOrderRefs.forEach(userOrderRef => {
+        transaction.update(userOrderRef, withoutSearchKeywords(indexedUpdate));
+      });
+    });
+  }
+  
+  /**
+   * Read an order, build an update from it and write it, in one transaction
+   * For updates merged from the order's current data (e.g. appended events),
+   * so concurrent writers cannot overwrite each other. The update is mirrored
+   * to the user's order collection like commitOrderUpdate.
+   * 
+   * @param {DocumentReference} orderRef - Reference to the main order document
+   * @param {Function} buildUpdate - Called with the current order data; returns the fields to write, or null to write nothing
+   * @returns {Promise<Object>} - { currentOrder, updateData } from the attempt that was committed
+   * @throws {Error} - When the order does not exist
+   */
+  static async updateOrderWith(orderRef, buildUpdate) {
+    const orderSnapshot = await getDoc(orderRef);
+    if (!orderSnapshot.exists()) {
+      throw new Error(`Order ${orderRef.id} not found`);
+    }
+    const userOrderRefs = await this.getUserOrderRefs(orderSnapshot.data().userId, orderRef.id);
+    
+    return runTransaction(db, async (transaction) => {
+      const currentSnapshot = await transaction.get(orderRef);
+      if (!currentSnapshot.exists()) {
+        throw new Error(`Order ${orderRef.id} not found`);
+      }
+      const currentOrder = currentSnapshot.data();
+      const updateData = buildUpdate(currentOrder);
+      
+      if (updateData) {
+        const indexedUpdate = withSearchKeywords(orderRef.id, currentOrder, updateData);
+        transaction.update(orderRef, indexedUpdate);
+        userOrderRefs.forEach(userOrderRef => {
+          transaction.update(userOrderRef, withoutSearchKeywords(indexedUpdate));
+        });
+      }
+      return { currentOrder, updateData };
+    });
+  }
+  
+  /**
+   * Build a refund ledger entry
+   * @param {Object} refundInfo - { amount, reason, method, reference, returnId }
+   * @param {string} adminUserId - Admin recording the refund
+   * @returns {Object} - Ledger entry
+   */
+  static buildRefundEntry(refundInfo, adminUserId) {
+    return {
+      id: `RF-${Date.now()}-${Math.random().toString(36).slice(2, 6).toUpperCase()}`,
+      amount: Math.round(Number(refundInfo.amount) * 100) / 100,
+      reason: refundInfo.reason || 'Refund processed',
+      method: refundInfo.method || REFUND_METHODS.ORIGINAL,
+      reference: refundInfo.reference || '',
+      returnId: refundInfo.returnId || null,
+      createdAt: new Date().toISOString(),
+      createdBy: adminUserId
+    };
+  }
+  
+  /**
+   * Record a partial refund against an order
+   * Refunds are appended to the order's refund ledger; the running total can
+   * never exceed the order total. The order status is left unchanged - use the
+   * Refunded status once the order is fully settled.
+   * 
+   * @param {string} orderId - Order ID
+   * @param {Object} refundInfo - { amount, reason, method, reference, returnId }
+   * @param {string} adminUserId - Admin recording the refund
+   * @returns {Promise<Object>} - { success, refund, refundedTotal, remaining, error }
+   */
+  static async recordRefund(orderId, refundInfo, adminUserId = 'admin') {
+    console.log(`💸 AdminOrderService: Recording refund of ${refundInfo.amount} for order ${orderId}`);
+    
+    try {
+      const amount = Number(refundInfo.amount);
+      if (isNaN(amount) || amount <= 0) {
+        throw new Error('Refund amount must be greater than zero');
+      }
+      if (!refundInfo.reason?.trim()) {
+        throw new Error('A refund reason is required');
+      }
+      
+      const orderRef = doc(db, "orders", orderId);
+      const orderSnapshot = await getDoc(orderRef);
+      if (!orderSnapshot.exists()) {
+        throw new Error(`Order ${orderId} not found`);
+      }
+      
+      const userOrderRefs = await this.getUserOrderRefs(orderSnapshot.data().userId, orderId);
+      
+      const result = await runTransaction(db, async (transaction) => {
+        // Re-read inside the transaction so concurrent refunds cannot overshoot the total
+        const freshSnapshot = await transaction.get(orderRef);
+        const currentOrder = freshSnapshot.data();
+        const { remaining } = getRefundSummary(currentOrder);
+        
+        if ([ORDER_STATUSES.PLACED, ORDER_STATUSES.DECLINED].includes(currentOrder.status)) {
+          throw new Error(`Cannot refund an order with status ${currentOrder.status}`);
+        }
+        if (amount > remaining + 0.005) {
+          throw new Error(`Refund exceeds the remaining refundable amount of ${remaining.toFixed(2)}`);
+        }
+        
+        const refund = this.buildRefundEntry({ ...refundInfo, amount }, adminUserId);
+        const refunds = [...(currentOrder.refunds || []), refund];
+        const summary = getRefundSummary({ ...currentOrder, refunds });
+        
+        const historyEntry = {
+          status: currentOrder.status,
+          timestamp: refund.createdAt,
+          note: `Refund of ${refund.amount.toFixed(2)} recorded: ${refund.reason}`,
+          updatedBy: adminUserId,
+          previousStatus: currentOrder.status,
+          metadata: {
+            refundId: refund.id,
+            refundMethod: refund.method,
+            returnId: refund.returnId
+          }
+        };
+        
+        const updateData = {
+          refunds,
+          refundedTotal: summary.refundedTotal,
+          refundAmount: summary.refundedTotal,
+          'payment.status': summary.remaining === 0 ? 'refunded' : 'partially_refunded',
+          updatedAt: serverTimestamp(),
+          lastUpdatedBy: adminUserId,
+          statusHistory: [...(currentOrder.statusHistory || []), historyEntry]
+        };
+        
+        transaction.update(orderRef, updateData);
+        userOrderRefs.forEach(userOrderRef => {
+          transaction.update(userOrderRef, updateData);
+        });
+        
+        return { refund, refundedTotal: summary.refundedTotal, remaining: summary.remaining };
+      });
+      
+      console.log(`✅ AdminOrderService: Refund ${result.refund.id} recorded for order ${orderId}`);
+      return { success: true, ...result };
+      
+    } catch (error) {
+      console.error('❌ AdminOrderService: Error recording refund:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to record refund'
+      };
+    }
+  }
+  
+  /**
+   * Look up the coupon applied to an order
+   * Uses the coupon details stored on the order when present, otherwise the
+   * coupons collection entry with the same code.
+   * 
+   * @param {Object} order - Order data
+   * @returns {Promise<Object|null>} - Coupon data, or null when none applies
+   */
+  static async getOrderCoupon(order) {
+    const applied = order.coupon || order.appliedCoupon || null;
+    if (applied?.discountType) {
+      return applied;
+    }
+    
+    const code = applied?.code || order.couponCode || order.financials?.couponCode;
+    if (!code) {
+      return null;
+    }
+    
+    try {
+      const couponsQuery = query(collection(db, "coupons"), where("code", "==", code), limit(1));
+      const couponsSnapshot = await getDocs(couponsQuery);
+      return couponsSnapshot.empty ? null : couponsSnapshot.docs[0].data();
+    } catch (couponError) {
+      console.warn(`⚠️ AdminOrderService: Could not load coupon ${code}:`, couponError);
+      return null;
+    }
+  }
+  
+  /**
+   * Change the items or shipping address of an order before it is packed
+   * Financials are recalculated, product stock moves by the change in each
+   * product's quantity, and the change is recorded in statusHistory as a
+   * structured diff. Everything is written in one transaction together with
+   * the users/{uid}/orders copy.
+   * 
+   * @param {string} orderId - Order ID
+   * @param {Object} changes - { items, shippingAddress, note }; omitted parts are left as they are
+   * @param {string} adminUserId - Admin editing the order
+   * @returns {Promise<Object>} - { success, changes, financials, error }
+   */
+  static async editOrderContents(orderId, changes, adminUserId = 'admin') {
+    console.log(`✏️ AdminOrderService: Editing contents of order ${orderId}`);
+    
+    try {
+      const orderRef = doc(db, "orders", orderId);
+      const orderSnapshot = await getDoc(orderRef);
+      if (!orderSnapshot.exists()) {
+        throw new Error(`Order ${orderId} not found`);
+      }
+      
+      const snapshotOrder = orderSnapshot.data();
+      const userOrderRefs = await this.getUserOrderRefs(snapshotOrder.userId, orderId);
+      const coupon = await this.getOrderCoupon(snapshotOrder);
+      
+      const result = await runTransaction(db, async (transaction) => {
+        const freshSnapshot = await transaction.get(orderRef);
+        const currentOrder = freshSnapshot.data();
+        
+        if (!EDITABLE_ORDER_STATUSES.includes(currentOrder.status)) {
+          throw new Error(`Orders can only be edited while ${EDITABLE_ORDER_STATUSES.join(' or ')} (currently ${currentOrder.status})`);
+        }
+        if (currentOrder.invoice?.number) {
+          throw new Error(`Invoice ${currentOrder.invoice.number} has already been issued for this order`);
+        }
+        
+        const oldItems = currentOrder.items || [];
+        const newItems = changes.items
+          ? changes.items.map(item => ({ ...item, quantity: Number(item.quantity), price: Number(item.price) }))
+          : oldItems;
+        
+        if (newItems.length === 0) {
+          throw new Error('An order must keep at least one item - cancel the order instead');
+        }
+        newItems.forEach(item => {
+          if (!Number.isInteger(item.quantity) || item.quantity < 1) {
+            throw new Error(`Quantity for ${item.name || 'item'} must be a whole number of at least 1`);
+          }
+          if (isNaN(item.price) || item.price < 0) {
+            throw new Error(`Price for ${item.name || 'item'} is not valid`);
+          }
+        });
+        
+        // Structured diff of items and address
+        const itemChanges = diffOrderItems(oldItems, newItems);
+        const oldAddress = currentOrder.shipping?.address || {};
+        const newAddress = changes.shippingAddress
+          ? { ...oldAddress, ...changes.shippingAddress }
+          : oldAddress;
+        const addressChanges = {};
+        EDITABLE_ADDRESS_FIELDS.forEach(field => {
+          const from = oldAddress[field] || '';
+          const to = newAddress[field] || '';
+          if (String(from) !== String(to)) {
+            addressChanges[field] = { from, to };
+          }
+        });
+        
+        if (itemChanges.length === 0 && Object.keys(addressChanges).length === 0) {
+          throw new Error('No changes to save');
+        }
+        if (changes.shippingAddress && (!newAddress.line1?.trim() || !newAddress.city?.trim() || !String(newAddress.pin || '').trim())) {
+          throw new Error('Address line 1, city and PIN code are required');
+        }
+        
+        // Net stock movement per product (positive = more units taken from stock)
+        const stockDeltas = new Map();
+        oldItems.forEach(item => {
+          if (item.productId) {
+            stockDeltas.set(item.productId, (stockDeltas.get(item.productId) || 0) - item.quantity);
+          }
+        });
+        newItems.forEach(item => {
+          if (item.productId) {
+            stockDeltas.set(item.productId, (stockDeltas.get(item.productId) || 0) + item.quantity);
+          }
+        });
+        const movedProducts = [...stockDeltas.entries()].filter(([, delta]) => delta !== 0);
+        
+        // All reads must happen before the first write
+        const productSnapshots = await Promise.all(
+          movedProducts.map(([productId]) => transaction.get(doc(db, "products", productId)))
+        );
+        
+        productSnapshots.forEach((productSnapshot, index) => {
+          const [productId, delta] = movedProducts[index];
+          if (!productSnapshot.exists()) {
+            if (delta > 0) {
+              throw new Error(`Product ${productId} no longer exists`);
+            }
+            return;
+          }
+          const product = productSnapshot.data();
+          const currentStock = product.stock || 0;
+          if (delta > currentStock) {
+            throw new Error(`Only ${currentStock} more unit(s) of ${product.name || productId} in stock`);
+          }
+        });
+        
+        const oldFinancials = currentOrder.financials || {};
+        const financials = itemChanges.length > 0
+          ? recalculateOrderFinancials(currentOrder, newItems, coupon)
+          : oldFinancials;
+        
+        const now = new Date().toISOString();
+        const summary = [
+          ...itemChanges.map(change => {
+            if (change.change === 'added') return `added ${change.name} ×${change.to}`;
+            if (change.change === 'removed') return `removed ${change.name}`;
+            return `${change.name} ×${change.from} → ×${change.to}`;
+          }),
+          ...(Object.keys(addressChanges).length > 0 ? ['shipping address updated'] : [])
+        ].join(', ');
+        
+        const historyEntry = {
+          status: currentOrder.status,
+          timestamp: now,
+          note: changes.note?.trim() || `Order edited: ${summary}`,
+          updatedBy: adminUserId,
+          previousStatus: currentOrder.status,
+          metadata: {
+            edit: {
+              items: itemChanges,
+              shippingAddress: addressChanges,
+              financials: itemChanges.length > 0 ? {
+                from: {
+                  subtotal: oldFinancials.subtotal ?? currentOrder.subtotal ?? null,
+                  discount: oldFinancials.discount ?? currentOrder.discount ?? 0,
+                  tax: oldFinancials.tax ?? 0,
+                  total: oldFinancials.total ?? currentOrder.total ?? null
+                },
+                to: {
+                  subtotal: financials.subtotal,
+                  discount: financials.discount,
+                  tax: financials.tax,
+                  total: financials.total
+                }
+              } : null,
+              stock: []
+            }
+          }
+        };
+        
+        const updateData = {
+          updatedAt: serverTimestamp(),
+          lastUpdatedBy: adminUserId,
+          statusHistory: [...(currentOrder.statusHistory || []), historyEntry]
+        };
+        if (itemChanges.length > 0) {
+          updateData.items = newItems;
+          updateData.financials = financials;
+          // Legacy top-level fields, kept in step when the order has them
+          if (currentOrder.total !== undefined) updateData.total = financials.total;
+          if (currentOrder.subtotal !== undefined) updateData.subtotal = financials.subtotal;
+          if (currentOrder.discount !== undefined) updateData.discount = financials.discount;
+        }
+        if (Object.keys(addressChanges).length > 0) {
+          updateData['shipping.address'] = newAddress;
+        }
+        
+        const movements = writeStockMovements(
+          transaction,
+          productSnapshots.map((productSnapshot, index) => ({ productSnapshot, delta: -movedProducts[index][1] })),
+          { type: MOVEMENT_TYPES.ORDER_EDIT, reason: historyEntry.note, orderId, adminUserId }
+        );
+        historyEntry.metadata.edit.stock = movements.map(movement => ({
+          productId: movement.productId,
+          change: movement.delta,
+          from: movement.stockBefore,
+          to: movement.stockAfter
+        }));
+        const indexedUpdate = withSearchKeywords(orderId, currentOrder, updateData);
+        transaction.update(orderRef, indexedUpdate);
+        userOrderRefs.forEach(userOrderRef => {
+          transaction.update(userOrderRef, withoutSearchKeywords(indexedUpdate));
+        });
+        
+        return { changes: historyEntry.metadata.edit, financials };
+      });
+      
+      console.log(`✅ AdminOrderService: Order ${orderId} edited`);
+      return { success: true, ...result };
+      
+    } catch (error) {
+      console.error('❌ AdminOrderService: Error editing order:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to edit order'
+      };
+    }
+  }
+  
+  /**
+   * Create an order on behalf of a customer (phone and WhatsApp orders)
+   * The order is written with the storefront schema - order number,
+   * orderDate, items, financials, shipping, payment and statusHistory - and
+   * starts as Placed so it goes through the normal pipeline. Stock is
+   * reserved, the coupon's use is counted and the order number is allocated
+   * in the same transaction; registered customers also get the
+   * users/{uid}/orders copy.
+   * 
+   * @param {Object} orderInput - { customer: { userId, name, email, phone }, items: [{ productId, quantity }],
+   *   shippingAddress, shippingCost, couponCode, paymentMethod (MANUAL_PAYMENT_METHODS key), paymentReference, channel, note }
+   * @param {string} adminUserId - Admin creating the order
+   * @returns {Promise<Object>} - { success, orderId, order, error }
+   */
+  static async createManualOrder(orderInput, adminUserId = 'admin') {
+    console.log('📝 AdminOrderService: Creating manual order');
+    
+    try {
+      const { customer = {}, shippingAddress = {} } = orderInput;
+      const payment = MANUAL_PAYMENT_METHODS[orderInput.paymentMethod];
+      
+      if (!customer.name?.trim()) {
+        throw new Error('Customer name is required');
+      }
+      if (!customer.phone?.trim() && !customer.email?.trim()) {
+        throw new Error('A phone number or email is required for the customer');
+      }
+      if (!shippingAddress.line1?.trim() || !shippingAddress.city?.trim() || !String(shippingAddress.pin || '').trim()) {
+        throw new Error('Address line 1, city and PIN code are required');
+      }
+      if (!payment) {
+        throw new Error('Choose a payment method');
+      }
+      
+      // Merge repeated products into one line each
+      const quantities = new Map();
+      (orderInput.items || []).forEach(item => {
+        const quantity = Number(item.quantity);
+        if (!item.productId || !Number.isInteger(quantity) || quantity < 1) {
+          throw new Error('Each item needs a product and a whole-number quantity of at least 1');
+        }
+        quantities.set(item.productId, (quantities.get(item.productId) || 0) + quantity);
+      });
+      if (quantities.size === 0) {
+        throw new Error('Add at least one product');
+      }
+      
+      let couponRef = null;
+      const couponCode = orderInput.couponCode?.trim().toUpperCase();
+      if (couponCode) {
+        const couponsQuery = query(collection(db, "coupons"), where("code", "==", couponCode), limit(1));
+        const couponsSnapshot = await getDocs(couponsQuery);
+        if (couponsSnapshot.empty) {
+          throw new Error(`Coupon ${couponCode} not found`);
+        }
+        couponRef = couponsSnapshot.docs[0].ref;
+      }
+      
+      const orderRef = doc(collection(db, "orders"));
+      const userOrderRef = customer.userId ? doc(collection(db, "users", customer.userId, "orders")) : null;
+      const counterRef = doc(db, "order_counters", MANUAL_ORDER_COUNTER_ID);
+      
+      const order = await runTransaction(db, async (transaction) => {
+        const productIds = [...quantities.keys()];
+        const productSnapshots = await Promise.all(
+          productIds.map(productId => transaction.get(doc(db, "products", productId)))
+        );
+        const couponSnapshot = couponRef ? await transaction.get(couponRef) : null;
+        const counterSnapshot = await transaction.get(counterRef);
+        
+        const items = productSnapshots.map((productSnapshot, index) => {
+          if (!productSnapshot.exists()) {
+            throw new Error(`Product ${productIds[index]} not found`);
+          }
+          const product = productSnapshot.data();
+          const quantity = quantities.get(productSnapshot.id);
+          if ((product.stock || 0) < quantity) {
+            throw new Error(`Only ${product.stock || 0} unit(s) of ${product.name} in stock`);
+          }
+          return {
+            productId: productSnapshot.id,
+            name: product.name,
+            price: Number(product.sellingPrice ?? product.price) || 0,
+            quantity,
+            image: product.image || ''
+          };
+        });
+        
+        let coupon = null;
+        let discount = 0;
+        if (couponSnapshot) {
+          coupon = couponSnapshot.data();
+          const problem = getCouponProblem(coupon, items);
+          if (problem) {
+            throw new Error(problem);
+          }
+          discount = calculateCouponDiscount(coupon, items);
+        }
+        
+        const subtotal = roundCurrency(sumItems(items));
+        const shippingCost = roundCurrency(Number(orderInput.shippingCost) || 0);
+        const financials = {
+          subtotal,
+          tax: 0,
+          shipping: shippingCost,
+          discount,
+          total: roundCurrency(subtotal - discount + shippingCost)
+        };
+        
+        const now = new Date().toISOString();
+        const channel = orderInput.channel || MANUAL_ORDER_CHANNELS.PHONE;
+        const sequence = (counterSnapshot.exists() ? counterSnapshot.data().lastNumber || 0 : 0) + 1;
+        const orderData = {
+          orderId: formatManualOrderNumber(sequence),
+          orderDate: now,
+          userId: customer.userId || null,
+          userName: customer.name.trim(),
+          userEmail: customer.email?.trim() || '',
+          userPhone: customer.phone?.trim() || '',
+          items,
+          financials,
+          total: financials.total,
+          shipping: {
+            address: shippingAddress,
+            cost: shippingCost,
+            method: 'standard'
+          },
+          payment: {
+            method: payment.method,
+            status: payment.status,
+            details: orderInput.paymentReference ? { reference: orderInput.paymentReference.trim() } : {}
+          },
+          coupon: coupon ? {
+            code: coupon.code,
+            discountType: coupon.discountType,
+            discountValue: coupon.discountValue,
+            maxDiscountAmount: coupon.maxDiscountAmount || 0,
+            minOrderAmount: coupon.minOrderAmount || 0,
+            applicableProducts: coupon.applicableProducts || []
+          } : null,
+          status: ORDER_STATUSES.PLACED,
+          priority: ORDER_PRIORITIES.NORMAL,
+          source: 'admin',
+          channel,
+          createdBy: adminUserId,
+          statusHistory: [{
+            status: ORDER_STATUSES.PLACED,
+            timestamp: now,
+            note: orderInput.note?.trim() || `Order taken by ${channel === MANUAL_ORDER_CHANNELS.WHATSAPP ? 'WhatsApp' : 'phone'}`,
+            updatedBy: adminUserId,
+            previousStatus: null,
+            metadata: { source: 'admin', channel }
+          }],
+          createdAt: serverTimestamp(),
+          updatedAt: serverTimestamp()
+        };
+        orderData.searchKeywords = buildSearchKeywords(orderData, orderRef.id);
+        orderData.searchIndexVersion = SEARCH_INDEX_VERSION;
+        
+        writeStockMovements(
+          transaction,
+          productSnapshots.map(productSnapshot => ({ productSnapshot, delta: -quantities.get(productSnapshot.id) })),
+          { type: MOVEMENT_TYPES.SALE, reason: `Manual ${channel} order`, orderId: orderRef.id, adminUserId }
+        );
+        if (couponSnapshot) {
+          transaction.update(couponRef, { usedCount: Number(coupon.usedCount || 0) + 1 });
+        }
+        transaction.set(counterRef, {
+          lastNumber: sequence,
+          lastOrderId: orderRef.id,
+          updatedAt: serverTimestamp()
+        }, { merge: true });
+        transaction.set(orderRef, orderData);
+        if (userOrderRef) {
+          transaction.set(userOrderRef, { ...withoutSearchKeywords(orderData), globalOrderId: orderRef.id });
+        }
+        
+        return orderData;
+      });
+      
+      console.log(`✅ AdminOrderService: Manual order ${orderRef.id} created`);
+      return { success: true, orderId: orderRef.id, order };
+      
+    } catch (error) {
+      console.error('❌ AdminOrderService: Error creating manual order:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to create order'
+      };
+    }
+  }
+  
+  /**
+   * Build the tracking data stored on an order or shipment
+   * 
+   * @param {Object} shippingInfo - { trackingNumber, carrier, service, weight, dimensions, shippingCost, notes }
+   * @param {Object} currentOrder - Order data
+   * @param {string} adminUserId - Admin adding the tracking
+   * @returns {Object} - Tracking data
+   */
+  static buildTrackingData(shippingInfo, currentOrder, adminUserId) {
+    // Validate required shipping information
+    if (!shippingInfo.trackingNumber) {
+      throw new Error('Tracking number is required for shipping updates');
+    }
+    
+    if (!shippingInfo.carrier) {
+      throw new Error('Shipping carrier is required for shipping updates');
+    }
+    
+    // Find carrier adapter
+    const carrierConfig = getCarrierAdapter(shippingInfo.carrier);
+    
+    if (!carrierConfig) {
+      console.warn(`⚠️ AdminOrderService: Unknown carrier ${shippingInfo.carrier}, using provided data`);
+    }
+    
+    // Calculate estimated delivery date
+    const estimatedDeliveryDate = new Date();
+    const deliveryDays = carrierConfig?.estimatedDays?.standard || 7;
+    estimatedDeliveryDate.setDate(estimatedDeliveryDate.getDate() + deliveryDays);
+    
+    return {
+      code: shippingInfo.trackingNumber,
+      carrier: carrierConfig?.name || shippingInfo.carrier,
+      carrierCode: carrierConfig?.code || shippingInfo.carrier.toUpperCase(),
+      url: carrierConfig?.getTrackingUrl(shippingInfo.trackingNumber) || null,
+      estimatedDelivery: estimatedDeliveryDate.toISOString(),
+      shippedDate: new Date().toISOString(),
+      service: shippingInfo.service || 'standard',
+      weight: shippingInfo.weight || null,
+      dimensions: shippingInfo.dimensions || null,
+      cost: shippingInfo.shippingCost || currentOrder.shipping?.cost || 0,
+      notes: shippingInfo.notes || '',
+      updatedBy: adminUserId,
+      updatedAt: new Date().toISOString()
+    };
+  }
+  
+  /**
+   * Build a shipment entry for a subset of an order's items
+   * 
+   * @param {Object} order - Order data
+   * @param {Array<Object>} items - [{ lineIndex, quantity }] to include
+   * @param {Object} trackingData - Tracking data from buildTrackingData
+   * @param {string} adminUserId - Admin creating the shipment
+   * @returns {Object} - Shipment entry
+   */
+  static buildShipment(order, items, trackingData, adminUserId) {
+    return {
+      id: `SH-${Date.now()}-${Math.random().toString(36).slice(2, 6).toUpperCase()}`,
+      items: items
+        .filter(item => item.quantity > 0)
+        .map(item => ({
+          lineIndex: item.lineIndex,
+          productId: order.items?.[item.lineIndex]?.productId || null,
+          name: order.items?.[item.lineIndex]?.name || '',
+          quantity: item.quantity
+        })),
+      code: trackingData.code || null,
+      carrier: trackingData.carrier || null,
+      carrierCode: trackingData.carrierCode || null,
+      url: trackingData.url || null,
+      service: trackingData.service || 'standard',
+      weight: trackingData.weight || null,
+      notes: trackingData.notes || '',
+      estimatedDelivery: trackingData.estimatedDelivery || null,
+      shippedDate: trackingData.shippedDate || new Date().toISOString(),
+      deliveredDate: null,
+      status: 'shipped',
+      createdBy: adminUserId
+    };
+  }
+  
+  /**
+   * Ship some or all of the remaining items of an order
+   * Each shipment carries its own items, carrier and tracking code. The order
+   * moves to Partially Shipped or Shipped depending on what is left to ship.
+   * 
+   * @param {string} orderId - Order ID
+   * @param {Object} shipmentInfo - { items: [{ lineIndex, quantity }], trackingNumber, carrier, service, weight, notes }
+   * @param {string} adminUserId - Admin creating the shipment
+   * @returns {Promise<Object>} - { success, shipment, status, error }
+   */
+  static async addShipment(orderId, shipmentInfo, adminUserId = 'admin') {
+    console.log(`📦 AdminOrderService: Adding shipment to order ${orderId}`);
+    
+    try {
+      const orderRef = doc(db, "orders", orderId);
+      const orderSnapshot = await getDoc(orderRef);
+      
+      if (!orderSnapshot.exists()) {
+        throw new Error(`Order ${orderId} not found`);
+      }
+      
+      const currentOrder = orderSnapshot.data();
+      
+      if (![ORDER_STATUSES.PACKED, ORDER_STATUSES.PARTIALLY_SHIPPED].includes(currentOrder.status)) {
+        throw new Error(`Shipments can only be added to ${ORDER_STATUSES.PACKED} or ${ORDER_STATUSES.PARTIALLY_SHIPPED} orders. Current status: ${currentOrder.status}`);
+      }
+      
+      const unshipped = getUnshippedQuantities(currentOrder);
+      const items = (shipmentInfo.items || []).filter(item => item.quantity > 0);
+      
+      if (items.length === 0) {
+        throw new Error('Select at least one item to ship');
+      }
+      
+      items.forEach(item => {
+        if (unshipped[item.lineIndex] === undefined) {
+          throw new Error(`Order has no line ${item.lineIndex + 1}`);
+        }
+        if (item.quantity > unshipped[item.lineIndex]) {
+          throw new Error(`Only ${unshipped[item.lineIndex]} of ${currentOrder.items[item.lineIndex].name} left to ship`);
+        }
+      });
+      
+      const trackingData = this.buildTrackingData(shipmentInfo, currentOrder, adminUserId);
+      const shipment = this.buildShipment(currentOrder, items, trackingData, adminUserId);
+      const shipments = [...(currentOrder.shipments || []), shipment];
+      const derivedStatus = deriveFulfillmentStatus(currentOrder, shipments);
+      const units = shipment.items.reduce((sum, item) => sum + item.quantity, 0);
+      const note = `Shipment ${shipments.length} (${units} unit${units !== 1 ? 's' : ''}) shipped via ${trackingData.carrier} with tracking number ${trackingData.code}`;
+      const metadata = {
+        shipmentId: shipment.id,
+        trackingNumber: trackingData.code,
+        carrier: trackingData.carrier,
+        estimatedDelivery: trackingData.estimatedDelivery
+      };
+      
+      if (derivedStatus !== currentOrder.status) {
+        // The shipment changes the order status - route it through the state machine
+        const statusResult = await this.updateOrderStatus(orderId, derivedStatus, {
+          tracking: trackingData,
+          shipments,
+          note,
+          metadata
+        }, adminUserId);
+        
+        if (!statusResult.success) {
+          throw new Error(statusResult.error);
+        }
+      } else {
+        // Another partial shipment - the status stays the same
+        const shipmentUpdate = {
+          status: currentOrder.status,
+          timestamp: new Date().toISOString(),
+          note,
+          updatedBy: adminUserId,
+          previousStatus: currentOrder.status,
+          metadata
+        };
+        
+        await this.commitOrderUpdate(orderRef, currentOrder, {
+          tracking: trackingData,
+          shipments,
+          trackingNumbers: collectTrackingNumbers(shipments),
+          updatedAt: serverTimestamp(),
+          lastUpdatedBy: adminUserId,
+          statusHistory: [...(currentOrder.statusHistory || []), shipmentUpdate]
+        });
+      }
+      
+      console.log(`✅ AdminOrderService: Shipment ${shipment.id} added to order ${orderId}`);
+      
+      return { success: true, shipment, status: derivedStatus };
+      
+    } catch (error) {
+      console.error('❌ AdminOrderService: Error adding shipment:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to add shipment'
+      };
+    }
+  }
+  
+  /**
+   * Mark one shipment of an order as delivered
+   * The order moves to Delivered once every item has shipped and every
+   * shipment has been delivered.
+   * 
+   * @param {string} orderId - Order ID
+   * @param {string} shipmentId - Shipment ID
+   * @param {string} adminUserId - Admin confirming delivery
+   * @returns {Promise<Object>} - { success, status, error }
+   */
+  static async markShipmentDelivered(orderId, shipmentId, adminUserId = 'admin') {
+    console.log(`📬 AdminOrderService: Marking shipment ${shipmentId} of order ${orderId} delivered`);
     
     try {
-      // Validate the new status against allowed values
-      if (!Object.values(ORDER_STATUSES).includes(newStatus)) {
-        throw new Error(`Invalid order status: ${newStatus}. Must be one of: ${Object.values(ORDER_STATUSES).join(', ')}`);
-      }
-      
-      // Get current order data for validation and history tracking
       const orderRef = doc(db, "orders", orderId);
       const orderSnapshot = await getDoc(orderRef);
       
       if (!orderSnapshot.exists()) {
-        throw new Error(`Order with ID ${orderId} not found in database`);
+        throw new Error(`Order ${orderId} not found`);
       }
       
       const currentOrder = orderSnapshot.data();
-      const currentStatus = currentOrder.status;
-      
-      // Validate status transition according to business rules
-      const validTransitions = {
-        [ORDER_STATUSES.PLACED]: [ORDER_STATUSES.APPROVED, ORDER_STATUSES.DECLINED, ORDER_STATUSES.CANCELLED],
-        [ORDER_STATUSES.APPROVED]: [ORDER_STATUSES.PACKED, ORDER_STATUSES.CANCELLED],
-        [ORDER_STATUSES.PACKED]: [ORDER_STATUSES.SHIPPED, ORDER_STATUSES.CANCELLED],
-        [ORDER_STATUSES.SHIPPED]: [ORDER_STATUSES.DELIVERED],
-        [ORDER_STATUSES.DELIVERED]: [ORDER_STATUSES.REFUNDED],
-        [ORDER_STATUSES.DECLINED]: [], // Terminal state
-        [ORDER_STATUSES.CANCELLED]: [ORDER_STATUSES.REFUNDED],
-        [ORDER_STATUSES.REFUNDED]: [] // Terminal state
-      };
+      const shipmentIndex = (currentOrder.shipments || []).findIndex(shipment => shipment.id === shipmentId);
       
-      // Check if transition is valid (with admin override capability)
-      if (validTransitions[currentStatus] && !validTransitions[currentStatus].includes(newStatus)) {
-        console.warn(`⚠️ AdminOrderService: Potentially invalid status transition from ${currentStatus} to ${newStatus}`);
-        // Continue anyway - admin has override capability
+      if (shipmentIndex === -1) {
+        throw new Error(`Shipment ${shipmentId} not found on this order`);
       }
       
-      // Create comprehensive status history entry
-      const statusHistoryEntry = {
-        status: newStatus,
-        timestamp: new Date().toISOString(),
-        note: updateInfo.note || `Order ${newStatus.toLowerCase()} by admin`,
-        updatedBy: adminUserId,
-        previousStatus: currentStatus,
-        adminNotes: updateInfo.adminNotes || '',
-        metadata: {
-          updateReason: updateInfo.reason || 'Status change',
-          ipAddress: updateInfo.ipAddress || 'unknown',
-          userAgent: updateInfo.userAgent || 'admin-panel',
-          ...updateInfo.metadata
-        }
-      };
-      
-      // Prepare comprehensive update data
-      const updateData = {
-        status: newStatus,
-        updatedAt: serverTimestamp(),
-        lastUpdatedBy: adminUserId,
-        statusHistory: [...(currentOrder.statusHistory || []), statusHistoryEntry]
-      };
-      
-      // Add status-specific fields and business logic
-      switch (newStatus) {
-        case ORDER_STATUSES.APPROVED:
-          updateData.approvedAt = serverTimestamp();
-          updateData.approvedBy = adminUserId;
-          updateData.priority = updateInfo.priority || currentOrder.priority || ORDER_PRIORITIES.NORMAL;
-          break;
-          
-        case ORDER_STATUSES.PACKED:
-          updateData.packedAt = serverTimestamp();
-          updateData.packedBy = adminUserId;
-          updateData.packingNotes = updateInfo.packingNotes || '';
-          // Auto-assign carrier based on shipping address
-          if (!currentOrder.tracking?.carrier) {
-            const isInternational = currentOrder.shipping?.address?.country !== 'India';
-            updateData.tracking = {
-              ...currentOrder.tracking,
-              carrier: isInternational ? SHIPPING_CARRIERS.DHL.name : SHIPPING_CARRIERS.INDIA_POST.name
-            };
-          }
-          break;
-          
-        case ORDER_STATUSES.SHIPPED:
-          updateData.shippedAt = serverTimestamp();
-          updateData.shippedBy = adminUserId;
-          // Tracking information should be provided separately via updateShippingInfo
-          if (updateInfo.tracking) {
-            updateData.tracking = {
-              ...currentOrder.tracking,
-              ...updateInfo.tracking,
-              shippedDate: new Date().toISOString()
-            };
-          }
-          break;
-          
-        case ORDER_STATUSES.DELIVERED:
-          updateData.deliveredAt = serverTimestamp();
-          updateData.deliveryConfirmation = updateInfo.deliveryConfirmation || 'Admin marked as delivered';
-          break;
-          
-        case ORDER_STATUSES.DECLINED:
-          updateData.declinedAt = serverTimestamp();
-          updateData.declinedBy = adminUserId;
-          updateData.declineReason = updateInfo.reason || 'Order declined by admin';
-          // Restore inventory on decline
-          await this.restoreInventory(currentOrder.items);
-          break;
-          
-        case ORDER_STATUSES.CANCELLED:
-          updateData.cancelledAt = serverTimestamp();
-          updateData.cancelledBy = adminUserId;
-          updateData.cancellationReason = updateInfo.reason || 'Order cancelled';
-          // Restore inventory on cancellation
-          await this.restoreInventory(currentOrder.items);
-          break;
-          
-        case ORDER_STATUSES.REFUNDED:
-          updateData.refundedAt = serverTimestamp();
-          updateData.refundedBy = adminUserId;
-          updateData.refundAmount = updateInfo.refundAmount || currentOrder.total;
-          updateData.refundReason = updateInfo.reason || 'Refund processed';
-          updateData.refundMethod = updateInfo.refundMethod || 'original_payment_method';
-          break;
-          
-        default:
-          // For any other status, just update the basic fields
-          console.log(`📝 AdminOrderService: Using default handling for status ${newStatus}`);
-          break;
+      if (currentOrder.shipments[shipmentIndex].deliveredDate) {
+        throw new Error('Shipment is already marked as delivered');
       }
       
-      // Use transaction to ensure data consistency across collections
-      await runTransaction(db, async (transaction) => {
-        // Update main order document
-        transaction.update(orderRef, updateData);
+      const shipments = currentOrder.shipments.map((shipment, index) => 
+        index === shipmentIndex
+          ? { ...shipment, status: 'delivered', deliveredDate: new Date().toISOString() }
+          : shipment
+      );
+      const delivered = shipments[shipmentIndex];
+      const derivedStatus = deriveFulfillmentStatus(currentOrder, shipments);
+      const note = `Shipment ${shipmentIndex + 1} delivered (${delivered.carrier} ${delivered.code})`;
+      
+      if (derivedStatus === ORDER_STATUSES.DELIVERED && currentOrder.status !== ORDER_STATUSES.DELIVERED) {
+        const statusResult = await this.updateOrderStatus(orderId, ORDER_STATUSES.DELIVERED, {
+          shipments,
+          note,
+          deliveryConfirmation: 'All shipments delivered',
+          metadata: { shipmentId }
+        }, adminUserId);
         
-        // Synchronize user's order collection if user exists
-        if (currentOrder.userId) {
-          try {
-            // Find user's order document (may have different ID structure)
-            const userOrdersQuery = query(
-              collection(db, "users", currentOrder.userId, "orders"),
-              where("globalOrderId", "==", orderId)
-            );
-            const userOrdersSnapshot = await getDocs(userOrdersQuery);
-            
-            userOrdersSnapshot.forEach(userOrderDoc => {
-              transaction.update(userOrderDoc.ref, updateData);
-            });
-          } catch (userUpdateError) {
-            console.warn('⚠️ AdminOrderService: Could not update user order collection:', userUpdateError);
-            // Continue - main order update is more important
-          }
+        if (!statusResult.success) {
+          throw new Error(statusResult.error);
         }
-      });
+      } else {
+        const deliveryUpdate = {
+          status: currentOrder.status,
+          timestamp: new Date().toISOString(),
+          note,
+          updatedBy: adminUserId,
+          previousStatus: currentOrder.status,
+          metadata: { shipmentId }
+        };
+        
+        await this.commitOrderUpdate(orderRef, currentOrder, {
+          shipments,
+          updatedAt: serverTimestamp(),
+          lastUpdatedBy: adminUserId,
+          statusHistory: [...(currentOrder.statusHistory || []), deliveryUpdate]
+        });
+      }
       
-      console.log(`✅ AdminOrderService: Order ${orderId} status updated from ${currentStatus} to ${newStatus}`);
+      console.log(`✅ AdminOrderService: Shipment ${shipmentId} delivered`);
       
-      // Return comprehensive update result
-      return {
-        success: true,
-        message: `Order status successfully updated to ${newStatus}`,
-        orderId: orderId,
-        previousStatus: currentStatus,
-        newStatus: newStatus,
-        timestamp: statusHistoryEntry.timestamp,
-        updateData: updateData
-      };
+      return { success: true, status: derivedStatus };
       
     } catch (error) {
-      console.error('❌ AdminOrderService: Error updating order status:', error);
+      console.error('❌ AdminOrderService: Error marking shipment delivered:', error);
       return {
         success: false,
-        error: error.message || 'Failed to update order status',
-        orderId: orderId
+        error: error.message || 'Failed to mark shipment delivered'
       };
     }
   }
   
   /**
    * Add or update shipping information for an order
-   * This method handles comprehensive shipping data management including tracking
+   * Packed and partially shipped orders ship everything still outstanding in
+   * one shipment (use addShipment to split). For shipped orders the tracking
+   * of the latest shipment is corrected.
    * 
    * @param {string} orderId - Order ID to update
    * @param {Object} shippingInfo - Complete shipping information
@@ -523,15 +2334,6 @@ class AdminOrderService {
     console.log(`🚚 AdminOrderService: Updating shipping info for order ${orderId}`);
     
     try {
-      // Validate required shipping information
-      if (!shippingInfo.trackingNumber) {
-        throw new Error('Tracking number is required for shipping updates');
-      }
-      
-      if (!shippingInfo.carrier) {
-        throw new Error('Shipping carrier is required for shipping updates');
-      }
-      
       // Get current order data
       const orderRef = doc(db, "orders", orderId);
       const orderSnapshot = await getDoc(orderRef);
@@ -543,70 +2345,70 @@ class AdminOrderService {
       const currentOrder = orderSnapshot.data();
       
       // Validate order can be shipped
-      if (currentOrder.status !== ORDER_STATUSES.PACKED) {
-        // Allow shipping info to be added/updated for already shipped orders
-        if (currentOrder.status !== ORDER_STATUSES.SHIPPED) {
-          throw new Error(`Order must be in ${ORDER_STATUSES.PACKED} or ${ORDER_STATUSES.SHIPPED} status to update shipping info. Current status: ${currentOrder.status}`);
-        }
-      }
-      
-      // Find carrier configuration
-      const carrierConfig = Object.values(SHIPPING_CARRIERS).find(carrier => 
-        carrier.name.toLowerCase() === shippingInfo.carrier.toLowerCase() ||
-        carrier.code.toLowerCase() === shippingInfo.carrier.toLowerCase()
-      );
-      
-      if (!carrierConfig) {
-        console.warn(`⚠️ AdminOrderService: Unknown carrier ${shippingInfo.carrier}, using provided data`);
+      const shippableStatuses = [ORDER_STATUSES.PACKED, ORDER_STATUSES.PARTIALLY_SHIPPED, ORDER_STATUSES.SHIPPED];
+      if (!shippableStatuses.includes(currentOrder.status)) {
+        throw new Error(`Order must be in ${shippableStatuses.join(', ')} status to update shipping info. Current status: ${currentOrder.status}`);
       }
       
-      // Calculate estimated delivery date
-      const estimatedDeliveryDate = new Date();
-      const deliveryDays = carrierConfig?.estimatedDays?.standard || 7;
-      estimatedDeliveryDate.setDate(estimatedDeliveryDate.getDate() + deliveryDays);
-      
       // Prepare comprehensive tracking data
-      const trackingData = {
-        code: shippingInfo.trackingNumber,
-        carrier: carrierConfig?.name || shippingInfo.carrier,
-        carrierCode: carrierConfig?.code || shippingInfo.carrier.toUpperCase(),
-        url: carrierConfig?.trackingUrl || null,
-        estimatedDelivery: estimatedDeliveryDate.toISOString(),
-        shippedDate: new Date().toISOString(),
-        service: shippingInfo.service || 'standard',
-        weight: shippingInfo.weight || null,
-        dimensions: shippingInfo.dimensions || null,
-        cost: shippingInfo.shippingCost || currentOrder.shipping?.cost || 0,
-        notes: shippingInfo.notes || '',
-        updatedBy: adminUserId,
-        updatedAt: new Date().toISOString()
-      };
+      const trackingData = this.buildTrackingData(shippingInfo, currentOrder, adminUserId);
       
-      // Create status update for shipping
-      const statusUpdate = {
-        status: ORDER_STATUSES.SHIPPED,
-        timestamp: new Date().toISOString(),
-        note: `Order shipped via ${trackingData.carrier} with tracking number ${trackingData.code}`,
-        updatedBy: adminUserId,
-        metadata: {
-          trackingNumber: trackingData.code,
-          carrier: trackingData.carrier,
-          estimatedDelivery: trackingData.estimatedDelivery
+      if (currentOrder.status !== ORDER_STATUSES.SHIPPED) {
+        // Ship everything still outstanding as one shipment
+        const items = getUnshippedQuantities(currentOrder)
+          .map((quantity, lineIndex) => ({ lineIndex, quantity }))
+          .filter(item => item.quantity > 0);
+        
+        const shipmentResult = await this.addShipment(orderId, { ...shippingInfo, items }, adminUserId);
+        
+        if (!shipmentResult.success) {
+          throw new Error(shipmentResult.error);
         }
-      };
-      
-      // Prepare update data
-      const updateData = {
-        status: ORDER_STATUSES.SHIPPED,
-        tracking: trackingData,
-        shippedAt: serverTimestamp(),
-        shippedBy: adminUserId,
-        updatedAt: serverTimestamp(),
-        statusHistory: [...(currentOrder.statusHistory || []), statusUpdate]
-      };
-      
-      // Update the order
-      await updateDoc(orderRef, updateData);
+      } else {
+        // Already shipped - only the tracking details change, the status stays the same
+        const trackingUpdate = {
+          status: ORDER_STATUSES.SHIPPED,
+          timestamp: new Date().toISOString(),
+          note: `Tracking updated: ${trackingData.carrier} ${trackingData.code}`,
+          updatedBy: adminUserId,
+          previousStatus: ORDER_STATUSES.SHIPPED,
+          metadata: {
+            trackingNumber: trackingData.code,
+            carrier: trackingData.carrier,
+            previousTrackingNumber: currentOrder.tracking?.code || null
+          }
+        };
+        
+        const tracking = {
+          ...trackingData,
+          shippedDate: currentOrder.tracking?.shippedDate || trackingData.shippedDate
+        };
+        
+        // Correct the shipment that carried the previous tracking code
+        const shipments = (currentOrder.shipments || []).map(shipment => 
+          shipment.code === currentOrder.tracking?.code
+            ? {
+                ...shipment,
+                code: tracking.code,
+                carrier: tracking.carrier,
+                carrierCode: tracking.carrierCode,
+                url: tracking.url,
+                service: tracking.service,
+                weight: tracking.weight,
+                notes: tracking.notes
+              }
+            : shipment
+        );
+        
+        await this.commitOrderUpdate(orderRef, currentOrder, {
+          tracking,
+          ...(shipments.length > 0 && { shipments }),
+          trackingNumbers: collectTrackingNumbers(shipments.length > 0 ? shipments : [tracking]),
+          updatedAt: serverTimestamp(),
+          lastUpdatedBy: adminUserId,
+          statusHistory: [...(currentOrder.statusHistory || []), trackingUpdate]
+        });
+      }
       
       console.log(`✅ AdminOrderService: Shipping info updated for order ${orderId}`);
       
@@ -630,166 +2432,148 @@ class AdminOrderService {
   }
   
   /**
-   * Perform bulk operations on multiple orders
-   * This method provides efficient batch processing for admin operations
-   * 
-   * @param {string} operation - Type of bulk operation (update_status, update_priority, etc.)
+   * Perform a bulk operation on multiple orders
+   * The run is saved as a bulk job before any order is touched, with a "not
+   * processed" result for every order in bulk_jobs/{jobId}/results, so a run
+   * that stops part-way is marked failed and can be retried. Orders are
+   * processed a few at a time (see applyBulkChange) and progress is reported
+   * per order.
+   *
+   * @param {string} operation - BULK_OPERATIONS value
    * @param {Array} orderIds - Array of order IDs to process
-   * @param {Object} operationData - Data for the operation
+   * @param {Object} operationData - Data for the operation ({ status, note, reason }, { priority }, { tag } or { note, authorName })
    * @param {string} adminUserId - Admin user performing the operation
-   * @returns {Promise<Object>} - Bulk operation results
+   * @param {Object} options - { onProgress({ orderId, success, error, processed, total }), jobId to continue an existing job }
+   * @returns {Promise<Object>} - { success, jobId, operation, totalOrders, successCount, failureCount, results, error }
    */
-  static async bulkOperation(operation, orderIds, operationData, adminUserId = 'admin') {
-    console.log(`🔄 AdminOrderService: Performing bulk ${operation} on ${orderIds.length} orders`);
-    
+  static async bulkOperation(operation, orderIds, operationData, adminUserId = 'admin', options = {}) {
+    console.log(`🔄 AdminOrderService: Performing bulk ${operation} on ${orderIds?.length || 0} orders`);
+    let startedJobRef = null;
+
     try {
       if (!orderIds || orderIds.length === 0) {
         throw new Error('No order IDs provided for bulk operation');
       }
-      
-      if (orderIds.length > 50) {
-        throw new Error('Bulk operations are limited to 50 orders at a time for performance reasons');
+      if (!Object.values(BULK_OPERATIONS).includes(operation)) {
+        throw new Error(`Unknown operation: ${operation}`);
       }
-      
-      const results = [];
-      const batch = writeBatch(db);
-      
-      // Process each order in the bulk operation
-      for (const orderId of orderIds) {
-        try {
-          const orderRef = doc(db, "orders", orderId);
-          const orderSnapshot = await getDoc(orderRef);
-          
-          if (!orderSnapshot.exists()) {
-            results.push({
-              orderId: orderId,
+      if (operation === BULK_OPERATIONS.UPDATE_PRIORITY && !Object.values(ORDER_PRIORITIES).includes(operationData.priority)) {
+        throw new Error(`Invalid priority: ${operationData.priority}`);
+      }
+      if ([BULK_OPERATIONS.ADD_TAG, BULK_OPERATIONS.REMOVE_TAG].includes(operation) && !normalizeTagName(operationData.tag)) {
+        throw new Error('Choose a tag');
+      }
+
+      // Start a new job, or continue one when retrying its failures
+      const jobRef = options.jobId
+        ? doc(db, BULK_JOBS_COLLECTION, options.jobId)
+        : doc(collection(db, BULK_JOBS_COLLECTION));
+      let totalOrders = orderIds.length;
+      let successCount = 0;
+      let changedCount = 0;
+      if (options.jobId) {
+        const jobSnapshot = await getDoc(jobRef);
+        if (!jobSnapshot.exists()) {
+          throw new Error('Bulk job not found');
+        }
+        totalOrders = jobSnapshot.data().totalOrders;
+        // Count from the results, which a stopped run may have written past its last saved counts
+        const succeededSnapshot = await getDocs(query(
+          collection(db, BULK_JOBS_COLLECTION, jobRef.id, BULK_RESULTS_COLLECTION),
+          where('success', '==', true)
+        ));
+        successCount = succeededSnapshot.size;
+        changedCount = succeededSnapshot.docs.filter(resultDoc => !resultDoc.data().unchanged).length;
+        await updateDoc(jobRef, {
+          state: BULK_JOB_STATES.RUNNING,
+          retriedAt: serverTimestamp(),
+          retriedBy: adminUserId,
+          error: deleteField()
+        });
+      } else {
+        await setDoc(jobRef, {
+          operation,
+          operationData,
+          state: BULK_JOB_STATES.RUNNING,
+          totalOrders,
+          successCount: 0,
+          failureCount: totalOrders,
+          changedCount: 0,
+          restoredCount: 0,
+          createdBy: adminUserId,
+          createdAt: serverTimestamp()
+        });
+        startedJobRef = jobRef;
+        for (const chunkOrderIds of chunkIds(orderIds, BULK_BATCH_WRITE_LIMIT)) {
+          const batch = writeBatch(db);
+          chunkOrderIds.forEach(orderId => {
+            batch.set(doc(db, BULK_JOBS_COLLECTION, jobRef.id, BULK_RESULTS_COLLECTION, orderId), {
+              orderId,
               success: false,
-              error: 'Order not found'
+              error: 'Not processed'
             });
-            continue;
-          }
-          
-          const currentOrder = orderSnapshot.data();
-          let updateData = {};
-          
-          // Determine update data based on operation type
-          switch (operation) {
-            case 'update_status':
-              if (!Object.values(ORDER_STATUSES).includes(operationData.status)) {
-                results.push({
-                  orderId: orderId,
-                  success: false,
-                  error: `Invalid status: ${operationData.status}`
-                });
-                continue;
-              }
-              
-              updateData = {
-                status: operationData.status,
-                updatedAt: serverTimestamp(),
-                lastUpdatedBy: adminUserId,
-                statusHistory: [...(currentOrder.statusHistory || []), {
-                  status: operationData.status,
-                  timestamp: new Date().toISOString(),
-                  note: operationData.note || `Bulk status update to ${operationData.status}`,
-                  updatedBy: adminUserId,
-                  metadata: { bulkOperation: true }
-                }]
-              };
-              break;
-              
-            case 'update_priority':
-              if (!Object.values(ORDER_PRIORITIES).includes(operationData.priority)) {
-                results.push({
-                  orderId: orderId,
-                  success: false,
-                  error: `Invalid priority: ${operationData.priority}`
-                });
-                continue;
-              }
-              
-              updateData = {
-                priority: operationData.priority,
-                updatedAt: serverTimestamp(),
-                lastUpdatedBy: adminUserId
-              };
-              break;
-              
-            case 'add_tag':
-              const currentTags = currentOrder.tags || [];
-              if (!currentTags.includes(operationData.tag)) {
-                updateData = {
-                  tags: [...currentTags, operationData.tag],
-                  updatedAt: serverTimestamp(),
-                  lastUpdatedBy: adminUserId
-                };
-              }
-              break;
-              
-            case 'remove_tag':
-              const tagsToKeep = (currentOrder.tags || []).filter(tag => tag !== operationData.tag);
-              updateData = {
-                tags: tagsToKeep,
-                updatedAt: serverTimestamp(),
-                lastUpdatedBy: adminUserId
-              };
-              break;
-              
-            case 'add_admin_note':
-              updateData = {
-                adminNotes: (currentOrder.adminNotes || '') + '\n' + operationData.note,
-                updatedAt: serverTimestamp(),
-                lastUpdatedBy: adminUserId
-              };
-              break;
-              
-            default:
-              results.push({
-                orderId: orderId,
-                success: false,
-                error: `Unknown operation: ${operation}`
-              });
-              continue;
+          });
+          await batch.commit();
+        }
+      }
+      startedJobRef = jobRef;
+
+      const results = [];
+      for (const chunkOrderIds of chunkIds(orderIds, BULK_CONCURRENCY)) {
+        const chunkResults = await Promise.all(chunkOrderIds.map(orderId =>
+          this.applyBulkChange(jobRef.id, operation, orderId, operationData, adminUserId)
+        ));
+
+        for (const result of chunkResults) {
+          results.push(result);
+          if (result.success) {
+            successCount += 1;
+            changedCount += result.unchanged ? 0 : 1;
           }
-          
-          // Add to batch if we have valid update data
-          if (Object.keys(updateData).length > 0) {
-            batch.update(orderRef, updateData);
-            results.push({
-              orderId: orderId,
-              success: true,
-              operation: operation
+          if (options.onProgress) {
+            options.onProgress({
+              orderId: result.orderId,
+              success: result.success,
+              error: result.error,
+              processed: results.length,
+              total: orderIds.length
             });
           }
-          
-        } catch (orderError) {
-          results.push({
-            orderId: orderId,
-            success: false,
-            error: orderError.message
-          });
         }
+
+        // Save the counts as the run goes so a closed tab leaves an accurate job
+        await updateDoc(jobRef, { successCount, failureCount: totalOrders - successCount, changedCount });
       }
-      
-      // Commit the batch operation
-      await batch.commit();
-      
-      const successCount = results.filter(r => r.success).length;
-      const failureCount = results.filter(r => !r.success).length;
-      
-      console.log(`✅ AdminOrderService: Bulk operation completed. Success: ${successCount}, Failed: ${failureCount}`);
-      
+
+      const runSuccessCount = results.filter(result => result.success).length;
+      const runFailureCount = results.length - runSuccessCount;
+      await updateDoc(jobRef, {
+        state: totalOrders > successCount ? BULK_JOB_STATES.COMPLETED_WITH_ERRORS : BULK_JOB_STATES.COMPLETED,
+        finishedAt: serverTimestamp()
+      });
+
+      console.log(`✅ AdminOrderService: Bulk operation completed. Success: ${runSuccessCount}, Failed: ${runFailureCount}`);
+
       return {
         success: true,
+        jobId: jobRef.id,
         operation: operation,
         totalOrders: orderIds.length,
-        successCount: successCount,
-        failureCount: failureCount,
+        successCount: runSuccessCount,
+        failureCount: runFailureCount,
         results: results
       };
-      
+
     } catch (error) {
       console.error('❌ AdminOrderService: Error in bulk operation:', error);
+      if (startedJobRef) {
+        // Leave the job retryable instead of running forever
+        await updateDoc(startedJobRef, {
+          state: BULK_JOB_STATES.FAILED,
+          error: error.message || 'Bulk operation stopped',
+          finishedAt: serverTimestamp()
+        }).catch(jobError => console.warn('⚠️ AdminOrderService: Could not mark bulk job as failed:', jobError));
+      }
       return {
         success: false,
         error: error.message || 'Failed to perform bulk operation',
@@ -797,7 +2581,322 @@ class AdminOrderService {
       };
     }
   }
-  
+
+  /**
+   * Apply a bulk operation to one order and record its result on the job
+   * Status changes go through updateOrderStatus so the state machine and its
+   * side effects apply. Other changes read the order and write it, its
+   * users/{uid}/orders copies (admin notes stay off them) and the result in
+   * one transaction.
+   *
+   * @param {string} jobId - Bulk job ID
+   * @param {string} operation - BULK_OPERATIONS value
+   * @param {string} orderId - Order ID
+   * @param {Object} operationData - As for bulkOperation
+   * @param {string} adminUserId - Admin running the job
+   * @returns {Promise<Object>} - { orderId, success, error, previous, applied, unchanged }
+   */
+  static async applyBulkChange(jobId, operation, orderId, operationData, adminUserId) {
+    const orderRef = doc(db, "orders", orderId);
+    const resultRef = doc(db, BULK_JOBS_COLLECTION, jobId, BULK_RESULTS_COLLECTION, orderId);
+
+    try {
+      const orderSnapshot = await getDoc(orderRef);
+      if (!orderSnapshot.exists()) {
+        throw new Error('Order not found');
+      }
+
+      if (operation === BULK_OPERATIONS.UPDATE_STATUS) {
+        const previous = orderSnapshot.data().status ?? null;
+        const statusResult = await this.updateOrderStatus(orderId, operationData.status, {
+          note: operationData.note || `Bulk status update to ${operationData.status}`,
+          reason: operationData.reason,
+          tracking: operationData.tracking,
+          // The recorded previous status must be the one that was changed
+          expectedStatus: previous,
+          metadata: { bulkOperation: true, bulkJobId: jobId }
+        }, adminUserId);
+        if (!statusResult.success) {
+          throw new Error(statusResult.error || 'Status update failed');
+        }
+        const result = { orderId, success: true, previous, applied: operationData.status };
+        await setDoc(resultRef, result);
+        return result;
+      }
+
+      const userOrderRefs = operation === BULK_OPERATIONS.ADD_ADMIN_NOTE
+        ? []
+        : await this.getUserOrderRefs(orderSnapshot.data().userId, orderId);
+
+      return await runTransaction(db, async (transaction) => {
+        const currentSnapshot = await transaction.get(orderRef);
+        if (!currentSnapshot.exists()) {
+          throw new Error('Order not found');
+        }
+        const currentOrder = currentSnapshot.data();
+        const updateData = {
+          updatedAt: serverTimestamp(),
+          lastUpdatedBy: adminUserId
+        };
+        let result = { orderId, success: true };
+
+        switch (operation) {
+          case BULK_OPERATIONS.UPDATE_PRIORITY:
+            updateData.priority = operationData.priority;
+            result = { ...result, previous: currentOrder.priority || ORDER_PRIORITIES.NORMAL, applied: operationData.priority };
+            break;
+
+          case BULK_OPERATIONS.ADD_TAG:
+          case BULK_OPERATIONS.REMOVE_TAG: {
+            const currentTags = currentOrder.tags || [];
+            const tag = normalizeTagName(operationData.tag);
+            const tags = operation === BULK_OPERATIONS.ADD_TAG
+              ? (currentTags.includes(tag) ? currentTags : [...currentTags, tag])
+              : currentTags.filter(existing => existing !== tag);
+            if (tags.length === currentTags.length) {
+              result = { ...result, unchanged: true };
+              transaction.set(resultRef, result);
+              return result;
+            }
+            updateData.tags = tags;
+            result = { ...result, previous: currentTags, applied: tags };
+            break;
+          }
+
+          case BULK_OPERATIONS.ADD_ADMIN_NOTE:
+            updateData.adminNotes = (currentOrder.adminNotes || '') + '\n' + operationData.note;
+            // Also post it to the order's notes thread
+            transaction.set(
+              doc(collection(db, "orders", orderId, "notes")),
+              buildNote({ body: operationData.note }, { id: adminUserId, name: operationData.authorName })
+            );
+            break;
+
+          default:
+            break;
+        }
+
+        transaction.update(orderRef, updateData);
+        userOrderRefs.forEach(userOrderRef => {
+          transaction.update(userOrderRef, updateData);
+        });
+        transaction.set(resultRef, result);
+        return result;
+      });
+
+    } catch (error) {
+      const result = { orderId, success: false, error: error.message || 'Update failed' };
+      await setDoc(resultRef, result);
+      return result;
+    }
+  }
+
+  /**
+   * Run a bulk job again for the orders that failed or were not processed
+   *
+   * @param {string} jobId - Bulk job ID
+   * @param {string} adminUserId - Admin retrying the job
+   * @param {Object} options - { onProgress } as for bulkOperation
+   * @returns {Promise<Object>} - Result of bulkOperation for the failed orders
+   */
+  static async retryBulkJob(jobId, adminUserId = 'admin', options = {}) {
+    try {
+      const jobSnapshot = await getDoc(doc(db, BULK_JOBS_COLLECTION, jobId));
+      if (!jobSnapshot.exists()) {
+        throw new Error('Bulk job not found');
+      }
+
+      const job = jobSnapshot.data();
+      if ([BULK_JOB_STATES.UNDONE, BULK_JOB_STATES.PARTIALLY_UNDONE].includes(job.state)) {
+        throw new Error('This bulk run has been undone');
+      }
+      if (job.state === BULK_JOB_STATES.RUNNING) {
+        throw new Error('This bulk run is still in progress');
+      }
+      const failedSnapshot = await getDocs(query(
+        collection(db, BULK_JOBS_COLLECTION, jobId, BULK_RESULTS_COLLECTION),
+        where('success', '==', false)
+      ));
+      const failedOrderIds = failedSnapshot.docs.map(resultDoc => resultDoc.id);
+      if (failedOrderIds.length === 0) {
+        throw new Error('This bulk run has no failed orders');
+      }
+
+      return this.bulkOperation(job.operation, failedOrderIds, job.operationData, adminUserId, { ...options, jobId });
+
+    } catch (error) {
+      console.error('❌ AdminOrderService: Error retrying bulk job:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to retry bulk job'
+      };
+    }
+  }
+
+  /**
+   * Undo a bulk job by restoring the previous status, priority or tags of
+   * every order it changed. Orders changed again since the run are left
+   * alone and reported as failures; the job is then partially undone and
+   * undo can be run again for them.
+   *
+   * @param {string} jobId - Bulk job ID
+   * @param {string} adminUserId - Admin undoing the job
+   * @param {Object} options - { onProgress } as for bulkOperation
+   * @returns {Promise<Object>} - { success, totalOrders, successCount, failureCount, results, error }
+   */
+  static async undoBulkJob(jobId, adminUserId = 'admin', options = {}) {
+    console.log(`↩️ AdminOrderService: Undoing bulk job ${jobId}`);
+
+    try {
+      const jobRef = doc(db, BULK_JOBS_COLLECTION, jobId);
+      const jobSnapshot = await getDoc(jobRef);
+      if (!jobSnapshot.exists()) {
+        throw new Error('Bulk job not found');
+      }
+
+      const job = jobSnapshot.data();
+      const undoProblem = getBulkUndoProblem(job);
+      if (undoProblem) {
+        throw new Error(undoProblem);
+      }
+
+      const field = BULK_UNDO_FIELDS[job.operation];
+      const succeededSnapshot = await getDocs(query(
+        collection(db, BULK_JOBS_COLLECTION, jobId, BULK_RESULTS_COLLECTION),
+        where('success', '==', true)
+      ));
+      // Orders restored by an earlier, partly failed undo are not touched again
+      const changed = getBulkUndoPending(succeededSnapshot.docs.map(resultDoc => resultDoc.data()));
+      const results = [];
+
+      for (const chunkResults of chunkIds(changed, BULK_CONCURRENCY)) {
+        const undoResults = await Promise.all(chunkResults.map(result =>
+          this.undoBulkChange(jobId, field, result, adminUserId)
+        ));
+        undoResults.forEach(result => {
+          results.push(result);
+          if (options.onProgress) {
+            options.onProgress({ ...result, processed: results.length, total: changed.length });
+          }
+        });
+      }
+
+      const successCount = results.filter(r => r.success).length;
+      const failureCount = results.filter(r => !r.success).length;
+      // Orders that could not be restored keep the job open for another undo
+      await updateDoc(jobRef, {
+        state: failureCount > 0 ? BULK_JOB_STATES.PARTIALLY_UNDONE : BULK_JOB_STATES.UNDONE,
+        restoredCount: (job.restoredCount || 0) + successCount,
+        undoneAt: serverTimestamp(),
+        undoneBy: adminUserId
+      });
+
+      console.log(`✅ AdminOrderService: Bulk job undone. Restored: ${successCount}, Skipped: ${failureCount}`);
+
+      return {
+        success: true,
+        totalOrders: changed.length,
+        successCount,
+        failureCount,
+        results
+      };
+
+    } catch (error) {
+      console.error('❌ AdminOrderService: Error undoing bulk job:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to undo bulk job'
+      };
+    }
+  }
+
+  /**
+   * Restore one order changed by a bulk job and record the outcome on its result
+   * The order is only restored while the field still holds the value the job
+   * applied, checked and written in one transaction. Statuses go back
+   * through a validated reverse transition.
+   *
+   * @param {string} jobId - Bulk job ID
+   * @param {string} field - Order field the job changed
+   * @param {Object} result - The order's bulk result ({ orderId, previous, applied })
+   * @param {string} adminUserId - Admin undoing the job
+   * @returns {Promise<Object>} - { orderId, success, error }
+   */
+  static async undoBulkChange(jobId, field, result, adminUserId) {
+    const { orderId, previous, applied } = result;
+    const orderRef = doc(db, "orders", orderId);
+    const resultRef = doc(db, BULK_JOBS_COLLECTION, jobId, BULK_RESULTS_COLLECTION, orderId);
+
+    try {
+      const orderSnapshot = await getDoc(orderRef);
+      if (!orderSnapshot.exists()) {
+        throw new Error('Order not found');
+      }
+
+      if (field === 'status') {
+        await this.revertOrderStatus(orderId, previous, {
+          note: `Bulk change to ${applied} undone`,
+          expectedStatus: applied,
+          metadata: { bulkJobId: jobId }
+        }, adminUserId);
+        await updateDoc(resultRef, { undo: { success: true, undoneAt: new Date().toISOString() } });
+        return { orderId, success: true };
+      }
+
+      const userOrderRefs = await this.getUserOrderRefs(orderSnapshot.data().userId, orderId);
+      await runTransaction(db, async (transaction) => {
+        const currentSnapshot = await transaction.get(orderRef);
+        if (!currentSnapshot.exists()) {
+          throw new Error('Order not found');
+        }
+        if (!sameFieldValue(currentSnapshot.data()[field], applied)) {
+          throw new Error(`The ${field} has changed since the bulk run`);
+        }
+
+        const updateData = {
+          [field]: previous,
+          updatedAt: serverTimestamp(),
+          lastUpdatedBy: adminUserId
+        };
+        transaction.update(orderRef, updateData);
+        userOrderRefs.forEach(userOrderRef => {
+          transaction.update(userOrderRef, updateData);
+        });
+        transaction.update(resultRef, { undo: { success: true, undoneAt: new Date().toISOString() } });
+      });
+      return { orderId, success: true };
+
+    } catch (error) {
+      const undoResult = { orderId, success: false, error: error.message || 'Undo failed' };
+      await updateDoc(resultRef, { undo: { success: false, error: undoResult.error } });
+      return undoResult;
+    }
+  }
+
+  /**
+   * Recent bulk jobs, newest first
+   * @param {number} count - How many to load
+   * @returns {Promise<Object>} - { success, jobs, error }
+   */
+  static async getBulkJobs(count = 10) {
+    try {
+      const snapshot = await getDocs(query(
+        collection(db, BULK_JOBS_COLLECTION),
+        orderBy('createdAt', 'desc'),
+        limit(count)
+      ));
+      return { success: true, jobs: snapshot.docs.map(jobDoc => ({ id: jobDoc.id, ...jobDoc.data() })) };
+
+    } catch (error) {
+      console.error('❌ AdminOrderService: Error loading bulk jobs:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to load bulk jobs',
+        jobs: []
+      };
+    }
+  }
+
   /**
    * Generate comprehensive order analytics for admin dashboard
    * This method provides detailed insights into order patterns and performance
@@ -827,6 +2926,10 @@ class AdminOrderService {
       
       const averageOrderValue = totalOrders > 0 ? totalRevenue / totalOrders : 0;
       
+      // Gateway fees recorded by settlement imports (see gatewaySettlement.js)
+      const gatewayFees = orders.reduce((sum, order) => sum + (order.gatewaySettlement?.fee || 0), 0);
+      const netRevenue = totalRevenue - gatewayFees;
+      
       // Status distribution analysis
       const statusDistribution = orders.reduce((acc, order) => {
         const status = order.status || 'Unknown';
@@ -933,6 +3036,14 @@ class AdminOrderService {
         return acc;
       }, {});
       
+      // Tag usage - orders carrying each tag
+      const tagStats = orders.reduce((acc, order) => {
+        (order.tags || []).forEach(tag => {
+          acc[tag] = (acc[tag] || 0) + 1;
+        });
+        return acc;
+      }, {});
+      
       console.log(`✅ AdminOrderService: Analytics generated for ${totalOrders} orders`);
       
       return {
@@ -942,6 +3053,8 @@ class AdminOrderService {
           totalOrders,
           totalRevenue,
           averageOrderValue,
+          gatewayFees,
+          netRevenue,
           
           // Status analysis
           statusDistribution,
@@ -961,6 +3074,7 @@ class AdminOrderService {
           paymentMethodStats,
           shippingStats,
           priorityStats,
+          tagStats,
           
           // Time-based data
           dailyStats,
@@ -1028,36 +3142,28 @@ class AdminOrderService {
   }
   
   /**
-   * Restore inventory for cancelled or declined orders
-   * Helper method for inventory management
+   * Restore inventory for cancelled or declined orders and accepted returns
+   * Helper method for inventory management - pass only the units to put back.
+   * Stock is incremented in a transaction and each product gets a ledger entry.
    * 
-   * @param {Array} orderItems - Array of order items
+   * @param {Array} orderItems - Array of { productId, name, quantity }
+   * @param {Object} context - { type, reason, orderId, adminUserId } recorded on the movements (defaults to a cancellation restore)
    * @returns {Promise<void>}
    */
-  static async restoreInventory(orderItems) {
-    console.log('📦 AdminOrderService: Restoring inventory for cancelled/declined order');
+  static async restoreInventory(orderItems, context = {}) {
+    console.log(`📦 AdminOrderService: Restoring inventory for ${orderItems.length} item(s)`);
     
     try {
-      const batch = writeBatch(db);
-      
-      for (const item of orderItems) {
-        const productRef = doc(db, "products", item.productId);
-        const productSnapshot = await getDoc(productRef);
-        
-        if (productSnapshot.exists()) {
-          const currentStock = productSnapshot.data().stock || 0;
-          const restoredStock = currentStock + item.quantity;
-          
-          batch.update(productRef, {
-            stock: restoredStock,
-            lastRestored: serverTimestamp()
-          });
-          
-          console.log(`📦 AdminOrderService: Restored ${item.quantity} units of ${item.name} (${currentStock} → ${restoredStock})`);
-        }
-      }
+      const movements = await InventoryService.applyMovements(
+        orderItems
+          .filter(item => item.productId && item.quantity > 0)
+          .map(item => ({ productId: item.productId, quantity: item.quantity })),
+        { type: MOVEMENT_TYPES.CANCEL_RESTORE, ...context, allowNegative: true }
+      );
       
-      await batch.commit();
+      movements.forEach(movement => {
+        console.log(`📦 AdminOrderService: Restored ${movement.delta} units of ${movement.productName} (${movement.stockBefore} → ${movement.stockAfter})`);
+      });
       console.log('✅ AdminOrderService: Inventory restoration completed');
       
     } catch (error) {
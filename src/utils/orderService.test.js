@@ -0,0 +1,545 @@
+import AdminOrderService, {
+  BULK_JOB_STATES,
+  BULK_OPERATIONS,
+  ORDER_STATUSES,
+  deriveFulfillmentStatus,
+  ORDER_STATUS_TRANSITIONS,
+  getAllowedTransitions,
+  getBulkUndoPending,
+  getBulkUndoPendingCount,
+  getBulkUndoProblem,
+  getRefundSummary,
+  getTransitionRequirements,
+  getUnshippedQuantities,
+  validateStatusReversal,
+  validateStatusTransition
+} from './orderService';
+import { doc } from 'firebase/firestore';
+import { db } from '../firebase';
+import { listDocs, readDoc, resetFirestore, writeDoc } from '../testUtils/firestoreFake';
+
+jest.mock('../firebase', () => ({ db: {} }));
+jest.mock('firebase/firestore', () => require('../testUtils/firestoreFake'));
+
+const tracking = { carrier: 'Delhivery', code: 'DL123' };
+
+describe('order status state machine', () => {
+  test('every status has an entry in the transition table', () => {
+    Object.values(ORDER_STATUSES).forEach(status => {
+      expect(ORDER_STATUS_TRANSITIONS).toHaveProperty([status]);
+    });
+  });
+
+  test('Declined and Refunded are final', () => {
+    expect(getAllowedTransitions(ORDER_STATUSES.DECLINED)).toEqual([]);
+    expect(getAllowedTransitions(ORDER_STATUSES.REFUNDED)).toEqual([]);
+  });
+
+  test('allows the forward path with the required fields', () => {
+    const path = [
+      [ORDER_STATUSES.PLACED, ORDER_STATUSES.APPROVED, {}],
+      [ORDER_STATUSES.APPROVED, ORDER_STATUSES.PACKED, {}],
+      [ORDER_STATUSES.PACKED, ORDER_STATUSES.SHIPPED, { tracking }],
+      [ORDER_STATUSES.SHIPPED, ORDER_STATUSES.DELIVERED, {}],
+      [ORDER_STATUSES.DELIVERED, ORDER_STATUSES.REFUNDED, {}]
+    ];
+    path.forEach(([from, to, updateInfo]) => {
+      expect(validateStatusTransition(from, to, updateInfo)).toEqual({ valid: true, error: null });
+    });
+  });
+
+  test('rejects skipping statuses and moving backwards', () => {
+    expect(validateStatusTransition(ORDER_STATUSES.PLACED, ORDER_STATUSES.SHIPPED, { tracking }).valid).toBe(false);
+    expect(validateStatusTransition(ORDER_STATUSES.DELIVERED, ORDER_STATUSES.SHIPPED).valid).toBe(false);
+    expect(validateStatusTransition(ORDER_STATUSES.SHIPPED, ORDER_STATUSES.CANCELLED, { reason: 'x' }).valid).toBe(false);
+  });
+
+  test('rejects moving out of a final status', () => {
+    const result = validateStatusTransition(ORDER_STATUSES.DECLINED, ORDER_STATUSES.APPROVED);
+    expect(result.valid).toBe(false);
+    expect(result.error).toMatch(/final status/);
+  });
+
+  test('rejects unknown and unchanged statuses', () => {
+    expect(validateStatusTransition(ORDER_STATUSES.PLACED, 'Lost').error).toMatch(/Invalid order status/);
+    expect(validateStatusTransition('Pending', ORDER_STATUSES.APPROVED).error).toMatch(/unrecognised status/);
+    expect(validateStatusTransition(ORDER_STATUSES.PLACED, ORDER_STATUSES.PLACED).error).toMatch(/already Placed/);
+  });
+
+  test('cancelling and declining require a reason', () => {
+    expect(getTransitionRequirements(ORDER_STATUSES.PLACED, ORDER_STATUSES.CANCELLED)).toEqual(['reason']);
+    expect(validateStatusTransition(ORDER_STATUSES.PLACED, ORDER_STATUSES.DECLINED, { reason: '  ' }).valid).toBe(false);
+    expect(validateStatusTransition(ORDER_STATUSES.PLACED, ORDER_STATUSES.DECLINED, { reason: 'Out of stock' }).valid).toBe(true);
+  });
+
+  test('shipping requires a carrier and tracking code, from the update or the order', () => {
+    expect(validateStatusTransition(ORDER_STATUSES.PACKED, ORDER_STATUSES.SHIPPED, {}).error)
+      .toMatch(/tracking information/);
+    expect(validateStatusTransition(ORDER_STATUSES.PACKED, ORDER_STATUSES.SHIPPED, { tracking: { carrier: 'Delhivery' } }).valid)
+      .toBe(false);
+    expect(validateStatusTransition(ORDER_STATUSES.PACKED, ORDER_STATUSES.SHIPPED, {}, { tracking }).valid).toBe(true);
+  });
+
+  test('partial shipping also requires the shipments', () => {
+    expect(validateStatusTransition(ORDER_STATUSES.PACKED, ORDER_STATUSES.PARTIALLY_SHIPPED, { tracking }).valid).toBe(false);
+    expect(validateStatusTransition(ORDER_STATUSES.PACKED, ORDER_STATUSES.PARTIALLY_SHIPPED, {
+      tracking,
+      shipments: [{ id: 'SH-1' }]
+    }).valid).toBe(true);
+  });
+
+  test('held orders cannot be approved', () => {
+    const result = validateStatusTransition(ORDER_STATUSES.PLACED, ORDER_STATUSES.APPROVED, {}, {
+      hold: { active: true, reason: 'High risk score' }
+    });
+    expect(result.valid).toBe(false);
+    expect(result.error).toMatch(/High risk score/);
+  });
+});
+
+describe('getRefundSummary', () => {
+  test('sums the refund ledger against the order total', () => {
+    expect(getRefundSummary({
+      financials: { total: 1000 },
+      refunds: [{ amount: 250.5 }, { amount: '100' }]
+    })).toEqual({ orderTotal: 1000, refundedTotal: 350.5, remaining: 649.5 });
+  });
+
+  test('falls back to the single refund amount on orders refunded before the ledger', () => {
+    expect(getRefundSummary({ total: 500, refundAmount: 500 })).toEqual({ orderTotal: 500, refundedTotal: 500, remaining: 0 });
+  });
+
+  test('never reports a negative remaining amount', () => {
+    expect(getRefundSummary({ total: 100, refunds: [{ amount: 120 }] }).remaining).toBe(0);
+    expect(getRefundSummary()).toEqual({ orderTotal: 0, refundedTotal: 0, remaining: 0 });
+  });
+});
+
+describe('undoing status changes', () => {
+  const statusJob = (status, overrides = {}) => ({
+    state: BULK_JOB_STATES.COMPLETED,
+    operation: BULK_OPERATIONS.UPDATE_STATUS,
+    operationData: { status },
+    ...overrides
+  });
+
+  test('only approval can be reversed', () => {
+    expect(validateStatusReversal(ORDER_STATUSES.APPROVED, ORDER_STATUSES.PLACED)).toEqual({ valid: true, error: null });
+    expect(validateStatusReversal(ORDER_STATUSES.PACKED, ORDER_STATUSES.APPROVED).valid).toBe(false);
+    expect(validateStatusReversal(ORDER_STATUSES.CANCELLED, ORDER_STATUSES.PLACED).error).toMatch(/cannot be undone/);
+  });
+
+  test('bulk status runs can only be undone when the status can be reversed', () => {
+    expect(getBulkUndoProblem(statusJob(ORDER_STATUSES.APPROVED))).toBeNull();
+    expect(getBulkUndoProblem(statusJob(ORDER_STATUSES.SHIPPED))).toMatch(/to Shipped cannot be undone/);
+    expect(getBulkUndoProblem(statusJob(ORDER_STATUSES.CANCELLED))).toMatch(/to Cancelled cannot be undone/);
+  });
+
+  test('partly undone runs can be undone again but finished ones cannot', () => {
+    expect(getBulkUndoProblem(statusJob(ORDER_STATUSES.APPROVED, { state: BULK_JOB_STATES.PARTIALLY_UNDONE }))).toBeNull();
+    expect(getBulkUndoProblem(statusJob(ORDER_STATUSES.APPROVED, { state: BULK_JOB_STATES.UNDONE }))).toMatch(/already been undone/);
+    expect(getBulkUndoProblem({ state: BULK_JOB_STATES.COMPLETED, operation: BULK_OPERATIONS.ADD_ADMIN_NOTE }))
+      .toMatch(/cannot be undone/);
+  });
+
+  test('a retried undo only restores the orders the last attempt did not', () => {
+    const results = [
+      { orderId: 'a', success: true, undo: { success: true } },
+      { orderId: 'b', success: true, undo: { success: false, error: 'Order was packed since' } },
+      { orderId: 'c', success: true, unchanged: true },
+      { orderId: 'd', success: false }
+    ];
+    expect(getBulkUndoPending(results).map(result => result.orderId)).toEqual(['b']);
+  });
+});
+
+describe('bulk jobs', () => {
+  beforeEach(() => {
+    resetFirestore({
+      'orders/a': { userId: 'cust-1', status: ORDER_STATUSES.PLACED, priority: 'normal', tags: ['gift'] },
+      'orders/b': { userId: 'cust-2', status: ORDER_STATUSES.PLACED, priority: 'normal', tags: [] },
+      'users/cust-1/orders/copy-a': { globalOrderId: 'a', status: ORDER_STATUSES.PLACED, priority: 'normal', tags: ['gift'] },
+      'users/cust-2/orders/copy-b': { globalOrderId: 'b', status: ORDER_STATUSES.PLACED, priority: 'normal', tags: [] }
+    });
+  });
+
+  test('keep per-order results out of the job document', async () => {
+    const result = await AdminOrderService.bulkOperation(BULK_OPERATIONS.ADD_TAG, ['a', 'b', 'missing'], { tag: 'gift' }, 'admin-1');
+
+    const job = readDoc(`bulk_jobs/${result.jobId}`);
+    expect(job).toMatchObject({ state: BULK_JOB_STATES.COMPLETED_WITH_ERRORS, totalOrders: 3, successCount: 2, failureCount: 1, changedCount: 1 });
+    expect(job).not.toHaveProperty('results');
+    expect(job).not.toHaveProperty('orderIds');
+    expect(listDocs(`bulk_jobs/${result.jobId}/results`)).toEqual([
+      { id: 'a', orderId: 'a', success: true, unchanged: true },
+      { id: 'b', orderId: 'b', success: true, previous: [], applied: ['gift'] },
+      { id: 'missing', orderId: 'missing', success: false, error: 'Order not found' }
+    ]);
+  });
+
+  test('update the customer copies with priority and tags', async () => {
+    await AdminOrderService.bulkOperation(BULK_OPERATIONS.UPDATE_PRIORITY, ['a', 'b'], { priority: 'urgent' }, 'admin-1');
+    await AdminOrderService.bulkOperation(BULK_OPERATIONS.REMOVE_TAG, ['a'], { tag: 'gift' }, 'admin-1');
+
+    expect(readDoc('users/cust-1/orders/copy-a')).toMatchObject({ priority: 'urgent', tags: [] });
+    expect(readDoc('users/cust-2/orders/copy-b').priority).toBe('urgent');
+  });
+
+  test('mark a job that stops part-way as failed so its orders can be retried', async () => {
+    // Order a fails after order b has been changed
+    const applyBulkChange = jest.spyOn(AdminOrderService, 'applyBulkChange')
+      .mockImplementationOnce(() => new Promise((resolve, reject) => setTimeout(() => reject(new Error('Tab closed')))));
+
+    const result = await AdminOrderService.bulkOperation(BULK_OPERATIONS.UPDATE_STATUS, ['a', 'b'], { status: ORDER_STATUSES.APPROVED }, 'admin-1');
+    expect(result).toMatchObject({ success: false, error: 'Tab closed' });
+    const [job] = listDocs('bulk_jobs');
+    expect(job).toMatchObject({ state: BULK_JOB_STATES.FAILED, successCount: 0, failureCount: 2 });
+    applyBulkChange.mockRestore();
+
+    const retry = await AdminOrderService.retryBulkJob(job.id, 'admin-1');
+    expect(retry).toMatchObject({ success: true, totalOrders: 1, successCount: 1 });
+    expect(readDoc(`bulk_jobs/${job.id}`)).toMatchObject({ state: BULK_JOB_STATES.COMPLETED, successCount: 2, failureCount: 0 });
+    expect(readDoc('orders/b').status).toBe(ORDER_STATUSES.APPROVED);
+  });
+
+  test('undo leaves orders changed since the run alone', async () => {
+    const run = await AdminOrderService.bulkOperation(BULK_OPERATIONS.UPDATE_PRIORITY, ['a', 'b'], { priority: 'urgent' }, 'admin-1');
+    writeDoc('orders/b', { priority: 'low' });
+
+    const undo = await AdminOrderService.undoBulkJob(run.jobId, 'admin-1');
+    expect(undo).toMatchObject({ success: true, successCount: 1, failureCount: 1 });
+    expect(undo.results[1].error).toMatch(/priority has changed/);
+    expect(readDoc('orders/a').priority).toBe('normal');
+    expect(readDoc('users/cust-1/orders/copy-a').priority).toBe('normal');
+    expect(readDoc('orders/b').priority).toBe('low');
+    expect(readDoc(`bulk_jobs/${run.jobId}`)).toMatchObject({ state: BULK_JOB_STATES.PARTIALLY_UNDONE, restoredCount: 1 });
+    expect(getBulkUndoPendingCount(readDoc(`bulk_jobs/${run.jobId}`))).toBe(1);
+  });
+
+  test('undo does not revert a status that moved on since the run', async () => {
+    const run = await AdminOrderService.bulkOperation(BULK_OPERATIONS.UPDATE_STATUS, ['a', 'b'], { status: ORDER_STATUSES.APPROVED }, 'admin-1');
+    writeDoc('orders/b', { status: ORDER_STATUSES.PACKED });
+
+    const undo = await AdminOrderService.undoBulkJob(run.jobId, 'admin-1');
+    expect(undo).toMatchObject({ successCount: 1, failureCount: 1 });
+    expect(readDoc('orders/a').status).toBe(ORDER_STATUSES.PLACED);
+    expect(readDoc('orders/b').status).toBe(ORDER_STATUSES.PACKED);
+  });
+});
+
+describe('getOrderById', () => {
+  test('loads one order for the detail page', async () => {
+    resetFirestore({ 'orders/a': { orderId: 'A1001', financials: { total: 1180 }, orderDate: '2025-06-02T10:00:00.000Z' } });
+
+    const result = await AdminOrderService.getOrderById('a');
+    expect(result.success).toBe(true);
+    expect(result.order).toMatchObject({ id: 'a', orderId: 'A1001', total: 1180 });
+    expect(result.order.orderDate).toEqual(new Date('2025-06-02T10:00:00.000Z'));
+  });
+
+  test('reports a missing order or ID', async () => {
+    resetFirestore();
+    expect((await AdminOrderService.getOrderById('gone')).error).toMatch(/not found/);
+    expect((await AdminOrderService.getOrderById('')).error).toBe('Order ID is required');
+  });
+});
+
+describe('order list queries', () => {
+  beforeEach(() => {
+    resetFirestore({
+      'orders/june-1': { status: ORDER_STATUSES.PLACED, orderDate: '2025-06-01T09:00:00.000Z' },
+      'orders/june-15': { status: ORDER_STATUSES.APPROVED, orderDate: '2025-06-15T09:00:00.000Z', tags: ['vip'] },
+      'orders/june-20': { status: ORDER_STATUSES.PLACED, orderDate: '2025-06-20T09:00:00.000Z' },
+      'orders/july-2': { status: ORDER_STATUSES.PLACED, orderDate: '2025-07-02T09:00:00.000Z', tags: ['fragile', 'vip'] }
+    });
+  });
+
+  test('list storefront orders newest first by orderDate', async () => {
+    const result = await AdminOrderService.getAllOrders();
+    expect(result.orders.map(order => order.id)).toEqual(['july-2', 'june-20', 'june-15', 'june-1']);
+  });
+
+  test('filter and count by the orderDate range', async () => {
+    const filters = { startDate: '2025-06-10', endDate: '2025-06-30' };
+    const result = await AdminOrderService.getAllOrders(filters);
+    expect(result.orders.map(order => order.id)).toEqual(['june-20', 'june-15']);
+
+    const counts = await AdminOrderService.getOrderCounts(filters, [ORDER_STATUSES.PLACED]);
+    expect(counts.counts).toEqual({ all: 2, [ORDER_STATUSES.PLACED]: 1 });
+  });
+
+  test('filter by orders carrying any of the selected tags', async () => {
+    const result = await AdminOrderService.getAllOrders({ tags: ['fragile', 'gift'] });
+    expect(result.orders.map(order => order.id)).toEqual(['july-2']);
+
+    const vip = await AdminOrderService.getAllOrders({ tags: ['vip'] });
+    expect(vip.orders.map(order => order.id)).toEqual(['july-2', 'june-15']);
+  });
+
+  test('search the keyword index for every word typed', async () => {
+    writeDoc('orders/june-1', { ...readDoc('orders/june-1'), searchKeywords: ['as', 'ash', 'asha', 'ra', 'rao'] });
+    writeDoc('orders/june-20', { ...readDoc('orders/june-20'), searchKeywords: ['as', 'ash', 'asha', 'me', 'mehta'] });
+    writeDoc('orders/july-2', { ...readDoc('orders/july-2'), searchKeywords: ['as', 'ash', 'asha', 'ra', 'rao'] });
+
+    const result = await AdminOrderService.getAllOrders({ searchTerm: 'Asha Rao' });
+    expect(result.orders.map(order => order.id)).toEqual(['july-2', 'june-1']);
+
+    const tagged = await AdminOrderService.getAllOrders({ searchTerm: 'asha', tags: ['fragile'] });
+    expect(tagged.orders.map(order => order.id)).toEqual(['july-2']);
+  });
+
+  test('page through orders with a cursor', () => {
+    const pages = [];
+    AdminOrderService.subscribeToOrderPage({}, { pageSize: 3 }, page => pages.push(page));
+    expect(pages[0].orders.map(order => order.id)).toEqual(['july-2', 'june-20', 'june-15']);
+    expect(pages[0].hasMore).toBe(true);
+
+    AdminOrderService.subscribeToOrderPage({}, { pageSize: 3, cursor: pages[0].lastDoc }, page => pages.push(page));
+    expect(pages[1].orders.map(order => order.id)).toEqual(['june-1']);
+    expect(pages[1].hasMore).toBe(false);
+  });
+});
+
+describe('order updates', () => {
+  test('store admin tags normalized and without duplicates', async () => {
+    resetFirestore({ 'orders/a': { orderId: 'A1001' } });
+
+    const result = await AdminOrderService.updateAdminFields('a', { tags: [' VIP ', 'vip', 'Gift  Wrap', ''] }, 'admin-1');
+
+    expect(result.success).toBe(true);
+    expect(readDoc('orders/a').tags).toEqual(['vip', 'gift wrap']);
+  });
+
+  test('index tracking codes on the order but not on the customer copy', async () => {
+    resetFirestore({
+      'orders/a': { userId: 'cust-1', orderId: 'A1001' },
+      'users/cust-1/orders/copy-a': { globalOrderId: 'a', orderId: 'A1001' }
+    });
+
+    await AdminOrderService.commitOrderUpdate(doc(db, 'orders', 'a'), readDoc('orders/a'), { tracking });
+
+    expect(readDoc('orders/a').searchKeywords).toContain('dl123');
+    expect(readDoc('users/cust-1/orders/copy-a')).toEqual({ globalOrderId: 'a', orderId: 'A1001', tracking });
+  });
+});
+
+describe('split shipments', () => {
+  const items = [{ name: 'Mug', productId: 'mug', quantity: 2 }, { name: 'Plate', productId: 'plate', quantity: 1 }];
+
+  beforeEach(() => {
+    resetFirestore({
+      'orders/a': { userId: 'cust-1', orderId: 'A1001', status: ORDER_STATUSES.PACKED, items, statusHistory: [] },
+      'users/cust-1/orders/copy-a': { globalOrderId: 'a', orderId: 'A1001', status: ORDER_STATUSES.PACKED }
+    });
+  });
+
+  test('derive the order status from what has shipped and been delivered', () => {
+    const order = { items };
+    const partial = [{ items: [{ lineIndex: 0, quantity: 2 }] }];
+    const all = [...partial, { items: [{ lineIndex: 1, quantity: 1 }], deliveredDate: '2025-06-05T10:00:00.000Z' }];
+
+    expect(deriveFulfillmentStatus(order, [])).toBeNull();
+    expect(deriveFulfillmentStatus(order, partial)).toBe(ORDER_STATUSES.PARTIALLY_SHIPPED);
+    expect(deriveFulfillmentStatus(order, all)).toBe(ORDER_STATUSES.SHIPPED);
+    expect(deriveFulfillmentStatus(order, all.map(shipment => ({ ...shipment, deliveredDate: '2025-06-05T10:00:00.000Z' }))))
+      .toBe(ORDER_STATUSES.DELIVERED);
+    expect(getUnshippedQuantities(order, partial)).toEqual([0, 1]);
+  });
+
+  test('move the order through Partially Shipped to Shipped as items ship', async () => {
+    const first = await AdminOrderService.addShipment('a', { items: [{ lineIndex: 0, quantity: 2 }], carrier: 'Delhivery', trackingNumber: 'DL1' }, 'admin-1');
+
+    expect(first).toMatchObject({ success: true, status: ORDER_STATUSES.PARTIALLY_SHIPPED });
+    expect(readDoc('orders/a').status).toBe(ORDER_STATUSES.PARTIALLY_SHIPPED);
+
+    const second = await AdminOrderService.addShipment('a', { items: [{ lineIndex: 1, quantity: 1 }], carrier: 'Delhivery', trackingNumber: 'DL2' }, 'admin-1');
+
+    expect(second).toMatchObject({ success: true, status: ORDER_STATUSES.SHIPPED });
+    const order = readDoc('orders/a');
+    expect(order.status).toBe(ORDER_STATUSES.SHIPPED);
+    expect(order.shipments.map(shipment => shipment.code)).toEqual(['DL1', 'DL2']);
+    expect(order.trackingNumbers).toEqual(['DL1', 'DL2']);
+    expect(readDoc('users/cust-1/orders/copy-a').status).toBe(ORDER_STATUSES.SHIPPED);
+  });
+
+  test('refuse to ship more units than are left', async () => {
+    await AdminOrderService.addShipment('a', { items: [{ lineIndex: 0, quantity: 1 }], carrier: 'Delhivery', trackingNumber: 'DL1' }, 'admin-1');
+
+    const result = await AdminOrderService.addShipment('a', { items: [{ lineIndex: 0, quantity: 2 }], carrier: 'Delhivery', trackingNumber: 'DL2' }, 'admin-1');
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Only 1 of Mug left to ship');
+    expect(readDoc('orders/a').shipments).toHaveLength(1);
+  });
+
+  test('mark the order delivered once every shipment is delivered', async () => {
+    await AdminOrderService.addShipment('a', { items: [{ lineIndex: 0, quantity: 2 }], carrier: 'Delhivery', trackingNumber: 'DL1' }, 'admin-1');
+    await AdminOrderService.addShipment('a', { items: [{ lineIndex: 1, quantity: 1 }], carrier: 'Delhivery', trackingNumber: 'DL2' }, 'admin-1');
+    const [firstShipment, secondShipment] = readDoc('orders/a').shipments;
+
+    expect(await AdminOrderService.markShipmentDelivered('a', firstShipment.id, 'admin-1'))
+      .toMatchObject({ success: true, status: ORDER_STATUSES.SHIPPED });
+    expect(readDoc('orders/a').status).toBe(ORDER_STATUSES.SHIPPED);
+
+    expect(await AdminOrderService.markShipmentDelivered('a', secondShipment.id, 'admin-1'))
+      .toMatchObject({ success: true, status: ORDER_STATUSES.DELIVERED });
+    expect(readDoc('orders/a').status).toBe(ORDER_STATUSES.DELIVERED);
+
+    const again = await AdminOrderService.markShipmentDelivered('a', secondShipment.id, 'admin-1');
+    expect(again.error).toBe('Shipment is already marked as delivered');
+  });
+});
+
+describe('editOrderContents', () => {
+  const items = [
+    { productId: 'mug', name: 'Mug', quantity: 2, price: 500 },
+    { productId: 'plate', name: 'Plate', quantity: 1, price: 1000 }
+  ];
+
+  beforeEach(() => {
+    resetFirestore({
+      'orders/a': {
+        userId: 'cust-1',
+        orderId: 'A1001',
+        status: ORDER_STATUSES.APPROVED,
+        items,
+        financials: { subtotal: 2000, discount: 0, tax: 200, shipping: 50, total: 2250 },
+        shipping: { address: { line1: '1 MG Road', city: 'Pune', pin: '411001' } },
+        statusHistory: []
+      },
+      'users/cust-1/orders/copy-a': { globalOrderId: 'a', orderId: 'A1001', items },
+      'products/mug': { name: 'Mug', stock: 5 },
+      'products/plate': { name: 'Plate', stock: 3 }
+    });
+  });
+
+  test('recalculate the financials and move stock by the change in quantity', async () => {
+    const result = await AdminOrderService.editOrderContents('a', {
+      items: [{ ...items[0], quantity: 3 }]
+    }, 'admin-1');
+
+    expect(result.success).toBe(true);
+    expect(result.financials).toMatchObject({ subtotal: 1500, tax: 150, shipping: 50, total: 1700 });
+    expect(readDoc('products/mug').stock).toBe(4);
+    expect(readDoc('products/plate').stock).toBe(4);
+    expect(listDocs('inventory_movements').map(movement => [movement.productId, movement.delta]).sort())
+      .toEqual([['mug', -1], ['plate', 1]]);
+
+    const order = readDoc('orders/a');
+    expect(order.items).toHaveLength(1);
+    expect(order.statusHistory[0].note).toBe('Order edited: Mug ×2 → ×3, removed Plate');
+    expect(readDoc('users/cust-1/orders/copy-a').financials.total).toBe(1700);
+  });
+
+  test('refuse to take more units than are in stock', async () => {
+    const result = await AdminOrderService.editOrderContents('a', {
+      items: [{ ...items[0], quantity: 8 }, items[1]]
+    }, 'admin-1');
+
+    expect(result).toEqual({ success: false, error: 'Only 5 more unit(s) of Mug in stock' });
+    expect(readDoc('products/mug').stock).toBe(5);
+    expect(readDoc('orders/a').items).toEqual(items);
+  });
+
+  test('only edit orders that have not been packed or invoiced', async () => {
+    writeDoc('orders/a', { ...readDoc('orders/a'), status: ORDER_STATUSES.PACKED });
+    const packed = await AdminOrderService.editOrderContents('a', { shippingAddress: { city: 'Mumbai' } });
+    expect(packed.error).toMatch(/only be edited while Placed or Approved/);
+
+    writeDoc('orders/a', { ...readDoc('orders/a'), status: ORDER_STATUSES.APPROVED, invoice: { number: 'INV-1' } });
+    const invoiced = await AdminOrderService.editOrderContents('a', { shippingAddress: { city: 'Mumbai' } });
+    expect(invoiced.error).toBe('Invoice INV-1 has already been issued for this order');
+  });
+
+  test('record an address change without touching stock', async () => {
+    const result = await AdminOrderService.editOrderContents('a', { shippingAddress: { city: 'Mumbai' } }, 'admin-1');
+
+    expect(result.changes.shippingAddress).toEqual({ city: { from: 'Pune', to: 'Mumbai' } });
+    expect(readDoc('orders/a').shipping.address.city).toBe('Mumbai');
+    expect(readDoc('products/mug').stock).toBe(5);
+    expect(listDocs('inventory_movements')).toEqual([]);
+  });
+});
+
+describe('new order alerts', () => {
+  test('report orders placed after subscribing, not orders moved back to Placed', () => {
+    resetFirestore({
+      'orders/old': { status: ORDER_STATUSES.APPROVED, orderDate: '2025-06-01T09:00:00.000Z' },
+      'orders/waiting': { status: ORDER_STATUSES.PLACED, orderDate: new Date().toISOString() }
+    });
+    const onNewOrders = jest.fn();
+    const unsubscribe = AdminOrderService.subscribeToNewOrders(onNewOrders);
+
+    writeDoc('orders/old', { status: ORDER_STATUSES.PLACED });
+    writeDoc('orders/waiting', { status: ORDER_STATUSES.APPROVED });
+    expect(onNewOrders).not.toHaveBeenCalled();
+
+    writeDoc('orders/new', { status: ORDER_STATUSES.PLACED, orderDate: new Date().toISOString() });
+    expect(onNewOrders).toHaveBeenCalledTimes(1);
+    expect(onNewOrders.mock.calls[0][0].map(order => order.id)).toEqual(['new']);
+    unsubscribe();
+  });
+
+  test('stop reporting once unsubscribed', () => {
+    resetFirestore();
+    const onNewOrders = jest.fn();
+    AdminOrderService.subscribeToNewOrders(onNewOrders)();
+
+    writeDoc('orders/new', { status: ORDER_STATUSES.PLACED, orderDate: new Date().toISOString() });
+    expect(onNewOrders).not.toHaveBeenCalled();
+  });
+
+  test('stream status changes to the open order page', () => {
+    resetFirestore({ 'orders/a': { status: ORDER_STATUSES.PLACED, orderDate: '2025-06-02T10:00:00.000Z' } });
+    const updates = [];
+    const unsubscribe = AdminOrderService.subscribeToOrderPage({}, { pageSize: 10 }, update => updates.push(update));
+
+    writeDoc('orders/a', { status: ORDER_STATUSES.APPROVED });
+    expect(updates).toHaveLength(2);
+    expect(updates[0].isInitial).toBe(true);
+    expect(updates[1]).toMatchObject({ isInitial: false, orders: [{ id: 'a', status: ORDER_STATUSES.APPROVED }] });
+    expect(updates[1].changes).toEqual([{ type: 'modified', order: expect.objectContaining({ id: 'a' }) }]);
+    unsubscribe();
+  });
+});
+
+describe('createManualOrder', () => {
+  const phoneOrder = (name) => ({
+    customer: { userId: 'cust-1', name, phone: '9876543210' },
+    items: [{ productId: 'knife', quantity: 1 }],
+    shippingAddress: { line1: '1 MG Road', city: 'Bengaluru', state: 'Karnataka', pin: '560001' },
+    paymentMethod: 'COD'
+  });
+
+  beforeEach(() => {
+    resetFirestore({
+      'products/knife': { name: 'Gyuto', sellingPrice: 12000, stock: 5 },
+      'order_counters/manual': { lastNumber: 41 }
+    });
+  });
+
+  test('writes the storefront order number and orderDate so the order is listed', async () => {
+    const result = await AdminOrderService.createManualOrder(phoneOrder('Asha'), 'admin-1');
+
+    expect(result.success).toBe(true);
+    const order = readDoc(`orders/${result.orderId}`);
+    expect(order.orderId).toBe('MAN-00042');
+    expect(new Date(order.orderDate).toISOString()).toBe(order.orderDate);
+    expect(listDocs('users/cust-1/orders')[0]).toMatchObject({ orderId: 'MAN-00042', globalOrderId: result.orderId });
+    expect(order.searchKeywords).toContain('man-00042');
+    expect(listDocs('users/cust-1/orders')[0]).not.toHaveProperty('searchKeywords');
+
+    const listed = await AdminOrderService.getAllOrders();
+    expect(listed.orders.map(listedOrder => listedOrder.id)).toEqual([result.orderId]);
+  });
+
+  test('gives orders created at the same time different numbers', async () => {
+    const results = await Promise.all([
+      AdminOrderService.createManualOrder(phoneOrder('Asha'), 'admin-1'),
+      AdminOrderService.createManualOrder(phoneOrder('Ravi'), 'admin-2')
+    ]);
+
+    expect(results.map(result => result.order.orderId).sort()).toEqual(['MAN-00042', 'MAN-00043']);
+    expect(readDoc('products/knife').stock).toBe(3);
+  });
+});
@@ -0,0 +1,324 @@
+/**
+ * Saved Order Views
+ *
+ * A view is a named set of Orders page filters stored in the `order_views`
+ * collection. Views are personal unless shared, in which case every admin can
+ * apply them; only the admin who created a view can change or delete it.
+ * Pinning is per admin (pinnedBy holds the admins who pinned the view), so a
+ * shared view can be a tab for one admin without cluttering another's page.
+ *
+ * The same filters are mirrored into the Orders page URL, so any filtered
+ * list - saved or not - can be linked directly.
+ *
+ * @author Shop Admin System
+ * @version 2.0.0
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  addDoc,
+  updateDoc,
+  deleteDoc,
+  query,
+  where,
+  or,
+  arrayUnion,
+  arrayRemove,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from '../firebase';
+
+export const ORDER_VIEWS_COLLECTION = 'order_views';
+
+/**
+ * Filters of an unfiltered Orders page
+ */
+export const DEFAULT_ORDER_FILTERS = {
+  status: 'all',
+  priority: 'all',
+  searchTerm: '',
+  dateRange: { startDate: '', endDate: '' },
+  minAmount: '',
+  carrier: 'all',
+  tags: []
+};
+
+// URL parameter for each filter, in the order they appear in links
+const FILTER_PARAMS = [
+  ['status', 'status'],
+  ['priority', 'priority'],
+  ['searchTerm', 'q'],
+  ['startDate', 'from'],
+  ['endDate', 'to'],
+  ['minAmount', 'min'],
+  ['carrier', 'carrier'],
+  ['tags', 'tags']
+];
+
+const flattenFilters = (filters) => ({
+  ...filters,
+  startDate: filters.dateRange?.startDate || '',
+  endDate: filters.dateRange?.endDate || '',
+  tags: (filters.tags || []).join(',')
+});
+
+/**
+ * Fill in missing filters with their defaults and tidy the values
+ * @param {Object} filters - Orders page filters (possibly partial)
+ * @returns {Object} - Complete filters
+ */
+export const normalizeOrderFilters = (filters = {}) => ({
+  status: filters.status || DEFAULT_ORDER_FILTERS.status,
+  priority: filters.priority || DEFAULT_ORDER_FILTERS.priority,
+  searchTerm: (filters.searchTerm || '').trim(),
+  dateRange: {
+    startDate: filters.dateRange?.startDate || '',
+    endDate: filters.dateRange?.endDate || ''
+  },
+  minAmount: filters.minAmount ? String(filters.minAmount) : '',
+  carrier: filters.carrier || DEFAULT_ORDER_FILTERS.carrier,
+  tags: [...new Set(filters.tags || [])].sort()
+});
+
+/**
+ * Encode filters as URL query parameters, leaving out defaults
+ * @param {Object} filters - Orders page filters
+ * @returns {URLSearchParams}
+ */
+export const filtersToSearchParams = (filters) => {
+  const flat = flattenFilters(normalizeOrderFilters(filters));
+  const defaults = flattenFilters(DEFAULT_ORDER_FILTERS);
+  const params = new URLSearchParams();
+
+  FILTER_PARAMS.forEach(([field, param]) => {
+    if (flat[field] && flat[field] !== defaults[field]) {
+      params.set(param, flat[field]);
+    }
+  });
+  return params;
+};
+
+/**
+ * Read filters from URL query parameters
+ * @param {URLSearchParams} searchParams - Current location's query
+ * @returns {Object} - Complete filters
+ */
+export const filtersFromSearchParams = (searchParams) => {
+  const flat = {};
+  FILTER_PARAMS.forEach(([field, param]) => {
+    flat[field] = searchParams.get(param) || '';
+  });
+  return normalizeOrderFilters({
+    ...flat,
+    dateRange: { startDate: flat.startDate, endDate: flat.endDate },
+    tags: flat.tags ? flat.tags.split(',').filter(Boolean) : []
+  });
+};
+
+/**
+ * Check whether two sets of filters select the same orders
+ * @param {Object} a - Orders page filters
+ * @param {Object} b - Orders page filters
+ * @returns {boolean}
+ */
+export const sameOrderFilters = (a, b) =>
+  filtersToSearchParams(a).toString() === filtersToSearchParams(b).toString();
+
+/**
+ * One-line summary of the filters, for view lists
+ * @param {Object} filters - Orders page filters
+ * @returns {string}
+ */
+export const describeOrderFilters = (filters) => {
+  const flat = flattenFilters(normalizeOrderFilters(filters));
+  const parts = [];
+  if (flat.status !== 'all') parts.push(`Status: ${flat.status}`);
+  if (flat.priority !== 'all') parts.push(`Priority: ${flat.priority}`);
+  if (flat.carrier !== 'all') parts.push(`Carrier: ${flat.carrier}`);
+  if (flat.tags) parts.push(`Tags: ${flat.tags.replace(/,/g, ', ')}`);
+  if (flat.searchTerm) parts.push(`Search: "${flat.searchTerm}"`);
+  if (flat.startDate) parts.push(`From ${flat.startDate}`);
+  if (flat.endDate) parts.push(`To ${flat.endDate}`);
+  if (flat.minAmount) parts.push(`Min ₹${flat.minAmount}`);
+  return parts.length > 0 ? parts.join(' · ') : 'All orders';
+};
+
+/**
+ * Saved order views service class
+ */
+class OrderViewsService {
+
+  /**
+   * Load the views an admin can use: their own and every shared view
+   * @param {string} adminUserId - Signed-in admin
+   * @returns {Promise<Object>} - { success, views, error }
+   */
+  static async getViews(adminUserId) {
+    try {
+      const viewsQuery = query(
+        collection(db, ORDER_VIEWS_COLLECTION),
+        or(where('createdBy', '==', adminUserId), where('shared', '==', true))
+      );
+      const snapshot = await getDocs(viewsQuery);
+      const views = snapshot.docs
+        .map(viewDoc => ({ id: viewDoc.id, ...viewDoc.data() }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+      return { success: true, views };
+
+    } catch (error) {
+      console.error('❌ OrderViewsService: Error loading views:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to load saved views',
+        views: []
+      };
+    }
+  }
+
+  /**
+   * Save the current filters as a new view
+   *
+   * @param {Object} viewInput - { name, filters, shared, pinned }
+   * @param {string} adminUserId - Admin saving the view
+   * @param {string} adminName - Shown to other admins on shared views
+   * @returns {Promise<Object>} - { success, view, error }
+   */
+  static async createView({ name, filters, shared = false, pinned = true }, adminUserId, adminName = '') {
+    try {
+      if (!name?.trim()) {
+        throw new Error('Give the view a name');
+      }
+
+      const view = {
+        name: name.trim(),
+        filters: normalizeOrderFilters(filters),
+        shared: Boolean(shared),
+        pinnedBy: pinned ? [adminUserId] : [],
+        createdBy: adminUserId,
+        createdByName: adminName,
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+      };
+      const viewDoc = await addDoc(collection(db, ORDER_VIEWS_COLLECTION), view);
+
+      console.log(`✅ OrderViewsService: Saved view "${view.name}"`);
+      return { success: true, view: { id: viewDoc.id, ...view } };
+
+    } catch (error) {
+      console.error('❌ OrderViewsService: Error saving view:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to save view'
+      };
+    }
+  }
+
+  /**
+   * Change a view's name, filters or sharing (creator only)
+   *
+   * @param {string} viewId - View ID
+   * @param {Object} changes - Any of { name, filters, shared }
+   * @param {string} adminUserId - Admin making the change
+   * @returns {Promise<Object>} - { success, error }
+   */
+  static async updateView(viewId, changes, adminUserId) {
+    try {
+      const viewRef = doc(db, ORDER_VIEWS_COLLECTION, viewId);
+      await this.assertOwner(viewRef, adminUserId);
+
+      const updateData = { updatedAt: serverTimestamp() };
+      if (changes.name !== undefined) {
+        if (!changes.name.trim()) {
+          throw new Error('Give the view a name');
+        }
+        updateData.name = changes.name.trim();
+      }
+      if (changes.filters !== undefined) {
+        updateData.filters = normalizeOrderFilters(changes.filters);
+      }
+      if (changes.shared !== undefined) {
+        updateData.shared = Boolean(changes.shared);
+      }
+      await updateDoc(viewRef, updateData);
+
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ OrderViewsService: Error updating view:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to update view'
+      };
+    }
+  }
+
+  /**
+   * Pin or unpin a view as a tab for one admin
+   *
+   * @param {string} viewId - View ID
+   * @param {string} adminUserId - Admin pinning the view
+   * @param {boolean} pinned - Whether the view should be pinned
+   * @returns {Promise<Object>} - { success, error }
+   */
+  static async setViewPinned(viewId, adminUserId, pinned) {
+    try {
+      await updateDoc(doc(db, ORDER_VIEWS_COLLECTION, viewId), {
+        pinnedBy: pinned ? arrayUnion(adminUserId) : arrayRemove(adminUserId)
+      });
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ OrderViewsService: Error pinning view:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to pin view'
+      };
+    }
+  }
+
+  /**
+   * Delete a view (creator only)
+   * @param {string} viewId - View ID
+   * @param {string} adminUserId - Admin deleting the view
+   * @returns {Promise<Object>} - { success, error }
+   */
+  static async deleteView(viewId, adminUserId) {
+    try {
+      const viewRef = doc(db, ORDER_VIEWS_COLLECTION, viewId);
+      await this.assertOwner(viewRef, adminUserId);
+      await deleteDoc(viewRef);
+
+      console.log(`🗑️ OrderViewsService: Deleted view ${viewId}`);
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ OrderViewsService: Error deleting view:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to delete view'
+      };
+    }
+  }
+
+  /**
+   * Make sure a view exists and belongs to the admin
+   * @param {DocumentReference} viewRef - View reference
+   * @param {string} adminUserId - Admin making a change
+   * @throws {Error} - When the view is missing or someone else's
+   */
+  static async assertOwner(viewRef, adminUserId) {
+    const viewDoc = await getDoc(viewRef);
+    if (!viewDoc.exists()) {
+      throw new Error('View not found');
+    }
+    if (viewDoc.data().createdBy !== adminUserId) {
+      throw new Error('Only the admin who created this view can change it');
+    }
+  }
+}
+
+export default OrderViewsService;
@@ -0,0 +1,95 @@
+import OrderViewsService, {
+  DEFAULT_ORDER_FILTERS,
+  describeOrderFilters,
+  filtersFromSearchParams,
+  filtersToSearchParams,
+  sameOrderFilters
+} from './orderViews';
+import { listDocs, readDoc, resetFirestore } from '../testUtils/firestoreFake';
+
+jest.mock('../firebase', () => ({ db: {} }));
+jest.mock('firebase/firestore', () => require('../testUtils/firestoreFake'));
+
+const filters = {
+  ...DEFAULT_ORDER_FILTERS,
+  status: 'Packed',
+  searchTerm: '  asha ',
+  dateRange: { startDate: '2025-06-01', endDate: '' },
+  tags: ['vip', 'gift', 'vip']
+};
+
+describe('order filter links', () => {
+  test('leave default filters out of the URL', () => {
+    expect(filtersToSearchParams(DEFAULT_ORDER_FILTERS).toString()).toBe('');
+    expect(filtersToSearchParams(filters).toString()).toBe('status=Packed&q=asha&from=2025-06-01&tags=gift%2Cvip');
+  });
+
+  test('read back the filters they were built from', () => {
+    const restored = filtersFromSearchParams(filtersToSearchParams(filters));
+
+    expect(restored).toEqual({
+      ...DEFAULT_ORDER_FILTERS,
+      status: 'Packed',
+      searchTerm: 'asha',
+      dateRange: { startDate: '2025-06-01', endDate: '' },
+      tags: ['gift', 'vip']
+    });
+    expect(sameOrderFilters(restored, filters)).toBe(true);
+    expect(sameOrderFilters(restored, DEFAULT_ORDER_FILTERS)).toBe(false);
+  });
+
+  test('summarize the filters for the view list', () => {
+    expect(describeOrderFilters(DEFAULT_ORDER_FILTERS)).toBe('All orders');
+    expect(describeOrderFilters(filters)).toBe('Status: Packed · Tags: gift, vip · Search: "asha" · From 2025-06-01');
+  });
+});
+
+describe('saved views', () => {
+  beforeEach(() => {
+    resetFirestore({
+      'order_views/mine': { name: 'To pack', filters: DEFAULT_ORDER_FILTERS, shared: false, pinnedBy: ['admin-1'], createdBy: 'admin-1' },
+      'order_views/team': { name: 'COD', filters: DEFAULT_ORDER_FILTERS, shared: true, pinnedBy: [], createdBy: 'admin-2' },
+      'order_views/private': { name: 'Drafts', filters: DEFAULT_ORDER_FILTERS, shared: false, pinnedBy: [], createdBy: 'admin-2' }
+    });
+  });
+
+  test('list the admin\'s own views and shared views by name', async () => {
+    const result = await OrderViewsService.getViews('admin-1');
+
+    expect(result.views.map(view => view.id)).toEqual(['team', 'mine']);
+  });
+
+  test('save tidied filters and pin the new view for its creator', async () => {
+    const result = await OrderViewsService.createView({ name: ' Gifts ', filters }, 'admin-1', 'Asha');
+
+    expect(result.success).toBe(true);
+    expect(readDoc(`order_views/${result.view.id}`)).toMatchObject({
+      name: 'Gifts',
+      shared: false,
+      pinnedBy: ['admin-1'],
+      filters: { searchTerm: 'asha', tags: ['gift', 'vip'] }
+    });
+
+    const unnamed = await OrderViewsService.createView({ name: ' ', filters }, 'admin-1');
+    expect(unnamed).toEqual({ success: false, error: 'Give the view a name' });
+  });
+
+  test('let each admin pin shared views for themselves', async () => {
+    await OrderViewsService.setViewPinned('team', 'admin-1', true);
+    await OrderViewsService.setViewPinned('team', 'admin-3', true);
+    await OrderViewsService.setViewPinned('team', 'admin-1', false);
+
+    expect(readDoc('order_views/team').pinnedBy).toEqual(['admin-3']);
+  });
+
+  test('only let the creator change or delete a view', async () => {
+    expect(await OrderViewsService.updateView('team', { name: 'Mine now' }, 'admin-1'))
+      .toEqual({ success: false, error: 'Only the admin who created this view can change it' });
+    expect(await OrderViewsService.deleteView('team', 'admin-1')).toMatchObject({ success: false });
+
+    expect(await OrderViewsService.updateView('mine', { shared: true }, 'admin-1')).toEqual({ success: true });
+    expect(readDoc('order_views/mine').shared).toBe(true);
+    expect(await OrderViewsService.deleteView('mine', 'admin-1')).toEqual({ success: true });
+    expect(listDocs('order_views').map(view => view.id).sort()).toEqual(['private', 'team']);
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Packing Documents
+ * Renders packing slips (A4) and 4x6 inch shipping labels for a batch of
+ * orders into a single print job, so the warehouse works off one stack of paper.
+ */
+
+import { code128Svg } from './barcode';
+import { formatAddressLines, formatOrderDate } from './orderDisplay';
+import { escapeHtml, openPrintWindow } from './printUtils';
+import { isCashOnDelivery } from './paymentMethods';
+
+const PACKING_STYLES = `
+  @page { size: A4; margin: 12mm; }
+  @page label { size: 4in 6in; margin: 0; }
+  * { box-sizing: border-box; }
+  body { font-family: Arial, Helvetica, sans-serif; color: #111; margin: 0; }
+  .slip, .label { break-after: page; page-break-after: always; }
+  .slip:last-child, .label:last-child { break-after: auto; page-break-after: auto; }
+  .slip { font-size: 12px; }
+  .slip h1 { font-size: 20px; margin: 0 0 4px; }
+  .slip table { width: 100%; border-collapse: collapse; margin-top: 12px; }
+  .slip th, .slip td { border: 1px solid #999; padding: 6px; text-align: left; }
+  .slip th { background: #f0f0f0; }
+  .slip .qty { text-align: center; width: 60px; font-size: 14px; font-weight: bold; }
+  .slip .check { width: 50px; }
+  .slip-header { display: flex; justify-content: space-between; align-items: flex-start; }
+  .slip-meta { margin-top: 12px; display: flex; gap: 32px; }
+  .label { page: label; width: 4in; height: 6in; padding: 0.2in; font-size: 12px; display: flex; flex-direction: column; border: 1px dashed transparent; }
+  .label-carrier { font-size: 20px; font-weight: bold; border-bottom: 2px solid #000; padding-bottom: 6px; display: flex; justify-content: space-between; }
+  .label-section { border-bottom: 1px solid #000; padding: 8px 0; }
+  .label-to { font-size: 15px; line-height: 1.35; }
+  .label-to strong { font-size: 17px; }
+  .label-pin { font-size: 26px; font-weight: bold; letter-spacing: 2px; }
+  .label-barcode { text-align: center; padding-top: 8px; }
+  .muted { color: #555; font-size: 11px; }
+  .cod { font-size: 18px; font-weight: bold; border: 2px solid #000; padding: 2px 6px; }
+`;
+
+/**
+ * Build a packing slip for one order
+ * @param {Object} order - Order data
+ * @param {Object} sender - Store name and address
+ * @returns {string} - Packing slip HTML
+ */
+export const buildPackingSlipHtml = (order, sender = {}) => {
+  const orderNumber = order.orderId || order.id;
+  const address = formatAddressLines(order.shipping?.address).map(escapeHtml).join('<br/>');
+  const items = order.items || [];
+  const totalUnits = items.reduce((sum, item) => sum + (Number(item.quantity) || 0), 0);
+
+  const itemRows = items.map((item, index) => `
+    <tr>
+      <td>${index + 1}</td>
+      <td>${escapeHtml(item.name)}<div class="muted">${escapeHtml(item.productId || '')}</div></td>
+      <td class="qty">${escapeHtml(item.quantity)}</td>
+      <td class="check"></td>
+    </tr>
+  `).join('');
+
+  return `
+    <div class="slip">
+      <div class="slip-header">
+        <div>
+          <h1>Packing Slip</h1>
+          <div class="muted">${escapeHtml(sender.name || '')}</div>
+        </div>
+        <div>${code128Svg(orderNumber, { height: 45 })}</div>
+      </div>
+      <div class="slip-meta">
+        <div>
+          <strong>Order:</strong> ${escapeHtml(orderNumber)}<br/>
+          <strong>Date:</strong> ${escapeHtml(formatOrderDate(order.orderDate || order.createdAt))}<br/>
+          <strong>Carrier:</strong> ${escapeHtml(order.tracking?.carrier || 'Not assigned')}
+          ${order.priority && order.priority !== 'normal' ? `<br/><strong>Priority:</strong> ${escapeHtml(order.priority.toUpperCase())}` : ''}
+        </div>
+        <div>
+          <strong>Ship to:</strong><br/>
+          ${escapeHtml(order.userName || '')}<br/>
+          ${address}
+          ${order.userPhone ? `<br/>Phone: ${escapeHtml(order.userPhone)}` : ''}
+        </div>
+      </div>
+      <table>
+        <thead>
+          <tr><th>#</th><th>Item</th><th>Qty</th><th>Packed</th></tr>
+        </thead>
+        <tbody>
+          ${itemRows}
+          <tr><th colspan="2">Total units</th><th class="qty">${totalUnits}</th><th></th></tr>
+        </tbody>
+      </table>
+      ${order.adminNotes ? `<p><strong>Notes:</strong> ${escapeHtml(order.adminNotes)}</p>` : ''}
+    </div>
+  `;
+};
+
+/**
+ * Build a 4x6 inch shipping label for one order
+ * @param {Object} order - Order data
+ * @param {Object} sender - Store name, address and phone for the return address
+ * @returns {string} - Shipping label HTML
+ */
+export const buildShippingLabelHtml = (order, sender = {}) => {
+  const orderNumber = order.orderId || order.id;
+  const address = order.shipping?.address || {};
+  const addressLines = formatAddressLines({ ...address, pin: '' }).map(escapeHtml).join('<br/>');
+  const trackingCode = order.tracking?.code;
+
+  return `
+    <div class="label">
+      <div class="label-carrier">
+        <span>${escapeHtml(order.tracking?.carrier || 'CARRIER NOT ASSIGNED')}</span>
+        ${isCashOnDelivery(order) ? '<span class="cod">COD</span>' : '<span>PREPAID</span>'}
+      </div>
+      <div class="label-section label-to">
+        <div class="muted">SHIP TO</div>
+        <strong>${escapeHtml(order.userName || '')}</strong><br/>
+        ${addressLines}
+        ${order.userPhone ? `<br/>Ph: ${escapeHtml(order.userPhone)}` : ''}
+        <div class="label-pin">${escapeHtml(address.pin || '')}</div>
+      </div>
+      <div class="label-section">
+        <div class="muted">FROM</div>
+        ${escapeHtml(sender.name || '')}<br/>
+        <span class="muted">${escapeHtml(sender.address || '').replace(/\n/g, ', ')}</span>
+        ${sender.phone ? `<br/><span class="muted">Ph: ${escapeHtml(sender.phone)}</span>` : ''}
+      </div>
+      <div class="label-barcode">
+        <div class="muted">ORDER</div>
+        ${code128Svg(orderNumber, { height: 55, moduleWidth: 1.4 })}
+        ${trackingCode ? `<div class="muted">TRACKING</div>${code128Svg(trackingCode, { height: 55, moduleWidth: 1.4 })}` : ''}
+      </div>
+    </div>
+  `;
+};
+
+/**
+ * Print packing slips and/or shipping labels for a batch of orders in one job
+ * Slips print on A4 pages and labels on 4x6 pages
+ *
+ * @param {Array<Object>} orders - Orders to print
+ * @param {Object} options - { includeSlips, includeLabels, sender }
+ * @returns {boolean} - False when the print window was blocked
+ */
+export const printPackingDocuments = (orders, options = {}) => {
+  const { includeSlips = true, includeLabels = true, sender = {} } = options;
+  const pages = [];
+
+  if (includeSlips) {
+    orders.forEach(order => pages.push(buildPackingSlipHtml(order, sender)));
+  }
+  if (includeLabels) {
+    orders.forEach(order => pages.push(buildShippingLabelHtml(order, sender)));
+  }
+
+  return openPrintWindow(`Packing batch (${orders.length} orders)`, pages.join(''), PACKING_STYLES);
+};
@@ -0,0 +1,96 @@
+import { buildPackingSlipHtml, buildShippingLabelHtml, printPackingDocuments } from './packingDocuments';
+
+jest.mock('../firebase', () => ({ db: {} }));
+
+const order = {
+  id: 'doc1',
+  orderId: 'A1001',
+  orderDate: '2024-05-01T10:00:00.000Z',
+  userName: 'Asha <Rao>',
+  userPhone: '9876543210',
+  shipping: { address: { line1: '12 MG Road', city: 'Pune', state: 'MH', country: 'India', pin: '411001' } },
+  items: [
+    { name: 'Mug & Saucer', productId: 'p1', quantity: 2 },
+    { name: 'Plate', productId: 'p2', quantity: 3 }
+  ],
+  payment: { method: 'cod' },
+  tracking: { carrier: 'Delhivery', code: 'TRK123' }
+};
+
+describe('buildPackingSlipHtml', () => {
+  test('lists the items with the total units to pack', () => {
+    const html = buildPackingSlipHtml(order, { name: 'My Shop' });
+
+    expect(html).toContain('A1001');
+    expect(html).toContain('My Shop');
+    expect(html).toContain('Mug &amp; Saucer');
+    expect(html).toContain('12 MG Road');
+    expect(html).toContain('<th class="qty">5</th>');
+    expect(html).toContain('Delhivery');
+  });
+
+  test('escapes customer text', () => {
+    const html = buildPackingSlipHtml(order);
+
+    expect(html).toContain('Asha &lt;Rao&gt;');
+    expect(html).not.toContain('<Rao>');
+  });
+});
+
+describe('buildShippingLabelHtml', () => {
+  test('shows the pin code, COD flag and tracking barcode', () => {
+    const html = buildShippingLabelHtml(order, { name: 'My Shop', address: 'Line 1\nLine 2', phone: '020123' });
+
+    expect(html).toContain('<div class="label-pin">411001</div>');
+    expect(html).toContain('class="cod">COD');
+    expect(html).toContain('TRACKING');
+    expect(html).toContain('Line 1, Line 2');
+  });
+
+  test('marks prepaid orders without a carrier', () => {
+    const html = buildShippingLabelHtml({ ...order, payment: { method: 'upi' }, tracking: null });
+
+    expect(html).toContain('PREPAID');
+    expect(html).toContain('CARRIER NOT ASSIGNED');
+    expect(html).not.toContain('TRACKING');
+  });
+});
+
+describe('printPackingDocuments', () => {
+  const openPrint = () => {
+    const printWindow = { document: { open: jest.fn(), write: jest.fn(), close: jest.fn() }, focus: jest.fn(), print: jest.fn() };
+    jest.spyOn(window, 'open').mockReturnValue(printWindow);
+    return printWindow;
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('prints slips and labels for every order in one window', () => {
+    const printWindow = openPrint();
+
+    expect(printPackingDocuments([order, { ...order, orderId: 'A1002' }])).toBe(true);
+
+    const html = printWindow.document.write.mock.calls[0][0];
+    expect(html).toContain('Packing batch (2 orders)');
+    expect(html.match(/class="slip"/g)).toHaveLength(2);
+    expect(html.match(/class="label"/g)).toHaveLength(2);
+  });
+
+  test('prints only the documents asked for', () => {
+    const printWindow = openPrint();
+
+    printPackingDocuments([order], { includeSlips: false });
+
+    const html = printWindow.document.write.mock.calls[0][0];
+    expect(html).not.toContain('class="slip"');
+    expect(html.match(/class="label"/g)).toHaveLength(1);
+  });
+
+  test('reports a blocked print window', () => {
+    jest.spyOn(window, 'open').mockReturnValue(null);
+
+    expect(printPackingDocuments([order])).toBe(false);
+  });
+});
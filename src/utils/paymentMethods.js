@@ -0,0 +1,29 @@
+/**
+ * Payment Methods
+ *
+ * The one place that decides whether an order is paid cash on delivery.
+ * Risk rules, carrier rules, labels, COD remittance and gateway settlement
+ * all branch on it. Methods are matched exactly rather than by substring, so
+ * prepaid methods such as "Cashfree" or "Cashback wallet" are not taken
+ * for COD.
+ *
+ * Kept free of other imports so orderService and the modules it imports can
+ * both use it.
+ *
+ * @author Shop Admin System
+ * @version 2.0.0
+ */
+
+// Payment method stored on manual COD orders (MANUAL_PAYMENT_METHODS.COD)
+export const COD_PAYMENT_METHOD = 'COD';
+
+// Every payment.method value that means cash on delivery, lower case
+export const COD_PAYMENT_METHODS = ['cod', 'cash on delivery'];
+
+/**
+ * Whether an order is paid cash on delivery
+ * @param {Object} order - Order data
+ * @returns {boolean}
+ */
+export const isCashOnDelivery = (order) =>
+  COD_PAYMENT_METHODS.includes(String(order?.payment?.method || '').trim().toLowerCase());
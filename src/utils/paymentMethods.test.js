@@ -0,0 +1,22 @@
+import { isCashOnDelivery } from './paymentMethods';
+
+const paidWith = (method) => ({ payment: { method } });
+
+describe('isCashOnDelivery', () => {
+  test('recognises the cash on delivery methods in any case', () => {
+    expect(isCashOnDelivery(paidWith('COD'))).toBe(true);
+    expect(isCashOnDelivery(paidWith(' cash on delivery '))).toBe(true);
+    expect(isCashOnDelivery(paidWith('Cash On Delivery'))).toBe(true);
+  });
+
+  test('does not take prepaid methods that merely contain "cod" or "cash"', () => {
+    expect(isCashOnDelivery(paidWith('Cashfree'))).toBe(false);
+    expect(isCashOnDelivery(paidWith('Cashback wallet'))).toBe(false);
+    expect(isCashOnDelivery(paidWith('Promo code'))).toBe(false);
+  });
+
+  test('is false for orders without a payment method', () => {
+    expect(isCashOnDelivery({})).toBe(false);
+    expect(isCashOnDelivery(null)).toBe(false);
+  });
+});
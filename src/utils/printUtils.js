@@ -0,0 +1,56 @@
+/**
+ * Print Utilities
+ * Opens documents (invoices, packing slips, labels) in a separate window and
+ * triggers the browser print dialog, from which they can also be saved as PDF
+ */
+
+/**
+ * Escape text for safe inclusion in generated HTML
+ * @param {*} value - Text to escape
+ * @returns {string} - HTML-safe text
+ */
+export const escapeHtml = (value) => {
+  if (value === null || value === undefined) return '';
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * Open a print window with the given HTML body
+ * @param {string} title - Document title (also the default PDF file name)
+ * @param {string} bodyHtml - HTML for the document body
+ * @param {string} styles - CSS for the document
+ * @returns {boolean} - False when the window was blocked by the browser
+ */
+export const openPrintWindow = (title, bodyHtml, styles = '') => {
+  const printWindow = window.open('', '_blank', 'width=900,height=1000');
+  if (!printWindow) {
+    return false;
+  }
+
+  printWindow.document.open();
+  printWindow.document.write(`<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8" />
+    <title>${escapeHtml(title)}</title>
+    <style>${styles}</style>
+  </head>
+  <body>${bodyHtml}</body>
+</html>`);
+  printWindow.document.close();
+
+  // Give the new window a moment to lay out (and load images) before printing
+  setTimeout(() => {
+    if (!printWindow.closed) {
+      printWindow.focus();
+      printWindow.print();
+    }
+  }, 500);
+
+  return true;
+};
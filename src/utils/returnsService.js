@@ -0,0 +1,446 @@
+/**
+ * Returns Service (RMA)
+ *
+ * Manages line-item returns for delivered orders. Each return is a document in
+ * the `returns` collection that moves through:
+ *
+ *   Requested → Received → Inspected → Restocked
+ *   Requested → Cancelled
+ *
+ * Inspection records how many received units were accepted; restocking puts
+ * only those accepted units back into inventory. Refunds for a return are
+ * recorded in the order's refund ledger via AdminOrderService.recordRefund.
+ *
+ * @author Shop Admin System
+ * @version 2.0.0
+ */
+
+import {
+  collection,
+  doc,
+  getDocs,
+  updateDoc,
+  query,
+  where,
+  increment,
+  arrayUnion,
+  serverTimestamp,
+  runTransaction
+} from 'firebase/firestore';
+import { db } from '../firebase';
+import AdminOrderService, { ORDER_STATUSES } from './orderService';
+import { MOVEMENT_TYPES, readStockChanges, writeStockMovements } from './inventoryService';
+
+// One document per order with its RMA sequence and return IDs
+const RETURN_COUNTERS_COLLECTION = 'return_counters';
+
+/**
+ * Return lifecycle statuses
+ */
+export const RETURN_STATUSES = {
+  REQUESTED: 'Requested',   // Customer asked to return items
+  RECEIVED: 'Received',     // Parcel arrived at the warehouse
+  INSPECTED: 'Inspected',   // Units checked and accepted or rejected
+  RESTOCKED: 'Restocked',   // Accepted units returned to inventory
+  CANCELLED: 'Cancelled'    // Return withdrawn or refused before receipt
+};
+
+/**
+ * Allowed return status changes
+ */
+export const RETURN_STATUS_TRANSITIONS = {
+  [RETURN_STATUSES.REQUESTED]: [RETURN_STATUSES.RECEIVED, RETURN_STATUSES.CANCELLED],
+  [RETURN_STATUSES.RECEIVED]: [RETURN_STATUSES.INSPECTED],
+  [RETURN_STATUSES.INSPECTED]: [RETURN_STATUSES.RESTOCKED],
+  [RETURN_STATUSES.RESTOCKED]: [],  // Terminal state
+  [RETURN_STATUSES.CANCELLED]: []   // Terminal state
+};
+
+/**
+ * Reason codes customers and agents can pick for a returned line
+ */
+export const RETURN_REASONS = {
+  DAMAGED: { code: 'damaged', label: 'Arrived damaged' },
+  DEFECTIVE: { code: 'defective', label: 'Defective / not working' },
+  WRONG_ITEM: { code: 'wrong_item', label: 'Wrong item sent' },
+  NOT_AS_DESCRIBED: { code: 'not_as_described', label: 'Not as described' },
+  SIZE_FIT: { code: 'size_fit', label: 'Size or fit issue' },
+  CHANGED_MIND: { code: 'changed_mind', label: 'No longer needed' },
+  OTHER: { code: 'other', label: 'Other' }
+};
+
+/**
+ * Get the display label for a reason code
+ * @param {string} code - Reason code
+ * @returns {string} - Reason label
+ */
+export const getReturnReasonLabel = (code) => {
+  const reason = Object.values(RETURN_REASONS).find(entry => entry.code === code);
+  return reason ? reason.label : code;
+};
+
+/**
+ * Count units of each order line already covered by non-cancelled returns
+ * @param {Array<Object>} returns - Existing returns for the order
+ * @returns {Object} - Quantities keyed by order line index
+ */
+const getReturnedQuantities = (returns) => {
+  const quantities = {};
+  returns
+    .filter(entry => entry.status !== RETURN_STATUSES.CANCELLED)
+    .forEach(entry => {
+      entry.lines.forEach(line => {
+        quantities[line.lineIndex] = (quantities[line.lineIndex] || 0) + line.quantity;
+      });
+    });
+  return quantities;
+};
+
+/**
+ * Returns Service Class
+ * Creates returns and moves them through the RMA lifecycle
+ */
+class ReturnsService {
+
+  /**
+   * Get all returns for an order, oldest first
+   * @param {string} orderId - Order document ID
+   * @returns {Promise<Object>} - { success, returns, error }
+   */
+  static async getReturnsForOrder(orderId) {
+    try {
+      const returnsQuery = query(collection(db, 'returns'), where('orderId', '==', orderId));
+      const snapshot = await getDocs(returnsQuery);
+      const returns = snapshot.docs
+        .map(returnDoc => ({ id: returnDoc.id, ...returnDoc.data() }))
+        .sort((a, b) => (a.requestedAt || '').localeCompare(b.requestedAt || ''));
+      return { success: true, returns };
+    } catch (error) {
+      console.error('❌ ReturnsService: Error loading returns:', error);
+      return { success: false, error: error.message || 'Failed to load returns', returns: [] };
+    }
+  }
+
+  /**
+   * Get units still eligible for return on each order line
+   * @param {Object} order - Order data
+   * @param {Array<Object>} returns - Existing returns for the order
+   * @returns {Array<number>} - Returnable quantity per order line
+   */
+  static getReturnableQuantities(order, returns) {
+    const returned = getReturnedQuantities(returns);
+    return (order.items || []).map((item, index) => Math.max(0, (item.quantity || 0) - (returned[index] || 0)));
+  }
+
+  /**
+   * Open a return request for some units of a delivered order
+   * The order's returns are tracked in return_counters/{orderId}, which is
+   * read and updated in the same transaction as the new return, so returns
+   * created at the same time get different RMA numbers and cannot claim the
+   * same units.
+   *
+   * @param {string} orderId - Order document ID
+   * @param {Array<Object>} lines - [{ lineIndex, quantity, reasonCode, reasonNote }]
+   * @param {string} adminUserId - Admin creating the return
+   * @param {string} note - Optional note for the return
+   * @returns {Promise<Object>} - { success, returnId, rmaNumber, error }
+   */
+  static async createReturn(orderId, lines, adminUserId = 'admin', note = '') {
+    console.log(`🔍 ReturnsService: Creating return for order ${orderId}`);
+
+    try {
+      const requestedLines = (lines || []).filter(line => line.quantity > 0);
+      if (requestedLines.length === 0) {
+        throw new Error('Select at least one unit to return');
+      }
+
+      // Returns created before the counter existed are picked up from a query
+      const { returns: existingReturns } = await this.getReturnsForOrder(orderId);
+      const orderRef = doc(db, 'orders', orderId);
+      const counterRef = doc(db, RETURN_COUNTERS_COLLECTION, orderId);
+      const returnRef = doc(collection(db, 'returns'));
+
+      const rmaNumber = await runTransaction(db, async (transaction) => {
+        const orderSnapshot = await transaction.get(orderRef);
+        if (!orderSnapshot.exists()) {
+          throw new Error(`Order ${orderId} not found`);
+        }
+        const order = orderSnapshot.data();
+        const counterSnapshot = await transaction.get(counterRef);
+        const counter = counterSnapshot.exists()
+          ? counterSnapshot.data()
+          : { lastNumber: existingReturns.length, returnIds: existingReturns.map(entry => entry.id) };
+        // Re-read the order's returns so cancellations and new returns are current
+        const returnSnapshots = await Promise.all(
+          counter.returnIds.map(returnId => transaction.get(doc(db, 'returns', returnId)))
+        );
+        const currentReturns = returnSnapshots
+          .filter(returnSnapshot => returnSnapshot.exists())
+          .map(returnSnapshot => returnSnapshot.data());
+
+        const wasDelivered = order.status === ORDER_STATUSES.DELIVERED ||
+          (order.status === ORDER_STATUSES.REFUNDED && Boolean(order.deliveredAt));
+        if (!wasDelivered) {
+          throw new Error('Returns can only be created for delivered orders');
+        }
+
+        const returnable = this.getReturnableQuantities(order, currentReturns);
+        const validReasons = Object.values(RETURN_REASONS).map(reason => reason.code);
+
+        const returnLines = requestedLines.map(line => {
+          const item = order.items?.[line.lineIndex];
+          if (!item) {
+            throw new Error(`Order line ${line.lineIndex + 1} does not exist`);
+          }
+          if (!Number.isInteger(line.quantity) || line.quantity > returnable[line.lineIndex]) {
+            throw new Error(`Only ${returnable[line.lineIndex]} unit(s) of ${item.name} can be returned`);
+          }
+          if (!validReasons.includes(line.reasonCode)) {
+            throw new Error(`Choose a return reason for ${item.name}`);
+          }
+          return {
+            lineIndex: line.lineIndex,
+            productId: item.productId || '',
+            name: item.name || '',
+            price: Number(item.price) || 0,
+            quantity: line.quantity,
+            reasonCode: line.reasonCode,
+            reasonNote: line.reasonNote || '',
+            receivedQuantity: 0,
+            acceptedQuantity: 0,
+            rejectedQuantity: 0,
+            condition: '',
+            restockedQuantity: 0
+          };
+        });
+
+        const now = new Date().toISOString();
+        const sequence = (Number(counter.lastNumber) || 0) + 1;
+        const number = `RMA-${order.orderId || orderId}-${sequence}`;
+        transaction.set(returnRef, {
+          rmaNumber: number,
+          orderId,
+          orderNumber: order.orderId || orderId,
+          userId: order.userId || null,
+          customerName: order.userName || '',
+          status: RETURN_STATUSES.REQUESTED,
+          lines: returnLines,
+          note,
+          refundedAmount: 0,
+          requestedAt: now,
+          requestedBy: adminUserId,
+          createdAt: serverTimestamp(),
+          updatedAt: serverTimestamp(),
+          history: [{
+            status: RETURN_STATUSES.REQUESTED,
+            timestamp: now,
+            note: note || 'Return requested',
+            updatedBy: adminUserId
+          }]
+        });
+        transaction.set(counterRef, {
+          lastNumber: sequence,
+          returnIds: [...counter.returnIds, returnRef.id],
+          updatedAt: serverTimestamp()
+        });
+        return number;
+      });
+
+      console.log(`✅ ReturnsService: Created ${rmaNumber}`);
+      return { success: true, returnId: returnRef.id, rmaNumber };
+    } catch (error) {
+      console.error('❌ ReturnsService: Error creating return:', error);
+      return { success: false, error: error.message || 'Failed to create return' };
+    }
+  }
+
+  /**
+   * Move a return to a new status after validating the transition
+   * The return is read and written in one transaction, so a double submit
+   * cannot apply the same step twice. buildUpdate runs inside it and may read
+   * and queue writes of its own on the transaction, reads first.
+   * @param {string} returnId - Return document ID
+   * @param {string} newStatus - Target status
+   * @param {Function} buildUpdate - Receives the current return and the transaction, returns fields to write
+   * @param {string} adminUserId - Admin making the change
+   * @param {string} note - History note
+   * @returns {Promise<Object>} - { success, returnData, error }
+   */
+  static async transitionReturn(returnId, newStatus, buildUpdate, adminUserId, note) {
+    try {
+      const returnRef = doc(db, 'returns', returnId);
+
+      const returnData = await runTransaction(db, async (transaction) => {
+        const returnSnapshot = await transaction.get(returnRef);
+        if (!returnSnapshot.exists()) {
+          throw new Error(`Return ${returnId} not found`);
+        }
+
+        const current = returnSnapshot.data();
+        const allowed = RETURN_STATUS_TRANSITIONS[current.status] || [];
+        if (!allowed.includes(newStatus)) {
+          throw new Error(`Cannot move return from ${current.status} to ${newStatus}` +
+            (allowed.length > 0 ? `. Allowed: ${allowed.join(', ')}` : ''));
+        }
+
+        const fields = await buildUpdate(current, transaction);
+        const updateData = {
+          ...fields,
+          status: newStatus,
+          updatedAt: serverTimestamp(),
+          history: [...(current.history || []), {
+            status: newStatus,
+            timestamp: new Date().toISOString(),
+            note,
+            updatedBy: adminUserId
+          }]
+        };
+
+        transaction.update(returnRef, updateData);
+        return { id: returnId, ...current, ...updateData };
+      });
+
+      console.log(`✅ ReturnsService: ${returnData.rmaNumber} moved to ${newStatus}`);
+      return { success: true, returnData };
+    } catch (error) {
+      console.error(`❌ ReturnsService: Error moving return to ${newStatus}:`, error);
+      return { success: false, error: error.message || 'Failed to update return' };
+    }
+  }
+
+  /**
+   * Record the units that arrived back at the warehouse
+   * @param {string} returnId - Return document ID
+   * @param {Array<number>} receivedQuantities - Units received per return line
+   * @param {string} adminUserId - Admin receiving the parcel
+   * @returns {Promise<Object>} - { success, returnData, error }
+   */
+  static async receiveReturn(returnId, receivedQuantities, adminUserId = 'admin') {
+    return this.transitionReturn(returnId, RETURN_STATUSES.RECEIVED, (current) => {
+      const lines = current.lines.map((line, index) => {
+        const received = Number(receivedQuantities[index]) || 0;
+        if (!Number.isInteger(received) || received < 0 || received > line.quantity) {
+          throw new Error(`Received quantity for ${line.name} must be between 0 and ${line.quantity}`);
+        }
+        return { ...line, receivedQuantity: received };
+      });
+      return { lines, receivedAt: new Date().toISOString(), receivedBy: adminUserId };
+    }, adminUserId, 'Return parcel received');
+  }
+
+  /**
+   * Record the inspection result for each received line
+   * @param {string} returnId - Return document ID
+   * @param {Array<Object>} inspection - [{ acceptedQuantity, condition }] per return line
+   * @param {string} adminUserId - Admin inspecting the units
+   * @returns {Promise<Object>} - { success, returnData, error }
+   */
+  static async inspectReturn(returnId, inspection, adminUserId = 'admin') {
+    return this.transitionReturn(returnId, RETURN_STATUSES.INSPECTED, (current) => {
+      const lines = current.lines.map((line, index) => {
+        const accepted = Number(inspection[index]?.acceptedQuantity) || 0;
+        if (!Number.isInteger(accepted) || accepted < 0 || accepted > line.receivedQuantity) {
+          throw new Error(`Accepted quantity for ${line.name} must be between 0 and ${line.receivedQuantity}`);
+        }
+        return {
+          ...line,
+          acceptedQuantity: accepted,
+          rejectedQuantity: line.receivedQuantity - accepted,
+          condition: inspection[index]?.condition || ''
+        };
+      });
+      return { lines, inspectedAt: new Date().toISOString(), inspectedBy: adminUserId };
+    }, adminUserId, 'Returned units inspected');
+  }
+
+  /**
+   * Put accepted units back into inventory and close the return
+   * Rejected units are not restocked
+   * @param {string} returnId - Return document ID
+   * @param {string} adminUserId - Admin restocking the units
+   * @returns {Promise<Object>} - { success, returnData, error }
+   */
+  static async restockReturn(returnId, adminUserId = 'admin') {
+    return this.transitionReturn(returnId, RETURN_STATUSES.RESTOCKED, async (current, transaction) => {
+      // Stock moves in the same transaction as the status change
+      const stockChanges = await readStockChanges(transaction, current.lines
+        .filter(line => line.acceptedQuantity > 0)
+        .map(line => ({ productId: line.productId, quantity: line.acceptedQuantity })));
+      writeStockMovements(transaction, stockChanges, {
+        type: MOVEMENT_TYPES.RETURN_RESTOCK,
+        reason: `Return ${current.rmaNumber} restocked`,
+        orderId: current.orderId,
+        adminUserId
+      });
+
+      return {
+        lines: current.lines.map(line => ({ ...line, restockedQuantity: line.acceptedQuantity })),
+        restockedAt: new Date().toISOString(),
+        restockedBy: adminUserId
+      };
+    }, adminUserId, 'Accepted units restocked');
+  }
+
+  /**
+   * Cancel a return that has not been received yet
+   * @param {string} returnId - Return document ID
+   * @param {string} reason - Why the return was cancelled
+   * @param {string} adminUserId - Admin cancelling the return
+   * @returns {Promise<Object>} - { success, returnData, error }
+   */
+  static async cancelReturn(returnId, reason, adminUserId = 'admin') {
+    return this.transitionReturn(returnId, RETURN_STATUSES.CANCELLED, () => ({
+      cancelledAt: new Date().toISOString(),
+      cancelledBy: adminUserId,
+      cancellationReason: reason
+    }), adminUserId, reason || 'Return cancelled');
+  }
+
+  /**
+   * Get the suggested refund for a return: accepted units at their sold price,
+   * less anything already refunded against this return
+   * @param {Object} returnData - Return document
+   * @returns {number} - Suggested refund amount
+   */
+  static getSuggestedRefund(returnData) {
+    const value = returnData.lines.reduce((sum, line) => sum + line.acceptedQuantity * line.price, 0);
+    return Math.max(0, Math.round((value - (returnData.refundedAmount || 0)) * 100) / 100);
+  }
+
+  /**
+   * Refund a return through the order's refund ledger
+   * @param {Object} returnData - Return document (with id)
+   * @param {Object} refundInfo - { amount, method, reference, reason }
+   * @param {string} adminUserId - Admin issuing the refund
+   * @returns {Promise<Object>} - { success, refund, error }
+   */
+  static async refundReturn(returnData, refundInfo, adminUserId = 'admin') {
+    if ([RETURN_STATUSES.REQUESTED, RETURN_STATUSES.CANCELLED].includes(returnData.status)) {
+      return { success: false, error: 'Returns can be refunded once the units have been received' };
+    }
+
+    const result = await AdminOrderService.recordRefund(returnData.orderId, {
+      ...refundInfo,
+      reason: refundInfo.reason || `Refund for ${returnData.rmaNumber}`,
+      returnId: returnData.id
+    }, adminUserId);
+
+    if (result.success) {
+      try {
+        // Increments, so refunds issued from two tabs are both counted
+        await updateDoc(doc(db, 'returns', returnData.id), {
+          refundedAmount: increment(result.refund.amount),
+          refundIds: arrayUnion(result.refund.id),
+          updatedAt: serverTimestamp()
+        });
+      } catch (error) {
+        // The ledger on the order is the source of truth; the return total is informational
+        console.warn('⚠️ ReturnsService: Refund recorded but return total not updated:', error);
+      }
+    }
+
+    return result;
+  }
+}
+
+export default ReturnsService;
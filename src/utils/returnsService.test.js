@@ -0,0 +1,98 @@
+import ReturnsService, { RETURN_STATUSES } from './returnsService';
+import AdminOrderService, { ORDER_STATUSES } from './orderService';
+import { listDocs, readDoc, resetFirestore } from '../testUtils/firestoreFake';
+
+jest.mock('../firebase', () => ({ db: {} }));
+jest.mock('firebase/firestore', () => require('../testUtils/firestoreFake'));
+
+const order = {
+  items: [
+    { name: 'Knife', price: 1500, quantity: 2 },
+    { name: 'Stone', price: 400, quantity: 1 }
+  ]
+};
+
+describe('ReturnsService.getReturnableQuantities', () => {
+  test('subtracts units already on open returns', () => {
+    const returns = [
+      { status: RETURN_STATUSES.RESTOCKED, lines: [{ lineIndex: 0, quantity: 1 }] },
+      { status: RETURN_STATUSES.REQUESTED, lines: [{ lineIndex: 1, quantity: 1 }] }
+    ];
+    expect(ReturnsService.getReturnableQuantities(order, returns)).toEqual([1, 0]);
+  });
+
+  test('ignores cancelled returns', () => {
+    const returns = [{ status: RETURN_STATUSES.CANCELLED, lines: [{ lineIndex: 0, quantity: 2 }] }];
+    expect(ReturnsService.getReturnableQuantities(order, returns)).toEqual([2, 1]);
+  });
+});
+
+describe('ReturnsService.getSuggestedRefund', () => {
+  test('refunds accepted units at their sold price less earlier refunds', () => {
+    const returnData = {
+      lines: [
+        { price: 1500, acceptedQuantity: 1 },
+        { price: 400, acceptedQuantity: 0 }
+      ],
+      refundedAmount: 200
+    };
+    expect(ReturnsService.getSuggestedRefund(returnData)).toBe(1300);
+  });
+
+  test('never suggests a negative refund', () => {
+    expect(ReturnsService.getSuggestedRefund({ lines: [{ price: 100, acceptedQuantity: 1 }], refundedAmount: 150 })).toBe(0);
+  });
+});
+
+describe('ReturnsService.createReturn', () => {
+  const knifeLine = [{ lineIndex: 0, quantity: 1, reasonCode: 'damaged' }];
+
+  beforeEach(() => {
+    resetFirestore({
+      'orders/a': { ...order, orderId: 'A1001', status: ORDER_STATUSES.DELIVERED },
+      'returns/old': { orderId: 'a', status: RETURN_STATUSES.CANCELLED, lines: [{ lineIndex: 0, quantity: 2 }] }
+    });
+  });
+
+  test('numbers returns after the ones created before the counter', async () => {
+    const result = await ReturnsService.createReturn('a', knifeLine, 'admin-1');
+
+    expect(result).toMatchObject({ success: true, rmaNumber: 'RMA-A1001-2' });
+    expect(readDoc(`returns/${result.returnId}`)).toMatchObject({ rmaNumber: 'RMA-A1001-2', status: RETURN_STATUSES.REQUESTED });
+    expect(readDoc('return_counters/a')).toMatchObject({ lastNumber: 2, returnIds: ['old', result.returnId] });
+  });
+
+  test('gives returns created at the same time different numbers and units', async () => {
+    const results = await Promise.all([
+      ReturnsService.createReturn('a', knifeLine, 'admin-1'),
+      ReturnsService.createReturn('a', knifeLine, 'admin-2'),
+      ReturnsService.createReturn('a', knifeLine, 'admin-3')
+    ]);
+
+    expect(results.filter(result => result.success).map(result => result.rmaNumber).sort())
+      .toEqual(['RMA-A1001-2', 'RMA-A1001-3']);
+    expect(results.filter(result => !result.success).map(result => result.error))
+      .toEqual(['Only 0 unit(s) of Knife can be returned']);
+    expect(listDocs('returns')).toHaveLength(3);
+  });
+});
+
+describe('ReturnsService.refundReturn', () => {
+  test('counts refunds issued from two tabs', async () => {
+    resetFirestore({
+      'returns/r1': { orderId: 'a', status: RETURN_STATUSES.INSPECTED, refundedAmount: 0, refundIds: [] }
+    });
+    jest.spyOn(AdminOrderService, 'recordRefund')
+      .mockResolvedValueOnce({ success: true, refund: { id: 'refund-1', amount: 500 } })
+      .mockResolvedValueOnce({ success: true, refund: { id: 'refund-2', amount: 300 } });
+
+    // Both tabs loaded the return before either refund
+    const loaded = { id: 'r1', ...readDoc('returns/r1') };
+    await Promise.all([
+      ReturnsService.refundReturn(loaded, { amount: 500 }),
+      ReturnsService.refundReturn(loaded, { amount: 300 })
+    ]);
+
+    expect(readDoc('returns/r1')).toMatchObject({ refundedAmount: 800, refundIds: ['refund-1', 'refund-2'] });
+  });
+});
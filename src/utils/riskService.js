@@ -0,0 +1,511 @@
+/**
+ * Risk Service
+ *
+ * Scores newly placed orders for fraud and delivery risk before they are
+ * approved. Each signal that fires adds its weight to the score (capped at
+ * 100), and the reasons are kept on the order (order.risk) so admins can see
+ * why an order was flagged:
+ * - First-time customer (no earlier orders)
+ * - High order total compared with the store's average order value
+ * - Billing address different from the shipping address
+ * - Many orders from the same phone number in one day
+ * - Customer banned (isBanned on their user document)
+ * - Earlier orders to the same address that were declined or returned (RTO)
+ *
+ * Risk rules then act on the score: a rule can add a tag from the tag
+ * catalogue and/or put the order on hold. Orders on hold cannot be approved
+ * until an admin releases the hold. Weights, thresholds and rules are stored
+ * in settings/riskSettings.
+ *
+ * @author Shop Admin System
+ * @version 2.0.0
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  updateDoc,
+  query,
+  where,
+  orderBy,
+  limit,
+  runTransaction,
+  arrayUnion
+} from 'firebase/firestore';
+import { db } from '../firebase';
+import { getSettings, saveSettings } from './settingsService';
+import { ORDER_STATUSES } from './orderService';
+import { normalizeTagName } from './tagService';
+import { getOrderTotal, toDate } from './orderDisplay';
+import { formatCurrency } from './formatUtils';
+import { isCashOnDelivery } from './paymentMethods';
+
+export const RISK_SETTINGS_ID = 'riskSettings';
+
+export const RISK_LEVELS = {
+  LOW: 'low',
+  MEDIUM: 'medium',
+  HIGH: 'high'
+};
+
+export const RISK_LEVEL_STYLES = {
+  [RISK_LEVELS.LOW]: { label: 'Low risk', color: 'bg-green-100 text-green-800' },
+  [RISK_LEVELS.MEDIUM]: { label: 'Medium risk', color: 'bg-yellow-100 text-yellow-800' },
+  [RISK_LEVELS.HIGH]: { label: 'High risk', color: 'bg-red-100 text-red-800' }
+};
+
+export const RISK_SIGNALS = {
+  FIRST_TIME_CUSTOMER: 'firstTimeCustomer',
+  HIGH_ORDER_VALUE: 'highOrderValue',
+  ADDRESS_MISMATCH: 'addressMismatch',
+  PHONE_VELOCITY: 'phoneVelocity',
+  BANNED_CUSTOMER: 'bannedCustomer',
+  ADDRESS_HISTORY: 'addressHistory'
+};
+
+export const RISK_SIGNAL_LABELS = {
+  [RISK_SIGNALS.FIRST_TIME_CUSTOMER]: 'First-time customer',
+  [RISK_SIGNALS.HIGH_ORDER_VALUE]: 'High order value',
+  [RISK_SIGNALS.ADDRESS_MISMATCH]: 'Billing and shipping addresses differ',
+  [RISK_SIGNALS.PHONE_VELOCITY]: 'Many orders from one phone',
+  [RISK_SIGNALS.BANNED_CUSTOMER]: 'Banned customer',
+  [RISK_SIGNALS.ADDRESS_HISTORY]: 'Declined or returned orders at this address'
+};
+
+export const DEFAULT_RISK_SETTINGS = {
+  signals: {
+    [RISK_SIGNALS.FIRST_TIME_CUSTOMER]: { enabled: true, weight: 15 },
+    // Fires when the total is at least `multiplier` times the average order value
+    [RISK_SIGNALS.HIGH_ORDER_VALUE]: { enabled: true, weight: 25, multiplier: 3 },
+    [RISK_SIGNALS.ADDRESS_MISMATCH]: { enabled: true, weight: 15 },
+    // Fires when the phone has placed `maxOrdersPerDay` or more orders in 24 hours
+    [RISK_SIGNALS.PHONE_VELOCITY]: { enabled: true, weight: 25, maxOrdersPerDay: 3 },
+    [RISK_SIGNALS.BANNED_CUSTOMER]: { enabled: true, weight: 60 },
+    [RISK_SIGNALS.ADDRESS_HISTORY]: { enabled: true, weight: 30 }
+  },
+  // Lowest score of each level
+  levels: {
+    [RISK_LEVELS.MEDIUM]: 30,
+    [RISK_LEVELS.HIGH]: 60
+  },
+  // Rules run in order on every newly scored order; each matching rule applies
+  rules: [
+    { id: 'hold-high-risk', name: 'Hold high-risk orders', enabled: true, minScore: 60, codOnly: false, tag: '', hold: true }
+  ]
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AVERAGE_CACHE_MS = 60 * 60 * 1000;
+const HISTORY_LOOKUP_LIMIT = 100;
+const AVERAGE_SAMPLE_SIZE = 500;
+
+// Orders that brought in no sale are left out of the average order value
+const AVERAGE_EXCLUDED_STATUSES = [ORDER_STATUSES.DECLINED, ORDER_STATUSES.CANCELLED, ORDER_STATUSES.REFUNDED];
+
+// Average value of the latest orders, reloaded at most once an hour
+let averageOrderValueCache = { value: 0, loadedAt: 0 };
+
+/**
+ * Comparable form of an address: house, street, city and PIN without
+ * punctuation or case
+ * @param {Object} address - Address object
+ * @returns {string} - '' when the address is missing
+ */
+export const getAddressKey = (address) => {
+  if (!address) return '';
+  return [address.houseNo, address.line1, address.line2, address.city, address.pin]
+    .map(part => String(part || '').toLowerCase().replace(/[^a-z0-9]/g, ''))
+    .join('|')
+    .replace(/^\|+$/, '');
+};
+
+/**
+ * Risk level for a score
+ * @param {number} score - Risk score (0-100)
+ * @param {Object} settings - Risk settings
+ * @returns {string} - RISK_LEVELS value
+ */
+export const getRiskLevel = (score, settings = DEFAULT_RISK_SETTINGS) => {
+  if (score >= settings.levels[RISK_LEVELS.HIGH]) return RISK_LEVELS.HIGH;
+  if (score >= settings.levels[RISK_LEVELS.MEDIUM]) return RISK_LEVELS.MEDIUM;
+  return RISK_LEVELS.LOW;
+};
+
+/**
+ * A new risk rule with sensible defaults
+ * @returns {Object} - Risk rule
+ */
+export const createRiskRule = () => ({
+  id: `risk-rule-${Date.now().toString(36)}`,
+  name: 'New rule',
+  enabled: true,
+  minScore: DEFAULT_RISK_SETTINGS.levels[RISK_LEVELS.MEDIUM],
+  codOnly: false,
+  tag: '',
+  hold: false
+});
+
+/**
+ * Rules that match a scored order
+ * @param {Object} order - Order data
+ * @param {Object} risk - { score }
+ * @param {Object} settings - Risk settings
+ * @returns {Array<Object>} - Matching rules
+ */
+export const getMatchingRiskRules = (order, risk, settings) =>
+  (settings.rules || []).filter(rule =>
+    rule.enabled !== false && risk.score >= Number(rule.minScore) && (!rule.codOnly || isCashOnDelivery(order))
+  );
+
+/**
+ * Risk service class
+ * Scores placed orders, applies risk rules and manages order holds
+ */
+class RiskService {
+
+  /**
+   * Load risk settings merged over the defaults
+   * @returns {Promise<Object>} - Risk settings
+   */
+  static async getRiskSettings() {
+    const result = await getSettings(RISK_SETTINGS_ID, DEFAULT_RISK_SETTINGS);
+    const stored = result.settings;
+    return {
+      ...stored,
+      signals: Object.fromEntries(Object.entries(DEFAULT_RISK_SETTINGS.signals).map(([signal, defaults]) => [
+        signal,
+        { ...defaults, ...stored.signals?.[signal] }
+      ])),
+      levels: { ...DEFAULT_RISK_SETTINGS.levels, ...stored.levels }
+    };
+  }
+
+  /**
+   * Save risk settings after validating them
+   * @param {Object} values - Risk settings
+   * @param {string} adminUserId - Admin saving the settings
+   * @returns {Promise<Object>} - { success, error }
+   */
+  static async saveRiskSettings(values, adminUserId = 'admin') {
+    const errors = this.validateSettings(values);
+    if (errors.length > 0) {
+      return { success: false, error: errors.join('. ') };
+    }
+    return saveSettings(RISK_SETTINGS_ID, {
+      signals: values.signals,
+      levels: values.levels,
+      rules: values.rules.map(rule => ({ ...rule, name: rule.name.trim(), tag: normalizeTagName(rule.tag || '') }))
+    }, adminUserId);
+  }
+
+  /**
+   * Validate risk settings
+   * @param {Object} settings - Risk settings
+   * @returns {Array<string>} - Validation errors (empty when valid)
+   */
+  static validateSettings(settings) {
+    const errors = [];
+    Object.entries(settings.signals || {}).forEach(([signal, config]) => {
+      if (!(Number(config.weight) >= 0 && Number(config.weight) <= 100)) {
+        errors.push(`${RISK_SIGNAL_LABELS[signal] || signal}: weight must be between 0 and 100`);
+      }
+    });
+    if (!(Number(settings.signals?.[RISK_SIGNALS.HIGH_ORDER_VALUE]?.multiplier) > 1)) {
+      errors.push('High order value multiplier must be more than 1');
+    }
+    if (!(Number(settings.signals?.[RISK_SIGNALS.PHONE_VELOCITY]?.maxOrdersPerDay) >= 2)) {
+      errors.push('Orders per phone per day must be at least 2');
+    }
+
+    const medium = Number(settings.levels?.[RISK_LEVELS.MEDIUM]);
+    const high = Number(settings.levels?.[RISK_LEVELS.HIGH]);
+    if (!(medium > 0 && medium < high && high <= 100)) {
+      errors.push('Risk levels must satisfy 0 < medium < high ≤ 100');
+    }
+
+    (settings.rules || []).forEach((rule, index) => {
+      const label = rule.name?.trim() || `Rule ${index + 1}`;
+      if (!rule.name?.trim()) {
+        errors.push(`Rule ${index + 1} needs a name`);
+      }
+      if (!(Number(rule.minScore) >= 0 && Number(rule.minScore) <= 100)) {
+        errors.push(`${label}: minimum score must be between 0 and 100`);
+      }
+      if (!rule.tag && !rule.hold) {
+        errors.push(`${label}: choose a tag to add, put the order on hold, or both`);
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * Store average order value over the latest AVERAGE_SAMPLE_SIZE orders,
+   * leaving out declined, cancelled and refunded ones, cached for an hour
+   * @returns {Promise<number>}
+   */
+  static async getAverageOrderValue() {
+    if (Date.now() - averageOrderValueCache.loadedAt < AVERAGE_CACHE_MS) {
+      return averageOrderValueCache.value;
+    }
+    try {
+      const snapshot = await getDocs(query(
+        collection(db, 'orders'),
+        orderBy('orderDate', 'desc'),
+        limit(AVERAGE_SAMPLE_SIZE)
+      ));
+      const sales = snapshot.docs
+        .map(orderDoc => orderDoc.data())
+        .filter(order => !AVERAGE_EXCLUDED_STATUSES.includes(order.status));
+      const total = sales.reduce((sum, order) => sum + getOrderTotal(order), 0);
+      averageOrderValueCache = {
+        value: sales.length > 0 ? total / sales.length : 0,
+        loadedAt: Date.now()
+      };
+    } catch (error) {
+      console.warn('⚠️ RiskService: Could not load average order value:', error);
+    }
+    return averageOrderValueCache.value;
+  }
+
+  /**
+   * Work out an order's risk score and the reasons for it
+   *
+   * @param {Object} order - Order data with id
+   * @param {Object} settings - Risk settings
+   * @returns {Promise<Object>} - { score, level, reasons: [{ signal, label, points, detail }] }
+   */
+  static async scoreOrder(order, settings) {
+    const { signals } = settings;
+    const reasons = [];
+    const addReason = (signal, detail) => {
+      reasons.push({
+        signal,
+        label: RISK_SIGNAL_LABELS[signal],
+        points: Number(signals[signal].weight) || 0,
+        detail
+      });
+    };
+    const ordersRef = collection(db, 'orders');
+    const otherOrders = (snapshot) => snapshot.docs.filter(orderDoc => orderDoc.id !== order.id);
+
+    if (signals[RISK_SIGNALS.FIRST_TIME_CUSTOMER].enabled && (order.userId || order.userEmail)) {
+      const customerQuery = order.userId
+        ? query(ordersRef, where('userId', '==', order.userId), limit(2))
+        : query(ordersRef, where('userEmail', '==', order.userEmail), limit(2));
+      if (otherOrders(await getDocs(customerQuery)).length === 0) {
+        addReason(RISK_SIGNALS.FIRST_TIME_CUSTOMER, 'No earlier orders from this customer');
+      }
+    }
+
+    if (signals[RISK_SIGNALS.HIGH_ORDER_VALUE].enabled) {
+      const average = await this.getAverageOrderValue();
+      const total = getOrderTotal(order);
+      const multiplier = Number(signals[RISK_SIGNALS.HIGH_ORDER_VALUE].multiplier);
+      if (average > 0 && total >= average * multiplier) {
+        addReason(
+          RISK_SIGNALS.HIGH_ORDER_VALUE,
+          `${formatCurrency(total)} is ${(total / average).toFixed(1)}× the average order value of ${formatCurrency(average)}`
+        );
+      }
+    }
+
+    if (signals[RISK_SIGNALS.ADDRESS_MISMATCH].enabled) {
+      const billingKey = getAddressKey(order.billing?.address || order.billingAddress);
+      const shippingKey = getAddressKey(order.shipping?.address);
+      if (billingKey && shippingKey && billingKey !== shippingKey) {
+        addReason(RISK_SIGNALS.ADDRESS_MISMATCH, 'Billing address does not match the shipping address');
+      }
+    }
+
+    if (signals[RISK_SIGNALS.PHONE_VELOCITY].enabled && order.userPhone) {
+      const since = Date.now() - DAY_MS;
+      const snapshot = await getDocs(query(ordersRef, where('userPhone', '==', order.userPhone), limit(HISTORY_LOOKUP_LIMIT)));
+      const lastDay = snapshot.docs.filter(orderDoc => {
+        const placedAt = toDate(orderDoc.data().createdAt || orderDoc.data().orderDate);
+        return orderDoc.id === order.id || (placedAt && placedAt.getTime() >= since);
+      }).length;
+      if (lastDay >= Number(signals[RISK_SIGNALS.PHONE_VELOCITY].maxOrdersPerDay)) {
+        addReason(RISK_SIGNALS.PHONE_VELOCITY, `${lastDay} orders from ${order.userPhone} in the last 24 hours`);
+      }
+    }
+
+    if (signals[RISK_SIGNALS.BANNED_CUSTOMER].enabled && order.userId) {
+      const userDoc = await getDoc(doc(db, 'users', order.userId));
+      if (userDoc.exists() && userDoc.data().isBanned) {
+        addReason(RISK_SIGNALS.BANNED_CUSTOMER, 'The customer account is banned');
+      }
+    }
+
+    const addressKey = getAddressKey(order.shipping?.address);
+    if (signals[RISK_SIGNALS.ADDRESS_HISTORY].enabled && addressKey && order.shipping.address.pin) {
+      const snapshot = await getDocs(query(
+        ordersRef,
+        where('shipping.address.pin', '==', order.shipping.address.pin),
+        limit(HISTORY_LOOKUP_LIMIT)
+      ));
+      const sameAddress = otherOrders(snapshot)
+        .map(orderDoc => orderDoc.data())
+        .filter(pastOrder => getAddressKey(pastOrder.shipping?.address) === addressKey);
+      const declined = sameAddress.filter(pastOrder => pastOrder.status === ORDER_STATUSES.DECLINED).length;
+      const returned = sameAddress.filter(pastOrder =>
+        (pastOrder.shipments || []).some(shipment => shipment.trackingStatus === 'returned')
+      ).length;
+      if (declined + returned > 0) {
+        const parts = [];
+        if (declined > 0) parts.push(`${declined} declined`);
+        if (returned > 0) parts.push(`${returned} returned to origin`);
+        addReason(RISK_SIGNALS.ADDRESS_HISTORY, `Earlier orders to this address: ${parts.join(', ')}`);
+      }
+    }
+
+    const score = Math.min(100, reasons.reduce((sum, reason) => sum + reason.points, 0));
+    return { score, level: getRiskLevel(score, settings), reasons };
+  }
+
+  /**
+   * Score orders that have not been scored yet and apply the risk rules
+   * Safe to run from several admin sessions at once - an order that gets
+   * scored elsewhere in the meantime is left alone.
+   *
+   * @param {Array<Object>} orders - Orders with id
+   * @returns {Promise<number>} - Number of orders scored
+   */
+  static async scoreNewOrders(orders) {
+    const pending = orders.filter(order => order.status === ORDER_STATUSES.PLACED && !order.risk);
+    if (pending.length === 0) {
+      return 0;
+    }
+
+    const settings = await this.getRiskSettings();
+    let scored = 0;
+
+    for (const order of pending) {
+      try {
+        const risk = await this.scoreOrder(order, settings);
+        const rules = getMatchingRiskRules(order, risk, settings);
+        const tags = [...new Set(rules.map(rule => rule.tag).filter(Boolean))];
+        const holdRule = rules.find(rule => rule.hold);
+        const orderRef = doc(db, 'orders', order.id);
+
+        const applied = await runTransaction(db, async (transaction) => {
+          const current = await transaction.get(orderRef);
+          if (!current.exists() || current.data().risk) {
+            return false;
+          }
+          const updateData = {
+            risk: {
+              ...risk,
+              appliedRules: rules.map(rule => rule.name),
+              scoredAt: new Date().toISOString()
+            }
+          };
+          if (tags.length > 0) {
+            updateData.tags = arrayUnion(...tags);
+          }
+          if (holdRule) {
+            updateData.hold = {
+              active: true,
+              reason: `Risk score ${risk.score} (${holdRule.name})`,
+              placedBy: 'risk-rules',
+              placedAt: new Date().toISOString()
+            };
+          }
+          transaction.update(orderRef, updateData);
+          return true;
+        });
+
+        if (applied) {
+          scored++;
+          if (risk.level !== RISK_LEVELS.LOW) {
+            console.log(`🛡️ RiskService: Order ${order.id} scored ${risk.score} (${risk.level})${holdRule ? ', put on hold' : ''}`);
+          }
+        }
+      } catch (error) {
+        console.warn(`⚠️ RiskService: Could not score order ${order.id}:`, error);
+      }
+    }
+    return scored;
+  }
+
+  /**
+   * Score every placed order that has no risk score yet
+   * Catches up on orders placed while no admin had the panel open.
+   * @returns {Promise<Object>} - { success, scored, error }
+   */
+  static async scoreUnscoredOrders() {
+    try {
+      const snapshot = await getDocs(query(collection(db, 'orders'), where('status', '==', ORDER_STATUSES.PLACED)));
+      const orders = snapshot.docs.map(orderDoc => ({ id: orderDoc.id, ...orderDoc.data() }));
+      const scored = await this.scoreNewOrders(orders);
+      return { success: true, scored };
+
+    } catch (error) {
+      console.error('❌ RiskService: Error scoring placed orders:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to score orders',
+        scored: 0
+      };
+    }
+  }
+
+  /**
+   * Score an order again with the current settings
+   * Only the score and reasons are updated; rules are not applied again, so
+   * tags and holds an admin has already dealt with stay as they are.
+   *
+   * @param {Object} order - Order with id
+   * @returns {Promise<Object>} - { success, risk, error }
+   */
+  static async rescoreOrder(order) {
+    try {
+      const settings = await this.getRiskSettings();
+      const risk = {
+        ...await this.scoreOrder(order, settings),
+        appliedRules: order.risk?.appliedRules || [],
+        scoredAt: new Date().toISOString()
+      };
+      await updateDoc(doc(db, 'orders', order.id), { risk });
+      return { success: true, risk };
+
+    } catch (error) {
+      console.error('❌ RiskService: Error rescoring order:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to score order'
+      };
+    }
+  }
+
+  /**
+   * Put an order on hold or release it
+   *
+   * @param {string} orderId - Order ID
+   * @param {boolean} active - Whether the order should be on hold
+   * @param {string} reason - Why (shown on the order)
+   * @param {string} adminUserId - Admin changing the hold
+   * @returns {Promise<Object>} - { success, error }
+   */
+  static async setHold(orderId, active, reason = '', adminUserId = 'admin') {
+    try {
+      const hold = active
+        ? { active: true, reason: reason || 'Put on hold by admin', placedBy: adminUserId, placedAt: new Date().toISOString() }
+        : { active: false, reason: reason || 'Released by admin', releasedBy: adminUserId, releasedAt: new Date().toISOString() };
+      await updateDoc(doc(db, 'orders', orderId), { hold });
+
+      console.log(`🛡️ RiskService: Order ${orderId} ${active ? 'put on hold' : 'released from hold'}`);
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ RiskService: Error updating hold:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to update hold'
+      };
+    }
+  }
+}
+
+export default RiskService;
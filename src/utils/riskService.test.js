@@ -0,0 +1,21 @@
+import RiskService from './riskService';
+import { ORDER_STATUSES } from './orderService';
+import { resetFirestore } from '../testUtils/firestoreFake';
+
+jest.mock('../firebase', () => ({ db: {} }));
+jest.mock('firebase/firestore', () => require('../testUtils/firestoreFake'));
+
+describe('getAverageOrderValue', () => {
+  test('averages the latest storefront orders that were not declined, cancelled or refunded', async () => {
+    const placed = (day, status, total) => ({ status, total, orderDate: `2025-06-${day}T09:00:00.000Z` });
+    resetFirestore({
+      'orders/a': placed('01', ORDER_STATUSES.PLACED, 1000),
+      'orders/b': placed('02', ORDER_STATUSES.DELIVERED, 2000),
+      'orders/c': placed('03', ORDER_STATUSES.CANCELLED, 9000),
+      'orders/d': placed('04', ORDER_STATUSES.DECLINED, 9000),
+      'orders/e': placed('05', ORDER_STATUSES.REFUNDED, 9000)
+    });
+
+    expect(await RiskService.getAverageOrderValue()).toBe(1500);
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Settings Service
+ *
+ * Reads and writes admin configuration documents stored in the `settings`
+ * collection (e.g. settings/invoiceSettings). Stored values are merged over
+ * the caller's defaults so newly added fields always have a value.
+ *
+ * @author Shop Admin System
+ * @version 2.0.0
+ */
+
+import { doc, getDoc, setDoc, serverTimestamp } from 'firebase/firestore';
+import { db } from '../firebase';
+
+/**
+ * Load a settings document merged over defaults
+ * @param {string} settingsId - Document ID within the settings collection
+ * @param {Object} defaults - Default values for missing fields
+ * @returns {Promise<Object>} - { success, settings, error }
+ */
+export const getSettings = async (settingsId, defaults = {}) => {
+  try {
+    const settingsDoc = await getDoc(doc(db, 'settings', settingsId));
+    const stored = settingsDoc.exists() ? settingsDoc.data() : {};
+    return {
+      success: true,
+      settings: { ...defaults, ...stored }
+    };
+  } catch (error) {
+    console.error(`❌ SettingsService: Error loading ${settingsId}:`, error);
+    return {
+      success: false,
+      error: error.message || 'Failed to load settings',
+      settings: { ...defaults }
+    };
+  }
+};
+
+/**
+ * Save a settings document
+ * @param {string} settingsId - Document ID within the settings collection
+ * @param {Object} values - Values to store
+ * @param {string} adminUserId - Admin saving the settings
+ * @returns {Promise<Object>} - { success, error }
+ */
+export const saveSettings = async (settingsId, values, adminUserId = 'admin') => {
+  try {
+    await setDoc(doc(db, 'settings', settingsId), {
+      ...values,
+      updatedAt: serverTimestamp(),
+      updatedBy: adminUserId
+    }, { merge: true });
+
+    console.log(`✅ SettingsService: Saved ${settingsId}`);
+    return { success: true };
+  } catch (error) {
+    console.error(`❌ SettingsService: Error saving ${settingsId}:`, error);
+    return {
+      success: false,
+      error: error.message || 'Failed to save settings'
+    };
+  }
+};
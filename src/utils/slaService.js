@@ -0,0 +1,290 @@
+/**
+ * SLA Service
+ *
+ * Tracks how long orders sit in each status against per-status targets, e.g.
+ * Placed → Approved within 4 business hours. Time in status is measured from
+ * the statusHistory entry that moved the order into its current status.
+ * Business-hour targets only count time inside the store's working hours,
+ * skipping non-working days and the holiday calendar. Targets and calendar
+ * are stored in settings/slaSettings.
+ *
+ * @author Shop Admin System
+ * @version 2.0.0
+ */
+
+import { getSettings, saveSettings } from './settingsService';
+import AdminOrderService, { ORDER_STATUSES } from './orderService';
+
+export const SLA_SETTINGS_ID = 'slaSettings';
+
+export const SLA_UNITS = {
+  BUSINESS_HOURS: 'business_hours',
+  HOURS: 'hours'
+};
+
+export const SLA_STATES = {
+  ON_TRACK: 'on_track',
+  AT_RISK: 'at_risk',
+  OVERDUE: 'overdue'
+};
+
+export const SLA_STATE_STYLES = {
+  [SLA_STATES.ON_TRACK]: { label: 'On track', color: 'bg-green-100 text-green-800' },
+  [SLA_STATES.AT_RISK]: { label: 'At risk', color: 'bg-yellow-100 text-yellow-800' },
+  [SLA_STATES.OVERDUE]: { label: 'Overdue', color: 'bg-red-100 text-red-800' }
+};
+
+export const DEFAULT_SLA_SETTINGS = {
+  // Target for leaving each status; statuses without a target are not tracked
+  targets: {
+    [ORDER_STATUSES.PLACED]: { value: 4, unit: SLA_UNITS.BUSINESS_HOURS },
+    [ORDER_STATUSES.APPROVED]: { value: 8, unit: SLA_UNITS.BUSINESS_HOURS },
+    [ORDER_STATUSES.PACKED]: { value: 24, unit: SLA_UNITS.HOURS },
+    [ORDER_STATUSES.PARTIALLY_SHIPPED]: { value: 48, unit: SLA_UNITS.HOURS },
+    [ORDER_STATUSES.SHIPPED]: { value: 168, unit: SLA_UNITS.HOURS }
+  },
+  // Share of the target after which an order counts as at risk
+  atRiskThreshold: 0.75,
+  businessHours: {
+    days: [1, 2, 3, 4, 5, 6], // Monday to Saturday (0 = Sunday)
+    start: '09:00',
+    end: '18:00'
+  },
+  // Store timezone as minutes ahead of UTC (IST = 330)
+  utcOffsetMinutes: 330,
+  // ISO dates (YYYY-MM-DD) in the store timezone
+  holidays: []
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Oldest open orders loaded per status when looking for SLA problems
+const AT_RISK_QUERY_LIMIT = 200;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time || '0:0').split(':').map(Number);
+  return (hours || 0) * 60 + (minutes || 0);
+};
+
+const toDate = (value) => {
+  if (!value) return null;
+  const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Count the working time between two instants
+ * Works on "store time" (UTC shifted by the store offset) so results don't
+ * depend on the timezone of the admin's browser.
+ *
+ * @param {Date} start - Start instant
+ * @param {Date} end - End instant
+ * @param {Object} settings - SLA settings
+ * @returns {number} - Business milliseconds
+ */
+export const businessMillisBetween = (start, end, settings = DEFAULT_SLA_SETTINGS) => {
+  const offset = (settings.utcOffsetMinutes || 0) * 60000;
+  const from = start.getTime() + offset;
+  const to = end.getTime() + offset;
+  if (to <= from) return 0;
+
+  const { days = [], start: open, end: close } = settings.businessHours || {};
+  const holidays = new Set(settings.holidays || []);
+  const openMs = toMinutes(open) * 60000;
+  const closeMs = toMinutes(close) * 60000;
+  let total = 0;
+
+  for (let dayStart = Math.floor(from / DAY_MS) * DAY_MS; dayStart < to; dayStart += DAY_MS) {
+    const day = new Date(dayStart);
+    const isoDate = day.toISOString().slice(0, 10);
+    if (!days.includes(day.getUTCDay()) || holidays.has(isoDate)) {
+      continue;
+    }
+    const overlap = Math.min(to, dayStart + closeMs) - Math.max(from, dayStart + openMs);
+    if (overlap > 0) {
+      total += overlap;
+    }
+  }
+
+  return total;
+};
+
+/**
+ * When the order entered its current status
+ * Falls back to the order date for orders without a matching history entry.
+ *
+ * @param {Object} order - Order data
+ * @returns {Date|null}
+ */
+export const getStatusEnteredAt = (order) => {
+  const entry = [...(order.statusHistory || [])]
+    .reverse()
+    .find(history => history.status === order.status && history.previousStatus !== history.status);
+  return toDate(entry?.timestamp) || toDate(order.orderDate) || toDate(order.createdAt);
+};
+
+/**
+ * Evaluate an order against the SLA target for its current status
+ *
+ * @param {Object} order - Order data
+ * @param {Object} settings - SLA settings
+ * @param {Date} now - Evaluation time
+ * @returns {Object|null} - { status, enteredAt, elapsedHours, targetHours, remainingHours, unit, ratio, state }, or null when untracked
+ */
+export const getOrderSla = (order, settings = DEFAULT_SLA_SETTINGS, now = new Date()) => {
+  const target = settings.targets?.[order.status];
+  const enteredAt = getStatusEnteredAt(order);
+  if (!target?.value || !enteredAt) {
+    return null;
+  }
+
+  const elapsedMs = target.unit === SLA_UNITS.BUSINESS_HOURS
+    ? businessMillisBetween(enteredAt, now, settings)
+    : Math.max(0, now - enteredAt);
+  const elapsedHours = elapsedMs / HOUR_MS;
+  const ratio = elapsedHours / target.value;
+
+  let state = SLA_STATES.ON_TRACK;
+  if (ratio >= 1) {
+    state = SLA_STATES.OVERDUE;
+  } else if (ratio >= (settings.atRiskThreshold ?? DEFAULT_SLA_SETTINGS.atRiskThreshold)) {
+    state = SLA_STATES.AT_RISK;
+  }
+
+  return {
+    status: order.status,
+    enteredAt,
+    elapsedHours,
+    targetHours: target.value,
+    remainingHours: target.value - elapsedHours,
+    unit: target.unit,
+    ratio,
+    state
+  };
+};
+
+/**
+ * Short description of an SLA result, e.g. "3.5h overdue" or "1.2 business h left"
+ * @param {Object} sla - From getOrderSla
+ * @returns {string}
+ */
+export const formatSlaRemaining = (sla) => {
+  const unitLabel = sla.unit === SLA_UNITS.BUSINESS_HOURS ? 'business h' : 'h';
+  const hours = Math.abs(sla.remainingHours);
+  const amount = hours >= 10 ? Math.round(hours) : Math.round(hours * 10) / 10;
+  return sla.remainingHours < 0 ? `${amount} ${unitLabel} overdue` : `${amount} ${unitLabel} left`;
+};
+
+/**
+ * SLA service class
+ * Loads and saves SLA settings and finds orders that need attention
+ */
+class SlaService {
+
+  /**
+   * Load SLA settings merged over the defaults
+   * @returns {Promise<Object>} - SLA settings
+   */
+  static async getSlaSettings() {
+    const result = await getSettings(SLA_SETTINGS_ID, DEFAULT_SLA_SETTINGS);
+    return result.settings;
+  }
+
+  /**
+   * Save SLA settings after validating them
+   * @param {Object} values - SLA settings
+   * @param {string} adminUserId - Admin saving the settings
+   * @returns {Promise<Object>} - { success, error }
+   */
+  static async saveSlaSettings(values, adminUserId = 'admin') {
+    const errors = this.validateSettings(values);
+    if (errors.length > 0) {
+      return { success: false, error: errors.join('. ') };
+    }
+    return saveSettings(SLA_SETTINGS_ID, {
+      ...values,
+      holidays: [...new Set(values.holidays || [])].sort()
+    }, adminUserId);
+  }
+
+  /**
+   * Validate SLA settings
+   * @param {Object} settings - SLA settings
+   * @returns {Array<string>} - Validation errors (empty when valid)
+   */
+  static validateSettings(settings) {
+    const errors = [];
+    const { days = [], start, end } = settings.businessHours || {};
+    if (days.length === 0) {
+      errors.push('Choose at least one working day');
+    }
+    if (toMinutes(end) <= toMinutes(start)) {
+      errors.push('Business hours must end after they start');
+    }
+    Object.entries(settings.targets || {}).forEach(([status, target]) => {
+      if (target.value !== '' && target.value !== null && !(Number(target.value) >= 0)) {
+        errors.push(`${status}: target must be a positive number of hours`);
+      }
+    });
+    if (!(settings.atRiskThreshold > 0 && settings.atRiskThreshold < 1)) {
+      errors.push('At-risk threshold must be between 1% and 99%');
+    }
+    return errors;
+  }
+
+  /**
+   * Find open orders that are overdue or at risk of missing their SLA
+   * Each status only loads orders placed before its at-risk point: an order
+   * cannot have spent longer in a status than it has existed, and business
+   * time never runs faster than the clock. The oldest orders are loaded
+   * first, up to AT_RISK_QUERY_LIMIT per status.
+   * @returns {Promise<Object>} - { success, orders: [{ ...order, sla }], truncated, error }
+   */
+  static async getAtRiskOrders() {
+    console.log('⏱️ SlaService: Checking orders against SLA targets');
+
+    try {
+      const settings = await this.getSlaSettings();
+      const trackedStatuses = Object.keys(settings.targets || {}).filter(status => settings.targets[status]?.value);
+      const now = new Date();
+      const orders = [];
+      let truncated = false;
+
+      for (const status of trackedStatuses) {
+        const atRiskHours = Number(settings.targets[status].value) * settings.atRiskThreshold;
+        const result = await AdminOrderService.getAllOrders({
+          status,
+          endDate: new Date(now.getTime() - atRiskHours * HOUR_MS),
+          orderBy: 'orderDate',
+          orderDirection: 'asc'
+        }, { limit: AT_RISK_QUERY_LIMIT });
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+        orders.push(...result.orders);
+        truncated = truncated || result.hasMore;
+      }
+
+      const atRisk = orders
+        .map(order => ({ ...order, sla: getOrderSla(order, settings, now) }))
+        .filter(order => order.sla && order.sla.state !== SLA_STATES.ON_TRACK)
+        .sort((a, b) => b.sla.ratio - a.sla.ratio);
+
+      console.log(`✅ SlaService: ${atRisk.length} orders need attention`);
+
+      return { success: true, orders: atRisk, truncated };
+
+    } catch (error) {
+      console.error('❌ SlaService: Error checking SLA:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to check order SLAs',
+        orders: [],
+        truncated: false
+      };
+    }
+  }
+}
+
+export default SlaService;
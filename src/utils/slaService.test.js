@@ -0,0 +1,76 @@
+import {
+  DEFAULT_SLA_SETTINGS,
+  SLA_STATES,
+  businessMillisBetween,
+  formatSlaRemaining,
+  getOrderSla,
+  getStatusEnteredAt
+} from './slaService';
+import { ORDER_STATUSES } from './orderService';
+
+jest.mock('../firebase', () => ({ db: {} }));
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Store time is IST; 2025-06-02 is a Monday
+const ist = (dateTime) => new Date(`${dateTime}:00+05:30`);
+const businessHours = (start, end, settings) => businessMillisBetween(ist(start), ist(end), settings) / HOUR_MS;
+
+const placedAt = (status, timestamp) => ({
+  status,
+  orderDate: ist('2025-06-01T08:00'),
+  statusHistory: [
+    { status: ORDER_STATUSES.PLACED, timestamp: ist('2025-06-01T08:00') },
+    { status, previousStatus: ORDER_STATUSES.PLACED, timestamp: ist(timestamp) },
+    { status, previousStatus: status, timestamp: ist('2025-06-02T11:00'), note: 'Called the customer' }
+  ]
+});
+
+describe('businessMillisBetween', () => {
+  test('counts only the opening hours of a working day', () => {
+    expect(businessHours('2025-06-02T10:00', '2025-06-02T12:00')).toBe(2);
+    expect(businessHours('2025-06-02T07:00', '2025-06-02T20:00')).toBe(9);
+  });
+
+  test('skips closed days', () => {
+    expect(businessHours('2025-06-07T17:00', '2025-06-09T10:00')).toBe(2);
+  });
+
+  test('skips holidays', () => {
+    const settings = { ...DEFAULT_SLA_SETTINGS, holidays: ['2025-06-09'] };
+    expect(businessHours('2025-06-07T17:00', '2025-06-10T10:00', settings)).toBe(2);
+  });
+
+  test('is zero when the end is not after the start', () => {
+    expect(businessHours('2025-06-02T12:00', '2025-06-02T10:00')).toBe(0);
+  });
+});
+
+describe('getOrderSla', () => {
+  test('times the current status from when the order entered it', () => {
+    const order = placedAt(ORDER_STATUSES.APPROVED, '2025-06-02T10:00');
+    expect(getStatusEnteredAt(order)).toEqual(ist('2025-06-02T10:00'));
+  });
+
+  test('marks orders at risk past the threshold and overdue past the target', () => {
+    const order = { status: ORDER_STATUSES.PLACED, orderDate: ist('2025-06-02T10:00') };
+
+    expect(getOrderSla(order, DEFAULT_SLA_SETTINGS, ist('2025-06-02T12:00')).state).toBe(SLA_STATES.ON_TRACK);
+    expect(getOrderSla(order, DEFAULT_SLA_SETTINGS, ist('2025-06-02T13:00')).state).toBe(SLA_STATES.AT_RISK);
+
+    const overdue = getOrderSla(order, DEFAULT_SLA_SETTINGS, ist('2025-06-02T14:30'));
+    expect(overdue).toMatchObject({ state: SLA_STATES.OVERDUE, elapsedHours: 4.5, remainingHours: -0.5 });
+    expect(formatSlaRemaining(overdue)).toBe('0.5 business h overdue');
+  });
+
+  test('uses wall-clock hours for targets in plain hours', () => {
+    const order = placedAt(ORDER_STATUSES.PACKED, '2025-06-07T17:00');
+    const sla = getOrderSla(order, DEFAULT_SLA_SETTINGS, ist('2025-06-08T03:00'));
+    expect(sla).toMatchObject({ state: SLA_STATES.ON_TRACK, elapsedHours: 10, remainingHours: 14 });
+    expect(formatSlaRemaining(sla)).toBe('14 h left');
+  });
+
+  test('ignores statuses without a target', () => {
+    expect(getOrderSla({ status: ORDER_STATUSES.DELIVERED, orderDate: ist('2025-06-02T10:00') })).toBeNull();
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Order Tag Service
+ *
+ * Manages the catalogue of order tags in the `order_tags` collection. Each
+ * tag document is keyed by the tag name (the value stored in order.tags) and
+ * carries a colour and a description explaining when to use it. Orders keep
+ * plain tag names, so a tag removed from the catalogue still shows on the
+ * orders that carry it, just without its colour.
+ *
+ * @author Shop Admin System
+ * @version 2.0.0
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  deleteDoc,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from '../firebase';
+
+export const ORDER_TAGS_COLLECTION = 'order_tags';
+
+/**
+ * Colours a tag can be shown in
+ */
+export const TAG_COLORS = {
+  gray: { label: 'Gray', chip: 'bg-gray-100 text-gray-800', swatch: 'bg-gray-400' },
+  red: { label: 'Red', chip: 'bg-red-100 text-red-800', swatch: 'bg-red-500' },
+  orange: { label: 'Orange', chip: 'bg-orange-100 text-orange-800', swatch: 'bg-orange-500' },
+  yellow: { label: 'Yellow', chip: 'bg-yellow-100 text-yellow-800', swatch: 'bg-yellow-400' },
+  green: { label: 'Green', chip: 'bg-green-100 text-green-800', swatch: 'bg-green-500' },
+  blue: { label: 'Blue', chip: 'bg-blue-100 text-blue-800', swatch: 'bg-blue-500' },
+  indigo: { label: 'Indigo', chip: 'bg-indigo-100 text-indigo-800', swatch: 'bg-indigo-500' },
+  purple: { label: 'Purple', chip: 'bg-purple-100 text-purple-800', swatch: 'bg-purple-500' },
+  pink: { label: 'Pink', chip: 'bg-pink-100 text-pink-800', swatch: 'bg-pink-500' }
+};
+
+// Shown for tags on orders that are no longer in the catalogue
+const UNLISTED_TAG_CHIP = 'bg-white text-gray-600 border border-dashed border-gray-300';
+
+const TAG_NAME_PATTERN = /^[a-z0-9][a-z0-9 _-]{0,29}$/;
+
+/**
+ * Tidy a tag name the way it is stored: lowercase, single spaces
+ * @param {string} name - Tag name as typed
+ * @returns {string}
+ */
+export const normalizeTagName = (name) => String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Chip classes for a tag
+ * @param {string} tagName - Tag on an order
+ * @param {Object} tagsByName - Catalogue keyed by name (from indexTags)
+ * @returns {string} - Tailwind classes
+ */
+export const getTagChipClass = (tagName, tagsByName) => {
+  const tag = tagsByName[tagName];
+  if (!tag) {
+    return UNLISTED_TAG_CHIP;
+  }
+  return (TAG_COLORS[tag.color] || TAG_COLORS.gray).chip;
+};
+
+/**
+ * Key the catalogue by tag name for chip lookups
+ * @param {Array<Object>} tags - Catalogue from getTags
+ * @returns {Object}
+ */
+export const indexTags = (tags) => Object.fromEntries(tags.map(tag => [tag.name, tag]));
+
+/**
+ * Tag catalogue service class
+ */
+class TagService {
+
+  /**
+   * Load the tag catalogue, sorted by name
+   * @returns {Promise<Object>} - { success, tags, error }
+   */
+  static async getTags() {
+    try {
+      const snapshot = await getDocs(collection(db, ORDER_TAGS_COLLECTION));
+      const tags = snapshot.docs
+        .map(tagDoc => ({ name: tagDoc.id, ...tagDoc.data() }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+      return { success: true, tags };
+
+    } catch (error) {
+      console.error('❌ TagService: Error loading tags:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to load tags',
+        tags: []
+      };
+    }
+  }
+
+  /**
+   * Add a tag to the catalogue or update its colour and description
+   *
+   * @param {Object} tagInput - { name, color, description }
+   * @param {string} adminUserId - Admin saving the tag
+   * @param {boolean} isNew - Refuse to overwrite an existing tag
+   * @returns {Promise<Object>} - { success, tag, error }
+   */
+  static async saveTag({ name, color, description }, adminUserId = 'admin', isNew = false) {
+    try {
+      const tagName = normalizeTagName(name);
+      if (!TAG_NAME_PATTERN.test(tagName)) {
+        throw new Error('Tag names are up to 30 lowercase letters, numbers, spaces, dashes or underscores');
+      }
+      if (!TAG_COLORS[color]) {
+        throw new Error(`Unknown tag colour: ${color}`);
+      }
+
+      const tagRef = doc(db, ORDER_TAGS_COLLECTION, tagName);
+      if (isNew && (await getDoc(tagRef)).exists()) {
+        throw new Error(`The tag "${tagName}" already exists`);
+      }
+
+      const tag = {
+        color,
+        description: (description || '').trim(),
+        updatedAt: serverTimestamp(),
+        updatedBy: adminUserId
+      };
+      await setDoc(tagRef, tag, { merge: true });
+
+      console.log(`✅ TagService: Saved tag "${tagName}"`);
+      return { success: true, tag: { name: tagName, ...tag } };
+
+    } catch (error) {
+      console.error('❌ TagService: Error saving tag:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to save tag'
+      };
+    }
+  }
+
+  /**
+   * Remove a tag from the catalogue
+   * Orders that carry the tag keep it.
+   *
+   * @param {string} tagName - Tag name
+   * @returns {Promise<Object>} - { success, error }
+   */
+  static async deleteTag(tagName) {
+    try {
+      await deleteDoc(doc(db, ORDER_TAGS_COLLECTION, tagName));
+      console.log(`🗑️ TagService: Deleted tag "${tagName}"`);
+      return { success: true };
+
+    } catch (error) {
+      console.error('❌ TagService: Error deleting tag:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to delete tag'
+      };
+    }
+  }
+}
+
+export default TagService;
@@ -0,0 +1,63 @@
+import TagService, { getTagChipClass, indexTags, normalizeTagName } from './tagService';
+import { readDoc, resetFirestore } from '../testUtils/firestoreFake';
+
+jest.mock('../firebase', () => ({ db: {} }));
+jest.mock('firebase/firestore', () => require('../testUtils/firestoreFake'));
+
+describe('tag names and chips', () => {
+  test('store names lowercase with single spaces', () => {
+    expect(normalizeTagName('  Gift   Wrap ')).toBe('gift wrap');
+    expect(normalizeTagName(null)).toBe('');
+  });
+
+  test('colour chips from the catalogue and mark unlisted tags', () => {
+    const tagsByName = indexTags([{ name: 'vip', color: 'purple' }, { name: 'old', color: 'teal' }]);
+
+    expect(getTagChipClass('vip', tagsByName)).toBe('bg-purple-100 text-purple-800');
+    expect(getTagChipClass('old', tagsByName)).toBe('bg-gray-100 text-gray-800');
+    expect(getTagChipClass('gone', tagsByName)).toMatch(/border-dashed/);
+  });
+});
+
+describe('tag catalogue', () => {
+  beforeEach(() => {
+    resetFirestore({
+      'order_tags/vip': { color: 'purple', description: 'Repeat customer' },
+      'order_tags/fragile': { color: 'red', description: '' }
+    });
+  });
+
+  test('lists tags by name', async () => {
+    const result = await TagService.getTags();
+
+    expect(result.tags.map(tag => tag.name)).toEqual(['fragile', 'vip']);
+    expect(result.tags[1]).toMatchObject({ name: 'vip', color: 'purple' });
+  });
+
+  test('saves a tag under its normalized name', async () => {
+    const result = await TagService.saveTag({ name: ' Gift  Wrap ', color: 'green', description: ' Wrap it ' }, 'admin-1', true);
+
+    expect(result.success).toBe(true);
+    expect(readDoc('order_tags/gift wrap')).toMatchObject({ color: 'green', description: 'Wrap it', updatedBy: 'admin-1' });
+  });
+
+  test('rejects duplicate new tags, bad names and unknown colours', async () => {
+    expect(await TagService.saveTag({ name: 'VIP', color: 'blue' }, 'admin-1', true))
+      .toEqual({ success: false, error: 'The tag "vip" already exists' });
+    expect((await TagService.saveTag({ name: '#urgent!', color: 'blue' })).success).toBe(false);
+    expect(await TagService.saveTag({ name: 'urgent', color: 'teal' }))
+      .toEqual({ success: false, error: 'Unknown tag colour: teal' });
+    expect(readDoc('order_tags/vip').color).toBe('purple');
+  });
+
+  test('updates an existing tag when editing', async () => {
+    await TagService.saveTag({ name: 'vip', color: 'blue' }, 'admin-1');
+
+    expect(readDoc('order_tags/vip')).toMatchObject({ color: 'blue', description: '' });
+  });
+
+  test('deletes a tag from the catalogue', async () => {
+    expect(await TagService.deleteTag('fragile')).toEqual({ success: true });
+    expect(readDoc('order_tags/fragile')).toBeUndefined();
+  });
+});
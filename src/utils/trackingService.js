@@ -0,0 +1,289 @@
+/**
+ * Tracking Service
+ *
+ * Brings carrier tracking events into orders. Events arrive either by polling
+ * the carrier (syncOrderTracking) or from carrier webhooks (processWebhook);
+ * both are normalized by the carrier adapters in ./carriers, de-duplicated and
+ * appended to the order's trackingEvents. A delivered event marks its
+ * shipment delivered, and once every shipment is delivered the order moves
+ * to Delivered through the status workflow.
+ *
+ * @author Shop Admin System
+ * @version 2.0.0
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  limit,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from '../firebase';
+import AdminOrderService, { ORDER_STATUSES, deriveFulfillmentStatus } from './orderService';
+import { getCarrierAdapter, TRACKING_EVENT_STATUSES, TRACKING_EVENT_LABELS } from './carriers';
+
+const byOccurredAt = (a, b) => a.occurredAt.localeCompare(b.occurredAt);
+
+/**
+ * Merge tracking events into an order's events, shipments and history
+ * Events already on the order are ignored.
+ *
+ * @param {Object} currentOrder - Order data
+ * @param {Array<Object>} events - Normalized tracking events
+ * @param {string} actor - Who reported the events
+ * @returns {Object|null} - { newEvents, trackingEvents, shipments, source, updateData }, or null when every event is known
+ */
+const mergeTrackingEvents = (currentOrder, events, actor) => {
+  const knownIds = new Set((currentOrder.trackingEvents || []).map(event => event.id));
+  const newEvents = events.filter(event => !knownIds.has(event.id)).sort(byOccurredAt);
+
+  if (newEvents.length === 0) {
+    return null;
+  }
+
+  const trackingEvents = [...(currentOrder.trackingEvents || []), ...newEvents].sort(byOccurredAt);
+  const eventsFor = (trackingNumber) => trackingEvents.filter(event => event.trackingNumber === trackingNumber);
+
+  // Each shipment shows its latest carrier status and picks up its delivery date
+  const shipments = (currentOrder.shipments || []).map(shipment => {
+    const shipmentEvents = eventsFor(shipment.code);
+    if (shipmentEvents.length === 0) {
+      return shipment;
+    }
+    const latest = shipmentEvents[shipmentEvents.length - 1];
+    const delivered = shipmentEvents.find(event => event.status === TRACKING_EVENT_STATUSES.DELIVERED);
+    return {
+      ...shipment,
+      trackingStatus: latest.status,
+      lastEventAt: latest.occurredAt,
+      ...(delivered && !shipment.deliveredDate && { status: 'delivered', deliveredDate: delivered.occurredAt })
+    };
+  });
+
+  // One history entry per update, with the latest new event of each tracking number
+  const latestByNumber = new Map(newEvents.map(event => [event.trackingNumber, event]));
+  const source = newEvents[newEvents.length - 1].source;
+  const historyEntry = {
+    status: currentOrder.status,
+    timestamp: new Date().toISOString(),
+    note: [...latestByNumber.values()]
+      .map(event => `${TRACKING_EVENT_LABELS[event.status] || event.status} (${event.carrierCode} ${event.trackingNumber})`)
+      .join('; '),
+    updatedBy: actor,
+    previousStatus: currentOrder.status,
+    metadata: {
+      trackingEvents: newEvents.length,
+      source
+    }
+  };
+
+  return {
+    newEvents,
+    trackingEvents,
+    shipments,
+    source,
+    updateData: {
+      trackingEvents,
+      ...(shipments.length > 0 && { shipments }),
+      updatedAt: serverTimestamp(),
+      lastUpdatedBy: actor,
+      statusHistory: [...(currentOrder.statusHistory || []), historyEntry]
+    }
+  };
+};
+
+/**
+ * Tracking service class
+ * Polls carriers and applies tracking events to orders
+ */
+class TrackingService {
+
+  /**
+   * Append normalized tracking events to an order
+   * Events already on the order are ignored, so polls and webhook retries are
+   * safe. The order is read and written in one transaction, so a poll and a
+   * webhook arriving together both keep their events.
+   *
+   * @param {string} orderId - Order ID
+   * @param {Array<Object>} events - Normalized tracking events
+   * @param {string} actor - Who reported the events (admin ID or 'carrier')
+   * @returns {Promise<Object>} - { success, added, status, error }
+   */
+  static async appendTrackingEvents(orderId, events, actor = 'carrier') {
+    console.log(`📡 TrackingService: Applying ${events.length} tracking events to order ${orderId}`);
+
+    try {
+      const orderRef = doc(db, "orders", orderId);
+      let merged = null;
+      const { currentOrder } = await AdminOrderService.updateOrderWith(orderRef, (order) => {
+        merged = mergeTrackingEvents(order, events, actor);
+        return merged && merged.updateData;
+      });
+
+      if (!merged) {
+        return { success: true, added: 0, status: currentOrder.status };
+      }
+      const { newEvents, trackingEvents, shipments, source } = merged;
+
+      // Orders shipped before split shipments only have the single tracking object
+      const allDelivered = shipments.length > 0
+        ? deriveFulfillmentStatus(currentOrder, shipments) === ORDER_STATUSES.DELIVERED
+        : trackingEvents.some(event =>
+          event.trackingNumber === currentOrder.tracking?.code && event.status === TRACKING_EVENT_STATUSES.DELIVERED
+        );
+
+      let status = currentOrder.status;
+      if (allDelivered && currentOrder.status === ORDER_STATUSES.SHIPPED) {
+        const statusResult = await AdminOrderService.updateOrderStatus(orderId, ORDER_STATUSES.DELIVERED, {
+          note: 'Delivered according to carrier tracking',
+          deliveryConfirmation: 'Carrier tracking event',
+          metadata: { source }
+        }, actor);
+
+        if (!statusResult.success) {
+          throw new Error(statusResult.error);
+        }
+        status = ORDER_STATUSES.DELIVERED;
+      }
+
+      console.log(`✅ TrackingService: Added ${newEvents.length} tracking events to order ${orderId}`);
+
+      return { success: true, added: newEvents.length, status };
+
+    } catch (error) {
+      console.error('❌ TrackingService: Error applying tracking events:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to apply tracking events'
+      };
+    }
+  }
+
+  /**
+   * Poll the carriers for every shipment of an order still in transit
+   *
+   * @param {string} orderId - Order ID
+   * @param {string} adminUserId - Admin requesting the refresh
+   * @returns {Promise<Object>} - { success, added, status, errors, error }
+   */
+  static async syncOrderTracking(orderId, adminUserId = 'admin') {
+    console.log(`🔄 TrackingService: Syncing tracking for order ${orderId}`);
+
+    try {
+      const orderSnapshot = await getDoc(doc(db, "orders", orderId));
+
+      if (!orderSnapshot.exists()) {
+        throw new Error(`Order ${orderId} not found`);
+      }
+
+      const order = orderSnapshot.data();
+      const inTransit = order.shipments?.length
+        ? order.shipments.filter(shipment => shipment.code && !shipment.deliveredDate)
+        : [order.tracking].filter(tracking => tracking?.code);
+
+      if (inTransit.length === 0) {
+        throw new Error('Order has no shipments in transit');
+      }
+
+      const events = [];
+      const errors = [];
+
+      for (const shipment of inTransit) {
+        const adapter = getCarrierAdapter(shipment.carrierCode || shipment.carrier);
+        if (!adapter || !adapter.canFetchTracking()) {
+          errors.push(`${shipment.carrier}: tracking is not available for this carrier`);
+          continue;
+        }
+        try {
+          events.push(...await adapter.fetchTrackingEvents(shipment.code));
+        } catch (error) {
+          errors.push(`${adapter.name} ${shipment.code}: ${error.message}`);
+        }
+      }
+
+      const result = await this.appendTrackingEvents(orderId, events, adminUserId);
+      return { ...result, errors };
+
+    } catch (error) {
+      console.error('❌ TrackingService: Error syncing tracking:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to sync tracking'
+      };
+    }
+  }
+
+  /**
+   * Apply a carrier webhook payload
+   * The payload is parsed by the carrier's adapter and each tracking number
+   * is matched to its order.
+   *
+   * @param {string} carrier - Carrier key, name or code
+   * @param {Object} payload - Webhook body
+   * @returns {Promise<Object>} - { success, processed, unmatched, error }
+   */
+  static async processWebhook(carrier, payload) {
+    console.log(`📨 TrackingService: Processing ${carrier} webhook`);
+
+    try {
+      const adapter = getCarrierAdapter(carrier);
+      if (!adapter) {
+        throw new Error(`Unknown carrier ${carrier}`);
+      }
+
+      const eventsByNumber = new Map();
+      adapter.parseWebhook(payload).forEach(event => {
+        eventsByNumber.set(event.trackingNumber, [...(eventsByNumber.get(event.trackingNumber) || []), event]);
+      });
+
+      let processed = 0;
+      const unmatched = [];
+
+      for (const [trackingNumber, events] of eventsByNumber) {
+        const orderId = await this.findOrderIdByTrackingNumber(trackingNumber);
+        if (!orderId) {
+          console.warn(`⚠️ TrackingService: No order found for tracking number ${trackingNumber}`);
+          unmatched.push(trackingNumber);
+          continue;
+        }
+        const result = await this.appendTrackingEvents(orderId, events, 'carrier');
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+        processed += result.added;
+      }
+
+      return { success: true, processed, unmatched };
+
+    } catch (error) {
+      console.error('❌ TrackingService: Error processing webhook:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to process webhook'
+      };
+    }
+  }
+
+  /**
+   * Find the order a tracking number belongs to
+   * @param {string} trackingNumber - Tracking number
+   * @returns {Promise<string|null>} - Order ID
+   */
+  static async findOrderIdByTrackingNumber(trackingNumber) {
+    const ordersRef = collection(db, "orders");
+    let snapshot = await getDocs(query(ordersRef, where('trackingNumbers', 'array-contains', trackingNumber), limit(1)));
+
+    // Orders shipped before trackingNumbers was recorded
+    if (snapshot.empty) {
+      snapshot = await getDocs(query(ordersRef, where('tracking.code', '==', trackingNumber), limit(1)));
+    }
+
+    return snapshot.empty ? null : snapshot.docs[0].id;
+  }
+}
+
+export default TrackingService;
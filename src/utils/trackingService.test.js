@@ -0,0 +1,90 @@
+import TrackingService from './trackingService';
+import { ORDER_STATUSES } from './orderService';
+import { TRACKING_EVENT_STATUSES } from './carriers';
+import { readDoc, resetFirestore } from '../testUtils/firestoreFake';
+
+jest.mock('../firebase', () => ({ db: {} }));
+jest.mock('firebase/firestore', () => require('../testUtils/firestoreFake'));
+
+const trackingEvent = (id, status, occurredAt, source = 'poll') => ({
+  id,
+  trackingNumber: 'DL123',
+  carrierCode: 'delhivery',
+  status,
+  occurredAt,
+  source
+});
+
+describe('appendTrackingEvents', () => {
+  beforeEach(() => {
+    resetFirestore({
+      'orders/a': {
+        userId: 'cust-1',
+        status: ORDER_STATUSES.SHIPPED,
+        tracking: { carrier: 'Delhivery', code: 'DL123' },
+        trackingEvents: [trackingEvent('picked', TRACKING_EVENT_STATUSES.PICKED_UP, '2025-06-02T09:00:00Z')]
+      },
+      'users/cust-1/orders/copy-a': { globalOrderId: 'a', status: ORDER_STATUSES.SHIPPED }
+    });
+  });
+
+  test('ignores events already on the order', async () => {
+    const result = await TrackingService.appendTrackingEvents('a', [
+      trackingEvent('picked', TRACKING_EVENT_STATUSES.PICKED_UP, '2025-06-02T09:00:00Z')
+    ]);
+    expect(result).toEqual({ success: true, added: 0, status: ORDER_STATUSES.SHIPPED });
+  });
+
+  test('keeps the events of a poll and a webhook arriving together', async () => {
+    const results = await Promise.all([
+      TrackingService.appendTrackingEvents('a', [trackingEvent('hub', TRACKING_EVENT_STATUSES.IN_TRANSIT, '2025-06-03T09:00:00Z')]),
+      TrackingService.appendTrackingEvents('a', [trackingEvent('van', TRACKING_EVENT_STATUSES.OUT_FOR_DELIVERY, '2025-06-04T09:00:00Z', 'webhook')])
+    ]);
+
+    expect(results.map(result => result.added)).toEqual([1, 1]);
+    const order = readDoc('orders/a');
+    expect(order.trackingEvents.map(event => event.id)).toEqual(['picked', 'hub', 'van']);
+    expect(order.statusHistory).toHaveLength(2);
+    expect(readDoc('users/cust-1/orders/copy-a').trackingEvents).toHaveLength(3);
+  });
+});
+
+describe('processWebhook', () => {
+  beforeEach(() => {
+    resetFirestore({
+      'orders/a': {
+        userId: 'cust-1',
+        status: ORDER_STATUSES.SHIPPED,
+        tracking: { carrier: 'DHL', code: '1234567890' },
+        trackingNumbers: ['1234567890'],
+        statusHistory: []
+      },
+      'users/cust-1/orders/copy-a': { globalOrderId: 'a', status: ORDER_STATUSES.SHIPPED }
+    });
+  });
+
+  const delivered = (id) => ({
+    shipments: [{ id, events: [{ statusCode: 'delivered', description: 'Delivered', timestamp: '2025-06-03T14:00:00Z' }] }]
+  });
+
+  test('delivers the order the tracking number belongs to', async () => {
+    const result = await TrackingService.processWebhook('dhl', delivered('1234567890'));
+
+    expect(result).toEqual({ success: true, processed: 1, unmatched: [] });
+    expect(readDoc('orders/a').status).toBe(ORDER_STATUSES.DELIVERED);
+    expect(readDoc('users/cust-1/orders/copy-a').status).toBe(ORDER_STATUSES.DELIVERED);
+  });
+
+  test('reports tracking numbers that match no order', async () => {
+    const result = await TrackingService.processWebhook('DHL', delivered('999'));
+
+    expect(result).toEqual({ success: true, processed: 0, unmatched: ['999'] });
+    expect(readDoc('orders/a').status).toBe(ORDER_STATUSES.SHIPPED);
+  });
+
+  test('rejects webhooks from unknown carriers', async () => {
+    const result = await TrackingService.processWebhook('acme', delivered('1234567890'));
+
+    expect(result).toEqual({ success: false, error: 'Unknown carrier acme' });
+  });
+});